@@ -7,12 +7,21 @@ import dotenv from 'dotenv';
 
 // Importar servicios
 import FirebaseService from './services/firebase.service';
+import reminderService from './services/reminder.service';
 import { logger } from './utils/logger.util';
 
 // Importar rutas
 import diaryRoutes from './routes/diary.routes';
 import evaluationRoutes from './routes/evaluation.routes';
 import userRoutes from './routes/user.routes';
+import crisisRoutes from './routes/crisis.routes';
+import shareRoutes from './routes/share.routes';
+import clinicianRoutes from './routes/clinician.routes';
+import exerciseRoutes from './routes/exercise.routes';
+import insightRoutes from './routes/insight.routes';
+import subscriptionRoutes from './routes/subscription.routes';
+import contactRoutes from './routes/contact.routes';
+import reminderRoutes from './routes/reminder.routes';
 
 // Cargar variables de entorno
 dotenv.config();
@@ -58,7 +67,13 @@ class App {
     this.app.use(limiter);
 
     // Parseo de JSON
-    this.app.use(express.json({ limit: '10mb' }));
+    // Se guarda el cuerpo original: la firma de los webhooks de pago se calcula sobre él
+    this.app.use(express.json({
+      limit: '10mb',
+      verify: (req, res, buf) => {
+        (req as express.Request).rawBody = buf.toString('utf8');
+      }
+    }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
     // Logging de requests
@@ -90,7 +105,15 @@ class App {
             health: '/health',
             users: '/api/v1/users',
             diary: '/api/v1/diary',
-            evaluations: '/api/v1/evaluations'
+            evaluations: '/api/v1/evaluations',
+            crisis: '/api/v1/crisis',
+            share: '/api/v1/share',
+            clinician: '/api/v1/clinician',
+            exercises: '/api/v1/exercises',
+            insights: '/api/v1/insights',
+            subscriptions: '/api/v1/subscriptions',
+            contact: '/api/v1/contact',
+            reminders: '/api/v1/reminders'
           }
         }
       });
@@ -100,6 +123,14 @@ class App {
     this.app.use('/api/v1/users', userRoutes);
     this.app.use('/api/v1/diary', diaryRoutes);
     this.app.use('/api/v1/evaluations', evaluationRoutes);
+    this.app.use('/api/v1/crisis', crisisRoutes);
+    this.app.use('/api/v1/share', shareRoutes);
+    this.app.use('/api/v1/clinician', clinicianRoutes);
+    this.app.use('/api/v1/exercises', exerciseRoutes);
+    this.app.use('/api/v1/insights', insightRoutes);
+    this.app.use('/api/v1/subscriptions', subscriptionRoutes);
+    this.app.use('/api/v1/contact', contactRoutes);
+    this.app.use('/api/v1/reminders', reminderRoutes);
 
     // Ruta 404 para endpoints no encontrados
     this.app.use('*', (req, res) => {
@@ -143,6 +174,11 @@ class App {
         logger.info(`📚 API: http://localhost:${this.port}/api/info`);
         logger.info(`❤️  Salud: http://localhost:${this.port}/health`);
       });
+
+      // Avisos push de los recordatorios (REMINDER_SCHEDULER_ENABLED=false en instancias que no deban enviarlos)
+      if (process.env.REMINDER_SCHEDULER_ENABLED !== 'false') {
+        reminderService.start(parseInt(process.env.REMINDER_SCHEDULER_INTERVAL_MS || '60000'));
+      }
     } catch (error) {
       logger.error('Error iniciando servidor:', error);
       process.exit(1);
@@ -0,0 +1,270 @@
+import { Request, Response } from 'express';
+import { logger } from '../utils/logger.util';
+import clinicianService from '../services/clinician.service';
+import { CLINICIAN_MAX_ACTIVE_INVITES } from '../models/clinician.model';
+
+// Respuesta para códigos que no permiten vincularse
+const REDEEM_ERRORS = {
+  not_found: { status: 404, message: 'El código de invitación no existe' },
+  expired: { status: 410, message: 'El código de invitación ha caducado o ha sido anulado' },
+  used: { status: 410, message: 'El código de invitación ya se ha utilizado' },
+  self: { status: 400, message: 'No puedes vincularte con tu propia invitación' },
+  already_linked: { status: 409, message: 'Ya estás vinculado con este profesional' }
+};
+
+class ClinicianController {
+  // === PACIENTE ===
+
+  // Canjear un código de invitación del profesional
+  async redeemInvite(req: Request, res: Response): Promise<void> {
+    try {
+      const { status, link } = await clinicianService.redeemInvite(req.user!.userId, req.body);
+
+      if (status !== 'linked' || !link) {
+        const failure = REDEEM_ERRORS[status as keyof typeof REDEEM_ERRORS];
+        res.status(failure.status).json({
+          success: false,
+          error: 'Invitación no válida',
+          message: failure.message
+        });
+        return;
+      }
+
+      res.status(201).json({
+        success: true,
+        data: {
+          id: link.id,
+          clinicianDisplayName: link.clinicianDisplayName,
+          linkedAt: link.linkedAt
+        },
+        message: `Te has vinculado con ${link.clinicianDisplayName}`
+      });
+
+    } catch (error) {
+      logger.error('Error canjeando invitación:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo canjear la invitación'
+      });
+    }
+  }
+
+  // Profesionales con acceso a los datos del paciente
+  async listMyClinicians(req: Request, res: Response): Promise<void> {
+    try {
+      const links = await clinicianService.listPatientLinks(req.user!.userId);
+
+      res.status(200).json({
+        success: true,
+        data: links.map(link => ({
+          id: link.id,
+          clinicianDisplayName: link.clinicianDisplayName,
+          linkedAt: link.linkedAt
+        }))
+      });
+
+    } catch (error) {
+      logger.error('Error obteniendo profesionales vinculados:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudieron obtener los profesionales vinculados'
+      });
+    }
+  }
+
+  // El paciente retira el acceso a un profesional
+  async revokeMyClinician(req: Request, res: Response): Promise<void> {
+    try {
+      const revoked = await clinicianService.revokeLink(req.user!.userId, req.params.linkId, 'patient');
+
+      if (!revoked) {
+        res.status(404).json({
+          success: false,
+          error: 'Vínculo no encontrado',
+          message: 'El vínculo no existe o ya se había retirado'
+        });
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'El profesional ya no tiene acceso a tus datos'
+      });
+
+    } catch (error) {
+      logger.error('Error retirando vínculo con profesional:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo retirar el vínculo'
+      });
+    }
+  }
+
+  // === PROFESIONAL ===
+
+  // Crear un código de invitación (se devuelve una sola vez)
+  async createInvite(req: Request, res: Response): Promise<void> {
+    try {
+      const clinicianId = req.user!.userId;
+
+      if (await clinicianService.hasReachedInviteLimit(clinicianId)) {
+        res.status(409).json({
+          success: false,
+          error: 'Límite de invitaciones',
+          message: `Tienes ${CLINICIAN_MAX_ACTIVE_INVITES} invitaciones pendientes: anula alguna antes de crear otra`
+        });
+        return;
+      }
+
+      const { invite, code } = await clinicianService.createInvite(clinicianId, req.body);
+      const { codeHash, ...data } = invite;
+
+      res.status(201).json({
+        success: true,
+        data: { ...data, code },
+        message: 'Invitación creada'
+      });
+
+    } catch (error) {
+      logger.error('Error creando invitación:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo crear la invitación'
+      });
+    }
+  }
+
+  async listInvites(req: Request, res: Response): Promise<void> {
+    try {
+      const invites = await clinicianService.listInvites(req.user!.userId);
+
+      res.status(200).json({
+        success: true,
+        data: invites.map(invite => ({ ...invite, status: clinicianService.getInviteStatus(invite) }))
+      });
+
+    } catch (error) {
+      logger.error('Error obteniendo invitaciones:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudieron obtener las invitaciones'
+      });
+    }
+  }
+
+  async revokeInvite(req: Request, res: Response): Promise<void> {
+    try {
+      const revoked = await clinicianService.revokeInvite(req.user!.userId, req.params.inviteId);
+
+      if (!revoked) {
+        res.status(404).json({
+          success: false,
+          error: 'Invitación no encontrada',
+          message: 'La invitación no existe'
+        });
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitación anulada'
+      });
+
+    } catch (error) {
+      logger.error('Error anulando invitación:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo anular la invitación'
+      });
+    }
+  }
+
+  // Lista de pacientes con su resumen clínico, ordenada por riesgo
+  async getRoster(req: Request, res: Response): Promise<void> {
+    try {
+      const patients = await clinicianService.getRoster(req.user!.userId);
+
+      res.set('Cache-Control', 'no-store');
+      res.status(200).json({
+        success: true,
+        data: patients
+      });
+
+    } catch (error) {
+      logger.error('Error obteniendo pacientes:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo obtener la lista de pacientes'
+      });
+    }
+  }
+
+  async getPatientDetail(req: Request, res: Response): Promise<void> {
+    try {
+      const patient = await clinicianService.getPatientDetail(req.user!.userId, req.params.patientId);
+
+      if (!patient) {
+        res.status(404).json({
+          success: false,
+          error: 'Paciente no encontrado',
+          message: 'El paciente no existe o no está vinculado contigo'
+        });
+        return;
+      }
+
+      res.set('Cache-Control', 'no-store');
+      res.status(200).json({
+        success: true,
+        data: patient
+      });
+
+    } catch (error) {
+      logger.error('Error obteniendo detalle del paciente:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo obtener el detalle del paciente'
+      });
+    }
+  }
+
+  // El profesional da de baja a un paciente de su lista
+  async unlinkPatient(req: Request, res: Response): Promise<void> {
+    try {
+      const clinicianId = req.user!.userId;
+      const link = await clinicianService.findActiveLink(clinicianId, req.params.patientId);
+      const revoked = link ? await clinicianService.revokeLink(clinicianId, link.id, 'clinician') : false;
+
+      if (!revoked) {
+        res.status(404).json({
+          success: false,
+          error: 'Paciente no encontrado',
+          message: 'El paciente no existe o no está vinculado contigo'
+        });
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Paciente desvinculado'
+      });
+
+    } catch (error) {
+      logger.error('Error desvinculando paciente:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo desvincular al paciente'
+      });
+    }
+  }
+}
+
+export default new ClinicianController();
@@ -0,0 +1,149 @@
+import { Request, Response } from 'express';
+import { logger } from '../utils/logger.util';
+import contactService from '../services/contact.service';
+
+const RATE_LIMITED = {
+  status: 429,
+  error: 'Demasiadas solicitudes',
+  message: 'Has enviado demasiados mensajes. Intenta de nuevo más tarde.'
+};
+
+class ContactController {
+  // Enviar el formulario de contacto (con sesión el ticket queda asociado al usuario)
+  async createTicket(req: Request, res: Response): Promise<void> {
+    try {
+      const ip = req.ip || req.connection.remoteAddress || 'unknown';
+      const { status, ticket, retryAfter } = await contactService.createTicket(req.body, {
+        ip,
+        userId: req.user?.userId || null
+      });
+
+      if (status === 'rate_limited') {
+        res.status(RATE_LIMITED.status).json({
+          success: false,
+          error: RATE_LIMITED.error,
+          message: RATE_LIMITED.message,
+          retryAfter
+        });
+        return;
+      }
+
+      // Los mensajes del campo trampa también reciben un 201 (sin referencia): el bot no sabe que se descartan
+      res.status(201).json({
+        success: true,
+        data: ticket,
+        message: status === 'created'
+          ? `Mensaje recibido. Tu número de referencia es ${ticket!.reference}`
+          : 'Mensaje recibido'
+      });
+
+    } catch (error) {
+      logger.error('Error enviando formulario de contacto:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo enviar el mensaje'
+      });
+    }
+  }
+
+  // Estado de un ticket con su referencia y el email con el que se envió
+  async getTicket(req: Request, res: Response): Promise<void> {
+    try {
+      const ip = req.ip || req.connection.remoteAddress || 'unknown';
+      const { status, ticket, retryAfter } = await contactService.getTicketStatus(
+        req.params.reference,
+        req.query.email as string,
+        ip
+      );
+
+      if (status === 'rate_limited') {
+        res.status(RATE_LIMITED.status).json({
+          success: false,
+          error: RATE_LIMITED.error,
+          message: 'Has hecho demasiadas consultas. Intenta de nuevo más tarde.',
+          retryAfter
+        });
+        return;
+      }
+
+      if (!ticket) {
+        res.status(404).json({
+          success: false,
+          error: 'Ticket no encontrado',
+          message: 'No hay ningún mensaje con esa referencia y ese email'
+        });
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: ticket
+      });
+
+    } catch (error) {
+      logger.error('Error obteniendo ticket:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo obtener el ticket'
+      });
+    }
+  }
+
+  // Tickets enviados con la sesión iniciada
+  async listMyTickets(req: Request, res: Response): Promise<void> {
+    try {
+      const tickets = await contactService.listUserTickets(req.user!.userId);
+
+      res.status(200).json({
+        success: true,
+        data: tickets
+      });
+
+    } catch (error) {
+      logger.error('Error listando tickets:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudieron obtener los tickets'
+      });
+    }
+  }
+
+  // Equipo de soporte: cambiar el estado de un ticket
+  async updateTicketStatus(req: Request, res: Response): Promise<void> {
+    try {
+      const status = await contactService.updateStatus(
+        req.params.reference,
+        req.body.status,
+        req.body.note,
+        req.user!.userId
+      );
+
+      if (status === 'not_found') {
+        res.status(404).json({
+          success: false,
+          error: 'Ticket no encontrado',
+          message: 'El ticket no existe'
+        });
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Estado del ticket actualizado'
+      });
+
+    } catch (error) {
+      logger.error('Error actualizando ticket:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo actualizar el ticket'
+      });
+    }
+  }
+}
+
+export default new ContactController();
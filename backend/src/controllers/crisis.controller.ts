@@ -0,0 +1,64 @@
+import { Request, Response } from 'express';
+import { logger } from '../utils/logger.util';
+import crisisService from '../services/crisis.service';
+
+class CrisisController {
+  // Obtener líneas de ayuda: un país (?country=ES) o el directorio completo que cachea el service worker
+  async getResources(req: Request, res: Response): Promise<void> {
+    try {
+      const { country } = req.query;
+
+      res.status(200).json({
+        success: true,
+        data: country
+          ? crisisService.getResources(country as string)
+          : crisisService.getDirectory()
+      });
+
+    } catch (error) {
+      logger.error('Error obteniendo recursos de crisis:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudieron obtener los recursos de crisis'
+      });
+    }
+  }
+
+  // Registrar un evento de crisis detectado en el cliente
+  async createEvent(req: Request, res: Response): Promise<void> {
+    try {
+      const ip = req.ip || req.connection.remoteAddress || 'unknown';
+      const { status, event, retryAfter } = await crisisService.reportEvent(req.body, {
+        ip,
+        userId: req.user?.userId || null
+      });
+
+      if (status === 'rate_limited') {
+        res.status(429).json({
+          success: false,
+          error: 'Demasiadas solicitudes',
+          message: 'Se han registrado demasiados eventos. Intenta de nuevo más tarde.',
+          retryAfter
+        });
+        return;
+      }
+
+      res.status(201).json({
+        success: true,
+        data: { id: event!.id },
+        message: 'Evento de crisis registrado'
+      });
+
+    } catch (error) {
+      logger.error('Error creando evento de crisis:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo registrar el evento de crisis'
+      });
+    }
+  }
+}
+
+export default new CrisisController();
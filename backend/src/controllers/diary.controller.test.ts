@@ -0,0 +1,68 @@
+import FirebaseService from '../services/firebase.service';
+import diaryController from './diary.controller';
+import { FakeFirestore } from '../testing/fake-firestore';
+import { mockRequest, mockResponse } from '../testing/http';
+
+jest.mock('../services/firebase.service', () => jest.requireActual('../testing/fake-firestore').fakeFirebaseService());
+jest.mock('../services/crisis.service', () => ({ __esModule: true, default: { escalateFromDiary: jest.fn().mockResolvedValue(null) } }));
+
+const USER_ID = 'user-1';
+const ENTRY_ID = 'entry-1';
+const CIPHERTEXT = Buffer.from('texto cifrado').toString('base64');
+const IV = Buffer.alloc(12, 1).toString('base64');
+
+describe('DiaryController.updateEntry', () => {
+  const db = FirebaseService.getFirestore() as unknown as FakeFirestore;
+  const stored = () => db.dump('diary_entries')[ENTRY_ID];
+
+  async function update(body: Record<string, unknown>) {
+    const res = mockResponse();
+    await diaryController.updateEntry(mockRequest(USER_ID, { params: { entryId: ENTRY_ID }, body }), res);
+    return res;
+  }
+
+  beforeEach(async () => {
+    await db.collection('diary_entries').doc(ENTRY_ID).set({
+      userId: USER_ID,
+      content: 'Hoy he tenido un día tranquilo',
+      tags: ['trabajo'],
+      reflection: 'Dormir bien ayuda',
+      mood: 4,
+      isEncrypted: false,
+      version: 1
+    });
+  });
+
+  it('al cifrar una entrada en claro borra el texto y las etiquetas guardados', async () => {
+    const res = await update({ isEncrypted: true, ciphertext: CIPHERTEXT, iv: IV, encryptionVersion: 1 });
+
+    expect(res.statusCode).toBe(200);
+    expect(stored()).toEqual(expect.objectContaining({ isEncrypted: true, ciphertext: CIPHERTEXT, iv: IV, mood: 4, version: 2 }));
+    expect(stored()).not.toHaveProperty('content');
+    expect(stored()).not.toHaveProperty('tags');
+    expect(stored()).not.toHaveProperty('reflection');
+    // La respuesta no lleva los marcadores de borrado
+    expect(res.body.data).toEqual(expect.objectContaining({ id: ENTRY_ID, isEncrypted: true, version: 2 }));
+    expect(res.body.data).not.toHaveProperty('content');
+  });
+
+  it('rechaza texto en claro sobre una entrada cifrada', async () => {
+    await update({ isEncrypted: true, ciphertext: CIPHERTEXT, iv: IV });
+
+    const res = await update({ content: 'Texto en claro' });
+
+    expect(res.statusCode).toBe(400);
+    expect(stored()).toEqual(expect.objectContaining({ isEncrypted: true, ciphertext: CIPHERTEXT, version: 2 }));
+    expect(stored()).not.toHaveProperty('content');
+    expect((await update({ tags: ['familia'] })).statusCode).toBe(400);
+  });
+
+  it('en una entrada cifrada se puede cambiar el estado de ánimo, que no va cifrado', async () => {
+    await update({ isEncrypted: true, ciphertext: CIPHERTEXT, iv: IV });
+
+    const res = await update({ mood: '2' });
+
+    expect(res.statusCode).toBe(200);
+    expect(stored()).toEqual(expect.objectContaining({ mood: 2, ciphertext: CIPHERTEXT, version: 3 }));
+  });
+});
@@ -1,6 +1,10 @@
 import { Request, Response } from 'express';
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
 import { logger } from '../utils/logger.util';
 import FirebaseService from '../services/firebase.service';
+import crisisService from '../services/crisis.service';
+import diaryService from '../services/diary.service';
+import { ENCRYPTED_DIARY_FIELDS, isClientEncrypted } from '../shared/diary.encryption';
 
 class DiaryController {
   // Crear nueva entrada del diario
@@ -8,9 +12,11 @@ class DiaryController {
     try {
       const userId = req.user?.userId;
       const { content, mood, tags, date } = req.body;
+      // Cifrada en el cliente: el texto llega en ciphertext y el servidor no puede leerlo
+      const encrypted = isClientEncrypted(req.body);
 
       // Validación básica
-      if (!content || !mood) {
+      if ((!content && !encrypted) || !mood) {
         res.status(400).json({
           success: false,
           error: 'Campos requeridos faltantes',
@@ -21,10 +27,13 @@ class DiaryController {
 
       const diaryEntry = {
         userId,
-        content,
+        ...(encrypted
+          ? { isEncrypted: true, ciphertext: req.body.ciphertext, iv: req.body.iv, encryptionVersion: req.body.encryptionVersion || 1 }
+          : { content, tags: tags || [], isEncrypted: false }),
         mood: parseInt(mood),
-        tags: tags || [],
-        date: date || new Date().toISOString(),
+        // Timestamp, como las entradas creadas desde el navegador: el listado ordena y filtra por fecha
+        date: date ? Timestamp.fromDate(new Date(date)) : Timestamp.now(),
+        version: 1,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
       };
@@ -34,12 +43,18 @@ class DiaryController {
 
       logger.info(`Nueva entrada del diario creada: ${docRef.id} para usuario: ${userId}`);
 
+      // Escalada de seguridad si el texto indica riesgo de autolesión
+      // (con cifrado de extremo a extremo la detección se hace en el navegador)
+      const crisis = encrypted ? null : await crisisService.escalateFromDiary(userId || null, content, docRef.id, req.body.country);
+
       res.status(201).json({
         success: true,
         data: {
           id: docRef.id,
-          ...diaryEntry
+          ...diaryEntry,
+          date: diaryEntry.date.toDate().toISOString()
         },
+        ...(crisis && { crisis }),
         message: 'Entrada del diario creada exitosamente'
       });
 
@@ -53,46 +68,46 @@ class DiaryController {
     }
   }
 
-  // Obtener entradas del diario
+  // Obtener entradas del diario paginadas por cursor (query ya validada por validateDiaryFilters)
   async getEntries(req: Request, res: Response): Promise<void> {
     try {
-      const userId = req.user?.userId;
-      const { limit = 10, offset = 0, startDate, endDate } = req.query;
-
-      const db = FirebaseService.getFirestore();
-      let query = db.collection('diary_entries')
-        .where('userId', '==', userId)
-        .orderBy('date', 'desc')
-        .limit(parseInt(limit as string))
-        .offset(parseInt(offset as string));
-
-      // Filtros opcionales
-      if (startDate) {
-        query = query.where('date', '>=', startDate);
-      }
-      if (endDate) {
-        query = query.where('date', '<=', endDate);
-      }
-
-      const snapshot = await query.get();
-      const entries = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      const userId = req.user!.userId;
+      const query = req.query as any;
+
+      const page = await diaryService.getDiaryEntries(userId, {
+        mood: query.mood,
+        tags: query.tags,
+        exerciseType: query.exerciseType,
+        dateFrom: query.from,
+        dateTo: query.to,
+        anxietyLevelMin: query.anxietyMin,
+        anxietyLevelMax: query.anxietyMax,
+        limit: query.limit,
+        cursor: query.cursor
+      });
 
-      logger.info(`Entradas del diario obtenidas para usuario: ${userId}, cantidad: ${entries.length}`);
+      logger.info(`Entradas del diario obtenidas para usuario: ${userId}, cantidad: ${page.entries.length}`);
 
       res.status(200).json({
         success: true,
-        data: entries,
+        data: page.entries.map(entry => diaryService.formatDiaryEntryResponse(entry)),
         pagination: {
-          limit: parseInt(limit as string),
-          offset: parseInt(offset as string),
-          total: entries.length
+          limit: query.limit,
+          nextCursor: page.nextCursor,
+          hasMore: page.hasMore
         }
       });
 
     } catch (error) {
+      if (error instanceof Error && error.message === 'Cursor inválido') {
+        res.status(400).json({
+          success: false,
+          error: 'Cursor inválido',
+          message: 'El cursor de paginación no es válido; vuelve a cargar la lista'
+        });
+        return;
+      }
+
       logger.error('Error obteniendo entradas del diario:', error);
       res.status(500).json({
         success: false,
@@ -118,6 +133,8 @@ class DiaryController {
         .get();
 
       const entries = snapshot.docs.map(doc => doc.data());
+      // El estado de ánimo queda en claro; el texto de las entradas cifradas solo se analiza en el cliente
+      const encryptedEntries = entries.filter(entry => isClientEncrypted(entry)).length;
       
       // Calcular estadísticas
       const totalEntries = entries.length;
@@ -135,6 +152,7 @@ class DiaryController {
           totalEntries,
           avgMood: Math.round(avgMood * 100) / 100,
           moodDistribution,
+          encryptedEntries,
           period: period
         }
       });
@@ -149,6 +167,35 @@ class DiaryController {
     }
   }
 
+  // Qué factores acompañan a más o menos ansiedad (query ya validada por validateDiaryCorrelations)
+  async getCorrelations(req: Request, res: Response): Promise<void> {
+    try {
+      const userId = req.user!.userId;
+      const query = req.query as any;
+
+      const report = await diaryService.getCorrelations(userId, {
+        dateFrom: query.from,
+        dateTo: query.to,
+        timeZone: query.timeZone
+      });
+
+      logger.info(`Correlaciones del diario calculadas para usuario: ${userId}, hallazgos: ${report.findings.length}`);
+
+      res.status(200).json({
+        success: true,
+        data: report
+      });
+
+    } catch (error) {
+      logger.error('Error calculando correlaciones del diario:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudieron calcular las correlaciones del diario'
+      });
+    }
+  }
+
   // Buscar entradas del diario
   async searchEntries(req: Request, res: Response): Promise<void> {
     try {
@@ -178,6 +225,13 @@ class DiaryController {
         ...doc.data()
       }));
 
+      // Las entradas cifradas en el cliente no se pueden buscar por texto ni etiquetas en el servidor:
+      // se informa de cuántas hay para que el cliente las busque tras descifrarlas
+      const encryptedEntries = entries.filter(entry => isClientEncrypted(entry)).length;
+      if (q || tags) {
+        entries = entries.filter(entry => !isClientEncrypted(entry));
+      }
+
       // Filtros adicionales en memoria
       if (q) {
         const searchTerm = (q as string).toLowerCase();
@@ -198,6 +252,7 @@ class DiaryController {
       res.status(200).json({
         success: true,
         data: entries,
+        encryptedEntries,
         query: { q, tags, mood, limit }
       });
 
@@ -262,7 +317,7 @@ class DiaryController {
     try {
       const userId = req.user?.userId;
       const { entryId } = req.params;
-      const { content, mood, tags } = req.body;
+      const { content, mood, tags, version } = req.body;
 
       const db = FirebaseService.getFirestore();
       const docRef = db.collection('diary_entries').doc(entryId);
@@ -287,23 +342,60 @@ class DiaryController {
         return;
       }
 
+      // Detección de conflictos: el cliente envía la versión sobre la que editó (p. ej. al sincronizar sin conexión)
+      const currentVersion = entry?.version || 1;
+      if (version !== undefined && parseInt(version) !== currentVersion) {
+        res.status(409).json({
+          success: false,
+          error: 'Conflicto de versión',
+          message: 'La entrada se modificó en otro dispositivo',
+          data: {
+            id: entryId,
+            ...entry
+          }
+        });
+        return;
+      }
+
+      const encrypted = isClientEncrypted(req.body);
+
+      // Una entrada cifrada no vuelve a guardar texto en claro: el cliente tiene que enviarla cifrada
+      if (!encrypted && isClientEncrypted(entry) && (content !== undefined || tags !== undefined)) {
+        res.status(400).json({
+          success: false,
+          error: 'Entrada cifrada',
+          message: 'Esta entrada está cifrada: envía el contenido en ciphertext'
+        });
+        return;
+      }
+
       const updateData = {
-        ...(content && { content }),
+        ...(encrypted && { isEncrypted: true, ciphertext: req.body.ciphertext, iv: req.body.iv, encryptionVersion: req.body.encryptionVersion || 1 }),
+        ...(!encrypted && content && { content }),
         ...(mood && { mood: parseInt(mood) }),
-        ...(tags && { tags }),
+        ...(!encrypted && tags && { tags }),
+        version: currentVersion + 1,
         updatedAt: new Date().toISOString()
       };
 
-      await docRef.update(updateData);
+      // Al cifrar una entrada antigua se borra el texto en claro que tuviera
+      const plaintextRemoval = encrypted
+        ? Object.fromEntries(ENCRYPTED_DIARY_FIELDS.map(field => [field, FieldValue.delete()]))
+        : {};
+
+      await docRef.update({ ...updateData, ...plaintextRemoval });
 
       logger.info(`Entrada del diario actualizada: ${entryId} por usuario: ${userId}`);
 
+      const crisis = content && !encrypted ? await crisisService.escalateFromDiary(userId || null, content, entryId, req.body.country) : null;
+
       res.status(200).json({
         success: true,
         data: {
           id: entryId,
           ...updateData
         },
+        ...(crisis && { crisis }),
         message: 'Entrada del diario actualizada exitosamente'
       });
 
@@ -0,0 +1,98 @@
+import { Timestamp } from 'firebase-admin/firestore';
+import FirebaseService from '../services/firebase.service';
+import evaluationController from './evaluation.controller';
+import { FakeFirestore } from '../testing/fake-firestore';
+import { mockRequest, mockResponse } from '../testing/http';
+
+jest.mock('../services/firebase.service', () => jest.requireActual('../testing/fake-firestore').fakeFirebaseService());
+jest.mock('../services/crisis.service', () => ({ __esModule: true, default: { recordEvent: jest.fn(), getResources: jest.fn() } }));
+
+const USER_ID = 'user-1';
+// GAD-7 con 7 puntos: banda leve
+const MILD_ANSWERS = [1, 1, 1, 1, 1, 1, 1];
+
+describe('EvaluationController', () => {
+  const db = FirebaseService.getFirestore() as unknown as FakeFirestore;
+
+  async function create(body: Record<string, unknown>) {
+    const res = mockResponse();
+    await evaluationController.createEvaluation(mockRequest(USER_ID, { body }), res);
+    return res;
+  }
+
+  beforeEach(async () => {
+    for (const id of Object.keys(db.dump('evaluations'))) await db.collection('evaluations').doc(id).delete();
+  });
+
+  describe('createEvaluation', () => {
+    it('guarda la puntuación, la banda y completedAt del motor de cuestionarios', async () => {
+      const res = await create({ testType: 'gad7', answers: MILD_ANSWERS, date: '2026-01-15T19:00:00.000Z' });
+      const stored = db.dump('evaluations')[res.body.data.id];
+
+      expect(res.statusCode).toBe(201);
+      expect(stored).toMatchObject({ userId: USER_ID, testType: 'gad7', score: 7, maxScore: 21, band: 'Leve', level: 'mild' });
+      expect(stored.completedAt).toBeInstanceOf(Timestamp);
+      expect(stored.completedAt.toDate().toISOString()).toBe('2026-01-15T19:00:00.000Z');
+      expect(stored).not.toHaveProperty('totalScore');
+      expect(stored).not.toHaveProperty('date');
+      expect(res.body.data.completedAt).toBe('2026-01-15T19:00:00.000Z');
+    });
+
+    it('rechaza una puntuación del cliente que no coincide, con el nombre nuevo o el antiguo', async () => {
+      expect((await create({ testType: 'gad7', answers: MILD_ANSWERS, score: 8 })).statusCode).toBe(400);
+      expect((await create({ testType: 'gad7', answers: MILD_ANSWERS, totalScore: 8 })).statusCode).toBe(400);
+      expect(db.dump('evaluations')).toEqual({});
+    });
+  });
+
+  describe('getStats', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('devuelve el cambio clínico desde la primera evaluación, aunque quede fuera del periodo', async () => {
+      jest.useFakeTimers({ now: new Date('2026-02-10T12:00:00Z') });
+      // GAD-7: 16 (caso clínico) y, dos meses después, 5
+      await create({ testType: 'gad7', answers: [3, 3, 3, 3, 2, 2, 0], date: '2025-12-01T09:00:00.000Z' });
+      await create({ testType: 'gad7', answers: [1, 1, 1, 1, 1, 0, 0], date: '2026-02-01T09:00:00.000Z' });
+
+      const res = mockResponse();
+      await evaluationController.getStats(mockRequest(USER_ID, { query: { period: '30' } }), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toMatchObject({ totalEvaluations: 1, avgScore: 5 });
+      expect(res.body.data.clinicalChange).toEqual([expect.objectContaining({
+        testType: 'gad7',
+        from: 16,
+        to: 5,
+        isReliable: true,
+        category: 'recovered',
+        baselineDate: '2025-12-01T09:00:00.000Z',
+        latestDate: '2026-02-01T09:00:00.000Z',
+        evaluations: 2
+      })]);
+    });
+
+    it('sin dos evaluaciones del mismo test no hay cambio clínico', async () => {
+      await create({ testType: 'gad7', answers: MILD_ANSWERS });
+
+      const res = mockResponse();
+      await evaluationController.getStats(mockRequest(USER_ID), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.clinicalChange).toEqual([]);
+    });
+  });
+
+  describe('lectura', () => {
+    it('la última evaluación se ordena por completedAt y se devuelve en ISO', async () => {
+      await create({ testType: 'gad7', answers: MILD_ANSWERS, date: '2026-01-10T10:00:00.000Z' });
+      await create({ testType: 'gad7', answers: [0, 0, 0, 0, 0, 0, 0], date: '2026-01-20T10:00:00.000Z' });
+
+      const res = mockResponse();
+      await evaluationController.getLatestEvaluation(mockRequest(USER_ID), res);
+
+      expect(res.body.data).toMatchObject({ score: 0, completedAt: '2026-01-20T10:00:00.000Z' });
+    });
+  });
+});
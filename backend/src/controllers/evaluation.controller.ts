@@ -1,42 +1,42 @@
 import { Request, Response } from 'express';
+import { Timestamp } from 'firebase-admin/firestore';
 import { logger } from '../utils/logger.util';
 import FirebaseService from '../services/firebase.service';
+import crisisService from '../services/crisis.service';
+import evaluationService from '../services/evaluation.service';
+import questionnaireEngine from '../shared/questionnaire.engine';
+
+// completedAt se guarda como Timestamp; la API lo devuelve en ISO
+function serializeEvaluation(id: string, data: FirebaseFirestore.DocumentData) {
+  const completedAt = data.completedAt instanceof Timestamp ? data.completedAt.toDate().toISOString() : data.completedAt;
+  return { id, ...data, completedAt };
+}
 
 class EvaluationController {
-  // Crear nueva evaluación GAD-7
+  // Crear nueva evaluación (GAD-7 por defecto)
   async createEvaluation(req: Request, res: Response): Promise<void> {
     try {
       const userId = req.user?.userId;
-      const { answers, totalScore, date } = req.body;
-
-      // Validación de respuestas GAD-7
-      if (!answers || !Array.isArray(answers) || answers.length !== 7) {
-        res.status(400).json({
-          success: false,
-          error: 'Respuestas inválidas',
-          message: 'Debe proporcionar exactamente 7 respuestas para el GAD-7'
-        });
-        return;
-      }
+      const { testType = 'gad7', answers, date } = req.body;
+      // totalScore es el nombre antiguo de score
+      const clientScore = req.body.score ?? req.body.totalScore;
 
-      // Validar que las respuestas estén en el rango correcto (0-3)
-      const validAnswers = answers.every(answer => 
-        typeof answer === 'number' && answer >= 0 && answer <= 3
-      );
-
-      if (!validAnswers) {
+      // Validación de respuestas con el motor de cuestionarios compartido
+      const errors = questionnaireEngine.validateAnswers(testType, answers);
+      if (errors.length > 0) {
         res.status(400).json({
           success: false,
           error: 'Respuestas inválidas',
-          message: 'Las respuestas deben estar entre 0 y 3'
+          message: errors.join(', ')
         });
         return;
       }
 
       // Calcular puntuación total
-      const calculatedScore = answers.reduce((sum, answer) => sum + answer, 0);
+      const result = questionnaireEngine.score(testType, answers);
+      const calculatedScore = result.score;
       
-      if (totalScore && totalScore !== calculatedScore) {
+      if (clientScore !== undefined && clientScore !== calculatedScore) {
         res.status(400).json({
           success: false,
           error: 'Puntuación inconsistente',
@@ -45,28 +45,29 @@ class EvaluationController {
         return;
       }
 
-      // Determinar nivel de ansiedad
-      let anxietyLevel = 'mínima';
-      let recommendation = 'Continúa con tus actividades normales';
-      
-      if (calculatedScore >= 15) {
-        anxietyLevel = 'severa';
-        recommendation = 'Es recomendable buscar ayuda profesional inmediatamente';
-      } else if (calculatedScore >= 10) {
-        anxietyLevel = 'moderada';
-        recommendation = 'Considera hablar con un profesional de la salud mental';
-      } else if (calculatedScore >= 5) {
-        anxietyLevel = 'leve';
-        recommendation = 'Puedes beneficiarte de técnicas de relajación y mindfulness';
-      }
+      // Determinar nivel según las bandas del cuestionario
+      const anxietyLevel = result.band.label.toLowerCase();
+      const recommendation = result.band.recommendation;
 
+      // Mismo documento que EvaluationService y la app: los informes compartidos y el panel clínico
+      // leen score y ordenan por completedAt
       const evaluation = {
         userId,
+        testType: result.testType,
+        testName: result.testName,
+        testVersion: result.testVersion,
         answers,
-        totalScore: calculatedScore,
+        score: calculatedScore,
+        maxScore: result.maxScore,
+        percentage: result.percentage,
+        band: result.band.label,
+        level: result.band.level,
         anxietyLevel,
+        riskLevel: result.interpretation.riskLevel,
+        flags: result.interpretation.flags,
+        interpretation: result.interpretation,
         recommendation,
-        date: date || new Date().toISOString(),
+        completedAt: date ? Timestamp.fromDate(new Date(date)) : Timestamp.now(),
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
       };
@@ -74,14 +75,37 @@ class EvaluationController {
       const db = FirebaseService.getFirestore();
       const docRef = await db.collection('evaluations').add(evaluation);
 
-      logger.info(`Nueva evaluación GAD-7 creada: ${docRef.id} para usuario: ${userId}, puntuación: ${calculatedScore}`);
+      logger.info(`Nueva evaluación ${result.testType} creada: ${docRef.id} para usuario: ${userId}, puntuación: ${calculatedScore}`);
+      if (result.flags.length > 0) {
+        logger.warn(`Evaluación ${docRef.id} con alertas clínicas: ${result.interpretation.flags.join(', ')}`);
+      }
+
+      // Ítem 9 del PHQ-9: escalada de seguridad con independencia de la puntuación
+      let crisis = null;
+      if (result.interpretation.flags.includes('self_harm')) {
+        try {
+          await crisisService.recordEvent(userId || null, {
+            source: 'questionnaire',
+            trigger: 'phq9_item9',
+            riskLevel: 'high',
+            referenceId: docRef.id,
+            country: req.body.country,
+            resourcesShown: true
+          });
+        } catch (error) {
+          logger.error('Error registrando crisis desde la evaluación:', error);
+        }
+        crisis = { detected: true, riskLevel: 'high', resources: crisisService.getResources(req.body.country) };
+      }
 
       res.status(201).json({
         success: true,
         data: {
           id: docRef.id,
-          ...evaluation
+          ...evaluation,
+          completedAt: evaluation.completedAt.toDate().toISOString()
         },
+        ...(crisis && { crisis }),
         message: 'Evaluación completada exitosamente'
       });
 
@@ -104,23 +128,20 @@ class EvaluationController {
       const db = FirebaseService.getFirestore();
       let query = db.collection('evaluations')
         .where('userId', '==', userId)
-        .orderBy('date', 'desc')
+        .orderBy('completedAt', 'desc')
         .limit(parseInt(limit as string))
         .offset(parseInt(offset as string));
 
       // Filtros opcionales
       if (startDate) {
-        query = query.where('date', '>=', startDate);
+        query = query.where('completedAt', '>=', Timestamp.fromDate(new Date(startDate as string)));
       }
       if (endDate) {
-        query = query.where('date', '<=', endDate);
+        query = query.where('completedAt', '<=', Timestamp.fromDate(new Date(endDate as string)));
       }
 
       const snapshot = await query.get();
-      const evaluations = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      const evaluations = snapshot.docs.map(doc => serializeEvaluation(doc.id, doc.data()));
 
       logger.info(`Evaluaciones obtenidas para usuario: ${userId}, cantidad: ${evaluations.length}`);
 
@@ -156,14 +177,15 @@ class EvaluationController {
 
       const snapshot = await db.collection('evaluations')
         .where('userId', '==', userId)
-        .where('date', '>=', startDate.toISOString())
+        .where('completedAt', '>=', Timestamp.fromDate(startDate))
+        .orderBy('completedAt', 'desc')
         .get();
 
       const evaluations = snapshot.docs.map(doc => doc.data());
       
       // Calcular estadísticas
       const totalEvaluations = evaluations.length;
-      const avgScore = evaluations.reduce((sum, evaluation) => sum + evaluation.totalScore, 0) / totalEvaluations || 0;
+      const avgScore = evaluations.reduce((sum, evaluation) => sum + evaluation.score, 0) / totalEvaluations || 0;
       
       const levelDistribution = evaluations.reduce((acc, evaluation) => {
         acc[evaluation.anxietyLevel] = (acc[evaluation.anxietyLevel] || 0) + 1;
@@ -173,10 +195,14 @@ class EvaluationController {
       // Calcular tendencia
       const recentEvaluations = evaluations.slice(0, 3);
       const olderEvaluations = evaluations.slice(-3);
-      const recentAvg = recentEvaluations.reduce((sum, evaluation) => sum + evaluation.totalScore, 0) / recentEvaluations.length || 0;
-      const olderAvg = olderEvaluations.reduce((sum, evaluation) => sum + evaluation.totalScore, 0) / olderEvaluations.length || 0;
+      const recentAvg = recentEvaluations.reduce((sum, evaluation) => sum + evaluation.score, 0) / recentEvaluations.length || 0;
+      const olderAvg = olderEvaluations.reduce((sum, evaluation) => sum + evaluation.score, 0) / olderEvaluations.length || 0;
       const trend = recentAvg - olderAvg;
 
+      // Cambio clínico desde la primera evaluación de cada test, no solo dentro del periodo
+      const history = await evaluationService.getEvaluations(userId as string, { limit: 1000 });
+      const clinicalChange = evaluationService.calculateClinicalChange(history);
+
       logger.info(`Estadísticas de evaluaciones calculadas para usuario: ${userId}`);
 
       res.status(200).json({
@@ -187,6 +213,7 @@ class EvaluationController {
           levelDistribution,
           trend: Math.round(trend * 100) / 100,
           trendDirection: trend > 0 ? 'increasing' : trend < 0 ? 'decreasing' : 'stable',
+          clinicalChange,
           period: period
         }
       });
@@ -231,10 +258,7 @@ class EvaluationController {
 
       res.status(200).json({
         success: true,
-        data: {
-          id: doc.id,
-          ...evaluation
-        }
+        data: serializeEvaluation(doc.id, evaluation!)
       });
 
     } catch (error) {
@@ -255,7 +279,7 @@ class EvaluationController {
       const db = FirebaseService.getFirestore();
       const snapshot = await db.collection('evaluations')
         .where('userId', '==', userId)
-        .orderBy('date', 'desc')
+        .orderBy('completedAt', 'desc')
         .limit(1)
         .get();
 
@@ -269,10 +293,7 @@ class EvaluationController {
       }
 
       const doc = snapshot.docs[0];
-      const evaluation = {
-        id: doc.id,
-        ...doc.data()
-      };
+      const evaluation = serializeEvaluation(doc.id, doc.data());
 
       res.status(200).json({
         success: true,
@@ -0,0 +1,148 @@
+import { Request, Response } from 'express';
+import { logger } from '../utils/logger.util';
+import exerciseService from '../services/exercise.service';
+import { ExerciseFilters, ExerciseType } from '../models/exercise.model';
+
+// Filtros ya convertidos por validateExerciseFilters
+const getFilters = (req: Request): ExerciseFilters => {
+  const query = req.query as any;
+
+  return {
+    exerciseType: query.type as ExerciseType[] | undefined,
+    dateFrom: query.from,
+    dateTo: query.to,
+    limit: query.limit,
+    offset: query.offset
+  };
+};
+
+class ExerciseController {
+  // Registrar una sesión de ejercicio completada
+  async createSession(req: Request, res: Response): Promise<void> {
+    try {
+      const session = await exerciseService.createSession(req.user!.userId, req.body, req.get('User-Agent') || '');
+
+      res.status(201).json({
+        success: true,
+        data: session,
+        message: 'Sesión de ejercicio registrada'
+      });
+
+    } catch (error) {
+      logger.error('Error creando sesión de ejercicio:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo registrar la sesión de ejercicio'
+      });
+    }
+  }
+
+  // Listar sesiones con filtros por técnica y rango de fechas (query ya validada)
+  async getSessions(req: Request, res: Response): Promise<void> {
+    try {
+      const filters = getFilters(req);
+      const sessions = await exerciseService.listSessions(req.user!.userId, filters);
+
+      res.status(200).json({
+        success: true,
+        data: sessions,
+        pagination: {
+          limit: filters.limit,
+          offset: filters.offset,
+          total: sessions.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error obteniendo sesiones de ejercicio:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudieron obtener las sesiones de ejercicio'
+      });
+    }
+  }
+
+  // Estadísticas agregadas: minutos totales, uso por técnica y mejora media
+  async getStats(req: Request, res: Response): Promise<void> {
+    try {
+      const { dateFrom, dateTo } = getFilters(req);
+      const stats = await exerciseService.getStats(req.user!.userId, { dateFrom, dateTo });
+
+      res.status(200).json({
+        success: true,
+        data: stats
+      });
+
+    } catch (error) {
+      logger.error('Error obteniendo estadísticas de ejercicios:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudieron obtener las estadísticas de ejercicios'
+      });
+    }
+  }
+
+  // Obtener una sesión concreta
+  async getSessionById(req: Request, res: Response): Promise<void> {
+    try {
+      const session = await exerciseService.getSessionById(req.user!.userId, req.params.sessionId);
+
+      if (!session) {
+        res.status(404).json({
+          success: false,
+          error: 'Sesión no encontrada',
+          message: 'La sesión de ejercicio no existe'
+        });
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: session
+      });
+
+    } catch (error) {
+      logger.error('Error obteniendo sesión de ejercicio:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo obtener la sesión de ejercicio'
+      });
+    }
+  }
+
+  // Corregir la valoración final, las notas o las etiquetas de una sesión
+  async updateSession(req: Request, res: Response): Promise<void> {
+    try {
+      const session = await exerciseService.updateSession(req.user!.userId, req.params.sessionId, req.body);
+
+      if (!session) {
+        res.status(404).json({
+          success: false,
+          error: 'Sesión no encontrada',
+          message: 'La sesión de ejercicio no existe'
+        });
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: session,
+        message: 'Sesión de ejercicio actualizada'
+      });
+
+    } catch (error) {
+      logger.error('Error actualizando sesión de ejercicio:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo actualizar la sesión de ejercicio'
+      });
+    }
+  }
+}
+
+export default new ExerciseController();
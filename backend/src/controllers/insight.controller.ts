@@ -0,0 +1,90 @@
+import { Request, Response } from 'express';
+import { logger } from '../utils/logger.util';
+import aiService from '../services/ai.service';
+
+class InsightController {
+  // Insights sobre tendencias, desencadenantes, ejercicios y cuestionarios
+  async getInsights(req: Request, res: Response): Promise<void> {
+    try {
+      const insights = await aiService.generateMentalHealthInsights(req.user!.userId);
+
+      res.status(200).json({
+        success: true,
+        data: insights,
+        provider: aiService.providerName
+      });
+
+    } catch (error) {
+      logger.error('Error obteniendo insights:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudieron generar los insights'
+      });
+    }
+  }
+
+  // Recomendaciones personalizadas ordenadas por prioridad
+  async getRecommendations(req: Request, res: Response): Promise<void> {
+    try {
+      const recommendations = await aiService.generatePersonalizedRecommendations(req.user!.userId);
+
+      res.status(200).json({
+        success: true,
+        data: recommendations,
+        provider: aiService.providerName
+      });
+
+    } catch (error) {
+      logger.error('Error obteniendo recomendaciones:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudieron generar las recomendaciones'
+      });
+    }
+  }
+
+  // Sentimiento y emociones de un texto (validado por validateInsightText)
+  async analyzeSentiment(req: Request, res: Response): Promise<void> {
+    try {
+      const analysis = await aiService.analyzeSentiment(req.body.text);
+
+      res.status(200).json({
+        success: true,
+        data: analysis,
+        provider: aiService.providerName
+      });
+
+    } catch (error) {
+      logger.error('Error analizando sentimiento:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo analizar el texto'
+      });
+    }
+  }
+
+  // Riesgo de crisis de un texto; las frases explícitas siempre se detectan en local
+  async assessCrisis(req: Request, res: Response): Promise<void> {
+    try {
+      const analysis = await aiService.detectMentalHealthCrisis(req.user!.userId, req.body.text);
+
+      res.status(200).json({
+        success: true,
+        data: analysis
+      });
+
+    } catch (error) {
+      logger.error('Error evaluando riesgo de crisis:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo evaluar el texto'
+      });
+    }
+  }
+}
+
+export default new InsightController();
@@ -0,0 +1,182 @@
+import { Request, Response } from 'express';
+import { logger } from '../utils/logger.util';
+import reminderService from '../services/reminder.service';
+import pushService from '../services/push.service';
+
+class ReminderController {
+  // Recordatorios del usuario con su próximo aviso
+  async listReminders(req: Request, res: Response): Promise<void> {
+    try {
+      const reminders = await reminderService.listReminders(req.user!.userId);
+
+      res.status(200).json({
+        success: true,
+        data: reminders
+      });
+
+    } catch (error) {
+      logger.error('Error listando recordatorios:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudieron obtener los recordatorios'
+      });
+    }
+  }
+
+  // El diario envía todos sus recordatorios (personalizados e inteligentes) de una vez
+  async syncReminders(req: Request, res: Response): Promise<void> {
+    try {
+      const reminders = await reminderService.replaceReminders(req.user!.userId, req.body.reminders, req.body.daily);
+
+      if (!reminders) {
+        res.status(404).json({
+          success: false,
+          error: 'Usuario no encontrado',
+          message: 'El usuario no existe'
+        });
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: reminders,
+        message: 'Recordatorios guardados'
+      });
+
+    } catch (error) {
+      logger.error('Error sincronizando recordatorios:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudieron guardar los recordatorios'
+      });
+    }
+  }
+
+  async snoozeReminder(req: Request, res: Response): Promise<void> {
+    try {
+      const status = await reminderService.snooze(req.user!.userId, req.params.id, req.body.minutes);
+
+      if (status === 'not_found') {
+        res.status(404).json({
+          success: false,
+          error: 'Recordatorio no encontrado',
+          message: 'El recordatorio no existe'
+        });
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Recordatorio pospuesto'
+      });
+
+    } catch (error) {
+      logger.error('Error posponiendo recordatorio:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo posponer el recordatorio'
+      });
+    }
+  }
+
+  // Acción "Posponer" de la notificación: el service worker envía el token que venía en el aviso
+  async snoozeFromNotification(req: Request, res: Response): Promise<void> {
+    try {
+      const status = await reminderService.snoozeWithToken(req.body.token, req.body.minutes);
+
+      if (status === 'invalid') {
+        res.status(401).json({
+          success: false,
+          error: 'Token inválido',
+          message: 'El enlace del recordatorio no es válido o ha caducado'
+        });
+        return;
+      }
+
+      if (status === 'not_found') {
+        res.status(404).json({
+          success: false,
+          error: 'Recordatorio no encontrado',
+          message: 'El recordatorio ya no existe'
+        });
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Recordatorio pospuesto'
+      });
+
+    } catch (error) {
+      logger.error('Error posponiendo recordatorio desde la notificación:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo posponer el recordatorio'
+      });
+    }
+  }
+
+  // Clave pública VAPID para suscribirse (null si el servidor no envía push reales)
+  async getPushConfig(req: Request, res: Response): Promise<void> {
+    res.status(200).json({
+      success: true,
+      data: {
+        transport: pushService.transportName,
+        publicKey: pushService.publicKey
+      }
+    });
+  }
+
+  async subscribePush(req: Request, res: Response): Promise<void> {
+    try {
+      await pushService.saveSubscription(req.user!.userId, req.body, req.get('user-agent') || null);
+
+      res.status(201).json({
+        success: true,
+        message: 'Notificaciones activadas en este navegador'
+      });
+
+    } catch (error) {
+      logger.error('Error guardando suscripción push:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo guardar la suscripción'
+      });
+    }
+  }
+
+  async unsubscribePush(req: Request, res: Response): Promise<void> {
+    try {
+      const removed = await pushService.removeSubscription(req.user!.userId, req.body.endpoint);
+
+      if (!removed) {
+        res.status(404).json({
+          success: false,
+          error: 'Suscripción no encontrada',
+          message: 'Este navegador no tenía las notificaciones activadas'
+        });
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Notificaciones desactivadas en este navegador'
+      });
+
+    } catch (error) {
+      logger.error('Error borrando suscripción push:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo borrar la suscripción'
+      });
+    }
+  }
+}
+
+export default new ReminderController();
@@ -0,0 +1,151 @@
+import { Request, Response } from 'express';
+import { logger } from '../utils/logger.util';
+import shareService from '../services/share.service';
+
+// Respuesta para enlaces que ya no dan acceso (sin revelar a quién pertenecen)
+const INVALID_TOKEN_MESSAGES = {
+  not_found: { status: 404, message: 'El enlace no existe' },
+  revoked: { status: 410, message: 'El paciente ha revocado este enlace' },
+  expired: { status: 410, message: 'El enlace ha caducado' }
+};
+
+class ShareController {
+  // Crear un enlace de solo lectura para un profesional
+  async createGrant(req: Request, res: Response): Promise<void> {
+    try {
+      const userId = req.user!.userId;
+      const { grant, token } = await shareService.createGrant(userId, req.body);
+      const { tokenHash, ...data } = grant;
+
+      res.status(201).json({
+        success: true,
+        // El token solo se devuelve ahora: el servidor guarda únicamente su hash
+        data: { ...data, token },
+        message: 'Enlace para compartir creado'
+      });
+
+    } catch (error) {
+      logger.error('Error creando enlace para compartir:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo crear el enlace para compartir'
+      });
+    }
+  }
+
+  // Listar los enlaces del usuario (activos, caducados y revocados)
+  async listGrants(req: Request, res: Response): Promise<void> {
+    try {
+      const grants = await shareService.listGrants(req.user!.userId);
+
+      res.status(200).json({
+        success: true,
+        data: grants
+      });
+
+    } catch (error) {
+      logger.error('Error obteniendo enlaces compartidos:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudieron obtener los enlaces compartidos'
+      });
+    }
+  }
+
+  // Revocar un enlace
+  async revokeGrant(req: Request, res: Response): Promise<void> {
+    try {
+      const revoked = await shareService.revokeGrant(req.user!.userId, req.params.grantId);
+
+      if (!revoked) {
+        res.status(404).json({
+          success: false,
+          error: 'Enlace no encontrado',
+          message: 'El enlace no existe'
+        });
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Enlace revocado'
+      });
+
+    } catch (error) {
+      logger.error('Error revocando enlace compartido:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo revocar el enlace'
+      });
+    }
+  }
+
+  // Registro de accesos de un enlace
+  async getAccessLogs(req: Request, res: Response): Promise<void> {
+    try {
+      const logs = await shareService.getAccessLogs(req.user!.userId, req.params.grantId);
+
+      if (!logs) {
+        res.status(404).json({
+          success: false,
+          error: 'Enlace no encontrado',
+          message: 'El enlace no existe'
+        });
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: logs
+      });
+
+    } catch (error) {
+      logger.error('Error obteniendo accesos del enlace:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo obtener el registro de accesos'
+      });
+    }
+  }
+
+  // Informe de solo lectura para el profesional (acceso con el token del enlace)
+  async getSharedReport(req: Request, res: Response): Promise<void> {
+    try {
+      const { status, grant } = await shareService.resolveToken(req.params.token);
+
+      if (status !== 'valid' || !grant) {
+        const invalid = INVALID_TOKEN_MESSAGES[status as keyof typeof INVALID_TOKEN_MESSAGES];
+        res.status(invalid.status).json({
+          success: false,
+          error: 'Enlace no válido',
+          message: invalid.message
+        });
+        return;
+      }
+
+      await shareService.logAccess(grant, req.ip, req.get('user-agent'));
+      const report = await shareService.buildReport(grant);
+
+      // El informe no debe quedar en cachés intermedias ni del navegador
+      res.set('Cache-Control', 'no-store');
+      res.status(200).json({
+        success: true,
+        data: report
+      });
+
+    } catch (error) {
+      logger.error('Error sirviendo informe compartido:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo obtener el informe'
+      });
+    }
+  }
+}
+
+export default new ShareController();
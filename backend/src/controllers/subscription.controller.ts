@@ -0,0 +1,185 @@
+import { Request, Response } from 'express';
+import { logger } from '../utils/logger.util';
+import subscriptionService from '../services/subscription.service';
+
+const PAYMENTS_UNAVAILABLE = { status: 503, message: 'Los pagos no están disponibles en este momento' };
+
+// Respuesta para pagos que no se pueden iniciar
+const CHECKOUT_ERRORS = {
+  invalid_plan: { status: 400, message: 'El plan indicado no es un plan de pago' },
+  already_subscribed: { status: 409, message: 'Ya tienes este plan activo' },
+  unavailable: PAYMENTS_UNAVAILABLE
+};
+
+const CANCEL_ERRORS = {
+  no_subscription: { status: 404, message: 'No tienes ninguna suscripción de pago activa' },
+  already_canceled: { status: 409, message: 'La renovación de tu suscripción ya está cancelada' },
+  unavailable: PAYMENTS_UNAVAILABLE
+};
+
+const RENEWAL_ERRORS = {
+  no_subscription: { status: 404, message: 'No tienes ninguna suscripción de pago' },
+  unavailable: { status: 404, message: 'La simulación de renovaciones solo existe con el proveedor local' }
+};
+
+const WEBHOOK_ERRORS = {
+  unknown_provider: { status: 404, message: 'Proveedor de pagos desconocido' },
+  invalid: { status: 400, message: 'Webhook no válido' }
+};
+
+class SubscriptionController {
+  // Plan actual y funciones disponibles
+  async getSubscription(req: Request, res: Response): Promise<void> {
+    try {
+      const entitlements = await subscriptionService.getEntitlements(req.user!.userId);
+
+      res.status(200).json({
+        success: true,
+        data: entitlements
+      });
+
+    } catch (error) {
+      logger.error('Error obteniendo suscripción:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo obtener la suscripción'
+      });
+    }
+  }
+
+  // Iniciar el pago de un plan
+  async checkout(req: Request, res: Response): Promise<void> {
+    try {
+      const { status, checkout } = await subscriptionService.startCheckout(req.user!.userId, req.user!.email, req.body.plan);
+
+      if (status !== 'started' || !checkout) {
+        const failure = CHECKOUT_ERRORS[status as keyof typeof CHECKOUT_ERRORS];
+        res.status(failure.status).json({
+          success: false,
+          error: 'Pago no iniciado',
+          message: failure.message
+        });
+        return;
+      }
+
+      // Con el proveedor local el pago ya está aplicado: se devuelve el plan resultante
+      const entitlements = checkout.status === 'completed'
+        ? await subscriptionService.getEntitlements(req.user!.userId)
+        : null;
+
+      res.status(201).json({
+        success: true,
+        data: { checkout, entitlements },
+        message: checkout.status === 'completed' ? 'Suscripción activada' : 'Completa el pago para activar tu plan'
+      });
+
+    } catch (error) {
+      logger.error('Error iniciando pago:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo iniciar el pago'
+      });
+    }
+  }
+
+  // Cancelar la renovación (el plan sigue activo hasta el fin del periodo)
+  async cancel(req: Request, res: Response): Promise<void> {
+    try {
+      const status = await subscriptionService.cancel(req.user!.userId);
+
+      if (status !== 'canceled') {
+        const failure = CANCEL_ERRORS[status];
+        res.status(failure.status).json({
+          success: false,
+          error: 'Cancelación no realizada',
+          message: failure.message
+        });
+        return;
+      }
+
+      const entitlements = await subscriptionService.getEntitlements(req.user!.userId);
+
+      res.status(200).json({
+        success: true,
+        data: entitlements,
+        message: 'Tu suscripción no se renovará'
+      });
+
+    } catch (error) {
+      logger.error('Error cancelando suscripción:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo cancelar la suscripción'
+      });
+    }
+  }
+
+  // Solo desarrollo: simular el cobro (o el fallo) de la renovación con el proveedor local
+  async simulateRenewal(req: Request, res: Response): Promise<void> {
+    try {
+      const status = await subscriptionService.simulateRenewal(req.user!.userId, { fail: req.body.fail });
+
+      if (status !== 'renewed') {
+        const failure = RENEWAL_ERRORS[status];
+        res.status(failure.status).json({
+          success: false,
+          error: 'Renovación no simulada',
+          message: failure.message
+        });
+        return;
+      }
+
+      const entitlements = await subscriptionService.getEntitlements(req.user!.userId);
+
+      res.status(200).json({
+        success: true,
+        data: entitlements,
+        message: req.body.fail ? 'Cobro de la renovación fallido' : 'Suscripción renovada'
+      });
+
+    } catch (error) {
+      logger.error('Error simulando renovación:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo simular la renovación'
+      });
+    }
+  }
+
+  // Webhook del proveedor de pagos (sin sesión: lo autentica la firma del cuerpo)
+  async webhook(req: Request, res: Response): Promise<void> {
+    try {
+      const signature = req.get('x-sensus-signature');
+      const status = await subscriptionService.handleWebhook(req.params.provider, req.rawBody || '', signature);
+
+      if (status === 'unknown_provider' || status === 'invalid') {
+        const failure = WEBHOOK_ERRORS[status];
+        res.status(failure.status).json({
+          success: false,
+          error: 'Webhook rechazado',
+          message: failure.message
+        });
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: { status }
+      });
+
+    } catch (error) {
+      logger.error('Error procesando webhook de pago:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo procesar el webhook'
+      });
+    }
+  }
+}
+
+export default new SubscriptionController();
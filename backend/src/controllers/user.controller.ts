@@ -2,9 +2,110 @@ import { Request, Response } from 'express';
 import { logger } from '../utils/logger.util';
 import FirebaseService from '../services/firebase.service';
 import SecurityService from '../services/security.service';
+import diaryService from '../services/diary.service';
+import reminderService from '../services/reminder.service';
+import sessionService from '../services/session.service';
+import twoFactorService from '../services/two-factor.service';
+import {
+  REFRESH_COOKIE_NAME,
+  REFRESH_COOKIE_PATH,
+  REFRESH_RATE_LIMIT_ENDPOINT,
+  REFRESH_TOKEN_TTL_DAYS
+} from '../models/session.model';
+import {
+  REAUTHENTICATE_RATE_LIMIT_ENDPOINT,
+  STEP_UP_TTL_SECONDS,
+  TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+  TWO_FACTOR_RATE_LIMIT_ENDPOINT
+} from '../models/two-factor.model';
+import { getEntitlements, PLANS } from '../shared/entitlements';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 
+function clientContext(req: Request): { ip: string; userAgent: string } {
+  return {
+    ip: req.ip || req.connection.remoteAddress || 'unknown',
+    userAgent: req.get('User-Agent') || 'unknown'
+  };
+}
+
+// El token de refresco vive en una cookie httpOnly: el JavaScript de la página nunca lo ve
+function setRefreshCookie(res: Response, refreshToken: string): void {
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: REFRESH_COOKIE_PATH,
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  });
+}
+
+function clearRefreshCookie(res: Response): void {
+  res.clearCookie(REFRESH_COOKIE_NAME, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: REFRESH_COOKIE_PATH
+  });
+}
+
+// Sin cookie-parser: se lee la cabecera Cookie directamente
+function readRefreshCookie(req: Request): string | null {
+  const cookies = req.headers.cookie ? req.headers.cookie.split(';') : [];
+
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === REFRESH_COOKIE_NAME) {
+      try {
+        return decodeURIComponent(value.join('='));
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+// Abrir sesión: token de acceso en la respuesta y token de refresco en la cookie
+async function openSession(
+  res: Response,
+  userId: string,
+  userData: any,
+  context: { ip: string; userAgent: string },
+  options: { twoFactor?: boolean } = {}
+) {
+  const now = new Date().toISOString();
+  await FirebaseService.getFirestore().collection('users').doc(userId).update({
+    lastLogin: now,
+    updatedAt: now
+  });
+
+  const session = await sessionService.createSession({
+    userId,
+    email: userData.email,
+    role: userData.role || 'user',
+    permissions: userData.permissions || ['read:profile', 'write:profile', 'read:diary', 'write:diary']
+  }, context, options);
+  setRefreshCookie(res, session.refreshToken!);
+
+  return {
+    user: {
+      id: userId,
+      email: userData.email,
+      firstName: userData.firstName,
+      lastName: userData.lastName,
+      birthDate: userData.birthDate,
+      createdAt: userData.createdAt,
+      lastLogin: now,
+      preferences: userData.preferences,
+      // Funciones del plan para bloquear en el cliente lo que la API rechazaría
+      entitlements: getEntitlements(userData.subscription)
+    },
+    token: session.accessToken,
+    expiresIn: session.expiresIn
+  };
+}
+
 class UserController {
   // Registrar nuevo usuario
   async register(req: Request, res: Response): Promise<void> {
@@ -75,19 +176,26 @@ class UserController {
           theme: 'light',
           notifications: true,
           language: 'es'
+        },
+        subscription: {
+          plan: 'free',
+          startDate: null,
+          endDate: null,
+          features: [...PLANS.free.features]
         }
       };
 
       const userRef = await db.collection('users').add(userData);
       const userId = userRef.id;
 
-      // Generar JWT token seguro
-      const token = SecurityService.generateSecureToken({
+      // Abrir sesión: token de acceso en la respuesta y token de refresco en la cookie
+      const session = await sessionService.createSession({
         userId,
         email,
         role: 'user',
         permissions: ['read:profile', 'write:profile', 'read:diary', 'write:diary']
-      });
+      }, clientContext(req));
+      setRefreshCookie(res, session.refreshToken!);
 
       logger.info(`Nuevo usuario registrado: ${userId} - ${email}`);
 
@@ -101,9 +209,11 @@ class UserController {
             lastName,
             birthDate,
             createdAt: userData.createdAt,
-            preferences: userData.preferences
+            preferences: userData.preferences,
+            entitlements: getEntitlements(userData.subscription)
           },
-          token
+          token: session.accessToken,
+          expiresIn: session.expiresIn
         },
         message: 'Usuario registrado exitosamente'
       });
@@ -189,45 +299,116 @@ class UserController {
         return;
       }
 
-      // Actualizar último login
-      await db.collection('users').doc(userId!).update({
-        lastLogin: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      });
-
-      // Registrar login exitoso
+      // Registrar login exitoso (la contraseña es correcta)
       await SecurityService.recordLoginAttempt(ip, email, true, userAgent);
 
-      // Generar JWT token seguro
-      const token = SecurityService.generateSecureToken({
-        userId,
-        email,
-        role: userData.role || 'user',
-        permissions: userData.permissions || ['read:profile', 'write:profile', 'read:diary', 'write:diary']
-      });
+      // Con la verificación en dos pasos activada falta el código: aún no se abre sesión
+      if (await twoFactorService.isEnabled(userId)) {
+        logger.info(`Contraseña correcta, falta el código de verificación: ${userId}`);
+
+        res.status(200).json({
+          success: true,
+          data: {
+            twoFactorRequired: true,
+            challengeToken: SecurityService.generateTwoFactorChallenge(userId),
+            expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS
+          },
+          message: 'Introduce el código de tu app de autenticación'
+        });
+        return;
+      }
+
+      const data = await openSession(res, userId, userData, { ip, userAgent });
 
       logger.info(`Usuario inició sesión: ${userId} - ${email}`);
 
+      res.status(200).json({
+        success: true,
+        data,
+        message: 'Inicio de sesión exitoso'
+      });
+
+    } catch (error) {
+      logger.error('Error en inicio de sesión:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo iniciar sesión'
+      });
+    }
+  }
+
+  /**
+   * Segundo paso del inicio de sesión: el código de la app (o uno de recuperación) con el
+   * token que devolvió /login. Los intentos se cuentan por usuario
+   */
+  async verifyTwoFactorLogin(req: Request, res: Response): Promise<void> {
+    try {
+      const { challengeToken, code } = req.body;
+      const context = clientContext(req);
+
+      const challenge = await SecurityService.verifyTwoFactorChallenge(challengeToken);
+      if (!challenge) {
+        res.status(401).json({
+          success: false,
+          error: 'Verificación caducada',
+          message: 'El tiempo para introducir el código ha terminado. Inicia sesión de nuevo'
+        });
+        return;
+      }
+
+      const rateLimit = await SecurityService.checkRateLimit(challenge.userId, TWO_FACTOR_RATE_LIMIT_ENDPOINT);
+      if (!rateLimit.allowed) {
+        res.status(429).json({
+          success: false,
+          error: 'Demasiadas solicitudes',
+          message: 'Has excedido el límite de solicitudes. Intenta más tarde.',
+          retryAfter: rateLimit.resetTime
+        });
+        return;
+      }
+
+      const verification = await twoFactorService.verify(challenge.userId, code);
+      if (!verification.valid) {
+        res.status(401).json({
+          success: false,
+          error: 'Código incorrecto',
+          message: 'El código no es válido o ya se ha usado'
+        });
+        return;
+      }
+
+      // El token del paso intermedio solo sirve una vez
+      await SecurityService.revokeToken(challenge.jti, challenge.exp * 1000);
+
+      const userDoc = await FirebaseService.getFirestore().collection('users').doc(challenge.userId).get();
+      const userData = userDoc.data();
+
+      if (!userData?.isActive) {
+        res.status(401).json({
+          success: false,
+          error: 'Cuenta desactivada',
+          message: 'Tu cuenta ha sido desactivada'
+        });
+        return;
+      }
+
+      const data = await openSession(res, challenge.userId, userData, context, { twoFactor: true });
+
+      logger.info(`Usuario inició sesión con verificación en dos pasos (${verification.method}): ${challenge.userId}`);
+
       res.status(200).json({
         success: true,
         data: {
-          user: {
-            id: userId,
-            email: userData.email,
-            firstName: userData.firstName,
-            lastName: userData.lastName,
-            birthDate: userData.birthDate,
-            createdAt: userData.createdAt,
-            lastLogin: new Date().toISOString(),
-            preferences: userData.preferences
-          },
-          token
+          ...data,
+          // Con un código de recuperación, para avisar de los que quedan
+          ...(verification.method === 'recovery' ? { recoveryCodesRemaining: verification.recoveryCodesRemaining } : {})
         },
         message: 'Inicio de sesión exitoso'
       });
 
     } catch (error) {
-      logger.error('Error en inicio de sesión:', error);
+      logger.error('Error en la verificación en dos pasos:', error);
       res.status(500).json({
         success: false,
         error: 'Error interno del servidor',
@@ -262,7 +443,8 @@ class UserController {
         success: true,
         data: {
           id: userId,
-          ...safeUserData
+          ...safeUserData,
+          entitlements: getEntitlements(safeUserData.subscription)
         }
       });
 
@@ -289,11 +471,21 @@ class UserController {
       if (firstName) updateData.firstName = firstName;
       if (lastName) updateData.lastName = lastName;
       if (birthDate) updateData.birthDate = birthDate;
-      if (preferences) updateData.preferences = { ...preferences };
+      // Rutas con punto: solo se actualizan las preferencias enviadas (p. ej. el idioma) sin borrar el resto
+      if (preferences) {
+        Object.entries(preferences).forEach(([key, value]) => {
+          updateData[`preferences.${key}`] = value;
+        });
+      }
 
       const db = FirebaseService.getFirestore();
       await db.collection('users').doc(userId!).update(updateData);
 
+      // La hora del recordatorio, la zona horaria y las horas de silencio reprograman los avisos push
+      if (preferences) {
+        await reminderService.syncPreferences(userId!);
+      }
+
       logger.info(`Perfil actualizado para usuario: ${userId}`);
 
       res.status(200).json({
@@ -312,6 +504,43 @@ class UserController {
     }
   }
 
+  // Exportar todos los datos del usuario (perfil, diario y evaluaciones) en JSON
+  async exportData(req: Request, res: Response): Promise<void> {
+    try {
+      const userId = req.user?.userId;
+
+      const db = FirebaseService.getFirestore();
+      const [userDoc, entriesSnapshot, evaluationsSnapshot] = await Promise.all([
+        db.collection('users').doc(userId!).get(),
+        db.collection('diary_entries').where('userId', '==', userId).orderBy('date').get(),
+        db.collection('evaluations').where('userId', '==', userId).orderBy('completedAt').get()
+      ]);
+
+      const { password, ...profile } = userDoc.data() || {};
+
+      logger.info(`Datos exportados para usuario: ${userId}`);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          profile: { id: userId, ...profile },
+          // Las entradas cifradas en el cliente se exportan cifradas: solo el navegador tiene la clave
+          entries: entriesSnapshot.docs.map(doc => diaryService.formatDiaryEntryResponse({ id: doc.id, ...doc.data() } as any)),
+          evaluations: evaluationsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+          exportedAt: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error exportando datos:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudieron exportar los datos'
+      });
+    }
+  }
+
   // Cambiar contraseña
   async changePassword(req: Request, res: Response): Promise<void> {
     try {
@@ -371,6 +600,9 @@ class UserController {
         updatedAt: new Date().toISOString()
       });
 
+      // El resto de dispositivos tiene que volver a iniciar sesión con la nueva contraseña
+      await sessionService.revokeAllSessions(userId!, 'password_changed', req.user?.sessionId);
+
       logger.info(`Contraseña cambiada para usuario: ${userId}`);
 
       res.status(200).json({
@@ -448,6 +680,9 @@ class UserController {
       
       await batch.commit();
 
+      await sessionService.revokeAllSessions(userId!, 'account_deleted');
+      clearRefreshCookie(res);
+
       logger.info(`Cuenta eliminada para usuario: ${userId}`);
 
       res.status(200).json({
@@ -464,6 +699,393 @@ class UserController {
       });
     }
   }
+
+  // Nuevo token de acceso con la cookie de refresco (que rota en cada uso)
+  async refreshToken(req: Request, res: Response): Promise<void> {
+    try {
+      const context = clientContext(req);
+
+      const rateLimit = await SecurityService.checkRateLimit(context.ip, REFRESH_RATE_LIMIT_ENDPOINT);
+      if (!rateLimit.allowed) {
+        res.status(429).json({
+          success: false,
+          error: 'Demasiadas solicitudes',
+          message: 'Has excedido el límite de solicitudes. Intenta más tarde.',
+          retryAfter: rateLimit.resetTime
+        });
+        return;
+      }
+
+      const refreshToken = readRefreshCookie(req);
+
+      if (!refreshToken) {
+        res.status(401).json({
+          success: false,
+          error: 'Sesión requerida',
+          message: 'No hay ninguna sesión abierta en este navegador'
+        });
+        return;
+      }
+
+      const { status, tokens } = await sessionService.refresh(refreshToken, context);
+
+      if (status !== 'refreshed' || !tokens) {
+        clearRefreshCookie(res);
+        res.status(401).json({
+          success: false,
+          error: status === 'reused' ? 'Sesión revocada' : 'Sesión expirada',
+          message: status === 'reused'
+            ? 'Se ha detectado un uso indebido de tu sesión y se ha cerrado por seguridad. Inicia sesión de nuevo'
+            : 'Tu sesión ha expirado. Por favor, inicia sesión nuevamente'
+        });
+        return;
+      }
+
+      if (tokens.refreshToken) {
+        setRefreshCookie(res, tokens.refreshToken);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          token: tokens.accessToken,
+          expiresIn: tokens.expiresIn
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error refrescando token:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo renovar la sesión'
+      });
+    }
+  }
+
+  // Cerrar la sesión de este navegador (basta la cookie: el token de acceso puede haber caducado)
+  async logout(req: Request, res: Response): Promise<void> {
+    try {
+      const refreshToken = readRefreshCookie(req);
+
+      if (refreshToken) {
+        await sessionService.logout(refreshToken);
+      }
+      clearRefreshCookie(res);
+
+      res.status(200).json({
+        success: true,
+        message: 'Sesión cerrada'
+      });
+
+    } catch (error) {
+      logger.error('Error cerrando sesión:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo cerrar la sesión'
+      });
+    }
+  }
+
+  // Dispositivos con la sesión abierta
+  async listSessions(req: Request, res: Response): Promise<void> {
+    try {
+      const sessions = await sessionService.listSessions(req.user!.userId, req.user!.sessionId);
+
+      res.status(200).json({
+        success: true,
+        data: sessions
+      });
+
+    } catch (error) {
+      logger.error('Error listando sesiones:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudieron obtener las sesiones'
+      });
+    }
+  }
+
+  async revokeSession(req: Request, res: Response): Promise<void> {
+    try {
+      const status = await sessionService.revokeSession(req.user!.userId, req.params.id);
+
+      if (status === 'not_found') {
+        res.status(404).json({
+          success: false,
+          error: 'Sesión no encontrada',
+          message: 'La sesión no existe o ya estaba cerrada'
+        });
+        return;
+      }
+
+      if (req.params.id === req.user!.sessionId) {
+        clearRefreshCookie(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Sesión cerrada en ese dispositivo'
+      });
+
+    } catch (error) {
+      logger.error('Error revocando sesión:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo cerrar la sesión'
+      });
+    }
+  }
+
+  // Cerrar sesión en todos los dispositivos (?exceptCurrent=true para seguir en este)
+  async revokeAllSessions(req: Request, res: Response): Promise<void> {
+    try {
+      const exceptCurrent = (req.query as { exceptCurrent?: boolean }).exceptCurrent === true;
+      const revoked = await sessionService.revokeAllSessions(
+        req.user!.userId,
+        'revoked_all',
+        exceptCurrent ? req.user!.sessionId : undefined
+      );
+
+      if (!exceptCurrent) {
+        clearRefreshCookie(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: { revoked },
+        message: exceptCurrent ? 'Sesión cerrada en los demás dispositivos' : 'Sesión cerrada en todos los dispositivos'
+      });
+
+    } catch (error) {
+      logger.error('Error revocando sesiones:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudieron cerrar las sesiones'
+      });
+    }
+  }
+
+  /**
+   * Confirmar la identidad antes de una acción sensible (sensitiveEndpoint): con la
+   * verificación en dos pasos activada hace falta un código; sin ella, la contraseña
+   */
+  async reauthenticate(req: Request, res: Response): Promise<void> {
+    try {
+      const userId = req.user!.userId;
+      const { password, code } = req.body;
+
+      const rateLimit = await SecurityService.checkRateLimit(userId, REAUTHENTICATE_RATE_LIMIT_ENDPOINT);
+      if (!rateLimit.allowed) {
+        res.status(429).json({
+          success: false,
+          error: 'Demasiadas solicitudes',
+          message: 'Has excedido el límite de solicitudes. Intenta más tarde.',
+          retryAfter: rateLimit.resetTime
+        });
+        return;
+      }
+
+      const twoFactorEnabled = await twoFactorService.isEnabled(userId);
+      let isValid = false;
+
+      if (twoFactorEnabled) {
+        if (!code) {
+          res.status(400).json({
+            success: false,
+            error: 'Código requerido',
+            message: 'Introduce el código de tu app de autenticación',
+            method: 'totp'
+          });
+          return;
+        }
+        isValid = (await twoFactorService.verify(userId, code)).valid;
+      } else {
+        if (!password) {
+          res.status(400).json({
+            success: false,
+            error: 'Contraseña requerida',
+            message: 'Introduce tu contraseña para continuar',
+            method: 'password'
+          });
+          return;
+        }
+        const userDoc = await FirebaseService.getFirestore().collection('users').doc(userId).get();
+        isValid = await SecurityService.verifyPassword(password, userDoc.data()?.password || '');
+      }
+
+      if (!isValid) {
+        res.status(401).json({
+          success: false,
+          error: twoFactorEnabled ? 'Código incorrecto' : 'Contraseña incorrecta',
+          message: twoFactorEnabled ? 'El código no es válido o ya se ha usado' : 'La contraseña no es correcta'
+        });
+        return;
+      }
+
+      await sessionService.markReauthenticated(req.user!.sessionId!, { twoFactor: twoFactorEnabled });
+
+      res.status(200).json({
+        success: true,
+        data: { expiresIn: STEP_UP_TTL_SECONDS },
+        message: 'Identidad confirmada'
+      });
+
+    } catch (error) {
+      logger.error('Error confirmando la identidad:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo confirmar tu identidad'
+      });
+    }
+  }
+
+  // Estado de la verificación en dos pasos
+  async getTwoFactorStatus(req: Request, res: Response): Promise<void> {
+    try {
+      const status = await twoFactorService.getStatus(req.user!.userId);
+
+      res.status(200).json({
+        success: true,
+        data: status
+      });
+
+    } catch (error) {
+      logger.error('Error obteniendo la verificación en dos pasos:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo obtener la verificación en dos pasos'
+      });
+    }
+  }
+
+  /**
+   * Empezar el alta: secreto y URI otpauth:// para el código QR. No se activa hasta
+   * confirmarla con un código (POST /2fa/enable)
+   */
+  async setupTwoFactor(req: Request, res: Response): Promise<void> {
+    try {
+      const { status, enrollment } = await twoFactorService.startEnrollment(req.user!.userId, req.user!.email);
+
+      if (status === 'already_enabled') {
+        res.status(409).json({
+          success: false,
+          error: 'Verificación ya activada',
+          message: 'La verificación en dos pasos ya está activada'
+        });
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: enrollment,
+        message: 'Escanea el código con tu app de autenticación'
+      });
+
+    } catch (error) {
+      logger.error('Error iniciando la verificación en dos pasos:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo iniciar la verificación en dos pasos'
+      });
+    }
+  }
+
+  /**
+   * Activar con el primer código. Esta sesión queda verificada y el resto de dispositivos
+   * tiene que volver a iniciar sesión, ya con el código
+   */
+  async enableTwoFactor(req: Request, res: Response): Promise<void> {
+    try {
+      const userId = req.user!.userId;
+      const { status, recoveryCodes } = await twoFactorService.confirmEnrollment(userId, req.body.code);
+
+      if (status !== 'enabled') {
+        const errors = {
+          already_enabled: { status: 409, error: 'Verificación ya activada', message: 'La verificación en dos pasos ya está activada' },
+          not_started: { status: 400, error: 'Alta no iniciada', message: 'Empieza de nuevo la activación de la verificación en dos pasos' },
+          invalid_code: { status: 400, error: 'Código incorrecto', message: 'El código no es válido. Comprueba la hora de tu móvil' }
+        };
+        const { status: httpStatus, error, message } = errors[status];
+        res.status(httpStatus).json({ success: false, error, message });
+        return;
+      }
+
+      await sessionService.markReauthenticated(req.user!.sessionId!, { twoFactor: true });
+      await sessionService.revokeAllSessions(userId, 'two_factor_enabled', req.user!.sessionId);
+
+      res.status(200).json({
+        success: true,
+        // Solo se muestran esta vez: el servidor guarda su hash
+        data: { recoveryCodes },
+        message: 'Verificación en dos pasos activada'
+      });
+
+    } catch (error) {
+      logger.error('Error activando la verificación en dos pasos:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo activar la verificación en dos pasos'
+      });
+    }
+  }
+
+  // Códigos de recuperación nuevos (los anteriores dejan de servir)
+  async regenerateRecoveryCodes(req: Request, res: Response): Promise<void> {
+    try {
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user!.userId);
+
+      if (!recoveryCodes) {
+        res.status(400).json({
+          success: false,
+          error: 'Verificación no activada',
+          message: 'La verificación en dos pasos no está activada'
+        });
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: { recoveryCodes },
+        message: 'Códigos de recuperación nuevos generados'
+      });
+
+    } catch (error) {
+      logger.error('Error regenerando los códigos de recuperación:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudieron generar los códigos de recuperación'
+      });
+    }
+  }
+
+  async disableTwoFactor(req: Request, res: Response): Promise<void> {
+    try {
+      await twoFactorService.disable(req.user!.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Verificación en dos pasos desactivada'
+      });
+
+    } catch (error) {
+      logger.error('Error desactivando la verificación en dos pasos:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor',
+        message: 'No se pudo desactivar la verificación en dos pasos'
+      });
+    }
+  }
 }
 
 export default new UserController();
\ No newline at end of file
@@ -5,6 +5,9 @@
 
 import { Request, Response, NextFunction } from 'express';
 import SecurityService from '../services/security.service';
+import sessionService from '../services/session.service';
+import twoFactorService from '../services/two-factor.service';
+import { STEP_UP_TTL_SECONDS } from '../models/two-factor.model';
 import { logger } from '../utils/logger.util';
 
 interface SecureRequest extends Request {
@@ -30,6 +33,11 @@ class AdvancedSecurityMiddleware {
 
   constructor() {
     this.securityService = SecurityService;
+
+    // Se montan sueltos en las rutas (router.use(middleware.advancedAuth)): necesitan `this`
+    this.securityCheck = this.securityCheck.bind(this);
+    this.advancedAuth = this.advancedAuth.bind(this);
+    this.sensitiveEndpoint = this.sensitiveEndpoint.bind(this);
   }
 
   /**
@@ -129,8 +137,8 @@ class AdvancedSecurityMiddleware {
       const ip = req.securityContext?.ip || this.getClientIP(req);
       const userAgent = req.securityContext?.userAgent || req.get('User-Agent') || 'unknown';
 
-      // Verificar token con servicio de seguridad
-      const decoded = await this.securityService.verifySecureToken(token);
+      // Verificar token de acceso con servicio de seguridad
+      const decoded = await this.securityService.verifyAccessToken(token);
       
       if (!decoded.userId || !decoded.email) {
         res.status(401).json({
@@ -141,11 +149,10 @@ class AdvancedSecurityMiddleware {
         return;
       }
 
-      // Verificar sesión activa
-      const sessionKey = `session:${decoded.userId}:${decoded.jti}`;
-      const sessionData = await this.getSessionData(sessionKey);
+      // Verificar que la sesión del token siga abierta
+      const session = await sessionService.getActiveSession(decoded.userId, decoded.sessionId);
       
-      if (!sessionData) {
+      if (!session) {
         res.status(401).json({
           success: false,
           error: 'Sesión expirada',
@@ -154,20 +161,20 @@ class AdvancedSecurityMiddleware {
         return;
       }
 
-      // Verificar IP de la sesión (opcional, para mayor seguridad)
-      if (sessionData.ip !== ip) {
-        logger.warn(`🚨 Cambio de IP detectado para usuario ${decoded.userId}: ${sessionData.ip} -> ${ip}`);
-        
-        // Opcional: invalidar sesión por cambio de IP
-        // await this.invalidateSession(sessionKey);
+      // Con la verificación en dos pasos activada, la sesión tiene que haberse abierto con el código
+      if (!session.twoFactorVerifiedAt && await twoFactorService.isEnabled(decoded.userId)) {
+        res.status(401).json({
+          success: false,
+          error: 'Verificación en dos pasos requerida',
+          message: 'Inicia sesión de nuevo con el código de tu app de autenticación'
+        });
+        return;
       }
 
-      // Actualizar última actividad
-      await this.updateSessionActivity(sessionKey, {
-        lastActivity: new Date(),
-        ip,
-        userAgent
-      });
+      // Verificar IP de la sesión (solo aviso: cambia al pasar de wifi a datos móviles)
+      if (session.ip !== ip) {
+        logger.warn(`🚨 Cambio de IP detectado para usuario ${decoded.userId}: ${session.ip} -> ${ip}`);
+      }
 
       // Añadir información del usuario a la request
       req.user = {
@@ -175,13 +182,22 @@ class AdvancedSecurityMiddleware {
         email: decoded.email,
         role: decoded.role || 'user',
         permissions: decoded.permissions || [],
-        sessionId: decoded.jti,
+        sessionId: decoded.sessionId,
         lastActivity: new Date()
       };
 
       next();
 
     } catch (error) {
+      if ((error as any).name === 'TokenExpiredError') {
+        res.status(401).json({
+          success: false,
+          error: 'Token expirado',
+          message: 'El token ha expirado, por favor inicia sesión nuevamente'
+        });
+        return;
+      }
+
       if ((error as Error).message === 'Token revocado') {
         res.status(401).json({
           success: false,
@@ -266,7 +282,8 @@ class AdvancedSecurityMiddleware {
   }
 
   /**
-   * Middleware para endpoints sensibles
+   * Middleware para endpoints sensibles: piden haber confirmado la identidad en los
+   * últimos STEP_UP_TTL_SECONDS (403 con `method` para saber qué pedir)
    */
   async sensitiveEndpoint(req: SecureRequest, res: Response, next: NextFunction): Promise<void> {
     try {
@@ -288,6 +305,25 @@ class AdvancedSecurityMiddleware {
           });
           return;
         }
+
+        // Identidad confirmada hace poco (POST /users/reauthenticate o inicio de sesión)
+        const session = req.user.sessionId
+          ? await sessionService.getActiveSession(req.user.userId, req.user.sessionId)
+          : null;
+        const confirmedAt = session?.reauthenticatedAt ? new Date(session.reauthenticatedAt).getTime() : 0;
+
+        if (Date.now() - confirmedAt > STEP_UP_TTL_SECONDS * 1000) {
+          const twoFactorEnabled = await twoFactorService.isEnabled(req.user.userId);
+          res.status(403).json({
+            success: false,
+            error: 'Reautenticación requerida',
+            message: twoFactorEnabled
+              ? 'Introduce el código de tu app de autenticación para continuar'
+              : 'Introduce tu contraseña para continuar',
+            method: twoFactorEnabled ? 'totp' : 'password'
+          });
+          return;
+        }
       }
 
       next();
@@ -382,37 +418,6 @@ class AdvancedSecurityMiddleware {
     res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains; preload');
   }
 
-  /**
-   * Obtener datos de sesión
-   */
-  private async getSessionData(sessionKey: string): Promise<any> {
-    try {
-      // Implementar lógica para obtener datos de sesión desde Redis
-      // Por ahora retornamos datos mock
-      return {
-        userId: 'mock-user-id',
-        ip: '127.0.0.1',
-        createdAt: new Date(),
-        lastActivity: new Date()
-      };
-    } catch (error) {
-      logger.error('Error obteniendo datos de sesión:', error);
-      return null;
-    }
-  }
-
-  /**
-   * Actualizar actividad de sesión
-   */
-  private async updateSessionActivity(sessionKey: string, activity: any): Promise<void> {
-    try {
-      // Implementar lógica para actualizar actividad de sesión
-      logger.debug(`Actualizando actividad de sesión: ${sessionKey}`, activity);
-    } catch (error) {
-      logger.error('Error actualizando actividad de sesión:', error);
-    }
-  }
-
   /**
    * Obtener estado del usuario
    */
@@ -1,7 +1,9 @@
 import { Request, Response, NextFunction } from 'express';
-import jwt from 'jsonwebtoken';
 import { logger } from '../utils/logger.util';
 import FirebaseService from '../services/firebase.service';
+import SecurityService from '../services/security.service';
+import sessionService from '../services/session.service';
+import { Feature, hasFeature, isSubscriptionActive, requiredPlanFor } from '../shared/entitlements';
 
 interface AuthenticatedRequest extends Request {
   user?: {
@@ -40,8 +42,8 @@ class AuthMiddleware {
         return;
       }
 
-      // Verificar token JWT
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret') as any;
+      // Verificar token de acceso (firma, caducidad y que su sesión no esté revocada)
+      const decoded = await SecurityService.verifyAccessToken(token);
       
       if (!decoded.userId || !decoded.email) {
         res.status(401).json({
@@ -52,6 +54,18 @@ class AuthMiddleware {
         return;
       }
 
+      // La sesión del token tiene que seguir abierta (revocada o caducada corta sus tokens al momento)
+      const session = await sessionService.getActiveSession(decoded.userId, decoded.sessionId);
+
+      if (!session) {
+        res.status(401).json({
+          success: false,
+          error: 'Sesión expirada',
+          message: 'Tu sesión ha expirado. Por favor, inicia sesión nuevamente'
+        });
+        return;
+      }
+
       // Agregar información del usuario a la request
       req.user = {
         userId: decoded.userId,
@@ -84,6 +98,15 @@ class AuthMiddleware {
         return;
       }
 
+      if ((error as Error).message === 'Token revocado') {
+        res.status(401).json({
+          success: false,
+          error: 'Token revocado',
+          message: 'Tu sesión ha sido cerrada. Por favor, inicia sesión nuevamente'
+        });
+        return;
+      }
+
       logger.error('Error verificando token:', error);
       res.status(500).json({
         success: false,
@@ -162,9 +185,9 @@ class AuthMiddleware {
       }
 
       // Intentar verificar token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret') as any;
+      const decoded = await SecurityService.verifyAccessToken(token);
       
-      if (decoded.userId && decoded.email) {
+      if (decoded.userId && decoded.email && await sessionService.getActiveSession(decoded.userId, decoded.sessionId)) {
         req.user = {
           userId: decoded.userId,
           email: decoded.email,
@@ -184,8 +207,8 @@ class AuthMiddleware {
     }
   }
 
-  // Verificar roles de usuario (para futuras implementaciones)
-  async verifyRole(requiredRoles: string[]) {
+  // Verificar roles de usuario (el rol se lee de la base de datos, no del token)
+  verifyRole(requiredRoles: string[]) {
     return async (req: AuthenticatedRequest, res: Response, next: NextFunction): Promise<void> => {
       try {
         const userId = req.user?.userId;
@@ -235,6 +258,97 @@ class AuthMiddleware {
       }
     };
   }
+
+  // Verificar que el usuario tiene una suscripción activa a alguno de los planes
+  verifyActivePlan(requiredPlans: string[]) {
+    return async (req: AuthenticatedRequest, res: Response, next: NextFunction): Promise<void> => {
+      try {
+        const userId = req.user?.userId;
+
+        if (!userId) {
+          res.status(401).json({
+            success: false,
+            error: 'Usuario no identificado',
+            message: 'No se pudo identificar al usuario'
+          });
+          return;
+        }
+
+        const db = FirebaseService.getFirestore();
+        const userDoc = await db.collection('users').doc(userId).get();
+        const subscription = userDoc.data()?.subscription;
+
+        if (!subscription || !requiredPlans.includes(subscription.plan) || !isSubscriptionActive(subscription)) {
+          res.status(403).json({
+            success: false,
+            error: 'Plan requerido',
+            message: 'Esta función requiere una suscripción activa al plan adecuado'
+          });
+          return;
+        }
+
+        next();
+
+      } catch (error) {
+        logger.error('Error verificando suscripción:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Error interno del servidor',
+          message: 'Error verificando la suscripción'
+        });
+      }
+    };
+  }
+
+  /**
+   * Middleware para exigir una función del plan (shared/entitlements). Con `appliesTo`
+   * solo se exige cuando la petición la usa (p. ej. solo los ejercicios avanzados).
+   */
+  verifyFeature(feature: Feature, appliesTo?: (req: AuthenticatedRequest) => boolean) {
+    return async (req: AuthenticatedRequest, res: Response, next: NextFunction): Promise<void> => {
+      try {
+        if (appliesTo && !appliesTo(req)) {
+          next();
+          return;
+        }
+
+        const userId = req.user?.userId;
+
+        if (!userId) {
+          res.status(401).json({
+            success: false,
+            error: 'Usuario no identificado',
+            message: 'No se pudo identificar al usuario'
+          });
+          return;
+        }
+
+        const db = FirebaseService.getFirestore();
+        const userDoc = await db.collection('users').doc(userId).get();
+
+        if (!hasFeature(userDoc.data()?.subscription, feature)) {
+          res.status(403).json({
+            success: false,
+            error: 'Plan requerido',
+            message: 'Esta función no está incluida en tu plan',
+            feature,
+            requiredPlan: requiredPlanFor(feature)
+          });
+          return;
+        }
+
+        next();
+
+      } catch (error) {
+        logger.error('Error verificando funciones del plan:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Error interno del servidor',
+          message: 'Error verificando la suscripción'
+        });
+      }
+    };
+  }
 }
 
 export default new AuthMiddleware();
\ No newline at end of file
@@ -0,0 +1,104 @@
+import { RiskLevel } from '../shared/questionnaire.definitions';
+import { ClinicalChange } from '../shared/questionnaire.engine';
+
+// Cuestionarios que se siguen en el panel del profesional
+export type TrackedTestType = 'gad7' | 'phq9';
+
+export const TRACKED_TEST_TYPES: TrackedTestType[] = ['gad7', 'phq9'];
+
+// Códigos de invitación
+export const CLINICIAN_INVITE_EXPIRY_DAYS = 14;
+export const CLINICIAN_MAX_ACTIVE_INVITES = 50;
+
+// Adherencia: días con algún ejercicio completado sobre la ventana y el objetivo semanal
+export const ADHERENCE_WINDOW_DAYS = 28;
+export const ADHERENCE_TARGET_DAYS_PER_WEEK = 3;
+
+export interface ClinicianInvite {
+  id: string;
+  clinicianId: string;
+  // Solo se guarda el hash del código; el código se muestra una vez al crearlo
+  codeHash: string;
+  label?: string;
+  createdAt: string;
+  expiresAt: string;
+  usedBy: string | null;
+  usedAt: string | null;
+  revokedAt: string | null;
+}
+
+export interface CreateClinicianInviteRequest {
+  label?: string;
+  expiresInDays?: number;
+}
+
+// Vínculo profesional-paciente; el paciente puede retirarlo en cualquier momento
+export interface ClinicianPatientLink {
+  id: string;
+  clinicianId: string;
+  patientId: string;
+  inviteId: string;
+  // Nombre con el que el profesional verá al paciente (elegido por el paciente)
+  patientDisplayName: string;
+  clinicianDisplayName: string;
+  linkedAt: string;
+  revokedAt: string | null;
+  revokedBy: 'patient' | 'clinician' | null;
+}
+
+export interface RedeemClinicianInviteRequest {
+  code: string;
+  displayName?: string;
+}
+
+export type ClinicianFlagType = 'deterioration' | 'severe' | 'self_harm' | 'no_recent_assessment';
+
+export interface ClinicianFlag {
+  type: ClinicianFlagType;
+  testType?: TrackedTestType;
+  riskLevel: RiskLevel;
+  message: string;
+}
+
+export interface AssessmentSummary {
+  testType: TrackedTestType;
+  baseline: { score: number; date: string };
+  latest: { score: number; date: string; band: string | null; level: string | null };
+  // Positivo = empeora (en GAD-7 y PHQ-9 una puntuación menor es mejor)
+  changeSinceBaseline: number;
+  // Cambio fiable y clínicamente significativo desde la línea base (null con una sola evaluación)
+  clinicalChange: ClinicalChange | null;
+  assessments: number;
+}
+
+export interface AdherenceSummary {
+  windowDays: number;
+  sessions: number;
+  activeDays: number;
+  targetDays: number;
+  // Porcentaje de días activos sobre el objetivo (máximo 100)
+  rate: number;
+  lastSessionAt: string | null;
+}
+
+export interface PatientSummary {
+  linkId: string;
+  patientId: string;
+  displayName: string;
+  linkedAt: string;
+  assessments: Partial<Record<TrackedTestType, AssessmentSummary>>;
+  adherence: AdherenceSummary;
+  flags: ClinicianFlag[];
+}
+
+export interface PatientAssessmentHistory {
+  testType: TrackedTestType;
+  score: number;
+  maxScore: number;
+  band: string | null;
+  date: string;
+}
+
+export interface PatientDetail extends PatientSummary {
+  history: PatientAssessmentHistory[];
+}
@@ -0,0 +1,62 @@
+export const SUPPORT_TICKETS_COLLECTION = 'support_tickets';
+
+// Mismos valores que el selector de asunto de la página de contacto
+export const CONTACT_CATEGORIES = ['soporte', 'feedback', 'colaboracion', 'emergencia', 'facturacion', 'otro'] as const;
+export type ContactCategory = typeof CONTACT_CATEGORIES[number];
+
+export const TICKET_STATUSES = ['open', 'in_progress', 'resolved', 'closed'] as const;
+export type TicketStatus = typeof TICKET_STATUSES[number];
+
+export type TicketPriority = 'normal' | 'high';
+
+export const CONTACT_MESSAGE_MIN_LENGTH = 20;
+export const CONTACT_MESSAGE_MAX_LENGTH = 5000;
+
+// Claves de security.service checkRateLimit (envíos y consultas de estado por IP y ventana)
+export const CONTACT_RATE_LIMIT_ENDPOINT = '/api/v1/contact';
+export const CONTACT_LOOKUP_RATE_LIMIT_ENDPOINT = '/api/v1/contact/tickets';
+
+export interface ContactRequest {
+  name: string;
+  email: string;
+  phone?: string;
+  subject: ContactCategory;
+  message: string;
+  locale?: 'es' | 'en';
+  // Campo trampa: invisible para las personas, los bots lo rellenan
+  website?: string;
+}
+
+export interface TicketStatusChange {
+  status: TicketStatus;
+  note: string | null;
+  changedAt: string;
+  changedBy: string | null;
+}
+
+export interface SupportTicket {
+  // Número de referencia que ve el usuario (también es el id del documento)
+  reference: string;
+  name: string;
+  email: string;
+  phone: string | null;
+  category: ContactCategory;
+  message: string;
+  locale: 'es' | 'en';
+  status: TicketStatus;
+  priority: TicketPriority;
+  userId: string | null;
+  autoReplySentAt: string | null;
+  history: TicketStatusChange[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Lo que se muestra al consultar el estado (sin el mensaje ni los datos de contacto)
+export interface TicketSummary {
+  reference: string;
+  category: ContactCategory;
+  status: TicketStatus;
+  createdAt: string;
+  updatedAt: string;
+}
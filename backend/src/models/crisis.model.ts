@@ -0,0 +1,43 @@
+import { CrisisSource } from '../shared/crisis.detection';
+
+export { CrisisSource };
+
+// Clave de security.service checkRateLimit: por usuario con sesión, por IP sin ella
+export const CRISIS_EVENT_RATE_LIMIT_ENDPOINT = '/api/v1/crisis/events';
+
+// `occurredAt` lo manda el cliente (la cola offline puede enviarlo días después): se guarda
+// aparte de `createdAt` y solo si es verosímil
+export const CRISIS_EVENT_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+export const CRISIS_EVENT_MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Qué disparó la escalada: ítem 9 del PHQ-9 o texto del diario
+export type CrisisTrigger = 'phq9_item9' | 'diary_text';
+
+export interface CrisisEvent {
+  id: string;
+  // null para usuarios anónimos (el panel se muestra igualmente)
+  userId: string | null;
+  source: CrisisSource;
+  trigger: CrisisTrigger;
+  riskLevel: 'high' | 'critical';
+  indicators: string[];
+  // Id de la evaluación o entrada que originó el evento, si existe
+  referenceId?: string;
+  country?: string;
+  resourcesShown: boolean;
+  // Hora del cliente al detectarlo; null si no la mandó o no es verosímil
+  occurredAt: string | null;
+  // Hora del servidor al registrarlo
+  createdAt: string;
+}
+
+export interface CreateCrisisEventRequest {
+  source: CrisisSource;
+  trigger: CrisisTrigger;
+  riskLevel: 'high' | 'critical';
+  indicators?: string[];
+  referenceId?: string;
+  country?: string;
+  resourcesShown?: boolean;
+  occurredAt?: string;
+}
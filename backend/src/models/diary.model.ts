@@ -1,6 +1,8 @@
 import { Timestamp } from 'firebase-admin/firestore';
 
 export type MoodType = 'calm' | 'relaxed' | 'neutral' | 'anxious' | 'overwhelmed';
+
+export const MOOD_TYPES: MoodType[] = ['calm', 'relaxed', 'neutral', 'anxious', 'overwhelmed'];
 export type ExerciseType = 'breathing' | 'meditation' | 'progressive-relaxation' | 'grounding' | 'none';
 
 export interface DiaryLocation {
@@ -20,7 +22,8 @@ export interface DiaryEntry {
   exerciseType: ExerciseType;
   exerciseDuration: number;
   exerciseEffectiveness: number;
-  anxietyLevel: number;
+  // null si no se indicó (no se supone un valor)
+  anxietyLevel: number | null;
   anxietyTriggers: string[];
   reflection: string;
   insights: string[];
@@ -29,12 +32,17 @@ export interface DiaryEntry {
   isEncrypted: boolean;
   version: number;
   location?: DiaryLocation;
+  // Cifrado de extremo a extremo: content, tags, reflection y anxietyTriggers viajan en ciphertext
+  ciphertext?: string;
+  iv?: string;
+  encryptionVersion?: number;
 }
 
 export interface CreateDiaryEntryRequest {
   mood: MoodType;
   moodScore: number;
-  content: string;
+  // Obligatorio salvo en entradas cifradas en el cliente
+  content?: string;
   tags?: string[];
   exerciseType?: ExerciseType;
   exerciseDuration?: number;
@@ -43,6 +51,10 @@ export interface CreateDiaryEntryRequest {
   anxietyTriggers?: string[];
   reflection?: string;
   location?: DiaryLocation;
+  isEncrypted?: boolean;
+  ciphertext?: string;
+  iv?: string;
+  encryptionVersion?: number;
 }
 
 export interface UpdateDiaryEntryRequest {
@@ -57,6 +69,12 @@ export interface UpdateDiaryEntryRequest {
   anxietyTriggers?: string[];
   reflection?: string;
   location?: DiaryLocation;
+  isEncrypted?: boolean;
+  ciphertext?: string;
+  iv?: string;
+  encryptionVersion?: number;
+  // Versión sobre la que se hizo el cambio; si no coincide con la guardada hay conflicto
+  version?: number;
 }
 
 export interface DiaryEntryResponse {
@@ -70,7 +88,7 @@ export interface DiaryEntryResponse {
   exerciseType: ExerciseType;
   exerciseDuration: number;
   exerciseEffectiveness: number;
-  anxietyLevel: number;
+  anxietyLevel: number | null;
   anxietyTriggers: string[];
   reflection: string;
   insights: string[];
@@ -79,6 +97,9 @@ export interface DiaryEntryResponse {
   isEncrypted: boolean;
   version: number;
   location?: DiaryLocation;
+  ciphertext?: string;
+  iv?: string;
+  encryptionVersion?: number;
 }
 
 export interface DiaryStats {
@@ -87,9 +108,11 @@ export interface DiaryStats {
   averageAnxietyLevel: number;
   mostUsedTags: Array<{ tag: string; count: number }>;
   exerciseFrequency: Array<{ type: ExerciseType; count: number }>;
-  moodTrend: Array<{ date: string; mood: number; anxiety: number }>;
+  moodTrend: Array<{ date: string; mood: number; anxiety: number | null }>;
   streak: number;
   lastEntry: string | null;
+  // Entradas cifradas en el cliente: sus etiquetas no cuentan en mostUsedTags
+  encryptedEntries?: number;
 }
 
 export interface DiaryFilters {
@@ -101,5 +124,16 @@ export interface DiaryFilters {
   anxietyLevelMin?: number;
   anxietyLevelMax?: number;
   limit?: number;
-  offset?: number;
+  // Cursor opaco devuelto en nextCursor por la página anterior
+  cursor?: string;
 }
+
+export interface DiaryEntriesPage {
+  entries: DiaryEntry[];
+  nextCursor: string | null;
+  hasMore: boolean;
+}
+
+// Paginación del listado del diario
+export const DIARY_DEFAULT_PAGE_SIZE = 20;
+export const DIARY_MAX_PAGE_SIZE = 50;
@@ -1,13 +1,17 @@
 import { Timestamp } from 'firebase-admin/firestore';
+import { TestType, TestLevel } from '../shared/questionnaire.definitions';
+import { ClinicalChange } from '../shared/questionnaire.engine';
 
-export type TestType = 'gad7' | 'phq9' | 'pss' | 'wellness' | 'selfesteem';
-export type TestLevel = 'minimal' | 'mild' | 'moderate' | 'severe' | 'moderately_severe' | 'low' | 'medium' | 'high' | 'unknown';
+// Los tipos de test y niveles se definen junto a los cuestionarios compartidos
+export { TestType, TestLevel };
 
 export interface TestInterpretation {
   level: TestLevel;
   description: string;
   recommendations: string[];
   riskLevel?: 'low' | 'medium' | 'high';
+  // Alertas clínicas activadas (p. ej. 'self_harm' por el ítem 9 del PHQ-9)
+  flags?: string[];
 }
 
 export interface TestMetadata {
@@ -36,10 +40,11 @@ export interface Evaluation {
 export interface CreateEvaluationRequest {
   testType: TestType;
   testVersion?: string;
-  testName: string;
+  testName?: string;
   answers: number[];
-  score: number;
-  maxScore: number;
+  // Opcionales: el servidor las recalcula y rechaza valores inconsistentes
+  score?: number;
+  maxScore?: number;
   duration?: number;
   isAnonymous?: boolean;
   metadata?: Partial<TestMetadata>;
@@ -77,7 +82,10 @@ export interface EvaluationStats {
   testTypeFrequency: Array<{ type: TestType; count: number }>;
   scoreTrend: Array<{ date: string; score: number; testType: TestType }>;
   lastEvaluation: string | null;
+  // Variación porcentual bruta; se mantiene por compatibilidad (para interpretar el cambio, clinicalChange)
   improvementRate: number;
+  // Cambio fiable y clínicamente significativo entre la primera y la última evaluación de cada test
+  clinicalChange: Array<ClinicalChange & { baselineDate: string; latestDate: string; evaluations: number }>;
 }
 
 export interface EvaluationFilters {
@@ -2,19 +2,31 @@ import { Timestamp } from 'firebase-admin/firestore';
 
 export type ExerciseType = 'breathing' | 'meditation' | 'progressive-relaxation' | 'grounding';
 
+export const EXERCISE_TYPES: ExerciseType[] = ['breathing', 'meditation', 'progressive-relaxation', 'grounding'];
+
+// Límites de la API de sesiones (duración en segundos)
+export const EXERCISE_MAX_DURATION_SECONDS = 2 * 60 * 60;
+export const EXERCISE_DEFAULT_PAGE_SIZE = 20;
+export const EXERCISE_MAX_PAGE_SIZE = 100;
+
 export interface ExerciseSession {
   id: string;
   userId: string;
   exerciseType: ExerciseType;
   exerciseName: string;
+  // Segundos
   duration: number;
-  effectiveness: number;
-  moodBefore: number;
-  moodAfter: number;
-  improvement: number;
+  // Porcentaje del malestar inicial que ha desaparecido (null sin valoración SUDS o si partía de 0)
+  effectiveness: number | null;
+  // Malestar antes y después en la escala SUDS (0-10); improvement = moodBefore - moodAfter
+  moodBefore: number | null;
+  moodAfter: number | null;
+  improvement: number | null;
   notes: string;
   tags: string[];
   isCompleted: boolean;
+  // Inicio según el reloj del dispositivo (ISO), para el análisis por franja horaria
+  startedAt?: string;
   completedAt: Timestamp;
   createdAt: Timestamp;
   deviceInfo: {
@@ -23,20 +35,22 @@ export interface ExerciseSession {
   };
 }
 
+// improvement y effectiveness no se aceptan del cliente: se derivan de la valoración SUDS
 export interface CreateExerciseSessionRequest {
   exerciseType: ExerciseType;
-  exerciseName: string;
+  exerciseName?: string;
   duration: number;
-  effectiveness: number;
-  moodBefore: number;
-  moodAfter: number;
+  moodBefore?: number | null;
+  moodAfter?: number | null;
   notes?: string;
   tags?: string[];
+  isCompleted?: boolean;
+  startedAt?: string;
+  platform?: 'web' | 'mobile';
 }
 
 export interface UpdateExerciseSessionRequest {
-  effectiveness?: number;
-  moodAfter?: number;
+  moodAfter?: number | null;
   notes?: string;
   tags?: string[];
   isCompleted?: boolean;
@@ -48,13 +62,14 @@ export interface ExerciseSessionResponse {
   exerciseType: ExerciseType;
   exerciseName: string;
   duration: number;
-  effectiveness: number;
-  moodBefore: number;
-  moodAfter: number;
-  improvement: number;
+  effectiveness: number | null;
+  moodBefore: number | null;
+  moodAfter: number | null;
+  improvement: number | null;
   notes: string;
   tags: string[];
   isCompleted: boolean;
+  startedAt?: string;
   completedAt: string;
   createdAt: string;
   deviceInfo: {
@@ -63,12 +78,23 @@ export interface ExerciseSessionResponse {
   };
 }
 
+export interface ExerciseTypeStats {
+  type: ExerciseType;
+  count: number;
+  minutes: number;
+  // Media de las sesiones con valoración SUDS antes y después (null si no hay ninguna)
+  averageImprovement: number | null;
+}
+
 export interface ExerciseStats {
   totalSessions: number;
+  totalMinutes: number;
+  // Segundos
   averageDuration: number;
-  averageEffectiveness: number;
-  averageImprovement: number;
-  exerciseTypeFrequency: Array<{ type: ExerciseType; count: number }>;
+  averageEffectiveness: number | null;
+  averageImprovement: number | null;
+  ratedSessions: number;
+  exerciseTypeFrequency: ExerciseTypeStats[];
   effectivenessTrend: Array<{ date: string; effectiveness: number; type: ExerciseType }>;
   moodImprovementTrend: Array<{ date: string; improvement: number; type: ExerciseType }>;
   lastSession: string | null;
@@ -0,0 +1,95 @@
+import { Emotion } from '../shared/sentiment.analysis';
+import { TestLevel, TestType } from './evaluation.model';
+import { ExerciseType } from './exercise.model';
+
+export { Emotion };
+
+export type InsightProviderName = 'local' | 'openai';
+
+export interface SentimentAnalysis {
+  sentiment: 'positive' | 'negative' | 'neutral';
+  confidence: number;
+  emotions: string[];
+  riskLevel: 'low' | 'medium' | 'high';
+  recommendations: string[];
+}
+
+export type MentalHealthInsightType = 'mood_trend' | 'stress_pattern' | 'trigger_correlation' | 'activity_impact' | 'assessment_change';
+
+export interface MentalHealthInsight {
+  type: MentalHealthInsightType;
+  insight: string;
+  confidence: number;
+  actionable: boolean;
+  recommendations: string[];
+}
+
+export type RecommendationCategory = 'therapy' | 'meditation' | 'exercise' | 'social' | 'professional';
+
+export interface PersonalizedRecommendation {
+  category: RecommendationCategory;
+  title: string;
+  description: string;
+  // 1 = más urgente
+  priority: number;
+  // Minutos
+  estimatedTime: number;
+  // Mejora media medida en las sesiones del usuario (puntos SUDS); null si no hay datos propios
+  effectiveness: number | null;
+  // Dato del usuario que motiva la recomendación
+  personalizedFor: string;
+  // Ejercicio del diario que se puede iniciar directamente
+  exerciseType?: ExerciseType;
+}
+
+export interface CrisisAnalysis {
+  isCrisis: boolean;
+  riskLevel: 'low' | 'medium' | 'high' | 'critical';
+  indicators: string[];
+  immediateActions: string[];
+  professionalHelp: boolean;
+}
+
+/**
+ * Datos del usuario con los que se generan insights y recomendaciones. Solo contiene valores
+ * numéricos, etiquetas y fechas: nunca el texto de las entradas del diario.
+ */
+export interface InsightContext {
+  diary: Array<{
+    date: string;
+    // 1-5
+    moodScore: number | null;
+    // 1-10
+    anxietyLevel: number | null;
+    exerciseType: ExerciseType | null;
+    tags: string[];
+    triggers: string[];
+  }>;
+  evaluations: Array<{
+    testType: TestType;
+    // Valor en la escala de las bandas (puntuación o porcentaje)
+    value: number;
+    level: TestLevel;
+    riskLevel: 'low' | 'medium' | 'high' | null;
+    completedAt: string;
+  }>;
+  exercises: Array<{
+    exerciseType: ExerciseType;
+    // Puntos SUDS de mejora (antes - después); null si no se valoró
+    improvement: number | null;
+    completedAt: string;
+  }>;
+}
+
+/**
+ * Proveedor de insights: el local (por defecto) no usa la red; el de OpenAI es opcional
+ * (INSIGHT_PROVIDER=openai) y envía el texto y el contexto a un tercero
+ */
+export interface InsightProvider {
+  readonly name: InsightProviderName;
+  analyzeSentiment(text: string): Promise<SentimentAnalysis>;
+  generateInsights(context: InsightContext): Promise<MentalHealthInsight[]>;
+  generateRecommendations(context: InsightContext): Promise<PersonalizedRecommendation[]>;
+  // Señales de riesgo más sutiles que las frases explícitas de shared/crisis.detection
+  assessCrisis(text: string): Promise<CrisisAnalysis>;
+}
@@ -0,0 +1,19 @@
+export type MailTransportName = 'file';
+
+export interface MailMessage {
+  to: string;
+  subject: string;
+  text: string;
+  // Para responder al equipo en lugar de a la dirección de envío
+  replyTo?: string;
+}
+
+/**
+ * Transporte de correo: el de archivos (por defecto) guarda cada mensaje como JSON en una
+ * carpeta local, para desarrollo y pruebas. Otro transporte (SMTP, API de un proveedor)
+ * solo tiene que implementar esta interfaz y añadirse a createMailTransport.
+ */
+export interface MailTransport {
+  readonly name: MailTransportName;
+  send(message: MailMessage & { from: string }): Promise<void>;
+}
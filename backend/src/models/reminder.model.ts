@@ -0,0 +1,94 @@
+import { QuietHours } from '../shared/reminder.schedule';
+
+export const REMINDERS_COLLECTION = 'reminders';
+export const PUSH_SUBSCRIPTIONS_COLLECTION = 'push_subscriptions';
+
+// El recordatorio diario sale de las preferencias (reminderTime); el resto los sincroniza el diario
+export const DAILY_REMINDER_ID = 'daily';
+export const REMINDER_KINDS = ['daily', 'custom', 'smart'] as const;
+export type ReminderKind = typeof REMINDER_KINDS[number];
+
+export const MAX_REMINDERS_PER_USER = 20;
+export const SNOOZE_MINUTES_OPTIONS = [10, 30, 60, 120] as const;
+export const DEFAULT_SNOOZE_MINUTES = 60;
+
+// Validez del token que acompaña a cada aviso para posponerlo desde la notificación
+export const REMINDER_ACTION_TOKEN_TTL = '24h';
+
+export type PushTransportName = 'local' | 'webpush';
+
+export interface Reminder {
+  // Id del documento: `${userId}_${reminderId}`
+  id: string;
+  userId: string;
+  reminderId: string;
+  kind: ReminderKind;
+  time: string;
+  days: number[];
+  enabled: boolean;
+  title: string;
+  body: string;
+  // Copias de las preferencias del usuario para calcular el próximo aviso sin leerlas
+  locale: 'es' | 'en';
+  timeZone: string;
+  quietHours: QuietHours | null;
+  // ISO UTC del próximo aviso (null si está desactivado): el programador busca los vencidos
+  nextRunAt: string | null;
+  snoozedUntil: string | null;
+  lastSentAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Lo que envía el diario al sincronizar sus recordatorios (con el texto ya traducido)
+export interface ReminderInput {
+  id: string;
+  kind: Exclude<ReminderKind, 'daily'>;
+  time: string;
+  days: number[];
+  enabled: boolean;
+  title: string;
+  body: string;
+}
+
+// Ajustes del recordatorio diario que controla el diario (la hora sale de reminderTime)
+export type DailyReminderSettings = Pick<Reminder, 'enabled' | 'days'>;
+
+export interface PushSubscriptionKeys {
+  p256dh: string;
+  auth: string;
+}
+
+export interface PushSubscriptionRecord {
+  userId: string;
+  endpoint: string;
+  keys: PushSubscriptionKeys;
+  userAgent: string | null;
+  createdAt: string;
+}
+
+// Contenido del mensaje: lo interpreta public/reminder-push.js en el service worker
+export interface ReminderPushPayload {
+  type: 'sensus-reminder';
+  reminderId: string;
+  title: string;
+  body: string;
+  url: string;
+  // Token firmado para posponer o completar el recordatorio sin sesión en el service worker
+  actionToken: string;
+  snoozeMinutes: number;
+  locale: 'es' | 'en';
+}
+
+export type PushDeliveryResult = 'sent' | 'gone';
+
+/**
+ * Transporte de notificaciones push: el local (por defecto) guarda los mensajes en memoria
+ * para desarrollo y pruebas; el de Web Push los cifra y los envía al servicio push del
+ * navegador con claves VAPID. 'gone' indica que la suscripción ya no existe y hay que borrarla.
+ */
+export interface PushTransport {
+  readonly name: PushTransportName;
+  readonly publicKey: string | null;
+  send(subscription: Pick<PushSubscriptionRecord, 'endpoint' | 'keys'>, payload: ReminderPushPayload): Promise<PushDeliveryResult>;
+}
@@ -0,0 +1,67 @@
+export const SESSIONS_COLLECTION = 'sessions';
+
+// Token de acceso corto (cabecera Authorization) y token de refresco largo (cookie httpOnly)
+export const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900'); // 15 minutos
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+// La cookie solo viaja a las rutas de sesión de /api/v1/users (refresh, logout, sessions)
+export const REFRESH_COOKIE_NAME = 'sensus_refresh';
+export const REFRESH_COOKIE_PATH = '/api/v1/users';
+
+/**
+ * Margen en el que el token de refresco anterior sigue sirviendo para obtener un token de
+ * acceso (dos pestañas que refrescan a la vez). Fuera de él, reutilizarlo revoca la sesión
+ */
+export const REFRESH_REUSE_GRACE_SECONDS = 30;
+
+// Clave de security.service checkRateLimit para /users/refresh
+export const REFRESH_RATE_LIMIT_ENDPOINT = '/api/v1/users/refresh';
+
+export type SessionRevokeReason = 'logout' | 'revoked' | 'revoked_all' | 'password_changed' | 'account_deleted' | 'token_reuse' | 'two_factor_enabled';
+
+export interface Session {
+  id: string;
+  userId: string;
+  // Solo se guarda el hash del secreto del token de refresco vigente y del anterior
+  refreshTokenHash: string;
+  previousTokenHash: string | null;
+  rotatedAt: string | null;
+  ip: string;
+  userAgent: string;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  revokedAt: string | null;
+  revokedReason: SessionRevokeReason | null;
+  // Código de la verificación en dos pasos comprobado al abrirla (sin ella no sirve si está activada)
+  twoFactorVerifiedAt?: string | null;
+  // Última vez que el usuario confirmó su identidad (rutas sensibles, sensitiveEndpoint)
+  reauthenticatedAt?: string | null;
+}
+
+// Lo que ve el usuario en la lista de dispositivos
+export interface SessionSummary {
+  id: string;
+  ip: string;
+  userAgent: string;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  current: boolean;
+}
+
+// Datos del usuario que viajan en el token de acceso
+export interface SessionUser {
+  userId: string;
+  email: string;
+  role: string;
+  permissions: string[];
+}
+
+export interface SessionTokens {
+  accessToken: string;
+  // `${sessionId}.${secreto}`; null si el refresco reutilizó el token anterior dentro del margen
+  refreshToken: string | null;
+  sessionId: string;
+  expiresIn: number;
+}
@@ -0,0 +1,72 @@
+// Datos que el paciente puede compartir con su profesional
+export type ShareCategory = 'evaluations' | 'mood_trend' | 'entries';
+
+export const SHARE_CATEGORIES: ShareCategory[] = ['evaluations', 'mood_trend', 'entries'];
+
+// Duración de los enlaces (días)
+export const SHARE_DEFAULT_EXPIRY_DAYS = 7;
+export const SHARE_MAX_EXPIRY_DAYS = 30;
+export const SHARE_MAX_ENTRIES = 20;
+
+// Entrada elegida por el paciente: se guarda una copia en el momento de compartir
+// (las entradas cifradas de extremo a extremo solo son legibles en su navegador)
+export interface SharedEntrySnapshot {
+  date: string;
+  mood: string;
+  content: string;
+  tags?: string[];
+}
+
+export interface ShareGrant {
+  id: string;
+  userId: string;
+  // Solo se guarda el hash SHA-256 del token; el token en claro se muestra una vez al crearlo
+  tokenHash: string;
+  label?: string;
+  categories: ShareCategory[];
+  from: string;
+  to: string;
+  entryCount: number;
+  expiresAt: string;
+  createdAt: string;
+  revokedAt: string | null;
+  lastAccessedAt: string | null;
+  accessCount: number;
+}
+
+export interface CreateShareGrantRequest {
+  label?: string;
+  categories: ShareCategory[];
+  from: string;
+  to: string;
+  expiresInDays?: number;
+  entries?: SharedEntrySnapshot[];
+}
+
+export interface ShareAccessLog {
+  id: string;
+  grantId: string;
+  userId: string;
+  accessedAt: string;
+  // Hash de la IP: permite detectar accesos desde varios lugares sin guardar la IP
+  ipHash: string | null;
+  userAgent: string | null;
+}
+
+export interface SharedReport {
+  label?: string;
+  from: string;
+  to: string;
+  expiresAt: string;
+  categories: ShareCategory[];
+  evaluations?: Array<{
+    testType: string;
+    testName: string;
+    score: number;
+    maxScore: number;
+    band: string | null;
+    date: string;
+  }>;
+  moodTrend?: Array<{ date: string; mood: number; entries: number }>;
+  entries?: SharedEntrySnapshot[];
+}
@@ -0,0 +1,68 @@
+import { PlanId } from '../shared/entitlements';
+
+export type PaymentProviderName = 'local';
+
+// Días que dura cada periodo pagado
+export const SUBSCRIPTION_PERIOD_DAYS = 30;
+
+// Los eventos de pago ya procesados se guardan para ignorar los webhooks repetidos
+export const PAYMENT_EVENTS_COLLECTION = 'payment_events';
+
+export type PaymentEventType =
+  | 'checkout.completed'
+  | 'subscription.renewed'
+  | 'subscription.payment_failed'
+  | 'subscription.canceled';
+
+export const PAYMENT_EVENT_TYPES: PaymentEventType[] = [
+  'checkout.completed',
+  'subscription.renewed',
+  'subscription.payment_failed',
+  'subscription.canceled'
+];
+
+export interface CheckoutRequest {
+  userId: string;
+  email: string;
+  plan: PlanId;
+}
+
+export interface CheckoutSession {
+  checkoutId: string;
+  provider: PaymentProviderName;
+  // completed: el proveedor ya cobró (el local); pending: el usuario debe pagar en `url`
+  status: 'pending' | 'completed';
+  url: string | null;
+}
+
+// Suscripción tal como la conoce el proveedor de pago
+export interface ProviderSubscriptionRef {
+  subscriptionId: string;
+  userId: string;
+  plan: PlanId;
+  periodEnd: string | null;
+}
+
+export interface PaymentEvent {
+  id: string;
+  type: PaymentEventType;
+  userId: string;
+  plan: PlanId;
+  subscriptionId: string;
+  // Fin del periodo pagado (ISO)
+  periodEnd: string;
+  createdAt: string;
+}
+
+/**
+ * Proveedor de pagos: crea el pago, cancela la renovación y verifica la firma de sus
+ * webhooks. Los cambios de plan solo se aplican al recibir un webhook verificado.
+ */
+export interface PaymentProvider {
+  readonly name: PaymentProviderName;
+  createCheckout(request: CheckoutRequest): Promise<CheckoutSession>;
+  // Cancela la renovación; el acceso se mantiene hasta el fin del periodo pagado
+  cancelSubscription(subscription: ProviderSubscriptionRef): Promise<void>;
+  // Lanza un error si la firma no es válida o el evento no tiene la forma esperada
+  verifyWebhook(payload: string, signature: string | undefined): PaymentEvent;
+}
@@ -0,0 +1,55 @@
+export const TWO_FACTOR_COLLECTION = 'two_factor';
+
+// TOTP (RFC 6238) con los valores que entienden todas las apps de autenticación
+export const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Sensus';
+export const TOTP_PERIOD_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+export const TOTP_SECRET_BYTES = 20;
+// Pasos aceptados antes y después del actual (relojes del móvil desajustados)
+export const TOTP_WINDOW = 1;
+
+export const RECOVERY_CODE_COUNT = 10;
+
+// Tiempo para escribir el código tras la contraseña al iniciar sesión
+export const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 300;
+
+// Tras confirmar la identidad, las rutas sensibles (sensitiveEndpoint) no la vuelven a pedir en este tiempo
+export const STEP_UP_TTL_SECONDS = parseInt(process.env.STEP_UP_TTL_SECONDS || '300'); // 5 minutos
+
+// Claves de security.service checkRateLimit: se cuentan por usuario, no por IP
+export const TWO_FACTOR_RATE_LIMIT_ENDPOINT = '/api/v1/users/2fa';
+export const REAUTHENTICATE_RATE_LIMIT_ENDPOINT = '/api/v1/users/reauthenticate';
+
+export type TwoFactorMethod = 'totp' | 'recovery';
+
+export interface TwoFactorRecord {
+  userId: string;
+  enabled: boolean;
+  // Secretos cifrados con encryption.util; `pendingSecret` es el del alta sin confirmar
+  secret: string | null;
+  pendingSecret: string | null;
+  // Solo se guarda el hash de cada código de recuperación; se borra al usarlo
+  recoveryCodeHashes: string[];
+  // Último paso TOTP aceptado: el mismo código no sirve dos veces
+  lastUsedStep: number | null;
+  enabledAt: string | null;
+  updatedAt: string;
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  recoveryCodesRemaining: number;
+}
+
+// Lo que necesita la app de autenticación: el URI va en el código QR y el secreto se puede teclear
+export interface TwoFactorEnrollment {
+  secret: string;
+  otpauthUrl: string;
+}
+
+export interface TwoFactorVerification {
+  valid: boolean;
+  method?: TwoFactorMethod;
+  recoveryCodesRemaining?: number;
+}
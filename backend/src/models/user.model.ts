@@ -1,4 +1,7 @@
 import { Timestamp } from 'firebase-admin/firestore';
+import { PlanId, SubscriptionStatus } from '../shared/entitlements';
+import { PaymentProviderName } from './subscription.model';
+import { QuietHours } from '../shared/reminder.schedule';
 
 export interface UserPreferences {
   theme: 'light' | 'dark' | 'auto';
@@ -6,6 +9,8 @@ export interface UserPreferences {
   language: 'es' | 'en';
   timezone: string;
   reminderTime: string;
+  // Franja sin notificaciones push en la zona horaria del usuario
+  quietHours?: QuietHours | null;
   weeklyReport: boolean;
   motivationalMessages: boolean;
   dataSharing: boolean;
@@ -32,11 +37,19 @@ export interface UserPrivacy {
   exportData: boolean;
 }
 
+export type UserRole = 'user' | 'clinician' | 'admin';
+
 export interface UserSubscription {
-  plan: 'free' | 'premium';
+  plan: PlanId;
   startDate: Timestamp | null;
   endDate: Timestamp | null;
+  // Funciones del plan (shared/entitlements); las rutas premium las recalculan con la fecha de fin
   features: string[];
+  // Solo en planes de pago: los asignan los webhooks del proveedor de pago
+  status?: SubscriptionStatus;
+  provider?: PaymentProviderName;
+  providerSubscriptionId?: string;
+  cancelAtPeriodEnd?: boolean;
 }
 
 export interface User {
@@ -51,6 +64,8 @@ export interface User {
   stats: UserStats;
   privacy: UserPrivacy;
   subscription: UserSubscription;
+  // Lo asigna el equipo de Sensus (p. ej. 'clinician' con el Plan Profesional); el usuario no puede cambiarlo
+  role?: UserRole;
 }
 
 export interface CreateUserRequest {
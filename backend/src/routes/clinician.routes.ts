@@ -0,0 +1,30 @@
+import { Router } from 'express';
+import clinicianController from '../controllers/clinician.controller';
+import authMiddleware from '../middleware/auth.middleware';
+import { validateClinicianInvite, validateClinicianRedeem } from '../utils/validation.util';
+
+const router = Router();
+
+// Todas las rutas requieren autenticación
+router.use(authMiddleware.verifyToken);
+router.use(authMiddleware.verifyUserExists);
+
+// Paciente: canjear un código y gestionar sus profesionales vinculados
+router.post('/links', validateClinicianRedeem, clinicianController.redeemInvite);
+router.get('/links', clinicianController.listMyClinicians);
+router.delete('/links/:linkId', clinicianController.revokeMyClinician);
+
+// Profesional: requiere rol de profesional y el Plan Profesional activo
+const clinicianOnly = [
+  authMiddleware.verifyRole(['clinician', 'admin']),
+  authMiddleware.verifyActivePlan(['professional'])
+];
+
+router.post('/invites', clinicianOnly, validateClinicianInvite, clinicianController.createInvite);
+router.get('/invites', clinicianOnly, clinicianController.listInvites);
+router.delete('/invites/:inviteId', clinicianOnly, clinicianController.revokeInvite);
+router.get('/patients', clinicianOnly, clinicianController.getRoster);
+router.get('/patients/:patientId', clinicianOnly, clinicianController.getPatientDetail);
+router.delete('/patients/:patientId', clinicianOnly, clinicianController.unlinkPatient);
+
+export default router;
@@ -0,0 +1,27 @@
+import { Router } from 'express';
+import contactController from '../controllers/contact.controller';
+import authMiddleware from '../middleware/auth.middleware';
+import { validateContact, validateTicketLookup, validateTicketStatus } from '../utils/validation.util';
+
+const router = Router();
+
+// Formulario de contacto: sin sesión obligatoria (si la hay, el ticket se asocia al usuario)
+router.post('/', authMiddleware.optionalAuth, validateContact, contactController.createTicket);
+
+// Tickets del usuario con sesión
+router.get('/tickets', authMiddleware.verifyToken, authMiddleware.verifyUserExists, contactController.listMyTickets);
+
+// Estado de un ticket con la referencia y el email (?email=...)
+router.get('/tickets/:reference', validateTicketLookup, contactController.getTicket);
+
+// Equipo de soporte
+router.patch(
+  '/tickets/:reference',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyUserExists,
+  authMiddleware.verifyRole(['admin']),
+  validateTicketStatus,
+  contactController.updateTicketStatus
+);
+
+export default router;
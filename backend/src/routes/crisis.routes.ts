@@ -0,0 +1,14 @@
+import { Router } from 'express';
+import crisisController from '../controllers/crisis.controller';
+import authMiddleware from '../middleware/auth.middleware';
+import { validateCrisisEvent } from '../utils/validation.util';
+
+const router = Router();
+
+// Los recursos son públicos: el panel debe mostrarse aunque no haya sesión
+router.get('/resources', crisisController.getResources);
+
+// Los eventos anónimos también se registran (limitados por usuario o IP en el servicio)
+router.post('/events', authMiddleware.optionalAuth, validateCrisisEvent, crisisController.createEvent);
+
+export default router;
@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import diaryController from '../controllers/diary.controller';
 import authMiddleware from '../middleware/auth.middleware';
+import { validateDiaryCorrelations, validateDiaryEncryption, validateDiaryFilters } from '../utils/validation.util';
 
 const router = Router();
 
@@ -9,12 +10,13 @@ router.use(authMiddleware.verifyToken);
 router.use(authMiddleware.verifyUserExists);
 
 // Rutas del diario
-router.post('/', diaryController.createEntry);
-router.get('/', diaryController.getEntries);
+router.post('/', validateDiaryEncryption, diaryController.createEntry);
+router.get('/', validateDiaryFilters, diaryController.getEntries);
 router.get('/stats', diaryController.getStats);
 router.get('/search', diaryController.searchEntries);
+router.get('/correlations', validateDiaryCorrelations, diaryController.getCorrelations);
 router.get('/:entryId', diaryController.getEntryById);
-router.put('/:entryId', diaryController.updateEntry);
+router.put('/:entryId', validateDiaryEncryption, diaryController.updateEntry);
 router.delete('/:entryId', diaryController.deleteEntry);
 
 export default router;
@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import exerciseController from '../controllers/exercise.controller';
+import authMiddleware from '../middleware/auth.middleware';
+import { isAdvancedExercise } from '../shared/entitlements';
+import { validateExerciseFilters, validateExerciseSession, validateExerciseSessionUpdate } from '../utils/validation.util';
+
+const router = Router();
+
+// Aplicar autenticación a todas las rutas de ejercicios
+router.use(authMiddleware.verifyToken);
+router.use(authMiddleware.verifyUserExists);
+
+// Rutas de sesiones de ejercicios (los avanzados solo con un plan de pago)
+const advancedExercises = authMiddleware.verifyFeature('advanced_exercises', req => isAdvancedExercise(req.body?.exerciseType));
+
+router.post('/', validateExerciseSession, advancedExercises, exerciseController.createSession);
+router.get('/', validateExerciseFilters, exerciseController.getSessions);
+router.get('/stats', validateExerciseFilters, exerciseController.getStats);
+router.get('/:sessionId', exerciseController.getSessionById);
+router.put('/:sessionId', validateExerciseSessionUpdate, exerciseController.updateSession);
+
+export default router;
@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import insightController from '../controllers/insight.controller';
+import authMiddleware from '../middleware/auth.middleware';
+import { validateInsightText } from '../utils/validation.util';
+
+const router = Router();
+
+// Aplicar autenticación a todas las rutas de insights
+router.use(authMiddleware.verifyToken);
+router.use(authMiddleware.verifyUserExists);
+
+// Insights y recomendaciones a partir de los registros del usuario (planes de pago)
+const aiInsights = authMiddleware.verifyFeature('ai_insights');
+
+router.get('/', aiInsights, insightController.getInsights);
+router.get('/recommendations', aiInsights, insightController.getRecommendations);
+
+// Análisis de un texto al momento. La detección de crisis es de seguridad: todos los planes
+router.post('/sentiment', aiInsights, validateInsightText, insightController.analyzeSentiment);
+router.post('/crisis', validateInsightText, insightController.assessCrisis);
+
+export default router;
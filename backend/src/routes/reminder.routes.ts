@@ -0,0 +1,30 @@
+import { Router } from 'express';
+import reminderController from '../controllers/reminder.controller';
+import authMiddleware from '../middleware/auth.middleware';
+import {
+  validatePushSubscription,
+  validatePushUnsubscribe,
+  validateReminderAction,
+  validateReminderSnooze,
+  validateRemindersSync
+} from '../utils/validation.util';
+
+const router = Router();
+
+// Sin sesión: configuración push y acciones desde la notificación (con el token del aviso)
+router.get('/push/config', reminderController.getPushConfig);
+router.post('/actions/snooze', validateReminderAction, reminderController.snoozeFromNotification);
+
+router.use(authMiddleware.verifyToken);
+router.use(authMiddleware.verifyUserExists);
+
+// Suscripciones push de los navegadores del usuario
+router.post('/push/subscriptions', validatePushSubscription, reminderController.subscribePush);
+router.delete('/push/subscriptions', validatePushUnsubscribe, reminderController.unsubscribePush);
+
+// Recordatorios
+router.get('/', reminderController.listReminders);
+router.put('/', validateRemindersSync, reminderController.syncReminders);
+router.post('/:id/snooze', validateReminderSnooze, reminderController.snoozeReminder);
+
+export default router;
@@ -0,0 +1,18 @@
+import { Router } from 'express';
+import shareController from '../controllers/share.controller';
+import authMiddleware from '../middleware/auth.middleware';
+import AdvancedSecurityMiddleware from '../middleware/advanced-security.middleware';
+import { validateShareGrant } from '../utils/validation.util';
+
+const router = Router();
+
+// Informe de solo lectura: el profesional accede con el token del enlace, sin cuenta
+router.get('/reports/:token', shareController.getSharedReport);
+
+// Gestión de enlaces por el paciente. Crear uno saca datos del diario: pide confirmar la identidad
+router.post('/grants', authMiddleware.verifyToken, authMiddleware.verifyUserExists, AdvancedSecurityMiddleware.sensitiveEndpoint, validateShareGrant, shareController.createGrant);
+router.get('/grants', authMiddleware.verifyToken, authMiddleware.verifyUserExists, shareController.listGrants);
+router.delete('/grants/:grantId', authMiddleware.verifyToken, authMiddleware.verifyUserExists, shareController.revokeGrant);
+router.get('/grants/:grantId/access', authMiddleware.verifyToken, authMiddleware.verifyUserExists, shareController.getAccessLogs);
+
+export default router;
@@ -0,0 +1,24 @@
+import { Router } from 'express';
+import subscriptionController from '../controllers/subscription.controller';
+import authMiddleware from '../middleware/auth.middleware';
+import { validateSubscriptionCheckout, validateSubscriptionRenewal } from '../utils/validation.util';
+
+const router = Router();
+
+// Webhooks del proveedor de pagos: sin sesión, los autentica su firma
+router.post('/webhooks/:provider', subscriptionController.webhook);
+
+// El resto de rutas requieren autenticación
+router.use(authMiddleware.verifyToken);
+router.use(authMiddleware.verifyUserExists);
+
+router.get('/', subscriptionController.getSubscription);
+router.post('/checkout', validateSubscriptionCheckout, subscriptionController.checkout);
+router.post('/cancel', subscriptionController.cancel);
+
+// Solo fuera de producción: simular renovaciones con el proveedor local
+if (process.env.NODE_ENV !== 'production') {
+  router.post('/local/renew', validateSubscriptionRenewal, subscriptionController.simulateRenewal);
+}
+
+export default router;
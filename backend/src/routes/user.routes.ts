@@ -2,20 +2,49 @@ import { Router } from 'express';
 import userController from '../controllers/user.controller';
 import authMiddleware from '../middleware/auth.middleware';
 import AdvancedSecurityMiddleware from '../middleware/advanced-security.middleware';
+import {
+  validateReauthenticate,
+  validateSessionsRevoke,
+  validateTwoFactorCode,
+  validateTwoFactorLogin
+} from '../utils/validation.util';
 
 const router = Router();
 
 // Rutas públicas (sin autenticación)
 router.post('/register', userController.register);
 router.post('/login', userController.login);
+// Segundo paso con la verificación en dos pasos activada (token de /login y código)
+router.post('/login/2fa', validateTwoFactorLogin, userController.verifyTwoFactorLogin);
+
+// Sesión con la cookie de refresco (el token de acceso puede haber caducado)
+router.post('/refresh', userController.refreshToken);
+router.post('/logout', userController.logout);
 
 // Rutas protegidas (requieren autenticación avanzada)
 router.use(AdvancedSecurityMiddleware.advancedAuth);
 
 // Rutas del usuario autenticado
 router.get('/profile', userController.getProfile);
-router.put('/profile', AdvancedSecurityMiddleware.sensitiveEndpoint, userController.updateProfile);
+// Preferencias e idioma se sincronizan a menudo: no piden confirmar la identidad
+router.put('/profile', userController.updateProfile);
+router.get('/export', AdvancedSecurityMiddleware.sensitiveEndpoint, userController.exportData);
 router.put('/change-password', AdvancedSecurityMiddleware.sensitiveEndpoint, userController.changePassword);
 router.delete('/account', AdvancedSecurityMiddleware.sensitiveEndpoint, userController.deleteAccount);
 
+// Dispositivos con sesión abierta
+router.get('/sessions', userController.listSessions);
+router.delete('/sessions', AdvancedSecurityMiddleware.sensitiveEndpoint, validateSessionsRevoke, userController.revokeAllSessions);
+router.delete('/sessions/:id', AdvancedSecurityMiddleware.sensitiveEndpoint, userController.revokeSession);
+
+// Confirmar la identidad antes de las rutas con sensitiveEndpoint
+router.post('/reauthenticate', validateReauthenticate, userController.reauthenticate);
+
+// Verificación en dos pasos (TOTP y códigos de recuperación)
+router.get('/2fa', userController.getTwoFactorStatus);
+router.post('/2fa/setup', AdvancedSecurityMiddleware.sensitiveEndpoint, userController.setupTwoFactor);
+router.post('/2fa/enable', validateTwoFactorCode, userController.enableTwoFactor);
+router.post('/2fa/recovery-codes', AdvancedSecurityMiddleware.sensitiveEndpoint, userController.regenerateRecoveryCodes);
+router.delete('/2fa', AdvancedSecurityMiddleware.sensitiveEndpoint, userController.disableTwoFactor);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,128 @@
+import { AIService, createInsightProvider } from './ai.service';
+import diaryService from './diary.service';
+import evaluationService from './evaluation.service';
+import exerciseService from './exercise.service';
+import { LocalInsightProvider } from './local-insight.provider';
+import { OpenAIInsightProvider } from './openai-insight.provider';
+import { InsightContext, InsightProvider } from '../models/insight.model';
+
+// Los servicios de datos se sustituyen: el contexto sale de estos registros fijos
+jest.mock('./diary.service', () => ({ __esModule: true, default: { getDiaryEntries: jest.fn() } }));
+jest.mock('./evaluation.service', () => ({ __esModule: true, default: { getEvaluations: jest.fn() } }));
+jest.mock('./exercise.service', () => ({ __esModule: true, default: { listSessions: jest.fn() } }));
+
+const USER_ID = 'user-1';
+
+// Proveedor falso: devuelve respuestas fijas y guarda el contexto que recibe
+function fakeProvider(): jest.Mocked<InsightProvider> {
+  return {
+    name: 'local',
+    analyzeSentiment: jest.fn().mockResolvedValue({ sentiment: 'neutral', confidence: 0.5, emotions: [], riskLevel: 'low', recommendations: [] }),
+    generateInsights: jest.fn().mockResolvedValue([]),
+    generateRecommendations: jest.fn().mockResolvedValue([]),
+    assessCrisis: jest.fn().mockResolvedValue({ isCrisis: false, riskLevel: 'low', indicators: [], immediateActions: [], professionalHelp: false })
+  };
+}
+
+describe('createInsightProvider', () => {
+  it('sin configuración usa el proveedor local', () => {
+    expect(createInsightProvider({})).toBeInstanceOf(LocalInsightProvider);
+    expect(createInsightProvider({ INSIGHT_PROVIDER: 'local' }).name).toBe('local');
+  });
+
+  it('con openai y sin clave vuelve al local', () => {
+    expect(createInsightProvider({ INSIGHT_PROVIDER: 'openai' })).toBeInstanceOf(LocalInsightProvider);
+  });
+
+  it('con openai y clave usa OpenAI', () => {
+    expect(createInsightProvider({ INSIGHT_PROVIDER: 'openai', OPENAI_API_KEY: 'sk-prueba' })).toBeInstanceOf(OpenAIInsightProvider);
+  });
+
+  it('un proveedor desconocido también vuelve al local', () => {
+    expect(createInsightProvider({ INSIGHT_PROVIDER: 'otro' })).toBeInstanceOf(LocalInsightProvider);
+  });
+});
+
+describe('AIService', () => {
+  let provider: jest.Mocked<InsightProvider>;
+  let service: AIService;
+
+  beforeEach(() => {
+    provider = fakeProvider();
+    service = new AIService(provider);
+
+    (diaryService.getDiaryEntries as jest.Mock).mockResolvedValue({
+      entries: [{
+        date: '2026-03-14T09:00:00.000Z',
+        moodScore: 2,
+        anxietyLevel: 7,
+        exerciseType: 'none',
+        content: 'Texto privado del diario',
+        tags: ['trabajo'],
+        anxietyTriggers: ['reuniones']
+      }]
+    });
+    (evaluationService.getEvaluations as jest.Mock).mockResolvedValue([{
+      testType: 'gad7',
+      score: 12,
+      interpretation: { level: 'moderate', riskLevel: 'medium' },
+      completedAt: '2026-03-10T10:00:00.000Z'
+    }]);
+    (exerciseService.listSessions as jest.Mock).mockResolvedValue([
+      { exerciseType: 'breathing', improvement: 3, completedAt: '2026-03-12T18:00:00.000Z' }
+    ]);
+  });
+
+  it('pasa al proveedor el contexto sin el texto del diario', async () => {
+    await service.generateMentalHealthInsights(USER_ID);
+
+    const context: InsightContext = provider.generateInsights.mock.calls[0][0];
+    expect(context).toEqual({
+      diary: [{
+        date: '2026-03-14T09:00:00.000Z',
+        moodScore: 2,
+        anxietyLevel: 7,
+        exerciseType: null,
+        tags: ['trabajo'],
+        triggers: ['reuniones']
+      }],
+      evaluations: [{ testType: 'gad7', value: 12, level: 'moderate', riskLevel: 'medium', completedAt: '2026-03-10T10:00:00.000Z' }],
+      exercises: [{ exerciseType: 'breathing', improvement: 3, completedAt: '2026-03-12T18:00:00.000Z' }]
+    });
+    expect(JSON.stringify(context)).not.toContain('Texto privado');
+    expect(diaryService.getDiaryEntries).toHaveBeenCalledWith(USER_ID, expect.objectContaining({ limit: 500 }));
+  });
+
+  it('devuelve lo que genera el proveedor', async () => {
+    const recommendation = {
+      category: 'exercise' as const,
+      title: 'Respiración',
+      description: 'Respira despacio',
+      priority: 1,
+      estimatedTime: 5,
+      effectiveness: 3,
+      personalizedFor: 'Prueba'
+    };
+    provider.generateRecommendations.mockResolvedValue([recommendation]);
+
+    expect(await service.generatePersonalizedRecommendations(USER_ID)).toEqual([recommendation]);
+    expect(service.providerName).toBe('local');
+  });
+
+  it('las frases de riesgo explícitas no dependen del proveedor', async () => {
+    const analysis = await service.detectMentalHealthCrisis(USER_ID, 'Ya no quiero vivir');
+
+    expect(analysis).toMatchObject({ isCrisis: true, riskLevel: 'critical', professionalHelp: true });
+    expect(provider.assessCrisis).not.toHaveBeenCalled();
+  });
+
+  it('sin frases de riesgo pregunta al proveedor', async () => {
+    await service.detectMentalHealthCrisis(USER_ID, 'Un día tranquilo');
+    expect(provider.assessCrisis).toHaveBeenCalledWith('Un día tranquilo');
+  });
+
+  it('los errores del proveedor se devuelven con un mensaje genérico', async () => {
+    provider.analyzeSentiment.mockRejectedValue(new Error('sin red'));
+    await expect(service.analyzeSentiment('hola')).rejects.toThrow('No se pudo analizar el sentimiento');
+  });
+});
@@ -0,0 +1,56 @@
+import FirebaseService from './firebase.service';
+import clinicianService from './clinician.service';
+import evaluationController from '../controllers/evaluation.controller';
+import { FakeFirestore } from '../testing/fake-firestore';
+import { mockRequest, mockResponse } from '../testing/http';
+
+jest.mock('./firebase.service', () => jest.requireActual('../testing/fake-firestore').fakeFirebaseService());
+jest.mock('./crisis.service', () => ({ __esModule: true, default: { recordEvent: jest.fn(), getResources: jest.fn() } }));
+
+const CLINICIAN_ID = 'clinician-1';
+const PATIENT_ID = 'patient-1';
+
+describe('ClinicianService.getPatientDetail', () => {
+  const db = FirebaseService.getFirestore() as unknown as FakeFirestore;
+
+  async function evaluate(answers: number[], date: string, testType = 'gad7') {
+    const res = mockResponse();
+    await evaluationController.createEvaluation(mockRequest(PATIENT_ID, { body: { testType, answers, date } }), res);
+    expect(res.statusCode).toBe(201);
+  }
+
+  beforeAll(async () => {
+    await db.collection('clinician_links').doc('link-1').set({
+      clinicianId: CLINICIAN_ID,
+      patientId: PATIENT_ID,
+      inviteId: 'invite-1',
+      patientDisplayName: 'Ana',
+      clinicianDisplayName: 'Dra. Ruiz',
+      linkedAt: '2026-01-01T00:00:00.000Z',
+      revokedAt: null,
+      revokedBy: null
+    });
+  });
+
+  it('el historial incluye las evaluaciones de la API, también las antiguas con totalScore, en orden cronológico', async () => {
+    await evaluate([3, 3, 3, 3, 3, 3, 0], '2026-01-20T09:00:00.000Z');
+    await db.collection('evaluations').doc('legacy').set({
+      userId: PATIENT_ID, testType: 'gad7', totalScore: 16, maxScore: 21, date: '2026-01-05T09:00:00.000Z'
+    });
+    await evaluate([1, 1, 1, 1, 1, 0, 0], '2026-02-03T09:00:00.000Z');
+
+    const detail = await clinicianService.getPatientDetail(CLINICIAN_ID, PATIENT_ID);
+
+    expect(detail!.history.map(({ score, date }) => ({ score, date }))).toEqual([
+      { score: 16, date: '2026-01-05T09:00:00.000Z' },
+      { score: 18, date: '2026-01-20T09:00:00.000Z' },
+      { score: 5, date: '2026-02-03T09:00:00.000Z' }
+    ]);
+    expect(detail!.assessments.gad7).toMatchObject({
+      baseline: { score: 16 },
+      latest: { score: 5, band: 'Leve' },
+      changeSinceBaseline: -11,
+      assessments: 3
+    });
+  });
+});
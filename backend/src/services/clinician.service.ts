@@ -0,0 +1,488 @@
+/**
+ * Servicio del Panel Clínico (Plan Profesional)
+ * El profesional genera códigos de invitación (`clinician_invites`) y el paciente
+ * los canjea para crear un vínculo (`clinician_links`) que puede retirar cuando quiera.
+ * Con el vínculo activo el profesional ve el último GAD-7/PHQ-9 de cada paciente,
+ * el cambio desde la línea base, la adherencia a los ejercicios y las alertas
+ * de empeoramiento clínicamente relevante. Nunca ve el diario ni las respuestas ítem a ítem.
+ */
+
+import crypto from 'crypto';
+import FirebaseService from './firebase.service';
+import {
+  AdherenceSummary,
+  AssessmentSummary,
+  ClinicianFlag,
+  ClinicianInvite,
+  ClinicianPatientLink,
+  CreateClinicianInviteRequest,
+  PatientAssessmentHistory,
+  PatientDetail,
+  PatientSummary,
+  RedeemClinicianInviteRequest,
+  TrackedTestType,
+  ADHERENCE_TARGET_DAYS_PER_WEEK,
+  ADHERENCE_WINDOW_DAYS,
+  CLINICIAN_INVITE_EXPIRY_DAYS,
+  CLINICIAN_MAX_ACTIVE_INVITES,
+  TRACKED_TEST_TYPES
+} from '../models/clinician.model';
+import questionnaireEngine from '../shared/questionnaire.engine';
+import { normalizeEvaluation, toDate } from '../shared/stored.records';
+import { logger } from '../utils/logger.util';
+
+export type RedeemInviteStatus = 'linked' | 'not_found' | 'expired' | 'used' | 'self' | 'already_linked';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sin caracteres ambiguos (0/O, 1/I/L) para poder dictar el código por teléfono
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// Sin evaluaciones en este periodo se avisa al profesional
+const ASSESSMENT_STALE_DAYS = 30;
+
+// Evaluaciones que se leen por paciente para el historial
+const ASSESSMENT_HISTORY_LIMIT = 500;
+
+class ClinicianService {
+  private db = FirebaseService.getFirestore();
+
+  hashCode(code: string): string {
+    return crypto.createHash('sha256').update(this.normalizeCode(code)).digest('hex');
+  }
+
+  // Acepta el código con o sin guion y en minúsculas
+  normalizeCode(code: string): string {
+    return code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  private generateCode(): string {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+  }
+
+  // === INVITACIONES (profesional) ===
+
+  async hasReachedInviteLimit(clinicianId: string): Promise<boolean> {
+    const invites = await this.listInvites(clinicianId);
+    return invites.filter(invite => this.getInviteStatus(invite) === 'active').length >= CLINICIAN_MAX_ACTIVE_INVITES;
+  }
+
+  async createInvite(clinicianId: string, data: CreateClinicianInviteRequest): Promise<{ invite: ClinicianInvite; code: string }> {
+    try {
+      const code = this.generateCode();
+      const now = new Date();
+      const expiresInDays = data.expiresInDays || CLINICIAN_INVITE_EXPIRY_DAYS;
+
+      const invite: Omit<ClinicianInvite, 'id'> = {
+        clinicianId,
+        codeHash: this.hashCode(code),
+        ...(data.label && { label: data.label }),
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + expiresInDays * DAY_MS).toISOString(),
+        usedBy: null,
+        usedAt: null,
+        revokedAt: null
+      };
+
+      const docRef = await this.db.collection('clinician_invites').add(invite);
+      logger.info(`Invitación ${docRef.id} creada por el profesional ${clinicianId}`);
+      return { invite: { ...invite, id: docRef.id }, code };
+    } catch (error) {
+      logger.error(`Error creando invitación para el profesional ${clinicianId}:`, error);
+      throw new Error('No se pudo crear la invitación');
+    }
+  }
+
+  async listInvites(clinicianId: string): Promise<Omit<ClinicianInvite, 'codeHash'>[]> {
+    try {
+      const snapshot = await this.db
+        .collection('clinician_invites')
+        .where('clinicianId', '==', clinicianId)
+        .orderBy('createdAt', 'desc')
+        .limit(200)
+        .get();
+
+      return snapshot.docs.map(doc => {
+        const { codeHash, ...invite } = doc.data() as ClinicianInvite;
+        return { ...invite, id: doc.id };
+      });
+    } catch (error) {
+      logger.error(`Error obteniendo invitaciones del profesional ${clinicianId}:`, error);
+      throw new Error('No se pudieron obtener las invitaciones');
+    }
+  }
+
+  async revokeInvite(clinicianId: string, inviteId: string): Promise<boolean> {
+    try {
+      const docRef = this.db.collection('clinician_invites').doc(inviteId);
+      const doc = await docRef.get();
+      const invite = doc.data() as ClinicianInvite | undefined;
+
+      if (!doc.exists || !invite || invite.clinicianId !== clinicianId) {
+        return false;
+      }
+
+      if (!invite.usedAt && !invite.revokedAt) {
+        await docRef.update({ revokedAt: new Date().toISOString() });
+      }
+
+      logger.info(`Invitación ${inviteId} anulada por el profesional ${clinicianId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error anulando invitación ${inviteId}:`, error);
+      throw new Error('No se pudo anular la invitación');
+    }
+  }
+
+  getInviteStatus(invite: Pick<ClinicianInvite, 'usedAt' | 'revokedAt' | 'expiresAt'>): 'active' | 'used' | 'revoked' | 'expired' {
+    if (invite.usedAt) return 'used';
+    if (invite.revokedAt) return 'revoked';
+    if (new Date(invite.expiresAt).getTime() <= Date.now()) return 'expired';
+    return 'active';
+  }
+
+  // === VÍNCULOS (paciente) ===
+
+  /**
+   * Canjear un código de invitación: crea el vínculo y marca la invitación como usada
+   */
+  async redeemInvite(patientId: string, data: RedeemClinicianInviteRequest): Promise<{ status: RedeemInviteStatus; link: ClinicianPatientLink | null }> {
+    const snapshot = await this.db
+      .collection('clinician_invites')
+      .where('codeHash', '==', this.hashCode(data.code))
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      return { status: 'not_found', link: null };
+    }
+
+    const inviteDoc = snapshot.docs[0];
+    const invite = { ...(inviteDoc.data() as ClinicianInvite), id: inviteDoc.id };
+    const inviteStatus = this.getInviteStatus(invite);
+
+    if (inviteStatus === 'used') return { status: 'used', link: null };
+    if (inviteStatus !== 'active') return { status: 'expired', link: null };
+    if (invite.clinicianId === patientId) return { status: 'self', link: null };
+
+    const existing = await this.findActiveLink(invite.clinicianId, patientId);
+    if (existing) {
+      return { status: 'already_linked', link: existing };
+    }
+
+    try {
+      const [patientDoc, clinicianDoc] = await Promise.all([
+        this.db.collection('users').doc(patientId).get(),
+        this.db.collection('users').doc(invite.clinicianId).get()
+      ]);
+
+      const now = new Date().toISOString();
+      const link: Omit<ClinicianPatientLink, 'id'> = {
+        clinicianId: invite.clinicianId,
+        patientId,
+        inviteId: invite.id,
+        patientDisplayName: data.displayName || this.getDisplayName(patientDoc.data()) || 'Paciente',
+        clinicianDisplayName: this.getDisplayName(clinicianDoc.data()) || 'Profesional',
+        linkedAt: now,
+        revokedAt: null,
+        revokedBy: null
+      };
+
+      const linkRef = this.db.collection('clinician_links').doc();
+      // La invitación es de un solo uso: se comprueba de nuevo dentro de la transacción
+      const linked = await this.db.runTransaction(async transaction => {
+        const fresh = await transaction.get(inviteDoc.ref);
+        if (fresh.data()?.usedAt) {
+          return false;
+        }
+        transaction.update(inviteDoc.ref, { usedBy: patientId, usedAt: now });
+        transaction.set(linkRef, link);
+        return true;
+      });
+
+      if (!linked) {
+        return { status: 'used', link: null };
+      }
+
+      logger.info(`Paciente ${patientId} vinculado con el profesional ${invite.clinicianId}`);
+      return { status: 'linked', link: { ...link, id: linkRef.id } };
+    } catch (error) {
+      logger.error(`Error canjeando invitación para el usuario ${patientId}:`, error);
+      throw new Error('No se pudo canjear la invitación');
+    }
+  }
+
+  async listPatientLinks(patientId: string): Promise<ClinicianPatientLink[]> {
+    try {
+      const snapshot = await this.db
+        .collection('clinician_links')
+        .where('patientId', '==', patientId)
+        .orderBy('linkedAt', 'desc')
+        .get();
+
+      return snapshot.docs
+        .map(doc => ({ ...(doc.data() as ClinicianPatientLink), id: doc.id }))
+        .filter(link => !link.revokedAt);
+    } catch (error) {
+      logger.error(`Error obteniendo profesionales vinculados del usuario ${patientId}:`, error);
+      throw new Error('No se pudieron obtener los profesionales vinculados');
+    }
+  }
+
+  /**
+   * Retirar un vínculo; puede hacerlo el paciente o el profesional
+   */
+  async revokeLink(userId: string, linkId: string, by: 'patient' | 'clinician'): Promise<boolean> {
+    try {
+      const docRef = this.db.collection('clinician_links').doc(linkId);
+      const doc = await docRef.get();
+      const link = doc.data() as ClinicianPatientLink | undefined;
+      const ownerId = by === 'patient' ? link?.patientId : link?.clinicianId;
+
+      if (!doc.exists || !link || ownerId !== userId || link.revokedAt) {
+        return false;
+      }
+
+      await docRef.update({ revokedAt: new Date().toISOString(), revokedBy: by });
+      logger.info(`Vínculo ${linkId} retirado por ${by === 'patient' ? 'el paciente' : 'el profesional'} ${userId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error retirando vínculo ${linkId}:`, error);
+      throw new Error('No se pudo retirar el vínculo');
+    }
+  }
+
+  async findActiveLink(clinicianId: string, patientId: string): Promise<ClinicianPatientLink | null> {
+    const snapshot = await this.db
+      .collection('clinician_links')
+      .where('clinicianId', '==', clinicianId)
+      .where('patientId', '==', patientId)
+      .get();
+
+    const doc = snapshot.docs.find(link => !link.data().revokedAt);
+    return doc ? { ...(doc.data() as ClinicianPatientLink), id: doc.id } : null;
+  }
+
+  // === PANEL DEL PROFESIONAL ===
+
+  async getRoster(clinicianId: string): Promise<PatientSummary[]> {
+    try {
+      const snapshot = await this.db
+        .collection('clinician_links')
+        .where('clinicianId', '==', clinicianId)
+        .orderBy('linkedAt', 'desc')
+        .get();
+
+      const links = snapshot.docs
+        .map(doc => ({ ...(doc.data() as ClinicianPatientLink), id: doc.id }))
+        .filter(link => !link.revokedAt);
+
+      const summaries = await Promise.all(links.map(link => this.buildPatientDetail(link)));
+
+      // Primero los pacientes con alertas de mayor riesgo
+      const riskOrder = { high: 0, medium: 1, low: 2 };
+      const topRisk = (summary: PatientSummary) =>
+        Math.min(3, ...summary.flags.map(flag => riskOrder[flag.riskLevel]));
+
+      return summaries
+        .map(({ history, ...summary }) => summary)
+        .sort((a, b) => topRisk(a) - topRisk(b));
+    } catch (error) {
+      logger.error(`Error obteniendo pacientes del profesional ${clinicianId}:`, error);
+      throw new Error('No se pudo obtener la lista de pacientes');
+    }
+  }
+
+  async getPatientDetail(clinicianId: string, patientId: string): Promise<PatientDetail | null> {
+    const link = await this.findActiveLink(clinicianId, patientId);
+    if (!link) {
+      return null;
+    }
+
+    try {
+      return await this.buildPatientDetail(link);
+    } catch (error) {
+      logger.error(`Error obteniendo el detalle del paciente ${patientId}:`, error);
+      throw new Error('No se pudo obtener el detalle del paciente');
+    }
+  }
+
+  private async buildPatientDetail(link: ClinicianPatientLink): Promise<PatientDetail> {
+    const [history, adherence] = await Promise.all([
+      this.getAssessmentHistory(link.patientId),
+      this.getAdherence(link.patientId)
+    ]);
+
+    const assessments: PatientDetail['assessments'] = {};
+    TRACKED_TEST_TYPES.forEach(testType => {
+      const summary = this.summarizeAssessments(testType, history.filter(item => item.testType === testType));
+      if (summary) assessments[testType] = summary;
+    });
+
+    return {
+      linkId: link.id,
+      patientId: link.patientId,
+      displayName: link.patientDisplayName,
+      linkedAt: link.linkedAt,
+      assessments,
+      adherence,
+      flags: [...this.getFlags(assessments), ...(await this.getSelfHarmFlags(link.patientId))],
+      history
+    };
+  }
+
+  // Solo puntuación y banda de GAD-7 y PHQ-9, en orden cronológico
+  // Las más recientes primero en la consulta, para que el límite deje fuera las más antiguas;
+  // los documentos antiguos de la API no tienen completedAt y se buscan por su fecha ISO
+  private async getAssessmentHistory(patientId: string): Promise<PatientAssessmentHistory[]> {
+    const byPatient = this.db.collection('evaluations').where('userId', '==', patientId);
+    const [current, legacy] = await Promise.all([
+      byPatient.orderBy('completedAt', 'desc').limit(ASSESSMENT_HISTORY_LIMIT).get(),
+      byPatient.orderBy('date', 'desc').limit(ASSESSMENT_HISTORY_LIMIT).get()
+    ]);
+
+    const evaluations = new Map<string, ReturnType<typeof normalizeEvaluation>>();
+    [...current.docs, ...legacy.docs].forEach(doc => evaluations.set(doc.id, normalizeEvaluation(doc.data())));
+
+    return Array.from(evaluations.values())
+      .filter(evaluation => (TRACKED_TEST_TYPES as string[]).includes(evaluation.testType) && evaluation.score !== null && evaluation.completedAt !== null)
+      .sort((a, b) => a.completedAt!.getTime() - b.completedAt!.getTime())
+      .slice(-ASSESSMENT_HISTORY_LIMIT)
+      .map(evaluation => ({
+        testType: evaluation.testType as TrackedTestType,
+        score: evaluation.score!,
+        maxScore: evaluation.maxScore || questionnaireEngine.getMaxScore(evaluation.testType as TrackedTestType),
+        band: questionnaireEngine.interpret(evaluation.testType as TrackedTestType, evaluation.score!).label,
+        date: evaluation.completedAt!.toISOString()
+      }));
+  }
+
+  private summarizeAssessments(testType: TrackedTestType, history: PatientAssessmentHistory[]): AssessmentSummary | null {
+    if (history.length === 0) return null;
+
+    const baseline = history[0];
+    const latest = history[history.length - 1];
+    const band = questionnaireEngine.interpret(testType, latest.score);
+
+    return {
+      testType,
+      baseline: { score: baseline.score, date: baseline.date },
+      latest: { score: latest.score, date: latest.date, band: band.label, level: band.level },
+      changeSinceBaseline: latest.score - baseline.score,
+      clinicalChange: history.length > 1 ? questionnaireEngine.compareScores(testType, baseline.score, latest.score) : null,
+      assessments: history.length
+    };
+  }
+
+  private getFlags(assessments: PatientDetail['assessments']): ClinicianFlag[] {
+    const flags: ClinicianFlag[] = [];
+
+    TRACKED_TEST_TYPES.forEach(testType => {
+      const summary = assessments[testType];
+      if (!summary) return;
+
+      const shortName = questionnaireEngine.get(testType)?.shortName || testType;
+
+      // Empeoramiento fiable según el índice de cambio fiable del cuestionario
+      if (summary.clinicalChange?.category === 'deteriorated') {
+        flags.push({
+          type: 'deterioration',
+          testType,
+          riskLevel: 'high',
+          message: `${shortName}: +${summary.changeSinceBaseline} puntos desde la línea base (cambio fiable desde ${summary.clinicalChange.reliableChange})`
+        });
+      }
+
+      if (questionnaireEngine.interpret(testType, summary.latest.score).riskLevel === 'high') {
+        flags.push({
+          type: 'severe',
+          testType,
+          riskLevel: 'high',
+          message: `${shortName}: última puntuación en rango ${summary.latest.band?.toLowerCase()}`
+        });
+      }
+    });
+
+    const lastAssessment = TRACKED_TEST_TYPES
+      .map(testType => assessments[testType]?.latest.date)
+      .filter((date): date is string => !!date)
+      .sort()
+      .pop();
+
+    if (!lastAssessment || Date.now() - new Date(lastAssessment).getTime() > ASSESSMENT_STALE_DAYS * DAY_MS) {
+      flags.push({
+        type: 'no_recent_assessment',
+        riskLevel: 'low',
+        message: `Sin GAD-7 ni PHQ-9 en los últimos ${ASSESSMENT_STALE_DAYS} días`
+      });
+    }
+
+    return flags;
+  }
+
+  // Ítem 9 del PHQ-9 positivo en la última evaluación (alerta del motor de cuestionarios)
+  private async getSelfHarmFlags(patientId: string): Promise<ClinicianFlag[]> {
+    const snapshot = await this.db
+      .collection('evaluations')
+      .where('userId', '==', patientId)
+      .where('testType', '==', 'phq9')
+      .orderBy('completedAt', 'desc')
+      .limit(1)
+      .get();
+
+    const latest = snapshot.docs[0]?.data();
+    if (!latest?.interpretation?.flags?.includes('self_harm')) {
+      return [];
+    }
+
+    return [{
+      type: 'self_harm',
+      testType: 'phq9',
+      riskLevel: 'high',
+      message: 'PHQ-9: respuesta positiva al ítem 9 (pensamientos de muerte o autolesión) en la última evaluación'
+    }];
+  }
+
+  // Días con algún ejercicio completado en la ventana de adherencia
+  private async getAdherence(patientId: string): Promise<AdherenceSummary> {
+    const snapshot = await this.db
+      .collection('exercise_sessions')
+      .where('userId', '==', patientId)
+      .limit(500)
+      .get();
+
+    const since = Date.now() - ADHERENCE_WINDOW_DAYS * DAY_MS;
+    const sessions = snapshot.docs
+      .map(doc => doc.data())
+      .filter(session => session.isCompleted !== false)
+      .map(session => toDate(session.completedAt || session.createdAt))
+      .filter((date): date is Date => date !== null)
+      .sort((a, b) => b.getTime() - a.getTime());
+
+    const recent = sessions.filter(date => date.getTime() >= since);
+    const activeDays = new Set(recent.map(date => date.toISOString().split('T')[0])).size;
+    const targetDays = Math.round((ADHERENCE_WINDOW_DAYS / 7) * ADHERENCE_TARGET_DAYS_PER_WEEK);
+
+    return {
+      windowDays: ADHERENCE_WINDOW_DAYS,
+      sessions: recent.length,
+      activeDays,
+      targetDays,
+      rate: Math.min(100, Math.round((activeDays / targetDays) * 100)),
+      lastSessionAt: sessions[0]?.toISOString() || null
+    };
+  }
+
+  // Fechas guardadas como Timestamp (SDK del cliente o del servidor) o como cadena ISO
+  private getDisplayName(userData: any): string | null {
+    if (!userData) return null;
+    if (userData.displayName) return userData.displayName;
+    const fullName = [userData.firstName, userData.lastName].filter(Boolean).join(' ');
+    return fullName || null;
+  }
+}
+
+export default new ClinicianService();
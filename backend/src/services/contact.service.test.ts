@@ -0,0 +1,103 @@
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import FirebaseService from './firebase.service';
+import SecurityService from './security.service';
+import { ContactService } from './contact.service';
+import { MailService } from './mail.service';
+import FileMailTransport from './file-mail.transport';
+import { ContactRequest, SUPPORT_TICKETS_COLLECTION } from '../models/contact.model';
+import { FakeFirestore } from '../testing/fake-firestore';
+
+jest.mock('./firebase.service', () => jest.requireActual('../testing/fake-firestore').fakeFirebaseService());
+// Sin Redis: el límite de envíos se controla desde cada prueba
+jest.mock('./security.service', () => ({ __esModule: true, default: { checkRateLimit: jest.fn() } }));
+
+const IP = '203.0.113.7';
+
+const request: ContactRequest = {
+  name: 'Ana',
+  email: 'Ana@Example.com',
+  subject: 'soporte',
+  message: 'No puedo exportar mi diario en PDF desde el móvil.'
+};
+
+describe('ContactService', () => {
+  const db = FirebaseService.getFirestore() as unknown as FakeFirestore;
+  let outbox: string;
+  let service: ContactService;
+
+  // Mensajes que ha escrito el transporte de archivos
+  async function sentMail(): Promise<any[]> {
+    const files = (await readdir(outbox).catch(() => [] as string[])).sort();
+    return Promise.all(files.map(async file => JSON.parse(await readFile(path.join(outbox, file), 'utf8'))));
+  }
+
+  beforeEach(async () => {
+    outbox = await mkdtemp(path.join(os.tmpdir(), 'sensus-mail-'));
+    service = new ContactService(new MailService(new FileMailTransport(outbox), 'Sensus <no-reply@example.com>'));
+    (SecurityService.checkRateLimit as jest.Mock).mockResolvedValue({ allowed: true, remaining: 4, resetTime: 0 });
+    for (const reference of Object.keys(db.dump(SUPPORT_TICKETS_COLLECTION))) {
+      await db.collection(SUPPORT_TICKETS_COLLECTION).doc(reference).delete();
+    }
+  });
+
+  afterEach(async () => {
+    await rm(outbox, { recursive: true, force: true });
+  });
+
+  it('guarda el ticket y devuelve su número de referencia', async () => {
+    const { status, ticket } = await service.createTicket(request, { ip: IP, userId: null });
+    const stored = db.dump(SUPPORT_TICKETS_COLLECTION)[ticket!.reference];
+
+    expect(status).toBe('created');
+    expect(ticket!.reference).toMatch(/^SEN-\d{6}-[A-HJ-NP-Z2-9]{6}$/);
+    expect(ticket!.status).toBe('open');
+    expect(stored).toMatchObject({ email: 'ana@example.com', category: 'soporte', priority: 'normal', status: 'open' });
+    expect(stored.autoReplySentAt).not.toBeNull();
+  });
+
+  it('escribe la respuesta automática con la referencia', async () => {
+    const { ticket } = await service.createTicket(request, { ip: IP, userId: null });
+    const [mail] = await sentMail();
+
+    expect(mail).toMatchObject({
+      from: 'Sensus <no-reply@example.com>',
+      to: 'ana@example.com',
+      subject: `Hemos recibido tu mensaje [${ticket!.reference}]`
+    });
+    expect(mail.text).toContain(`Tu número de referencia es ${ticket!.reference}`);
+    expect(mail.text).not.toContain('112');
+  });
+
+  it('los mensajes urgentes tienen prioridad alta y la respuesta incluye el aviso de emergencias', async () => {
+    const { ticket } = await service.createTicket({ ...request, subject: 'emergencia', locale: 'en' }, { ip: IP, userId: 'user-1' });
+    const [mail] = await sentMail();
+
+    expect(db.dump(SUPPORT_TICKETS_COLLECTION)[ticket!.reference]).toMatchObject({ priority: 'high', userId: 'user-1' });
+    expect(mail.subject).toBe(`We have received your message [${ticket!.reference}]`);
+    expect(mail.text).toContain('call your local emergency number');
+  });
+
+  it('con el campo trampa relleno no guarda ni envía nada', async () => {
+    const result = await service.createTicket({ ...request, website: 'https://spam.example' }, { ip: IP, userId: null });
+
+    expect(result).toEqual({ status: 'spam', ticket: null });
+    expect(db.dump(SUPPORT_TICKETS_COLLECTION)).toEqual({});
+    expect(await sentMail()).toEqual([]);
+  });
+
+  it('por encima del límite de envíos no guarda nada', async () => {
+    (SecurityService.checkRateLimit as jest.Mock).mockResolvedValue({ allowed: false, remaining: 0, resetTime: 1234 });
+
+    expect(await service.createTicket(request, { ip: IP, userId: null })).toEqual({ status: 'rate_limited', ticket: null, retryAfter: 1234 });
+    expect(db.dump(SUPPORT_TICKETS_COLLECTION)).toEqual({});
+  });
+
+  it('el estado solo se consulta con la referencia y el email del ticket', async () => {
+    const { ticket } = await service.createTicket(request, { ip: IP, userId: null });
+
+    expect((await service.getTicketStatus(ticket!.reference.toLowerCase(), 'ANA@example.com', IP)).status).toBe('found');
+    expect((await service.getTicketStatus(ticket!.reference, 'otra@example.com', IP)).status).toBe('not_found');
+  });
+});
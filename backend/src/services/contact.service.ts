@@ -0,0 +1,237 @@
+/**
+ * Servicio de Contacto
+ * Los mensajes del formulario de contacto se guardan como tickets de soporte en
+ * `support_tickets`, con un número de referencia que el usuario puede consultar, y reciben
+ * una respuesta automática por email. Filtra bots con un campo trampa y limita los envíos
+ * por IP con security.service.
+ */
+
+import crypto from 'crypto';
+import FirebaseService from './firebase.service';
+import SecurityService from './security.service';
+import mailService, { MailService } from './mail.service';
+import {
+  ContactRequest,
+  CONTACT_LOOKUP_RATE_LIMIT_ENDPOINT,
+  CONTACT_RATE_LIMIT_ENDPOINT,
+  SupportTicket,
+  SUPPORT_TICKETS_COLLECTION,
+  TicketStatus,
+  TicketSummary
+} from '../models/contact.model';
+import { detectCrisisText } from '../shared/crisis.detection';
+import { logger } from '../utils/logger.util';
+
+export type CreateTicketStatus = 'created' | 'spam' | 'rate_limited';
+export type LookupTicketStatus = 'found' | 'not_found' | 'rate_limited';
+export type UpdateTicketStatus = 'updated' | 'not_found';
+
+// Sin 0/O ni 1/I para que la referencia se pueda dictar sin errores
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERENCE_LENGTH = 6;
+const MAX_REFERENCE_ATTEMPTS = 3;
+
+const SUPPORT_EMAIL = process.env.SUPPORT_EMAIL || 'contacto@sensus-app.com';
+
+const AUTO_REPLY = {
+  es: {
+    subject: (reference: string) => `Hemos recibido tu mensaje [${reference}]`,
+    greeting: (name: string) => `Hola, ${name}:`,
+    body: 'Gracias por escribirnos. Hemos recibido tu mensaje y te responderemos en 24-48 horas (lunes a viernes).',
+    reference: (reference: string) => `Tu número de referencia es ${reference}. Con él y tu email puedes consultar el estado de tu consulta en la página de contacto.`,
+    urgent: 'Si tú o alguien cercano está en peligro, no esperes nuestra respuesta: llama al 112 o a tu servicio de emergencias local.',
+    signature: 'El equipo de Sensus'
+  },
+  en: {
+    subject: (reference: string) => `We have received your message [${reference}]`,
+    greeting: (name: string) => `Hi ${name},`,
+    body: 'Thank you for writing to us. We have received your message and will reply within 24-48 hours (Monday to Friday).',
+    reference: (reference: string) => `Your reference number is ${reference}. You can check the status of your request on the contact page with it and your email.`,
+    urgent: 'If you or someone close to you is in danger, do not wait for our reply: call your local emergency number.',
+    signature: 'The Sensus team'
+  }
+};
+
+export class ContactService {
+  private db = FirebaseService.getFirestore();
+
+  constructor(private mail: MailService = mailService) {}
+
+  async createTicket(
+    data: ContactRequest,
+    { ip, userId }: { ip: string; userId: string | null }
+  ): Promise<{ status: CreateTicketStatus; ticket: TicketSummary | null; retryAfter?: number }> {
+    const rateLimit = await SecurityService.checkRateLimit(ip, CONTACT_RATE_LIMIT_ENDPOINT);
+    if (!rateLimit.allowed) {
+      return { status: 'rate_limited', ticket: null, retryAfter: rateLimit.resetTime };
+    }
+
+    // Campo trampa relleno: se responde como si nada para no dar pistas al bot
+    if (data.website) {
+      logger.warn(`Mensaje de contacto descartado por el campo trampa (IP ${ip})`);
+      return { status: 'spam', ticket: null };
+    }
+
+    try {
+      const now = new Date().toISOString();
+      const urgent = data.subject === 'emergencia' || detectCrisisText(data.message).isCrisis;
+      const fields: Omit<SupportTicket, 'reference'> = {
+        name: data.name,
+        email: data.email.toLowerCase(),
+        phone: data.phone || null,
+        category: data.subject,
+        message: data.message,
+        locale: data.locale || 'es',
+        status: 'open',
+        priority: urgent ? 'high' : 'normal',
+        userId,
+        autoReplySentAt: null,
+        history: [{ status: 'open', note: null, changedAt: now, changedBy: userId }],
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const ticket = await this.storeTicket(fields);
+      logger.info(`Ticket de soporte ${ticket.reference} (${ticket.category}, prioridad ${ticket.priority}) creado`);
+
+      await this.sendAutoReply(ticket, urgent);
+      return { status: 'created', ticket: this.toSummary(ticket) };
+    } catch (error) {
+      logger.error('Error creando ticket de soporte:', error);
+      throw new Error('No se pudo registrar el mensaje');
+    }
+  }
+
+  /**
+   * Estado de un ticket. Se pide también el email para que la referencia sola no baste,
+   * y las consultas por IP están limitadas para que no se puedan probar referencias
+   */
+  async getTicketStatus(
+    reference: string,
+    email: string,
+    ip: string
+  ): Promise<{ status: LookupTicketStatus; ticket: TicketSummary | null; retryAfter?: number }> {
+    const rateLimit = await SecurityService.checkRateLimit(ip, CONTACT_LOOKUP_RATE_LIMIT_ENDPOINT);
+    if (!rateLimit.allowed) {
+      return { status: 'rate_limited', ticket: null, retryAfter: rateLimit.resetTime };
+    }
+
+    try {
+      const doc = await this.db.collection(SUPPORT_TICKETS_COLLECTION).doc(reference.toUpperCase()).get();
+      const ticket = doc.data() as SupportTicket | undefined;
+
+      if (!ticket || ticket.email !== email.toLowerCase()) {
+        return { status: 'not_found', ticket: null };
+      }
+      return { status: 'found', ticket: this.toSummary(ticket) };
+    } catch (error) {
+      logger.error(`Error obteniendo el ticket ${reference}:`, error);
+      throw new Error('No se pudo obtener el ticket');
+    }
+  }
+
+  async listUserTickets(userId: string): Promise<TicketSummary[]> {
+    try {
+      const snapshot = await this.db.collection(SUPPORT_TICKETS_COLLECTION)
+        .where('userId', '==', userId)
+        .get();
+
+      return snapshot.docs
+        .map(doc => this.toSummary(doc.data() as SupportTicket))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    } catch (error) {
+      logger.error(`Error listando tickets del usuario ${userId}:`, error);
+      throw new Error('No se pudieron obtener los tickets');
+    }
+  }
+
+  // Equipo de soporte: cambiar el estado y dejar constancia en el historial
+  async updateStatus(reference: string, status: TicketStatus, note: string | null, changedBy: string): Promise<UpdateTicketStatus> {
+    try {
+      const ticketRef = this.db.collection(SUPPORT_TICKETS_COLLECTION).doc(reference.toUpperCase());
+
+      return await this.db.runTransaction(async transaction => {
+        const doc = await transaction.get(ticketRef);
+        if (!doc.exists) {
+          return 'not_found' as const;
+        }
+
+        const ticket = doc.data() as SupportTicket;
+        const changedAt = new Date().toISOString();
+
+        transaction.update(ticketRef, {
+          status,
+          updatedAt: changedAt,
+          history: [...(ticket.history || []), { status, note, changedAt, changedBy }]
+        });
+        logger.info(`Ticket ${ticket.reference}: ${ticket.status} -> ${status} por ${changedBy}`);
+        return 'updated' as const;
+      });
+    } catch (error) {
+      logger.error(`Error actualizando el ticket ${reference}:`, error);
+      throw new Error('No se pudo actualizar el ticket');
+    }
+  }
+
+  generateReference(now: Date = new Date()): string {
+    const date = now.toISOString().slice(2, 10).replace(/-/g, '');
+    const bytes = crypto.randomBytes(REFERENCE_LENGTH);
+    const suffix = Array.from(bytes, byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+    return `SEN-${date}-${suffix}`;
+  }
+
+  // La referencia es el id del documento: create() falla si ya existe y se prueba otra
+  private async storeTicket(fields: Omit<SupportTicket, 'reference'>): Promise<SupportTicket> {
+    for (let attempt = 1; ; attempt++) {
+      const ticket: SupportTicket = { reference: this.generateReference(), ...fields };
+
+      try {
+        await this.db.collection(SUPPORT_TICKETS_COLLECTION).doc(ticket.reference).create(ticket);
+        return ticket;
+      } catch (error) {
+        // 6 = ALREADY_EXISTS
+        if ((error as { code?: number }).code !== 6 || attempt >= MAX_REFERENCE_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  // Un fallo del correo no invalida el ticket: queda guardado sin autoReplySentAt
+  private async sendAutoReply(ticket: SupportTicket, urgent: boolean): Promise<void> {
+    const texts = AUTO_REPLY[ticket.locale];
+
+    try {
+      await this.mail.send({
+        to: ticket.email,
+        replyTo: SUPPORT_EMAIL,
+        subject: texts.subject(ticket.reference),
+        text: [
+          texts.greeting(ticket.name),
+          texts.body,
+          texts.reference(ticket.reference),
+          ...(urgent ? [texts.urgent] : []),
+          texts.signature
+        ].join('\n\n')
+      });
+
+      await this.db.collection(SUPPORT_TICKETS_COLLECTION).doc(ticket.reference).update({
+        autoReplySentAt: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.warn(`No se pudo enviar la respuesta automática del ticket ${ticket.reference}:`, error);
+    }
+  }
+
+  private toSummary(ticket: SupportTicket): TicketSummary {
+    return {
+      reference: ticket.reference,
+      category: ticket.category,
+      status: ticket.status,
+      createdAt: ticket.createdAt,
+      updatedAt: ticket.updatedAt
+    };
+  }
+}
+
+export default new ContactService();
@@ -0,0 +1,134 @@
+/**
+ * Servicio de Crisis
+ * Evalúa texto libre con la detección compartida y registra eventos de crisis
+ * en la colección `crisis_events` para su seguimiento.
+ */
+
+import FirebaseService from './firebase.service';
+import SecurityService from './security.service';
+import {
+  CRISIS_EVENT_MAX_AGE_MS,
+  CRISIS_EVENT_MAX_CLOCK_SKEW_MS,
+  CRISIS_EVENT_RATE_LIMIT_ENDPOINT,
+  CrisisEvent,
+  CreateCrisisEventRequest
+} from '../models/crisis.model';
+import { detectCrisisText, CrisisTextAssessment } from '../shared/crisis.detection';
+import {
+  CRISIS_RESOURCES,
+  DEFAULT_CRISIS_COUNTRY,
+  INTERNATIONAL_CRISIS_RESOURCES,
+  getCrisisResources,
+  CrisisCountryResources
+} from '../shared/crisis.resources';
+import { logger } from '../utils/logger.util';
+
+export type ReportEventStatus = 'created' | 'rate_limited';
+
+// Hora del cliente solo si cae entre hace CRISIS_EVENT_MAX_AGE_MS y un poco después de ahora
+function plausibleOccurredAt(value: string | undefined, now: Date): string | null {
+  if (!value) return null;
+
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) return null;
+  if (time > now.getTime() + CRISIS_EVENT_MAX_CLOCK_SKEW_MS || time < now.getTime() - CRISIS_EVENT_MAX_AGE_MS) {
+    logger.warn(`Hora de evento de crisis descartada por inverosímil: ${value}`);
+    return null;
+  }
+  return new Date(time).toISOString();
+}
+
+class CrisisService {
+  private db = FirebaseService.getFirestore();
+
+  assessText(text: string): CrisisTextAssessment {
+    return detectCrisisText(text);
+  }
+
+  getResources(country?: string | null): CrisisCountryResources {
+    return getCrisisResources(country);
+  }
+
+  // Directorio completo: el cliente elige el país localmente y funciona sin conexión
+  getDirectory() {
+    return {
+      defaultCountry: DEFAULT_CRISIS_COUNTRY,
+      countries: Object.values(CRISIS_RESOURCES),
+      international: INTERNATIONAL_CRISIS_RESOURCES
+    };
+  }
+
+  /**
+   * Evento enviado por el cliente (POST /crisis/events, también sin sesión): limitado por
+   * usuario o IP para que no se pueda llenar la colección
+   */
+  async reportEvent(
+    data: CreateCrisisEventRequest,
+    { ip, userId }: { ip: string; userId: string | null }
+  ): Promise<{ status: ReportEventStatus; event: CrisisEvent | null; retryAfter?: number }> {
+    const rateLimit = await SecurityService.checkRateLimit(userId || ip, CRISIS_EVENT_RATE_LIMIT_ENDPOINT);
+    if (!rateLimit.allowed) {
+      return { status: 'rate_limited', event: null, retryAfter: rateLimit.resetTime };
+    }
+
+    return { status: 'created', event: await this.recordEvent(userId, data) };
+  }
+
+  async recordEvent(userId: string | null, data: CreateCrisisEventRequest): Promise<CrisisEvent> {
+    try {
+      const now = new Date();
+      const event: Omit<CrisisEvent, 'id'> = {
+        userId,
+        source: data.source,
+        trigger: data.trigger,
+        riskLevel: data.riskLevel,
+        indicators: data.indicators || [],
+        ...(data.referenceId && { referenceId: data.referenceId }),
+        ...(data.country && { country: data.country.toUpperCase() }),
+        resourcesShown: data.resourcesShown ?? false,
+        occurredAt: plausibleOccurredAt(data.occurredAt, now),
+        createdAt: now.toISOString()
+      };
+
+      const docRef = await this.db.collection('crisis_events').add(event);
+
+      // Nunca se registra el texto original, solo los indicadores detectados
+      logger.warn(`Evento de crisis ${docRef.id}: ${event.trigger} (${event.riskLevel}) usuario: ${userId || 'anónimo'}`);
+      return { ...event, id: docRef.id };
+    } catch (error) {
+      logger.error('Error registrando evento de crisis:', error);
+      throw new Error('No se pudo registrar el evento de crisis');
+    }
+  }
+
+  // Evalúa el texto de una entrada del diario y registra el evento si procede.
+  // Un fallo al registrar no debe impedir que el usuario reciba los recursos.
+  async escalateFromDiary(userId: string | null, content: string, entryId: string, country?: string) {
+    const assessment = this.assessText(content);
+    if (assessment.riskLevel === 'none') {
+      return null;
+    }
+
+    try {
+      await this.recordEvent(userId, {
+        source: 'diary',
+        trigger: 'diary_text',
+        riskLevel: assessment.riskLevel,
+        indicators: assessment.indicators,
+        referenceId: entryId,
+        country,
+        resourcesShown: true
+      });
+    } catch (error) {
+      logger.error('Error registrando crisis desde el diario:', error);
+    }
+
+    return {
+      detected: true,
+      riskLevel: assessment.riskLevel,
+      resources: this.getResources(country)
+    };
+  }
+}
+
+export default new CrisisService();
@@ -1,8 +1,26 @@
 import FirebaseService from './firebase.service';
-import { DiaryEntry, CreateDiaryEntryRequest, UpdateDiaryEntryRequest, DiaryEntryResponse, DiaryStats, DiaryFilters } from '../models/diary.model';
+import {
+  DiaryEntry,
+  CreateDiaryEntryRequest,
+  UpdateDiaryEntryRequest,
+  DiaryEntryResponse,
+  DiaryStats,
+  DiaryFilters,
+  DiaryEntriesPage,
+  DIARY_DEFAULT_PAGE_SIZE,
+  DIARY_MAX_PAGE_SIZE
+} from '../models/diary.model';
 import { logger } from '../utils/logger.util';
 import encryptionUtil from '../utils/encryption.util';
 import { Timestamp } from 'firebase-admin/firestore';
+import { isClientEncrypted } from '../shared/diary.encryption';
+import { analyzeCorrelations, CorrelationReport } from '../shared/trigger.correlation';
+
+// Lotes leídos como máximo por página cuando hay filtros que se aplican en memoria
+const MAX_SCAN_BATCHES = 5;
+
+// Entradas más recientes que se analizan para las correlaciones
+const CORRELATION_MAX_ENTRIES = 1000;
 
 class DiaryService {
   private db = FirebaseService.getFirestore();
@@ -11,6 +29,8 @@ class DiaryService {
     try {
       // Validar datos de entrada
       const validatedData = data;
+      // Cifrada en el cliente: el servidor guarda el texto cifrado tal cual y no lo puede leer
+      const clientEncrypted = isClientEncrypted(validatedData);
 
       const diaryEntry: DiaryEntry = {
         id: '', // Se asignará automáticamente
@@ -18,20 +38,26 @@ class DiaryService {
         date: Timestamp.now(),
         mood: validatedData.mood,
         moodScore: validatedData.moodScore,
-        content: encryptionUtil.encrypt(validatedData.content), // Encriptar contenido
-        tags: validatedData.tags || [],
+        content: clientEncrypted ? '' : encryptionUtil.encrypt(validatedData.content || ''), // Encriptar contenido
+        tags: clientEncrypted ? [] : validatedData.tags || [],
         exerciseType: validatedData.exerciseType || 'none',
         exerciseDuration: validatedData.exerciseDuration || 0,
         exerciseEffectiveness: validatedData.exerciseEffectiveness || 0,
-        anxietyLevel: validatedData.anxietyLevel || 5,
-        anxietyTriggers: validatedData.anxietyTriggers || [],
-        reflection: validatedData.reflection ? encryptionUtil.encrypt(validatedData.reflection) : '',
+        // Sin valor no se inventa uno: las estadísticas y correlaciones se lo saltan
+        anxietyLevel: validatedData.anxietyLevel ?? null,
+        anxietyTriggers: clientEncrypted ? [] : validatedData.anxietyTriggers || [],
+        reflection: !clientEncrypted && validatedData.reflection ? encryptionUtil.encrypt(validatedData.reflection) : '',
         insights: [],
         createdAt: Timestamp.now(),
         updatedAt: Timestamp.now(),
         isEncrypted: true,
         version: 1,
-        location: validatedData.location
+        location: validatedData.location,
+        ...(clientEncrypted && {
+          ciphertext: validatedData.ciphertext,
+          iv: validatedData.iv,
+          encryptionVersion: validatedData.encryptionVersion
+        })
       };
 
       const docRef = await this.db.collection('diary_entries').add(diaryEntry);
@@ -47,69 +73,133 @@ class DiaryService {
     }
   }
 
-  async getDiaryEntries(userId: string, filters: DiaryFilters = {}): Promise<DiaryEntry[]> {
+  // Paginación por cursor (startAfter): cada página lee solo los documentos que necesita.
+  // Firestore admite una sola disyunción por consulta y un índice por combinación, así que solo
+  // un filtro además de la fecha va en la consulta (ver firestore.indexes.json) y el resto se
+  // aplica al recorrer los documentos.
+  async getDiaryEntries(userId: string, filters: DiaryFilters = {}): Promise<DiaryEntriesPage> {
+    const pageSize = filters.limit || DIARY_DEFAULT_PAGE_SIZE;
+    const startAfter = filters.cursor ? await this.resolveCursor(userId, filters.cursor) : null;
+
     try {
-      let query = this.db
-        .collection('diary_entries')
-        .where('userId', '==', userId);
+      const { query, pendingFilters } = this.buildEntriesQuery(userId, filters);
+      // Con filtros en memoria se leen lotes mayores para llenar la página con menos lecturas
+      const batchSize = pendingFilters ? Math.min(pageSize * 2, DIARY_MAX_PAGE_SIZE * 2) : pageSize;
+
+      const entries: DiaryEntry[] = [];
+      let lastScanned: FirebaseFirestore.DocumentSnapshot | null = startAfter;
+      let exhausted = false;
+
+      for (let batch = 0; batch < MAX_SCAN_BATCHES && entries.length < pageSize; batch++) {
+        const snapshot = await (lastScanned ? query.startAfter(lastScanned) : query).limit(batchSize).get();
+
+        let scanned = 0;
+        for (const doc of snapshot.docs) {
+          scanned++;
+          lastScanned = doc;
+          const entry = { id: doc.id, ...doc.data() } as DiaryEntry;
+          if (!pendingFilters || this.matchesFilters(entry, filters)) {
+            entries.push(entry);
+            if (entries.length === pageSize) break;
+          }
+        }
 
-      // Aplicar filtros
-      if (filters.mood && filters.mood.length > 0) {
-        query = query.where('mood', 'in', filters.mood);
+        // Lote incompleto y recorrido entero: no quedan más documentos
+        if (snapshot.docs.length < batchSize && scanned === snapshot.docs.length) {
+          exhausted = true;
+          break;
+        }
       }
 
-      if (filters.exerciseType && filters.exerciseType.length > 0) {
-        query = query.where('exerciseType', 'in', filters.exerciseType);
-      }
+      // El cursor apunta al último documento leído (no al último devuelto) para no releer los descartados
+      return {
+        entries,
+        nextCursor: !exhausted && lastScanned ? this.encodeCursor(lastScanned.id) : null,
+        hasMore: !exhausted
+      };
+    } catch (error) {
+      logger.error(`Error obteniendo entradas del diario para usuario ${userId}:`, error);
+      throw new Error('No se pudieron obtener las entradas del diario');
+    }
+  }
 
-      if (filters.dateFrom) {
-        query = query.where('date', '>=', filters.dateFrom);
-      }
+  private buildEntriesQuery(userId: string, filters: DiaryFilters): { query: FirebaseFirestore.Query; pendingFilters: boolean } {
+    let query: FirebaseFirestore.Query = this.db
+      .collection('diary_entries')
+      .where('userId', '==', userId);
+
+    const hasMood = !!filters.mood && filters.mood.length > 0;
+    const hasTags = !!filters.tags && filters.tags.length > 0;
+    const hasExercise = !!filters.exerciseType && filters.exerciseType.length > 0;
+    const hasAnxiety = filters.anxietyLevelMin !== undefined || filters.anxietyLevelMax !== undefined;
+
+    // Orden de preferencia: estado de ánimo, ansiedad, ejercicio y etiquetas
+    if (hasMood) {
+      query = query.where('mood', 'in', filters.mood);
+    } else if (hasAnxiety) {
+      // El nivel es entero (1-10): el rango se consulta como igualdad múltiple para poder ordenar por fecha
+      query = query.where('anxietyLevel', 'in', this.anxietyRange(filters));
+    } else if (hasExercise) {
+      query = query.where('exerciseType', 'in', filters.exerciseType);
+    } else if (hasTags) {
+      query = query.where('tags', 'array-contains-any', filters.tags);
+    }
 
-      if (filters.dateTo) {
-        query = query.where('date', '<=', filters.dateTo);
-      }
+    if (filters.dateFrom) {
+      query = query.where('date', '>=', Timestamp.fromDate(filters.dateFrom));
+    }
 
-      if (filters.anxietyLevelMin !== undefined) {
-        query = query.where('anxietyLevel', '>=', filters.anxietyLevelMin);
-      }
+    if (filters.dateTo) {
+      query = query.where('date', '<=', Timestamp.fromDate(filters.dateTo));
+    }
 
-      if (filters.anxietyLevelMax !== undefined) {
-        query = query.where('anxietyLevel', '<=', filters.anxietyLevelMax);
-      }
+    const serverFilters = [hasMood, hasAnxiety, hasExercise, hasTags].filter(Boolean).length;
+    return { query: query.orderBy('date', 'desc'), pendingFilters: serverFilters > 1 };
+  }
 
-      // Ordenar por fecha descendente
-      query = query.orderBy('date', 'desc');
+  private matchesFilters(entry: DiaryEntry, filters: DiaryFilters): boolean {
+    if (filters.mood && filters.mood.length > 0 && !filters.mood.includes(entry.mood)) {
+      return false;
+    }
 
-      // Aplicar límite y offset
-      if (filters.offset) {
-        query = query.offset(filters.offset);
-      }
+    if (filters.anxietyLevelMin !== undefined || filters.anxietyLevelMax !== undefined) {
+      if (entry.anxietyLevel === null || !this.anxietyRange(filters).includes(entry.anxietyLevel)) return false;
+    }
 
-      if (filters.limit) {
-        query = query.limit(filters.limit);
-      } else {
-        query = query.limit(50); // Límite por defecto
-      }
+    if (filters.exerciseType && filters.exerciseType.length > 0 && !filters.exerciseType.includes(entry.exerciseType)) {
+      return false;
+    }
 
-      const snapshot = await query.get();
-      const entries = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      })) as DiaryEntry[];
-
-      // Filtrar por etiquetas si es necesario
-      if (filters.tags && filters.tags.length > 0) {
-        return entries.filter(entry => 
-          filters.tags!.some(tag => entry.tags.includes(tag))
-        );
-      }
+    // Las etiquetas de las entradas cifradas en el cliente no se conocen en el servidor
+    if (filters.tags && filters.tags.length > 0) {
+      return (entry.tags || []).some(tag => filters.tags!.includes(tag));
+    }
 
-      return entries;
-    } catch (error) {
-      logger.error(`Error obteniendo entradas del diario para usuario ${userId}:`, error);
-      throw new Error('No se pudieron obtener las entradas del diario');
+    return true;
+  }
+
+  private anxietyRange(filters: DiaryFilters): number[] {
+    const min = filters.anxietyLevelMin ?? 1;
+    const max = filters.anxietyLevelMax ?? 10;
+    return Array.from({ length: Math.max(max - min + 1, 0) }, (_, index) => min + index);
+  }
+
+  private encodeCursor(entryId: string): string {
+    return Buffer.from(entryId).toString('base64url');
+  }
+
+  // El cursor solo es válido sobre una entrada del propio usuario
+  private async resolveCursor(userId: string, cursor: string): Promise<FirebaseFirestore.DocumentSnapshot> {
+    const entryId = Buffer.from(cursor, 'base64url').toString('utf8');
+    const doc = entryId && !entryId.includes('/')
+      ? await this.db.collection('diary_entries').doc(entryId).get()
+      : null;
+
+    if (!doc || !doc.exists || doc.data()?.userId !== userId) {
+      throw new Error('Cursor inválido');
     }
+
+    return doc;
   }
 
   async getDiaryEntryById(userId: string, entryId: string): Promise<DiaryEntry | null> {
@@ -137,10 +227,30 @@ class DiaryService {
         return null;
       }
 
+      if (data.version !== undefined && data.version !== entry.version) {
+        logger.warn(`Conflicto de versión en la entrada ${entryId}: ${data.version} != ${entry.version}`);
+        throw new Error('Conflicto de versión');
+      }
+
       const updateData: any = {
-        updatedAt: Timestamp.now()
+        updatedAt: Timestamp.now(),
+        version: (entry.version || 1) + 1
       };
 
+      // Una entrada cifrada en el cliente se reemplaza entera: sus campos de texto van en ciphertext
+      if (isClientEncrypted(data)) {
+        Object.assign(updateData, {
+          isEncrypted: true,
+          ciphertext: data.ciphertext,
+          iv: data.iv,
+          encryptionVersion: data.encryptionVersion,
+          content: '',
+          tags: [],
+          anxietyTriggers: [],
+          reflection: ''
+        });
+      }
+
       // Actualizar campos si se proporcionan
       if (data.mood !== undefined) updateData.mood = data.mood;
       if (data.moodScore !== undefined) updateData.moodScore = data.moodScore;
@@ -164,6 +274,9 @@ class DiaryService {
       
       return updatedEntry;
     } catch (error) {
+      if (error instanceof Error && error.message === 'Conflicto de versión') {
+        throw error;
+      }
       logger.error(`Error actualizando entrada del diario ${entryId}:`, error);
       throw new Error('No se pudo actualizar la entrada del diario');
     }
@@ -194,7 +307,7 @@ class DiaryService {
 
   async getDiaryStats(userId: string): Promise<DiaryStats> {
     try {
-      const entries = await this.getDiaryEntries(userId, { limit: 1000 });
+      const { entries } = await this.getDiaryEntries(userId, { limit: 1000 });
       
       if (entries.length === 0) {
         return {
@@ -212,7 +325,12 @@ class DiaryService {
       // Calcular estadísticas
       const totalEntries = entries.length;
       const averageMood = entries.reduce((sum, entry) => sum + entry.moodScore, 0) / totalEntries;
-      const averageAnxietyLevel = entries.reduce((sum, entry) => sum + entry.anxietyLevel, 0) / totalEntries;
+      const anxietyLevels = entries
+        .map(entry => entry.anxietyLevel)
+        .filter((level): level is number => Number.isFinite(level));
+      const averageAnxietyLevel = anxietyLevels.length > 0
+        ? anxietyLevels.reduce((sum, level) => sum + level, 0) / anxietyLevels.length
+        : 0;
 
       // Etiquetas más usadas
       const tagCount: { [key: string]: number } = {};
@@ -262,7 +380,8 @@ class DiaryService {
         exerciseFrequency,
         moodTrend,
         streak,
-        lastEntry: entries[0]?.date.toDate().toISOString() || null
+        lastEntry: entries[0]?.date.toDate().toISOString() || null,
+        encryptedEntries: entries.filter(entry => isClientEncrypted(entry)).length
       };
     } catch (error) {
       logger.error(`Error calculando estadísticas del diario para usuario ${userId}:`, error);
@@ -270,6 +389,35 @@ class DiaryService {
     }
   }
 
+  // Factores asociados a más o menos ansiedad (shared/trigger.correlation). Las etiquetas y
+  // desencadenantes de las entradas cifradas en el cliente no se conocen aquí (se guardan
+  // vacíos): van como null para que esas entradas solo aporten el día, la franja y el ejercicio.
+  // Las entradas sin nivel de ansiedad no cuentan
+  async getCorrelations(userId: string, filters: Pick<DiaryFilters, 'dateFrom' | 'dateTo'> & { timeZone?: string } = {}): Promise<CorrelationReport> {
+    try {
+      const { entries } = await this.getDiaryEntries(userId, {
+        dateFrom: filters.dateFrom,
+        dateTo: filters.dateTo,
+        limit: CORRELATION_MAX_ENTRIES
+      });
+
+      const observations = entries
+        .filter(entry => Number.isFinite(entry.anxietyLevel))
+        .map(entry => ({
+          date: this.toIsoString(entry.date),
+          anxiety: entry.anxietyLevel as number,
+          tags: isClientEncrypted(entry) ? null : entry.tags || [],
+          triggers: isClientEncrypted(entry) ? null : entry.anxietyTriggers || [],
+          exercises: entry.exerciseType ? [entry.exerciseType] : []
+        }));
+
+      return analyzeCorrelations(observations, { timeZone: filters.timeZone });
+    } catch (error) {
+      logger.error(`Error calculando correlaciones del diario para usuario ${userId}:`, error);
+      throw new Error('No se pudieron calcular las correlaciones del diario');
+    }
+  }
+
   private calculateStreak(entries: DiaryEntry[]): number {
     if (entries.length === 0) return 0;
 
@@ -327,25 +475,42 @@ class DiaryService {
     return {
       id: entry.id,
       userId: entry.userId,
-      date: entry.date.toDate().toISOString(),
+      date: this.toIsoString(entry.date),
       mood: entry.mood,
       moodScore: entry.moodScore,
-      content: entry.isEncrypted ? encryptionUtil.decrypt(entry.content) : entry.content,
+      content: this.readServerField(entry, entry.content),
       tags: entry.tags,
       exerciseType: entry.exerciseType,
       exerciseDuration: entry.exerciseDuration,
       exerciseEffectiveness: entry.exerciseEffectiveness,
       anxietyLevel: entry.anxietyLevel,
       anxietyTriggers: entry.anxietyTriggers,
-      reflection: entry.isEncrypted ? encryptionUtil.decrypt(entry.reflection) : entry.reflection,
+      reflection: this.readServerField(entry, entry.reflection),
       insights: entry.insights,
-      createdAt: entry.createdAt.toDate().toISOString(),
-      updatedAt: entry.updatedAt.toDate().toISOString(),
+      createdAt: this.toIsoString(entry.createdAt),
+      updatedAt: this.toIsoString(entry.updatedAt),
       isEncrypted: entry.isEncrypted,
       version: entry.version,
-      location: entry.location
+      location: entry.location,
+      ...(isClientEncrypted(entry) && {
+        ciphertext: entry.ciphertext,
+        iv: entry.iv,
+        encryptionVersion: entry.encryptionVersion
+      })
     };
   }
+
+  // Las entradas creadas desde el navegador pueden traer la fecha como texto ISO
+  private toIsoString(value: any): string {
+    if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+    return value ? new Date(value).toISOString() : '';
+  }
+
+  // Las entradas antiguas se cifraban en el servidor; las cifradas en el cliente se devuelven sin tocar
+  private readServerField(entry: DiaryEntry, value: string): string {
+    if (isClientEncrypted(entry)) return '';
+    return entry.isEncrypted && value ? encryptionUtil.decrypt(value) : value;
+  }
 }
 
 export default new DiaryService();
@@ -1,38 +1,36 @@
 import FirebaseService from './firebase.service';
 import { Evaluation, CreateEvaluationRequest, UpdateEvaluationRequest, EvaluationResponse, EvaluationStats, EvaluationFilters, TestType } from '../models/evaluation.model';
 import { logger } from '../utils/logger.util';
+import questionnaireEngine, { QuestionnaireResult } from '../shared/questionnaire.engine';
 import { Timestamp } from 'firebase-admin/firestore';
 
 class EvaluationService {
   private db = FirebaseService.getFirestore();
 
   async createEvaluation(userId: string, data: CreateEvaluationRequest): Promise<Evaluation> {
-    try {
-      // Validar datos de entrada
-      const validatedData = data;
-
-      // Validar respuestas específicas según el tipo de test
-      this.validateTestAnswers(validatedData.testType, validatedData.answers);
+    // Recalcular la puntuación en el servidor a partir de las respuestas
+    const result = this.scoreEvaluation(data);
 
+    try {
       const evaluation: Evaluation = {
         id: '', // Se asignará automáticamente
         userId,
-        testType: validatedData.testType,
-        testVersion: validatedData.testVersion || '1.0',
-        testName: validatedData.testName,
-        answers: validatedData.answers,
-        score: validatedData.score,
-        maxScore: validatedData.maxScore,
-        interpretation: this.generateInterpretation(validatedData.testType, validatedData.score, validatedData.maxScore),
+        testType: result.testType,
+        testVersion: data.testVersion || result.testVersion,
+        testName: data.testName || result.testName,
+        answers: result.answers,
+        score: result.score,
+        maxScore: result.maxScore,
+        interpretation: result.interpretation,
         completedAt: Timestamp.now(),
-        duration: validatedData.duration || 0,
-        isAnonymous: validatedData.isAnonymous || false,
+        duration: data.duration || 0,
+        isAnonymous: data.isAnonymous || false,
         metadata: {
           deviceType: 'desktop',
           browser: '',
           location: '',
           userAgent: '',
-          ...validatedData.metadata
+          ...data.metadata
         }
       };
 
@@ -41,7 +39,7 @@ class EvaluationService {
       // Actualizar estadísticas del usuario
       await this.updateUserStats(userId, 'evaluation');
       
-      logger.info(`Evaluación creada para usuario ${userId}: ${validatedData.testType}`);
+      logger.info(`Evaluación creada para usuario ${userId}: ${result.testType}`);
       return { ...evaluation, id: docRef.id };
     } catch (error) {
       logger.error(`Error creando evaluación para usuario ${userId}:`, error);
@@ -49,6 +47,22 @@ class EvaluationService {
     }
   }
 
+  // Valida las respuestas con el motor de cuestionarios y rechaza puntuaciones del cliente que no coinciden
+  scoreEvaluation(data: CreateEvaluationRequest): QuestionnaireResult {
+    const result = questionnaireEngine.score(data.testType, data.answers);
+
+    if (data.score !== undefined && data.score !== result.score) {
+      logger.warn(`Puntuación inconsistente para ${data.testType}: cliente ${data.score}, servidor ${result.score}`);
+      throw new Error('La puntuación total no coincide con las respuestas');
+    }
+
+    if (data.maxScore !== undefined && data.maxScore !== result.maxScore) {
+      throw new Error('La puntuación máxima no coincide con el test');
+    }
+
+    return result;
+  }
+
   async getEvaluations(userId: string, filters: EvaluationFilters = {}): Promise<Evaluation[]> {
     try {
       let query = this.db
@@ -149,7 +163,8 @@ class EvaluationService {
           testTypeFrequency: [],
           scoreTrend: [],
           lastEvaluation: null,
-          improvementRate: 0
+          improvementRate: 0,
+          clinicalChange: []
         };
       }
 
@@ -189,7 +204,8 @@ class EvaluationService {
         testTypeFrequency,
         scoreTrend,
         lastEvaluation: evaluations[0]?.completedAt.toDate().toISOString() || null,
-        improvementRate
+        improvementRate,
+        clinicalChange: this.calculateClinicalChange(evaluations)
       };
     } catch (error) {
       logger.error(`Error calculando estadísticas de evaluaciones para usuario ${userId}:`, error);
@@ -197,200 +213,33 @@ class EvaluationService {
     }
   }
 
-  private validateTestAnswers(testType: TestType, answers: number[]): void {
-    switch (testType) {
-      case 'gad7':
-        if (answers.length !== 7) {
-          throw new Error('GAD-7 requiere exactamente 7 respuestas');
-        }
-        break;
-      case 'phq9':
-        if (answers.length !== 9) {
-          throw new Error('PHQ-9 requiere exactamente 9 respuestas');
-        }
-        break;
-      case 'pss':
-        if (answers.length !== 10) {
-          throw new Error('PSS requiere exactamente 10 respuestas');
-        }
-        break;
-      case 'wellness':
-      case 'selfesteem':
-        // Validaciones básicas para otros tests
-        if (answers.length === 0) {
-          throw new Error('Las respuestas no pueden estar vacías');
-        }
-        break;
-    }
-  }
-
-  private generateInterpretation(testType: TestType, score: number, maxScore: number): Evaluation['interpretation'] {
-    const percentage = (score / maxScore) * 100;
-    
-    switch (testType) {
-      case 'gad7':
-        return this.interpretGAD7(score);
-      case 'phq9':
-        return this.interpretPHQ9(score);
-      case 'pss':
-        return this.interpretPSS(score);
-      case 'wellness':
-        return this.interpretWellness(percentage);
-      case 'selfesteem':
-        return this.interpretSelfEsteem(percentage);
-      default:
-        return {
-          level: 'unknown',
-          description: 'Interpretación no disponible',
-          recommendations: []
-        };
-    }
-  }
-
-  private interpretGAD7(score: number): Evaluation['interpretation'] {
-    if (score <= 4) {
-      return {
-        level: 'minimal',
-        description: 'Ansiedad mínima',
-        recommendations: ['Mantén tus hábitos saludables', 'Continúa con el seguimiento regular'],
-        riskLevel: 'low'
-      };
-    } else if (score <= 9) {
-      return {
-        level: 'mild',
-        description: 'Ansiedad leve',
-        recommendations: ['Practica técnicas de relajación', 'Considera ejercicios de respiración'],
-        riskLevel: 'low'
-      };
-    } else if (score <= 14) {
-      return {
-        level: 'moderate',
-        description: 'Ansiedad moderada',
-        recommendations: ['Practica mindfulness diariamente', 'Considera buscar apoyo profesional'],
-        riskLevel: 'medium'
-      };
-    } else {
-      return {
-        level: 'severe',
-        description: 'Ansiedad severa',
-        recommendations: ['Busca ayuda profesional inmediatamente', 'Considera terapia cognitivo-conductual'],
-        riskLevel: 'high'
-      };
-    }
-  }
-
-  private interpretPHQ9(score: number): Evaluation['interpretation'] {
-    if (score <= 4) {
-      return {
-        level: 'minimal',
-        description: 'Depresión mínima',
-        recommendations: ['Mantén actividades que disfrutes', 'Continúa con el seguimiento'],
-        riskLevel: 'low'
-      };
-    } else if (score <= 9) {
-      return {
-        level: 'mild',
-        description: 'Depresión leve',
-        recommendations: ['Mantén rutinas saludables', 'Considera actividades sociales'],
-        riskLevel: 'low'
-      };
-    } else if (score <= 14) {
-      return {
-        level: 'moderate',
-        description: 'Depresión moderada',
-        recommendations: ['Busca apoyo profesional', 'Considera terapia'],
-        riskLevel: 'medium'
-      };
-    } else if (score <= 19) {
-      return {
-        level: 'moderately_severe',
-        description: 'Depresión moderadamente severa',
-        recommendations: ['Busca ayuda profesional urgente', 'Considera medicación'],
-        riskLevel: 'high'
-      };
-    } else {
-      return {
-        level: 'severe',
-        description: 'Depresión severa',
-        recommendations: ['Busca ayuda profesional inmediatamente', 'Considera hospitalización'],
-        riskLevel: 'high'
-      };
-    }
-  }
-
-  private interpretPSS(score: number): Evaluation['interpretation'] {
-    if (score <= 13) {
-      return {
-        level: 'low',
-        description: 'Estrés bajo',
-        recommendations: ['Mantén tus estrategias actuales', 'Continúa con el bienestar'],
-        riskLevel: 'low'
-      };
-    } else if (score <= 26) {
-      return {
-        level: 'medium',
-        description: 'Estrés moderado',
-        recommendations: ['Practica técnicas de relajación', 'Mantén rutinas saludables'],
-        riskLevel: 'medium'
-      };
-    } else {
-      return {
-        level: 'high',
-        description: 'Estrés alto',
-        recommendations: ['Busca técnicas de manejo del estrés', 'Considera apoyo profesional'],
-        riskLevel: 'high'
-      };
-    }
-  }
+  // Primera evaluación de cada test como línea base frente a la más reciente
+  calculateClinicalChange(evaluations: Evaluation[]): EvaluationStats['clinicalChange'] {
+    const testGroups: { [key: string]: Evaluation[] } = {};
+    evaluations.forEach(evaluation => {
+      testGroups[evaluation.testType] = [...(testGroups[evaluation.testType] || []), evaluation];
+    });
 
-  private interpretWellness(percentage: number): Evaluation['interpretation'] {
-    if (percentage >= 80) {
-      return {
-        level: 'high',
-        description: 'Excelente bienestar general',
-        recommendations: ['Mantén tus hábitos saludables', 'Comparte tus estrategias con otros'],
-        riskLevel: 'low'
-      };
-    } else if (percentage >= 60) {
-      return {
-        level: 'medium',
-        description: 'Buen bienestar general',
-        recommendations: ['Continúa con tus actividades positivas', 'Considera nuevas estrategias de bienestar'],
-        riskLevel: 'low'
-      };
-    } else {
-      return {
-        level: 'low',
-        description: 'Bienestar general mejorable',
-        recommendations: ['Implementa rutinas de autocuidado', 'Considera buscar apoyo profesional'],
-        riskLevel: 'medium'
-      };
-    }
-  }
+    return Object.values(testGroups)
+      .filter(group => group.length >= 2 && questionnaireEngine.get(group[0].testType))
+      .map(group => {
+        const sorted = [...group].sort((a, b) => a.completedAt.toDate().getTime() - b.completedAt.toDate().getTime());
+        const baseline = sorted[0];
+        const latest = sorted[sorted.length - 1];
+        const change = questionnaireEngine.compareScores(
+          baseline.testType,
+          questionnaireEngine.getBandValue(baseline.testType, baseline.score),
+          questionnaireEngine.getBandValue(latest.testType, latest.score)
+        );
 
-  private interpretSelfEsteem(percentage: number): Evaluation['interpretation'] {
-    if (percentage >= 80) {
-      return {
-        level: 'high',
-        description: 'Autoestima alta',
-        recommendations: ['Mantén tu confianza', 'Ayuda a otros a desarrollar su autoestima'],
-        riskLevel: 'low'
-      };
-    } else if (percentage >= 60) {
-      return {
-        level: 'medium',
-        description: 'Autoestima moderada',
-        recommendations: ['Practica la autocompasión', 'Celebra tus logros'],
-        riskLevel: 'low'
-      };
-    } else {
-      return {
-        level: 'low',
-        description: 'Autoestima baja',
-        recommendations: ['Practica afirmaciones positivas', 'Considera terapia para trabajar la autoestima'],
-        riskLevel: 'medium'
-      };
-    }
+        return change && {
+          ...change,
+          baselineDate: baseline.completedAt.toDate().toISOString(),
+          latestDate: latest.completedAt.toDate().toISOString(),
+          evaluations: sorted.length
+        };
+      })
+      .filter((change): change is EvaluationStats['clinicalChange'][number] => !!change);
   }
 
   private calculateImprovementRate(evaluations: Evaluation[]): number {
@@ -418,7 +267,7 @@ class EvaluationService {
         const lastScore = sorted[sorted.length - 1].score;
         
         // Para tests donde menor puntuación es mejor (como GAD-7, PHQ-9)
-        const isLowerBetter = ['gad7', 'phq9', 'pss'].includes(sorted[0].testType);
+        const isLowerBetter = questionnaireEngine.get(sorted[0].testType)?.scoring.lowerIsBetter ?? true;
         
         let improvement = 0;
         if (isLowerBetter) {
@@ -0,0 +1,313 @@
+/**
+ * Servicio de Sesiones de Ejercicios
+ * Guarda en `exercise_sessions` cada ejercicio de relajación completado con su duración
+ * (en segundos) y la valoración SUDS de malestar antes y después. La mejora y la
+ * efectividad se calculan aquí a partir de esa valoración, nunca se aceptan del cliente.
+ * Las estadísticas agregan minutos totales, uso por técnica, mejora media y rachas.
+ */
+
+import { Timestamp } from 'firebase-admin/firestore';
+import FirebaseService from './firebase.service';
+import {
+  CreateExerciseSessionRequest,
+  ExerciseFilters,
+  ExerciseSession,
+  ExerciseSessionResponse,
+  ExerciseStats,
+  ExerciseType,
+  ExerciseTypeStats,
+  UpdateExerciseSessionRequest,
+  EXERCISE_DEFAULT_PAGE_SIZE,
+  EXERCISE_TYPES
+} from '../models/exercise.model';
+import { logger } from '../utils/logger.util';
+
+// Nombres mostrados si el cliente no envía uno (los mismos que usa el diario)
+const EXERCISE_NAMES: Record<ExerciseType, string> = {
+  breathing: 'Respiración Profunda',
+  meditation: 'Meditación Mindfulness',
+  'progressive-relaxation': 'Relajación Progresiva',
+  grounding: 'Técnica de Grounding'
+};
+
+// Sesiones que se leen como máximo para calcular las estadísticas
+const STATS_MAX_SESSIONS = 1000;
+// Puntos de las series de tendencia
+const TREND_MAX_POINTS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ExerciseService {
+  private db = FirebaseService.getFirestore();
+
+  async createSession(userId: string, data: CreateExerciseSessionRequest, userAgent = ''): Promise<ExerciseSessionResponse> {
+    try {
+      const moodBefore = data.moodBefore ?? null;
+      const moodAfter = data.moodAfter ?? null;
+      const now = Timestamp.now();
+
+      const session: Omit<ExerciseSession, 'id'> = {
+        userId,
+        exerciseType: data.exerciseType,
+        exerciseName: data.exerciseName || EXERCISE_NAMES[data.exerciseType],
+        duration: data.duration,
+        moodBefore,
+        moodAfter,
+        ...this.calculateImprovement(moodBefore, moodAfter),
+        notes: data.notes || '',
+        tags: data.tags || [],
+        isCompleted: data.isCompleted ?? true,
+        ...(data.startedAt && { startedAt: data.startedAt }),
+        completedAt: now,
+        createdAt: now,
+        deviceInfo: {
+          platform: data.platform || 'web',
+          userAgent: userAgent.slice(0, 300)
+        }
+      };
+
+      const docRef = await this.db.collection('exercise_sessions').add(session);
+
+      logger.info(`Sesión de ejercicio ${data.exerciseType} creada para usuario ${userId}`);
+      return this.toResponse({ ...session, id: docRef.id });
+    } catch (error) {
+      logger.error(`Error creando sesión de ejercicio para usuario ${userId}:`, error);
+      throw new Error('No se pudo crear la sesión de ejercicio');
+    }
+  }
+
+  // Sesiones más recientes primero, filtradas por técnica y por fecha de finalización
+  async listSessions(userId: string, filters: ExerciseFilters = {}): Promise<ExerciseSessionResponse[]> {
+    try {
+      let query = this.db
+        .collection('exercise_sessions')
+        .where('userId', '==', userId);
+
+      if (filters.exerciseType && filters.exerciseType.length > 0) {
+        query = filters.exerciseType.length === 1
+          ? query.where('exerciseType', '==', filters.exerciseType[0])
+          : query.where('exerciseType', 'in', filters.exerciseType);
+      }
+
+      if (filters.dateFrom) {
+        query = query.where('completedAt', '>=', Timestamp.fromDate(filters.dateFrom));
+      }
+
+      if (filters.dateTo) {
+        query = query.where('completedAt', '<=', Timestamp.fromDate(filters.dateTo));
+      }
+
+      query = query.orderBy('completedAt', 'desc');
+
+      if (filters.offset) {
+        query = query.offset(filters.offset);
+      }
+
+      query = query.limit(filters.limit || EXERCISE_DEFAULT_PAGE_SIZE);
+
+      const snapshot = await query.get();
+      return snapshot.docs.map(doc => this.toResponse({ id: doc.id, ...doc.data() } as ExerciseSession));
+    } catch (error) {
+      logger.error(`Error obteniendo sesiones de ejercicio para usuario ${userId}:`, error);
+      throw new Error('No se pudieron obtener las sesiones de ejercicio');
+    }
+  }
+
+  async getSessionById(userId: string, sessionId: string): Promise<ExerciseSessionResponse | null> {
+    const session = await this.findOwnedSession(userId, sessionId);
+    return session ? this.toResponse(session) : null;
+  }
+
+  // Solo se pueden corregir la valoración final, las notas, las etiquetas y si se completó
+  async updateSession(userId: string, sessionId: string, data: UpdateExerciseSessionRequest): Promise<ExerciseSessionResponse | null> {
+    try {
+      const session = await this.findOwnedSession(userId, sessionId);
+      if (!session) {
+        return null;
+      }
+
+      const updateData: Partial<ExerciseSession> = {};
+
+      if (data.moodAfter !== undefined) {
+        updateData.moodAfter = data.moodAfter;
+        Object.assign(updateData, this.calculateImprovement(session.moodBefore ?? null, data.moodAfter));
+      }
+      if (data.notes !== undefined) updateData.notes = data.notes;
+      if (data.tags !== undefined) updateData.tags = data.tags;
+      if (data.isCompleted !== undefined) updateData.isCompleted = data.isCompleted;
+
+      await this.db
+        .collection('exercise_sessions')
+        .doc(sessionId)
+        .update(updateData);
+
+      logger.info(`Sesión de ejercicio actualizada: ${sessionId}`);
+      return this.toResponse({ ...session, ...updateData });
+    } catch (error) {
+      logger.error(`Error actualizando sesión de ejercicio ${sessionId}:`, error);
+      throw new Error('No se pudo actualizar la sesión de ejercicio');
+    }
+  }
+
+  async getStats(userId: string, filters: Pick<ExerciseFilters, 'dateFrom' | 'dateTo'> = {}): Promise<ExerciseStats> {
+    try {
+      let query = this.db
+        .collection('exercise_sessions')
+        .where('userId', '==', userId);
+
+      if (filters.dateFrom) {
+        query = query.where('completedAt', '>=', Timestamp.fromDate(filters.dateFrom));
+      }
+
+      if (filters.dateTo) {
+        query = query.where('completedAt', '<=', Timestamp.fromDate(filters.dateTo));
+      }
+
+      const snapshot = await query
+        .orderBy('completedAt', 'desc')
+        .limit(STATS_MAX_SESSIONS)
+        .get();
+
+      const sessions = snapshot.docs
+        .map(doc => this.toResponse({ id: doc.id, ...doc.data() } as ExerciseSession))
+        .filter(session => session.isCompleted);
+
+      return this.calculateStats(sessions);
+    } catch (error) {
+      logger.error(`Error calculando estadísticas de ejercicios para usuario ${userId}:`, error);
+      throw new Error('No se pudieron calcular las estadísticas de ejercicios');
+    }
+  }
+
+  // Sesiones ordenadas de la más reciente a la más antigua
+  private calculateStats(sessions: ExerciseSessionResponse[]): ExerciseStats {
+    const totalSeconds = sessions.reduce((sum, session) => sum + (session.duration || 0), 0);
+    const rated = sessions.filter(session => session.improvement !== null);
+    const withEffectiveness = rated.filter(session => session.effectiveness !== null);
+
+    const exerciseTypeFrequency: ExerciseTypeStats[] = EXERCISE_TYPES
+      .map(type => {
+        const ofType = sessions.filter(session => session.exerciseType === type);
+        const ratedOfType = ofType.filter(session => session.improvement !== null);
+        return {
+          type,
+          count: ofType.length,
+          minutes: Math.round(ofType.reduce((sum, session) => sum + (session.duration || 0), 0) / 60),
+          averageImprovement: this.average(ratedOfType.map(session => session.improvement as number))
+        };
+      })
+      .filter(entry => entry.count > 0)
+      .sort((a, b) => b.count - a.count);
+
+    const trend = [...rated].reverse().slice(-TREND_MAX_POINTS);
+    const { currentStreak, longestStreak } = this.calculateStreaks(sessions.map(session => session.completedAt));
+
+    return {
+      totalSessions: sessions.length,
+      totalMinutes: Math.round(totalSeconds / 60),
+      averageDuration: sessions.length > 0 ? Math.round(totalSeconds / sessions.length) : 0,
+      averageEffectiveness: this.average(withEffectiveness.map(session => session.effectiveness as number)),
+      averageImprovement: this.average(rated.map(session => session.improvement as number)),
+      ratedSessions: rated.length,
+      exerciseTypeFrequency,
+      effectivenessTrend: trend
+        .filter(session => session.effectiveness !== null)
+        .map(session => ({ date: session.completedAt, effectiveness: session.effectiveness as number, type: session.exerciseType })),
+      moodImprovementTrend: trend
+        .map(session => ({ date: session.completedAt, improvement: session.improvement as number, type: session.exerciseType })),
+      lastSession: sessions[0]?.completedAt || null,
+      currentStreak,
+      longestStreak
+    };
+  }
+
+  // Días consecutivos con algún ejercicio; la racha actual sigue viva si el último fue ayer
+  private calculateStreaks(dates: string[]): { currentStreak: number; longestStreak: number } {
+    const days = Array.from(new Set(dates.map(date => date.split('T')[0]))).sort();
+    if (days.length === 0) {
+      return { currentStreak: 0, longestStreak: 0 };
+    }
+
+    let longestStreak = 1;
+    let run = 1;
+    for (let i = 1; i < days.length; i++) {
+      const gap = Math.round((Date.parse(days[i]) - Date.parse(days[i - 1])) / DAY_MS);
+      run = gap === 1 ? run + 1 : 1;
+      longestStreak = Math.max(longestStreak, run);
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const sinceLast = Math.round((Date.parse(today) - Date.parse(days[days.length - 1])) / DAY_MS);
+
+    return { currentStreak: sinceLast <= 1 ? run : 0, longestStreak };
+  }
+
+  // improvement = moodBefore - moodAfter; effectiveness = porcentaje del malestar inicial que desaparece
+  private calculateImprovement(moodBefore: number | null, moodAfter: number | null): Pick<ExerciseSession, 'improvement' | 'effectiveness'> {
+    if (moodBefore === null || moodAfter === null) {
+      return { improvement: null, effectiveness: null };
+    }
+
+    const improvement = moodBefore - moodAfter;
+    return {
+      improvement,
+      effectiveness: moodBefore > 0 ? Math.round((improvement / moodBefore) * 100) : null
+    };
+  }
+
+  private async findOwnedSession(userId: string, sessionId: string): Promise<ExerciseSession | null> {
+    try {
+      const doc = await this.db
+        .collection('exercise_sessions')
+        .doc(sessionId)
+        .get();
+
+      if (!doc.exists || doc.data()?.userId !== userId) {
+        return null;
+      }
+
+      return { id: doc.id, ...doc.data() } as ExerciseSession;
+    } catch (error) {
+      logger.error(`Error obteniendo sesión de ejercicio ${sessionId}:`, error);
+      throw new Error('No se pudo obtener la sesión de ejercicio');
+    }
+  }
+
+  // Las sesiones guardadas desde el navegador pueden no traer todos los campos
+  private toResponse(session: ExerciseSession): ExerciseSessionResponse {
+    const completedAt = this.toDate(session.completedAt) || this.toDate(session.createdAt) || new Date(0);
+
+    return {
+      id: session.id,
+      userId: session.userId,
+      exerciseType: session.exerciseType,
+      exerciseName: session.exerciseName || EXERCISE_NAMES[session.exerciseType] || session.exerciseType,
+      duration: session.duration || 0,
+      effectiveness: session.effectiveness ?? null,
+      moodBefore: session.moodBefore ?? null,
+      moodAfter: session.moodAfter ?? null,
+      improvement: session.improvement ?? null,
+      notes: session.notes || '',
+      tags: session.tags || [],
+      isCompleted: session.isCompleted !== false,
+      ...(session.startedAt && { startedAt: session.startedAt }),
+      completedAt: completedAt.toISOString(),
+      createdAt: (this.toDate(session.createdAt) || completedAt).toISOString(),
+      deviceInfo: session.deviceInfo || { platform: 'web', userAgent: '' }
+    };
+  }
+
+  private average(values: number[]): number | null {
+    if (values.length === 0) return null;
+    return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10;
+  }
+
+  private toDate(value: any): Date | null {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+}
+
+export default new ExerciseService();
@@ -0,0 +1,31 @@
+/**
+ * Transporte de Correo en Archivos
+ * No envía nada: cada mensaje se guarda como un JSON en una carpeta (MAIL_OUTBOX_DIR) para
+ * revisarlo en desarrollo o comprobarlo en pruebas.
+ */
+
+import crypto from 'crypto';
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import { MailMessage, MailTransport } from '../models/mail.model';
+
+export class FileMailTransport implements MailTransport {
+  readonly name = 'file' as const;
+
+  constructor(private directory: string, private now: () => Date = () => new Date()) {}
+
+  async send(message: MailMessage & { from: string }): Promise<void> {
+    const sentAt = this.now();
+    // El nombre empieza por la fecha para que la carpeta quede ordenada
+    const fileName = `${sentAt.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(
+      path.join(this.directory, fileName),
+      JSON.stringify({ ...message, sentAt: sentAt.toISOString() }, null, 2),
+      'utf8'
+    );
+  }
+}
+
+export default FileMailTransport;
@@ -0,0 +1,95 @@
+import { LocalInsightProvider } from './local-insight.provider';
+import { InsightContext } from '../models/insight.model';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-15T12:00:00Z');
+const daysAgo = (days: number) => new Date(NOW.getTime() - days * DAY_MS).toISOString();
+
+// Dos semanas de diario: la anterior tranquila, la última con más ansiedad y «trabajo» como desencadenante
+function buildContext(): InsightContext {
+  const diary: InsightContext['diary'] = [];
+  for (let day = 13; day >= 7; day--) {
+    diary.push({ date: daysAgo(day), moodScore: 4, anxietyLevel: 3, exerciseType: null, tags: ['familia'], triggers: [] });
+  }
+  for (let day = 6; day >= 0; day--) {
+    diary.push({ date: daysAgo(day), moodScore: 2, anxietyLevel: 8, exerciseType: null, tags: ['familia'], triggers: ['trabajo'] });
+  }
+
+  return {
+    diary,
+    evaluations: [
+      { testType: 'gad7', value: 4, level: 'minimal', riskLevel: 'low', completedAt: daysAgo(30) },
+      { testType: 'gad7', value: 16, level: 'severe', riskLevel: 'high', completedAt: daysAgo(1) }
+    ],
+    exercises: [3, 4, 5].map((improvement, index) => ({
+      exerciseType: 'breathing' as const,
+      improvement,
+      completedAt: daysAgo(20 + index)
+    }))
+  };
+}
+
+describe('LocalInsightProvider', () => {
+  const provider = new LocalInsightProvider();
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('con el mismo contexto devuelve siempre lo mismo', async () => {
+    expect(await provider.generateInsights(buildContext())).toEqual(await provider.generateInsights(buildContext()));
+    expect(await provider.generateRecommendations(buildContext())).toEqual(await provider.generateRecommendations(buildContext()));
+  });
+
+  it('detecta la subida de ansiedad, el desencadenante y el empeoramiento del cuestionario', async () => {
+    const insights = await provider.generateInsights(buildContext());
+    const texts = insights.map(insight => insight.insight);
+
+    expect(texts).toContain('Tu ansiedad media ha subido de 3 a 8 esta semana.');
+    expect(texts).toContain('Tu estado de ánimo ha bajado de 4 a 2 (sobre 5) esta semana.');
+    expect(insights.find(insight => insight.type === 'trigger_correlation')!.insight).toContain('«trabajo»');
+    expect(insights.find(insight => insight.type === 'assessment_change')!.insight).toMatch(/^GAD-7: Empeoramiento fiable/);
+    // Lo que pide actuar va antes que lo informativo
+    expect(insights[insights.length - 1]).toMatchObject({ type: 'activity_impact', actionable: false });
+  });
+
+  it('recomienda primero la ayuda profesional y después lo que le funciona', async () => {
+    const recommendations = await provider.generateRecommendations(buildContext());
+
+    expect(recommendations.map(recommendation => recommendation.title)).toEqual([
+      'Habla con un profesional',
+      'Respiración Profunda',
+      'Registro de pensamientos',
+      'Comparte cómo estás',
+      'Meditación Mindfulness'
+    ]);
+    expect(recommendations[0].personalizedFor).toBe('GAD-7: Severa');
+    expect(recommendations[1]).toMatchObject({ exerciseType: 'breathing', effectiveness: 4 });
+  });
+
+  it('sin datos no inventa insights', async () => {
+    expect(await provider.generateInsights({ diary: [], evaluations: [], exercises: [] })).toEqual([]);
+  });
+
+  it('analiza el sentimiento con el léxico local', async () => {
+    expect(await provider.analyzeSentiment('Hoy estoy muy nervioso y con miedo por el examen')).toMatchObject({
+      sentiment: 'negative',
+      emotions: ['ansiedad', 'miedo'],
+      riskLevel: 'medium'
+    });
+  });
+
+  it('las frases de riesgo explícitas son una crisis', async () => {
+    expect(await provider.assessCrisis('A veces pienso en quitarme la vida')).toMatchObject({
+      isCrisis: true,
+      riskLevel: 'critical',
+      indicators: ['quitarme la vida'],
+      professionalHelp: true
+    });
+    expect((await provider.assessCrisis('Hoy ha sido un buen día con mis amigos')).riskLevel).toBe('low');
+  });
+});
@@ -0,0 +1,465 @@
+/**
+ * Proveedor Local de Insights
+ * Implementación determinista y sin red: sentimiento por léxico (shared/sentiment.analysis),
+ * reglas sobre las tendencias de ánimo y ansiedad del diario, correlaciones de desencadenantes,
+ * cambios fiables en los cuestionarios y recomendaciones asociadas a los ejercicios del diario.
+ * Con los mismos datos siempre devuelve el mismo resultado.
+ */
+
+import {
+  CrisisAnalysis,
+  InsightContext,
+  InsightProvider,
+  MentalHealthInsight,
+  PersonalizedRecommendation,
+  SentimentAnalysis,
+  Emotion
+} from '../models/insight.model';
+import { ExerciseType } from '../models/exercise.model';
+import { analyzeSentiment } from '../shared/sentiment.analysis';
+import { detectCrisisText } from '../shared/crisis.detection';
+import { analyzeCorrelations } from '../shared/trigger.correlation';
+import questionnaireEngine from '../shared/questionnaire.engine';
+import { QUESTIONNAIRES } from '../shared/questionnaire.definitions';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Ventana de la comparación semanal de tendencias
+const TREND_WINDOW_DAYS = 7;
+// Registros mínimos en cada semana para comparar
+const MIN_TREND_RECORDS = 3;
+// Cambios mínimos para hablar de tendencia (ansiedad 1-10, ánimo 1-5)
+const MIN_ANXIETY_CHANGE = 1;
+const MIN_MOOD_CHANGE = 0.5;
+const HIGH_ANXIETY_LEVEL = 8;
+// Sesiones valoradas para recomendar un ejercicio por su efecto medido
+const MIN_RATED_SESSIONS = 3;
+// Sentimiento a partir del cual el texto indica un malestar marcado
+const DISTRESS_SCORE = -0.6;
+const MAX_RECOMMENDATIONS = 5;
+
+interface ExerciseRecommendation {
+  category: 'exercise' | 'meditation';
+  title: string;
+  description: string;
+  estimatedTime: number;
+}
+
+const EXERCISE_RECOMMENDATIONS: Record<ExerciseType, ExerciseRecommendation> = {
+  breathing: {
+    category: 'exercise',
+    title: 'Respiración Profunda',
+    description: 'Respira por la nariz en 4 tiempos y suelta el aire en 6. Alargar la espiración reduce la activación física de la ansiedad.',
+    estimatedTime: 5
+  },
+  meditation: {
+    category: 'meditation',
+    title: 'Meditación Mindfulness',
+    description: 'Dedica unos minutos a observar la respiración y deja pasar los pensamientos sin engancharte a ellos.',
+    estimatedTime: 10
+  },
+  'progressive-relaxation': {
+    category: 'exercise',
+    title: 'Relajación Progresiva',
+    description: 'Tensa y suelta cada grupo muscular de los pies a la cabeza para liberar la tensión acumulada.',
+    estimatedTime: 15
+  },
+  grounding: {
+    category: 'exercise',
+    title: 'Técnica de Grounding',
+    description: 'Nombra 5 cosas que ves, 4 que tocas, 3 que oyes, 2 que hueles y 1 que saboreas para volver al presente.',
+    estimatedTime: 5
+  }
+};
+
+// Ejercicio sugerido para cada emoción detectada en el texto
+const EMOTION_EXERCISES: Partial<Record<Emotion, ExerciseType>> = {
+  ansiedad: 'breathing',
+  miedo: 'grounding',
+  enfado: 'progressive-relaxation',
+  cansancio: 'meditation',
+  tristeza: 'meditation'
+};
+
+const CRISIS_ACTIONS = [
+  'Contactar línea de crisis inmediatamente',
+  'Buscar ayuda profesional urgente',
+  'No estar solo/a en este momento'
+];
+
+function mean(values: number[]): number {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function round(value: number): number {
+  return Math.round(value * 10) / 10;
+}
+
+function formatPoints(value: number): string {
+  return value.toLocaleString('es-ES', { maximumFractionDigits: 1 });
+}
+
+// Confianza creciente con el número de registros, sin llegar nunca a la certeza
+function confidenceFor(count: number, base = 0.5): number {
+  return Math.round(Math.min(0.9, base + count / 40) * 100) / 100;
+}
+
+export class LocalInsightProvider implements InsightProvider {
+  readonly name = 'local' as const;
+
+  async analyzeSentiment(text: string): Promise<SentimentAnalysis> {
+    const result = analyzeSentiment(text);
+    const crisis = detectCrisisText(text);
+
+    let riskLevel: SentimentAnalysis['riskLevel'] = 'low';
+    if (crisis.isCrisis) {
+      riskLevel = 'high';
+    } else if (result.score <= DISTRESS_SCORE || (result.sentiment === 'negative' && result.emotions.includes('miedo'))) {
+      riskLevel = 'medium';
+    }
+
+    const recommendations = crisis.isCrisis
+      ? [...CRISIS_ACTIONS]
+      : result.emotions
+        .map(emotion => EMOTION_EXERCISES[emotion])
+        .filter((exercise, index, list): exercise is ExerciseType => !!exercise && list.indexOf(exercise) === index)
+        .map(exercise => `${EXERCISE_RECOMMENDATIONS[exercise].title}: ${EXERCISE_RECOMMENDATIONS[exercise].description}`);
+
+    return {
+      sentiment: result.sentiment,
+      confidence: result.confidence,
+      emotions: result.emotions,
+      riskLevel,
+      recommendations
+    };
+  }
+
+  async assessCrisis(text: string): Promise<CrisisAnalysis> {
+    const crisis = detectCrisisText(text);
+    if (crisis.isCrisis) {
+      return {
+        isCrisis: true,
+        riskLevel: crisis.riskLevel === 'critical' ? 'critical' : 'high',
+        indicators: crisis.indicators,
+        immediateActions: [...CRISIS_ACTIONS],
+        professionalHelp: true
+      };
+    }
+
+    // Sin frases de riesgo explícitas: un malestar marcado de tristeza o soledad merece seguimiento
+    const sentiment = analyzeSentiment(text);
+    const distress = sentiment.score <= DISTRESS_SCORE
+      && sentiment.emotions.some(emotion => emotion === 'tristeza' || emotion === 'soledad');
+
+    return {
+      isCrisis: false,
+      riskLevel: distress ? 'medium' : 'low',
+      indicators: distress ? sentiment.emotions : [],
+      immediateActions: distress
+        ? ['Hablar con alguien de confianza', 'Hacer un ejercicio de grounding', 'Pedir cita con un profesional si el malestar continúa']
+        : [],
+      professionalHelp: false
+    };
+  }
+
+  async generateInsights(context: InsightContext): Promise<MentalHealthInsight[]> {
+    const insights = [
+      ...this.trendInsights(context),
+      ...this.correlationInsights(context),
+      ...this.activityInsights(context),
+      ...this.assessmentInsights(context)
+    ];
+
+    // Primero lo que pide actuar; después, lo más fiable
+    return insights.sort((a, b) => Number(b.actionable) - Number(a.actionable) || b.confidence - a.confidence);
+  }
+
+  async generateRecommendations(context: InsightContext): Promise<PersonalizedRecommendation[]> {
+    const recommendations: PersonalizedRecommendation[] = [];
+    const anxiety = this.weeklyAverages(context, 'anxietyLevel');
+    const effectiveness = this.exerciseEffectiveness(context);
+
+    // Cuestionario reciente con riesgo alto o severidad alta: primero la ayuda profesional
+    const latestEvaluation = [...context.evaluations]
+      .sort((a, b) => b.completedAt.localeCompare(a.completedAt))[0];
+    if (latestEvaluation && (latestEvaluation.riskLevel === 'high' || ['severe', 'moderately_severe'].includes(latestEvaluation.level))) {
+      recommendations.push({
+        category: 'professional',
+        title: 'Habla con un profesional',
+        description: 'Tu último cuestionario indica síntomas intensos. Un psicólogo o tu médico de cabecera pueden ayudarte a valorar qué necesitas.',
+        priority: 1,
+        estimatedTime: 60,
+        effectiveness: null,
+        personalizedFor: `${QUESTIONNAIRES[latestEvaluation.testType].shortName}: ${questionnaireEngine.interpret(latestEvaluation.testType, latestEvaluation.value).label}`
+      });
+    }
+
+    // Ansiedad alta esta semana: técnica de efecto rápido
+    if (anxiety.recent !== null && anxiety.recent >= 7) {
+      recommendations.push(this.exerciseRecommendation('breathing', 1, `Ansiedad media de ${formatPoints(anxiety.recent)} en los últimos ${TREND_WINDOW_DAYS} días`, effectiveness));
+    }
+
+    // La técnica que mejor le funciona según sus propias valoraciones
+    const [best] = effectiveness;
+    if (best && best.average > 0) {
+      recommendations.push(this.exerciseRecommendation(
+        best.exerciseType,
+        2,
+        `Te baja el malestar ${formatPoints(best.average)} puntos de media en ${best.count} sesiones`,
+        effectiveness
+      ));
+    }
+
+    // Un desencadenante claro: trabajarlo con un registro de pensamientos (TCC)
+    const trigger = analyzeCorrelations(this.correlationObservations(context)).findings
+      .find(finding => finding.direction === 'higher' && (finding.kind === 'trigger' || finding.kind === 'tag'));
+    if (trigger) {
+      recommendations.push({
+        category: 'therapy',
+        title: 'Registro de pensamientos',
+        description: `La próxima vez que aparezca «${trigger.label}», anota la situación, lo que pensaste y una alternativa más realista. Es una técnica de la terapia cognitivo-conductual.`,
+        priority: 2,
+        estimatedTime: 10,
+        effectiveness: null,
+        personalizedFor: trigger.summary
+      });
+    }
+
+    // Ánimo a la baja: apoyarse en otras personas
+    const mood = this.weeklyAverages(context, 'moodScore');
+    if (mood.recent !== null && mood.previous !== null && mood.previous - mood.recent >= MIN_MOOD_CHANGE) {
+      recommendations.push({
+        category: 'social',
+        title: 'Comparte cómo estás',
+        description: 'Queda o llama a alguien de confianza esta semana. El apoyo social amortigua el impacto del estrés.',
+        priority: 3,
+        estimatedTime: 30,
+        effectiveness: null,
+        personalizedFor: `Tu ánimo ha bajado de ${formatPoints(mood.previous)} a ${formatPoints(mood.recent)} esta semana`
+      });
+    }
+
+    // Sin ejercicios recientes: retomar el hábito con algo breve
+    if (!this.hasRecentExercise(context)) {
+      recommendations.push(this.exerciseRecommendation('meditation', 3, `Sin ejercicios en los últimos ${TREND_WINDOW_DAYS} días`, effectiveness));
+    }
+
+    // Una recomendación por ejercicio, la de mayor prioridad
+    const seen = new Set<string>();
+    return recommendations
+      .sort((a, b) => a.priority - b.priority)
+      .filter(recommendation => {
+        const key = recommendation.exerciseType || recommendation.title;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, MAX_RECOMMENDATIONS);
+  }
+
+  // === REGLAS ===
+
+  private trendInsights(context: InsightContext): MentalHealthInsight[] {
+    const insights: MentalHealthInsight[] = [];
+
+    const anxiety = this.weeklyAverages(context, 'anxietyLevel');
+    if (anxiety.recent !== null && anxiety.previous !== null) {
+      const change = anxiety.recent - anxiety.previous;
+      if (Math.abs(change) >= MIN_ANXIETY_CHANGE) {
+        insights.push({
+          type: 'stress_pattern',
+          insight: change > 0
+            ? `Tu ansiedad media ha subido de ${formatPoints(anxiety.previous)} a ${formatPoints(anxiety.recent)} esta semana.`
+            : `Tu ansiedad media ha bajado de ${formatPoints(anxiety.previous)} a ${formatPoints(anxiety.recent)} esta semana.`,
+          confidence: confidenceFor(anxiety.count),
+          actionable: change > 0,
+          recommendations: change > 0
+            ? ['Reserva un momento al día para un ejercicio de respiración', 'Anota qué ha cambiado esta semana']
+            : ['Sigue con las rutinas que te están funcionando']
+        });
+      }
+    }
+
+    const highDays = new Set(
+      this.recentRecords(context)
+        .filter(entry => entry.anxietyLevel !== null && entry.anxietyLevel >= HIGH_ANXIETY_LEVEL)
+        .map(entry => entry.date.slice(0, 10))
+    );
+    if (highDays.size >= 3) {
+      insights.push({
+        type: 'stress_pattern',
+        insight: `Has tenido ansiedad muy alta (${HIGH_ANXIETY_LEVEL} o más) ${highDays.size} días de los últimos ${TREND_WINDOW_DAYS}.`,
+        confidence: confidenceFor(highDays.size * 3, 0.6),
+        actionable: true,
+        recommendations: ['Practica una técnica de calma rápida cuando notes que la ansiedad sube', 'Si se mantiene, coméntalo con un profesional']
+      });
+    }
+
+    const mood = this.weeklyAverages(context, 'moodScore');
+    if (mood.recent !== null && mood.previous !== null) {
+      const change = mood.recent - mood.previous;
+      if (Math.abs(change) >= MIN_MOOD_CHANGE) {
+        insights.push({
+          type: 'mood_trend',
+          insight: change < 0
+            ? `Tu estado de ánimo ha bajado de ${formatPoints(mood.previous)} a ${formatPoints(mood.recent)} (sobre 5) esta semana.`
+            : `Tu estado de ánimo ha mejorado de ${formatPoints(mood.previous)} a ${formatPoints(mood.recent)} (sobre 5) esta semana.`,
+          confidence: confidenceFor(mood.count),
+          actionable: change < 0,
+          recommendations: change < 0
+            ? ['Planifica una actividad agradable cada día', 'Busca apoyo en alguien de confianza']
+            : ['Fíjate en qué has hecho distinto para repetirlo']
+        });
+      }
+    }
+
+    return insights;
+  }
+
+  private correlationInsights(context: InsightContext): MentalHealthInsight[] {
+    return analyzeCorrelations(this.correlationObservations(context), { limit: 2 }).findings.map(finding => ({
+      type: 'trigger_correlation' as const,
+      insight: finding.summary,
+      confidence: finding.strength === 'strong' ? 0.8 : 0.6,
+      actionable: finding.direction === 'higher',
+      recommendations: finding.direction === 'higher'
+        ? [`Prepara un plan para cuando aparezca «${finding.label}»`]
+        : [`Busca más momentos como «${finding.label}»`]
+    }));
+  }
+
+  private activityInsights(context: InsightContext): MentalHealthInsight[] {
+    return this.exerciseEffectiveness(context)
+      .filter(stat => Math.abs(stat.average) >= 1)
+      .slice(0, 2)
+      .map(stat => ({
+        type: 'activity_impact' as const,
+        insight: stat.average > 0
+          ? `${EXERCISE_RECOMMENDATIONS[stat.exerciseType].title} te baja el malestar ${formatPoints(stat.average)} puntos de media (${stat.count} sesiones).`
+          : `${EXERCISE_RECOMMENDATIONS[stat.exerciseType].title} no te está ayudando: tu malestar sube ${formatPoints(-stat.average)} puntos de media.`,
+        confidence: confidenceFor(stat.count),
+        actionable: stat.average < 0,
+        recommendations: stat.average > 0
+          ? [`Usa ${EXERCISE_RECOMMENDATIONS[stat.exerciseType].title.toLowerCase()} cuando notes que la ansiedad sube`]
+          : ['Prueba otra técnica durante unos días y compara']
+      }));
+  }
+
+  private assessmentInsights(context: InsightContext): MentalHealthInsight[] {
+    const byTest = new Map<string, InsightContext['evaluations']>();
+    [...context.evaluations]
+      .sort((a, b) => b.completedAt.localeCompare(a.completedAt))
+      .forEach(evaluation => {
+        byTest.set(evaluation.testType, [...(byTest.get(evaluation.testType) || []), evaluation]);
+      });
+
+    const insights: MentalHealthInsight[] = [];
+    byTest.forEach(([latest, previous]) => {
+      if (!previous) return;
+
+      // Solo los cambios que superan el margen de error del cuestionario
+      const change = questionnaireEngine.compareScores(latest.testType, previous.value, latest.value);
+      if (!change || !change.isReliable) return;
+
+      insights.push({
+        type: 'assessment_change',
+        insight: `${QUESTIONNAIRES[latest.testType].shortName}: ${change.label}. ${change.description}`,
+        confidence: 0.85,
+        actionable: change.category === 'deteriorated',
+        recommendations: change.category === 'deteriorated'
+          ? ['Comparte este resultado con un profesional']
+          : ['Sigue con lo que te está funcionando']
+      });
+    });
+
+    return insights;
+  }
+
+  // === DATOS ===
+
+  private exerciseRecommendation(
+    exerciseType: ExerciseType,
+    priority: number,
+    personalizedFor: string,
+    effectiveness: Array<{ exerciseType: ExerciseType; average: number }>
+  ): PersonalizedRecommendation {
+    const measured = effectiveness.find(stat => stat.exerciseType === exerciseType);
+
+    return {
+      ...EXERCISE_RECOMMENDATIONS[exerciseType],
+      priority,
+      effectiveness: measured ? measured.average : null,
+      personalizedFor,
+      exerciseType
+    };
+  }
+
+  // Mejora media por técnica en las sesiones valoradas, de mayor a menor
+  private exerciseEffectiveness(context: InsightContext): Array<{ exerciseType: ExerciseType; average: number; count: number }> {
+    const byType = new Map<ExerciseType, number[]>();
+    context.exercises.forEach(session => {
+      if (session.improvement === null) return;
+      byType.set(session.exerciseType, [...(byType.get(session.exerciseType) || []), session.improvement]);
+    });
+
+    return Array.from(byType.entries())
+      .filter(([, improvements]) => improvements.length >= MIN_RATED_SESSIONS)
+      .map(([exerciseType, improvements]) => ({ exerciseType, average: round(mean(improvements)), count: improvements.length }))
+      .sort((a, b) => b.average - a.average || b.count - a.count);
+  }
+
+  // Fecha de referencia: el registro más reciente (los datos pueden ser de un periodo pasado)
+  private referenceTime(context: InsightContext): number {
+    const times = [
+      ...context.diary.map(entry => new Date(entry.date).getTime()),
+      ...context.exercises.map(session => new Date(session.completedAt).getTime())
+    ].filter(time => !isNaN(time));
+
+    return times.length > 0 ? Math.max(...times) : Date.now();
+  }
+
+  private recentRecords(context: InsightContext): InsightContext['diary'] {
+    const since = this.referenceTime(context) - TREND_WINDOW_DAYS * DAY_MS;
+    return context.diary.filter(entry => new Date(entry.date).getTime() > since);
+  }
+
+  private hasRecentExercise(context: InsightContext): boolean {
+    const since = Date.now() - TREND_WINDOW_DAYS * DAY_MS;
+    return context.exercises.some(session => new Date(session.completedAt).getTime() > since)
+      || context.diary.some(entry => entry.exerciseType !== null && new Date(entry.date).getTime() > since);
+  }
+
+  // Media de la última semana y de la anterior (null si no hay registros suficientes)
+  private weeklyAverages(context: InsightContext, field: 'anxietyLevel' | 'moodScore'): { recent: number | null; previous: number | null; count: number } {
+    const reference = this.referenceTime(context);
+    const recent: number[] = [];
+    const previous: number[] = [];
+
+    context.diary.forEach(entry => {
+      const value = entry[field];
+      const age = reference - new Date(entry.date).getTime();
+      if (value === null || isNaN(age)) return;
+      if (age < TREND_WINDOW_DAYS * DAY_MS) recent.push(value);
+      else if (age < 2 * TREND_WINDOW_DAYS * DAY_MS) previous.push(value);
+    });
+
+    return {
+      recent: recent.length >= MIN_TREND_RECORDS ? round(mean(recent)) : null,
+      previous: previous.length >= MIN_TREND_RECORDS ? round(mean(previous)) : null,
+      count: recent.length + previous.length
+    };
+  }
+
+  private correlationObservations(context: InsightContext) {
+    return context.diary
+      .filter(entry => entry.anxietyLevel !== null)
+      .map(entry => ({
+        date: entry.date,
+        anxiety: entry.anxietyLevel as number,
+        tags: entry.tags,
+        triggers: entry.triggers,
+        exercises: entry.exerciseType ? [entry.exerciseType] : []
+      }));
+  }
+}
+
+export default LocalInsightProvider;
@@ -0,0 +1,136 @@
+/**
+ * Proveedor Local de Pagos (simulado)
+ * Para desarrollo y demos: no cobra nada. El pago se da por completado al crearlo y cada
+ * cambio (pago, renovación, cobro fallido, cancelación) se entrega como un webhook firmado
+ * con HMAC-SHA256, igual que haría un proveedor real, para recorrer el mismo camino que
+ * en producción. La entrega (`deliver`) la inyecta el servicio de suscripciones.
+ */
+
+import crypto from 'crypto';
+import {
+  CheckoutRequest,
+  CheckoutSession,
+  PaymentEvent,
+  PaymentEventType,
+  PaymentProvider,
+  PAYMENT_EVENT_TYPES,
+  ProviderSubscriptionRef,
+  SUBSCRIPTION_PERIOD_DAYS
+} from '../models/subscription.model';
+import { isPaidPlan } from '../shared/entitlements';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface LocalPaymentProviderOptions {
+  secret: string;
+  // Página a la que vuelve el usuario tras el pago
+  returnUrl?: string;
+  deliver: (payload: string, signature: string) => Promise<void>;
+  now?: () => Date;
+}
+
+export class LocalPaymentProvider implements PaymentProvider {
+  readonly name = 'local' as const;
+
+  private secret: string;
+  private returnUrl: string;
+  private deliver: (payload: string, signature: string) => Promise<void>;
+  private now: () => Date;
+
+  constructor(options: LocalPaymentProviderOptions) {
+    this.secret = options.secret;
+    this.returnUrl = options.returnUrl || '/planes';
+    this.deliver = options.deliver;
+    this.now = options.now || (() => new Date());
+  }
+
+  async createCheckout(request: CheckoutRequest): Promise<CheckoutSession> {
+    const checkoutId = `chk_local_${crypto.randomBytes(8).toString('hex')}`;
+    const subscriptionId = `sub_local_${crypto.randomBytes(8).toString('hex')}`;
+
+    await this.emit('checkout.completed', {
+      subscriptionId,
+      userId: request.userId,
+      plan: request.plan,
+      periodEnd: this.addPeriod(this.now())
+    });
+
+    return {
+      checkoutId,
+      provider: this.name,
+      status: 'completed',
+      url: `${this.returnUrl}?checkout=${checkoutId}`
+    };
+  }
+
+  async cancelSubscription(subscription: ProviderSubscriptionRef): Promise<void> {
+    await this.emit('subscription.canceled', {
+      ...subscription,
+      periodEnd: subscription.periodEnd || this.now().toISOString()
+    });
+  }
+
+  // Solo en el proveedor local: simula el cobro de la renovación (o su fallo)
+  async simulateRenewal(subscription: ProviderSubscriptionRef, { fail = false }: { fail?: boolean } = {}): Promise<void> {
+    if (fail) {
+      await this.emit('subscription.payment_failed', {
+        ...subscription,
+        periodEnd: subscription.periodEnd || this.now().toISOString()
+      });
+      return;
+    }
+
+    // El nuevo periodo empieza al acabar el anterior (o ahora si ya había acabado)
+    const currentEnd = subscription.periodEnd ? new Date(subscription.periodEnd) : this.now();
+    const start = currentEnd.getTime() > this.now().getTime() ? currentEnd : this.now();
+    await this.emit('subscription.renewed', { ...subscription, periodEnd: this.addPeriod(start) });
+  }
+
+  sign(payload: string): string {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('hex');
+  }
+
+  verifyWebhook(payload: string, signature: string | undefined): PaymentEvent {
+    const expected = Buffer.from(this.sign(payload), 'hex');
+    const received = Buffer.from(signature || '', 'hex');
+
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw new Error('Firma del webhook no válida');
+    }
+
+    const event = JSON.parse(payload);
+    const isValid = event
+      && typeof event.id === 'string'
+      && PAYMENT_EVENT_TYPES.includes(event.type)
+      && typeof event.userId === 'string'
+      && isPaidPlan(event.plan)
+      && typeof event.subscriptionId === 'string'
+      && !Number.isNaN(new Date(event.periodEnd).getTime());
+
+    if (!isValid) {
+      throw new Error('Evento de pago con un formato no válido');
+    }
+    return event as PaymentEvent;
+  }
+
+  private async emit(type: PaymentEventType, subscription: ProviderSubscriptionRef & { periodEnd: string }): Promise<void> {
+    const event: PaymentEvent = {
+      id: `evt_local_${crypto.randomBytes(8).toString('hex')}`,
+      type,
+      userId: subscription.userId,
+      plan: subscription.plan,
+      subscriptionId: subscription.subscriptionId,
+      periodEnd: subscription.periodEnd,
+      createdAt: this.now().toISOString()
+    };
+
+    const payload = JSON.stringify(event);
+    await this.deliver(payload, this.sign(payload));
+  }
+
+  private addPeriod(from: Date): string {
+    return new Date(from.getTime() + SUBSCRIPTION_PERIOD_DAYS * DAY_MS).toISOString();
+  }
+}
+
+export default LocalPaymentProvider;
@@ -0,0 +1,53 @@
+/**
+ * Transporte Push Local (simulado)
+ * No envía nada: guarda en memoria los últimos mensajes para revisarlos en desarrollo o
+ * comprobarlos en pruebas. Las suscripciones marcadas con `expire()` responden 'gone' como
+ * haría un servicio push real con una suscripción caducada.
+ */
+
+import {
+  PushDeliveryResult,
+  PushSubscriptionRecord,
+  PushTransport,
+  ReminderPushPayload
+} from '../models/reminder.model';
+import { logger } from '../utils/logger.util';
+
+const MAX_STORED_MESSAGES = 100;
+
+export interface LocalPushMessage {
+  endpoint: string;
+  payload: ReminderPushPayload;
+  sentAt: string;
+}
+
+export class LocalPushTransport implements PushTransport {
+  readonly name = 'local' as const;
+  // Sin claves VAPID el navegador no puede suscribirse: solo sirve para el servidor y las pruebas
+  readonly publicKey = null;
+
+  readonly sent: LocalPushMessage[] = [];
+  private expired = new Set<string>();
+
+  constructor(private now: () => Date = () => new Date()) {}
+
+  async send(subscription: Pick<PushSubscriptionRecord, 'endpoint' | 'keys'>, payload: ReminderPushPayload): Promise<PushDeliveryResult> {
+    if (this.expired.has(subscription.endpoint)) {
+      return 'gone';
+    }
+
+    this.sent.push({ endpoint: subscription.endpoint, payload, sentAt: this.now().toISOString() });
+    if (this.sent.length > MAX_STORED_MESSAGES) {
+      this.sent.shift();
+    }
+
+    logger.info(`Push local "${payload.title}" (${payload.reminderId})`);
+    return 'sent';
+  }
+
+  expire(endpoint: string): void {
+    this.expired.add(endpoint);
+  }
+}
+
+export default LocalPushTransport;
@@ -0,0 +1,44 @@
+/**
+ * Servicio de Correo
+ * Envío de emails a través de un transporte intercambiable (MailTransport). Por defecto
+ * el de archivos, que guarda los mensajes en local en lugar de enviarlos.
+ */
+
+import path from 'path';
+import FileMailTransport from './file-mail.transport';
+import { MailMessage, MailTransport } from '../models/mail.model';
+import { logger } from '../utils/logger.util';
+
+export function createMailTransport(env: NodeJS.ProcessEnv = process.env): MailTransport {
+  const transport = env.MAIL_TRANSPORT || 'file';
+  const file = new FileMailTransport(env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox'));
+
+  if (transport !== 'file') {
+    logger.warn(`Transporte de correo desconocido "${transport}": se usa el de archivos`);
+  }
+  return file;
+}
+
+export class MailService {
+  private from: string;
+
+  constructor(private transport: MailTransport = createMailTransport(), from: string = process.env.MAIL_FROM || 'Sensus <no-reply@sensus-app.com>') {
+    this.from = from;
+  }
+
+  get transportName() {
+    return this.transport.name;
+  }
+
+  async send(message: MailMessage): Promise<void> {
+    try {
+      await this.transport.send({ ...message, from: this.from });
+      logger.info(`Email "${message.subject}" enviado con el transporte ${this.transport.name}`);
+    } catch (error) {
+      logger.error('Error enviando email:', error);
+      throw new Error('No se pudo enviar el email');
+    }
+  }
+}
+
+export default new MailService();
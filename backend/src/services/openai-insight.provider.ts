@@ -0,0 +1,236 @@
+/**
+ * Proveedor de Insights con OpenAI (opcional)
+ * Solo se usa con INSIGHT_PROVIDER=openai y OPENAI_API_KEY: envía el texto o el contexto del
+ * usuario a la API de chat de OpenAI y exige una respuesta JSON. Si la llamada falla o la
+ * respuesta no tiene la forma esperada se usa el proveedor de respaldo (el local).
+ * El transporte (`fetch`) se inyecta para poder simularlo en los tests.
+ */
+
+import {
+  CrisisAnalysis,
+  InsightContext,
+  InsightProvider,
+  MentalHealthInsight,
+  PersonalizedRecommendation,
+  SentimentAnalysis
+} from '../models/insight.model';
+import { detectCrisisText } from '../shared/crisis.detection';
+import { logger } from '../utils/logger.util';
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_TIMEOUT_MS = 15000;
+
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+const RISK_LEVELS = ['low', 'medium', 'high'];
+const CRISIS_LEVELS = ['low', 'medium', 'high', 'critical'];
+const INSIGHT_TYPES = ['mood_trend', 'stress_pattern', 'trigger_correlation', 'activity_impact', 'assessment_change'];
+const RECOMMENDATION_CATEGORIES = ['therapy', 'meditation', 'exercise', 'social', 'professional'];
+
+export interface OpenAIInsightProviderOptions {
+  apiKey: string;
+  model?: string;
+  baseUrl?: string;
+  timeoutMs?: number;
+  fallback: InsightProvider;
+  fetch?: typeof fetch;
+}
+
+// Las respuestas del modelo se validan antes de devolverlas: cualquier campo inesperado invalida la respuesta
+function expect(condition: boolean, field: string): void {
+  if (!condition) {
+    throw new Error(`Respuesta de OpenAI sin el campo ${field} válido`);
+  }
+}
+
+function isStringArray(value: unknown): value is string[] {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function isUnitInterval(value: unknown): value is number {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+export class OpenAIInsightProvider implements InsightProvider {
+  readonly name = 'openai' as const;
+
+  private apiKey: string;
+  private model: string;
+  private baseUrl: string;
+  private timeoutMs: number;
+  private fallback: InsightProvider;
+  private fetch: typeof fetch;
+
+  constructor(options: OpenAIInsightProviderOptions) {
+    this.apiKey = options.apiKey;
+    this.model = options.model || DEFAULT_MODEL;
+    this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/$/, '');
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.fallback = options.fallback;
+    this.fetch = options.fetch || fetch;
+  }
+
+  async analyzeSentiment(text: string): Promise<SentimentAnalysis> {
+    return this.withFallback('analyzeSentiment', () => this.fallback.analyzeSentiment(text), async () => {
+      const result = await this.complete(
+        'Eres un psicólogo experto en análisis de sentimientos. Responde solo con un objeto JSON con: ' +
+        'sentiment ("positive" | "negative" | "neutral"), confidence (0-1), emotions (array de emociones en español), ' +
+        'riskLevel ("low" | "medium" | "high") y recommendations (array de recomendaciones breves en español).',
+        `Analiza este texto:\n${text}`
+      );
+
+      expect(SENTIMENTS.includes(result.sentiment), 'sentiment');
+      expect(isUnitInterval(result.confidence), 'confidence');
+      expect(isStringArray(result.emotions), 'emotions');
+      expect(RISK_LEVELS.includes(result.riskLevel), 'riskLevel');
+      expect(isStringArray(result.recommendations), 'recommendations');
+
+      return {
+        sentiment: result.sentiment,
+        confidence: result.confidence,
+        emotions: result.emotions,
+        riskLevel: result.riskLevel,
+        recommendations: result.recommendations
+      };
+    });
+  }
+
+  async assessCrisis(text: string): Promise<CrisisAnalysis> {
+    // Las frases de riesgo explícitas nunca dependen de la red
+    if (detectCrisisText(text).isCrisis) {
+      return this.fallback.assessCrisis(text);
+    }
+
+    return this.withFallback('assessCrisis', () => this.fallback.assessCrisis(text), async () => {
+      const result = await this.complete(
+        'Eres un psicólogo experto en detección de crisis de salud mental. Responde solo con un objeto JSON con: ' +
+        'isCrisis (boolean), riskLevel ("low" | "medium" | "high" | "critical"), indicators (array en español), ' +
+        'immediateActions (array en español) y professionalHelp (boolean).',
+        `Analiza este texto para detectar señales de crisis:\n${text}`
+      );
+
+      expect(typeof result.isCrisis === 'boolean', 'isCrisis');
+      expect(CRISIS_LEVELS.includes(result.riskLevel), 'riskLevel');
+      expect(isStringArray(result.indicators), 'indicators');
+      expect(isStringArray(result.immediateActions), 'immediateActions');
+      expect(typeof result.professionalHelp === 'boolean', 'professionalHelp');
+
+      return {
+        isCrisis: result.isCrisis,
+        riskLevel: result.riskLevel,
+        indicators: result.indicators,
+        immediateActions: result.immediateActions,
+        professionalHelp: result.professionalHelp
+      };
+    });
+  }
+
+  async generateInsights(context: InsightContext): Promise<MentalHealthInsight[]> {
+    return this.withFallback('generateInsights', () => this.fallback.generateInsights(context), async () => {
+      const result = await this.complete(
+        'Eres un psicólogo experto en salud mental. A partir de los registros del usuario (ánimo 1-5, ansiedad 1-10, ' +
+        'ejercicios con su mejora SUDS y cuestionarios) responde solo con un objeto JSON { "insights": [...] } donde cada ' +
+        `insight tiene type (${INSIGHT_TYPES.map(type => `"${type}"`).join(' | ')}), insight (texto en español), ` +
+        'confidence (0-1), actionable (boolean) y recommendations (array en español).',
+        JSON.stringify(context)
+      );
+
+      expect(Array.isArray(result.insights), 'insights');
+      return result.insights.map((item: any) => {
+        expect(INSIGHT_TYPES.includes(item.type), 'insights.type');
+        expect(typeof item.insight === 'string', 'insights.insight');
+        expect(isUnitInterval(item.confidence), 'insights.confidence');
+        expect(typeof item.actionable === 'boolean', 'insights.actionable');
+        expect(isStringArray(item.recommendations), 'insights.recommendations');
+
+        return {
+          type: item.type,
+          insight: item.insight,
+          confidence: item.confidence,
+          actionable: item.actionable,
+          recommendations: item.recommendations
+        };
+      });
+    });
+  }
+
+  async generateRecommendations(context: InsightContext): Promise<PersonalizedRecommendation[]> {
+    return this.withFallback('generateRecommendations', () => this.fallback.generateRecommendations(context), async () => {
+      const result = await this.complete(
+        'Eres un terapeuta digital experto en terapias basadas en evidencia. A partir de los registros del usuario ' +
+        'responde solo con un objeto JSON { "recommendations": [...] } con un máximo de 5 elementos, cada uno con ' +
+        `category (${RECOMMENDATION_CATEGORIES.map(category => `"${category}"`).join(' | ')}), title, description ` +
+        '(en español), priority (1 = más urgente), estimatedTime (minutos) y personalizedFor (el dato del usuario que la motiva).',
+        JSON.stringify(context)
+      );
+
+      expect(Array.isArray(result.recommendations), 'recommendations');
+      return result.recommendations.slice(0, 5).map((item: any) => {
+        expect(RECOMMENDATION_CATEGORIES.includes(item.category), 'recommendations.category');
+        expect(typeof item.title === 'string' && typeof item.description === 'string', 'recommendations.title');
+        expect(Number.isInteger(item.priority) && item.priority >= 1, 'recommendations.priority');
+        expect(typeof item.estimatedTime === 'number' && item.estimatedTime > 0, 'recommendations.estimatedTime');
+        expect(typeof item.personalizedFor === 'string', 'recommendations.personalizedFor');
+
+        return {
+          category: item.category,
+          title: item.title,
+          description: item.description,
+          priority: item.priority,
+          estimatedTime: item.estimatedTime,
+          // El modelo no puede medir la efectividad: solo la calcula el proveedor local con las sesiones
+          effectiveness: null,
+          personalizedFor: item.personalizedFor
+        };
+      });
+    });
+  }
+
+  private async withFallback<T>(operation: string, fallback: () => Promise<T>, run: () => Promise<T>): Promise<T> {
+    try {
+      return await run();
+    } catch (error) {
+      logger.warn(`OpenAI no disponible para ${operation}, usando el proveedor local:`, error);
+      return fallback();
+    }
+  }
+
+  private async complete(system: string, user: string): Promise<any> {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await this.fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify({
+          model: this.model,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: user }
+          ],
+          response_format: { type: 'json_object' },
+          temperature: 0.3
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI respondió ${response.status}`);
+      }
+
+      const body: any = await response.json();
+      const content = body?.choices?.[0]?.message?.content;
+      expect(typeof content === 'string', 'choices[0].message.content');
+
+      return JSON.parse(content);
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+}
+
+export default OpenAIInsightProvider;
@@ -0,0 +1,131 @@
+/**
+ * Servicio de Notificaciones Push
+ * Guarda las suscripciones push de cada navegador del usuario en `push_subscriptions` y
+ * envía los mensajes a todas ellas a través de un transporte intercambiable (PushTransport).
+ * Por defecto el local, que no sale del proceso; con PUSH_TRANSPORT=webpush y claves VAPID
+ * se envían de verdad. Las suscripciones caducadas se borran al detectarlas.
+ */
+
+import crypto from 'crypto';
+import FirebaseService from './firebase.service';
+import LocalPushTransport from './local-push.transport';
+import WebPushTransport from './web-push.transport';
+import {
+  PushSubscriptionKeys,
+  PushSubscriptionRecord,
+  PushTransport,
+  PUSH_SUBSCRIPTIONS_COLLECTION,
+  ReminderPushPayload
+} from '../models/reminder.model';
+import { logger } from '../utils/logger.util';
+
+export function createPushTransport(env: NodeJS.ProcessEnv = process.env): PushTransport {
+  const transport = env.PUSH_TRANSPORT || 'local';
+
+  if (transport === 'webpush') {
+    if (env.VAPID_PUBLIC_KEY && env.VAPID_PRIVATE_KEY) {
+      return new WebPushTransport({
+        publicKey: env.VAPID_PUBLIC_KEY,
+        privateKey: env.VAPID_PRIVATE_KEY,
+        subject: env.VAPID_SUBJECT || 'mailto:contacto@sensus-app.com'
+      });
+    }
+    logger.warn('PUSH_TRANSPORT=webpush sin VAPID_PUBLIC_KEY y VAPID_PRIVATE_KEY: se usa el transporte local');
+  } else if (transport !== 'local') {
+    logger.warn(`Transporte push desconocido "${transport}": se usa el local`);
+  }
+
+  return new LocalPushTransport();
+}
+
+export class PushService {
+  private db = FirebaseService.getFirestore();
+
+  constructor(private transport: PushTransport = createPushTransport()) {}
+
+  get transportName() {
+    return this.transport.name;
+  }
+
+  // Clave VAPID que necesita el navegador para suscribirse (null con el transporte local)
+  get publicKey(): string | null {
+    return this.transport.publicKey;
+  }
+
+  // Un documento por navegador: el id sale del endpoint para no duplicar al volver a suscribirse
+  async saveSubscription(
+    userId: string,
+    subscription: { endpoint: string; keys: PushSubscriptionKeys },
+    userAgent: string | null
+  ): Promise<void> {
+    try {
+      const record: PushSubscriptionRecord = {
+        userId,
+        endpoint: subscription.endpoint,
+        keys: subscription.keys,
+        userAgent,
+        createdAt: new Date().toISOString()
+      };
+
+      await this.db.collection(PUSH_SUBSCRIPTIONS_COLLECTION).doc(this.subscriptionId(subscription.endpoint)).set(record);
+      logger.info(`Suscripción push guardada para el usuario ${userId}`);
+    } catch (error) {
+      logger.error(`Error guardando la suscripción push del usuario ${userId}:`, error);
+      throw new Error('No se pudo guardar la suscripción push');
+    }
+  }
+
+  async removeSubscription(userId: string, endpoint: string): Promise<boolean> {
+    try {
+      const ref = this.db.collection(PUSH_SUBSCRIPTIONS_COLLECTION).doc(this.subscriptionId(endpoint));
+      const doc = await ref.get();
+
+      if (!doc.exists || doc.data()?.userId !== userId) {
+        return false;
+      }
+
+      await ref.delete();
+      return true;
+    } catch (error) {
+      logger.error(`Error borrando la suscripción push del usuario ${userId}:`, error);
+      throw new Error('No se pudo borrar la suscripción push');
+    }
+  }
+
+  /**
+   * Enviar a todos los navegadores del usuario. Devuelve cuántos lo recibieron; un fallo
+   * en uno no impide el envío al resto
+   */
+  async sendToUser(userId: string, payload: ReminderPushPayload): Promise<number> {
+    const snapshot = await this.db.collection(PUSH_SUBSCRIPTIONS_COLLECTION)
+      .where('userId', '==', userId)
+      .get();
+
+    let delivered = 0;
+
+    for (const doc of snapshot.docs) {
+      const subscription = doc.data() as PushSubscriptionRecord;
+
+      try {
+        const result = await this.transport.send(subscription, payload);
+
+        if (result === 'gone') {
+          await doc.ref.delete();
+          logger.info(`Suscripción push caducada borrada (usuario ${userId})`);
+        } else {
+          delivered++;
+        }
+      } catch (error) {
+        logger.warn(`No se pudo enviar el push al usuario ${userId}:`, error);
+      }
+    }
+
+    return delivered;
+  }
+
+  private subscriptionId(endpoint: string): string {
+    return crypto.createHash('sha256').update(endpoint).digest('hex');
+  }
+}
+
+export default new PushService();
@@ -0,0 +1,131 @@
+import FirebaseService from './firebase.service';
+import { PushService } from './push.service';
+import { ReminderService } from './reminder.service';
+import LocalPushTransport from './local-push.transport';
+import { PUSH_SUBSCRIPTIONS_COLLECTION, Reminder, REMINDERS_COLLECTION } from '../models/reminder.model';
+import { FakeFirestore } from '../testing/fake-firestore';
+
+jest.mock('./firebase.service', () => jest.requireActual('../testing/fake-firestore').fakeFirebaseService());
+// Sin Redis: solo hace falta la clave de los tokens de acción
+jest.mock('./security.service', () => ({ __esModule: true, default: { deriveSecret: () => 'secreto-de-acciones' } }));
+
+const USER_ID = 'user-1';
+const ENDPOINT = 'https://push.example/abc';
+// Jueves 15 de enero de 2026, 20:00 en Madrid
+const NOW = new Date('2026-01-15T19:00:00Z');
+
+function reminder(overrides: Partial<Reminder> = {}): Reminder {
+  return {
+    id: `${USER_ID}_daily`,
+    userId: USER_ID,
+    reminderId: 'daily',
+    kind: 'daily',
+    time: '20:00',
+    days: [],
+    enabled: true,
+    title: 'Tu momento para el diario',
+    body: 'Dedica unos minutos a escribir cómo ha ido tu día.',
+    locale: 'es',
+    timeZone: 'Europe/Madrid',
+    quietHours: { start: '22:00', end: '07:00' },
+    nextRunAt: NOW.toISOString(),
+    snoozedUntil: null,
+    lastSentAt: null,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('ReminderService', () => {
+  const db = FirebaseService.getFirestore() as unknown as FakeFirestore;
+  let transport: LocalPushTransport;
+  let service: ReminderService;
+
+  const stored = (id = `${USER_ID}_daily`) => db.dump(REMINDERS_COLLECTION)[id] as Reminder;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW });
+    for (const name of [REMINDERS_COLLECTION, PUSH_SUBSCRIPTIONS_COLLECTION]) {
+      for (const id of Object.keys(db.dump(name))) await db.collection(name).doc(id).delete();
+    }
+
+    transport = new LocalPushTransport(() => new Date());
+    service = new ReminderService(new PushService(transport));
+
+    await db.collection(PUSH_SUBSCRIPTIONS_COLLECTION).doc('sub-1').set({
+      userId: USER_ID,
+      endpoint: ENDPOINT,
+      keys: { p256dh: 'clave', auth: 'auth' },
+      userAgent: null,
+      createdAt: '2026-01-01T00:00:00.000Z'
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('envía los vencidos por el transporte push y los reprograma para el día siguiente', async () => {
+    await db.collection(REMINDERS_COLLECTION).doc(`${USER_ID}_daily`).set(reminder());
+
+    expect(await service.processDue(NOW)).toEqual({ sent: 1, skipped: 0 });
+    expect(transport.sent).toHaveLength(1);
+    expect(transport.sent[0]).toMatchObject({
+      endpoint: ENDPOINT,
+      sentAt: NOW.toISOString(),
+      payload: { type: 'sensus-reminder', reminderId: 'daily', title: 'Tu momento para el diario', locale: 'es' }
+    });
+    expect(stored()).toMatchObject({ nextRunAt: '2026-01-16T19:00:00.000Z', lastSentAt: NOW.toISOString() });
+  });
+
+  it('no envía otra vez un recordatorio ya procesado', async () => {
+    await db.collection(REMINDERS_COLLECTION).doc(`${USER_ID}_daily`).set(reminder());
+
+    await service.processDue(NOW);
+    expect(await service.processDue(NOW)).toEqual({ sent: 0, skipped: 0 });
+    expect(transport.sent).toHaveLength(1);
+  });
+
+  it('los que no han vencido se quedan como están', async () => {
+    await db.collection(REMINDERS_COLLECTION).doc(`${USER_ID}_daily`).set(reminder({ nextRunAt: '2026-01-15T19:30:00.000Z' }));
+
+    expect(await service.processDue(NOW)).toEqual({ sent: 0, skipped: 0 });
+    expect(stored().nextRunAt).toBe('2026-01-15T19:30:00.000Z');
+  });
+
+  it('al reprogramar respeta las horas de silencio', async () => {
+    await db.collection(REMINDERS_COLLECTION).doc(`${USER_ID}_late`).set(reminder({
+      id: `${USER_ID}_late`, reminderId: 'late', kind: 'custom', time: '23:00'
+    }));
+
+    await service.processDue(NOW);
+    // Las 23:00 caen en el silencio: el próximo aviso es a las 07:00 del viernes
+    expect(stored(`${USER_ID}_late`).nextRunAt).toBe('2026-01-16T06:00:00.000Z');
+  });
+
+  it('un aviso con más de una hora de retraso se reprograma sin enviarlo', async () => {
+    await db.collection(REMINDERS_COLLECTION).doc(`${USER_ID}_daily`).set(reminder({ nextRunAt: '2026-01-15T17:00:00.000Z' }));
+
+    expect(await service.processDue(NOW)).toEqual({ sent: 0, skipped: 1 });
+    expect(transport.sent).toEqual([]);
+    expect(stored().nextRunAt).toBe('2026-01-16T19:00:00.000Z');
+  });
+
+  it('borra las suscripciones caducadas', async () => {
+    await db.collection(REMINDERS_COLLECTION).doc(`${USER_ID}_daily`).set(reminder());
+    transport.expire(ENDPOINT);
+
+    expect(await service.processDue(NOW)).toEqual({ sent: 0, skipped: 0 });
+    expect(db.dump(PUSH_SUBSCRIPTIONS_COLLECTION)).toEqual({});
+  });
+
+  it('el token del aviso pospone el recordatorio sin sesión', async () => {
+    await db.collection(REMINDERS_COLLECTION).doc(`${USER_ID}_daily`).set(reminder());
+    await service.processDue(NOW);
+
+    expect(await service.snoozeWithToken(transport.sent[0].payload.actionToken, 10)).toBe('snoozed');
+    expect(stored()).toMatchObject({ nextRunAt: '2026-01-15T19:10:00.000Z', snoozedUntil: '2026-01-15T19:10:00.000Z' });
+    expect(await service.snoozeWithToken('no-es-un-token')).toBe('invalid');
+  });
+});
@@ -0,0 +1,407 @@
+/**
+ * Servicio de Recordatorios
+ * Los recordatorios del diario se guardan en `reminders` con el próximo aviso ya calculado
+ * en la zona horaria del usuario (UserPreferences.timezone) y las horas de silencio. Un
+ * programador en el servidor busca cada minuto los vencidos, los reprograma y los envía
+ * por push, así que llegan aunque la página del diario esté cerrada.
+ * El recordatorio diario sale de UserPreferences.reminderTime; los inteligentes solo se
+ * envían con el plan que los incluye.
+ */
+
+import jwt from 'jsonwebtoken';
+import FirebaseService from './firebase.service';
+import pushService, { PushService } from './push.service';
+import SecurityService from './security.service';
+import {
+  DailyReminderSettings,
+  DAILY_REMINDER_ID,
+  DEFAULT_SNOOZE_MINUTES,
+  Reminder,
+  ReminderInput,
+  REMINDERS_COLLECTION,
+  REMINDER_ACTION_TOKEN_TTL
+} from '../models/reminder.model';
+import { UserPreferences, UserSubscription } from '../models/user.model';
+import { hasFeature } from '../shared/entitlements';
+import { applyQuietHours, nextReminderRun, QuietHours } from '../shared/reminder.schedule';
+import { isValidTimeZone } from '../shared/trigger.correlation';
+import { logger } from '../utils/logger.util';
+
+export type SnoozeStatus = 'snoozed' | 'not_found' | 'invalid';
+
+export interface ReminderView {
+  id: string;
+  kind: Reminder['kind'];
+  time: string;
+  days: number[];
+  enabled: boolean;
+  title: string;
+  body: string;
+  nextRunAt: string | null;
+  snoozedUntil: string | null;
+  lastSentAt: string | null;
+}
+
+const MINUTE_MS = 60 * 1000;
+const DUE_BATCH_SIZE = 100;
+// Un aviso con más retraso (servidor parado) se reprograma sin enviarlo
+const STALE_AFTER_MS = 60 * MINUTE_MS;
+const DIARY_URL = '/diario#reflection-section';
+const ACTION_TOKEN_AUDIENCE = 'reminder-action';
+
+const DAILY_TEXTS = {
+  es: { title: 'Tu momento para el diario', body: 'Dedica unos minutos a escribir cómo ha ido tu día.' },
+  en: { title: 'Time for your diary', body: 'Take a few minutes to write about how your day went.' }
+};
+
+// Clave propia para los tokens de acción: no sirven como token de sesión aunque se filtren
+const ACTION_SECRET = process.env.REMINDER_ACTION_SECRET
+  || SecurityService.deriveSecret('reminder-actions');
+
+interface ReminderUser {
+  preferences: Partial<UserPreferences>;
+  subscription?: UserSubscription;
+}
+
+export class ReminderService {
+  private db = FirebaseService.getFirestore();
+  private timer: NodeJS.Timeout | null = null;
+  private processing = false;
+
+  constructor(private push: PushService = pushService) {}
+
+  async listReminders(userId: string): Promise<ReminderView[]> {
+    try {
+      const snapshot = await this.db.collection(REMINDERS_COLLECTION).where('userId', '==', userId).get();
+
+      return snapshot.docs
+        .map(doc => this.toView(doc.data() as Reminder))
+        .sort((a, b) => a.time.localeCompare(b.time));
+    } catch (error) {
+      logger.error(`Error listando recordatorios del usuario ${userId}:`, error);
+      throw new Error('No se pudieron obtener los recordatorios');
+    }
+  }
+
+  /**
+   * Sustituir los recordatorios del diario (personalizados e inteligentes) por los enviados.
+   * Los inteligentes se descartan si el plan no los incluye. Del diario solo se cambia si
+   * está activo y sus días: la hora sale de las preferencias
+   */
+  async replaceReminders(userId: string, inputs: ReminderInput[], daily?: DailyReminderSettings): Promise<ReminderView[] | null> {
+    try {
+      const user = await this.getUser(userId);
+      if (!user) return null;
+
+      const smartAllowed = hasFeature(user.subscription, 'smart_reminders');
+      const accepted = inputs.filter(input => input.kind !== 'smart' || smartAllowed);
+      const now = new Date();
+
+      const existing = await this.db.collection(REMINDERS_COLLECTION).where('userId', '==', userId).get();
+      const batch = this.db.batch();
+
+      existing.docs.forEach(doc => {
+        const reminder = doc.data() as Reminder;
+        if (reminder.kind !== 'daily' && !accepted.some(input => input.id === reminder.reminderId)) {
+          batch.delete(doc.ref);
+        }
+      });
+
+      accepted.forEach(input => {
+        const previous = existing.docs.find(doc => doc.id === this.docId(userId, input.id))?.data() as Reminder | undefined;
+        const reminder = this.buildReminder(userId, input.id, input, user.preferences, previous, now);
+        batch.set(this.db.collection(REMINDERS_COLLECTION).doc(reminder.id), reminder);
+      });
+
+      await batch.commit();
+      logger.info(`Recordatorios sincronizados para el usuario ${userId}: ${accepted.length}`);
+
+      // El recordatorio diario se crea con la primera sincronización
+      if (daily || !existing.docs.some(doc => doc.id === this.docId(userId, DAILY_REMINDER_ID))) {
+        await this.syncPreferences(userId, daily);
+      }
+
+      return this.listReminders(userId);
+    } catch (error) {
+      logger.error(`Error sincronizando recordatorios del usuario ${userId}:`, error);
+      throw new Error('No se pudieron guardar los recordatorios');
+    }
+  }
+
+  /**
+   * Aplicar las preferencias (hora del recordatorio diario, zona horaria, horas de silencio,
+   * idioma y notificaciones) a los recordatorios del usuario. Se llama al actualizar el
+   * perfil: un fallo solo se registra para no invalidar la actualización
+   */
+  async syncPreferences(userId: string, daily?: DailyReminderSettings): Promise<void> {
+    try {
+      const user = await this.getUser(userId);
+      if (!user) return;
+
+      const now = new Date();
+      const existing = await this.db.collection(REMINDERS_COLLECTION).where('userId', '==', userId).get();
+      const batch = this.db.batch();
+
+      existing.docs.forEach(doc => {
+        const reminder = doc.data() as Reminder;
+        if (reminder.kind === 'daily') return;
+        batch.set(doc.ref, this.buildReminder(userId, reminder.reminderId, reminder, user.preferences, reminder, now));
+      });
+
+      const dailyId = this.docId(userId, DAILY_REMINDER_ID);
+      const previousDaily = existing.docs.find(doc => doc.id === dailyId)?.data() as Reminder | undefined;
+      const dailyReminder = this.buildReminder(userId, DAILY_REMINDER_ID, {
+        kind: 'daily',
+        time: user.preferences.reminderTime || '20:00',
+        days: daily?.days ?? previousDaily?.days ?? [],
+        enabled: daily?.enabled ?? previousDaily?.enabled ?? true,
+        ...DAILY_TEXTS[this.resolveLocale(user.preferences)]
+      }, user.preferences, previousDaily, now);
+      batch.set(this.db.collection(REMINDERS_COLLECTION).doc(dailyId), dailyReminder);
+
+      await batch.commit();
+    } catch (error) {
+      logger.warn(`No se pudieron aplicar las preferencias a los recordatorios del usuario ${userId}:`, error);
+    }
+  }
+
+  // Posponer el próximo aviso (respetando las horas de silencio)
+  async snooze(userId: string, reminderId: string, minutes: number = DEFAULT_SNOOZE_MINUTES): Promise<SnoozeStatus> {
+    try {
+      const ref = this.db.collection(REMINDERS_COLLECTION).doc(this.docId(userId, reminderId));
+      const doc = await ref.get();
+      const reminder = doc.data() as Reminder | undefined;
+
+      if (!reminder || reminder.userId !== userId) {
+        return 'not_found';
+      }
+
+      const snoozedUntil = applyQuietHours(new Date(Date.now() + minutes * MINUTE_MS), reminder.quietHours, reminder.timeZone);
+      await ref.update({
+        snoozedUntil: snoozedUntil.toISOString(),
+        nextRunAt: snoozedUntil.toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+
+      logger.info(`Recordatorio ${reminder.id} pospuesto hasta ${snoozedUntil.toISOString()}`);
+      return 'snoozed';
+    } catch (error) {
+      logger.error(`Error posponiendo el recordatorio ${reminderId}:`, error);
+      throw new Error('No se pudo posponer el recordatorio');
+    }
+  }
+
+  // Posponer desde la notificación: el service worker no tiene sesión, solo el token del aviso
+  async snoozeWithToken(token: string, minutes?: number): Promise<SnoozeStatus> {
+    let claims: { uid: string; rid: string };
+
+    try {
+      claims = jwt.verify(token, ACTION_SECRET, { audience: ACTION_TOKEN_AUDIENCE }) as { uid: string; rid: string };
+    } catch {
+      return 'invalid';
+    }
+
+    return this.snooze(claims.uid, claims.rid, minutes);
+  }
+
+  createActionToken(userId: string, reminderId: string): string {
+    return jwt.sign({ uid: userId, rid: reminderId }, ACTION_SECRET, {
+      audience: ACTION_TOKEN_AUDIENCE,
+      expiresIn: REMINDER_ACTION_TOKEN_TTL
+    });
+  }
+
+  /**
+   * Enviar los recordatorios vencidos. Cada uno se reprograma en una transacción antes de
+   * enviarlo: con varias instancias del servidor solo una lo envía
+   */
+  async processDue(now: Date = new Date()): Promise<{ sent: number; skipped: number }> {
+    const snapshot = await this.db.collection(REMINDERS_COLLECTION)
+      .where('nextRunAt', '<=', now.toISOString())
+      .orderBy('nextRunAt')
+      .limit(DUE_BATCH_SIZE)
+      .get();
+
+    let sent = 0;
+    let skipped = 0;
+
+    for (const doc of snapshot.docs) {
+      try {
+        const reminder = await this.claim(doc.ref, now);
+        if (!reminder) continue;
+
+        const dueAt = new Date(reminder.nextRunAt!);
+        if (now.getTime() - dueAt.getTime() > STALE_AFTER_MS || !(await this.canSend(reminder))) {
+          skipped++;
+          continue;
+        }
+
+        const delivered = await this.push.sendToUser(reminder.userId, {
+          type: 'sensus-reminder',
+          reminderId: reminder.reminderId,
+          title: reminder.title,
+          body: reminder.body,
+          url: DIARY_URL,
+          actionToken: this.createActionToken(reminder.userId, reminder.reminderId),
+          snoozeMinutes: DEFAULT_SNOOZE_MINUTES,
+          locale: reminder.locale
+        });
+        if (delivered > 0) sent++;
+      } catch (error) {
+        logger.warn(`No se pudo procesar el recordatorio ${doc.id}:`, error);
+      }
+    }
+
+    if (sent > 0 || skipped > 0) {
+      logger.info(`Recordatorios procesados: ${sent} enviados, ${skipped} omitidos`);
+    }
+    return { sent, skipped };
+  }
+
+  start(intervalMs: number = MINUTE_MS): void {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), intervalMs);
+    // El programador no impide que el proceso termine
+    this.timer.unref();
+    logger.info(`⏰ Programador de recordatorios iniciado (cada ${Math.round(intervalMs / 1000)} s)`);
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  private async tick(): Promise<void> {
+    // Si una vuelta tarda más que el intervalo no se solapa con la siguiente
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      await this.processDue();
+    } catch (error) {
+      logger.error('Error en el programador de recordatorios:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Reprograma el recordatorio si sigue vencido y devuelve cómo estaba (null si otro lo tomó)
+  private async claim(ref: FirebaseFirestore.DocumentReference, now: Date): Promise<Reminder | null> {
+    return this.db.runTransaction(async transaction => {
+      const doc = await transaction.get(ref);
+      const reminder = doc.data() as Reminder | undefined;
+
+      if (!reminder || !reminder.nextRunAt || reminder.nextRunAt > now.toISOString()) {
+        return null;
+      }
+
+      const nextRunAt = reminder.enabled
+        ? nextReminderRun(
+          { time: reminder.time, days: reminder.days, timeZone: reminder.timeZone },
+          reminder.quietHours,
+          now
+        ).toISOString()
+        : null;
+
+      transaction.update(ref, {
+        nextRunAt,
+        snoozedUntil: null,
+        lastSentAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      });
+      return reminder;
+    });
+  }
+
+  // Los inteligentes dependen del plan, que puede haber caducado desde que se guardaron
+  private async canSend(reminder: Reminder): Promise<boolean> {
+    if (reminder.kind !== 'smart') return true;
+
+    const user = await this.getUser(reminder.userId);
+    return Boolean(user && hasFeature(user.subscription, 'smart_reminders'));
+  }
+
+  private buildReminder(
+    userId: string,
+    reminderId: string,
+    input: Pick<Reminder, 'kind' | 'time' | 'days' | 'enabled' | 'title' | 'body'>,
+    preferences: Partial<UserPreferences>,
+    previous: Reminder | undefined,
+    now: Date
+  ): Reminder {
+    const timeZone = this.resolveTimeZone(preferences.timezone);
+    const quietHours: QuietHours | null = preferences.quietHours || null;
+    // Con las notificaciones desactivadas en el perfil no se programa ningún aviso
+    const active = input.enabled && preferences.notifications !== false;
+    const snoozedUntil = active && previous?.snoozedUntil && previous.snoozedUntil > now.toISOString()
+      ? previous.snoozedUntil
+      : null;
+
+    return {
+      id: this.docId(userId, reminderId),
+      userId,
+      reminderId,
+      kind: input.kind,
+      time: input.time,
+      days: input.days,
+      enabled: input.enabled,
+      title: input.title,
+      body: input.body,
+      locale: this.resolveLocale(preferences),
+      timeZone,
+      quietHours,
+      nextRunAt: snoozedUntil || (active
+        ? nextReminderRun({ time: input.time, days: input.days, timeZone }, quietHours, now).toISOString()
+        : null),
+      snoozedUntil,
+      lastSentAt: previous?.lastSentAt || null,
+      createdAt: previous?.createdAt || now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+  }
+
+  private resolveLocale(preferences: Partial<UserPreferences>): Reminder['locale'] {
+    return preferences.language === 'en' ? 'en' : 'es';
+  }
+
+  private resolveTimeZone(timeZone: string | undefined): string {
+    if (timeZone && isValidTimeZone(timeZone)) return timeZone;
+
+    if (timeZone) {
+      logger.warn(`Zona horaria no válida "${timeZone}" en las preferencias: se usa UTC`);
+    }
+    return 'UTC';
+  }
+
+  private async getUser(userId: string): Promise<ReminderUser | null> {
+    const doc = await this.db.collection('users').doc(userId).get();
+    const data = doc.data();
+    if (!data) return null;
+
+    return { preferences: data.preferences || {}, subscription: data.subscription };
+  }
+
+  private docId(userId: string, reminderId: string): string {
+    return `${userId}_${reminderId}`;
+  }
+
+  private toView(reminder: Reminder): ReminderView {
+    return {
+      id: reminder.reminderId,
+      kind: reminder.kind,
+      time: reminder.time,
+      days: reminder.days,
+      enabled: reminder.enabled,
+      title: reminder.title,
+      body: reminder.body,
+      nextRunAt: reminder.nextRunAt,
+      snoozedUntil: reminder.snoozedUntil,
+      lastSentAt: reminder.lastSentAt
+    };
+  }
+}
+
+export default new ReminderService();
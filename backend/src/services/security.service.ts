@@ -8,6 +8,9 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { logger } from '../utils/logger.util';
 import Redis from 'ioredis';
+import FirebaseService from './firebase.service';
+import { ACCESS_TOKEN_TTL_SECONDS, Session, SESSIONS_COLLECTION, SessionUser } from '../models/session.model';
+import { TWO_FACTOR_CHALLENGE_TTL_SECONDS } from '../models/two-factor.model';
 
 interface SecurityConfig {
   jwtSecret: string;
@@ -28,7 +31,7 @@ interface LoginAttempt {
 }
 
 interface SecurityEvent {
-  type: 'LOGIN_ATTEMPT' | 'SUSPICIOUS_ACTIVITY' | 'RATE_LIMIT_EXCEEDED' | 'INVALID_TOKEN' | 'ACCOUNT_LOCKED';
+  type: 'LOGIN_ATTEMPT' | 'SUSPICIOUS_ACTIVITY' | 'RATE_LIMIT_EXCEEDED' | 'INVALID_TOKEN' | 'ACCOUNT_LOCKED' | 'REFRESH_TOKEN_REUSE';
   severity: 'LOW' | 'MEDIUM' | 'HIGH' | 'CRITICAL';
   userId?: string;
   ip: string;
@@ -42,10 +45,17 @@ class SecurityService {
   private config: SecurityConfig;
   private encryptionAlgorithm = 'aes-256-gcm';
   private jwtAlgorithm = 'HS256';
+  private tokenIssuer = 'sensus-app';
+  private tokenAudience = 'sensus-users';
 
   constructor() {
+    // Sin secreto fijo los tokens firmados no sobreviven a un reinicio ni valen entre instancias
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET no configurado: define la variable de entorno antes de arrancar el servidor');
+    }
+
     this.config = {
-      jwtSecret: process.env.JWT_SECRET || this.generateSecureSecret(),
+      jwtSecret: process.env.JWT_SECRET,
       encryptionKey: process.env.ENCRYPTION_KEY || this.generateSecureSecret(),
       redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
       rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW || '900000'), // 15 minutos
@@ -154,6 +164,127 @@ class SecurityService {
     }
   }
 
+  /**
+   * Token de acceso corto de una sesión (session.service emite y rota los de refresco)
+   */
+  generateAccessToken(user: SessionUser, sessionId: string): string {
+    return jwt.sign({ ...user, sessionId, typ: 'access' }, this.config.jwtSecret, {
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      jwtid: crypto.randomUUID(),
+      issuer: this.tokenIssuer,
+      audience: this.tokenAudience
+    });
+  }
+
+  /**
+   * Verificar token de acceso: firma, caducidad, blacklist y que su sesión no esté revocada.
+   * Los errores de jsonwebtoken se propagan tal cual (TokenExpiredError, JsonWebTokenError)
+   */
+  async verifyAccessToken(token: string): Promise<SessionUser & { sessionId: string; jti: string; exp: number }> {
+    const decoded = jwt.verify(token, this.config.jwtSecret, {
+      issuer: this.tokenIssuer,
+      audience: this.tokenAudience
+    }) as any;
+
+    if (decoded.typ !== 'access' || !decoded.sessionId) {
+      throw new jwt.JsonWebTokenError('El token no es un token de acceso');
+    }
+
+    if (await this.checkTokenBlacklist(decoded.jti) || await this.isSessionRevoked(decoded.sessionId)) {
+      throw new Error('Token revocado');
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Token del paso intermedio del inicio de sesión con verificación en dos pasos: la
+   * contraseña ya es correcta y falta el código. No da acceso a la API
+   */
+  generateTwoFactorChallenge(userId: string): string {
+    return jwt.sign({ userId, typ: 'two_factor' }, this.config.jwtSecret, {
+      expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+      jwtid: crypto.randomUUID(),
+      issuer: this.tokenIssuer,
+      audience: this.tokenAudience
+    });
+  }
+
+  /**
+   * Verificar el token del paso intermedio. null si no es válido, ha caducado o ya se usó
+   */
+  async verifyTwoFactorChallenge(token: string): Promise<{ userId: string; jti: string; exp: number } | null> {
+    try {
+      const decoded = jwt.verify(token, this.config.jwtSecret, {
+        issuer: this.tokenIssuer,
+        audience: this.tokenAudience
+      }) as any;
+
+      if (decoded.typ !== 'two_factor' || !decoded.userId || await this.checkTokenBlacklist(decoded.jti)) {
+        return null;
+      }
+      return decoded;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Invalidar al momento los tokens de acceso de una sesión revocada (caducarían solos
+   * en ACCESS_TOKEN_TTL_SECONDS, que es lo que dura la marca)
+   */
+  async revokeSessionTokens(sessionId: string): Promise<void> {
+    try {
+      await this.redis.setex(`revoked_session:${sessionId}`, ACCESS_TOKEN_TTL_SECONDS, 'revoked');
+    } catch (error) {
+      logger.error('Error revocando tokens de la sesión:', error);
+    }
+  }
+
+  /**
+   * Sin Redis se consulta la sesión en Firestore, y si tampoco responde se da por revocada:
+   * un token de una sesión cerrada no puede seguir valiendo porque falle la caché
+   */
+  private async isSessionRevoked(sessionId: string): Promise<boolean> {
+    try {
+      const result = await this.redis.get(`revoked_session:${sessionId}`);
+      return result !== null;
+    } catch (error) {
+      logger.error('Error verificando sesión revocada en Redis, se consulta Firestore:', error);
+    }
+
+    try {
+      const doc = await FirebaseService.getFirestore().collection(SESSIONS_COLLECTION).doc(sessionId).get();
+      const session = doc.data() as Session | undefined;
+      return !session || Boolean(session.revokedAt) || new Date(session.expiresAt) <= new Date();
+    } catch (error) {
+      logger.error('Error verificando sesión revocada en Firestore:', error);
+      return true;
+    }
+  }
+
+  /**
+   * Secreto derivado del de JWT para otros tokens firmados (p. ej. acciones de recordatorios)
+   */
+  deriveSecret(purpose: string): string {
+    return crypto.createHmac('sha256', this.config.jwtSecret).update(purpose).digest('hex');
+  }
+
+  /**
+   * Token de refresco ya rotado presentado otra vez: alguien más tiene una copia
+   */
+  reportRefreshTokenReuse(userId: string, sessionId: string, ip: string, userAgent: string): void {
+    this.logSecurityEvent({
+      type: 'REFRESH_TOKEN_REUSE',
+      severity: 'HIGH',
+      userId,
+      ip,
+      userAgent,
+      details: { sessionId },
+      timestamp: new Date()
+    });
+  }
+
   /**
    * Verificar si el token está en la blacklist
    */
@@ -325,8 +456,14 @@ class SecurityService {
       '/api/v1/users/login': 5,
       '/api/v1/users/register': 3,
       '/api/v1/users/forgot-password': 3,
+      '/api/v1/users/refresh': 30,
+      '/api/v1/users/2fa': 10,
+      '/api/v1/users/reauthenticate': 10,
       '/api/v1/diary': 50,
       '/api/v1/evaluations': 20,
+      '/api/v1/contact': 5,
+      '/api/v1/contact/tickets': 20,
+      '/api/v1/crisis/events': 10,
       'default': 100
     };
 
@@ -525,6 +662,7 @@ class SecurityService {
         activeLockouts: await this.redis.keys('lockout:*').then(keys => keys.length),
         activeRateLimits: await this.redis.keys('rate_limit:*').then(keys => keys.length),
         blacklistedTokens: await this.redis.keys('blacklist:*').then(keys => keys.length),
+        revokedSessions: await this.redis.keys('revoked_session:*').then(keys => keys.length),
         timestamp: new Date().toISOString()
       };
 
@@ -0,0 +1,311 @@
+/**
+ * Servicio de Sesiones
+ * Cada inicio de sesión crea un documento en `sessions` (un dispositivo) con un token de
+ * acceso corto y un token de refresco que rota en cada uso. Presentar un token de refresco
+ * ya rotado (fuera del margen de dos pestañas que refrescan a la vez) revoca la sesión
+ * entera: alguien más tiene una copia. Al revocar una sesión se invalidan también sus
+ * tokens de acceso vigentes con security.service.
+ */
+
+import crypto from 'crypto';
+import FirebaseService from './firebase.service';
+import SecurityService from './security.service';
+import {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_REUSE_GRACE_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS,
+  Session,
+  SESSIONS_COLLECTION,
+  SessionRevokeReason,
+  SessionSummary,
+  SessionTokens,
+  SessionUser
+} from '../models/session.model';
+import { logger } from '../utils/logger.util';
+
+export type RefreshStatus = 'refreshed' | 'invalid' | 'reused';
+export type RevokeSessionStatus = 'revoked' | 'not_found';
+
+interface ClientContext {
+  ip: string;
+  userAgent: string;
+}
+
+interface CreateSessionOptions {
+  // La sesión se abre tras comprobar el código de la verificación en dos pasos
+  twoFactor?: boolean;
+}
+
+const DEFAULT_PERMISSIONS = ['read:profile', 'write:profile', 'read:diary', 'write:diary'];
+const SESSION_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+function hashSecret(secret: string): string {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function sameHash(a: string | null, b: string): boolean {
+  return a !== null && a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Token de refresco: `${sessionId}.${secreto}`
+function parseRefreshToken(token: string): { sessionId: string; secret: string } | null {
+  const [sessionId, secret, ...rest] = token.split('.');
+  if (rest.length > 0 || !secret || !SESSION_ID_PATTERN.test(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+function isActive(session: Session, now: Date): boolean {
+  return !session.revokedAt && new Date(session.expiresAt) > now;
+}
+
+class SessionService {
+  private db = FirebaseService.getFirestore();
+
+  // Nueva sesión tras registrarse o iniciar sesión
+  async createSession(user: SessionUser, { ip, userAgent }: ClientContext, { twoFactor = false }: CreateSessionOptions = {}): Promise<SessionTokens> {
+    try {
+      const now = new Date();
+      const sessionId = crypto.randomBytes(16).toString('hex');
+      const secret = crypto.randomBytes(32).toString('base64url');
+
+      const session: Session = {
+        id: sessionId,
+        userId: user.userId,
+        refreshTokenHash: hashSecret(secret),
+        previousTokenHash: null,
+        rotatedAt: null,
+        ip,
+        userAgent,
+        createdAt: now.toISOString(),
+        lastUsedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        revokedAt: null,
+        revokedReason: null,
+        twoFactorVerifiedAt: twoFactor ? now.toISOString() : null,
+        // Quien acaba de escribir la contraseña no tiene que repetirla enseguida
+        reauthenticatedAt: now.toISOString()
+      };
+
+      await this.db.collection(SESSIONS_COLLECTION).doc(sessionId).set(session);
+
+      return {
+        accessToken: SecurityService.generateAccessToken(user, sessionId),
+        refreshToken: `${sessionId}.${secret}`,
+        sessionId,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+      };
+    } catch (error) {
+      logger.error(`Error creando sesión para ${user.userId}:`, error);
+      throw new Error('No se pudo crear la sesión');
+    }
+  }
+
+  /**
+   * Canjear el token de refresco por un token de acceso nuevo y rotarlo. Con el token
+   * anterior dentro del margen solo se devuelve el de acceso (la otra petición ya rotó)
+   */
+  async refresh(refreshToken: string, context: ClientContext): Promise<{ status: RefreshStatus; tokens?: SessionTokens }> {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return { status: 'invalid' };
+
+    try {
+      const ref = this.db.collection(SESSIONS_COLLECTION).doc(parsed.sessionId);
+
+      const result = await this.db.runTransaction(async transaction => {
+        const doc = await transaction.get(ref);
+        const session = doc.data() as Session | undefined;
+        const now = new Date();
+
+        if (!session || !isActive(session, now)) {
+          return { status: 'invalid' as const };
+        }
+
+        const userDoc = await transaction.get(this.db.collection('users').doc(session.userId));
+        const userData = userDoc.data();
+        const hash = hashSecret(parsed.secret);
+
+        if (!userData || !userData.isActive) {
+          transaction.update(ref, { revokedAt: now.toISOString(), revokedReason: 'account_deleted' });
+          return { status: 'invalid' as const, session };
+        }
+
+        const user: SessionUser = {
+          userId: session.userId,
+          email: userData.email,
+          role: userData.role || 'user',
+          permissions: userData.permissions || DEFAULT_PERMISSIONS
+        };
+
+        if (sameHash(session.refreshTokenHash, hash)) {
+          const secret = crypto.randomBytes(32).toString('base64url');
+          transaction.update(ref, {
+            refreshTokenHash: hashSecret(secret),
+            previousTokenHash: session.refreshTokenHash,
+            rotatedAt: now.toISOString(),
+            lastUsedAt: now.toISOString(),
+            ip: context.ip,
+            userAgent: context.userAgent
+          });
+          return { status: 'refreshed' as const, session, user, refreshToken: `${session.id}.${secret}` };
+        }
+
+        const rotatedAgo = session.rotatedAt ? now.getTime() - new Date(session.rotatedAt).getTime() : Infinity;
+        if (sameHash(session.previousTokenHash, hash) && rotatedAgo <= REFRESH_REUSE_GRACE_SECONDS * 1000) {
+          return { status: 'refreshed' as const, session, user, refreshToken: null };
+        }
+
+        transaction.update(ref, { revokedAt: now.toISOString(), revokedReason: 'token_reuse' });
+        return { status: 'reused' as const, session };
+      });
+
+      if (result.status === 'refreshed') {
+        return {
+          status: 'refreshed',
+          tokens: {
+            accessToken: SecurityService.generateAccessToken(result.user, result.session.id),
+            refreshToken: result.refreshToken,
+            sessionId: result.session.id,
+            expiresIn: ACCESS_TOKEN_TTL_SECONDS
+          }
+        };
+      }
+
+      if (result.session) {
+        await SecurityService.revokeSessionTokens(result.session.id);
+      }
+      if (result.status === 'reused') {
+        SecurityService.reportRefreshTokenReuse(result.session.userId, result.session.id, context.ip, context.userAgent);
+        logger.warn(`🚨 Token de refresco reutilizado: sesión ${result.session.id} de ${result.session.userId} revocada`);
+      }
+      return { status: result.status };
+    } catch (error) {
+      logger.error('Error refrescando sesión:', error);
+      throw new Error('No se pudo refrescar la sesión');
+    }
+  }
+
+  // Sesión vigente del token de acceso (la autenticación de /users comprueba que siga activa)
+  async getActiveSession(userId: string, sessionId: string): Promise<Session | null> {
+    try {
+      const doc = await this.db.collection(SESSIONS_COLLECTION).doc(sessionId).get();
+      const session = doc.data() as Session | undefined;
+      return session && session.userId === userId && isActive(session, new Date()) ? session : null;
+    } catch (error) {
+      logger.error(`Error obteniendo la sesión ${sessionId}:`, error);
+      throw new Error('No se pudo obtener la sesión');
+    }
+  }
+
+  /**
+   * Identidad confirmada en la sesión (contraseña o código). Con `twoFactor` la sesión
+   * queda además verificada: así se marca la sesión desde la que se activa
+   */
+  async markReauthenticated(sessionId: string, { twoFactor = false }: CreateSessionOptions = {}): Promise<void> {
+    try {
+      const now = new Date().toISOString();
+      await this.db.collection(SESSIONS_COLLECTION).doc(sessionId).update({
+        reauthenticatedAt: now,
+        ...(twoFactor ? { twoFactorVerifiedAt: now } : {})
+      });
+    } catch (error) {
+      logger.error(`Error confirmando la identidad en la sesión ${sessionId}:`, error);
+      throw new Error('No se pudo actualizar la sesión');
+    }
+  }
+
+  // Dispositivos con sesión abierta, el más reciente primero
+  async listSessions(userId: string, currentSessionId?: string): Promise<SessionSummary[]> {
+    try {
+      const snapshot = await this.db.collection(SESSIONS_COLLECTION).where('userId', '==', userId).get();
+      const now = new Date();
+
+      return snapshot.docs
+        .map(doc => doc.data() as Session)
+        .filter(session => isActive(session, now))
+        .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt))
+        .map(session => ({
+          id: session.id,
+          ip: session.ip,
+          userAgent: session.userAgent,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session.id === currentSessionId
+        }));
+    } catch (error) {
+      logger.error(`Error listando sesiones de ${userId}:`, error);
+      throw new Error('No se pudieron obtener las sesiones');
+    }
+  }
+
+  async revokeSession(userId: string, sessionId: string, reason: SessionRevokeReason = 'revoked'): Promise<RevokeSessionStatus> {
+    try {
+      const ref = this.db.collection(SESSIONS_COLLECTION).doc(sessionId);
+      const doc = await ref.get();
+      const session = doc.data() as Session | undefined;
+
+      if (!session || session.userId !== userId || session.revokedAt) {
+        return 'not_found';
+      }
+
+      await ref.update({ revokedAt: new Date().toISOString(), revokedReason: reason });
+      await SecurityService.revokeSessionTokens(sessionId);
+
+      logger.info(`Sesión ${sessionId} de ${userId} revocada (${reason})`);
+      return 'revoked';
+    } catch (error) {
+      logger.error(`Error revocando la sesión ${sessionId}:`, error);
+      throw new Error('No se pudo cerrar la sesión');
+    }
+  }
+
+  // "Cerrar sesión en todos los dispositivos"; con `exceptSessionId` se conserva la actual
+  async revokeAllSessions(userId: string, reason: SessionRevokeReason = 'revoked_all', exceptSessionId?: string): Promise<number> {
+    try {
+      const snapshot = await this.db.collection(SESSIONS_COLLECTION).where('userId', '==', userId).get();
+      const revokedAt = new Date().toISOString();
+      const sessions = snapshot.docs
+        .map(doc => doc.data() as Session)
+        .filter(session => !session.revokedAt && session.id !== exceptSessionId);
+
+      if (sessions.length === 0) return 0;
+
+      const batch = this.db.batch();
+      sessions.forEach(session => {
+        batch.update(this.db.collection(SESSIONS_COLLECTION).doc(session.id), { revokedAt, revokedReason: reason });
+      });
+      await batch.commit();
+      await Promise.all(sessions.map(session => SecurityService.revokeSessionTokens(session.id)));
+
+      logger.info(`${sessions.length} sesiones de ${userId} revocadas (${reason})`);
+      return sessions.length;
+    } catch (error) {
+      logger.error(`Error revocando las sesiones de ${userId}:`, error);
+      throw new Error('No se pudieron cerrar las sesiones');
+    }
+  }
+
+  /**
+   * Cerrar sesión con la cookie de refresco: no exige un token de acceso vigente. Un
+   * token que no coincide se ignora (cerrar sesión no debe revocar nada por reutilización)
+   */
+  async logout(refreshToken: string): Promise<void> {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return;
+
+    try {
+      const doc = await this.db.collection(SESSIONS_COLLECTION).doc(parsed.sessionId).get();
+      const session = doc.data() as Session | undefined;
+      const hash = hashSecret(parsed.secret);
+
+      if (session && (sameHash(session.refreshTokenHash, hash) || sameHash(session.previousTokenHash, hash))) {
+        await this.revokeSession(session.userId, session.id, 'logout');
+      }
+    } catch (error) {
+      logger.error('Error cerrando sesión:', error);
+      throw new Error('No se pudo cerrar la sesión');
+    }
+  }
+}
+
+export default new SessionService();
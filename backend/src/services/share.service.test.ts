@@ -0,0 +1,80 @@
+import FirebaseService from './firebase.service';
+import shareService from './share.service';
+import diaryController from '../controllers/diary.controller';
+import evaluationController from '../controllers/evaluation.controller';
+import { ShareGrant } from '../models/share.model';
+import { FakeFirestore } from '../testing/fake-firestore';
+import { mockRequest, mockResponse } from '../testing/http';
+
+jest.mock('./firebase.service', () => jest.requireActual('../testing/fake-firestore').fakeFirebaseService());
+jest.mock('./crisis.service', () => ({ __esModule: true, default: { escalateFromDiary: jest.fn().mockResolvedValue(null), recordEvent: jest.fn() } }));
+
+const USER_ID = 'user-1';
+
+const grant: ShareGrant = {
+  id: 'grant-1',
+  userId: USER_ID,
+  tokenHash: 'hash',
+  categories: ['evaluations', 'mood_trend'],
+  from: '2026-01-01T00:00:00.000Z',
+  to: '2026-01-31T23:59:59.999Z',
+  entryCount: 0,
+  expiresAt: '2026-02-15T00:00:00.000Z',
+  createdAt: '2026-01-31T00:00:00.000Z',
+  revokedAt: null,
+  lastAccessedAt: null,
+  accessCount: 0
+};
+
+describe('ShareService.buildReport', () => {
+  const db = FirebaseService.getFirestore() as unknown as FakeFirestore;
+
+  async function post(controller: typeof diaryController.createEntry, body: Record<string, unknown>) {
+    const res = mockResponse();
+    await controller(mockRequest(USER_ID, { body }), res);
+    expect(res.statusCode).toBe(201);
+  }
+
+  beforeEach(async () => {
+    for (const name of ['evaluations', 'diary_entries']) {
+      for (const id of Object.keys(db.dump(name))) await db.collection(name).doc(id).delete();
+    }
+  });
+
+  it('incluye las evaluaciones y el ánimo guardados a través de la API', async () => {
+    await post(evaluationController.createEvaluation, { testType: 'gad7', answers: [2, 2, 2, 2, 2, 2, 0], date: '2026-01-10T09:00:00.000Z' });
+    await post(diaryController.createEntry, { content: 'Buen día', mood: '4', date: '2026-01-10T20:00:00.000Z' });
+    await post(diaryController.createEntry, { content: 'Día regular', mood: '2', date: '2026-01-10T21:00:00.000Z' });
+    // Fuera del periodo del permiso
+    await post(evaluationController.createEvaluation, { testType: 'gad7', answers: [0, 0, 0, 0, 0, 0, 0], date: '2026-02-10T09:00:00.000Z' });
+
+    const report = await shareService.buildReport(grant);
+
+    expect(report.evaluations).toEqual([{
+      testType: 'gad7',
+      testName: 'Test de Ansiedad (GAD-7)',
+      score: 12,
+      maxScore: 21,
+      band: 'Moderada',
+      date: '2026-01-10T09:00:00.000Z'
+    }]);
+    expect(report.moodTrend).toEqual([{ date: '2026-01-10', mood: 3, entries: 2 }]);
+  });
+
+  it('lee también los documentos antiguos de la API, con totalScore y fechas ISO', async () => {
+    await db.collection('evaluations').doc('legacy').set({
+      userId: USER_ID, testType: 'phq9', totalScore: 6, maxScore: 27, date: '2026-01-05T09:00:00.000Z'
+    });
+    await db.collection('diary_entries').doc('legacy').set({ userId: USER_ID, content: 'Cansado', mood: 2, date: '2026-01-05T20:00:00.000Z' });
+    await post(evaluationController.createEvaluation, { testType: 'gad7', answers: [0, 0, 0, 0, 0, 0, 0], date: '2026-01-03T09:00:00.000Z' });
+
+    const report = await shareService.buildReport(grant);
+
+    expect(report.evaluations!.map(({ testType, score, date }) => ({ testType, score, date }))).toEqual([
+      { testType: 'gad7', score: 0, date: '2026-01-03T09:00:00.000Z' },
+      { testType: 'phq9', score: 6, date: '2026-01-05T09:00:00.000Z' }
+    ]);
+    expect(report.evaluations![1].band).toBe('Leve');
+    expect(report.moodTrend).toEqual([{ date: '2026-01-05', mood: 2, entries: 1 }]);
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * Servicio de Compartición con Profesionales
+ * El paciente crea un permiso de acceso (colección `share_grants`) limitado a un
+ * periodo, unas categorías de datos y una fecha de caducidad. El profesional accede
+ * con el token del enlace a un informe de solo lectura y cada acceso queda registrado
+ * en `share_access_logs`.
+ */
+
+import crypto from 'crypto';
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import FirebaseService from './firebase.service';
+import {
+  CreateShareGrantRequest,
+  ShareAccessLog,
+  ShareGrant,
+  SharedEntrySnapshot,
+  SharedReport,
+  SHARE_DEFAULT_EXPIRY_DAYS,
+  SHARE_MAX_EXPIRY_DAYS
+} from '../models/share.model';
+import questionnaireEngine from '../shared/questionnaire.engine';
+import { getMoodScore, normalizeEvaluation, toDate } from '../shared/stored.records';
+import { logger } from '../utils/logger.util';
+
+export type ShareGrantStatus = 'valid' | 'not_found' | 'revoked' | 'expired';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ShareService {
+  private db = FirebaseService.getFirestore();
+
+  hashToken(token: string): string {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  async createGrant(userId: string, data: CreateShareGrantRequest): Promise<{ grant: ShareGrant; token: string }> {
+    try {
+      const token = crypto.randomBytes(32).toString('base64url');
+      const now = new Date();
+      const expiresInDays = Math.min(data.expiresInDays || SHARE_DEFAULT_EXPIRY_DAYS, SHARE_MAX_EXPIRY_DAYS);
+      const entries = data.categories.includes('entries') ? data.entries || [] : [];
+
+      const grant: Omit<ShareGrant, 'id'> = {
+        userId,
+        tokenHash: this.hashToken(token),
+        ...(data.label && { label: data.label }),
+        categories: data.categories,
+        from: new Date(data.from).toISOString(),
+        to: new Date(data.to).toISOString(),
+        entryCount: entries.length,
+        expiresAt: new Date(now.getTime() + expiresInDays * DAY_MS).toISOString(),
+        createdAt: now.toISOString(),
+        revokedAt: null,
+        lastAccessedAt: null,
+        accessCount: 0
+      };
+
+      const docRef = await this.db.collection('share_grants').add(grant);
+
+      // Copia de las entradas elegidas por el paciente
+      if (entries.length > 0) {
+        const batch = this.db.batch();
+        entries.forEach(entry => {
+          batch.set(docRef.collection('entries').doc(), entry);
+        });
+        await batch.commit();
+      }
+
+      logger.info(`Permiso de compartición ${docRef.id} creado por usuario ${userId} (${grant.categories.join(', ')})`);
+      return { grant: { ...grant, id: docRef.id }, token };
+    } catch (error) {
+      logger.error(`Error creando permiso de compartición para usuario ${userId}:`, error);
+      throw new Error('No se pudo crear el enlace para compartir');
+    }
+  }
+
+  async listGrants(userId: string): Promise<Omit<ShareGrant, 'tokenHash'>[]> {
+    try {
+      const snapshot = await this.db
+        .collection('share_grants')
+        .where('userId', '==', userId)
+        .orderBy('createdAt', 'desc')
+        .get();
+
+      return snapshot.docs.map(doc => {
+        const { tokenHash, ...grant } = doc.data() as ShareGrant;
+        return { ...grant, id: doc.id };
+      });
+    } catch (error) {
+      logger.error(`Error obteniendo permisos de compartición del usuario ${userId}:`, error);
+      throw new Error('No se pudieron obtener los enlaces compartidos');
+    }
+  }
+
+  async getOwnedGrant(userId: string, grantId: string): Promise<ShareGrant | null> {
+    const doc = await this.db.collection('share_grants').doc(grantId).get();
+    if (!doc.exists || doc.data()?.userId !== userId) {
+      return null;
+    }
+    return { ...(doc.data() as ShareGrant), id: doc.id };
+  }
+
+  // Revocar el enlace y borrar la copia de las entradas compartidas
+  async revokeGrant(userId: string, grantId: string): Promise<boolean> {
+    try {
+      const grant = await this.getOwnedGrant(userId, grantId);
+      if (!grant) {
+        return false;
+      }
+
+      const docRef = this.db.collection('share_grants').doc(grantId);
+      const entries = await docRef.collection('entries').get();
+      const batch = this.db.batch();
+      entries.docs.forEach(doc => batch.delete(doc.ref));
+      batch.update(docRef, { revokedAt: grant.revokedAt || new Date().toISOString(), entryCount: 0 });
+      await batch.commit();
+
+      logger.info(`Permiso de compartición ${grantId} revocado por usuario ${userId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error revocando permiso de compartición ${grantId}:`, error);
+      throw new Error('No se pudo revocar el enlace');
+    }
+  }
+
+  async getAccessLogs(userId: string, grantId: string): Promise<ShareAccessLog[] | null> {
+    try {
+      const grant = await this.getOwnedGrant(userId, grantId);
+      if (!grant) {
+        return null;
+      }
+
+      const snapshot = await this.db
+        .collection('share_access_logs')
+        .where('grantId', '==', grantId)
+        .orderBy('accessedAt', 'desc')
+        .limit(100)
+        .get();
+
+      return snapshot.docs.map(doc => ({ ...(doc.data() as ShareAccessLog), id: doc.id }));
+    } catch (error) {
+      logger.error(`Error obteniendo accesos del permiso ${grantId}:`, error);
+      throw new Error('No se pudo obtener el registro de accesos');
+    }
+  }
+
+  /**
+   * Comprobar un token: existe, no está revocado y no ha caducado
+   */
+  async resolveToken(token: string): Promise<{ status: ShareGrantStatus; grant: ShareGrant | null }> {
+    const snapshot = await this.db
+      .collection('share_grants')
+      .where('tokenHash', '==', this.hashToken(token))
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      return { status: 'not_found', grant: null };
+    }
+
+    const doc = snapshot.docs[0];
+    const grant = { ...(doc.data() as ShareGrant), id: doc.id };
+    if (grant.revokedAt) {
+      return { status: 'revoked', grant };
+    }
+    if (new Date(grant.expiresAt).getTime() <= Date.now()) {
+      return { status: 'expired', grant };
+    }
+    return { status: 'valid', grant };
+  }
+
+  async logAccess(grant: ShareGrant, ip: string | undefined, userAgent: string | undefined): Promise<void> {
+    try {
+      const accessedAt = new Date().toISOString();
+      const log: Omit<ShareAccessLog, 'id'> = {
+        grantId: grant.id,
+        userId: grant.userId,
+        accessedAt,
+        ipHash: ip ? this.hashToken(ip).slice(0, 16) : null,
+        userAgent: userAgent ? userAgent.slice(0, 200) : null
+      };
+
+      await this.db.collection('share_access_logs').add(log);
+      await this.db.collection('share_grants').doc(grant.id).update({
+        lastAccessedAt: accessedAt,
+        accessCount: FieldValue.increment(1)
+      });
+      logger.info(`Acceso al informe compartido ${grant.id} del usuario ${grant.userId}`);
+    } catch (error) {
+      // Sin registro no se sirve el informe: el paciente debe poder ver todos los accesos
+      logger.error(`Error registrando acceso al permiso ${grant.id}:`, error);
+      throw new Error('No se pudo registrar el acceso');
+    }
+  }
+
+  /**
+   * Informe de solo lectura limitado al periodo y categorías del permiso
+   */
+  async buildReport(grant: ShareGrant): Promise<SharedReport> {
+    try {
+      const report: SharedReport = {
+        ...(grant.label && { label: grant.label }),
+        from: grant.from,
+        to: grant.to,
+        expiresAt: grant.expiresAt,
+        categories: grant.categories
+      };
+
+      if (grant.categories.includes('evaluations')) {
+        const evaluations = await this.findInPeriod('evaluations', grant, 'completedAt', 'date');
+        report.evaluations = evaluations
+          .map(normalizeEvaluation)
+          .filter(evaluation => evaluation.completedAt !== null && evaluation.score !== null)
+          .sort((a, b) => a.completedAt!.getTime() - b.completedAt!.getTime())
+          // Solo puntuación y banda: las respuestas ítem a ítem no se comparten
+          .map(evaluation => ({
+            testType: evaluation.testType,
+            testName: evaluation.testName,
+            score: evaluation.score!,
+            maxScore: evaluation.maxScore!,
+            band: this.getBandLabel(evaluation.testType, evaluation.score!, evaluation.maxScore!),
+            date: evaluation.completedAt!.toISOString()
+          }));
+      }
+
+      if (grant.categories.includes('mood_trend')) {
+        const entries = await this.findInPeriod('diary_entries', grant, 'date', 'date');
+        const days = new Map<string, number[]>();
+        entries.forEach(entry => {
+          const date = toDate(entry.date);
+          const mood = getMoodScore(entry);
+          if (!date || mood === null) return;
+          const key = date.toISOString().split('T')[0];
+          days.set(key, [...(days.get(key) || []), mood]);
+        });
+        report.moodTrend = Array.from(days.entries())
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([date, values]) => ({
+            date,
+            mood: Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10,
+            entries: values.length
+          }));
+      }
+
+      if (grant.categories.includes('entries')) {
+        const snapshot = await this.db.collection('share_grants').doc(grant.id).collection('entries').get();
+        report.entries = snapshot.docs
+          .map(doc => doc.data() as SharedEntrySnapshot)
+          .sort((a, b) => a.date.localeCompare(b.date));
+      }
+
+      return report;
+    } catch (error) {
+      logger.error(`Error generando el informe compartido ${grant.id}:`, error);
+      throw new Error('No se pudo generar el informe');
+    }
+  }
+
+  /**
+   * Documentos del paciente dentro del periodo del permiso. La fecha está en `timestampField`
+   * como Timestamp o, en los documentos antiguos de la API, en `legacyField` como cadena ISO;
+   * Firestore solo compara valores del mismo tipo, así que se hace una consulta por formato
+   */
+  private async findInPeriod(collection: string, grant: ShareGrant, timestampField: string, legacyField: string): Promise<FirebaseFirestore.DocumentData[]> {
+    const byUser = this.db.collection(collection).where('userId', '==', grant.userId);
+    const [current, legacy] = await Promise.all([
+      byUser
+        .where(timestampField, '>=', Timestamp.fromDate(new Date(grant.from)))
+        .where(timestampField, '<=', Timestamp.fromDate(new Date(grant.to)))
+        .get(),
+      byUser
+        .where(legacyField, '>=', grant.from)
+        .where(legacyField, '<=', grant.to)
+        .get()
+    ]);
+
+    const documents = new Map<string, FirebaseFirestore.DocumentData>();
+    [...current.docs, ...legacy.docs].forEach(doc => documents.set(doc.id, doc.data()));
+    return Array.from(documents.values());
+  }
+
+  private getBandLabel(testType: string, score: number, maxScore: number): string | null {
+    const definition = questionnaireEngine.get(testType);
+    if (!definition || typeof score !== 'number') return null;
+
+    const value = definition.scoring.bandsBy === 'percentage' && maxScore
+      ? Math.round((score / maxScore) * 100)
+      : score;
+    return questionnaireEngine.interpret(definition.id, value).label;
+  }
+}
+
+export default new ShareService();
@@ -0,0 +1,286 @@
+/**
+ * Servicio de Suscripciones
+ * Pagos a través de un proveedor intercambiable (PaymentProvider) y funciones de cada plan
+ * (shared/entitlements). El plan del usuario solo cambia al recibir un webhook verificado
+ * del proveedor; cada evento se registra en `payment_events` para ignorar los repetidos.
+ * Por defecto el proveedor es el local (simulado), que no está disponible en producción.
+ */
+
+import crypto from 'crypto';
+import { Timestamp } from 'firebase-admin/firestore';
+import FirebaseService from './firebase.service';
+import LocalPaymentProvider from './local-payment.provider';
+import {
+  CheckoutSession,
+  PaymentEvent,
+  PaymentProvider,
+  PAYMENT_EVENTS_COLLECTION,
+  ProviderSubscriptionRef
+} from '../models/subscription.model';
+import { UserSubscription } from '../models/user.model';
+import { Entitlements, getEntitlements, isPaidPlan, isSubscriptionActive, PlanId, PLANS, toDate } from '../shared/entitlements';
+import { logger } from '../utils/logger.util';
+
+export type CheckoutStatus = 'started' | 'invalid_plan' | 'already_subscribed' | 'unavailable';
+export type CancelStatus = 'canceled' | 'no_subscription' | 'already_canceled' | 'unavailable';
+export type RenewalStatus = 'renewed' | 'no_subscription' | 'unavailable';
+export type WebhookStatus = 'processed' | 'duplicate' | 'ignored' | 'invalid' | 'unknown_provider';
+
+export interface SubscriptionEntitlements extends Entitlements {
+  cancelAtPeriodEnd: boolean;
+  provider: string | null;
+}
+
+type WebhookDelivery = (payload: string, signature: string) => Promise<void>;
+
+/**
+ * Proveedor configurado en el entorno. El local regala el plan, así que en producción
+ * solo se activa con PAYMENT_PROVIDER=local explícito; sin él no hay pagos.
+ */
+export function createPaymentProvider(deliver: WebhookDelivery, env: NodeJS.ProcessEnv = process.env): PaymentProvider | null {
+  const provider = env.PAYMENT_PROVIDER || (env.NODE_ENV === 'production' ? '' : 'local');
+
+  if (provider === 'local') {
+    if (env.NODE_ENV === 'production') {
+      logger.warn('PAYMENT_PROVIDER=local en producción: los pagos son simulados');
+    }
+
+    return new LocalPaymentProvider({
+      // Los webhooks del proveedor local no salen del proceso: sin secreto configurado vale uno aleatorio
+      secret: env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex'),
+      returnUrl: env.PAYMENT_RETURN_URL,
+      deliver
+    });
+  }
+
+  logger.warn(provider ? `Proveedor de pagos desconocido "${provider}": pagos desactivados` : 'Sin proveedor de pagos: pagos desactivados');
+  return null;
+}
+
+export class SubscriptionService {
+  private db = FirebaseService.getFirestore();
+  private provider: PaymentProvider | null;
+
+  constructor(provider?: PaymentProvider | null) {
+    this.provider = provider !== undefined
+      ? provider
+      : createPaymentProvider(async (payload, signature) => {
+        const status = await this.handleWebhook('local', payload, signature);
+        if (status === 'invalid') {
+          throw new Error('El webhook del proveedor local no es válido');
+        }
+      });
+  }
+
+  get providerName(): string | null {
+    return this.provider ? this.provider.name : null;
+  }
+
+  async getSubscription(userId: string): Promise<UserSubscription | null> {
+    const doc = await this.db.collection('users').doc(userId).get();
+    return (doc.data()?.subscription as UserSubscription | undefined) || null;
+  }
+
+  async getEntitlements(userId: string): Promise<SubscriptionEntitlements> {
+    try {
+      const subscription = await this.getSubscription(userId);
+      return {
+        ...getEntitlements(subscription),
+        cancelAtPeriodEnd: Boolean(subscription?.cancelAtPeriodEnd),
+        provider: subscription?.provider || null
+      };
+    } catch (error) {
+      logger.error(`Error obteniendo la suscripción del usuario ${userId}:`, error);
+      throw new Error('No se pudo obtener la suscripción');
+    }
+  }
+
+  async startCheckout(userId: string, email: string, plan: PlanId): Promise<{ status: CheckoutStatus; checkout: CheckoutSession | null }> {
+    if (!isPaidPlan(plan)) {
+      return { status: 'invalid_plan', checkout: null };
+    }
+    if (!this.provider) {
+      return { status: 'unavailable', checkout: null };
+    }
+
+    try {
+      const current = await this.getSubscription(userId);
+      if (current?.plan === plan && isSubscriptionActive(current) && !current.cancelAtPeriodEnd) {
+        return { status: 'already_subscribed', checkout: null };
+      }
+
+      const checkout = await this.provider.createCheckout({ userId, email, plan });
+      logger.info(`Pago ${checkout.checkoutId} (${plan}) iniciado por usuario ${userId} con ${this.provider.name}`);
+      return { status: 'started', checkout };
+    } catch (error) {
+      logger.error(`Error iniciando el pago del usuario ${userId}:`, error);
+      throw new Error('No se pudo iniciar el pago');
+    }
+  }
+
+  /**
+   * Cancelar la renovación: el plan sigue activo hasta el fin del periodo pagado
+   */
+  async cancel(userId: string): Promise<CancelStatus> {
+    if (!this.provider) {
+      return 'unavailable';
+    }
+
+    try {
+      const current = await this.getSubscription(userId);
+      const ref = this.toProviderRef(userId, current);
+
+      if (!ref || !isSubscriptionActive(current)) {
+        return 'no_subscription';
+      }
+      if (current!.cancelAtPeriodEnd) {
+        return 'already_canceled';
+      }
+
+      await this.provider.cancelSubscription(ref);
+      logger.info(`Renovación cancelada por usuario ${userId}`);
+      return 'canceled';
+    } catch (error) {
+      logger.error(`Error cancelando la suscripción del usuario ${userId}:`, error);
+      throw new Error('No se pudo cancelar la suscripción');
+    }
+  }
+
+  // Solo con el proveedor local: simular el cobro de la renovación para probar el flujo
+  async simulateRenewal(userId: string, { fail = false }: { fail?: boolean } = {}): Promise<RenewalStatus> {
+    if (!(this.provider instanceof LocalPaymentProvider)) {
+      return 'unavailable';
+    }
+
+    try {
+      const ref = this.toProviderRef(userId, await this.getSubscription(userId));
+      if (!ref) {
+        return 'no_subscription';
+      }
+
+      await this.provider.simulateRenewal(ref, { fail });
+      return 'renewed';
+    } catch (error) {
+      logger.error(`Error simulando la renovación del usuario ${userId}:`, error);
+      throw new Error('No se pudo simular la renovación');
+    }
+  }
+
+  /**
+   * Webhook del proveedor: verifica la firma y aplica el evento una sola vez
+   */
+  async handleWebhook(providerName: string, payload: string, signature: string | undefined): Promise<WebhookStatus> {
+    if (!this.provider || providerName !== this.provider.name) {
+      return 'unknown_provider';
+    }
+
+    let event: PaymentEvent;
+    try {
+      event = this.provider.verifyWebhook(payload, signature);
+    } catch (error) {
+      logger.warn(`Webhook de pago rechazado (${providerName}): ${(error as Error).message}`);
+      return 'invalid';
+    }
+
+    try {
+      const userRef = this.db.collection('users').doc(event.userId);
+      const eventRef = this.db.collection(PAYMENT_EVENTS_COLLECTION).doc(event.id);
+      let replaced: ProviderSubscriptionRef | null = null;
+
+      const status = await this.db.runTransaction(async transaction => {
+        const [eventDoc, userDoc] = await Promise.all([transaction.get(eventRef), transaction.get(userRef)]);
+        if (eventDoc.exists) {
+          return 'duplicate' as const;
+        }
+
+        const current = (userDoc.data()?.subscription as UserSubscription | undefined) || null;
+        const next = this.applyEvent(current, event);
+
+        transaction.set(eventRef, {
+          type: event.type,
+          userId: event.userId,
+          plan: event.plan,
+          subscriptionId: event.subscriptionId,
+          provider: providerName,
+          applied: Boolean(next),
+          receivedAt: new Date().toISOString()
+        });
+
+        if (!next) {
+          return 'ignored' as const;
+        }
+
+        // Cambio de plan: la suscripción anterior deja de renovarse
+        if (event.type === 'checkout.completed' && current?.providerSubscriptionId && current.providerSubscriptionId !== event.subscriptionId
+          && isSubscriptionActive(current) && !current.cancelAtPeriodEnd) {
+          replaced = this.toProviderRef(event.userId, current);
+        }
+
+        transaction.update(userRef, { subscription: next, updatedAt: new Date().toISOString() });
+        return 'processed' as const;
+      });
+
+      if (replaced) {
+        await this.provider.cancelSubscription(replaced);
+      }
+
+      logger.info(`Evento de pago ${event.id} (${event.type}) del usuario ${event.userId}: ${status}`);
+      return status;
+    } catch (error) {
+      logger.error(`Error aplicando el evento de pago ${event.id}:`, error);
+      throw new Error('No se pudo procesar el evento de pago');
+    }
+  }
+
+  /**
+   * Nueva suscripción tras el evento; null si el evento no corresponde a la suscripción actual
+   */
+  private applyEvent(current: UserSubscription | null, event: PaymentEvent): UserSubscription | null {
+    const endDate = Timestamp.fromDate(new Date(event.periodEnd));
+
+    if (event.type === 'checkout.completed') {
+      return {
+        plan: event.plan,
+        startDate: Timestamp.now(),
+        endDate,
+        features: [...PLANS[event.plan].features],
+        status: 'active',
+        provider: this.provider!.name,
+        providerSubscriptionId: event.subscriptionId,
+        cancelAtPeriodEnd: false
+      };
+    }
+
+    // Los eventos de una suscripción ya sustituida no cambian nada
+    if (!current || current.providerSubscriptionId !== event.subscriptionId) {
+      return null;
+    }
+
+    switch (event.type) {
+      case 'subscription.renewed':
+        return { ...current, endDate, status: 'active', cancelAtPeriodEnd: false };
+      case 'subscription.payment_failed':
+        return { ...current, status: 'past_due' };
+      case 'subscription.canceled':
+        return { ...current, endDate, status: 'canceled', cancelAtPeriodEnd: true };
+      default:
+        return null;
+    }
+  }
+
+  private toProviderRef(userId: string, subscription: UserSubscription | null): ProviderSubscriptionRef | null {
+    if (!subscription || !isPaidPlan(subscription.plan) || !subscription.providerSubscriptionId) {
+      return null;
+    }
+
+    const endDate = toDate(subscription.endDate);
+    return {
+      subscriptionId: subscription.providerSubscriptionId,
+      userId,
+      plan: subscription.plan,
+      periodEnd: endDate ? endDate.toISOString() : null
+    };
+  }
+}
+
+export default new SubscriptionService();
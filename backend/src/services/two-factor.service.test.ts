@@ -0,0 +1,154 @@
+import FirebaseService from './firebase.service';
+import { TwoFactorService } from './two-factor.service';
+import { RECOVERY_CODE_COUNT, TWO_FACTOR_COLLECTION } from '../models/two-factor.model';
+import { generateTotp, totpStep } from '../utils/totp.util';
+import { FakeFirestore } from '../testing/fake-firestore';
+
+jest.mock('./firebase.service', () => jest.requireActual('../testing/fake-firestore').fakeFirebaseService());
+
+const USER_ID = 'user-1';
+
+describe('TwoFactorService', () => {
+  const db = FirebaseService.getFirestore() as unknown as FakeFirestore;
+  let now: Date;
+  let service: TwoFactorService;
+
+  const codeAt = (secret: string, offsetSteps = 0) => generateTotp(secret, totpStep(now) + offsetSteps);
+  const advance = (seconds: number) => { now = new Date(now.getTime() + seconds * 1000); };
+
+  // Alta completa: devuelve el secreto y los códigos de recuperación
+  async function enable(): Promise<{ secret: string; recoveryCodes: string[] }> {
+    const { enrollment } = await service.startEnrollment(USER_ID, 'ana@example.com');
+    const { recoveryCodes } = await service.confirmEnrollment(USER_ID, codeAt(enrollment!.secret));
+    return { secret: enrollment!.secret, recoveryCodes: recoveryCodes! };
+  }
+
+  beforeEach(async () => {
+    await db.collection(TWO_FACTOR_COLLECTION).doc(USER_ID).delete();
+    now = new Date('2026-03-01T10:00:00Z');
+    service = new TwoFactorService(() => now);
+  });
+
+  describe('alta', () => {
+    it('guarda el secreto pendiente cifrado y devuelve el URI para el QR', async () => {
+      const { status, enrollment } = await service.startEnrollment(USER_ID, 'ana@example.com');
+      const record = db.dump(TWO_FACTOR_COLLECTION)[USER_ID];
+
+      expect(status).toBe('started');
+      expect(enrollment!.otpauthUrl).toContain(`secret=${enrollment!.secret}`);
+      expect(record.enabled).toBe(false);
+      expect(record.pendingSecret).not.toContain(enrollment!.secret);
+    });
+
+    it('no se activa con un código incorrecto', async () => {
+      const { enrollment } = await service.startEnrollment(USER_ID, 'ana@example.com');
+
+      expect((await service.confirmEnrollment(USER_ID, codeAt(enrollment!.secret, 3))).status).toBe('invalid_code');
+      expect(await service.isEnabled(USER_ID)).toBe(false);
+    });
+
+    it('sin empezar el alta no hay nada que confirmar', async () => {
+      expect((await service.confirmEnrollment(USER_ID, '123456')).status).toBe('not_started');
+    });
+
+    it('se activa con el primer código y guarda solo el hash de los códigos de recuperación', async () => {
+      const { recoveryCodes } = await enable();
+      const record = db.dump(TWO_FACTOR_COLLECTION)[USER_ID];
+
+      expect(recoveryCodes).toHaveLength(RECOVERY_CODE_COUNT);
+      expect(record.enabled).toBe(true);
+      expect(record.pendingSecret).toBeNull();
+      expect(record.recoveryCodeHashes).toHaveLength(RECOVERY_CODE_COUNT);
+      recoveryCodes.forEach(code => expect(record.recoveryCodeHashes).not.toContain(code));
+      expect(await service.getStatus(USER_ID)).toEqual({
+        enabled: true,
+        enabledAt: now.toISOString(),
+        recoveryCodesRemaining: RECOVERY_CODE_COUNT
+      });
+    });
+
+    it('no empieza otra alta con la verificación ya activada', async () => {
+      await enable();
+      expect((await service.startEnrollment(USER_ID, 'ana@example.com')).status).toBe('already_enabled');
+    });
+  });
+
+  describe('verify con TOTP', () => {
+    it('el código del alta no vale otra vez en el mismo paso', async () => {
+      const { secret } = await enable();
+      expect(await service.verify(USER_ID, codeAt(secret))).toEqual({ valid: false });
+    });
+
+    it('acepta el código del paso siguiente una sola vez', async () => {
+      const { secret } = await enable();
+      advance(30);
+      const code = codeAt(secret);
+
+      expect(await service.verify(USER_ID, code)).toEqual({ valid: true, method: 'totp' });
+      expect(await service.verify(USER_ID, code)).toEqual({ valid: false });
+    });
+
+    it('no acepta un paso anterior al último usado aunque esté dentro de la ventana', async () => {
+      const { secret } = await enable();
+      advance(60);
+      expect((await service.verify(USER_ID, codeAt(secret))).valid).toBe(true);
+
+      expect((await service.verify(USER_ID, codeAt(secret, -1))).valid).toBe(false);
+    });
+
+    it('acepta un reloj adelantado un paso y rechaza dos', async () => {
+      const { secret } = await enable();
+      advance(90);
+
+      expect((await service.verify(USER_ID, codeAt(secret, 2))).valid).toBe(false);
+      expect((await service.verify(USER_ID, codeAt(secret, 1))).valid).toBe(true);
+    });
+
+    it('rechaza los códigos caducados', async () => {
+      const { secret } = await enable();
+      const code = codeAt(secret, 1);
+      advance(5 * 60);
+
+      expect((await service.verify(USER_ID, code)).valid).toBe(false);
+    });
+
+    it('sin la verificación activada ningún código vale', async () => {
+      expect(await service.verify(USER_ID, '123456')).toEqual({ valid: false });
+    });
+  });
+
+  describe('códigos de recuperación', () => {
+    it('cada código vale una sola vez', async () => {
+      const { recoveryCodes } = await enable();
+
+      expect(await service.verify(USER_ID, recoveryCodes[0])).toEqual({
+        valid: true,
+        method: 'recovery',
+        recoveryCodesRemaining: RECOVERY_CODE_COUNT - 1
+      });
+      expect(await service.verify(USER_ID, recoveryCodes[0])).toEqual({ valid: false });
+      expect((await service.getStatus(USER_ID)).recoveryCodesRemaining).toBe(RECOVERY_CODE_COUNT - 1);
+    });
+
+    it('acepta el código en minúsculas y sin guion', async () => {
+      const { recoveryCodes } = await enable();
+      expect((await service.verify(USER_ID, recoveryCodes[1].replace('-', '').toLowerCase())).valid).toBe(true);
+    });
+
+    it('al regenerarlos dejan de valer los anteriores', async () => {
+      const { recoveryCodes } = await enable();
+      const fresh = await service.regenerateRecoveryCodes(USER_ID);
+
+      expect((await service.verify(USER_ID, recoveryCodes[2])).valid).toBe(false);
+      expect((await service.verify(USER_ID, fresh![0])).valid).toBe(true);
+    });
+  });
+
+  it('al desactivarla se borra el registro', async () => {
+    await enable();
+    await service.disable(USER_ID);
+
+    expect(db.dump(TWO_FACTOR_COLLECTION)[USER_ID]).toBeUndefined();
+    expect(await service.isEnabled(USER_ID)).toBe(false);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Servicio de Verificación en Dos Pasos
+ * TOTP opcional por usuario (documento en `two_factor`): alta con el URI otpauth:// que
+ * se muestra como QR, confirmación con el primer código, códigos de recuperación de un
+ * solo uso (solo se guarda su hash) y verificación al iniciar sesión o al confirmar la
+ * identidad antes de una acción sensible. El secreto se guarda cifrado con encryption.util.
+ * La hora se inyecta (`now`) para poder comprobarlo con un reloj fijo.
+ */
+
+import crypto from 'crypto';
+import FirebaseService from './firebase.service';
+import encryptionUtil from '../utils/encryption.util';
+import { buildOtpauthUrl, generateTotpSecret, verifyTotp } from '../utils/totp.util';
+import {
+  RECOVERY_CODE_COUNT,
+  TWO_FACTOR_COLLECTION,
+  TwoFactorEnrollment,
+  TwoFactorRecord,
+  TwoFactorStatus,
+  TwoFactorVerification
+} from '../models/two-factor.model';
+import { logger } from '../utils/logger.util';
+
+export type StartEnrollmentStatus = 'started' | 'already_enabled';
+export type ConfirmEnrollmentStatus = 'enabled' | 'invalid_code' | 'not_started' | 'already_enabled';
+
+// Sin letras ni números que se confundan al copiarlos a mano (0/O, 1/I/L)
+const RECOVERY_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+function normalizeRecoveryCode(code: string): string {
+  return code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function hashRecoveryCode(code: string): string {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+// XXXXX-XXXXX
+function generateRecoveryCode(): string {
+  const chars = Array.from(crypto.randomBytes(10), byte => RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+}
+
+export class TwoFactorService {
+  private db = FirebaseService.getFirestore();
+
+  constructor(private now: () => Date = () => new Date()) {}
+
+  private ref(userId: string) {
+    return this.db.collection(TWO_FACTOR_COLLECTION).doc(userId);
+  }
+
+  private async getRecord(userId: string): Promise<TwoFactorRecord | null> {
+    const doc = await this.ref(userId).get();
+    return (doc.data() as TwoFactorRecord | undefined) || null;
+  }
+
+  async getStatus(userId: string): Promise<TwoFactorStatus> {
+    try {
+      const record = await this.getRecord(userId);
+      return {
+        enabled: Boolean(record?.enabled),
+        enabledAt: record?.enabled ? record.enabledAt : null,
+        recoveryCodesRemaining: record?.enabled ? record.recoveryCodeHashes.length : 0
+      };
+    } catch (error) {
+      logger.error(`Error obteniendo la verificación en dos pasos de ${userId}:`, error);
+      throw new Error('No se pudo obtener la verificación en dos pasos');
+    }
+  }
+
+  async isEnabled(userId: string): Promise<boolean> {
+    return (await this.getStatus(userId)).enabled;
+  }
+
+  /**
+   * Alta: secreto nuevo pendiente de confirmar. Volver a empezar sustituye al anterior
+   */
+  async startEnrollment(userId: string, accountName: string): Promise<{ status: StartEnrollmentStatus; enrollment?: TwoFactorEnrollment }> {
+    try {
+      const record = await this.getRecord(userId);
+      if (record?.enabled) return { status: 'already_enabled' };
+
+      const secret = generateTotpSecret();
+      await this.ref(userId).set({
+        userId,
+        enabled: false,
+        secret: null,
+        pendingSecret: encryptionUtil.encrypt(secret),
+        recoveryCodeHashes: [],
+        lastUsedStep: null,
+        enabledAt: null,
+        updatedAt: this.now().toISOString()
+      } as TwoFactorRecord);
+
+      return { status: 'started', enrollment: { secret, otpauthUrl: buildOtpauthUrl(secret, accountName) } };
+    } catch (error) {
+      logger.error(`Error iniciando la verificación en dos pasos de ${userId}:`, error);
+      throw new Error('No se pudo iniciar la verificación en dos pasos');
+    }
+  }
+
+  /**
+   * Confirmar el alta con el primer código de la app. Devuelve los códigos de recuperación
+   * en claro: es la única vez que se ven
+   */
+  async confirmEnrollment(userId: string, code: string): Promise<{ status: ConfirmEnrollmentStatus; recoveryCodes?: string[] }> {
+    try {
+      const record = await this.getRecord(userId);
+      if (record?.enabled) return { status: 'already_enabled' };
+      if (!record?.pendingSecret) return { status: 'not_started' };
+
+      const now = this.now();
+      const step = verifyTotp(encryptionUtil.decrypt(record.pendingSecret), code, now);
+      if (step === null) return { status: 'invalid_code' };
+
+      const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+      await this.ref(userId).update({
+        enabled: true,
+        secret: record.pendingSecret,
+        pendingSecret: null,
+        recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+        lastUsedStep: step,
+        enabledAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      });
+
+      logger.info(`Verificación en dos pasos activada para ${userId}`);
+      return { status: 'enabled', recoveryCodes };
+    } catch (error) {
+      logger.error(`Error confirmando la verificación en dos pasos de ${userId}:`, error);
+      throw new Error('No se pudo activar la verificación en dos pasos');
+    }
+  }
+
+  /**
+   * Comprobar un código de la app o de recuperación. En una transacción para que dos
+   * peticiones a la vez no acepten el mismo código
+   */
+  async verify(userId: string, code: string): Promise<TwoFactorVerification> {
+    try {
+      const ref = this.ref(userId);
+
+      const result = await this.db.runTransaction<TwoFactorVerification>(async transaction => {
+        const doc = await transaction.get(ref);
+        const record = doc.data() as TwoFactorRecord | undefined;
+        if (!record?.enabled || !record.secret) return { valid: false };
+
+        const now = this.now();
+        const step = verifyTotp(encryptionUtil.decrypt(record.secret), code, now);
+        if (step !== null) {
+          if (record.lastUsedStep !== null && step <= record.lastUsedStep) return { valid: false };
+
+          transaction.update(ref, { lastUsedStep: step, updatedAt: now.toISOString() });
+          return { valid: true, method: 'totp' as const };
+        }
+
+        const hash = hashRecoveryCode(code);
+        if (!record.recoveryCodeHashes.includes(hash)) return { valid: false };
+
+        const remaining = record.recoveryCodeHashes.filter(item => item !== hash);
+        transaction.update(ref, { recoveryCodeHashes: remaining, updatedAt: now.toISOString() });
+        return { valid: true, method: 'recovery' as const, recoveryCodesRemaining: remaining.length };
+      });
+
+      if (result.method === 'recovery') {
+        logger.warn(`Código de recuperación usado por ${userId}: quedan ${result.recoveryCodesRemaining}`);
+      }
+      return result;
+    } catch (error) {
+      logger.error(`Error verificando el código de ${userId}:`, error);
+      throw new Error('No se pudo verificar el código');
+    }
+  }
+
+  // Códigos nuevos; los anteriores dejan de valer. null si no está activada
+  async regenerateRecoveryCodes(userId: string): Promise<string[] | null> {
+    try {
+      const record = await this.getRecord(userId);
+      if (!record?.enabled) return null;
+
+      const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+      await this.ref(userId).update({
+        recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+        updatedAt: this.now().toISOString()
+      });
+
+      logger.info(`Códigos de recuperación regenerados para ${userId}`);
+      return recoveryCodes;
+    } catch (error) {
+      logger.error(`Error regenerando los códigos de recuperación de ${userId}:`, error);
+      throw new Error('No se pudieron generar los códigos de recuperación');
+    }
+  }
+
+  async disable(userId: string): Promise<void> {
+    try {
+      await this.ref(userId).delete();
+      logger.info(`Verificación en dos pasos desactivada para ${userId}`);
+    } catch (error) {
+      logger.error(`Error desactivando la verificación en dos pasos de ${userId}:`, error);
+      throw new Error('No se pudo desactivar la verificación en dos pasos');
+    }
+  }
+}
+
+export default new TwoFactorService();
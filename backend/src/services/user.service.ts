@@ -1,6 +1,7 @@
 import FirebaseService from './firebase.service';
 import { User, CreateUserRequest, UpdateUserRequest, UserResponse } from '../models/user.model';
 import { logger } from '../utils/logger.util';
+import { PLANS } from '../shared/entitlements';
 import { Timestamp } from 'firebase-admin/firestore';
 
 class UserService {
@@ -54,7 +55,7 @@ class UserService {
           plan: 'free',
           startDate: null,
           endDate: null,
-          features: ['diary', 'evaluations', 'basic_analytics']
+          features: [...PLANS.free.features]
         }
       };
 
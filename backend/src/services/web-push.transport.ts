@@ -0,0 +1,157 @@
+/**
+ * Transporte Web Push (VAPID)
+ * Envía las notificaciones al servicio push de cada navegador (el `endpoint` de la
+ * suscripción) sin dependencias externas: el contenido se cifra con aes128gcm (RFC 8291)
+ * y la petición se identifica con un JWT ES256 firmado con las claves VAPID (RFC 8292).
+ * Las claves se generan una vez con `generateVapidKeys()` y se configuran en
+ * VAPID_PUBLIC_KEY y VAPID_PRIVATE_KEY. El transporte (`fetch`) se inyecta para los tests.
+ */
+
+import crypto from 'crypto';
+import {
+  PushDeliveryResult,
+  PushSubscriptionRecord,
+  PushTransport,
+  ReminderPushPayload
+} from '../models/reminder.model';
+
+const RECORD_SIZE = 4096;
+const JWT_TTL_SECONDS = 12 * 60 * 60;
+// Un recordatorio que no se entrega en 4 horas ya no tiene sentido
+const DEFAULT_TTL_SECONDS = 4 * 60 * 60;
+
+export interface WebPushTransportOptions {
+  publicKey: string;
+  privateKey: string;
+  // mailto: o https: de contacto para el servicio push
+  subject: string;
+  ttlSeconds?: number;
+  fetch?: typeof fetch;
+  now?: () => Date;
+}
+
+function base64UrlEncode(data: Buffer | string): string {
+  return Buffer.from(data).toString('base64url');
+}
+
+function base64UrlDecode(value: string): Buffer {
+  return Buffer.from(value, 'base64url');
+}
+
+// Claves VAPID en el formato de los navegadores: pública sin comprimir (65 bytes) y privada (32 bytes)
+export function generateVapidKeys(): { publicKey: string; privateKey: string } {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    publicKey: base64UrlEncode(ecdh.getPublicKey()),
+    privateKey: base64UrlEncode(ecdh.getPrivateKey())
+  };
+}
+
+/**
+ * Cifrado aes128gcm del contenido para una suscripción (RFC 8291): ECDH con una clave de
+ * un solo uso, HKDF con el secreto `auth` de la suscripción y un único registro
+ */
+export function encryptPayload(payload: Buffer, keys: PushSubscriptionRecord['keys']): Buffer {
+  const userAgentPublicKey = base64UrlDecode(keys.p256dh);
+  const authSecret = base64UrlDecode(keys.auth);
+
+  const ecdh = crypto.createECDH('prime256v1');
+  const serverPublicKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(userAgentPublicKey);
+  const salt = crypto.randomBytes(16);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  // 0x02: delimitador del último (y único) registro
+  const encrypted = Buffer.concat([cipher.update(Buffer.concat([payload, Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublicKey.length, 20);
+
+  return Buffer.concat([header, serverPublicKey, encrypted]);
+}
+
+export class WebPushTransport implements PushTransport {
+  readonly name = 'webpush' as const;
+  readonly publicKey: string;
+
+  private privateKey: crypto.KeyObject;
+  private subject: string;
+  private ttlSeconds: number;
+  private fetch: typeof fetch;
+  private now: () => Date;
+
+  constructor(options: WebPushTransportOptions) {
+    const publicKey = base64UrlDecode(options.publicKey);
+    if (publicKey.length !== 65 || publicKey[0] !== 4) {
+      throw new Error('VAPID_PUBLIC_KEY no es una clave P-256 sin comprimir');
+    }
+
+    this.publicKey = options.publicKey;
+    this.privateKey = crypto.createPrivateKey({
+      key: {
+        kty: 'EC',
+        crv: 'P-256',
+        d: options.privateKey,
+        x: base64UrlEncode(publicKey.subarray(1, 33)),
+        y: base64UrlEncode(publicKey.subarray(33, 65))
+      },
+      format: 'jwk'
+    });
+    this.subject = options.subject;
+    this.ttlSeconds = options.ttlSeconds || DEFAULT_TTL_SECONDS;
+    this.fetch = options.fetch || fetch;
+    this.now = options.now || (() => new Date());
+  }
+
+  async send(subscription: Pick<PushSubscriptionRecord, 'endpoint' | 'keys'>, payload: ReminderPushPayload): Promise<PushDeliveryResult> {
+    const body = encryptPayload(Buffer.from(JSON.stringify(payload)), subscription.keys);
+
+    const response = await this.fetch(subscription.endpoint, {
+      method: 'POST',
+      headers: {
+        'Authorization': `vapid t=${this.createJwt(new URL(subscription.endpoint).origin)}, k=${this.publicKey}`,
+        'Content-Encoding': 'aes128gcm',
+        'Content-Type': 'application/octet-stream',
+        'TTL': String(this.ttlSeconds),
+        'Urgency': 'normal',
+        // Un aviso nuevo del mismo recordatorio sustituye al pendiente de entregar
+        'Topic': payload.reminderId.replace(/[^A-Za-z0-9_-]/g, '').slice(0, 32)
+      },
+      body
+    });
+
+    // 404/410: la suscripción caducó o el usuario retiró el permiso
+    if (response.status === 404 || response.status === 410) {
+      return 'gone';
+    }
+    if (!response.ok) {
+      throw new Error(`El servicio push respondió ${response.status}`);
+    }
+    return 'sent';
+  }
+
+  private createJwt(audience: string): string {
+    const header = base64UrlEncode(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = base64UrlEncode(JSON.stringify({
+      aud: audience,
+      exp: Math.floor(this.now().getTime() / 1000) + JWT_TTL_SECONDS,
+      sub: this.subject
+    }));
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+      key: this.privateKey,
+      dsaEncoding: 'ieee-p1363'
+    });
+
+    return `${header}.${claims}.${base64UrlEncode(signature)}`;
+  }
+}
+
+export default WebPushTransport;
@@ -0,0 +1,65 @@
+/**
+ * Detección de Crisis
+ * Detección local (sin red ni IA) de expresiones de riesgo de autolesión en texto libre.
+ * La usan el diario del frontend, que debe funcionar sin conexión, y el backend
+ * como primera comprobación antes de cualquier análisis adicional.
+ */
+
+export type CrisisSource = 'questionnaire' | 'diary';
+
+export interface CrisisTextAssessment {
+  isCrisis: boolean;
+  riskLevel: 'none' | 'high' | 'critical';
+  indicators: string[];
+}
+
+// Expresiones que indican intención o ideación explícita
+const CRITICAL_PHRASES = [
+  'suicidarme', 'suicidio', 'matarme', 'quitarme la vida', 'acabar con mi vida',
+  'acabar con todo', 'no vale la pena vivir', 'quiero morir', 'quiero morirme',
+  'mejor muerto', 'mejor muerta', 'no quiero vivir', 'no quiero seguir viviendo',
+  'suicide', 'kill myself', 'end my life', 'end it all', 'not worth living', 'want to die'
+];
+
+// Expresiones de autolesión sin ideación suicida explícita
+const HIGH_PHRASES = [
+  'hacerme dano', 'autolesion', 'autolesionarme', 'cortarme', 'lastimarme',
+  'desaparecer para siempre', 'no puedo mas con la vida',
+  'self harm', 'self-harm', 'hurt myself', 'cut myself'
+];
+
+// Minúsculas, sin tildes y con espacios normalizados para comparar frases
+export function normalizeCrisisText(text: string): string {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function findPhrases(normalized: string, phrases: string[]): string[] {
+  const padded = ` ${normalized} `;
+  return phrases.filter(phrase => padded.includes(` ${phrase} `));
+}
+
+export function detectCrisisText(text: string): CrisisTextAssessment {
+  if (!text || typeof text !== 'string') {
+    return { isCrisis: false, riskLevel: 'none', indicators: [] };
+  }
+
+  const normalized = normalizeCrisisText(text);
+  const critical = findPhrases(normalized, CRITICAL_PHRASES);
+  const high = findPhrases(normalized, HIGH_PHRASES);
+
+  if (critical.length > 0) {
+    return { isCrisis: true, riskLevel: 'critical', indicators: [...critical, ...high] };
+  }
+
+  if (high.length > 0) {
+    return { isCrisis: true, riskLevel: 'high', indicators: high };
+  }
+
+  return { isCrisis: false, riskLevel: 'none', indicators: [] };
+}
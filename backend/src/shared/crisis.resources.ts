@@ -0,0 +1,118 @@
+/**
+ * Recursos de Crisis
+ * Líneas de ayuda por país que se muestran en el panel de crisis.
+ * El backend las sirve en /api/v1/crisis/resources y el service worker
+ * las guarda en caché para que el panel funcione sin conexión.
+ */
+
+export type CrisisCountry = 'ES' | 'MX' | 'AR' | 'CO' | 'CL' | 'PE' | 'US' | 'GB';
+
+export interface CrisisResource {
+  name: string;
+  description: string;
+  phone?: string;
+  sms?: string;
+  url?: string;
+  available: string;
+}
+
+export interface CrisisCountryResources {
+  country: CrisisCountry | 'INTL';
+  countryName: string;
+  emergencyNumber: string;
+  resources: CrisisResource[];
+}
+
+export const DEFAULT_CRISIS_COUNTRY: CrisisCountry = 'ES';
+
+export const CRISIS_RESOURCES: Record<CrisisCountry, CrisisCountryResources> = {
+  ES: {
+    country: 'ES',
+    countryName: 'España',
+    emergencyNumber: '112',
+    resources: [
+      { name: 'Línea 024', description: 'Atención a la conducta suicida', phone: '024', available: '24 horas, gratuita' },
+      { name: 'Teléfono de la Esperanza', description: 'Apoyo emocional en crisis', phone: '717 003 717', available: '24 horas' }
+    ]
+  },
+  MX: {
+    country: 'MX',
+    countryName: 'México',
+    emergencyNumber: '911',
+    resources: [
+      { name: 'Línea de la Vida', description: 'Orientación en crisis y prevención del suicidio', phone: '800 911 2000', available: '24 horas, gratuita' }
+    ]
+  },
+  AR: {
+    country: 'AR',
+    countryName: 'Argentina',
+    emergencyNumber: '911',
+    resources: [
+      { name: 'Centro de Asistencia al Suicida', description: 'Escucha y contención en crisis', phone: '135', available: '24 horas (CABA y GBA)' },
+      { name: 'Centro de Asistencia al Suicida', description: 'Desde todo el país', phone: '0800 345 1435', available: '24 horas' }
+    ]
+  },
+  CO: {
+    country: 'CO',
+    countryName: 'Colombia',
+    emergencyNumber: '123',
+    resources: [
+      { name: 'Línea 192, opción 4', description: 'Atención en salud mental del Ministerio de Salud', phone: '192', available: '24 horas' },
+      { name: 'Línea 106', description: 'Apoyo emocional (Bogotá)', phone: '106', available: '24 horas' }
+    ]
+  },
+  CL: {
+    country: 'CL',
+    countryName: 'Chile',
+    emergencyNumber: '131',
+    resources: [
+      { name: 'Línea *4141', description: 'Prevención del suicidio del Ministerio de Salud', phone: '*4141', available: '24 horas, gratuita' }
+    ]
+  },
+  PE: {
+    country: 'PE',
+    countryName: 'Perú',
+    emergencyNumber: '105',
+    resources: [
+      { name: 'Línea 113, opción 5', description: 'Salud mental del Ministerio de Salud', phone: '113', available: '24 horas, gratuita' }
+    ]
+  },
+  US: {
+    country: 'US',
+    countryName: 'Estados Unidos',
+    emergencyNumber: '911',
+    resources: [
+      { name: '988 Suicide & Crisis Lifeline', description: 'Atención en crisis (también en español)', phone: '988', sms: '988', available: '24 horas' }
+    ]
+  },
+  GB: {
+    country: 'GB',
+    countryName: 'Reino Unido',
+    emergencyNumber: '999',
+    resources: [
+      { name: 'Samaritans', description: 'Apoyo emocional en crisis', phone: '116 123', available: '24 horas, gratuita' }
+    ]
+  }
+};
+
+// Recurso internacional para países sin listado propio
+export const INTERNATIONAL_CRISIS_RESOURCES: CrisisCountryResources = {
+  country: 'INTL',
+  countryName: 'Otros países',
+  emergencyNumber: '112',
+  resources: [
+    { name: 'Find A Helpline', description: 'Directorio de líneas de ayuda gratuitas en todo el mundo', url: 'https://findahelpline.com', available: 'Siempre disponible' }
+  ]
+};
+
+export const CRISIS_COUNTRIES = Object.keys(CRISIS_RESOURCES) as CrisisCountry[];
+
+export function isCrisisCountry(value: unknown): value is CrisisCountry {
+  return typeof value === 'string' && (CRISIS_COUNTRIES as string[]).includes(value.toUpperCase());
+}
+
+// Devuelve las líneas del país o el listado internacional si no hay datos para ese país
+export function getCrisisResources(country?: string | null): CrisisCountryResources {
+  const code = (country || '').toUpperCase();
+  return isCrisisCountry(code) ? CRISIS_RESOURCES[code] : INTERNATIONAL_CRISIS_RESOURCES;
+}
@@ -0,0 +1,78 @@
+/**
+ * Cifrado de Extremo a Extremo del Diario
+ * Formato compartido entre el navegador, que cifra y descifra con WebCrypto,
+ * y el backend, que solo almacena el texto cifrado y nunca ve la clave.
+ *
+ * Jerarquía de claves:
+ * - Clave de datos (AES-GCM 256) aleatoria por usuario: cifra cada entrada con su propio IV.
+ * - Clave de envoltura derivada de la frase de paso (PBKDF2-SHA-256): envuelve la clave de datos.
+ * Cambiar la frase de paso solo vuelve a envolver la clave de datos; las entradas no se recifran.
+ */
+
+export const DIARY_ENCRYPTION_VERSION = 1;
+
+// Campos de la entrada que viajan dentro del texto cifrado
+export const ENCRYPTED_DIARY_FIELDS = ['content', 'tags', 'reflection', 'anxietyTriggers'] as const;
+
+// Tope del texto cifrado en base64, el mismo que aplican las reglas de Firestore
+export const DIARY_MAX_CIPHERTEXT_LENGTH = 20000;
+
+// IV de AES-GCM: 12 bytes, 16 caracteres en base64
+export const DIARY_IV_BASE64_LENGTH = 16;
+
+// Datos adicionales autenticados: impiden mover el texto cifrado a otro tipo de documento
+export const DIARY_ENCRYPTION_AAD = 'sensus-diary-entry:v1';
+
+export interface KeyDerivationParams {
+  algorithm: 'PBKDF2';
+  hash: 'SHA-256';
+  iterations: number;
+  salt: string; // base64
+}
+
+// Llavero guardado en el perfil del usuario (users/{uid}.encryption)
+export interface DiaryKeyring {
+  version: number;
+  kdf: KeyDerivationParams;
+  wrappedKey: string; // base64, clave de datos envuelta con AES-GCM
+  wrapIv: string; // base64
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface EncryptedDiaryPayload {
+  isEncrypted: true;
+  ciphertext: string; // base64
+  iv: string; // base64, 12 bytes
+  encryptionVersion: number;
+}
+
+// Recomendación OWASP para PBKDF2-HMAC-SHA256
+export const DIARY_KDF_DEFAULTS = {
+  algorithm: 'PBKDF2' as const,
+  hash: 'SHA-256' as const,
+  iterations: 600000,
+  saltBytes: 16
+};
+
+export const MIN_PASSPHRASE_LENGTH = 10;
+
+/**
+ * Entrada cifrada en el cliente (distinta del cifrado antiguo del servidor,
+ * que marcaba isEncrypted pero guardaba el contenido cifrado en `content`)
+ */
+export function isClientEncrypted(entry: unknown): boolean {
+  const candidate = entry as { isEncrypted?: unknown; ciphertext?: unknown } | null | undefined;
+  return !!candidate && candidate.isEncrypted === true && typeof candidate.ciphertext === 'string';
+}
+
+export function isValidKeyring(keyring: Partial<DiaryKeyring> | null | undefined): keyring is DiaryKeyring {
+  return !!keyring &&
+    typeof keyring.wrappedKey === 'string' &&
+    typeof keyring.wrapIv === 'string' &&
+    !!keyring.kdf &&
+    keyring.kdf.algorithm === 'PBKDF2' &&
+    typeof keyring.kdf.salt === 'string' &&
+    typeof keyring.kdf.iterations === 'number' &&
+    keyring.kdf.iterations >= 100000;
+}
@@ -0,0 +1,137 @@
+/**
+ * Planes y Permisos (entitlements)
+ * Funciones de cada plan y reglas para saber si una suscripción está activa. Lo usan el
+ * backend (middleware que protege las rutas premium y webhooks de pago) y el frontend
+ * (bloqueo de funciones y avisos de mejora de plan), así que no depende de Firestore:
+ * las fechas pueden ser Date, texto ISO o un Timestamp (cualquier objeto con toDate()).
+ */
+
+export type PlanId = 'free' | 'premium' | 'professional';
+
+export type Feature =
+  | 'diary'
+  | 'evaluations'
+  | 'basic_analytics'
+  | 'advanced_exercises'
+  | 'export'
+  | 'ai_insights'
+  | 'smart_reminders'
+  | 'clinician_dashboard';
+
+// active: al día; past_due: falló el cobro de la renovación; canceled: no se renovará al acabar el periodo
+export type SubscriptionStatus = 'active' | 'past_due' | 'canceled';
+
+export type DateLike = Date | string | { toDate(): Date } | null | undefined;
+
+export interface SubscriptionLike {
+  plan: PlanId | string;
+  endDate?: DateLike;
+  status?: SubscriptionStatus;
+}
+
+export interface PlanDefinition {
+  id: PlanId;
+  // Precio mensual en céntimos
+  priceCents: number;
+  currency: 'USD';
+  interval: 'month';
+  features: Feature[];
+}
+
+export interface Entitlements {
+  // Plan del que se disfruta ahora (un plan de pago caducado cuenta como 'free')
+  plan: PlanId;
+  // Plan contratado, aunque haya caducado
+  subscribedPlan: PlanId;
+  active: boolean;
+  status: SubscriptionStatus | null;
+  endDate: string | null;
+  features: Feature[];
+}
+
+export const PLAN_IDS: PlanId[] = ['free', 'premium', 'professional'];
+export const PAID_PLAN_IDS: PlanId[] = ['premium', 'professional'];
+
+const FREE_FEATURES: Feature[] = ['diary', 'evaluations', 'basic_analytics'];
+const PREMIUM_FEATURES: Feature[] = [...FREE_FEATURES, 'advanced_exercises', 'export', 'ai_insights', 'smart_reminders'];
+
+export const PLANS: Record<PlanId, PlanDefinition> = {
+  free: { id: 'free', priceCents: 0, currency: 'USD', interval: 'month', features: FREE_FEATURES },
+  premium: { id: 'premium', priceCents: 1999, currency: 'USD', interval: 'month', features: PREMIUM_FEATURES },
+  professional: {
+    id: 'professional',
+    priceCents: 4999,
+    currency: 'USD',
+    interval: 'month',
+    features: [...PREMIUM_FEATURES, 'clinician_dashboard']
+  }
+};
+
+// Días de gracia tras un cobro fallido antes de perder las funciones de pago
+export const PAST_DUE_GRACE_DAYS = 3;
+
+// Respiración y grounding son las herramientas para un momento de ansiedad: nunca se bloquean
+export const ADVANCED_EXERCISE_TYPES = ['meditation', 'progressive-relaxation'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function isPlanId(value: unknown): value is PlanId {
+  return typeof value === 'string' && (PLAN_IDS as string[]).includes(value);
+}
+
+export function isPaidPlan(plan: unknown): plan is PlanId {
+  return typeof plan === 'string' && (PAID_PLAN_IDS as string[]).includes(plan);
+}
+
+export function toDate(value: DateLike): Date | null {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object' && typeof value.toDate === 'function') return value.toDate();
+
+  const date = new Date(value as string);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * ¿Da acceso la suscripción ahora? El plan gratuito siempre; los de pago hasta el fin del
+ * periodo pagado (más unos días de gracia si falló el cobro). Una suscripción cancelada
+ * mantiene el acceso hasta que acaba el periodo.
+ */
+export function isSubscriptionActive(subscription: SubscriptionLike | null | undefined, now: Date = new Date()): boolean {
+  if (!subscription || !isPaidPlan(subscription.plan)) return true;
+
+  const endDate = toDate(subscription.endDate);
+  if (!endDate) return subscription.status !== 'past_due';
+
+  const graceMs = subscription.status === 'past_due' ? PAST_DUE_GRACE_DAYS * DAY_MS : 0;
+  return endDate.getTime() + graceMs > now.getTime();
+}
+
+export function getEntitlements(subscription: SubscriptionLike | null | undefined, now: Date = new Date()): Entitlements {
+  const subscribedPlan = isPlanId(subscription?.plan) ? subscription!.plan as PlanId : 'free';
+  const active = isSubscriptionActive(subscription, now);
+  const plan = active ? subscribedPlan : 'free';
+  const endDate = toDate(subscription?.endDate);
+
+  return {
+    plan,
+    subscribedPlan,
+    active,
+    status: subscription?.status || null,
+    endDate: endDate ? endDate.toISOString() : null,
+    features: [...PLANS[plan].features]
+  };
+}
+
+export function hasFeature(subscription: SubscriptionLike | null | undefined, feature: Feature, now: Date = new Date()): boolean {
+  return getEntitlements(subscription, now).features.includes(feature);
+}
+
+// Plan más barato que incluye la función (para el aviso de mejora de plan)
+export function requiredPlanFor(feature: Feature): PlanId {
+  return PLAN_IDS.find(plan => PLANS[plan].features.includes(feature)) || 'professional';
+}
+
+export function isAdvancedExercise(exerciseType: unknown): boolean {
+  return typeof exerciseType === 'string' && ADVANCED_EXERCISE_TYPES.includes(exerciseType);
+}
@@ -0,0 +1,127 @@
+import { measureText, PdfDocument, toWinAnsi, wrapText } from './pdf.writer';
+import { buildWellnessReport, WellnessReportData } from './wellness.report';
+
+// Los bytes son WinAnsi: cada byte es un carácter y los desplazamientos coinciden con los índices
+const asText = (bytes: Uint8Array) => Buffer.from(bytes).toString('latin1');
+
+// Estructura común a cualquier PDF del generador: cabecera, xref, trailer y número de páginas
+function inspectPdf(bytes: Uint8Array) {
+  const text = asText(bytes);
+  const startxref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(text)![1]);
+  const [, first, size] = /^xref\n(\d+) (\d+)\n/.exec(text.slice(startxref))!.map(Number);
+  const offsets = text.slice(startxref).split('\n').slice(2, 2 + size)
+    .map(line => ({ offset: Number(line.slice(0, 10)), free: line.endsWith('f ') }));
+
+  return {
+    text,
+    startxref,
+    first,
+    size,
+    offsets,
+    pageObjects: (text.match(/\/Type \/Page /g) || []).length,
+    pageCount: Number(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/.exec(text)![1])
+  };
+}
+
+function expectValidStructure(bytes: Uint8Array) {
+  const pdf = inspectPdf(bytes);
+
+  expect(pdf.text.startsWith('%PDF-1.4\n')).toBe(true);
+  expect(pdf.text.endsWith('%%EOF\n')).toBe(true);
+  expect(pdf.text.slice(pdf.startxref, pdf.startxref + 5)).toBe('xref\n');
+  expect(pdf.first).toBe(0);
+  expect(pdf.offsets[0]).toEqual({ offset: 0, free: true });
+
+  // Cada entrada en uso apunta al inicio de su objeto
+  pdf.offsets.slice(1).forEach(({ offset, free }, index) => {
+    expect(free).toBe(false);
+    expect(pdf.text.slice(offset).startsWith(`${index + 1} 0 obj\n`)).toBe(true);
+  });
+  expect(pdf.text).toContain(`trailer\n<< /Size ${pdf.size} /Root 1 0 R /Info 5 0 R >>`);
+  expect(pdf.pageObjects).toBe(pdf.pageCount);
+
+  return pdf;
+}
+
+describe('pdf.writer', () => {
+  describe('PdfDocument', () => {
+    it('serializa las páginas con la tabla xref correcta', () => {
+      const doc = new PdfDocument({ title: 'Prueba (1)', creationDate: new Date('2026-03-01T10:00:00Z') });
+      doc.addPage().text(50, 50, 'Primera página');
+      doc.addPage().line(50, 50, 200, 50).rect(50, 80, 100, 40, { fill: [200, 200, 200] });
+      doc.addPage().circle(100, 100, 5, [0, 0, 255]);
+
+      const pdf = expectValidStructure(doc.toBytes());
+
+      expect(pdf.pageCount).toBe(3);
+      // Catálogo, páginas, dos fuentes, metadatos y página + contenido por cada una
+      expect(pdf.size).toBe(6 + 3 * 2);
+      expect(pdf.text).toContain('/Title (Prueba \\(1\\))');
+      expect(pdf.text).toContain('/CreationDate (D:20260301100000Z)');
+    });
+
+    it('la longitud de cada stream es la de su contenido', () => {
+      const doc = new PdfDocument();
+      doc.addPage().text(50, 50, 'Año de «pruebas»');
+
+      const text = asText(doc.toBytes());
+      const [, length, content] = /<< \/Length (\d+) >>\nstream\n([\s\S]*?)\nendstream/.exec(text)!;
+
+      expect(content.length).toBe(Number(length));
+    });
+  });
+
+  describe('texto', () => {
+    it('convierte a WinAnsi y omite lo que la fuente estándar no puede mostrar', () => {
+      expect(toWinAnsi('Ánimo — 10 € 🙂')).toBe('\xc1nimo \x97 10 \x80 ');
+    });
+
+    it('parte las líneas por palabras y corta las palabras demasiado largas', () => {
+      expect(wrapText('uno dos tres cuatro', 60, 11)).toEqual(['uno dos', 'tres cuatro']);
+
+      const lines = wrapText('a'.repeat(200), 100, 11);
+      expect(lines.length).toBeGreaterThan(1);
+      expect(lines.join('')).toBe('a'.repeat(200));
+      lines.forEach(line => expect(measureText(line, 11)).toBeLessThanOrEqual(100));
+    });
+  });
+
+  describe('buildWellnessReport', () => {
+    const from = new Date('2026-01-01T00:00:00Z');
+    const to = new Date('2026-01-31T23:59:59Z');
+    const day = (n: number) => new Date(Date.UTC(2026, 0, n, 9)).toISOString();
+
+    const data: WellnessReportData = {
+      from,
+      to,
+      generatedAt: new Date('2026-02-01T12:00:00Z'),
+      patientName: 'Ana Pérez',
+      entries: Array.from({ length: 30 }, (_, i) => ({
+        id: i + 1,
+        date: day(i + 1),
+        mood: ['calm', 'relaxed', 'neutral', 'anxious', 'overwhelmed'][i % 5],
+        content: `Entrada ${i + 1}. ${'Hoy he practicado la respiración y he escrito sobre cómo me sentía. '.repeat(6)}`,
+        tags: ['trabajo', 'sueño']
+      })),
+      anxietyLevels: Array.from({ length: 30 }, (_, i) => ({ date: day(i + 1), level: (i * 3) % 11 })),
+      evaluations: [
+        { testType: 'gad7', score: 14, maxScore: 21, timestamp: day(2) },
+        { testType: 'phq9', score: 12, maxScore: 27, timestamp: day(3), alerts: ['Ítem 9 positivo'] },
+        { testType: 'gad7', score: 8, maxScore: 21, timestamp: day(28) }
+      ],
+      maxEntries: 30
+    };
+
+    it('genera un PDF de varias páginas con una estructura válida', () => {
+      const pdf = expectValidStructure(buildWellnessReport(data));
+
+      // Portada, gráficas, cuestionarios, varias de entradas y resumen
+      expect(pdf.pageCount).toBeGreaterThan(5);
+      expect(pdf.text).toContain('/Author (Ana P\xe9rez)');
+    });
+
+    it('con los mismos datos da los mismos bytes', () => {
+      expect(asText(buildWellnessReport(data))).toBe(asText(buildWellnessReport(data)));
+    });
+  });
+});
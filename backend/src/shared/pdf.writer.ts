@@ -0,0 +1,319 @@
+/**
+ * Generador de PDF mínimo
+ * Escribe documentos PDF 1.4 sin dependencias: páginas A4, texto con las fuentes
+ * estándar Helvetica (codificación WinAnsi, suficiente para español) y primitivas
+ * de dibujo para tablas y gráficas. Funciona igual en el navegador y en Node.
+ *
+ * Las coordenadas son en puntos con origen arriba a la izquierda; se convierten
+ * al sistema de PDF (origen abajo a la izquierda) al escribir cada operación.
+ */
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+export type RGB = [number, number, number];
+
+export interface TextOptions {
+  size?: number;
+  bold?: boolean;
+  color?: RGB;
+  align?: 'left' | 'center' | 'right';
+}
+
+export interface StrokeOptions {
+  color?: RGB;
+  width?: number;
+  dash?: number[];
+}
+
+export interface RectOptions {
+  fill?: RGB;
+  stroke?: RGB;
+  lineWidth?: number;
+}
+
+// Anchos de Helvetica y Helvetica-Bold (milésimas de em) para ASCII 32-126, según sus AFM
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Caracteres de WinAnsi fuera de Latin-1 que aparecen en textos habituales
+const WIN_ANSI_EXTRAS: Record<string, number> = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+/**
+ * Convertir texto a bytes WinAnsi (un carácter por byte).
+ * Lo que la fuente estándar no puede mostrar (emojis, otros alfabetos) se omite.
+ */
+export function toWinAnsi(text: string): string {
+  let result = '';
+  for (const char of String(text).normalize('NFC')) {
+    const code = char.codePointAt(0) as number;
+    if (WIN_ANSI_EXTRAS[char] !== undefined) {
+      result += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+    } else if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) {
+      result += char;
+    } else if (char === '\t' || char === '\n') {
+      result += ' ';
+    }
+  }
+  return result;
+}
+
+function escapePdfString(text: string): string {
+  return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+function formatNumber(value: number): string {
+  return (Math.round(value * 100) / 100).toString();
+}
+
+function colorOperands(color: RGB): string {
+  return color.map(channel => formatNumber(channel / 255)).join(' ');
+}
+
+function charWidth(char: string, bold: boolean): number {
+  const table = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  const code = char.charCodeAt(0);
+  if (code >= 32 && code <= 126) {
+    return table[code - 32];
+  }
+  // Letras acentuadas: mismo ancho que la letra base
+  const base = char.normalize('NFD').charAt(0);
+  const baseCode = base.charCodeAt(0);
+  return baseCode >= 32 && baseCode <= 126 ? table[baseCode - 32] : 556;
+}
+
+export function measureText(text: string, size: number, bold = false): number {
+  let width = 0;
+  for (const char of toWinAnsi(text)) {
+    width += charWidth(char, bold);
+  }
+  return (width * size) / 1000;
+}
+
+/**
+ * Partir un texto en líneas que caben en el ancho indicado
+ */
+export function wrapText(text: string, maxWidth: number, size: number, bold = false): string[] {
+  const lines: string[] = [];
+
+  String(text || '').split(/\r?\n/).forEach(paragraph => {
+    const words = paragraph.split(/\s+/).filter(Boolean);
+    let line = '';
+
+    words.forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measureText(candidate, size, bold) <= maxWidth) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+
+      // Palabras más largas que la línea: cortar por caracteres
+      let rest = word;
+      while (measureText(rest, size, bold) > maxWidth) {
+        let cut = rest.length - 1;
+        while (cut > 1 && measureText(rest.slice(0, cut), size, bold) > maxWidth) cut--;
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+      line = rest;
+    });
+
+    lines.push(line);
+  });
+
+  return lines;
+}
+
+export class PdfPage {
+  readonly width: number;
+  readonly height: number;
+  private operations: string[] = [];
+
+  constructor(width = A4.width, height = A4.height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  text(x: number, y: number, text: string, options: TextOptions = {}): this {
+    const size = options.size || 11;
+    const bold = !!options.bold;
+    let left = x;
+    if (options.align === 'center') left = x - measureText(text, size, bold) / 2;
+    if (options.align === 'right') left = x - measureText(text, size, bold);
+
+    // y es la línea base del texto
+    this.operations.push(
+      'BT',
+      `${colorOperands(options.color || [31, 41, 55])} rg`,
+      `/${bold ? 'F2' : 'F1'} ${formatNumber(size)} Tf`,
+      `${formatNumber(left)} ${formatNumber(this.height - y)} Td`,
+      `(${escapePdfString(toWinAnsi(text))}) Tj`,
+      'ET'
+    );
+    return this;
+  }
+
+  line(x1: number, y1: number, x2: number, y2: number, options: StrokeOptions = {}): this {
+    return this.polyline([[x1, y1], [x2, y2]], options);
+  }
+
+  polyline(points: Array<[number, number]>, options: StrokeOptions = {}): this {
+    if (points.length < 2) return this;
+
+    const path = points.map(([x, y], index) =>
+      `${formatNumber(x)} ${formatNumber(this.height - y)} ${index === 0 ? 'm' : 'l'}`
+    );
+    this.operations.push(
+      'q',
+      `${colorOperands(options.color || [31, 41, 55])} RG`,
+      `${formatNumber(options.width || 1)} w`,
+      `[${(options.dash || []).join(' ')}] 0 d`,
+      '1 J 1 j',
+      ...path,
+      'S',
+      'Q'
+    );
+    return this;
+  }
+
+  rect(x: number, y: number, width: number, height: number, options: RectOptions = {}): this {
+    const operator = options.fill && options.stroke ? 'B' : options.fill ? 'f' : 'S';
+    this.operations.push(
+      'q',
+      ...(options.fill ? [`${colorOperands(options.fill)} rg`] : []),
+      ...(options.stroke ? [`${colorOperands(options.stroke)} RG`] : []),
+      `${formatNumber(options.lineWidth || 1)} w`,
+      `${formatNumber(x)} ${formatNumber(this.height - y - height)} ${formatNumber(width)} ${formatNumber(height)} re`,
+      operator,
+      'Q'
+    );
+    return this;
+  }
+
+  // Marcador circular aproximado con cuatro curvas de Bézier
+  circle(cx: number, cy: number, radius: number, fill: RGB): this {
+    const k = radius * 0.5523;
+    const y = this.height - cy;
+    this.operations.push(
+      'q',
+      `${colorOperands(fill)} rg`,
+      `${formatNumber(cx + radius)} ${formatNumber(y)} m`,
+      `${formatNumber(cx + radius)} ${formatNumber(y + k)} ${formatNumber(cx + k)} ${formatNumber(y + radius)} ${formatNumber(cx)} ${formatNumber(y + radius)} c`,
+      `${formatNumber(cx - k)} ${formatNumber(y + radius)} ${formatNumber(cx - radius)} ${formatNumber(y + k)} ${formatNumber(cx - radius)} ${formatNumber(y)} c`,
+      `${formatNumber(cx - radius)} ${formatNumber(y - k)} ${formatNumber(cx - k)} ${formatNumber(y - radius)} ${formatNumber(cx)} ${formatNumber(y - radius)} c`,
+      `${formatNumber(cx + k)} ${formatNumber(y - radius)} ${formatNumber(cx + radius)} ${formatNumber(y - k)} ${formatNumber(cx + radius)} ${formatNumber(y)} c`,
+      'f',
+      'Q'
+    );
+    return this;
+  }
+
+  getContent(): string {
+    return this.operations.join('\n');
+  }
+}
+
+export interface PdfMetadata {
+  title?: string;
+  author?: string;
+  subject?: string;
+  creationDate?: Date;
+}
+
+export class PdfDocument {
+  readonly pages: PdfPage[] = [];
+  private metadata: PdfMetadata;
+
+  constructor(metadata: PdfMetadata = {}) {
+    this.metadata = metadata;
+  }
+
+  addPage(): PdfPage {
+    const page = new PdfPage();
+    this.pages.push(page);
+    return page;
+  }
+
+  /**
+   * Serializar el documento. Todo el contenido es WinAnsi (un byte por carácter),
+   * así que los desplazamientos de la tabla xref coinciden con la longitud del texto.
+   */
+  toBytes(): Uint8Array {
+    const objects: string[] = [];
+    const pageIds: number[] = [];
+
+    // 1: catálogo, 2: árbol de páginas, 3-4: fuentes, 5: metadatos; después, página + contenido
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = this.buildInfo();
+
+    this.pages.forEach((page, index) => {
+      const pageId = 6 + index * 2;
+      const contentId = pageId + 1;
+      const content = page.getContent();
+      pageIds.push(pageId);
+
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(page.width)} ${formatNumber(page.height)}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`;
+      objects[contentId] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+    });
+
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets: number[] = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = output.length;
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(output.length);
+    for (let i = 0; i < output.length; i++) {
+      bytes[i] = output.charCodeAt(i) & 0xff;
+    }
+    return bytes;
+  }
+
+  private buildInfo(): string {
+    const date = this.metadata.creationDate || new Date();
+    const pad = (value: number) => String(value).padStart(2, '0');
+    const pdfDate = `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+      `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+    const fields = [
+      this.metadata.title && `/Title (${escapePdfString(toWinAnsi(this.metadata.title))})`,
+      this.metadata.author && `/Author (${escapePdfString(toWinAnsi(this.metadata.author))})`,
+      this.metadata.subject && `/Subject (${escapePdfString(toWinAnsi(this.metadata.subject))})`,
+      '/Producer (Sensus)',
+      `/CreationDate (${pdfDate})`
+    ].filter(Boolean);
+
+    return `<< ${fields.join(' ')} >>`;
+  }
+}
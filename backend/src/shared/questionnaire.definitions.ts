@@ -0,0 +1,454 @@
+/**
+ * Definiciones declarativas de los cuestionarios de Sensus
+ * Banco de preguntas, opciones de respuesta, reglas de puntuación y bandas de severidad.
+ * Este módulo no depende de Node ni de Firebase: lo importan tanto el backend
+ * como las páginas de evaluación del frontend (alias `@shared`).
+ */
+
+export type TestType = 'gad7' | 'phq9' | 'pss' | 'wellness' | 'selfesteem';
+export type TestLevel = 'minimal' | 'mild' | 'moderate' | 'severe' | 'moderately_severe' | 'low' | 'medium' | 'high' | 'unknown';
+export type RiskLevel = 'low' | 'medium' | 'high';
+
+export interface AnswerOption {
+  value: number;
+  text: string;
+}
+
+export interface QuestionnaireItem {
+  id: number;
+  text: string;
+  // Ítem puntuado a la inversa (valor = mínimo + máximo - respuesta)
+  reverse?: boolean;
+  // Opciones propias del ítem; si no se indican se usa la escala del cuestionario
+  options?: AnswerOption[];
+}
+
+export interface SeverityBand {
+  // Rango inclusivo sobre la puntuación total o el porcentaje (ver scoring.bandsBy)
+  min: number;
+  max: number;
+  level: TestLevel;
+  riskLevel: RiskLevel;
+  label: string;
+  summary: string;
+  description: string;
+  recommendation: string;
+  recommendations: string[];
+  color: string;
+  icon: string;
+}
+
+// Alerta clínica que se activa por la respuesta a un ítem concreto, con independencia de la puntuación total
+export interface QuestionnaireFlag {
+  id: 'self_harm';
+  itemId: number;
+  minValue: number;
+  riskLevel: RiskLevel;
+  message: string;
+}
+
+export interface QuestionnaireScoring {
+  // Las bandas se evalúan sobre la suma directa o sobre el porcentaje del máximo
+  bandsBy: 'score' | 'percentage';
+  // true si una puntuación menor indica un mejor estado
+  lowerIsBetter: boolean;
+}
+
+// Criterios de cambio clínico de Jacobson y Truax (1991) en la escala de las bandas (puntuación o porcentaje)
+export interface ClinicalChangeCriteria {
+  // Cambio mínimo fiable: equivale a un índice de cambio fiable (RCI) de 1,96
+  reliableChange: number;
+  // Primer valor del rango clínico: desde él hacia arriba si lowerIsBetter, hacia abajo en caso contrario
+  clinicalCutoff: number;
+  source: string;
+}
+
+export interface QuestionnaireDefinition {
+  id: TestType;
+  version: string;
+  name: string;
+  shortName: string;
+  description: string;
+  category: 'ansiedad' | 'depresion' | 'estres' | 'bienestar' | 'autoestima';
+  duration: string;
+  // Enunciado común a los ítems cuando no lo incluye cada pregunta (redacciones originales en inglés)
+  instructions?: string;
+  icon: string;
+  color: string;
+  options: AnswerOption[];
+  items: QuestionnaireItem[];
+  scoring: QuestionnaireScoring;
+  bands: SeverityBand[];
+  flags?: QuestionnaireFlag[];
+  // Nota sobre el origen de los puntos de corte
+  reference?: string;
+  // Solo en instrumentos con criterios de cambio publicados
+  clinicalChange?: ClinicalChangeCriteria;
+}
+
+// Escalas de respuesta reutilizadas
+const FREQUENCY_LAST_TWO_WEEKS: AnswerOption[] = [
+  { value: 0, text: 'Nunca' },
+  { value: 1, text: 'Varios días' },
+  { value: 2, text: 'Más de la mitad de los días' },
+  { value: 3, text: 'Casi todos los días' }
+];
+
+const PSS_FREQUENCY: AnswerOption[] = [
+  { value: 0, text: 'Nunca' },
+  { value: 1, text: 'Casi nunca' },
+  { value: 2, text: 'De vez en cuando' },
+  { value: 3, text: 'A menudo' },
+  { value: 4, text: 'Muy a menudo' }
+];
+
+const WHO5_FREQUENCY: AnswerOption[] = [
+  { value: 5, text: 'Todo el tiempo' },
+  { value: 4, text: 'La mayor parte del tiempo' },
+  { value: 3, text: 'Más de la mitad del tiempo' },
+  { value: 2, text: 'Menos de la mitad del tiempo' },
+  { value: 1, text: 'De vez en cuando' },
+  { value: 0, text: 'Nunca' }
+];
+
+const AGREEMENT: AnswerOption[] = [
+  { value: 0, text: 'Totalmente de acuerdo' },
+  { value: 1, text: 'De acuerdo' },
+  { value: 2, text: 'En desacuerdo' },
+  { value: 3, text: 'Totalmente en desacuerdo' }
+];
+
+const GAD7: QuestionnaireDefinition = {
+  id: 'gad7',
+  version: '1.0',
+  name: 'Test de Ansiedad (GAD-7)',
+  shortName: 'GAD-7',
+  description: 'Escala de Ansiedad Generalizada',
+  category: 'ansiedad',
+  duration: '5-10 minutos',
+  icon: '😰',
+  color: '#fbbf24',
+  options: FREQUENCY_LAST_TWO_WEEKS,
+  items: [
+    { id: 1, text: '¿Con qué frecuencia te has sentido nervioso, ansioso o al borde durante las últimas 2 semanas?' },
+    { id: 2, text: '¿Con qué frecuencia no has podido parar o controlar las preocupaciones durante las últimas 2 semanas?' },
+    { id: 3, text: '¿Con qué frecuencia te has preocupado demasiado por diferentes cosas durante las últimas 2 semanas?' },
+    { id: 4, text: '¿Con qué frecuencia has tenido dificultades para relajarte durante las últimas 2 semanas?' },
+    { id: 5, text: '¿Con qué frecuencia has estado tan inquieto que te ha sido difícil quedarte quieto durante las últimas 2 semanas?' },
+    { id: 6, text: '¿Con qué frecuencia te has sentido molesto o irritable durante las últimas 2 semanas?' },
+    { id: 7, text: '¿Con qué frecuencia has sentido miedo de que algo terrible pudiera pasar durante las últimas 2 semanas?' }
+  ],
+  scoring: { bandsBy: 'score', lowerIsBetter: true },
+  reference: 'Spitzer et al. (2006): cortes 5, 10 y 15.',
+  clinicalChange: {
+    reliableChange: 4,
+    clinicalCutoff: 8,
+    source: 'NHS Talking Therapies Manual: cambio fiable de 4 puntos y caso clínico desde 8.'
+  },
+  bands: [
+    {
+      min: 0, max: 4, level: 'minimal', riskLevel: 'low',
+      label: 'Mínima',
+      summary: 'Ansiedad mínima',
+      description: 'Tu nivel de ansiedad es mínimo. Continúa con tus hábitos saludables.',
+      recommendation: 'Mantén tus rutinas de bienestar y considera el diario para seguir tu progreso.',
+      recommendations: ['Mantén tus hábitos saludables', 'Continúa con el seguimiento regular'],
+      color: '#10B981', icon: '😌'
+    },
+    {
+      min: 5, max: 9, level: 'mild', riskLevel: 'low',
+      label: 'Leve',
+      summary: 'Ansiedad leve',
+      description: 'Tienes síntomas leves de ansiedad. Es normal y manejable.',
+      recommendation: 'Te recomendamos usar nuestro diario de bienestar con ejercicios de relajación.',
+      recommendations: ['Practica técnicas de relajación', 'Considera ejercicios de respiración'],
+      color: '#F59E0B', icon: '🧘'
+    },
+    {
+      min: 10, max: 14, level: 'moderate', riskLevel: 'medium',
+      label: 'Moderada',
+      summary: 'Ansiedad moderada',
+      description: 'Tienes síntomas moderados de ansiedad que pueden beneficiarse de atención.',
+      recommendation: 'Usa regularmente nuestro diario con ejercicios específicos para reducir la ansiedad.',
+      recommendations: ['Practica mindfulness diariamente', 'Considera buscar apoyo profesional'],
+      color: '#EF4444', icon: '🤔'
+    },
+    {
+      min: 15, max: 21, level: 'severe', riskLevel: 'high',
+      label: 'Severa',
+      summary: 'Ansiedad severa',
+      description: 'Tienes síntomas severos de ansiedad que requieren atención profesional.',
+      recommendation: 'Consulta con un profesional de salud mental. Nuestro diario puede ser un complemento útil.',
+      recommendations: ['Busca ayuda profesional inmediatamente', 'Considera terapia cognitivo-conductual'],
+      color: '#DC2626', icon: '💙'
+    }
+  ]
+};
+
+const PHQ9: QuestionnaireDefinition = {
+  id: 'phq9',
+  version: '1.1',
+  name: 'Test de Depresión (PHQ-9)',
+  shortName: 'PHQ-9',
+  description: 'Cuestionario de Salud del Paciente',
+  category: 'depresion',
+  duration: '5-10 minutos',
+  icon: '😔',
+  color: '#3b82f6',
+  options: FREQUENCY_LAST_TWO_WEEKS,
+  items: [
+    { id: 1, text: '¿Con qué frecuencia has tenido poco interés o placer en hacer las cosas durante las últimas 2 semanas?' },
+    { id: 2, text: '¿Con qué frecuencia te has sentido decaído, deprimido o sin esperanza durante las últimas 2 semanas?' },
+    { id: 3, text: '¿Con qué frecuencia has tenido problemas para dormir o has dormido demasiado durante las últimas 2 semanas?' },
+    { id: 4, text: '¿Con qué frecuencia te has sentido cansado o con poca energía durante las últimas 2 semanas?' },
+    { id: 5, text: '¿Con qué frecuencia has tenido poco apetito o has comido en exceso durante las últimas 2 semanas?' },
+    { id: 6, text: '¿Con qué frecuencia te has sentido mal contigo mismo o has sentido que has fallado durante las últimas 2 semanas?' },
+    { id: 7, text: '¿Con qué frecuencia has tenido problemas para concentrarte en cosas como leer el periódico o ver televisión durante las últimas 2 semanas?' },
+    { id: 8, text: '¿Con qué frecuencia te has movido o hablado tan lento que otras personas podrían haberlo notado, o al contrario, has estado tan inquieto que has estado moviéndote mucho más de lo habitual durante las últimas 2 semanas?' },
+    { id: 9, text: '¿Con qué frecuencia has pensado que estarías mejor muerto o has tenido pensamientos de lastimarte de alguna manera durante las últimas 2 semanas?' }
+  ],
+  scoring: { bandsBy: 'score', lowerIsBetter: true },
+  reference: 'Kroenke, Spitzer y Williams (2001): cortes 5, 10, 15 y 20; ≥10 sugiere depresión clínicamente relevante.',
+  clinicalChange: {
+    reliableChange: 6,
+    clinicalCutoff: 10,
+    source: 'NHS Talking Therapies Manual: cambio fiable de 6 puntos y caso clínico desde 10.'
+  },
+  flags: [
+    {
+      id: 'self_harm',
+      itemId: 9,
+      minValue: 1,
+      riskLevel: 'high',
+      message: 'Has indicado que has tenido pensamientos de que estarías mejor muerto o de hacerte daño. Con independencia de tu puntuación, te pedimos que hables hoy mismo con un profesional de salud mental o con una línea de ayuda.'
+    }
+  ],
+  bands: [
+    {
+      min: 0, max: 4, level: 'minimal', riskLevel: 'low',
+      label: 'Mínima',
+      summary: 'Depresión mínima',
+      description: 'Tu nivel de depresión es mínimo. Continúa con tus hábitos saludables.',
+      recommendation: 'Mantén tus rutinas de bienestar y considera el diario para seguir tu progreso.',
+      recommendations: ['Mantén actividades que disfrutes', 'Continúa con el seguimiento'],
+      color: '#10B981', icon: '😊'
+    },
+    {
+      min: 5, max: 9, level: 'mild', riskLevel: 'low',
+      label: 'Leve',
+      summary: 'Depresión leve',
+      description: 'Tienes síntomas leves de depresión. Es normal y manejable.',
+      recommendation: 'Te recomendamos usar nuestro diario de bienestar con ejercicios de relajación.',
+      recommendations: ['Mantén rutinas saludables', 'Considera actividades sociales'],
+      color: '#F59E0B', icon: '🌱'
+    },
+    {
+      min: 10, max: 14, level: 'moderate', riskLevel: 'medium',
+      label: 'Moderada',
+      summary: 'Depresión moderada',
+      description: 'Tienes síntomas moderados de depresión. A partir de esta puntuación los síntomas suelen ser clínicamente relevantes.',
+      recommendation: 'Te recomendamos comentar estos resultados con un profesional de salud mental y repetir el test en 2-4 semanas.',
+      recommendations: ['Busca apoyo profesional', 'Considera terapia'],
+      color: '#EF4444', icon: '🤗'
+    },
+    {
+      min: 15, max: 19, level: 'moderately_severe', riskLevel: 'high',
+      label: 'Moderadamente Severa',
+      summary: 'Depresión moderadamente severa',
+      description: 'Tienes síntomas moderadamente severos de depresión que afectan a tu día a día.',
+      recommendation: 'Busca ayuda profesional pronto: un tratamiento activo suele estar indicado con esta puntuación. Nuestro diario puede ser un complemento útil.',
+      recommendations: ['Busca ayuda profesional urgente', 'Considera medicación'],
+      color: '#DC2626', icon: '💙'
+    },
+    {
+      min: 20, max: 27, level: 'severe', riskLevel: 'high',
+      label: 'Severa',
+      summary: 'Depresión severa',
+      description: 'Tienes síntomas severos de depresión que requieren atención profesional inmediata.',
+      recommendation: 'Consulta con un profesional de salud mental inmediatamente. Nuestro diario puede ser un complemento útil.',
+      recommendations: ['Busca ayuda profesional inmediatamente', 'Considera hospitalización'],
+      color: '#991B1B', icon: '🆘'
+    }
+  ]
+};
+
+const PSS: QuestionnaireDefinition = {
+  id: 'pss',
+  version: '2.0',
+  name: 'Test de Estrés (PSS-10)',
+  shortName: 'PSS-10',
+  description: 'Escala de Estrés Percibido',
+  category: 'estres',
+  duration: '3-5 minutos',
+  icon: '😵',
+  color: '#ef4444',
+  options: PSS_FREQUENCY,
+  // Ítems 4, 5, 7 y 8 redactados en positivo: se puntúan a la inversa
+  items: [
+    { id: 1, text: 'En el último mes, ¿con qué frecuencia te has sentido afectado por algo que ocurrió inesperadamente?' },
+    { id: 2, text: 'En el último mes, ¿con qué frecuencia te has sentido incapaz de controlar las cosas importantes de tu vida?' },
+    { id: 3, text: 'En el último mes, ¿con qué frecuencia te has sentido nervioso o estresado?' },
+    { id: 4, text: 'En el último mes, ¿con qué frecuencia te has sentido seguro de tu capacidad para manejar tus problemas personales?', reverse: true },
+    { id: 5, text: 'En el último mes, ¿con qué frecuencia has sentido que las cosas te iban bien?', reverse: true },
+    { id: 6, text: 'En el último mes, ¿con qué frecuencia has sentido que no podías afrontar todas las cosas que tenías que hacer?' },
+    { id: 7, text: 'En el último mes, ¿con qué frecuencia has podido controlar las dificultades de tu vida?', reverse: true },
+    { id: 8, text: 'En el último mes, ¿con qué frecuencia has sentido que tenías todo bajo control?', reverse: true },
+    { id: 9, text: 'En el último mes, ¿con qué frecuencia te has enfadado porque las cosas que te ocurrían estaban fuera de tu control?' },
+    { id: 10, text: 'En el último mes, ¿con qué frecuencia has sentido que las dificultades se acumulaban tanto que no podías superarlas?' }
+  ],
+  scoring: { bandsBy: 'score', lowerIsBetter: true },
+  reference: 'Cohen, Kamarck y Mermelstein (1983); adaptación española de Remor (2006). Cortes habituales 0-13, 14-26 y 27-40.',
+  bands: [
+    {
+      min: 0, max: 13, level: 'low', riskLevel: 'low',
+      label: 'Bajo',
+      summary: 'Estrés bajo',
+      description: 'Tu nivel de estrés percibido en el último mes es bajo.',
+      recommendation: 'Mantén tus estrategias actuales de manejo del estrés.',
+      recommendations: ['Mantén tus estrategias actuales', 'Continúa con el bienestar'],
+      color: '#10B981', icon: '😌'
+    },
+    {
+      min: 14, max: 26, level: 'medium', riskLevel: 'medium',
+      label: 'Moderado',
+      summary: 'Estrés moderado',
+      description: 'Tu nivel de estrés percibido es moderado: hay situaciones que sientes difíciles de controlar.',
+      recommendation: 'Practica técnicas de relajación a diario y revisa qué fuentes de estrés puedes reducir.',
+      recommendations: ['Practica técnicas de relajación', 'Mantén rutinas saludables'],
+      color: '#F59E0B', icon: '😐'
+    },
+    {
+      min: 27, max: 40, level: 'high', riskLevel: 'high',
+      label: 'Alto',
+      summary: 'Estrés alto',
+      description: 'Tu nivel de estrés percibido es alto y puede estar afectando a tu salud.',
+      recommendation: 'Busca técnicas de manejo del estrés y considera apoyo profesional si se mantiene varias semanas.',
+      recommendations: ['Busca técnicas de manejo del estrés', 'Considera apoyo profesional'],
+      color: '#EF4444', icon: '😵'
+    }
+  ]
+};
+
+const WELLNESS: QuestionnaireDefinition = {
+  id: 'wellness',
+  version: '2.0',
+  name: 'Índice de Bienestar (WHO-5)',
+  shortName: 'WHO-5',
+  description: 'Índice de Bienestar de la OMS',
+  category: 'bienestar',
+  duration: '1-2 minutos',
+  icon: '😊',
+  color: '#4ade80',
+  options: WHO5_FREQUENCY,
+  items: [
+    { id: 1, text: 'Durante las últimas 2 semanas, me he sentido alegre y de buen humor.' },
+    { id: 2, text: 'Durante las últimas 2 semanas, me he sentido tranquilo y relajado.' },
+    { id: 3, text: 'Durante las últimas 2 semanas, me he sentido activo y enérgico.' },
+    { id: 4, text: 'Durante las últimas 2 semanas, me he despertado fresco y descansado.' },
+    { id: 5, text: 'Durante las últimas 2 semanas, mi vida cotidiana ha estado llena de cosas que me interesan.' }
+  ],
+  // Puntuación bruta 0-25 multiplicada por 4: las bandas se evalúan sobre el porcentaje
+  scoring: { bandsBy: 'percentage', lowerIsBetter: false },
+  reference: 'Topp et al. (2015): ≤50% indica bienestar bajo y ≤28% sugiere cribar depresión.',
+  clinicalChange: {
+    reliableChange: 10,
+    clinicalCutoff: 50,
+    source: 'Topp et al. (2015): un cambio de 10 puntos porcentuales es clínicamente relevante; ≤50% indica bienestar bajo.'
+  },
+  bands: [
+    {
+      min: 0, max: 28, level: 'low', riskLevel: 'high',
+      label: 'Muy bajo',
+      summary: 'Bienestar muy bajo',
+      description: 'Tu bienestar en las últimas 2 semanas es muy bajo. Esta puntuación se asocia con posibles síntomas depresivos.',
+      recommendation: 'Te recomendamos completar el PHQ-9 y hablar con un profesional de salud mental.',
+      recommendations: ['Completa el test PHQ-9', 'Habla con un profesional de salud mental'],
+      color: '#DC2626', icon: '💙'
+    },
+    {
+      min: 29, max: 50, level: 'medium', riskLevel: 'medium',
+      label: 'Bajo',
+      summary: 'Bienestar bajo',
+      description: 'Tu bienestar en las últimas 2 semanas está por debajo de lo recomendable.',
+      recommendation: 'Incorpora actividades agradables y de descanso a tu rutina y vuelve a medir tu bienestar en 2 semanas.',
+      recommendations: ['Implementa rutinas de autocuidado', 'Vuelve a realizar el test en 2 semanas'],
+      color: '#F59E0B', icon: '🌱'
+    },
+    {
+      min: 51, max: 100, level: 'high', riskLevel: 'low',
+      label: 'Adecuado',
+      summary: 'Bienestar adecuado',
+      description: 'Tu bienestar en las últimas 2 semanas es adecuado.',
+      recommendation: 'Mantén los hábitos que te están ayudando.',
+      recommendations: ['Mantén tus hábitos saludables', 'Continúa con el seguimiento regular'],
+      color: '#10B981', icon: '😊'
+    }
+  ]
+};
+
+const SELFESTEEM: QuestionnaireDefinition = {
+  id: 'selfesteem',
+  version: '1.0',
+  name: 'Test de Autoestima (RSES)',
+  shortName: 'RSES',
+  description: 'Escala de Autoestima de Rosenberg',
+  category: 'autoestima',
+  duration: '3-5 minutos',
+  icon: '💪',
+  color: '#a855f7',
+  options: AGREEMENT,
+  // La escala va de "Totalmente de acuerdo" (0) a "Totalmente en desacuerdo" (3):
+  // los ítems redactados en positivo se invierten para que más puntos indiquen más autoestima
+  items: [
+    { id: 1, text: 'Siento que soy una persona de valor, al menos igual que los demás.', reverse: true },
+    { id: 2, text: 'Siento que tengo varias buenas cualidades.', reverse: true },
+    { id: 3, text: 'En general, me inclino a pensar que soy un fracaso.' },
+    { id: 4, text: 'Soy capaz de hacer las cosas tan bien como la mayoría de las personas.', reverse: true },
+    { id: 5, text: 'Siento que no tengo mucho de lo que estar orgulloso.' },
+    { id: 6, text: 'Tengo una actitud positiva hacia mí mismo.', reverse: true },
+    { id: 7, text: 'En general, estoy satisfecho conmigo mismo.', reverse: true },
+    { id: 8, text: 'Desearía poder tener más respeto por mí mismo.' },
+    { id: 9, text: 'A veces me siento realmente inútil.' },
+    { id: 10, text: 'A veces creo que no soy bueno en nada.' }
+  ],
+  scoring: { bandsBy: 'percentage', lowerIsBetter: false },
+  bands: [
+    {
+      min: 0, max: 59, level: 'low', riskLevel: 'medium',
+      label: 'Baja',
+      summary: 'Autoestima baja',
+      description: 'Tu autoestima está por debajo de lo esperable.',
+      recommendation: 'Practica afirmaciones positivas y considera trabajar la autoestima en terapia.',
+      recommendations: ['Practica afirmaciones positivas', 'Considera terapia para trabajar la autoestima'],
+      color: '#EF4444', icon: '🌱'
+    },
+    {
+      min: 60, max: 79, level: 'medium', riskLevel: 'low',
+      label: 'Moderada',
+      summary: 'Autoestima moderada',
+      description: 'Tu autoestima se encuentra en un rango moderado.',
+      recommendation: 'Practica la autocompasión y celebra tus logros.',
+      recommendations: ['Practica la autocompasión', 'Celebra tus logros'],
+      color: '#F59E0B', icon: '🙂'
+    },
+    {
+      min: 80, max: 100, level: 'high', riskLevel: 'low',
+      label: 'Alta',
+      summary: 'Autoestima alta',
+      description: 'Tienes una autoestima alta.',
+      recommendation: 'Mantén tu confianza y ayuda a otros a desarrollar la suya.',
+      recommendations: ['Mantén tu confianza', 'Ayuda a otros a desarrollar su autoestima'],
+      color: '#10B981', icon: '💪'
+    }
+  ]
+};
+
+export const QUESTIONNAIRES: Record<TestType, QuestionnaireDefinition> = {
+  gad7: GAD7,
+  phq9: PHQ9,
+  pss: PSS,
+  wellness: WELLNESS,
+  selfesteem: SELFESTEEM
+};
+
+export const TEST_TYPES = Object.keys(QUESTIONNAIRES) as TestType[];
@@ -0,0 +1,266 @@
+/**
+ * Motor de Cuestionarios
+ * Valida, puntúa e interpreta respuestas a partir de las definiciones declarativas.
+ * El frontend lo usa para mostrar resultados y el backend para recalcularlos.
+ * Los textos salen en el idioma activo (setLocale): el backend se queda siempre en español.
+ */
+
+import {
+  QUESTIONNAIRES,
+  TEST_TYPES,
+  AnswerOption,
+  ClinicalChangeCriteria,
+  QuestionnaireDefinition,
+  QuestionnaireFlag,
+  QuestionnaireItem,
+  SeverityBand,
+  TestType
+} from './questionnaire.definitions';
+import {
+  CHANGE_TRANSLATIONS,
+  DEFAULT_QUESTIONNAIRE_LOCALE,
+  LOCALIZED_QUESTIONNAIRES,
+  QuestionnaireLocale,
+  isQuestionnaireLocale
+} from './questionnaire.translations';
+
+export interface QuestionnaireResult {
+  testType: TestType;
+  testName: string;
+  testVersion: string;
+  answers: number[];
+  score: number;
+  maxScore: number;
+  percentage: number;
+  band: SeverityBand;
+  // Alertas activadas por ítems concretos (p. ej. ítem 9 del PHQ-9)
+  flags: QuestionnaireFlag[];
+  interpretation: {
+    level: SeverityBand['level'];
+    description: string;
+    recommendations: string[];
+    riskLevel: SeverityBand['riskLevel'];
+    flags: QuestionnaireFlag['id'][];
+  };
+}
+
+export type ClinicalChangeCategory = 'recovered' | 'improved' | 'unchanged' | 'deteriorated';
+
+// Comparación entre dos aplicaciones del mismo cuestionario (valores en la escala de las bandas)
+export interface ClinicalChange {
+  testType: TestType;
+  from: number;
+  to: number;
+  // Diferencia bruta (to - from) e índice de cambio fiable con el mismo signo
+  change: number;
+  rci: number;
+  reliableChange: number;
+  isReliable: boolean;
+  category: ClinicalChangeCategory;
+  label: string;
+  description: string;
+}
+
+class QuestionnaireEngine {
+  private locale: QuestionnaireLocale = DEFAULT_QUESTIONNAIRE_LOCALE;
+
+  // Idioma de los textos (ítems, opciones, bandas, alertas); los idiomas no soportados se ignoran
+  setLocale(locale: string): QuestionnaireLocale {
+    if (isQuestionnaireLocale(locale)) {
+      this.locale = locale;
+    }
+    return this.locale;
+  }
+
+  getLocale(): QuestionnaireLocale {
+    return this.locale;
+  }
+
+  isTestType(value: unknown): value is TestType {
+    return typeof value === 'string' && (TEST_TYPES as string[]).includes(value);
+  }
+
+  list(locale: QuestionnaireLocale = this.locale): QuestionnaireDefinition[] {
+    return TEST_TYPES.map(type => LOCALIZED_QUESTIONNAIRES[locale][type]);
+  }
+
+  get(testType: string, locale: QuestionnaireLocale = this.locale): QuestionnaireDefinition | null {
+    return this.isTestType(testType) ? LOCALIZED_QUESTIONNAIRES[locale][testType] : null;
+  }
+
+  getItemOptions(definition: QuestionnaireDefinition, item: QuestionnaireItem): AnswerOption[] {
+    return item.options || definition.options;
+  }
+
+  getMaxScore(testType: TestType): number {
+    const definition = QUESTIONNAIRES[testType];
+    return definition.items.reduce((sum, item) => {
+      const values = this.getItemOptions(definition, item).map(option => option.value);
+      return sum + Math.max(...values);
+    }, 0);
+  }
+
+  // Convierte el mapa { idPregunta: valor } de las páginas en el array ordenado que guarda el backend
+  toAnswerArray(testType: TestType, answersById: Record<string, number>): number[] {
+    return QUESTIONNAIRES[testType].items.map(item => answersById[item.id]);
+  }
+
+  // Devuelve la lista de errores; vacía si las respuestas son válidas
+  validateAnswers(testType: string, answers: unknown): string[] {
+    const definition = this.get(testType);
+    if (!definition) {
+      return [`Tipo de test no soportado: ${testType}`];
+    }
+
+    if (!Array.isArray(answers)) {
+      return ['Las respuestas deben ser un array'];
+    }
+
+    if (answers.length !== definition.items.length) {
+      return [`${definition.shortName} requiere exactamente ${definition.items.length} respuestas`];
+    }
+
+    const errors: string[] = [];
+    definition.items.forEach((item, index) => {
+      const allowed = this.getItemOptions(definition, item).map(option => option.value);
+      if (typeof answers[index] !== 'number' || !allowed.includes(answers[index])) {
+        errors.push(`Respuesta inválida para la pregunta ${item.id} de ${definition.shortName}`);
+      }
+    });
+
+    return errors;
+  }
+
+  score(testType: string, answers: number[]): QuestionnaireResult {
+    const errors = this.validateAnswers(testType, answers);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    const definition = LOCALIZED_QUESTIONNAIRES[this.locale][testType as TestType];
+    const score = definition.items.reduce((sum, item, index) => {
+      return sum + this.scoreItem(definition, item, answers[index]);
+    }, 0);
+    const maxScore = this.getMaxScore(definition.id);
+    const percentage = Math.round((score / maxScore) * 100);
+    const band = this.interpret(definition.id, definition.scoring.bandsBy === 'percentage' ? percentage : score);
+    const flags = this.getFlags(definition, answers);
+    // Una alerta eleva el riesgo aunque la puntuación total sea baja
+    const riskLevel = flags.some(flag => flag.riskLevel === 'high') ? 'high' : band.riskLevel;
+
+    return {
+      testType: definition.id,
+      testName: definition.name,
+      testVersion: definition.version,
+      answers: [...answers],
+      score,
+      maxScore,
+      percentage,
+      band,
+      flags,
+      interpretation: {
+        level: band.level,
+        description: band.summary,
+        recommendations: band.recommendations,
+        riskLevel,
+        flags: flags.map(flag => flag.id)
+      }
+    };
+  }
+
+  // Texto de la puntuación tal y como se muestra al usuario: porcentaje o suma sobre el máximo
+  formatScore(result: QuestionnaireResult): string {
+    const definition = QUESTIONNAIRES[result.testType];
+    return definition.scoring.bandsBy === 'percentage'
+      ? `${result.percentage}%`
+      : `${result.score} / ${result.maxScore}`;
+  }
+
+  // Valor sobre el que se evalúan las bandas: la suma o su porcentaje del máximo
+  getBandValue(testType: TestType, score: number): number {
+    return QUESTIONNAIRES[testType].scoring.bandsBy === 'percentage'
+      ? Math.round((score / this.getMaxScore(testType)) * 100)
+      : score;
+  }
+
+  /**
+   * Cambio fiable y clínicamente significativo (Jacobson y Truax, 1991) entre dos valores
+   * en la escala de las bandas. Devuelve null si el cuestionario no tiene criterios publicados.
+   */
+  compareScores(testType: TestType, from: number, to: number): ClinicalChange | null {
+    const definition = QUESTIONNAIRES[testType];
+    const criteria = definition.clinicalChange;
+    if (!criteria) {
+      return null;
+    }
+
+    const change = to - from;
+    // Error típico de la diferencia implícito en el umbral publicado (RCI = 1,96 en el umbral)
+    const rci = Math.round((change / (criteria.reliableChange / 1.96)) * 100) / 100;
+    const isReliable = Math.abs(change) >= criteria.reliableChange;
+    const improvement = definition.scoring.lowerIsBetter ? -change : change;
+
+    let category: ClinicalChangeCategory = 'unchanged';
+    if (isReliable && improvement < 0) {
+      category = 'deteriorated';
+    } else if (isReliable && improvement > 0) {
+      category = this.isClinical(definition, criteria, from) && !this.isClinical(definition, criteria, to)
+        ? 'recovered'
+        : 'improved';
+    }
+
+    return {
+      testType,
+      from,
+      to,
+      change,
+      rci,
+      reliableChange: criteria.reliableChange,
+      isReliable,
+      category,
+      label: CHANGE_TRANSLATIONS[this.locale].labels[category],
+      description: this.describeChange(definition, category, change, criteria)
+    };
+  }
+
+  private isClinical(definition: QuestionnaireDefinition, criteria: ClinicalChangeCriteria, value: number): boolean {
+    return definition.scoring.lowerIsBetter ? value >= criteria.clinicalCutoff : value <= criteria.clinicalCutoff;
+  }
+
+  private describeChange(
+    definition: QuestionnaireDefinition,
+    category: ClinicalChangeCategory,
+    change: number,
+    criteria: ClinicalChangeCriteria
+  ): string {
+    const texts = CHANGE_TRANSLATIONS[this.locale];
+    const unit = texts.units[definition.scoring.bandsBy];
+    const amount = `${change > 0 ? '+' : change < 0 ? '−' : ''}${Math.abs(change)} ${unit}`;
+
+    return texts.describe[category](amount, definition.shortName, `${criteria.reliableChange} ${unit}`);
+  }
+
+  // Busca la banda de severidad para un valor ya calculado (puntuación o porcentaje)
+  interpret(testType: TestType, value: number, locale: QuestionnaireLocale = this.locale): SeverityBand {
+    const { bands } = LOCALIZED_QUESTIONNAIRES[locale][testType];
+    return bands.find(band => value >= band.min && value <= band.max) || bands[bands.length - 1];
+  }
+
+  private getFlags(definition: QuestionnaireDefinition, answers: number[]): QuestionnaireFlag[] {
+    return (definition.flags || []).filter(flag => {
+      const index = definition.items.findIndex(item => item.id === flag.itemId);
+      return index !== -1 && answers[index] >= flag.minValue;
+    });
+  }
+
+  private scoreItem(definition: QuestionnaireDefinition, item: QuestionnaireItem, answer: number): number {
+    if (!item.reverse) {
+      return answer;
+    }
+
+    const values = this.getItemOptions(definition, item).map(option => option.value);
+    return Math.min(...values) + Math.max(...values) - answer;
+  }
+}
+
+export default new QuestionnaireEngine();
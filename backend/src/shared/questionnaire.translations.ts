@@ -0,0 +1,376 @@
+/**
+ * Traducciones de los cuestionarios
+ * Las definiciones de questionnaire.definitions están en español; aquí se superpone la redacción
+ * inglesa validada de cada instrumento (GAD-7 y PHQ-9 de Pfizer/Spitzer, PSS-10 de Cohen,
+ * WHO-5 de la OMS y RSES de Rosenberg). Solo se traducen textos: valores, ítems invertidos,
+ * bandas y criterios de cambio siguen saliendo de la definición original.
+ */
+
+import {
+  QUESTIONNAIRES,
+  AnswerOption,
+  QuestionnaireDefinition,
+  SeverityBand,
+  TestLevel,
+  TestType
+} from './questionnaire.definitions';
+
+export type QuestionnaireLocale = 'es' | 'en';
+
+export const QUESTIONNAIRE_LOCALES: QuestionnaireLocale[] = ['es', 'en'];
+export const DEFAULT_QUESTIONNAIRE_LOCALE: QuestionnaireLocale = 'es';
+
+type BandTranslation = Pick<SeverityBand, 'label' | 'summary' | 'description' | 'recommendation' | 'recommendations'>;
+
+export interface QuestionnaireTranslation {
+  name: string;
+  description: string;
+  duration: string;
+  // Enunciado común a todos los ítems, tal y como aparece en el instrumento original
+  instructions: string;
+  // Texto de cada opción por valor
+  options: Record<number, string>;
+  // Texto de cada ítem por id
+  items: Record<number, string>;
+  bands: Partial<Record<TestLevel, BandTranslation>>;
+  flags?: Partial<Record<'self_harm', string>>;
+}
+
+export interface ChangeTranslation {
+  labels: Record<'recovered' | 'improved' | 'unchanged' | 'deteriorated', string>;
+  units: { score: string; percentage: string };
+  describe: Record<'recovered' | 'improved' | 'unchanged' | 'deteriorated', (amount: string, shortName: string, threshold: string) => string>;
+}
+
+const GAD7_EN: QuestionnaireTranslation = {
+  name: 'Anxiety Test (GAD-7)',
+  description: 'Generalized Anxiety Disorder scale',
+  duration: '5-10 minutes',
+  instructions: 'Over the last 2 weeks, how often have you been bothered by the following problems?',
+  options: { 0: 'Not at all', 1: 'Several days', 2: 'More than half the days', 3: 'Nearly every day' },
+  items: {
+    1: 'Feeling nervous, anxious, or on edge',
+    2: 'Not being able to stop or control worrying',
+    3: 'Worrying too much about different things',
+    4: 'Trouble relaxing',
+    5: 'Being so restless that it is hard to sit still',
+    6: 'Becoming easily annoyed or irritable',
+    7: 'Feeling afraid, as if something awful might happen'
+  },
+  bands: {
+    minimal: {
+      label: 'Minimal',
+      summary: 'Minimal anxiety',
+      description: 'Your anxiety level is minimal. Keep up your healthy habits.',
+      recommendation: 'Keep your wellbeing routines and consider the diary to follow your progress.',
+      recommendations: ['Keep up your healthy habits', 'Continue with regular check-ins']
+    },
+    mild: {
+      label: 'Mild',
+      summary: 'Mild anxiety',
+      description: 'You have mild anxiety symptoms. This is common and manageable.',
+      recommendation: 'We recommend using our wellbeing diary with relaxation exercises.',
+      recommendations: ['Practice relaxation techniques', 'Consider breathing exercises']
+    },
+    moderate: {
+      label: 'Moderate',
+      summary: 'Moderate anxiety',
+      description: 'You have moderate anxiety symptoms that may benefit from attention.',
+      recommendation: 'Use our diary regularly with exercises aimed at reducing anxiety.',
+      recommendations: ['Practice mindfulness daily', 'Consider seeking professional support']
+    },
+    severe: {
+      label: 'Severe',
+      summary: 'Severe anxiety',
+      description: 'You have severe anxiety symptoms that need professional attention.',
+      recommendation: 'Talk to a mental health professional. Our diary can be a useful complement.',
+      recommendations: ['Seek professional help now', 'Consider cognitive behavioural therapy']
+    }
+  }
+};
+
+const PHQ9_EN: QuestionnaireTranslation = {
+  name: 'Depression Test (PHQ-9)',
+  description: 'Patient Health Questionnaire',
+  duration: '5-10 minutes',
+  instructions: 'Over the last 2 weeks, how often have you been bothered by any of the following problems?',
+  options: { 0: 'Not at all', 1: 'Several days', 2: 'More than half the days', 3: 'Nearly every day' },
+  items: {
+    1: 'Little interest or pleasure in doing things',
+    2: 'Feeling down, depressed, or hopeless',
+    3: 'Trouble falling or staying asleep, or sleeping too much',
+    4: 'Feeling tired or having little energy',
+    5: 'Poor appetite or overeating',
+    6: 'Feeling bad about yourself — or that you are a failure or have let yourself or your family down',
+    7: 'Trouble concentrating on things, such as reading the newspaper or watching television',
+    8: 'Moving or speaking so slowly that other people could have noticed? Or the opposite — being so fidgety or restless that you have been moving around a lot more than usual',
+    9: 'Thoughts that you would be better off dead or of hurting yourself in some way'
+  },
+  flags: {
+    self_harm: 'You indicated that you have had thoughts that you would be better off dead or of hurting yourself. Regardless of your score, please talk today to a mental health professional or a helpline.'
+  },
+  bands: {
+    minimal: {
+      label: 'Minimal',
+      summary: 'Minimal depression',
+      description: 'Your depression level is minimal. Keep up your healthy habits.',
+      recommendation: 'Keep your wellbeing routines and consider the diary to follow your progress.',
+      recommendations: ['Keep doing activities you enjoy', 'Continue with check-ins']
+    },
+    mild: {
+      label: 'Mild',
+      summary: 'Mild depression',
+      description: 'You have mild depression symptoms. This is common and manageable.',
+      recommendation: 'We recommend using our wellbeing diary with relaxation exercises.',
+      recommendations: ['Keep healthy routines', 'Consider social activities']
+    },
+    moderate: {
+      label: 'Moderate',
+      summary: 'Moderate depression',
+      description: 'You have moderate depression symptoms. From this score on, symptoms are usually clinically relevant.',
+      recommendation: 'We recommend discussing these results with a mental health professional and repeating the test in 2-4 weeks.',
+      recommendations: ['Seek professional support', 'Consider therapy']
+    },
+    moderately_severe: {
+      label: 'Moderately Severe',
+      summary: 'Moderately severe depression',
+      description: 'You have moderately severe depression symptoms that affect your daily life.',
+      recommendation: 'Seek professional help soon: active treatment is usually indicated at this score. Our diary can be a useful complement.',
+      recommendations: ['Seek professional help urgently', 'Consider medication']
+    },
+    severe: {
+      label: 'Severe',
+      summary: 'Severe depression',
+      description: 'You have severe depression symptoms that need immediate professional attention.',
+      recommendation: 'Talk to a mental health professional right away. Our diary can be a useful complement.',
+      recommendations: ['Seek professional help now', 'Consider hospitalisation']
+    }
+  }
+};
+
+const PSS_EN: QuestionnaireTranslation = {
+  name: 'Stress Test (PSS-10)',
+  description: 'Perceived Stress Scale',
+  duration: '3-5 minutes',
+  instructions: 'The questions in this scale ask you about your feelings and thoughts during the last month.',
+  options: { 0: 'Never', 1: 'Almost never', 2: 'Sometimes', 3: 'Fairly often', 4: 'Very often' },
+  items: {
+    1: 'In the last month, how often have you been upset because of something that happened unexpectedly?',
+    2: 'In the last month, how often have you felt that you were unable to control the important things in your life?',
+    3: 'In the last month, how often have you felt nervous and "stressed"?',
+    4: 'In the last month, how often have you felt confident about your ability to handle your personal problems?',
+    5: 'In the last month, how often have you felt that things were going your way?',
+    6: 'In the last month, how often have you found that you could not cope with all the things that you had to do?',
+    7: 'In the last month, how often have you been able to control irritations in your life?',
+    8: 'In the last month, how often have you felt that you were on top of things?',
+    9: 'In the last month, how often have you been angered because of things that were outside of your control?',
+    10: 'In the last month, how often have you felt difficulties were piling up so high that you could not overcome them?'
+  },
+  bands: {
+    low: {
+      label: 'Low',
+      summary: 'Low stress',
+      description: 'Your perceived stress over the last month is low.',
+      recommendation: 'Keep your current stress management strategies.',
+      recommendations: ['Keep your current strategies', 'Continue looking after your wellbeing']
+    },
+    medium: {
+      label: 'Moderate',
+      summary: 'Moderate stress',
+      description: 'Your perceived stress is moderate: there are situations you find hard to control.',
+      recommendation: 'Practice relaxation techniques daily and review which sources of stress you can reduce.',
+      recommendations: ['Practice relaxation techniques', 'Keep healthy routines']
+    },
+    high: {
+      label: 'High',
+      summary: 'High stress',
+      description: 'Your perceived stress is high and may be affecting your health.',
+      recommendation: 'Look for stress management techniques and consider professional support if it lasts several weeks.',
+      recommendations: ['Look for stress management techniques', 'Consider professional support']
+    }
+  }
+};
+
+const WELLNESS_EN: QuestionnaireTranslation = {
+  name: 'Wellbeing Index (WHO-5)',
+  description: 'WHO-5 Well-Being Index',
+  duration: '1-2 minutes',
+  instructions: 'Please indicate for each of the five statements which is closest to how you have been feeling over the last two weeks.',
+  options: {
+    5: 'All of the time',
+    4: 'Most of the time',
+    3: 'More than half of the time',
+    2: 'Less than half of the time',
+    1: 'Some of the time',
+    0: 'At no time'
+  },
+  items: {
+    1: 'Over the last two weeks, I have felt cheerful and in good spirits.',
+    2: 'Over the last two weeks, I have felt calm and relaxed.',
+    3: 'Over the last two weeks, I have felt active and vigorous.',
+    4: 'Over the last two weeks, I woke up feeling fresh and rested.',
+    5: 'Over the last two weeks, my daily life has been filled with things that interest me.'
+  },
+  bands: {
+    low: {
+      label: 'Very low',
+      summary: 'Very low wellbeing',
+      description: 'Your wellbeing over the last 2 weeks is very low. This score is associated with possible depressive symptoms.',
+      recommendation: 'We recommend completing the PHQ-9 and talking to a mental health professional.',
+      recommendations: ['Complete the PHQ-9 test', 'Talk to a mental health professional']
+    },
+    medium: {
+      label: 'Low',
+      summary: 'Low wellbeing',
+      description: 'Your wellbeing over the last 2 weeks is below the recommended level.',
+      recommendation: 'Add pleasant and restful activities to your routine and measure your wellbeing again in 2 weeks.',
+      recommendations: ['Build self-care routines', 'Take the test again in 2 weeks']
+    },
+    high: {
+      label: 'Adequate',
+      summary: 'Adequate wellbeing',
+      description: 'Your wellbeing over the last 2 weeks is adequate.',
+      recommendation: 'Keep the habits that are helping you.',
+      recommendations: ['Keep up your healthy habits', 'Continue with regular check-ins']
+    }
+  }
+};
+
+const SELFESTEEM_EN: QuestionnaireTranslation = {
+  name: 'Self-Esteem Test (RSES)',
+  description: 'Rosenberg Self-Esteem Scale',
+  duration: '3-5 minutes',
+  instructions: 'Below is a list of statements dealing with your general feelings about yourself.',
+  options: { 0: 'Strongly agree', 1: 'Agree', 2: 'Disagree', 3: 'Strongly disagree' },
+  items: {
+    1: 'I feel that I\'m a person of worth, at least on an equal plane with others.',
+    2: 'I feel that I have a number of good qualities.',
+    3: 'All in all, I am inclined to feel that I am a failure.',
+    4: 'I am able to do things as well as most other people.',
+    5: 'I feel I do not have much to be proud of.',
+    6: 'I take a positive attitude toward myself.',
+    7: 'On the whole, I am satisfied with myself.',
+    8: 'I wish I could have more respect for myself.',
+    9: 'I certainly feel useless at times.',
+    10: 'At times I think I am no good at all.'
+  },
+  bands: {
+    low: {
+      label: 'Low',
+      summary: 'Low self-esteem',
+      description: 'Your self-esteem is below the expected range.',
+      recommendation: 'Practice positive affirmations and consider working on self-esteem in therapy.',
+      recommendations: ['Practice positive affirmations', 'Consider therapy to work on self-esteem']
+    },
+    medium: {
+      label: 'Moderate',
+      summary: 'Moderate self-esteem',
+      description: 'Your self-esteem is in a moderate range.',
+      recommendation: 'Practice self-compassion and celebrate your achievements.',
+      recommendations: ['Practice self-compassion', 'Celebrate your achievements']
+    },
+    high: {
+      label: 'High',
+      summary: 'High self-esteem',
+      description: 'You have high self-esteem.',
+      recommendation: 'Keep your confidence and help others build theirs.',
+      recommendations: ['Keep your confidence', 'Help others build their self-esteem']
+    }
+  }
+};
+
+export const QUESTIONNAIRE_TRANSLATIONS: Record<Exclude<QuestionnaireLocale, 'es'>, Record<TestType, QuestionnaireTranslation>> = {
+  en: {
+    gad7: GAD7_EN,
+    phq9: PHQ9_EN,
+    pss: PSS_EN,
+    wellness: WELLNESS_EN,
+    selfesteem: SELFESTEEM_EN
+  }
+};
+
+// Textos del cambio clínico fiable (ver questionnaireEngine.compareScores)
+export const CHANGE_TRANSLATIONS: Record<QuestionnaireLocale, ChangeTranslation> = {
+  es: {
+    labels: {
+      recovered: 'Recuperación',
+      improved: 'Mejora fiable',
+      unchanged: 'Sin cambio fiable',
+      deteriorated: 'Empeoramiento fiable'
+    },
+    units: { score: 'puntos', percentage: 'puntos porcentuales' },
+    describe: {
+      recovered: (amount, shortName) =>
+        `Cambio de ${amount}: una mejora fiable que además te sitúa fuera del rango clínico del ${shortName}.`,
+      improved: (amount, shortName, threshold) =>
+        `Cambio de ${amount}: supera el margen de error del ${shortName} (${threshold}), así que es una mejora real.`,
+      deteriorated: (amount, shortName, threshold) =>
+        `Cambio de ${amount}: supera el margen de error del ${shortName} (${threshold}). Si se mantiene, coméntalo con un profesional.`,
+      unchanged: (amount, shortName, threshold) =>
+        `Cambio de ${amount}: es menor que el margen de error del ${shortName} (${threshold}), así que todavía no se puede considerar un cambio real.`
+    }
+  },
+  en: {
+    labels: {
+      recovered: 'Recovery',
+      improved: 'Reliable improvement',
+      unchanged: 'No reliable change',
+      deteriorated: 'Reliable deterioration'
+    },
+    units: { score: 'points', percentage: 'percentage points' },
+    describe: {
+      recovered: (amount, shortName) =>
+        `Change of ${amount}: a reliable improvement that also takes you out of the ${shortName} clinical range.`,
+      improved: (amount, shortName, threshold) =>
+        `Change of ${amount}: it exceeds the ${shortName} margin of error (${threshold}), so it is a real improvement.`,
+      deteriorated: (amount, shortName, threshold) =>
+        `Change of ${amount}: it exceeds the ${shortName} margin of error (${threshold}). If it persists, discuss it with a professional.`,
+      unchanged: (amount, shortName, threshold) =>
+        `Change of ${amount}: it is smaller than the ${shortName} margin of error (${threshold}), so it cannot be considered a real change yet.`
+    }
+  }
+};
+
+export function isQuestionnaireLocale(value: unknown): value is QuestionnaireLocale {
+  return typeof value === 'string' && (QUESTIONNAIRE_LOCALES as string[]).includes(value);
+}
+
+function translateOptions(options: AnswerOption[], texts: Record<number, string>): AnswerOption[] {
+  return options.map(option => ({ ...option, text: texts[option.value] ?? option.text }));
+}
+
+/**
+ * Definición con los textos del idioma indicado. Lo que falte en la traducción se queda en español.
+ */
+export function localizeQuestionnaire(definition: QuestionnaireDefinition, locale: QuestionnaireLocale): QuestionnaireDefinition {
+  if (locale === 'es') {
+    return definition;
+  }
+
+  const translation = QUESTIONNAIRE_TRANSLATIONS[locale][definition.id];
+  return {
+    ...definition,
+    name: translation.name,
+    description: translation.description,
+    duration: translation.duration,
+    instructions: translation.instructions,
+    options: translateOptions(definition.options, translation.options),
+    items: definition.items.map(item => ({
+      ...item,
+      text: translation.items[item.id] ?? item.text,
+      ...(item.options ? { options: translateOptions(item.options, translation.options) } : {})
+    })),
+    bands: definition.bands.map(band => ({ ...band, ...translation.bands[band.level] })),
+    ...(definition.flags ? {
+      flags: definition.flags.map(flag => ({ ...flag, message: translation.flags?.[flag.id] ?? flag.message }))
+    } : {})
+  };
+}
+
+// Todas las definiciones traducidas, calculadas una sola vez
+export const LOCALIZED_QUESTIONNAIRES: Record<QuestionnaireLocale, Record<TestType, QuestionnaireDefinition>> = {
+  es: QUESTIONNAIRES,
+  en: Object.fromEntries(
+    (Object.keys(QUESTIONNAIRES) as TestType[]).map(type => [type, localizeQuestionnaire(QUESTIONNAIRES[type], 'en')])
+  ) as Record<TestType, QuestionnaireDefinition>
+};
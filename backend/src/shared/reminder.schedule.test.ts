@@ -0,0 +1,112 @@
+import {
+  applyQuietHours,
+  isWithinQuietHours,
+  nextOccurrence,
+  nextReminderRun,
+  toLocalParts,
+  zonedTimeToUtc
+} from './reminder.schedule';
+
+const MADRID = 'Europe/Madrid';
+const daily = (time: string, days: number[] = []) => ({ time, days, timeZone: MADRID });
+const iso = (date: Date) => date.toISOString();
+
+describe('reminder.schedule', () => {
+  describe('zonedTimeToUtc', () => {
+    it('convierte la hora local con el desfase de invierno y el de verano', () => {
+      expect(iso(zonedTimeToUtc(2026, 1, 15, 20, 0, MADRID))).toBe('2026-01-15T19:00:00.000Z');
+      expect(iso(zonedTimeToUtc(2026, 7, 15, 20, 0, MADRID))).toBe('2026-07-15T18:00:00.000Z');
+    });
+
+    it('una hora que no existe (adelanto de primavera) se lleva al final del salto', () => {
+      // 29 de marzo de 2026: a las 02:00 pasan a ser las 03:00
+      const instant = zonedTimeToUtc(2026, 3, 29, 2, 30, MADRID);
+
+      expect(iso(instant)).toBe('2026-03-29T01:30:00.000Z');
+      expect(toLocalParts(instant, MADRID)).toMatchObject({ day: 29, hour: 3, minute: 30 });
+    });
+
+    it('una hora que se repite (retraso de otoño) toma la primera', () => {
+      // 25 de octubre de 2026: a las 03:00 vuelven a ser las 02:00; las 02:30 son 00:30Z y 01:30Z
+      expect(iso(zonedTimeToUtc(2026, 10, 25, 2, 30, MADRID))).toBe('2026-10-25T00:30:00.000Z');
+    });
+  });
+
+  describe('nextOccurrence', () => {
+    it('el día del adelanto avisa a las 03:30 en lugar de las 02:30', () => {
+      const after = new Date('2026-03-28T23:00:00Z'); // 00:00 del 29 en Madrid
+
+      expect(iso(nextOccurrence(daily('02:30'), after))).toBe('2026-03-29T01:30:00.000Z');
+    });
+
+    it('el día del retraso avisa una sola vez, en las primeras 02:30', () => {
+      const first = nextOccurrence(daily('02:30'), new Date('2026-10-24T22:00:00Z'));
+      const second = nextOccurrence(daily('02:30'), first);
+
+      expect(iso(first)).toBe('2026-10-25T00:30:00.000Z');
+      expect(iso(second)).toBe('2026-10-26T01:30:00.000Z');
+    });
+
+    it('mantiene la hora local al cambiar de horario (no suma 24 h)', () => {
+      const before = nextOccurrence(daily('20:00'), new Date('2026-03-28T12:00:00Z'));
+      const after = nextOccurrence(daily('20:00'), before);
+
+      expect(iso(before)).toBe('2026-03-28T19:00:00.000Z');
+      expect(iso(after)).toBe('2026-03-29T18:00:00.000Z');
+    });
+
+    it('solo avisa los días de la semana elegidos', () => {
+      const mondayWednesday = daily('09:00', [1, 3]);
+
+      // Martes 13 de enero de 2026 -> miércoles 14
+      expect(iso(nextOccurrence(mondayWednesday, new Date('2026-01-13T10:00:00Z')))).toBe('2026-01-14T08:00:00.000Z');
+      // Miércoles 14 ya pasado -> lunes 19
+      expect(iso(nextOccurrence(mondayWednesday, new Date('2026-01-14T09:00:00Z')))).toBe('2026-01-19T08:00:00.000Z');
+      // Con un solo día y la hora ya pasada, el mismo día de la semana siguiente
+      expect(iso(nextOccurrence(daily('09:00', [3]), new Date('2026-01-14T09:00:00Z')))).toBe('2026-01-21T08:00:00.000Z');
+    });
+
+    it('el aviso es siempre posterior al instante de referencia', () => {
+      const at = new Date('2026-01-15T19:00:00Z'); // 20:00 en Madrid
+      expect(iso(nextOccurrence(daily('20:00'), at))).toBe('2026-01-16T19:00:00.000Z');
+    });
+  });
+
+  describe('horas de silencio', () => {
+    const night = { start: '22:00', end: '07:00' };
+
+    it('una franja que cruza la medianoche cubre la noche antes y después de las 00:00', () => {
+      expect(isWithinQuietHours(new Date('2026-01-15T21:00:00Z'), night, MADRID)).toBe(true); // 22:00
+      expect(isWithinQuietHours(new Date('2026-01-15T23:30:00Z'), night, MADRID)).toBe(true); // 00:30
+      expect(isWithinQuietHours(new Date('2026-01-16T06:00:00Z'), night, MADRID)).toBe(false); // 07:00
+      expect(isWithinQuietHours(new Date('2026-01-15T11:00:00Z'), night, MADRID)).toBe(false); // 12:00
+    });
+
+    it('un aviso antes de medianoche se retrasa a las 07:00 del día siguiente', () => {
+      const at = new Date('2026-01-15T22:30:00Z'); // 23:30
+
+      expect(iso(applyQuietHours(at, night, MADRID))).toBe('2026-01-16T06:00:00.000Z');
+    });
+
+    it('un aviso de madrugada se retrasa a las 07:00 del mismo día', () => {
+      const at = new Date('2026-01-16T05:30:00Z'); // 06:30
+
+      expect(iso(applyQuietHours(at, night, MADRID))).toBe('2026-01-16T06:00:00.000Z');
+    });
+
+    it('fuera de la franja o sin horas de silencio no cambia nada', () => {
+      const at = new Date('2026-01-15T19:00:00Z');
+
+      expect(applyQuietHours(at, night, MADRID)).toBe(at);
+      expect(applyQuietHours(at, null, MADRID)).toBe(at);
+      expect(applyQuietHours(at, { start: '22:00', end: '22:00' }, MADRID)).toBe(at);
+    });
+
+    it('nextReminderRun combina la recurrencia y las horas de silencio', () => {
+      const after = new Date('2026-01-15T12:00:00Z');
+
+      expect(iso(nextReminderRun(daily('23:00'), night, after))).toBe('2026-01-16T06:00:00.000Z');
+      expect(iso(nextReminderRun(daily('21:00'), night, after))).toBe('2026-01-15T20:00:00.000Z');
+    });
+  });
+});
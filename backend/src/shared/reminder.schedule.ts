@@ -0,0 +1,151 @@
+/**
+ * Recurrencia de Recordatorios
+ * Calcula el próximo aviso de un recordatorio a una hora local ("20:00") en la zona horaria
+ * IANA del usuario, de forma correcta con los cambios de hora: si la hora no existe ese día
+ * (adelanto de primavera) se avisa al final del salto, y si se repite (retraso de otoño) se
+ * avisa la primera vez. También aplica las horas de silencio.
+ * Sin dependencias: lo usan el programador del backend y el diario en el navegador.
+ */
+
+export interface QuietHours {
+  // "HH:MM" en hora local; si start > end la franja cruza la medianoche (22:00-07:00)
+  start: string;
+  end: string;
+}
+
+export interface ReminderRecurrence {
+  time: string;
+  // Días de la semana (0 = domingo); vacío = todos los días
+  days: number[];
+  timeZone: string;
+}
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+function getFormatter(timeZone: string): Intl.DateTimeFormat {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+export function parseTime(time: string): { hours: number; minutes: number } {
+  const [hours, minutes] = time.split(':').map(Number);
+  return { hours, minutes };
+}
+
+// Fecha y hora de pared de un instante en la zona horaria
+export function toLocalParts(date: Date, timeZone: string): {
+  year: number; month: number; day: number; hour: number; minute: number; weekday: number;
+} {
+  const values: Record<string, number> = {};
+  getFormatter(timeZone).formatToParts(date).forEach(part => {
+    if (part.type !== 'literal') values[part.type] = Number(part.value);
+  });
+
+  const hour = values.hour === 24 ? 0 : values.hour;
+  return {
+    year: values.year,
+    month: values.month,
+    day: values.day,
+    hour,
+    minute: values.minute,
+    weekday: new Date(Date.UTC(values.year, values.month - 1, values.day)).getUTCDay()
+  };
+}
+
+// Diferencia en ms entre la hora local y UTC en ese instante (+3600000 en Madrid en invierno)
+function offsetAt(instant: number, timeZone: string): number {
+  const local = toLocalParts(new Date(instant), timeZone);
+  const seconds = new Date(instant).getUTCSeconds();
+  const wall = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, seconds);
+  return wall - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Instante UTC en el que la zona horaria marca esa fecha y hora. Se prueban los desfases de
+ * medio día antes y después: si los dos encajan la hora se repite y se toma la primera; si
+ * ninguno encaja la hora no existe y se usa el desfase anterior al salto (02:30 → 03:30)
+ */
+export function zonedTimeToUtc(year: number, month: number, day: number, hours: number, minutes: number, timeZone: string): Date {
+  const wall = Date.UTC(year, month - 1, day, hours, minutes);
+  const before = offsetAt(wall - 12 * HOUR_MS, timeZone);
+  const after = offsetAt(wall + 12 * HOUR_MS, timeZone);
+
+  const candidates = [wall - before, wall - after]
+    .filter(instant => instant + offsetAt(instant, timeZone) === wall)
+    .sort((a, b) => a - b);
+
+  return new Date(candidates.length > 0 ? candidates[0] : wall - before);
+}
+
+/**
+ * Próximo aviso estrictamente posterior a `after`. Se recorre el calendario local día a día
+ * (no se suman 24 h) para que la hora se mantenga al cambiar de horario
+ */
+export function nextOccurrence(recurrence: ReminderRecurrence, after: Date): Date {
+  const { hours, minutes } = parseTime(recurrence.time);
+  const days = recurrence.days.length > 0 ? recurrence.days : ALL_DAYS;
+  const today = toLocalParts(after, recurrence.timeZone);
+
+  // Hasta 8 días: hoy ya pasado y el mismo día de la semana siguiente
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    if (!days.includes(date.getUTCDay())) continue;
+
+    const candidate = zonedTimeToUtc(
+      date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hours, minutes, recurrence.timeZone
+    );
+    if (candidate.getTime() > after.getTime()) {
+      return candidate;
+    }
+  }
+
+  throw new Error('Recordatorio sin días válidos');
+}
+
+export function isWithinQuietHours(date: Date, quietHours: QuietHours | null | undefined, timeZone: string): boolean {
+  if (!quietHours || quietHours.start === quietHours.end) return false;
+
+  const local = toLocalParts(date, timeZone);
+  const minute = local.hour * 60 + local.minute;
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+  const startMinute = start.hours * 60 + start.minutes;
+  const endMinute = end.hours * 60 + end.minutes;
+
+  return startMinute < endMinute
+    ? minute >= startMinute && minute < endMinute
+    : minute >= startMinute || minute < endMinute;
+}
+
+// Un aviso que cae en las horas de silencio se retrasa al final de la franja
+export function applyQuietHours(date: Date, quietHours: QuietHours | null | undefined, timeZone: string): Date {
+  if (!isWithinQuietHours(date, quietHours, timeZone)) return date;
+
+  return nextOccurrence({ time: quietHours!.end, days: [], timeZone }, new Date(date.getTime() - MINUTE_MS));
+}
+
+// Próximo aviso ya ajustado a las horas de silencio
+export function nextReminderRun(
+  recurrence: ReminderRecurrence,
+  quietHours: QuietHours | null | undefined,
+  after: Date
+): Date {
+  return applyQuietHours(nextOccurrence(recurrence, after), quietHours, recurrence.timeZone);
+}
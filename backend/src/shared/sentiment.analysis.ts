@@ -0,0 +1,150 @@
+/**
+ * Análisis de Sentimiento
+ * Análisis determinista (sin red ni IA) del tono de un texto en español o inglés mediante
+ * un léxico ponderado con negaciones e intensificadores, y detección de emociones por
+ * familias de palabras. Es el análisis por defecto del proveedor local de insights.
+ * No depende del DOM.
+ */
+
+export type Sentiment = 'positive' | 'negative' | 'neutral';
+
+export type Emotion = 'ansiedad' | 'tristeza' | 'enfado' | 'miedo' | 'cansancio' | 'soledad' | 'alegría' | 'calma' | 'gratitud';
+
+export interface SentimentResult {
+  sentiment: Sentiment;
+  // Puntuación normalizada entre -1 (muy negativo) y 1 (muy positivo)
+  score: number;
+  // 0-1: crece con la intensidad y con la proporción de palabras con carga emocional
+  confidence: number;
+  emotions: Emotion[];
+  // Palabras del texto que han puntuado (normalizadas)
+  matches: string[];
+}
+
+// Las claves terminadas en * se comparan por prefijo (triste, tristeza, tristísimo...)
+const LEXICON: Record<string, number> = {
+  // Español
+  'feliz': 3, 'felic*': 3, 'alegr*': 3, 'contento': 2, 'contenta': 2, 'genial': 3, 'estupend*': 3, 'maravill*': 3,
+  'bien': 1.5, 'mejor': 1.5, 'tranquil*': 2, 'calma': 2, 'calmad*': 2, 'relaj*': 2, 'paz': 2,
+  'esperanz*': 2, 'orgullos*': 2, 'agradec*': 2, 'gracias': 1.5, 'motivad*': 2, 'ilusion*': 2,
+  'disfrut*': 2, 'amor': 2, 'querid*': 1.5, 'divert*': 2, 'logr*': 1.5,
+  'triste': -2.5, 'trist*': -2.5, 'mal': -2, 'peor': -2, 'fatal': -3, 'horrible': -3, 'terrible': -3,
+  'ansi*': -2.5, 'agobi*': -2.5, 'preocup*': -2, 'nervios*': -2, 'estres*': -2, 'panico': -3,
+  'miedo': -2.5, 'asustad*': -2.5, 'angusti*': -3, 'deprim*': -3, 'llor*': -2, 'soledad': -2,
+  'enfad*': -2, 'furios*': -3, 'rabia': -2.5, 'odio': -3, 'frustr*': -2, 'culpa*': -2,
+  'cansad*': -1.5, 'agotad*': -2, 'insomnio': -2, 'vacio': -2, 'vacia': -2, 'inutil': -2.5,
+  'desesper*': -3, 'dolor': -2, 'sufr*': -2.5, 'problema*': -1.5, 'dificil': -1.5, 'bloquead*': -2,
+  // Inglés
+  'happy': 3, 'happi*': 3, 'glad': 2, 'great': 3, 'good': 1.5, 'better': 1.5, 'calm*': 2,
+  'relax*': 2, 'peace*': 2, 'hope*': 2, 'proud': 2, 'grateful': 2, 'thank*': 1.5, 'love*': 2,
+  'enjoy*': 2, 'excit*': 2, 'motivated': 2, 'safe': 1,
+  'sad': -2.5, 'sadness': -2.5, 'bad': -2, 'worse': -2, 'awful': -3, 'anxi*': -2.5, 'worr*': -2,
+  'nervous': -2, 'stress*': -2, 'panic*': -3, 'scared': -2.5, 'afraid': -2.5, 'fear*': -2.5,
+  'overwhelm*': -2.5, 'depress*': -3, 'cry*': -2, 'cried': -2, 'lonely': -2, 'alone': -1,
+  'angry': -2, 'hate': -3, 'frustrat*': -2, 'guilt*': -2, 'tired': -1.5, 'exhausted': -2,
+  'hopeless': -3, 'worthless': -2.5, 'empty': -2, 'pain': -2, 'painful': -2, 'hurt*': -2, 'stuck': -1.5
+};
+
+// Invierten el tono de las palabras que las siguen (hasta NEGATION_WINDOW palabras)
+const NEGATIONS = new Set(['no', 'ni', 'nunca', 'jamas', 'tampoco', 'sin', 'not', 'never', 'no-one', 'nobody', "don't", 'dont', "can't", 'cant', "isn't", 'isnt', "wasn't", 'wasnt']);
+const NEGATION_WINDOW = 3;
+// La negación invierte el valor y lo atenúa: "no estoy feliz" no es tan negativo como "estoy triste"
+const NEGATION_FACTOR = -0.75;
+
+const INTENSIFIERS: Record<string, number> = {
+  'muy': 1.5, 'mucho': 1.4, 'mucha': 1.4, 'muchisimo': 1.8, 'demasiado': 1.5, 'bastante': 1.25,
+  'super': 1.5, 'tan': 1.3, 'totalmente': 1.5, 'very': 1.5, 'really': 1.4, 'so': 1.3, 'extremely': 1.8,
+  'too': 1.4, 'quite': 1.2, 'poco': 0.5, 'algo': 0.75, 'little': 0.5, 'slightly': 0.6, 'bit': 0.6
+};
+
+const EMOTIONS: Record<Emotion, string[]> = {
+  ansiedad: ['ansi*', 'agobi*', 'nervios*', 'preocup*', 'estres*', 'panico', 'angusti*', 'anxi*', 'worr*', 'nervous', 'stress*', 'panic*', 'overwhelm*'],
+  tristeza: ['trist*', 'deprim*', 'llor*', 'vacio', 'vacia', 'sad', 'sadness', 'depress*', 'cry*', 'cried', 'empty', 'hopeless'],
+  enfado: ['enfad*', 'furios*', 'rabia', 'odio', 'frustr*', 'angry', 'hate', 'frustrat*'],
+  miedo: ['miedo', 'asustad*', 'scared', 'afraid', 'fear*'],
+  cansancio: ['cansad*', 'agotad*', 'insomnio', 'tired', 'exhausted'],
+  soledad: ['soledad', 'lonely', 'alone'],
+  'alegría': ['feliz', 'felic*', 'alegr*', 'contento', 'contenta', 'genial', 'disfrut*', 'divert*', 'happy', 'happi*', 'glad', 'enjoy*', 'excit*'],
+  calma: ['tranquil*', 'calma', 'calmad*', 'relaj*', 'paz', 'calm*', 'relax*', 'peace*'],
+  gratitud: ['agradec*', 'gracias', 'grateful', 'thank*']
+};
+
+// Por debajo de este valor absoluto el texto se considera neutro
+const NEUTRAL_THRESHOLD = 0.05;
+// Constante de normalización de la suma de valores a [-1, 1] (como en VADER)
+const NORMALIZATION_ALPHA = 15;
+
+export function normalizeSentimentText(text: string): string[] {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9'\s-]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function matchesKey(word: string, key: string): boolean {
+  return key.endsWith('*') ? word.startsWith(key.slice(0, -1)) : word === key;
+}
+
+// Valor de la palabra en el léxico (se prefiere la coincidencia exacta a la de prefijo)
+function lexiconValue(word: string): number | null {
+  if (LEXICON[word] !== undefined) return LEXICON[word];
+
+  const key = Object.keys(LEXICON).find(candidate => candidate.endsWith('*') && matchesKey(word, candidate));
+  return key ? LEXICON[key] : null;
+}
+
+export function analyzeSentiment(text: string): SentimentResult {
+  const words = normalizeSentimentText(text);
+  const matches: string[] = [];
+  const emotions = new Set<Emotion>();
+  let total = 0;
+  let negatedUntil = -1;
+  let intensity = 1;
+
+  words.forEach((word, index) => {
+    if (NEGATIONS.has(word)) {
+      negatedUntil = index + NEGATION_WINDOW;
+      return;
+    }
+    if (INTENSIFIERS[word] !== undefined) {
+      intensity *= INTENSIFIERS[word];
+      return;
+    }
+
+    const value = lexiconValue(word);
+    if (value === null) {
+      // El intensificador solo afecta a la palabra siguiente
+      intensity = 1;
+      return;
+    }
+
+    const negated = index <= negatedUntil;
+    total += value * intensity * (negated ? NEGATION_FACTOR : 1);
+    matches.push(word);
+    intensity = 1;
+
+    // Una emoción negada ("no estoy triste") no se cuenta como presente
+    if (!negated) {
+      (Object.keys(EMOTIONS) as Emotion[])
+        .filter(emotion => EMOTIONS[emotion].some(key => matchesKey(word, key)))
+        .forEach(emotion => emotions.add(emotion));
+    }
+  });
+
+  const score = total / Math.sqrt(total * total + NORMALIZATION_ALPHA);
+  const coverage = words.length > 0 ? matches.length / words.length : 0;
+  const sentiment: Sentiment = score >= NEUTRAL_THRESHOLD ? 'positive' : score <= -NEUTRAL_THRESHOLD ? 'negative' : 'neutral';
+
+  return {
+    sentiment,
+    score: Math.round(score * 1000) / 1000,
+    confidence: matches.length === 0
+      ? 0
+      : Math.round(Math.min(1, Math.abs(score) * 0.7 + Math.min(coverage * 3, 1) * 0.3) * 100) / 100,
+    emotions: Array.from(emotions),
+    matches
+  };
+}
@@ -0,0 +1,50 @@
+/**
+ * Lectura de Evaluaciones y Entradas Guardadas
+ * Las evaluaciones y las entradas del diario se han escrito desde la app (SDK del cliente)
+ * y desde la API, y la API ha cambiado de formato: puntuación en `totalScore` y fecha ISO
+ * en `date` en los documentos antiguos; `score` y `completedAt` (Timestamp) en los actuales.
+ * Los lectores (informes compartidos, panel clínico) normalizan aquí en lugar de en cada consulta.
+ */
+
+import { MOOD_SCORES } from './wellness.report';
+
+export interface StoredEvaluation {
+  testType: string;
+  testName: string;
+  score: number | null;
+  maxScore: number | null;
+  completedAt: Date | null;
+}
+
+// Fechas guardadas como Timestamp (SDK del cliente y API actual) o como cadena ISO (API antigua)
+export function toDate(value: any): Date | null {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+export function normalizeEvaluation(data: Record<string, any>): StoredEvaluation {
+  const score = data.score ?? data.totalScore;
+  return {
+    testType: data.testType,
+    testName: data.testName || data.testType,
+    score: typeof score === 'number' ? score : null,
+    maxScore: typeof data.maxScore === 'number' ? data.maxScore : null,
+    completedAt: toDate(data.completedAt || data.date)
+  };
+}
+
+// Estado de ánimo en escala 1-5: etiqueta de la app, número 1-5 de la API o moodScore 1-10
+export function getMoodScore(entry: Record<string, any>): number | null {
+  if (typeof entry.mood === 'string' && MOOD_SCORES[entry.mood]) {
+    return MOOD_SCORES[entry.mood];
+  }
+  if (typeof entry.mood === 'number' && entry.mood >= 1 && entry.mood <= 5) {
+    return entry.mood;
+  }
+  if (typeof entry.moodScore === 'number') {
+    return Math.min(Math.max(entry.moodScore / 2, 1), 5);
+  }
+  return null;
+}
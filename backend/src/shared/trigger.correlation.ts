@@ -0,0 +1,270 @@
+/**
+ * Correlación de Desencadenantes
+ * Busca qué etiquetas, desencadenantes, días de la semana, franjas horarias y ejercicios
+ * van acompañados de más o menos ansiedad. Para cada factor compara la media de los
+ * registros con y sin él (diferencia de medias, error estándar de Welch) y cuánto más
+ * probable es un registro de ansiedad alta (lift). Solo se informa de los factores con
+ * muestra suficiente en ambos grupos y una diferencia que no se explique por el azar.
+ * La usan el panel de analíticas del diario (sin conexión) y el endpoint
+ * GET /api/v1/diary/correlations. No depende del DOM.
+ */
+
+export type CorrelationFactorKind = 'tag' | 'trigger' | 'weekday' | 'time_of_day' | 'exercise';
+
+export interface CorrelationObservation {
+  // Momento del registro; el día de la semana y la franja se calculan en `timeZone`
+  date: string | Date;
+  // Nivel de ansiedad (escala 1-10)
+  anxiety: number;
+  // null si no se conocen (entrada cifrada en el cliente): el registro no cuenta ni a favor
+  // ni en contra de ninguna etiqueta o desencadenante
+  tags?: string[] | null;
+  triggers?: string[] | null;
+  exercises?: string[];
+}
+
+export interface CorrelationFinding {
+  kind: CorrelationFactorKind;
+  key: string;
+  label: string;
+  direction: 'higher' | 'lower';
+  withCount: number;
+  withoutCount: number;
+  meanWith: number;
+  meanWithout: number;
+  // meanWith - meanWithout (puntos de ansiedad)
+  meanDifference: number;
+  // P(ansiedad alta | factor) / P(ansiedad alta); null si nunca hubo ansiedad alta
+  lift: number | null;
+  // Diferencia / error estándar de Welch
+  tScore: number;
+  strength: 'moderate' | 'strong';
+  summary: string;
+}
+
+export interface CorrelationReport {
+  observations: number;
+  averageAnxiety: number | null;
+  highAnxietyThreshold: number;
+  // Registros que faltan para empezar a analizar (0 si ya hay suficientes)
+  missingObservations: number;
+  findings: CorrelationFinding[];
+}
+
+export interface CorrelationOptions {
+  timeZone?: string;
+  limit?: number;
+  exerciseLabels?: Record<string, string>;
+}
+
+// Guardas de tamaño muestral
+export const CORRELATION_MIN_OBSERVATIONS = 10;
+export const CORRELATION_MIN_GROUP_SIZE = 3;
+
+// Ansiedad alta a partir de este nivel (escala 1-10)
+export const HIGH_ANXIETY_THRESHOLD = 7;
+
+// Diferencia mínima (en puntos) y estadístico t mínimo para informar de un factor
+const MIN_MEAN_DIFFERENCE = 0.5;
+const MIN_T_SCORE = 2;
+const STRONG_T_SCORE = 3;
+// Las diferencias con pocos registros pesan menos en el orden
+const RANKING_SHRINKAGE = 5;
+const DEFAULT_LIMIT = 5;
+
+const WEEKDAYS = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+const TIME_OF_DAY = [
+  { id: 'night', label: 'de madrugada', from: 0, to: 6 },
+  { id: 'morning', label: 'por la mañana', from: 6, to: 12 },
+  { id: 'afternoon', label: 'por la tarde', from: 12, to: 20 },
+  { id: 'evening', label: 'por la noche', from: 20, to: 24 }
+];
+
+const EXERCISE_LABELS: Record<string, string> = {
+  breathing: 'Respiración Profunda',
+  meditation: 'Meditación',
+  'progressive-relaxation': 'Relajación Progresiva',
+  grounding: 'Grounding'
+};
+
+interface Factor {
+  kind: CorrelationFactorKind;
+  key: string;
+  label: string;
+}
+
+function mean(values: number[]): number {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function variance(values: number[], average: number): number {
+  if (values.length < 2) return 0;
+  return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+}
+
+function formatPoints(value: number): string {
+  return value.toLocaleString('es-ES', { maximumFractionDigits: 1 });
+}
+
+// Día de la semana (0 = domingo) y hora en la zona horaria del usuario
+function localTime(date: Date, timeZone?: string): { weekday: number; hour: number } {
+  if (!timeZone) {
+    return { weekday: date.getDay(), hour: date.getHours() };
+  }
+
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: 'numeric', hourCycle: 'h23' })
+    .formatToParts(date);
+  const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+    .indexOf(parts.find(part => part.type === 'weekday')?.value || '');
+  const hour = Number(parts.find(part => part.type === 'hour')?.value);
+
+  return { weekday, hour: hour === 24 ? 0 : hour };
+}
+
+export function isValidTimeZone(timeZone: string): boolean {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function normalizeKey(value: string): string {
+  return value.trim().toLowerCase();
+}
+
+// Las etiquetas y desencadenantes desconocidos no se cuentan como «sin etiqueta»
+function knowsDimension(observation: CorrelationObservation, kind: CorrelationFactorKind): boolean {
+  if (kind === 'tag') return observation.tags !== null;
+  if (kind === 'trigger') return observation.triggers !== null;
+  return true;
+}
+
+function factorsOf(observation: CorrelationObservation, date: Date, options: CorrelationOptions): Factor[] {
+  const exerciseLabels = { ...EXERCISE_LABELS, ...(options.exerciseLabels || {}) };
+  const { weekday, hour } = localTime(date, options.timeZone);
+  const period = TIME_OF_DAY.find(candidate => hour >= candidate.from && hour < candidate.to);
+  const factors: Factor[] = [];
+
+  (observation.tags || []).forEach(tag => {
+    if (tag.trim()) factors.push({ kind: 'tag', key: normalizeKey(tag), label: tag.trim() });
+  });
+  (observation.triggers || []).forEach(trigger => {
+    if (trigger.trim()) factors.push({ kind: 'trigger', key: normalizeKey(trigger), label: trigger.trim() });
+  });
+  (observation.exercises || []).forEach(exercise => {
+    if (exercise && exercise !== 'none') {
+      factors.push({ kind: 'exercise', key: exercise, label: exerciseLabels[exercise] || exercise });
+    }
+  });
+  if (weekday >= 0) {
+    factors.push({ kind: 'weekday', key: String(weekday), label: WEEKDAYS[weekday] });
+  }
+  if (period) {
+    factors.push({ kind: 'time_of_day', key: period.id, label: period.label });
+  }
+
+  // Un mismo factor cuenta una vez por registro
+  const unique = new Map(factors.map(factor => [`${factor.kind}:${factor.key}`, factor]));
+  return Array.from(unique.values());
+}
+
+function describeFinding(factor: Factor, direction: 'higher' | 'lower', difference: number, lift: number | null, withCount: number): string {
+  const subject = {
+    tag: `En los registros con «${factor.label}»`,
+    trigger: `Cuando aparece «${factor.label}»`,
+    weekday: `Los ${factor.label}${factor.label.endsWith('s') ? '' : 's'}`,
+    time_of_day: `${factor.label.charAt(0).toUpperCase()}${factor.label.slice(1)}`,
+    exercise: `Los días que haces ${factor.label}`
+  }[factor.kind];
+
+  const change = `${formatPoints(Math.abs(difference))} ${Math.abs(difference) === 1 ? 'punto' : 'puntos'} ${direction === 'higher' ? 'más alta' : 'más baja'}`;
+  const likelihood = direction === 'higher' && lift !== null && lift >= 1.5
+    ? ` y es ${formatPoints(lift)} veces más probable que sea alta`
+    : '';
+
+  return `${subject} tu ansiedad es ${change}${likelihood} (${withCount} registros).`;
+}
+
+/**
+ * Factores asociados a más o menos ansiedad, ordenados por la fuerza de la asociación
+ */
+export function analyzeCorrelations(observations: CorrelationObservation[], options: CorrelationOptions = {}): CorrelationReport {
+  const valid = observations
+    .map(observation => ({ observation, date: new Date(observation.date) }))
+    .filter(({ observation, date }) => Number.isFinite(observation.anxiety) && !isNaN(date.getTime()));
+
+  const anxieties = valid.map(({ observation }) => observation.anxiety);
+  const report: CorrelationReport = {
+    observations: valid.length,
+    averageAnxiety: valid.length > 0 ? Math.round(mean(anxieties) * 10) / 10 : null,
+    highAnxietyThreshold: HIGH_ANXIETY_THRESHOLD,
+    missingObservations: Math.max(CORRELATION_MIN_OBSERVATIONS - valid.length, 0),
+    findings: []
+  };
+  if (report.missingObservations > 0) return report;
+
+  // Registros (índices) en los que aparece cada factor
+  const groups = new Map<string, { factor: Factor; members: Set<number> }>();
+  valid.forEach(({ observation, date }, index) => {
+    factorsOf(observation, date, options).forEach(factor => {
+      const id = `${factor.kind}:${factor.key}`;
+      if (!groups.has(id)) groups.set(id, { factor, members: new Set() });
+      groups.get(id)!.members.add(index);
+    });
+  });
+
+  const candidates: Array<CorrelationFinding & { rank: number }> = [];
+
+  groups.forEach(({ factor, members }) => {
+    // Solo se compara con los registros en los que se sabe si el factor estaba o no
+    const compared = anxieties.filter((_, index) => knowsDimension(valid[index].observation, factor.kind));
+    const withValues = anxieties.filter((_, index) => members.has(index));
+    const withoutValues = anxieties.filter((_, index) => !members.has(index) && knowsDimension(valid[index].observation, factor.kind));
+    if (withValues.length < CORRELATION_MIN_GROUP_SIZE || withoutValues.length < CORRELATION_MIN_GROUP_SIZE) return;
+    const highRate = compared.filter(value => value >= HIGH_ANXIETY_THRESHOLD).length / compared.length;
+
+    const meanWith = mean(withValues);
+    const meanWithout = mean(withoutValues);
+    const difference = meanWith - meanWithout;
+    if (Math.abs(difference) < MIN_MEAN_DIFFERENCE) return;
+
+    const standardError = Math.sqrt(
+      variance(withValues, meanWith) / withValues.length + variance(withoutValues, meanWithout) / withoutValues.length
+    );
+    // Sin variación en ningún grupo la diferencia es exacta: se limita para no dividir entre 0
+    const tScore = standardError > 0 ? difference / standardError : Math.sign(difference) * STRONG_T_SCORE;
+    if (Math.abs(tScore) < MIN_T_SCORE) return;
+
+    const lift = highRate > 0
+      ? (withValues.filter(value => value >= HIGH_ANXIETY_THRESHOLD).length / withValues.length) / highRate
+      : null;
+    const direction = difference > 0 ? 'higher' : 'lower';
+
+    candidates.push({
+      kind: factor.kind,
+      key: factor.key,
+      label: factor.label,
+      direction,
+      withCount: withValues.length,
+      withoutCount: withoutValues.length,
+      meanWith: Math.round(meanWith * 10) / 10,
+      meanWithout: Math.round(meanWithout * 10) / 10,
+      meanDifference: Math.round(difference * 10) / 10,
+      lift: lift === null ? null : Math.round(lift * 100) / 100,
+      tScore: Math.round(tScore * 100) / 100,
+      strength: Math.abs(tScore) >= STRONG_T_SCORE ? 'strong' : 'moderate',
+      summary: describeFinding(factor, direction, Math.round(difference * 10) / 10, lift, withValues.length),
+      rank: Math.abs(difference) * withValues.length / (withValues.length + RANKING_SHRINKAGE)
+    });
+  });
+
+  report.findings = candidates
+    .sort((a, b) => b.rank - a.rank)
+    .slice(0, options.limit ?? DEFAULT_LIMIT)
+    .map(({ rank, ...finding }) => finding);
+
+  return report;
+}
@@ -0,0 +1,505 @@
+/**
+ * Informe de Bienestar en PDF
+ * Construye el informe que el usuario puede llevar a su terapeuta: portada con el
+ * periodo, gráficas de estado de ánimo y ansiedad, historial de GAD-7/PHQ-9,
+ * entradas seleccionadas del diario y una página de resumen clínico.
+ * No depende del DOM: el diario lo descarga en el navegador y se puede generar en Node.
+ */
+
+import { PdfDocument, PdfPage, RGB, wrapText } from './pdf.writer';
+import questionnaireEngine from './questionnaire.engine';
+
+export interface ReportDiaryEntry {
+  id?: string | number;
+  date: string;
+  mood: string;
+  content?: string;
+  tags?: string[];
+  exercise?: string;
+}
+
+export interface ReportAnxietyLevel {
+  date: string;
+  level: number;
+}
+
+export interface ReportEvaluation {
+  testType: string;
+  testName?: string;
+  score: number;
+  maxScore?: number;
+  timestamp: string;
+  // Mensajes de alerta del resultado (p. ej. ítem 9 del PHQ-9)
+  alerts?: string[];
+}
+
+export interface WellnessReportData {
+  from: Date;
+  to: Date;
+  generatedAt?: Date;
+  patientName?: string;
+  entries: ReportDiaryEntry[];
+  anxietyLevels: ReportAnxietyLevel[];
+  evaluations: ReportEvaluation[];
+  // Entradas a incluir completas; sin selección se incluyen las más recientes
+  selectedEntryIds?: Array<string | number>;
+  maxEntries?: number;
+}
+
+// Escala común 1-5 para los dos vocabularios de estado de ánimo que usa el diario
+export const MOOD_SCORES: Record<string, number> = {
+  calm: 5, relaxed: 4, neutral: 3, anxious: 2, overwhelmed: 1,
+  excellent: 5, good: 4, okay: 3, bad: 2, terrible: 1
+};
+
+const MOOD_LABELS: Record<string, string> = {
+  calm: 'Tranquilo', relaxed: 'Relajado', neutral: 'Neutral', anxious: 'Ansioso', overwhelmed: 'Abrumado',
+  excellent: 'Excelente', good: 'Bien', okay: 'Regular', bad: 'Mal', terrible: 'Terrible'
+};
+
+const EXERCISE_LABELS: Record<string, string> = {
+  breathing: 'Respiración profunda',
+  meditation: 'Meditación',
+  'progressive-relaxation': 'Relajación progresiva',
+  grounding: 'Grounding'
+};
+
+const MONTHS = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+
+const COLORS: Record<string, RGB> = {
+  text: [31, 41, 55],
+  muted: [107, 114, 128],
+  border: [229, 231, 235],
+  accent: [124, 140, 224],
+  anxiety: [139, 92, 246],
+  alert: [185, 28, 28],
+  headerFill: [243, 244, 246]
+};
+
+const MARGIN = 50;
+const DEFAULT_MAX_ENTRIES = 10;
+
+const pad = (value: number) => String(value).padStart(2, '0');
+
+export function formatReportDate(date: Date): string {
+  return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}`;
+}
+
+function formatLongDate(date: Date): string {
+  return `${date.getDate()} de ${MONTHS[date.getMonth()]} de ${date.getFullYear()}`;
+}
+
+function toDate(value: string): Date {
+  // Fechas 'YYYY-MM-DD' del registro de ansiedad: interpretarlas en hora local
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T12:00:00`) : new Date(value);
+}
+
+function dayKey(date: Date): string {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function average(values: number[]): number | null {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function round(value: number, decimals = 1): number {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Maquetación con cursor vertical: crea páginas nuevas cuando no cabe el siguiente bloque
+ */
+class ReportLayout {
+  readonly doc: PdfDocument;
+  page!: PdfPage;
+  y = 0;
+
+  constructor(doc: PdfDocument) {
+    this.doc = doc;
+  }
+
+  get contentWidth(): number {
+    return this.page.width - MARGIN * 2;
+  }
+
+  newPage(title?: string): PdfPage {
+    this.page = this.doc.addPage();
+    this.y = MARGIN;
+    if (title) {
+      this.page.text(MARGIN, this.y + 18, title, { size: 18, bold: true });
+      this.page.line(MARGIN, this.y + 28, this.page.width - MARGIN, this.y + 28, { color: COLORS.accent, width: 1.5 });
+      this.y += 50;
+    }
+    return this.page;
+  }
+
+  ensureSpace(height: number, title?: string): void {
+    if (this.y + height > this.page.height - MARGIN - 20) {
+      this.newPage(title);
+    }
+  }
+
+  heading(text: string): void {
+    this.ensureSpace(30);
+    this.page.text(MARGIN, this.y + 12, text, { size: 13, bold: true });
+    this.y += 24;
+  }
+
+  paragraph(text: string, options: { size?: number; color?: RGB; bold?: boolean; indent?: number } = {}): void {
+    const size = options.size || 10;
+    const indent = options.indent || 0;
+    const lineHeight = size * 1.4;
+    wrapText(text, this.contentWidth - indent, size, options.bold).forEach(line => {
+      this.ensureSpace(lineHeight);
+      this.page.text(MARGIN + indent, this.y + size, line, { size, color: options.color, bold: options.bold });
+      this.y += lineHeight;
+    });
+  }
+
+  keyValue(label: string, value: string): void {
+    const size = 10;
+    const labelWidth = 190;
+    const lines = wrapText(value, this.contentWidth - labelWidth, size);
+    this.ensureSpace(lines.length * 14);
+    this.page.text(MARGIN, this.y + size, label, { size, bold: true });
+    lines.forEach((line, index) => {
+      this.page.text(MARGIN + labelWidth, this.y + size + index * 14, line, { size });
+    });
+    this.y += lines.length * 14 + 2;
+  }
+}
+
+interface ChartPoint {
+  date: Date;
+  value: number;
+}
+
+interface ChartOptions {
+  title: string;
+  points: ChartPoint[];
+  from: Date;
+  to: Date;
+  min: number;
+  max: number;
+  color: RGB;
+  yLabels?: Record<number, string>;
+}
+
+function drawLineChart(layout: ReportLayout, options: ChartOptions): void {
+  const height = 190;
+  layout.ensureSpace(height + 40);
+  const page = layout.page;
+  const left = MARGIN + 60;
+  const top = layout.y + 24;
+  const width = layout.contentWidth - 70;
+  const plotHeight = height - 40;
+
+  page.text(MARGIN, layout.y + 12, options.title, { size: 12, bold: true });
+
+  // Rejilla y etiquetas del eje Y
+  for (let value = options.min; value <= options.max; value++) {
+    const y = top + plotHeight - ((value - options.min) / (options.max - options.min)) * plotHeight;
+    const showLabel = options.yLabels ? options.yLabels[value] !== undefined : (options.max - options.min <= 5 || value % 2 === 0);
+    page.line(left, y, left + width, y, { color: COLORS.border, width: 0.5 });
+    if (showLabel) {
+      const label = options.yLabels ? options.yLabels[value] : String(value);
+      page.text(left - 6, y + 3, label, { size: 8, color: COLORS.muted, align: 'right' });
+    }
+  }
+  page.line(left, top, left, top + plotHeight, { color: COLORS.muted, width: 0.75 });
+  page.line(left, top + plotHeight, left + width, top + plotHeight, { color: COLORS.muted, width: 0.75 });
+
+  // Eje X: inicio, mitad y fin del periodo
+  const span = Math.max(options.to.getTime() - options.from.getTime(), 1);
+  const middle = new Date(options.from.getTime() + span / 2);
+  page.text(left, top + plotHeight + 14, formatReportDate(options.from), { size: 8, color: COLORS.muted });
+  page.text(left + width / 2, top + plotHeight + 14, formatReportDate(middle), { size: 8, color: COLORS.muted, align: 'center' });
+  page.text(left + width, top + plotHeight + 14, formatReportDate(options.to), { size: 8, color: COLORS.muted, align: 'right' });
+
+  if (options.points.length === 0) {
+    page.text(left + width / 2, top + plotHeight / 2, 'Sin datos en el periodo', { size: 10, color: COLORS.muted, align: 'center' });
+  } else {
+    const coordinates = options.points.map(point => {
+      const x = left + ((point.date.getTime() - options.from.getTime()) / span) * width;
+      const y = top + plotHeight - ((point.value - options.min) / (options.max - options.min)) * plotHeight;
+      return [Math.min(Math.max(x, left), left + width), y] as [number, number];
+    });
+    page.polyline(coordinates, { color: options.color, width: 2 });
+    coordinates.forEach(([x, y]) => page.circle(x, y, 2.5, options.color));
+  }
+
+  layout.y += height + 20;
+}
+
+function drawTable(layout: ReportLayout, columns: Array<{ title: string; width: number }>, rows: string[][], pageTitle: string): void {
+  const rowHeight = 20;
+  const drawHeader = () => {
+    let x = MARGIN;
+    layout.page.rect(MARGIN, layout.y, layout.contentWidth, rowHeight, { fill: COLORS.headerFill });
+    columns.forEach(column => {
+      layout.page.text(x + 6, layout.y + 13, column.title, { size: 9, bold: true });
+      x += column.width;
+    });
+    layout.y += rowHeight;
+  };
+
+  drawHeader();
+  rows.forEach(row => {
+    if (layout.y + rowHeight > layout.page.height - MARGIN - 20) {
+      layout.newPage(pageTitle);
+      drawHeader();
+    }
+    let x = MARGIN;
+    row.forEach((cell, index) => {
+      const [line] = wrapText(cell, columns[index].width - 12, 9);
+      layout.page.text(x + 6, layout.y + 13, line || '', { size: 9 });
+      x += columns[index].width;
+    });
+    layout.page.line(MARGIN, layout.y + rowHeight, MARGIN + layout.contentWidth, layout.y + rowHeight, { color: COLORS.border, width: 0.5 });
+    layout.y += rowHeight;
+  });
+}
+
+function describeEvaluation(evaluation: ReportEvaluation): { scoreText: string; bandLabel: string } {
+  const definition = questionnaireEngine.get(evaluation.testType);
+  if (!definition) {
+    return { scoreText: String(evaluation.score), bandLabel: '' };
+  }
+
+  const maxScore = evaluation.maxScore || questionnaireEngine.getMaxScore(definition.id);
+  const byPercentage = definition.scoring.bandsBy === 'percentage';
+  const value = byPercentage ? Math.round((evaluation.score / maxScore) * 100) : evaluation.score;
+  const band = questionnaireEngine.interpret(definition.id, value);
+  return {
+    scoreText: byPercentage ? `${value}%` : `${evaluation.score} / ${maxScore}`,
+    bandLabel: band.label
+  };
+}
+
+function describeTrend(values: number[], higherIsWorse: boolean): string {
+  if (values.length < 4) return 'datos insuficientes para valorar la tendencia';
+  const half = Math.floor(values.length / 2);
+  const first = average(values.slice(0, half)) as number;
+  const second = average(values.slice(half)) as number;
+  const difference = round(second - first);
+
+  if (Math.abs(difference) < 0.5) return 'estable a lo largo del periodo';
+  const rising = difference > 0;
+  const better = higherIsWorse ? !rising : rising;
+  return `${rising ? 'en aumento' : 'en descenso'} (${difference > 0 ? '+' : ''}${difference} entre la primera y la segunda mitad; ${better ? 'mejora' : 'empeora'})`;
+}
+
+function summarizeQuestionnaire(evaluations: ReportEvaluation[], testType: string): string {
+  const history = evaluations.filter(evaluation => evaluation.testType === testType);
+  if (history.length === 0) return 'Sin registros en el periodo';
+
+  const first = history[0];
+  const last = history[history.length - 1];
+  const lastInfo = describeEvaluation(last);
+  let text = `Última: ${lastInfo.scoreText} (${lastInfo.bandLabel}) el ${formatReportDate(toDate(last.timestamp))}.`;
+  if (history.length > 1) {
+    const change = last.score - first.score;
+    text += ` Cambio desde la primera del periodo: ${change > 0 ? '+' : ''}${change} puntos en ${history.length} aplicaciones.`;
+  }
+  return text;
+}
+
+/**
+ * Generar el informe completo como bytes de un PDF
+ */
+export function buildWellnessReport(data: WellnessReportData): Uint8Array {
+  const from = data.from;
+  const to = data.to;
+  const generatedAt = data.generatedAt || new Date();
+  const inRange = (date: Date) => date >= from && date <= to;
+
+  const entries = data.entries
+    .map(entry => ({ ...entry, parsedDate: toDate(entry.date) }))
+    .filter(entry => inRange(entry.parsedDate))
+    .sort((a, b) => a.parsedDate.getTime() - b.parsedDate.getTime());
+  const anxiety = data.anxietyLevels
+    .map(level => ({ date: toDate(level.date), value: level.level }))
+    .filter(level => inRange(level.date) && typeof level.value === 'number')
+    .sort((a, b) => a.date.getTime() - b.date.getTime());
+  const evaluations = data.evaluations
+    .filter(evaluation => inRange(toDate(evaluation.timestamp)))
+    .sort((a, b) => toDate(a.timestamp).getTime() - toDate(b.timestamp).getTime());
+
+  // Estado de ánimo: media diaria en escala 1-5
+  const moodByDay = new Map<string, { date: Date; values: number[] }>();
+  entries.forEach(entry => {
+    const score = MOOD_SCORES[entry.mood];
+    if (!score) return;
+    const key = dayKey(entry.parsedDate);
+    const day = moodByDay.get(key) || { date: entry.parsedDate, values: [] };
+    day.values.push(score);
+    moodByDay.set(key, day);
+  });
+  const moodPoints = Array.from(moodByDay.values()).map(day => ({ date: day.date, value: average(day.values) as number }));
+
+  const doc = new PdfDocument({
+    title: 'Informe de bienestar',
+    author: data.patientName,
+    subject: `Periodo ${formatReportDate(from)} - ${formatReportDate(to)}`,
+    creationDate: generatedAt
+  });
+  const layout = new ReportLayout(doc);
+
+  // === PORTADA ===
+  const cover = layout.newPage();
+  cover.rect(0, 0, cover.width, 8, { fill: COLORS.accent });
+  cover.text(cover.width / 2, 250, 'Informe de bienestar', { size: 28, bold: true, align: 'center' });
+  if (data.patientName) {
+    cover.text(cover.width / 2, 285, data.patientName, { size: 16, align: 'center' });
+  }
+  cover.text(cover.width / 2, 320, `Periodo: ${formatLongDate(from)} – ${formatLongDate(to)}`, { size: 12, align: 'center', color: COLORS.muted });
+  cover.text(cover.width / 2, 340, `Generado el ${formatLongDate(generatedAt)}`, { size: 10, align: 'center', color: COLORS.muted });
+
+  const contents = ['1. Evolución del estado de ánimo y la ansiedad', '2. Historial de GAD-7 y PHQ-9', '3. Entradas seleccionadas del diario', '4. Resumen para el profesional'];
+  contents.forEach((line, index) => {
+    cover.text(MARGIN + 80, 420 + index * 20, line, { size: 11 });
+  });
+
+  layout.y = 640;
+  layout.paragraph(
+    'Este informe recoge datos autoinformados en Sensus. Los cuestionarios son herramientas de cribado y ' +
+    'no constituyen un diagnóstico; deben interpretarse junto con la valoración de un profesional.',
+    { size: 9, color: COLORS.muted }
+  );
+
+  // === GRÁFICAS ===
+  layout.newPage('Evolución del estado de ánimo y la ansiedad');
+  drawLineChart(layout, {
+    title: 'Estado de ánimo (media diaria del diario)',
+    points: moodPoints,
+    from,
+    to,
+    min: 1,
+    max: 5,
+    color: COLORS.accent,
+    yLabels: { 1: 'Muy bajo', 2: 'Bajo', 3: 'Neutral', 4: 'Bueno', 5: 'Muy bueno' }
+  });
+  drawLineChart(layout, {
+    title: 'Nivel de ansiedad autoinformado (0-10)',
+    points: anxiety,
+    from,
+    to,
+    min: 0,
+    max: 10,
+    color: COLORS.anxiety
+  });
+
+  // === HISTORIAL DE CUESTIONARIOS ===
+  const historyTitle = 'Historial de GAD-7 y PHQ-9';
+  layout.newPage(historyTitle);
+  const clinical = evaluations.filter(evaluation => evaluation.testType === 'gad7' || evaluation.testType === 'phq9');
+  if (clinical.length === 0) {
+    layout.paragraph('No hay cuestionarios GAD-7 ni PHQ-9 completados en el periodo.', { color: COLORS.muted });
+  } else {
+    drawTable(layout, [
+      { title: 'Fecha', width: 85 },
+      { title: 'Cuestionario', width: 90 },
+      { title: 'Puntuación', width: 80 },
+      { title: 'Resultado', width: 240 }
+    ], clinical.map(evaluation => {
+      const info = describeEvaluation(evaluation);
+      const definition = questionnaireEngine.get(evaluation.testType);
+      const alert = evaluation.alerts && evaluation.alerts.length > 0 ? ' · ALERTA' : '';
+      return [
+        formatReportDate(toDate(evaluation.timestamp)),
+        definition ? definition.shortName : evaluation.testName || evaluation.testType,
+        info.scoreText,
+        `${info.bandLabel}${alert}`
+      ];
+    }), historyTitle);
+  }
+
+  // === ENTRADAS SELECCIONADAS ===
+  const entriesTitle = 'Entradas seleccionadas del diario';
+  layout.newPage(entriesTitle);
+  const selected = data.selectedEntryIds && data.selectedEntryIds.length > 0
+    ? entries.filter(entry => entry.id !== undefined && data.selectedEntryIds!.includes(entry.id))
+    : entries.slice(-(data.maxEntries || DEFAULT_MAX_ENTRIES));
+
+  if (selected.length === 0) {
+    layout.paragraph('No hay entradas del diario en el periodo.', { color: COLORS.muted });
+  }
+  selected.forEach(entry => {
+    layout.ensureSpace(60, entriesTitle);
+    const mood = MOOD_LABELS[entry.mood] || entry.mood;
+    layout.page.text(MARGIN, layout.y + 11, `${formatReportDate(entry.parsedDate)} · ${mood}`, { size: 11, bold: true });
+    layout.y += 18;
+    const details = [
+      entry.exercise && EXERCISE_LABELS[entry.exercise] ? `Ejercicio: ${EXERCISE_LABELS[entry.exercise]}` : '',
+      entry.tags && entry.tags.length ? `Etiquetas: ${entry.tags.join(', ')}` : ''
+    ].filter(Boolean).join(' · ');
+    if (details) layout.paragraph(details, { size: 9, color: COLORS.muted });
+    layout.paragraph(entry.content || '', { size: 10 });
+    layout.y += 6;
+    layout.page.line(MARGIN, layout.y, MARGIN + layout.contentWidth, layout.y, { color: COLORS.border, width: 0.5 });
+    layout.y += 12;
+  });
+
+  // === RESUMEN CLÍNICO ===
+  layout.newPage('Resumen para el profesional');
+  const activeDays = new Set(entries.map(entry => dayKey(entry.parsedDate))).size;
+  const moodAverage = average(moodPoints.map(point => point.value));
+  const anxietyValues = anxiety.map(level => level.value);
+  const anxietyAverage = average(anxietyValues);
+
+  layout.heading('Registro');
+  layout.keyValue('Periodo', `${formatReportDate(from)} – ${formatReportDate(to)}`);
+  layout.keyValue('Entradas del diario', `${entries.length} en ${activeDays} días distintos`);
+  layout.keyValue('Registros de ansiedad', String(anxiety.length));
+  layout.keyValue('Cuestionarios completados', String(evaluations.length));
+
+  layout.heading('Estado de ánimo y ansiedad');
+  layout.keyValue('Estado de ánimo medio', moodAverage === null ? 'Sin datos' : `${round(moodAverage)} / 5`);
+  layout.keyValue('Tendencia del ánimo', describeTrend(moodPoints.map(point => point.value), false));
+  layout.keyValue('Ansiedad media', anxietyAverage === null
+    ? 'Sin datos'
+    : `${round(anxietyAverage)} / 10 (mín. ${Math.min(...anxietyValues)}, máx. ${Math.max(...anxietyValues)})`);
+  layout.keyValue('Tendencia de la ansiedad', describeTrend(anxietyValues, true));
+
+  layout.heading('Cuestionarios');
+  layout.keyValue('GAD-7 (ansiedad)', summarizeQuestionnaire(evaluations, 'gad7'));
+  layout.keyValue('PHQ-9 (depresión)', summarizeQuestionnaire(evaluations, 'phq9'));
+
+  const alerts = evaluations.filter(evaluation => evaluation.alerts && evaluation.alerts.length > 0);
+  if (alerts.length > 0) {
+    const last = alerts[alerts.length - 1];
+    layout.y += 6;
+    layout.paragraph(
+      `Atención: respuesta positiva al ítem de autolesión en ${alerts.length} ocasión(es); la última el ${formatReportDate(toDate(last.timestamp))}.`,
+      { size: 10, bold: true, color: COLORS.alert }
+    );
+  }
+
+  const tagCounts = new Map<string, number>();
+  entries.forEach(entry => (entry.tags || []).forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1)));
+  const topTags = Array.from(tagCounts.entries()).sort((a, b) => b[1] - a[1]).slice(0, 5);
+  const exerciseCounts = new Map<string, number>();
+  entries.forEach(entry => {
+    if (entry.exercise && EXERCISE_LABELS[entry.exercise]) {
+      exerciseCounts.set(entry.exercise, (exerciseCounts.get(entry.exercise) || 0) + 1);
+    }
+  });
+
+  layout.heading('Contexto');
+  layout.keyValue('Etiquetas más frecuentes', topTags.length
+    ? topTags.map(([tag, count]) => `${tag} (${count})`).join(', ')
+    : 'Sin etiquetas');
+  layout.keyValue('Ejercicios registrados', exerciseCounts.size
+    ? Array.from(exerciseCounts.entries()).map(([exercise, count]) => `${EXERCISE_LABELS[exercise]} (${count})`).join(', ')
+    : 'Ninguno');
+
+  // Pie de página con numeración, una vez conocido el total de páginas
+  doc.pages.forEach((page, index) => {
+    const footer = `Sensus · Informe de bienestar · ${formatReportDate(from)} – ${formatReportDate(to)}`;
+    page.text(MARGIN, page.height - 25, footer, { size: 8, color: COLORS.muted });
+    page.text(page.width - MARGIN, page.height - 25, `Página ${index + 1} de ${doc.pages.length}`, { size: 8, color: COLORS.muted, align: 'right' });
+  });
+
+  return doc.toBytes();
+}
@@ -0,0 +1,186 @@
+import { FieldValue } from 'firebase-admin/firestore';
+
+/**
+ * Firestore en memoria para las pruebas de los servicios
+ * Cubre lo que usan: documentos (get, set, create, update con rutas con punto y FieldValue.delete(), delete),
+ * consultas con where/orderBy/limit y transacciones. Se sustituye FirebaseService con
+ * `jest.mock('./firebase.service', () => jest.requireActual('../testing/fake-firestore').fakeFirebaseService())`
+ * (jest sube los mocks por encima de los imports) y se recupera con `FirebaseService.getFirestore()`.
+ */
+
+type Data = Record<string, any>;
+type Filter = { field: string; op: string; value: any };
+
+function readPath(data: Data, path: string): any {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data as any);
+}
+
+function writePath(data: Data, path: string, value: any): void {
+  const keys = path.split('.');
+  const last = keys.pop()!;
+  const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), data);
+  if (value instanceof FieldValue && value.isEqual(FieldValue.delete())) delete parent[last];
+  else parent[last] = value;
+}
+
+// Copia los objetos planos y las listas; Timestamp y demás clases se conservan tal cual
+function clone<T>(value: T): T {
+  if (Array.isArray(value)) return value.map(clone) as any;
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value as any).map(([key, item]) => [key, clone(item)])) as any;
+  }
+  return value;
+}
+
+function comparable(value: any): any {
+  return value && typeof value.toMillis === 'function' ? value.toMillis() : value;
+}
+
+function matches(data: Data, { field, op, value }: Filter): boolean {
+  const actual = comparable(readPath(data, field));
+  const expected = comparable(value);
+  switch (op) {
+    case '==': return actual === expected;
+    case '!=': return actual !== expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case 'in': return (expected as any[]).includes(actual);
+    case 'array-contains': return Array.isArray(actual) && actual.includes(expected);
+    default: throw new Error(`Operador no soportado: ${op}`);
+  }
+}
+
+class FakeDocumentSnapshot {
+  constructor(public ref: FakeDocumentReference, private value: Data | undefined) {}
+
+  get id(): string {
+    return this.ref.id;
+  }
+
+  get exists(): boolean {
+    return this.value !== undefined;
+  }
+
+  data(): Data | undefined {
+    return this.value === undefined ? undefined : clone(this.value);
+  }
+}
+
+class FakeDocumentReference {
+  constructor(private store: Map<string, Data>, public id: string) {}
+
+  async get(): Promise<FakeDocumentSnapshot> {
+    return new FakeDocumentSnapshot(this, this.store.get(this.id));
+  }
+
+  async set(data: Data, options: { merge?: boolean } = {}): Promise<void> {
+    const current = options.merge ? this.store.get(this.id) || {} : {};
+    this.store.set(this.id, { ...current, ...clone(data) });
+  }
+
+  async create(data: Data): Promise<void> {
+    if (this.store.has(this.id)) throw new Error(`El documento ${this.id} ya existe`);
+    this.store.set(this.id, clone(data));
+  }
+
+  async update(data: Data): Promise<void> {
+    const current = this.store.get(this.id);
+    if (!current) throw new Error(`El documento ${this.id} no existe`);
+    Object.entries(clone(data)).forEach(([path, value]) => writePath(current, path, value));
+  }
+
+  async delete(): Promise<void> {
+    this.store.delete(this.id);
+  }
+}
+
+class FakeQuery {
+  constructor(
+    protected store: Map<string, Data>,
+    private filters: Filter[] = [],
+    private order: { field: string; direction: 'asc' | 'desc' }[] = [],
+    private max: number | null = null
+  ) {}
+
+  where(field: string, op: string, value: any): FakeQuery {
+    return new FakeQuery(this.store, [...this.filters, { field, op, value }], this.order, this.max);
+  }
+
+  orderBy(field: string, direction: 'asc' | 'desc' = 'asc'): FakeQuery {
+    return new FakeQuery(this.store, this.filters, [...this.order, { field, direction }], this.max);
+  }
+
+  limit(max: number): FakeQuery {
+    return new FakeQuery(this.store, this.filters, this.order, max);
+  }
+
+  async get() {
+    let docs = [...this.store.entries()]
+      .filter(([, data]) => this.filters.every(filter => matches(data, filter)))
+      // Como en Firestore, orderBy deja fuera los documentos sin el campo
+      .filter(([, data]) => this.order.every(({ field }) => readPath(data, field) !== undefined))
+      .map(([id, data]) => new FakeDocumentSnapshot(new FakeDocumentReference(this.store, id), data));
+
+    docs.sort((a, b) => {
+      for (const { field, direction } of this.order) {
+        const left = comparable(readPath(a.data()!, field));
+        const right = comparable(readPath(b.data()!, field));
+        if (left !== right) return (left < right ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+      }
+      return 0;
+    });
+    if (this.max !== null) docs = docs.slice(0, this.max);
+
+    return { docs, empty: docs.length === 0, size: docs.length };
+  }
+}
+
+let nextId = 1;
+
+class FakeCollectionReference extends FakeQuery {
+  doc(id: string = `doc-${nextId++}`): FakeDocumentReference {
+    return new FakeDocumentReference(this.store, id);
+  }
+
+  async add(data: Data): Promise<FakeDocumentReference> {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+export class FakeFirestore {
+  private collections = new Map<string, Map<string, Data>>();
+
+  collection(name: string): FakeCollectionReference {
+    if (!this.collections.has(name)) this.collections.set(name, new Map());
+    return new FakeCollectionReference(this.collections.get(name)!);
+  }
+
+  // Sin concurrencia real: las escrituras se aplican al terminar la función, como en Firestore
+  async runTransaction<T>(fn: (transaction: any) => Promise<T>): Promise<T> {
+    const writes: (() => Promise<void>)[] = [];
+    const transaction = {
+      get: (target: FakeDocumentReference | FakeQuery) => target.get(),
+      set: (ref: FakeDocumentReference, data: Data, options?: { merge?: boolean }) => { writes.push(() => ref.set(data, options)); },
+      create: (ref: FakeDocumentReference, data: Data) => { writes.push(() => ref.create(data)); },
+      update: (ref: FakeDocumentReference, data: Data) => { writes.push(() => ref.update(data)); },
+      delete: (ref: FakeDocumentReference) => { writes.push(() => ref.delete()); }
+    };
+
+    const result = await fn(transaction);
+    for (const write of writes) await write();
+    return result;
+  }
+
+  // Contenido de una colección, para comprobar lo que ha escrito el servicio
+  dump(name: string): Record<string, Data> {
+    return Object.fromEntries(this.collections.get(name) || new Map());
+  }
+}
+
+export function fakeFirebaseService(db: FakeFirestore = new FakeFirestore()) {
+  return { __esModule: true, default: { getFirestore: () => db } };
+}
@@ -0,0 +1,19 @@
+import { Request, Response } from 'express';
+
+/**
+ * Petición y respuesta de Express mínimas para probar los controladores sin servidor
+ * La respuesta guarda el código y el cuerpo enviados en `statusCode` y `body`.
+ */
+
+export type MockResponse = Response & { statusCode: number; body: any };
+
+export function mockRequest(userId: string, overrides: Partial<Request> = {}): Request {
+  return { user: { userId }, params: {}, query: {}, body: {}, ...overrides } as unknown as Request;
+}
+
+export function mockResponse(): MockResponse {
+  const res = { statusCode: 200, body: undefined } as MockResponse;
+  res.status = ((code: number) => { res.statusCode = code; return res; }) as any;
+  res.json = ((body: any) => { res.body = body; return res; }) as any;
+  return res;
+}
@@ -0,0 +1,11 @@
+/**
+ * Entorno de las pruebas de jest: secretos fijos (security.service y encryption.util no
+ * arrancan sin ellos) y sin registros en la consola
+ */
+
+import { logger } from '../utils/logger.util';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+logger.silent = true;
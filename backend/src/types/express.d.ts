@@ -32,6 +32,8 @@ declare global {
         [key: string]: any;
       };
       isBot?: boolean;
+      // Cuerpo JSON sin parsear (para verificar la firma de webhooks)
+      rawBody?: string;
     }
   }
 }
@@ -0,0 +1,86 @@
+import { base32Decode, base32Encode, buildOtpauthUrl, generateTotp, totpStep, verifyTotp } from './totp.util';
+
+// Secreto de los vectores de prueba de RFC 6238 (apéndice B, HMAC-SHA1): "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+const at = (seconds: number) => new Date(seconds * 1000);
+
+describe('totp.util', () => {
+  describe('base32', () => {
+    it('codifica como RFC 4648 (sin relleno)', () => {
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+      expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    });
+
+    it('decodifica lo que teclea una persona: minúsculas, espacios y relleno', () => {
+      expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    });
+
+    it('rechaza caracteres fuera del alfabeto', () => {
+      expect(() => base32Decode('MZXW1')).toThrow('Secreto base32 no válido');
+    });
+  });
+
+  describe('generateTotp', () => {
+    it.each([
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ])('a los %i s da el código %s de RFC 6238', (seconds, expected) => {
+      expect(generateTotp(RFC_SECRET, totpStep(at(seconds)), 8)).toBe(expected);
+    });
+
+    it('con 6 cifras da las últimas 6 del código de 8', () => {
+      expect(generateTotp(RFC_SECRET, totpStep(at(59)))).toBe('287082');
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const now = at(1111111111);
+    const step = totpStep(now);
+    const codeAt = (offset: number) => generateTotp(RFC_SECRET, step + offset);
+
+    it('devuelve el paso del código actual', () => {
+      expect(verifyTotp(RFC_SECRET, codeAt(0), now)).toBe(step);
+    });
+
+    it('acepta un paso antes y uno después (relojes desajustados)', () => {
+      expect(verifyTotp(RFC_SECRET, codeAt(-1), now)).toBe(step - 1);
+      expect(verifyTotp(RFC_SECRET, codeAt(1), now)).toBe(step + 1);
+    });
+
+    it('rechaza los códigos fuera de la ventana', () => {
+      expect(verifyTotp(RFC_SECRET, codeAt(-2), now)).toBeNull();
+      expect(verifyTotp(RFC_SECRET, codeAt(2), now)).toBeNull();
+    });
+
+    it('con una ventana mayor acepta más pasos', () => {
+      expect(verifyTotp(RFC_SECRET, codeAt(-2), now, 2)).toBe(step - 2);
+    });
+
+    it('ignora los espacios y rechaza códigos mal formados', () => {
+      const code = codeAt(0);
+      expect(verifyTotp(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, now)).toBe(step);
+      expect(verifyTotp(RFC_SECRET, code.slice(1), now)).toBeNull();
+      expect(verifyTotp(RFC_SECRET, 'abcdef', now)).toBeNull();
+    });
+  });
+
+  it('buildOtpauthUrl lleva el emisor, la cuenta y los parámetros del código', () => {
+    const url = new URL(buildOtpauthUrl(RFC_SECRET, 'ana@example.com', 'Sensus'));
+
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.host).toBe('totp');
+    expect(decodeURIComponent(url.pathname)).toBe('/Sensus:ana@example.com');
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      secret: RFC_SECRET,
+      issuer: 'Sensus',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
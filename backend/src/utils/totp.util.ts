@@ -0,0 +1,101 @@
+/**
+ * TOTP (RFC 6238, HMAC-SHA1) y secretos en base32 para apps de autenticación.
+ * Todo recibe la hora como parámetro para poder comprobarlo con un reloj fijo.
+ */
+
+import crypto from 'crypto';
+import { TOTP_DIGITS, TOTP_ISSUER, TOTP_PERIOD_SECONDS, TOTP_SECRET_BYTES, TOTP_WINDOW } from '../models/two-factor.model';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export function base32Encode(buffer: Buffer): string {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+// Acepta minúsculas, espacios y relleno '=' (como lo teclea una persona)
+export function base32Decode(input: string): Buffer {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes: number[] = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secreto base32 no válido');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+export function generateTotpSecret(): string {
+  return base32Encode(crypto.randomBytes(TOTP_SECRET_BYTES));
+}
+
+export function totpStep(now: Date): number {
+  return Math.floor(now.getTime() / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+// Código de un paso concreto (HOTP con el contador de tiempo)
+export function generateTotp(secret: string, step: number, digits: number = TOTP_DIGITS): string {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Paso en el que es válido el código (dentro de la ventana alrededor de `now`), o null.
+ * Quien llama rechaza los pasos ya usados para que un código no sirva dos veces
+ */
+export function verifyTotp(secret: string, code: string, now: Date, window: number = TOTP_WINDOW): number | null {
+  const normalized = code.replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) return null;
+
+  const current = totpStep(now);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = Buffer.from(generateTotp(secret, current + offset));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return current + offset;
+    }
+  }
+  return null;
+}
+
+// URI otpauth:// que se muestra como código QR en el alta
+export function buildOtpauthUrl(secret: string, accountName: string, issuer: string = TOTP_ISSUER): string {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
@@ -0,0 +1,34 @@
+import { diaryEncryptionSchema } from './validation.util';
+import { DIARY_MAX_CIPHERTEXT_LENGTH } from '../shared/diary.encryption';
+
+const CIPHERTEXT = Buffer.from('texto cifrado').toString('base64');
+const IV = Buffer.alloc(12, 1).toString('base64');
+
+describe('diaryEncryptionSchema', () => {
+  const errorOf = (body: Record<string, unknown>) => diaryEncryptionSchema.validate(body).error?.message;
+
+  it('acepta una entrada cifrada y una en claro con el resto de campos', () => {
+    expect(errorOf({ isEncrypted: true, ciphertext: CIPHERTEXT, iv: IV, encryptionVersion: 1, mood: '3' })).toBeUndefined();
+    expect(errorOf({ content: 'Hoy he dormido bien', tags: ['sueño'], mood: '4' })).toBeUndefined();
+    expect(errorOf({ mood: '2' })).toBeUndefined();
+  });
+
+  it('exige texto cifrado e IV en base64 y un IV de 12 bytes', () => {
+    expect(errorOf({ isEncrypted: true, iv: IV })).toMatch('"ciphertext" is required');
+    expect(errorOf({ isEncrypted: true, ciphertext: 'no es base64!', iv: IV })).toMatch('"ciphertext"');
+    expect(errorOf({ isEncrypted: true, ciphertext: CIPHERTEXT, iv: Buffer.alloc(16).toString('base64') })).toMatch('"iv"');
+  });
+
+  it('acota el tamaño del texto cifrado y la versión del formato', () => {
+    const oversized = 'A'.repeat(DIARY_MAX_CIPHERTEXT_LENGTH + 4);
+
+    expect(errorOf({ isEncrypted: true, ciphertext: oversized, iv: IV })).toMatch('"ciphertext"');
+    expect(errorOf({ isEncrypted: true, ciphertext: CIPHERTEXT, iv: IV, encryptionVersion: 2 })).toMatch('"encryptionVersion"');
+  });
+
+  it('no admite campos en claro junto al texto cifrado ni el sobre sin isEncrypted', () => {
+    expect(errorOf({ isEncrypted: true, ciphertext: CIPHERTEXT, iv: IV, content: 'en claro' })).toMatch('"content" is not allowed');
+    expect(errorOf({ isEncrypted: true, ciphertext: CIPHERTEXT, iv: IV, tags: ['trabajo'] })).toMatch('"tags" is not allowed');
+    expect(errorOf({ ciphertext: CIPHERTEXT, iv: IV })).toMatch('"ciphertext" is not allowed');
+  });
+});
@@ -1,11 +1,36 @@
 import Joi from 'joi';
 import { logger } from './logger.util';
+import { TEST_TYPES, TestType } from '../shared/questionnaire.definitions';
+import questionnaireEngine from '../shared/questionnaire.engine';
+import { SHARE_CATEGORIES, SHARE_MAX_ENTRIES, SHARE_MAX_EXPIRY_DAYS } from '../models/share.model';
+import { CLINICIAN_INVITE_EXPIRY_DAYS } from '../models/clinician.model';
+import { isValidTimeZone } from '../shared/trigger.correlation';
+import { DIARY_DEFAULT_PAGE_SIZE, DIARY_MAX_PAGE_SIZE, MOOD_TYPES } from '../models/diary.model';
+import { DIARY_ENCRYPTION_VERSION, DIARY_IV_BASE64_LENGTH, DIARY_MAX_CIPHERTEXT_LENGTH } from '../shared/diary.encryption';
+import { PAID_PLAN_IDS } from '../shared/entitlements';
+import { CONTACT_CATEGORIES, CONTACT_MESSAGE_MAX_LENGTH, CONTACT_MESSAGE_MIN_LENGTH, TICKET_STATUSES } from '../models/contact.model';
+import { DAILY_REMINDER_ID, MAX_REMINDERS_PER_USER, SNOOZE_MINUTES_OPTIONS } from '../models/reminder.model';
+import { EXERCISE_MAX_DURATION_SECONDS, EXERCISE_MAX_PAGE_SIZE, EXERCISE_DEFAULT_PAGE_SIZE, EXERCISE_TYPES } from '../models/exercise.model';
+
+// Sobre de una entrada cifrada en el cliente (ver shared/diary.encryption)
+const diaryCiphertext = Joi.string().base64().max(DIARY_MAX_CIPHERTEXT_LENGTH);
+const diaryIv = Joi.string().base64().length(DIARY_IV_BASE64_LENGTH);
+const diaryEncryptionVersion = Joi.number().integer().min(1).max(DIARY_ENCRYPTION_VERSION);
 
 // Esquemas de validación para el diario
 export const diaryEntrySchema = Joi.object({
   mood: Joi.string().valid('calm', 'relaxed', 'neutral', 'anxious', 'overwhelmed').required(),
   moodScore: Joi.number().min(1).max(10).required(),
-  content: Joi.string().min(1).max(2000).required(),
+  // Las entradas cifradas en el cliente solo traen el texto cifrado (ver shared/diary.encryption)
+  isEncrypted: Joi.boolean().optional(),
+  content: Joi.when('isEncrypted', {
+    is: true,
+    then: Joi.forbidden(),
+    otherwise: Joi.string().min(1).max(2000).required()
+  }),
+  ciphertext: Joi.when('isEncrypted', { is: true, then: diaryCiphertext.required(), otherwise: Joi.forbidden() }),
+  iv: Joi.when('isEncrypted', { is: true, then: diaryIv.required(), otherwise: Joi.forbidden() }),
+  encryptionVersion: Joi.when('isEncrypted', { is: true, then: diaryEncryptionVersion.optional(), otherwise: Joi.forbidden() }),
   tags: Joi.array().items(Joi.string().max(50)).optional(),
   exerciseType: Joi.string().valid('breathing', 'meditation', 'progressive-relaxation', 'grounding', 'none').optional(),
   exerciseDuration: Joi.number().min(0).max(120).optional(),
@@ -16,19 +41,229 @@ export const diaryEntrySchema = Joi.object({
   location: Joi.string().max(100).optional()
 });
 
+// Cifrado de las entradas que llegan por la API (crear y actualizar); el resto de campos los comprueba el controlador.
+// Una entrada cifrada no puede traer a la vez ninguno de sus campos en claro
+export const diaryEncryptionSchema = Joi.object({
+  isEncrypted: Joi.boolean().optional(),
+  ciphertext: Joi.when('isEncrypted', { is: true, then: diaryCiphertext.required(), otherwise: Joi.forbidden() }),
+  iv: Joi.when('isEncrypted', { is: true, then: diaryIv.required(), otherwise: Joi.forbidden() }),
+  encryptionVersion: Joi.when('isEncrypted', { is: true, then: diaryEncryptionVersion.optional(), otherwise: Joi.forbidden() }),
+  content: Joi.when('isEncrypted', { is: true, then: Joi.forbidden() }),
+  tags: Joi.when('isEncrypted', { is: true, then: Joi.forbidden() }),
+  reflection: Joi.when('isEncrypted', { is: true, then: Joi.forbidden() }),
+  anxietyTriggers: Joi.when('isEncrypted', { is: true, then: Joi.forbidden() })
+}).unknown(true);
+
+// Filtros del listado del diario: ?mood=anxious&tags=trabajo&from=...&anxietyMin=6&cursor=...
+export const diaryFiltersSchema = Joi.object({
+  mood: Joi.array().items(Joi.string().valid(...MOOD_TYPES)).single().unique().optional(),
+  tags: Joi.array().items(Joi.string().max(50)).single().max(10).unique().optional(),
+  exerciseType: Joi.array().items(Joi.string().valid('breathing', 'meditation', 'progressive-relaxation', 'grounding', 'none')).single().unique().optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }).optional(),
+  anxietyMin: Joi.number().integer().min(1).max(10).optional(),
+  anxietyMax: Joi.number().integer().min(1).max(10).when('anxietyMin', { is: Joi.exist(), then: Joi.number().min(Joi.ref('anxietyMin')) }).optional(),
+  limit: Joi.number().integer().min(1).max(DIARY_MAX_PAGE_SIZE).default(DIARY_DEFAULT_PAGE_SIZE),
+  cursor: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(200).optional()
+});
+
+// Periodo y zona horaria (IANA) para las correlaciones del diario
+export const diaryCorrelationsSchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }).optional(),
+  timeZone: Joi.string().max(64).custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid'))).optional()
+});
+
 // Esquemas de validación para evaluaciones
 export const evaluationSchema = Joi.object({
-  testType: Joi.string().valid('gad7', 'phq9', 'pss', 'wellness', 'selfesteem').required(),
+  testType: Joi.string().valid(...TEST_TYPES).required(),
   testVersion: Joi.string().optional(),
-  testName: Joi.string().max(100).required(),
-  answers: Joi.array().items(Joi.number().min(0).max(4)).required(),
-  score: Joi.number().min(0).required(),
-  maxScore: Joi.number().min(1).required(),
+  testName: Joi.string().max(100).optional(),
+  answers: Joi.array().items(Joi.number().integer().min(0)).required(),
+  score: Joi.number().min(0).optional(),
+  maxScore: Joi.number().min(1).optional(),
   duration: Joi.number().min(0).max(3600).optional(),
   isAnonymous: Joi.boolean().optional(),
   metadata: Joi.object().optional()
 });
 
+// Esquema de validación para eventos de crisis (no admite texto libre)
+export const crisisEventSchema = Joi.object({
+  source: Joi.string().valid('questionnaire', 'diary').required(),
+  trigger: Joi.string().valid('phq9_item9', 'diary_text').required(),
+  riskLevel: Joi.string().valid('high', 'critical').required(),
+  indicators: Joi.array().items(Joi.string().max(50)).max(20).optional(),
+  referenceId: Joi.string().max(100).optional(),
+  country: Joi.string().length(2).optional(),
+  resourcesShown: Joi.boolean().optional(),
+  occurredAt: Joi.string().isoDate().optional()
+});
+
+// Texto que se analiza al momento (sentimiento o riesgo de crisis); no se guarda
+export const insightTextSchema = Joi.object({
+  text: Joi.string().trim().min(1).max(10000).required()
+});
+
+// Esquema de validación para enlaces compartidos con profesionales
+export const shareGrantSchema = Joi.object({
+  label: Joi.string().max(100).optional(),
+  categories: Joi.array().items(Joi.string().valid(...SHARE_CATEGORIES)).min(1).unique().required(),
+  from: Joi.date().iso().required(),
+  to: Joi.date().iso().min(Joi.ref('from')).required(),
+  expiresInDays: Joi.number().integer().min(1).max(SHARE_MAX_EXPIRY_DAYS).optional(),
+  entries: Joi.array().items(Joi.object({
+    date: Joi.string().isoDate().required(),
+    mood: Joi.string().max(30).allow('').required(),
+    content: Joi.string().max(2000).allow('').required(),
+    tags: Joi.array().items(Joi.string().max(50)).max(20).optional()
+  })).max(SHARE_MAX_ENTRIES).optional()
+});
+
+// Esquemas del panel clínico: invitaciones del profesional y canje por el paciente
+export const clinicianInviteSchema = Joi.object({
+  label: Joi.string().max(100).optional(),
+  expiresInDays: Joi.number().integer().min(1).max(CLINICIAN_INVITE_EXPIRY_DAYS * 2).optional()
+});
+
+export const clinicianRedeemSchema = Joi.object({
+  code: Joi.string().pattern(/^[A-Za-z0-9]{4}-?[A-Za-z0-9]{4}$/).required(),
+  displayName: Joi.string().min(1).max(100).optional()
+});
+
+// Esquemas de sesiones de ejercicios (duración en segundos, malestar en la escala SUDS 0-10)
+const sudsRating = Joi.number().integer().min(0).max(10).allow(null);
+
+export const exerciseSessionSchema = Joi.object({
+  exerciseType: Joi.string().valid(...EXERCISE_TYPES).required(),
+  exerciseName: Joi.string().max(100).optional(),
+  duration: Joi.number().integer().min(1).max(EXERCISE_MAX_DURATION_SECONDS).required(),
+  moodBefore: sudsRating.optional(),
+  moodAfter: sudsRating.optional(),
+  notes: Joi.string().max(1000).allow('').optional(),
+  tags: Joi.array().items(Joi.string().max(50)).max(20).optional(),
+  isCompleted: Joi.boolean().optional(),
+  startedAt: Joi.string().isoDate().optional(),
+  platform: Joi.string().valid('web', 'mobile').optional()
+});
+
+export const exerciseSessionUpdateSchema = Joi.object({
+  moodAfter: sudsRating.optional(),
+  notes: Joi.string().max(1000).allow('').optional(),
+  tags: Joi.array().items(Joi.string().max(50)).max(20).optional(),
+  isCompleted: Joi.boolean().optional()
+}).min(1);
+
+// Filtros del listado: ?type=breathing&type=grounding&from=...&to=...
+export const exerciseFiltersSchema = Joi.object({
+  type: Joi.array().items(Joi.string().valid(...EXERCISE_TYPES)).single().max(EXERCISE_TYPES.length).unique().optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }).optional(),
+  limit: Joi.number().integer().min(1).max(EXERCISE_MAX_PAGE_SIZE).default(EXERCISE_DEFAULT_PAGE_SIZE),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// Esquemas de suscripciones: solo se pagan los planes de pago
+export const subscriptionCheckoutSchema = Joi.object({
+  plan: Joi.string().valid(...PAID_PLAN_IDS).required()
+});
+
+export const subscriptionRenewalSchema = Joi.object({
+  fail: Joi.boolean().default(false)
+});
+
+// Esquemas del formulario de contacto y sus tickets. `website` es el campo trampa: se acepta
+// para que el servicio descarte el mensaje sin avisar al bot
+export const contactSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+  email: Joi.string().email().required(),
+  phone: Joi.string().pattern(/^[+]?[0-9\s\-()]{7,20}$/).allow('').optional(),
+  subject: Joi.string().valid(...CONTACT_CATEGORIES).required(),
+  message: Joi.string().trim().min(CONTACT_MESSAGE_MIN_LENGTH).max(CONTACT_MESSAGE_MAX_LENGTH).required(),
+  locale: Joi.string().valid('es', 'en').optional(),
+  website: Joi.string().allow('').max(500).optional()
+});
+
+export const ticketLookupSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+export const ticketStatusSchema = Joi.object({
+  status: Joi.string().valid(...TICKET_STATUSES).required(),
+  note: Joi.string().max(1000).allow(null).default(null)
+});
+
+// Hora local "HH:MM" (recordatorios y horas de silencio)
+const timeOfDay = Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/);
+const timeZone = Joi.string().max(64).custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid')));
+const quietHours = Joi.object({
+  start: timeOfDay.required(),
+  end: timeOfDay.required()
+}).allow(null);
+
+// Esquemas de recordatorios y suscripciones push. El recordatorio diario sale de las preferencias
+export const remindersSyncSchema = Joi.object({
+  reminders: Joi.array().items(Joi.object({
+    id: Joi.string().pattern(/^[A-Za-z0-9_-]{1,64}$/).invalid(DAILY_REMINDER_ID).required(),
+    kind: Joi.string().valid('custom', 'smart').required(),
+    time: timeOfDay.required(),
+    days: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().max(7).default([]),
+    enabled: Joi.boolean().default(true),
+    title: Joi.string().trim().min(1).max(120).required(),
+    body: Joi.string().trim().max(300).allow('').default('')
+  })).max(MAX_REMINDERS_PER_USER).unique('id').required(),
+  // El diario puede desactivar el diario o limitarlo a unos días; la hora es la de las preferencias
+  daily: Joi.object({
+    enabled: Joi.boolean().required(),
+    days: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().max(7).default([])
+  }).optional()
+});
+
+export const reminderSnoozeSchema = Joi.object({
+  minutes: Joi.number().valid(...SNOOZE_MINUTES_OPTIONS).optional()
+});
+
+export const reminderActionSchema = Joi.object({
+  token: Joi.string().max(2000).required(),
+  minutes: Joi.number().valid(...SNOOZE_MINUTES_OPTIONS).optional()
+});
+
+export const pushSubscriptionSchema = Joi.object({
+  endpoint: Joi.string().uri({ scheme: ['https'] }).max(2000).required(),
+  keys: Joi.object({
+    p256dh: Joi.string().pattern(/^[A-Za-z0-9_-]+=*$/).max(200).required(),
+    auth: Joi.string().pattern(/^[A-Za-z0-9_-]+=*$/).max(100).required()
+  }).required(),
+  // La suscripción serializada del navegador trae también expirationTime
+  expirationTime: Joi.any().strip()
+});
+
+export const pushUnsubscribeSchema = Joi.object({
+  endpoint: Joi.string().uri({ scheme: ['https'] }).max(2000).required()
+});
+
+// Cerrar sesión en todos los dispositivos (?exceptCurrent=true conserva la sesión actual)
+export const sessionsRevokeSchema = Joi.object({
+  exceptCurrent: Joi.boolean().default(false)
+});
+
+// Verificación en dos pasos: código de la app (6 cifras) o de recuperación (XXXXX-XXXXX)
+const twoFactorCode = Joi.string().trim().max(20);
+
+export const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: twoFactorCode.required()
+});
+
+export const twoFactorCodeSchema = Joi.object({
+  code: twoFactorCode.required()
+});
+
+// Contraseña o código, según tenga activada la verificación en dos pasos
+export const reauthenticateSchema = Joi.object({
+  password: Joi.string().max(128),
+  code: twoFactorCode
+}).xor('password', 'code');
+
 // Esquemas de validación para usuarios
 export const userSchema = Joi.object({
   email: Joi.string().email().required(),
@@ -38,8 +273,9 @@ export const userSchema = Joi.object({
     theme: Joi.string().valid('light', 'dark', 'auto').optional(),
     notifications: Joi.boolean().optional(),
     language: Joi.string().valid('es', 'en').optional(),
-    timezone: Joi.string().optional(),
-    reminderTime: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).optional(),
+    timezone: timeZone.optional(),
+    reminderTime: timeOfDay.optional(),
+    quietHours: quietHours.optional(),
     weeklyReport: Joi.boolean().optional(),
     motivationalMessages: Joi.boolean().optional(),
     dataSharing: Joi.boolean().optional()
@@ -60,8 +296,9 @@ export const userUpdateSchema = Joi.object({
     theme: Joi.string().valid('light', 'dark', 'auto').optional(),
     notifications: Joi.boolean().optional(),
     language: Joi.string().valid('es', 'en').optional(),
-    timezone: Joi.string().optional(),
-    reminderTime: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).optional(),
+    timezone: timeZone.optional(),
+    reminderTime: timeOfDay.optional(),
+    quietHours: quietHours.optional(),
     weeklyReport: Joi.boolean().optional(),
     motivationalMessages: Joi.boolean().optional(),
     dataSharing: Joi.boolean().optional()
@@ -74,33 +311,19 @@ export const userUpdateSchema = Joi.object({
   }).optional()
 });
 
-// Funciones de validación específicas para tests
-export const validateGAD7Answers = (answers: number[]): void => {
-  if (answers.length !== 7) {
-    throw new Error('GAD-7 requiere exactamente 7 respuestas');
-  }
-  if (answers.some(answer => answer < 0 || answer > 3)) {
-    throw new Error('Las respuestas de GAD-7 deben estar entre 0 y 3');
+// Funciones de validación específicas para tests (delegan en el motor de cuestionarios)
+export const validateTestAnswers = (testType: TestType, answers: number[]): void => {
+  const errors = questionnaireEngine.validateAnswers(testType, answers);
+  if (errors.length > 0) {
+    throw new Error(errors.join(', '));
   }
 };
 
-export const validatePHQ9Answers = (answers: number[]): void => {
-  if (answers.length !== 9) {
-    throw new Error('PHQ-9 requiere exactamente 9 respuestas');
-  }
-  if (answers.some(answer => answer < 0 || answer > 3)) {
-    throw new Error('Las respuestas de PHQ-9 deben estar entre 0 y 3');
-  }
-};
+export const validateGAD7Answers = (answers: number[]): void => validateTestAnswers('gad7', answers);
 
-export const validatePSSAnswers = (answers: number[]): void => {
-  if (answers.length !== 10) {
-    throw new Error('PSS requiere exactamente 10 respuestas');
-  }
-  if (answers.some(answer => answer < 0 || answer > 4)) {
-    throw new Error('Las respuestas de PSS deben estar entre 0 y 4');
-  }
-};
+export const validatePHQ9Answers = (answers: number[]): void => validateTestAnswers('phq9', answers);
+
+export const validatePSSAnswers = (answers: number[]): void => validateTestAnswers('pss', answers);
 
 // Función genérica de validación
 export const validateData = (data: any, schema: Joi.ObjectSchema): any => {
@@ -131,8 +354,49 @@ export const validateRequest = (schema: Joi.ObjectSchema) => {
   };
 };
 
+// Igual que validateRequest pero para los parámetros de la URL (los deja ya convertidos)
+export const validateQuery = (schema: Joi.ObjectSchema) => {
+  return (req: any, res: any, next: any) => {
+    try {
+      req.query = validateData(req.query, schema);
+      next();
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Error de validación',
+        message: error instanceof Error ? error.message : 'Parámetros inválidos'
+      });
+    }
+  };
+};
+
 // Validaciones específicas
 export const validateDiaryEntry = validateRequest(diaryEntrySchema);
+export const validateDiaryEncryption = validateRequest(diaryEncryptionSchema);
+export const validateDiaryFilters = validateQuery(diaryFiltersSchema);
+export const validateDiaryCorrelations = validateQuery(diaryCorrelationsSchema);
 export const validateEvaluation = validateRequest(evaluationSchema);
+export const validateCrisisEvent = validateRequest(crisisEventSchema);
+export const validateShareGrant = validateRequest(shareGrantSchema);
+export const validateClinicianInvite = validateRequest(clinicianInviteSchema);
+export const validateClinicianRedeem = validateRequest(clinicianRedeemSchema);
+export const validateExerciseSession = validateRequest(exerciseSessionSchema);
+export const validateExerciseSessionUpdate = validateRequest(exerciseSessionUpdateSchema);
+export const validateExerciseFilters = validateQuery(exerciseFiltersSchema);
+export const validateInsightText = validateRequest(insightTextSchema);
+export const validateSubscriptionCheckout = validateRequest(subscriptionCheckoutSchema);
+export const validateSubscriptionRenewal = validateRequest(subscriptionRenewalSchema);
+export const validateContact = validateRequest(contactSchema);
+export const validateTicketLookup = validateQuery(ticketLookupSchema);
+export const validateTicketStatus = validateRequest(ticketStatusSchema);
+export const validateRemindersSync = validateRequest(remindersSyncSchema);
+export const validateReminderSnooze = validateRequest(reminderSnoozeSchema);
+export const validateReminderAction = validateRequest(reminderActionSchema);
+export const validatePushSubscription = validateRequest(pushSubscriptionSchema);
+export const validatePushUnsubscribe = validateRequest(pushUnsubscribeSchema);
+export const validateSessionsRevoke = validateQuery(sessionsRevokeSchema);
+export const validateTwoFactorLogin = validateRequest(twoFactorLoginSchema);
+export const validateTwoFactorCode = validateRequest(twoFactorCodeSchema);
+export const validateReauthenticate = validateRequest(reauthenticateSchema);
 export const validateUser = validateRequest(userSchema);
 export const validateUserUpdate = validateRequest(userUpdateSchema);
\ No newline at end of file
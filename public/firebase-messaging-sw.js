@@ -13,6 +13,22 @@ const firebaseConfig = {
     measurementId: "G-L9YHW52ZSK"
 };
 
+// Recordatorios del diario (Web Push propio, no FCM). Se registran antes que Firebase
+// Messaging para que sus mensajes no lleguen a su manejador
+importScripts('/reminder-push.js');
+
+self.addEventListener('push', function(event) {
+    if (self.SensusReminderPush.handlePush(event)) {
+        event.stopImmediatePropagation();
+    }
+});
+
+self.addEventListener('notificationclick', function(event) {
+    if (self.SensusReminderPush.handleNotificationClick(event)) {
+        event.stopImmediatePropagation();
+    }
+});
+
 // Inicializar Firebase
 firebase.initializeApp(firebaseConfig);
 
@@ -0,0 +1,160 @@
+/**
+ * Sensus Offline Outbox
+ * Cola persistente en IndexedDB de escrituras pendientes de sincronizar
+ * (entradas del diario, niveles de ansiedad, sesiones de ejercicio y evaluaciones).
+ * Script clásico: lo cargan las páginas y el service worker (importScripts).
+ */
+
+(function (scope) {
+  const DB_NAME = 'sensus-offline';
+  const DB_VERSION = 1;
+  const STORE = 'outbox';
+
+  // Tras este número de intentos fallidos el elemento queda como 'failed' hasta reintento manual
+  const MAX_ATTEMPTS = 8;
+  const BASE_DELAY_MS = 5000;
+  const MAX_DELAY_MS = 60 * 60 * 1000;
+
+  let dbPromise = null;
+
+  function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'id' });
+          store.createIndex('status', 'status');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return dbPromise;
+  }
+
+  function run(mode, operation) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE, mode);
+      const request = operation(transaction.objectStore(STORE));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+    }));
+  }
+
+  function generateId() {
+    if (scope.crypto && scope.crypto.randomUUID) {
+      return scope.crypto.randomUUID();
+    }
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  // Espera exponencial: 5s, 10s, 20s... hasta un máximo de 1 hora
+  function nextDelay(attempts) {
+    return Math.min(BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_DELAY_MS);
+  }
+
+  const SensusOutbox = {
+    MAX_ATTEMPTS,
+
+    /**
+     * Añadir una escritura a la cola.
+     * El id del elemento se usa como id del documento para que reintentar sea idempotente.
+     */
+    enqueue(kind, payload, options = {}) {
+      const now = Date.now();
+      const item = {
+        id: generateId(),
+        kind,
+        payload,
+        // Para actualizaciones: documento afectado y versión sobre la que se editó
+        entityId: options.entityId || null,
+        baseVersion: options.baseVersion !== undefined ? options.baseVersion : null,
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        remote: null,
+        createdAt: now,
+        nextAttemptAt: now
+      };
+
+      return run('readwrite', store => store.put(item)).then(() => item);
+    },
+
+    getAll() {
+      return run('readonly', store => store.getAll()).then(items =>
+        (items || []).sort((a, b) => a.createdAt - b.createdAt)
+      );
+    },
+
+    // Elementos pendientes cuyo tiempo de espera ya ha vencido
+    getReady(now = Date.now()) {
+      return this.getAll().then(items =>
+        items.filter(item => item.status === 'pending' && item.nextAttemptAt <= now)
+      );
+    },
+
+    get(id) {
+      return run('readonly', store => store.get(id));
+    },
+
+    put(item) {
+      return run('readwrite', store => store.put(item)).then(() => item);
+    },
+
+    remove(id) {
+      return run('readwrite', store => store.delete(id));
+    },
+
+    // Registrar un intento fallido con su siguiente reintento
+    markFailed(item, error) {
+      const attempts = item.attempts + 1;
+      return this.put({
+        ...item,
+        attempts,
+        lastError: error && error.message ? error.message : String(error),
+        status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+        nextAttemptAt: Date.now() + nextDelay(attempts)
+      });
+    },
+
+    // La versión remota cambió desde que se editó: se conserva el cambio local para que el usuario decida
+    markConflict(item, remote) {
+      return this.put({ ...item, status: 'conflict', remote: remote || null });
+    },
+
+    // Volver a poner en cola un elemento fallido o en conflicto
+    retry(id, changes = {}) {
+      return this.get(id).then(item => {
+        if (!item) return null;
+        return this.put({
+          ...item,
+          ...changes,
+          status: 'pending',
+          attempts: 0,
+          lastError: null,
+          remote: null,
+          nextAttemptAt: Date.now()
+        });
+      });
+    },
+
+    counts() {
+      return this.getAll().then(items => items.reduce((counts, item) => {
+        counts[item.status] = (counts[item.status] || 0) + 1;
+        counts.total++;
+        return counts;
+      }, { total: 0, pending: 0, failed: 0, conflict: 0 }));
+    }
+  };
+
+  scope.SensusOutbox = SensusOutbox;
+})(self);
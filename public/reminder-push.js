@@ -0,0 +1,98 @@
+/**
+ * Sensus Reminder Push
+ * Notificaciones de los recordatorios del diario que envía el servidor por push
+ * (mensajes con type 'sensus-reminder'): las muestra con las acciones "Escribir ahora" y
+ * "Posponer", y pospone el recordatorio en la API con el token que trae cada aviso.
+ * Script clásico: lo cargan los service workers (importScripts).
+ */
+
+(function (scope) {
+  const MESSAGE_TYPE = 'sensus-reminder';
+  const SNOOZE_URL = '/api/v1/reminders/actions/snooze';
+
+  const LABELS = {
+    es: { write: 'Escribir ahora', snooze: 'Posponer {minutes} min' },
+    en: { write: 'Write now', snooze: 'Snooze {minutes} min' }
+  };
+
+  function readPayload(event) {
+    if (!event.data) return null;
+
+    try {
+      const data = event.data.json();
+      return data && data.type === MESSAGE_TYPE ? data : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function showReminder(data) {
+    const labels = LABELS[data.locale] || LABELS.es;
+
+    return scope.registration.showNotification(data.title, {
+      body: data.body,
+      icon: '/icons/icon-192x192.png',
+      badge: '/icons/badge-72x72.png',
+      // Un aviso nuevo del mismo recordatorio sustituye al anterior
+      tag: `sensus-reminder-${data.reminderId}`,
+      renotify: true,
+      data,
+      actions: [
+        { action: 'write', title: labels.write },
+        { action: 'snooze', title: labels.snooze.replace('{minutes}', data.snoozeMinutes) }
+      ]
+    });
+  }
+
+  // Reutiliza una pestaña abierta de Sensus si la hay
+  function openDiary(url) {
+    return scope.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windowClients => {
+      const client = windowClients.find(item => new URL(item.url).origin === scope.location.origin);
+
+      if (client && 'navigate' in client) {
+        return client.navigate(url).then(navigated => (navigated || client).focus());
+      }
+      return scope.clients.openWindow(url);
+    });
+  }
+
+  function snooze(data) {
+    return fetch(SNOOZE_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: data.actionToken, minutes: data.snoozeMinutes })
+    }).then(response => {
+      if (!response.ok) {
+        throw new Error(`Respuesta ${response.status}`);
+      }
+      console.log('⏰ Recordatorio pospuesto:', data.reminderId);
+    }).catch(error => {
+      console.error('❌ No se pudo posponer el recordatorio:', error);
+    });
+  }
+
+  const SensusReminderPush = {
+    /**
+     * Gestiona el evento push si es un recordatorio. Devuelve false para que el service
+     * worker trate el resto de mensajes como siempre
+     */
+    handlePush(event) {
+      const data = readPayload(event);
+      if (!data) return false;
+
+      event.waitUntil(showReminder(data));
+      return true;
+    },
+
+    handleNotificationClick(event) {
+      const data = event.notification.data;
+      if (!data || data.type !== MESSAGE_TYPE) return false;
+
+      event.notification.close();
+      event.waitUntil(event.action === 'snooze' ? snooze(data) : openDiary(data.url));
+      return true;
+    }
+  };
+
+  scope.SensusReminderPush = SensusReminderPush;
+})(self);
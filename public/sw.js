@@ -3,6 +3,11 @@
  * Estrategia de caché optimizada
  */
 
+// Cola offline compartida con las páginas (IndexedDB)
+importScripts('/offline-outbox.js');
+// Notificaciones de los recordatorios que envía el servidor
+importScripts('/reminder-push.js');
+
 const CACHE_NAME = 'sensus-v1.0.0';
 const STATIC_CACHE = 'sensus-static-v1.0.0';
 const DYNAMIC_CACHE = 'sensus-dynamic-v1.0.0';
@@ -16,7 +21,9 @@ const CRITICAL_RESOURCES = [
   '/src/js/modules/auth.js',
   '/src/js/modules/theme.js',
   '/css/main.css',
-  '/manifest.json'
+  '/manifest.json',
+  '/offline-outbox.js',
+  '/reminder-push.js'
 ];
 
 // Recursos estáticos para caché
@@ -28,6 +35,9 @@ const STATIC_RESOURCES = [
   '/icons/'
 ];
 
+// Directorio de líneas de ayuda: se precachea para que el panel de crisis funcione sin conexión
+const CRISIS_RESOURCES_URL = '/api/v1/crisis/resources';
+
 // Patrones de API para caché
 const API_PATTERNS = [
   '/api/v1/users/profile',
@@ -68,6 +78,13 @@ self.addEventListener('install', (event) => {
       caches.open(DYNAMIC_CACHE).then(cache => {
         console.log('📦 Cachéando recursos estáticos...');
         return cache.addAll(STATIC_RESOURCES);
+      }),
+      
+      // Recursos de crisis (un fallo de red no debe impedir la instalación)
+      caches.open(API_CACHE).then(cache => {
+        return cache.add(CRISIS_RESOURCES_URL).catch(error => {
+          console.warn('⚠️ No se pudieron precachear los recursos de crisis:', error);
+        });
       })
     ]).then(() => {
       console.log('✅ Service Worker instalado');
@@ -116,6 +133,11 @@ self.addEventListener('fetch', (event) => {
 function determineCacheStrategy(request) {
   const url = new URL(request.url);
   
+  // Recursos de crisis
+  if (url.pathname === CRISIS_RESOURCES_URL) {
+    return 'crisis';
+  }
+  
   // Recursos críticos
   if (CRITICAL_RESOURCES.some(resource => url.pathname === resource)) {
     return 'critical';
@@ -154,6 +176,9 @@ async function handleRequest(request, strategy) {
     case 'api':
       return networkFirst(request, API_CACHE);
     
+    case 'crisis':
+      return crisisResources(request);
+    
     case 'images':
       return cacheFirstWithValidation(request, DYNAMIC_CACHE);
     
@@ -245,6 +270,39 @@ async function networkFirst(request, cacheName) {
   }
 }
 
+/**
+ * Recursos de crisis: red primero para tener la lista actualizada y,
+ * sin conexión, la copia cacheada (el directorio completo sirve para cualquier país)
+ */
+async function crisisResources(request) {
+  const cache = await caches.open(API_CACHE);
+  
+  try {
+    const networkResponse = await fetch(request);
+    if (networkResponse.ok) {
+      cache.put(request, networkResponse.clone());
+    }
+    return networkResponse;
+  } catch (error) {
+    const cachedResponse = await cache.match(request) ||
+      await cache.match(CRISIS_RESOURCES_URL);
+    
+    if (cachedResponse) {
+      console.log('📦 Recursos de crisis servidos desde caché');
+      return cachedResponse;
+    }
+    
+    return new Response(JSON.stringify({
+      success: false,
+      error: 'Sin conexión',
+      message: 'Recursos de crisis no disponibles sin conexión'
+    }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
 /**
  * Estrategia: Cache First con Validación
  */
@@ -362,10 +420,61 @@ async function preloadResources(resources) {
   await Promise.allSettled(preloadPromises);
 }
 
+/**
+ * Background Sync de la cola offline
+ */
+const OUTBOX_SYNC_TAG = 'sensus-outbox';
+const OUTBOX_REPLAY_TIMEOUT = 30000;
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    event.waitUntil(replayOutbox());
+  }
+});
+
+/**
+ * Reenviar la cola offline.
+ * Las escrituras usan la sesión del SDK de Firebase, que vive en la página: el
+ * service worker pide a una pestaña abierta que reenvíe la cola y espera su
+ * respuesta. Si no hay pestañas o quedan elementos, se rechaza para que el
+ * navegador reprograme el sync; la página también reenvía al volver la conexión.
+ */
+async function replayOutbox() {
+  const ready = await self.SensusOutbox.getReady();
+  if (ready.length === 0) {
+    return;
+  }
+  
+  const windowClients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (windowClients.length === 0) {
+    throw new Error('Sin pestañas abiertas para sincronizar la cola');
+  }
+  
+  const counts = await new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const timeout = setTimeout(() => reject(new Error('Tiempo de sincronización agotado')), OUTBOX_REPLAY_TIMEOUT);
+    
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timeout);
+      resolve(event.data);
+    };
+    windowClients[0].postMessage({ type: 'OUTBOX_REPLAY' }, [channel.port2]);
+  });
+  
+  console.log('🔄 Cola offline sincronizada:', counts);
+  
+  const remaining = await self.SensusOutbox.getReady(Date.now() + OUTBOX_REPLAY_TIMEOUT);
+  if (remaining.length > 0) {
+    throw new Error('Quedan elementos pendientes en la cola');
+  }
+}
+
 /**
  * Manejar notificaciones push
  */
 self.addEventListener('push', (event) => {
+  if (self.SensusReminderPush.handlePush(event)) return;
+
   if (event.data) {
     const data = event.data.json();
     
@@ -388,6 +497,8 @@ self.addEventListener('push', (event) => {
  * Manejar clics en notificaciones
  */
 self.addEventListener('notificationclick', (event) => {
+  if (self.SensusReminderPush.handleNotificationClick(event)) return;
+
   event.notification.close();
   
   const urlToOpen = event.notification.data?.url || '/';
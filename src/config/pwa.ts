@@ -53,7 +53,6 @@ export const PWA_CONFIG = {
     '/src/js/core/core.js',
     '/src/js/core/header-interactions.js',
     '/src/js/modules/auth.js',
-    '/src/js/modules/auth-enhanced.js',
     '/src/js/modules/ui-interactions.js',
     '/src/js/pages/homepage.js',
     '/src/js/pages/diary-wellness.js',
@@ -1 +1,29 @@
-/// <reference path="../.astro/types.d.ts" />
\ No newline at end of file
+/// <reference path="../.astro/types.d.ts" />
+
+interface Window {
+  // Motor de cuestionarios compartido con el backend (ver backend/src/shared)
+  SensusQuestionnaires: typeof import('../backend/src/shared/questionnaire.engine').default;
+  // Panel de recursos de crisis (src/js/modules/crisis-support.js)
+  crisisSupport: InstanceType<typeof import('./js/modules/crisis-support.js').default>;
+  // Cifrado de extremo a extremo del diario (src/js/modules/diary-crypto.js)
+  diaryCrypto: InstanceType<typeof import('./js/modules/diary-crypto.js').default>;
+  // Cola offline en IndexedDB (public/offline-outbox.js) y su sincronización
+  SensusOutbox: any;
+  offlineSync: InstanceType<typeof import('./js/modules/offline-sync.js').default>;
+  // Informe de bienestar en PDF (src/js/modules/pdf-report.js)
+  pdfReport: InstanceType<typeof import('./js/modules/pdf-report.js').default>;
+  // Enlaces de solo lectura para profesionales (src/js/modules/clinician-share.js)
+  clinicianShare: InstanceType<typeof import('./js/modules/clinician-share.js').default>;
+  // Estado compartido y persistido del diario (src/js/modules/diary/store.js)
+  diaryStore: InstanceType<typeof import('./js/modules/diary/store.js').default>;
+  // Listado del diario paginado por cursor (src/js/modules/diary-feed.js)
+  DiaryFeed: typeof import('./js/modules/diary-feed.js').default;
+  // Carga bajo demanda de módulos (src/js/core/bundle-optimizer.js)
+  bundleOptimizer: InstanceType<typeof import('./js/core/bundle-optimizer.js').default>;
+  // Reproductor de ejercicios guiados (src/js/modules/exercise-player.js)
+  ExercisePlayer: typeof import('./js/modules/exercise-player.js').default;
+  // Idioma, traducciones y formato de fechas y números (src/js/modules/i18n.js)
+  i18n: InstanceType<typeof import('./js/modules/i18n.js').default>;
+  // Funciones del plan, pago y aviso de mejora de plan (src/js/modules/entitlements.js)
+  entitlements: InstanceType<typeof import('./js/modules/entitlements.js').default>;
+}
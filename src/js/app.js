@@ -3,6 +3,8 @@
  * Versión simplificada y funcional
  */
 
+import authClient from './modules/auth.js';
+
 class SensusApp {
   constructor() {
     this.isInitialized = false;
@@ -46,26 +48,44 @@ class SensusApp {
       }
     });
 
-    // Botones de autenticación
-    document.addEventListener('click', (e) => {
-      if (e.target.matches('[data-auth="login"]')) {
-        this.showLoginModal();
-      } else if (e.target.matches('[data-auth="register"]')) {
-        this.showRegisterModal();
-      } else if (e.target.matches('[data-auth="logout"]')) {
-        this.logout();
-      }
-    });
+    // Botones y formularios de autenticación (con el EventManager cargado los traduce él)
+    if (!window.SensusEventManager) {
+      document.addEventListener('click', (e) => {
+        if (e.target.matches('[data-auth="login"]')) {
+          this.emit('auth:showLogin');
+        } else if (e.target.matches('[data-auth="register"]')) {
+          this.emit('auth:showRegister');
+        } else if (e.target.matches('[data-auth="logout"]')) {
+          this.emit('auth:logoutRequest');
+        }
+      });
 
-    // Formularios de autenticación
-    document.addEventListener('submit', (e) => {
-      if (e.target.matches('#login-form')) {
-        e.preventDefault();
-        this.handleLogin(e.target);
-      } else if (e.target.matches('#register-form')) {
-        e.preventDefault();
-        this.handleRegister(e.target);
-      }
+      document.addEventListener('submit', (e) => {
+        if (e.target.matches('#login-form')) {
+          e.preventDefault();
+          this.emit('auth:loginRequest', { form: e.target });
+        } else if (e.target.matches('#register-form')) {
+          e.preventDefault();
+          this.emit('auth:registerRequest', { form: e.target });
+        } else if (e.target.matches('#two-factor-form')) {
+          e.preventDefault();
+          this.emit('auth:twoFactorRequest', { form: e.target });
+        }
+      });
+    }
+
+    // Peticiones de autenticación de la interfaz (contrato en modules/auth.js)
+    window.addEventListener('auth:showLogin', () => this.showLoginModal());
+    window.addEventListener('auth:showRegister', () => this.showRegisterModal());
+    window.addEventListener('auth:logoutRequest', () => this.logout());
+    window.addEventListener('auth:loginRequest', (e) => this.handleLogin(e.detail.form));
+    window.addEventListener('auth:registerRequest', (e) => this.handleRegister(e.detail.form));
+    window.addEventListener('auth:twoFactorRequest', (e) => this.handleTwoFactor(e.detail.form));
+
+    // Contraseña correcta con la verificación en dos pasos activada: se pide el código
+    window.addEventListener('auth:twoFactorRequired', () => {
+      this.switchAuthTab('two-factor');
+      document.getElementById('two-factor-code')?.focus();
     });
 
     // Cerrar modales
@@ -74,30 +94,21 @@ class SensusApp {
         this.hideAuthModal();
       }
     });
-  }
 
-  initializeComponents() {
-    // Verificar autenticación guardada
-    this.checkStoredAuth();
-    
-    // Actualizar UI de autenticación
-    this.updateAuthUI();
+    // Sesión caducada o revocada desde otro dispositivo
+    window.addEventListener('auth:logout', (e) => {
+      if (e.detail.reason === 'expired') {
+        this.showMessage(window.i18n.t('auth.sessionExpired'), 'error');
+      }
+    });
   }
 
-  checkStoredAuth() {
-    const token = localStorage.getItem('sensus-token');
-    const user = localStorage.getItem('sensus-user');
-    
-    if (token && user) {
-      try {
-        this.user = JSON.parse(user);
-        this.token = token;
-        console.log('👤 Usuario autenticado desde almacenamiento');
-      } catch (error) {
-        console.warn('⚠️ Error cargando autenticación:', error);
-        this.clearAuth();
-      }
-    }
+  initializeComponents() {
+    // Estado de la sesión (el cliente de autenticación lo confirma con el proveedor)
+    authClient.subscribe((state) => {
+      this.user = state.user;
+      this.updateAuthUI();
+    });
   }
 
   showLoginModal() {
@@ -128,9 +139,9 @@ class SensusApp {
     document.querySelectorAll('.auth-tab').forEach(t => t.classList.remove('active'));
     document.querySelectorAll('.auth-form').forEach(f => f.classList.remove('active'));
     
-    // Activar tab seleccionado
+    // Activar tab seleccionado (el código de la verificación en dos pasos sigue en "Iniciar sesión")
     const activeTab = Array.from(document.querySelectorAll('.auth-tab'))
-      .find(t => t.textContent.toLowerCase().includes(tab === 'login' ? 'iniciar' : 'registrarse'));
+      .find(t => t.textContent.toLowerCase().includes(tab === 'register' ? 'registrarse' : 'iniciar'));
     
     if (activeTab) {
       activeTab.classList.add('active');
@@ -144,124 +155,60 @@ class SensusApp {
   }
 
   async handleLogin(form) {
-    const formData = new FormData(form);
-    const email = formData.get('email');
-    const password = formData.get('password');
-    
-    if (!email || !password) {
-      this.showMessage('Por favor completa todos los campos', 'error');
-      return;
-    }
-
     try {
       this.showLoading(form, true);
-      
-      const response = await fetch('/api/v1/users/login', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ email, password })
-      });
-
-      const data = await response.json();
+      const user = await authClient.login(Object.fromEntries(new FormData(form)));
+      // Sin usuario falta el código: el modal sigue abierto en su formulario
+      if (!user) return;
 
-      if (data.success) {
-        this.setAuth(data.data.token, data.data.user);
-        this.hideAuthModal();
-        this.showMessage('¡Bienvenido de vuelta!', 'success');
-      } else {
-        this.showMessage(data.message || 'Error en el login', 'error');
-      }
+      this.hideAuthModal();
+      this.showMessage(window.i18n.t('auth.welcome'), 'success');
     } catch (error) {
-      console.error('Error en login:', error);
-      this.showMessage('Error de conexión. Intenta nuevamente.', 'error');
+      this.showMessage(error.message, 'error');
     } finally {
       this.showLoading(form, false);
     }
   }
 
   async handleRegister(form) {
-    const formData = new FormData(form);
-    const firstName = formData.get('firstName');
-    const lastName = formData.get('lastName');
-    const email = formData.get('email');
-    const password = formData.get('password');
-    const confirmPassword = formData.get('confirmPassword');
-    
-    if (!firstName || !lastName || !email || !password || !confirmPassword) {
-      this.showMessage('Por favor completa todos los campos', 'error');
-      return;
-    }
-
-    if (password !== confirmPassword) {
-      this.showMessage('Las contraseñas no coinciden', 'error');
-      return;
-    }
-
-    if (password.length < 8) {
-      this.showMessage('La contraseña debe tener al menos 8 caracteres', 'error');
-      return;
+    try {
+      this.showLoading(form, true);
+      await authClient.register(Object.fromEntries(new FormData(form)));
+      this.hideAuthModal();
+      this.showMessage(window.i18n.t('auth.registered'), 'success');
+    } catch (error) {
+      this.showMessage(error.message, 'error');
+    } finally {
+      this.showLoading(form, false);
     }
+  }
 
+  async handleTwoFactor(form) {
     try {
       this.showLoading(form, true);
-      
-      const response = await fetch('/api/v1/users/register', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          firstName,
-          lastName,
-          email,
-          password
-        })
-      });
-
-      const data = await response.json();
+      const { recoveryCodesRemaining } = await authClient.verifyTwoFactor(new FormData(form).get('code') || '');
+      form.reset();
+      this.hideAuthModal();
+      this.showMessage(window.i18n.t('auth.welcome'), 'success');
 
-      if (data.success) {
-        this.setAuth(data.data.token, data.data.user);
-        this.hideAuthModal();
-        this.showMessage('¡Cuenta creada exitosamente!', 'success');
-      } else {
-        this.showMessage(data.message || 'Error en el registro', 'error');
+      if (recoveryCodesRemaining !== null && recoveryCodesRemaining !== undefined) {
+        this.showMessage(window.i18n.t('auth.twoFactor.recoveryCodeUsed', { count: recoveryCodesRemaining }), 'success');
       }
     } catch (error) {
-      console.error('Error en registro:', error);
-      this.showMessage('Error de conexión. Intenta nuevamente.', 'error');
+      this.showMessage(error.message, 'error');
+      if (error.code === 'challenge_expired') this.switchAuthTab('login');
     } finally {
       this.showLoading(form, false);
     }
   }
 
-  setAuth(token, user) {
-    this.token = token;
-    this.user = user;
-    
-    // Guardar en localStorage
-    localStorage.setItem('sensus-token', token);
-    localStorage.setItem('sensus-user', JSON.stringify(user));
-    
-    // Actualizar UI
-    this.updateAuthUI();
-  }
-
-  logout() {
-    this.clearAuth();
-    this.updateAuthUI();
-    this.showMessage('Sesión cerrada exitosamente', 'success');
+  async logout() {
+    await authClient.logout();
+    this.showMessage(window.i18n.t('auth.loggedOut'), 'success');
   }
 
-  clearAuth() {
-    this.token = null;
-    this.user = null;
-    
-    // Limpiar localStorage
-    localStorage.removeItem('sensus-token');
-    localStorage.removeItem('sensus-user');
+  emit(event, detail = null) {
+    window.dispatchEvent(new CustomEvent(event, { detail }));
   }
 
   updateAuthUI() {
@@ -311,6 +258,8 @@ class SensusApp {
           submitBtn.innerHTML = '<i class="fas fa-sign-in-alt"></i> Iniciar Sesión';
         } else if (form.id === 'register-form') {
           submitBtn.innerHTML = '<i class="fas fa-user-plus"></i> Crear Cuenta';
+        } else if (form.id === 'two-factor-form') {
+          submitBtn.innerHTML = '<i class="fas fa-shield-alt"></i> Verificar';
         }
       }
     }
@@ -60,8 +60,10 @@ class SensusApp {
     // Aplicar tema
     this.applyTheme(this.config.theme);
     
-    // Aplicar idioma
-    this.applyLanguage(this.config.language);
+    // Aplicar idioma (con el módulo de idioma cargado, él decide el idioma inicial)
+    if (!window.i18n) {
+      this.applyLanguage(this.config.language);
+    }
   }
 
   /**
@@ -125,7 +127,7 @@ class SensusApp {
       this.handleThemeChange(event.detail);
     });
 
-    // Event listeners de autenticación
+    // Avisos de autenticación (contrato en modules/auth.js)
     window.addEventListener('auth:login', (event) => {
       this.handleAuthLogin(event.detail);
     });
@@ -148,9 +150,18 @@ class SensusApp {
    * Aplicar idioma
    */
   applyLanguage(language) {
-    document.documentElement.setAttribute('lang', language);
     this.config.language = language;
     this.saveConfig();
+
+    // Traducir la página y guardar el idioma en el perfil (src/js/modules/i18n.js)
+    if (window.i18n) {
+      if (window.i18n.locale !== language) {
+        window.i18n.setLocale(language);
+      }
+      return;
+    }
+
+    document.documentElement.setAttribute('lang', language);
   }
 
   /**
@@ -165,16 +176,14 @@ class SensusApp {
    * Manejar login
    */
   handleAuthLogin(detail) {
-    console.log('🔐 Usuario autenticado:', detail);
-    this.emit('auth:success', detail);
+    console.log('🔐 Sesión iniciada');
   }
 
   /**
-   * Manejar logout
+   * Manejar logout (auth:logout es un aviso: volver a emitirlo lo repetiría sin fin)
    */
   handleAuthLogout(detail) {
-    console.log('🚪 Usuario desautenticado:', detail);
-    this.emit('auth:logout', detail);
+    console.log('🚪 Usuario desautenticado:', detail.reason);
   }
 
   /**
@@ -5,6 +5,8 @@
 
 class BundleOptimizer {
   constructor() {
+    // Las rutas de los chunks son relativas a src/js (p. ej. 'modules/diary/goals.js')
+    this.basePath = '/src/js/';
     this.loadedChunks = new Set();
     this.chunkCache = new Map();
     this.preloadQueue = [];
@@ -61,19 +63,9 @@ class BundleOptimizer {
    * Configurar code splitting
    */
   setupCodeSplitting() {
-    // Definir chunks críticos
-    this.criticalChunks = [
-      'core/app.js',
-      'modules/auth.js',
-      'modules/theme.js'
-    ];
-
-    // Definir chunks no críticos
-    this.nonCriticalChunks = [
-      'modules/analytics.js',
-      'modules/performance.js',
-      'modules/offline.js'
-    ];
+    // Sin chunks globales: cada página carga los suyos bajo demanda con loadChunk
+    this.criticalChunks = [];
+    this.nonCriticalChunks = [];
 
     // Cargar chunks críticos inmediatamente
     this.loadCriticalChunks();
@@ -110,7 +102,7 @@ class BundleOptimizer {
     try {
       console.log(`📦 Cargando chunk: ${chunkPath}`);
       
-      const module = await import(`/${chunkPath}`);
+      const module = await import(/* @vite-ignore */ `${this.basePath}${chunkPath}`);
       this.loadedChunks.add(chunkPath);
       this.chunkCache.set(chunkPath, module);
       
@@ -3,6 +3,13 @@
  * Sistema centralizado para manejar todos los botones de la aplicación
  */
 
+// Petición que emite cada botón de autenticación (contrato de modules/auth.js)
+const AUTH_BUTTON_EVENTS = {
+    login: 'auth:showLogin',
+    register: 'auth:showRegister',
+    logout: 'auth:logoutRequest'
+};
+
 class ButtonManager {
     constructor() {
         this.buttons = new Map();
@@ -15,6 +22,7 @@ class ButtonManager {
         this.setupButtonStates();
         this.setupButtonAnimations();
         this.setupButtonAccessibility();
+        this.setupAuthState();
         console.log('✅ Button Manager inicializado');
     }
 
@@ -128,6 +136,23 @@ class ButtonManager {
         });
     }
 
+    /**
+     * Mostrar u ocultar los botones de autenticación según la sesión
+     */
+    setupAuthState() {
+        window.addEventListener('auth:change', (e) => {
+            const { status } = e.detail.state;
+            if (status === 'loading') return;
+
+            this.buttons.forEach((button, buttonId) => {
+                if (!button.authType) return;
+
+                const visible = (button.authType === 'logout') === (status === 'authenticated');
+                this.setButtonState(buttonId, visible ? 'default' : 'hidden');
+            });
+        });
+    }
+
     /**
      * Registrar botón
      */
@@ -162,7 +187,13 @@ class ButtonManager {
      * Configurar botón de autenticación
      */
     setupAuthButton(selector, type) {
-        const buttonId = this.registerButton(selector);
+        const event = AUTH_BUTTON_EVENTS[type];
+        if (!event) {
+            console.warn(`⚠️ Tipo de botón de autenticación desconocido: ${type}`);
+            return;
+        }
+
+        const buttonId = this.registerButton(selector, { authType: type });
         if (!buttonId) return;
 
         const button = this.buttons.get(buttonId);
@@ -170,7 +201,7 @@ class ButtonManager {
         // Agregar event listener
         button.element.addEventListener('click', (e) => {
             e.preventDefault();
-            this.emit('auth:show' + type.charAt(0).toUpperCase() + type.slice(1));
+            this.emit(event);
         });
 
         // Agregar clases específicas
@@ -401,6 +432,8 @@ class ButtonManager {
     emit(event, data) {
         if (window.SensusEventManager) {
             window.SensusEventManager.emit(event, data);
+        } else {
+            window.dispatchEvent(new CustomEvent(event, { detail: data }));
         }
     }
 }
@@ -46,7 +46,7 @@ class EventManager {
      * Configurar eventos delegados
      */
     setupDelegatedEvents() {
-        // Botones de autenticación
+        // Botones de autenticación (peticiones del contrato de modules/auth.js)
         this.delegate('click', '[data-auth="login"]', (e) => {
             e.preventDefault();
             this.emit('auth:showLogin');
@@ -59,7 +59,7 @@ class EventManager {
 
         this.delegate('click', '[data-auth="logout"]', (e) => {
             e.preventDefault();
-            this.emit('auth:logout');
+            this.emit('auth:logoutRequest');
         });
 
         // Botones de tema
@@ -162,13 +162,19 @@ class EventManager {
         
         if (form.id === 'login-form') {
             e.preventDefault();
-            this.emit('auth:login', new FormData(form));
+            this.emit('auth:loginRequest', { form });
             return;
         }
 
         if (form.id === 'register-form') {
             e.preventDefault();
-            this.emit('auth:register', new FormData(form));
+            this.emit('auth:registerRequest', { form });
+            return;
+        }
+
+        if (form.id === 'two-factor-form') {
+            e.preventDefault();
+            this.emit('auth:twoFactorRequest', { form });
             return;
         }
 
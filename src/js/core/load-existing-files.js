@@ -17,7 +17,6 @@ const organizedFiles = {
     
     // === MÓDULOS ===
     modules: [
-        '/src/js/modules/auth-enhanced.js',
         '/src/js/modules/firebase-config.js'
     ],
     
@@ -0,0 +1,769 @@
+/**
+ * Catálogo de mensajes en inglés (se carga bajo demanda desde src/js/modules/i18n.js)
+ * Las claves que falten aquí se muestran en español.
+ */
+
+export default {
+  common: {
+    edit: 'Edit',
+    delete: 'Delete',
+    save: 'Save',
+    cancel: 'Cancel',
+    close: 'Close',
+    completed: 'Completed',
+    never: 'Never',
+    minutes: { one: '{count} min', other: '{count} min' }
+  },
+
+  language: {
+    label: 'Language',
+    es: 'Español',
+    en: 'English'
+  },
+
+  diary: {
+    mood: {
+      calm: 'Calm',
+      relaxed: 'Relaxed',
+      neutral: 'Neutral',
+      anxious: 'Anxious',
+      overwhelmed: 'Overwhelmed'
+    },
+
+    entries: {
+      loadError: 'Entries could not be loaded',
+      emptyTitle: 'No entries found',
+      emptyHint: 'Try adjusting the filters or search terms',
+      locked: 'Encrypted entry: unlock the diary to read it',
+      found: { one: '{count} entry found', other: '{count} entries found' },
+      foundMore: { one: '{count}+ entry found', other: '{count}+ entries found' },
+      confirmDelete: 'Are you sure you want to delete this entry?',
+      deleteError: 'The entry could not be deleted',
+      deleted: 'Entry deleted'
+    },
+
+    anxiety: {
+      levels: {
+        1: 'Very calm',
+        2: 'Calm',
+        3: 'Relaxed',
+        4: 'Slightly relaxed',
+        5: 'Moderate',
+        6: 'Slightly anxious',
+        7: 'Anxious',
+        8: 'Very anxious',
+        9: 'Extremely anxious',
+        10: 'Panic'
+      },
+      saved: 'Anxiety level saved',
+      noData: 'Not enough data',
+      trend: {
+        improving: 'Improving',
+        worsening: 'Worsening',
+        stable: 'Stable'
+      }
+    },
+
+    plan: {
+      levels: {
+        low: {
+          label: 'Low',
+          description: 'Your anxiety level is low. Keep up the good habits.'
+        },
+        moderate: {
+          label: 'Moderate',
+          description: 'Your anxiety level needs regular attention.'
+        },
+        high: {
+          label: 'High',
+          description: 'Your anxiety level needs intensive attention.'
+        }
+      },
+      weeklyGoal: { one: '{count} activity', other: '{count} activities' },
+      activities: {
+        daily_meditation: { title: 'Daily meditation', description: '10 minutes of mindfulness meditation' },
+        physical_activity: { title: 'Physical exercise', description: '30 minutes of moderate physical activity' },
+        breathing_478: { title: 'Deep breathing', description: '4-7-8 breathing technique' },
+        deep_breathing: { title: 'Deep breathing', description: 'Guided breathing exercise' },
+        progressive_relaxation: { title: 'Progressive relaxation', description: 'Muscle relaxation technique' },
+        grounding: { title: 'Grounding 5-4-3-2-1', description: 'Technique to connect with the present' },
+        mindfulness: { title: 'Mindfulness meditation', description: 'Mindful attention practice' },
+        regular_activity: { title: 'Physical exercise', description: 'Regular physical activity' },
+        full_progressive_relaxation: { title: 'Progressive relaxation', description: 'Full-body muscle relaxation technique' },
+        visualization: { title: 'Visualization technique', description: 'Guided imagery for relaxation' },
+        thought_record: { title: 'Thought record', description: 'Write down anxious thoughts' }
+      },
+      priority: {
+        high: 'High',
+        medium: 'Medium'
+      },
+      frequency: {
+        daily: 'Daily',
+        perDay: { one: '{count}x/day', other: '{count}x/day' },
+        perWeek: { one: '{count}x/week', other: '{count}x/week' },
+        asNeeded: 'When needed'
+      },
+      start: 'Start',
+      starting: 'Starting: {title}'
+    },
+
+    achievements: {
+      first_entry: { title: 'First Step', description: 'Write your first reflection' },
+      week_streak: { title: 'Consistency', description: '7 consecutive days of reflection' },
+      month_streak: { title: 'Dedication', description: '30 consecutive days of reflection' },
+      exercises_master: { title: 'Exercise Master', description: 'Complete 50 exercise sessions' },
+      mood_tracker: { title: 'Emotion Observer', description: 'Log your mood for 14 days' },
+      wellness_journey: { title: 'Wellness Traveller', description: '100 entries in your diary' },
+      unlocked: 'Achievement Unlocked!'
+    },
+
+    quotes: [
+      'Every small step towards wellbeing is a victory worth celebrating.',
+      'Consistency is the key to success on your journey to mental wellbeing.',
+      'Remember: progress, not perfection, is what matters.',
+      'Your mental wellbeing is an investment, not an expense.',
+      'Every day is a new opportunity to take care of yourself.',
+      'Anxiety is temporary, but your strength is permanent.',
+      'Celebrate every achievement, however small.',
+      'Your wellbeing is your most important superpower.'
+    ],
+
+    a11y: {
+      exercise: 'Exercise: {name}',
+      reflection: 'Write your personal reflection',
+      search: 'Search reflections',
+      tags: 'Add tags to your reflection'
+    },
+
+    encryption: {
+      enabled: 'End-to-end encryption enabled',
+      locked: 'Diary locked',
+      passphraseChanged: 'Passphrase updated',
+      enable: 'Enable end-to-end encryption',
+      statusLocked: 'Encrypted diary · locked',
+      statusUnlocked: 'Encrypted diary · click to lock'
+    },
+
+    sync: {
+      pending: { one: '{count} waiting to sync', other: '{count} waiting to sync' },
+      failed: { one: '{count} failed', other: '{count} failed' },
+      conflict: { one: '{count} in conflict', other: '{count} in conflict' },
+      retryHint: 'Click to retry or resolve the conflicts',
+      offlineHint: 'It will sync automatically when the connection is back',
+      conflictConfirm: 'This entry was changed on another device.\n\nDo you want to keep your local changes? (Cancel keeps the saved version)',
+      done: 'Everything synced'
+    },
+
+    reminders: {
+      enabled: 'Reminder enabled',
+      disabled: 'Reminder disabled',
+      count: { one: '{count} reminder set', other: '{count} reminders set' },
+      saved: 'Reminder settings saved',
+      allDisabled: 'All reminders have been disabled',
+      writeNow: 'Write Now',
+      snooze: 'Remind me in 1 hour',
+      dismiss: 'Dismiss',
+      pushEnabled: 'Reminders saved: they will arrive as notifications even if you close the page',
+      presets: {
+        morning: {
+          title: 'Morning breathing',
+          message: 'Start the day calmly: take a couple of minutes to breathe.'
+        },
+        evening: {
+          title: 'Evening reflection',
+          message: 'Take a few minutes to write about how your day went.'
+        },
+        weekly: {
+          title: 'Weekly review',
+          message: 'Look back on your week in the diary and see how far you have come.'
+        }
+      },
+      smart: {
+        activeDay: {
+          title: 'Your most active day',
+          message: '{day} is usually your most productive day. How are you feeling today?'
+        },
+        preferredTime: {
+          title: 'A good moment to reflect',
+          message: 'This is your favourite time to write in the diary. Why not share how you feel?'
+        },
+        moodPattern: {
+          title: 'Mood check-in',
+          message: 'You have been feeling {mood} lately. How are you feeling today?'
+        },
+        favoriteExercise: {
+          title: 'Your favourite exercise',
+          message: 'Would you like to practise {exercise}? It has helped you a lot lately.'
+        },
+        streak: {
+          title: 'Keep your streak going!',
+          message: 'Amazing! You are on a {count}-day streak. Do you want to continue?'
+        }
+      }
+    },
+
+    calendar: {
+      weekdays: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+      activitiesFor: 'Activities for {date}',
+      progress: { one: '{completed}/{count} activity completed', other: '{completed}/{count} activities completed' },
+      complete: 'Complete',
+      priority: {
+        high: 'High',
+        medium: 'Medium',
+        low: 'Low'
+      },
+      activities: {
+        'morning-breathing': {
+          title: 'Morning breathing',
+          description: '5 minutes of deep breathing to start the day'
+        },
+        'work-break': {
+          title: 'Work break',
+          description: 'Grounding technique during work'
+        },
+        'evening-reflection': {
+          title: 'Evening reflection',
+          description: 'Write about your day and how you feel'
+        },
+        'weekend-exercise': {
+          title: 'Physical exercise',
+          description: '30 minutes of physical activity'
+        }
+      }
+    },
+
+    exercises: {
+      names: {
+        breathing: 'Deep Breathing',
+        meditation: 'Meditation',
+        'progressive-relaxation': 'Progressive Relaxation',
+        grounding: 'Grounding'
+      },
+      found: { one: '{count} exercise found', other: '{count} exercises found' },
+      patternSaved: 'Pattern "{name}" saved',
+      patternDeleted: 'Pattern "{name}" deleted'
+    },
+
+    analytics: {
+      reportDownloaded: 'Full report generated and downloaded',
+      statsExported: 'Statistics exported successfully',
+      reportFile: 'wellness-report-{date}.json',
+      statsFile: 'wellness-statistics-{date}.json',
+      effectiveness: {
+        empty: 'Rate your distress from 0 to 10 before and after each exercise to find out which technique works best for you.',
+        band: '95% CI: {lower} to {upper} points',
+        bandPending: 'With {count} rated sessions you will see the confidence interval',
+        timeOfDay: 'Best {best} (+{difference} points than {worst})',
+        sessions: { one: '{count} session', other: '{count} sessions' },
+        lower: '−{value} distress (median)',
+        higher: '+{value} distress (median)',
+        unchanged: 'No change (median)',
+        periods: {
+          night: 'at night',
+          morning: 'in the morning',
+          afternoon: 'in the afternoon',
+          evening: 'in the evening'
+        }
+      },
+      correlations: {
+        missing: {
+          one: 'Log your anxiety level on {count} more day to find out what makes it go up or down.',
+          other: 'Log your anxiety level on {count} more days to find out what makes it go up or down.'
+        },
+        noFindings: {
+          one: 'With {count} record there is no factor clearly linked to your anxiety yet. Keep logging and tagging your entries.',
+          other: 'With {count} records there is no factor clearly linked to your anxiety yet. Keep logging and tagging your entries.'
+        },
+        detail: 'Average of {with} versus {without} · {strength}',
+        strong: 'Clear association',
+        moderate: 'Moderate association',
+        disclaimer: 'These are associations, not causes: use them as hints to talk about with your professional.'
+      },
+      insights: {
+        streakTitle: 'Great consistency!',
+        streak: 'You have looked after your mental wellbeing for {count} days in a row.',
+        lowAnxietyTitle: 'Anxiety well under control!',
+        lowAnxiety: 'Your average anxiety level has been low over the last week.',
+        highAnxietyTitle: 'Consider more exercises',
+        highAnxiety: 'Your anxiety level has been high. We recommend more relaxation sessions.',
+        bestExerciseTitle: '{name} works for you',
+        bestExercise: {
+          one: 'After this exercise your distress drops by a median of {points} points over {count} session.',
+          other: 'After this exercise your distress drops by a median of {points} points over {count} sessions.'
+        },
+        helpsTitle: 'Something that helps you',
+        triggerTitle: 'A possible trigger',
+        activityTitle: 'Regular activity',
+        activity: {
+          one: 'You have completed {count} exercise session. Keep it up!',
+          other: 'You have completed {count} exercise sessions. Keep it up!'
+        },
+        detailedTitle: 'Detailed reflections',
+        detailed: 'Your reflections are very detailed, which helps you get to know yourself.'
+      },
+      report: {
+        moodImproved: 'Your mood has improved significantly',
+        consistencyImproved: 'You have been writing in your journal more consistently',
+        consecutiveDays: { one: '{count} day in a row', other: '{count} days in a row' },
+        inactive: { one: 'You have not written in your journal for {count} day', other: 'You have not written in your journal for {count} days' },
+        inactiveSuggestion: 'Consider writing a short reflection to keep the habit',
+        lowMood: 'Your mood has been low lately',
+        lowMoodSuggestion: 'Consider practising relaxation exercises or reaching out for support',
+        writerTitle: 'Prolific Writer',
+        writer: 'You write an average of {count} words per entry',
+        consistentTitle: 'Very Consistent',
+        consistent: 'Your longest streak is {count} days',
+        activeTitle: 'Very Active',
+        active: 'You practise exercises in {percentage}% of your entries',
+        positiveMoodTitle: 'Positive Mood',
+        positiveMood: 'Your overall mood is very positive'
+      },
+      recommendations: {
+        consistency: {
+          title: 'Improve your consistency',
+          description: 'Try to write in your journal at least 3 days in a row',
+          action: 'Set a daily reminder'
+        },
+        exercise: {
+          title: 'Add more exercises',
+          description: 'Relaxation exercises can improve your wellbeing',
+          action: 'Try the different exercises available'
+        },
+        mood: {
+          title: 'Look after your mood',
+          description: 'Consider practising relaxation exercises regularly',
+          action: 'Explore the breathing and meditation techniques'
+        }
+      },
+      trends: {
+        weekly: 'Weekly Trend',
+        weeks: { one: 'Last week', other: 'Last {count} weeks' },
+        monthly: 'Monthly Trend',
+        months: { one: 'Last month', other: 'Last {count} months' },
+        since: 'Since {date} ({from} → {to})'
+      }
+    },
+
+    export: {
+      dataExported: 'Data exported successfully',
+      pdfUnavailable: 'PDF export is not available',
+      pdfWithoutLocked: 'Report generated without {count} encrypted entries (unlock the diary to include them)',
+      pdfGenerated: 'PDF report generated successfully',
+      pdfError: 'The PDF report could not be generated',
+      shareUnavailable: 'Sharing with a professional is not available',
+      shareLogin: 'Sign in to share your progress with a professional',
+      shareError: 'The sharing panel could not be opened',
+      csvExported: 'CSV exported successfully'
+    },
+
+    goals: {
+      requiredFields: 'Please fill in all required fields',
+      created: 'Goal created successfully',
+      updated: 'Goal updated successfully',
+      invalidNumber: 'Please enter a valid number',
+      completed: 'Goal completed: {title}!',
+      deleted: 'Goal deleted'
+    },
+
+    reflection: {
+      saved: 'Reflection saved successfully',
+      locked: 'Unlock your encrypted diary to save the reflection'
+    },
+
+    tags: {
+      added: 'Tag "{name}" added',
+      removed: 'Tag "{name}" removed'
+    }
+  },
+
+  exercises: {
+    modal: {
+      title: 'Wellness Exercise',
+      subtitle: 'Get ready to begin'
+    },
+    preparing: 'Preparing...',
+    cues: {
+      audio: 'Tones',
+      vibration: 'Vibration'
+    },
+    start: 'Start',
+    pause: 'Pause',
+    resume: 'Resume',
+    continue: 'Continue',
+    complete: 'Complete',
+    done: 'Completed!',
+    tipsPlaceholder: 'Tips will appear here',
+    instructions: 'Instructions:',
+    tip: 'Tip:',
+    getReady: 'Get ready',
+    focus: 'Focus your attention',
+    round: '{prompt} · Round {repetition} of {repetitions}',
+    continueReflection: 'How do you feel now? Continue with your reflection.',
+    pattern: {
+      label: 'Breathing pattern',
+      delete: 'Delete pattern',
+      create: 'Create your own pattern',
+      name: 'Pattern name',
+      save: 'Save pattern',
+      fields: {
+        inhale: 'Breathe in',
+        hold: 'Hold',
+        exhale: 'Breathe out',
+        holdAfter: 'Pause'
+      },
+      steps: {
+        inhale: 'Breathe in {seconds} s',
+        hold: 'hold {seconds} s',
+        exhale: 'breathe out {seconds} s',
+        holdAfter: 'pause {seconds} s'
+      }
+    },
+    completed: {
+      title: 'Exercise Completed!',
+      message: 'You have completed the {title} exercise.',
+      time: 'Time: {time}',
+      date: 'Date: {date}'
+    },
+    suds: {
+      before: 'How much distress do you feel right now?',
+      after: 'And how much distress do you feel now?',
+      min: '0 · None',
+      max: '10 · Maximum',
+      improved: { one: 'Your distress went down {count} point', other: 'Your distress went down {count} points' },
+      worse: 'Your distress did not go down today; try another technique',
+      same: 'Your distress stayed the same'
+    },
+    errors: {
+      stepRange: 'Each step of the pattern must last between 0 and {max} seconds',
+      inhaleExhale: 'The pattern needs an inhale and an exhale',
+      name: 'Give the pattern a name'
+    }
+  },
+
+  anxiety: {
+    duration: 'Duration:',
+    minutes: { one: '{count} minute', other: '{count} minutes' },
+    startNow: 'Start Now',
+    practised: 'Well done! You practised for {time}.',
+    unavailable: 'Guided exercises are not available',
+    completed: 'Exercise "{name}" completed!',
+    exercises: {
+      breathing: {
+        name: '4-7-8 Breathing',
+        description: 'Quick breathing technique to calm anxiety',
+        steps: [
+          'Sit comfortably with your back straight',
+          'Place the tip of your tongue behind your upper teeth',
+          'Exhale completely through your mouth',
+          'Inhale through your nose counting to 4',
+          'Hold your breath counting to 7',
+          'Exhale through your mouth counting to 8',
+          'Repeat this cycle for 2 minutes'
+        ],
+        tip: 'Focus on the count and the feeling of the air.'
+      },
+      grounding: {
+        name: '5-4-3-2-1 Grounding',
+        description: 'Connect with the present through your senses',
+        steps: [
+          'Look around and name 5 things you can SEE',
+          'Touch 4 different things and notice their texture',
+          'Listen and name 3 sounds you can HEAR',
+          'Identify 2 things you can SMELL',
+          'Name 1 thing you can TASTE'
+        ],
+        tip: 'Take your time with each sense.'
+      },
+      'muscle-relaxation': {
+        name: 'Muscle Relaxation',
+        description: 'Tense and relax muscle groups',
+        steps: [
+          'Sit or lie down comfortably',
+          'Tense your foot muscles when the exercise tells you to',
+          'Relax completely when you hear the relaxation tone',
+          'Move up gradually: calves, thighs, abdomen',
+          'Continue with arms, shoulders, neck',
+          'Finish with your facial muscles'
+        ],
+        tip: 'Pay attention to the difference between tension and relaxation.'
+      },
+      mindfulness: {
+        name: 'Quick Mindfulness',
+        description: 'Short meditation to centre your mind',
+        steps: [
+          'Close your eyes and sit comfortably',
+          'Focus on your natural breathing',
+          'When you notice your mind wandering, return to your breath',
+          'Observe your thoughts without judging them',
+          'Let your emotions flow',
+          'Keep up this practice for 4 minutes'
+        ],
+        tip: 'It is normal for the mind to wander. The practice is returning gently.'
+      }
+    },
+    suggestion: {
+      title: 'How do you feel?',
+      message: 'You have completed a relaxation exercise. Would you like to reflect on how you feel now?',
+      dismiss: 'No, thanks',
+      diary: 'Go to Diary'
+    },
+    info: {
+      symptoms: {
+        title: 'Anxiety Symptoms',
+        items: [
+          'Feeling nervous or restless',
+          'Excessive worry',
+          'Difficulty concentrating',
+          'Irritability',
+          'Muscle tension',
+          'Trouble sleeping',
+          'Fatigue',
+          'Sweating',
+          'Palpitations',
+          'Shortness of breath'
+        ]
+      },
+      causes: {
+        title: 'Common Causes',
+        items: [
+          'Work or academic stress',
+          'Family or relationship problems',
+          'Major life changes',
+          'Health problems',
+          'Past trauma',
+          'Genetics',
+          'Substance use',
+          'Medical conditions'
+        ]
+      },
+      treatments: {
+        title: 'Effective Treatments',
+        items: [
+          'Cognitive behavioural therapy (CBT)',
+          'Exposure therapy',
+          'Mindfulness and meditation',
+          'Relaxation exercises',
+          'Regular physical exercise',
+          'Breathing techniques',
+          'Keeping healthy routines',
+          'Cutting down on caffeine and alcohol'
+        ]
+      }
+    }
+  },
+
+  tests: {
+    questions: { one: '{count} question', other: '{count} questions' },
+    progress: '{percent}% completed',
+    questionNumber: '{current} of {total}',
+    previous: 'Previous',
+    next: 'Next',
+    finish: 'Finish Test',
+    answerAll: 'Please answer all the questions before submitting the test.',
+    moreInfo: 'More Information',
+    start: 'Start Test',
+    details: {
+      duration: 'Duration:',
+      questions: 'Questions:',
+      category: 'Category:'
+    },
+    categories: {
+      ansiedad: 'Anxiety',
+      depresion: 'Depression',
+      estres: 'Stress',
+      bienestar: 'Wellbeing',
+      autoestima: 'Self-esteem'
+    },
+    results: {
+      title: 'Your Assessment Results',
+      indexLabel: 'Index (0-100%)',
+      scoreLabel: 'Total Score',
+      important: 'Important',
+      recommendation: 'Recommendation:',
+      changeSince: '{label} since {date}',
+      goToDiary: 'Go to the Wellness Diary',
+      backHome: 'Back to Home'
+    }
+  },
+
+  entitlements: {
+    loginRequired: 'Log in to manage your plan',
+    requestError: 'The operation could not be completed',
+    upgrade: {
+      title: 'Paid feature',
+      message: 'To use {feature} you need the {plan} or higher.',
+      later: 'Not now',
+      viewPlans: 'View plans'
+    },
+    features: {
+      diary: 'the emotional diary',
+      evaluations: 'evaluations',
+      basic_analytics: 'basic analytics',
+      advanced_exercises: 'advanced exercises',
+      export: 'report export',
+      ai_insights: 'smart analysis',
+      smart_reminders: 'smart reminders',
+      clinician_dashboard: 'the professional dashboard'
+    }
+  },
+
+  plans: {
+    basic: {
+      name: 'Basic Plan',
+      description: 'Perfect to start your journey towards mental wellbeing',
+      features: [
+        'Access to the wellness diary',
+        'Basic relaxation exercises',
+        'Progress tracking',
+        'Activity calendar',
+        'Email support'
+      ],
+      limitations: [
+        'Limited exercises',
+        'No advanced analytics',
+        'Basic support'
+      ]
+    },
+    premium: {
+      name: 'Premium Plan',
+      description: 'For those looking for more complete support',
+      features: [
+        'Everything in the Basic Plan',
+        'Advanced anxiety exercises',
+        'Emotional pattern analysis',
+        'Personalized AI insights',
+        'Priority support',
+        'Data export',
+        'Personal goals',
+        'Smart reminders'
+      ],
+      limitations: []
+    },
+    professional: {
+      name: 'Professional Plan',
+      description: 'For mental health professionals',
+      features: [
+        'Everything in the Premium Plan',
+        'Admin dashboard',
+        'Multiple patient management',
+        'Detailed reports',
+        'Integration with medical systems',
+        '24/7 phone support',
+        'Custom API',
+        'Training included'
+      ],
+      limitations: []
+    },
+    free: 'Free',
+    pricePerPeriod: '{price}/{period}',
+    period: {
+      month: 'month'
+    },
+    popular: 'Most Popular',
+    includedFeatures: 'Included features:',
+    viewDetails: 'View Details',
+    select: 'Select Plan',
+    selected: '{name} selected!',
+    compare: 'Compare Plans',
+    exitCompare: 'Exit Comparison',
+    confirm: {
+      title: 'Confirm Selection',
+      includes: 'Includes:',
+      moreFeatures: { one: '... and {count} more feature', other: '... and {count} more features' },
+      startFree: 'Start for Free',
+      continueToPayment: 'Continue to Payment'
+    },
+    payment: {
+      title: 'Payment Information',
+      contactTeam: 'To activate your {name}, please contact our team:',
+      email: 'Email:',
+      phone: 'Phone:',
+      hours: 'Hours:',
+      schedule: 'Monday to Friday, 9:00 - 18:00',
+      note: 'Note:',
+      noteText: 'We will contact you within 24 hours to process your subscription.',
+      goToContact: 'Go to Contact'
+    },
+    details: {
+      title: '{name} - Full Details',
+      features: 'Included Features',
+      limitations: 'Limitations',
+      select: 'Select This Plan'
+    },
+    checkout: {
+      loginRequired: 'Log in or create an account to subscribe to a plan',
+      activated: '{name} activated!',
+      current: 'Your current plan',
+      renewsOn: 'Renews on {date}',
+      endsOn: 'Active until {date}',
+      cancel: 'Cancel renewal',
+      cancelConfirm: 'Cancel renewal? You will keep your plan until the end of the paid period.',
+      canceled: 'Your plan will not renew. It stays active until {date}'
+    },
+    offer: {
+      title: 'Seasonal Offer!',
+      description: '20% off all paid plans',
+      validUntil: 'Valid until 31 December'
+    }
+  },
+
+  auth: {
+    welcome: 'Welcome back!',
+    registered: 'Account created successfully!',
+    loggedOut: 'Signed out successfully',
+    sessionExpired: 'Your session has ended. Please sign in again',
+    twoFactor: {
+      recoveryCodeUsed: {
+        zero: 'You used your last recovery code. Generate new codes in your profile',
+        one: 'You have {count} recovery code left',
+        other: 'You have {count} recovery codes left'
+      }
+    },
+    errors: {
+      missing_fields: 'Please fill in all fields',
+      password_mismatch: 'Passwords do not match',
+      weak_password: 'Password must be at least 8 characters long',
+      invalid_email: 'The email address is not valid',
+      invalid_credentials: 'Incorrect email or password',
+      email_in_use: 'An account with this email already exists',
+      account_disabled: 'This account has been deactivated',
+      too_many_requests: 'Too many failed attempts. Please try again later',
+      session_expired: 'Your session has expired. Please sign in again',
+      invalid_code: 'The code is not valid or has already been used',
+      challenge_expired: 'Time to enter the code ran out. Please sign in again',
+      popup_closed: 'Sign-in cancelled',
+      network: 'Connection error. Please try again.',
+      server: 'The server is not responding. Please try again later',
+      unavailable: 'The sign-in service is not available',
+      unsupported: 'This option is not available',
+      unknown: 'Authentication error. Please try again'
+    }
+  },
+  reauth: {
+    title: 'Confirm your identity',
+    passwordHint: 'To continue, enter your password.',
+    codeHint: 'To continue, enter the code from your authenticator app or a recovery code.',
+    passwordLabel: 'Password',
+    codeLabel: 'Verification code',
+    cancel: 'Cancel',
+    confirm: 'Confirm'
+  },
+
+  appLock: {
+    title: 'Sensus is locked',
+    pinHint: 'Enter your PIN to see your diary and assessments.',
+    passphraseHint: 'Enter your passphrase to see your diary and assessments.',
+    pinLabel: 'PIN',
+    passphraseLabel: 'Passphrase',
+    unlock: 'Unlock',
+    errors: {
+      wrong: { one: 'That is not right. {count} attempt left before you have to wait', other: 'That is not right. {count} attempts left before you have to wait' },
+      lockedOut: { one: 'Too many attempts in a row. Wait {count} second', other: 'Too many attempts in a row. Wait {count} seconds' },
+      invalidPin: 'The PIN must have between {min} and {max} digits',
+      shortPassphrase: 'The passphrase must be at least {min} characters long',
+      unsupported: 'This browser does not support the lock',
+      alreadyEnabled: 'The lock is already on for this device',
+      notEnabled: 'The lock is not on for this device'
+    }
+  }
+};
@@ -0,0 +1,770 @@
+/**
+ * Catálogo de mensajes en español (idioma por defecto y respaldo de cualquier clave)
+ * Los mensajes con plural usan las categorías de Intl.PluralRules (`one`, `other`) y,
+ * opcionalmente, `zero`.
+ */
+
+export default {
+  common: {
+    edit: 'Editar',
+    delete: 'Eliminar',
+    save: 'Guardar',
+    cancel: 'Cancelar',
+    close: 'Cerrar',
+    completed: 'Completado',
+    never: 'Nunca',
+    minutes: { one: '{count} min', other: '{count} min' }
+  },
+
+  language: {
+    label: 'Idioma',
+    es: 'Español',
+    en: 'English'
+  },
+
+  diary: {
+    mood: {
+      calm: 'Tranquilo',
+      relaxed: 'Relajado',
+      neutral: 'Neutral',
+      anxious: 'Ansioso',
+      overwhelmed: 'Abrumado'
+    },
+
+    entries: {
+      loadError: 'No se pudieron cargar las entradas',
+      emptyTitle: 'No se encontraron entradas',
+      emptyHint: 'Intenta ajustar los filtros o términos de búsqueda',
+      locked: 'Entrada cifrada: desbloquea el diario para leerla',
+      found: { one: '{count} entrada encontrada', other: '{count} entradas encontradas' },
+      foundMore: { one: '{count}+ entrada encontrada', other: '{count}+ entradas encontradas' },
+      confirmDelete: '¿Estás seguro de que quieres eliminar esta entrada?',
+      deleteError: 'No se pudo eliminar la entrada',
+      deleted: 'Entrada eliminada'
+    },
+
+    anxiety: {
+      levels: {
+        1: 'Muy tranquilo',
+        2: 'Tranquilo',
+        3: 'Relajado',
+        4: 'Ligeramente relajado',
+        5: 'Moderado',
+        6: 'Ligeramente ansioso',
+        7: 'Ansioso',
+        8: 'Muy ansioso',
+        9: 'Extremadamente ansioso',
+        10: 'Pánico'
+      },
+      saved: 'Nivel de ansiedad guardado',
+      noData: 'No hay datos suficientes',
+      trend: {
+        improving: 'Mejorando',
+        worsening: 'Empeorando',
+        stable: 'Estable'
+      }
+    },
+
+    plan: {
+      levels: {
+        low: {
+          label: 'Bajo',
+          description: 'Tu nivel de ansiedad es bajo. Mantén las buenas prácticas.'
+        },
+        moderate: {
+          label: 'Moderado',
+          description: 'Tu nivel de ansiedad requiere atención regular.'
+        },
+        high: {
+          label: 'Alto',
+          description: 'Tu nivel de ansiedad requiere atención intensiva.'
+        }
+      },
+      weeklyGoal: { one: '{count} actividad', other: '{count} actividades' },
+      activities: {
+        daily_meditation: { title: 'Meditación diaria', description: '10 minutos de meditación mindfulness' },
+        physical_activity: { title: 'Ejercicio físico', description: '30 minutos de actividad física moderada' },
+        breathing_478: { title: 'Respiración profunda', description: 'Técnica de respiración 4-7-8' },
+        deep_breathing: { title: 'Respiración profunda', description: 'Ejercicio de respiración guiada' },
+        progressive_relaxation: { title: 'Relajación progresiva', description: 'Técnica de relajación muscular' },
+        grounding: { title: 'Grounding 5-4-3-2-1', description: 'Técnica de conexión con el presente' },
+        mindfulness: { title: 'Meditación mindfulness', description: 'Práctica de atención plena' },
+        regular_activity: { title: 'Ejercicio físico', description: 'Actividad física regular' },
+        full_progressive_relaxation: { title: 'Relajación progresiva', description: 'Técnica de relajación muscular completa' },
+        visualization: { title: 'Técnica de visualización', description: 'Imágenes guiadas para relajación' },
+        thought_record: { title: 'Registro de pensamientos', description: 'Anotar pensamientos ansiosos' }
+      },
+      priority: {
+        high: 'Alta',
+        medium: 'Media'
+      },
+      frequency: {
+        daily: 'Diario',
+        perDay: { one: '{count}x/día', other: '{count}x/día' },
+        perWeek: { one: '{count}x/semana', other: '{count}x/semana' },
+        asNeeded: 'Cuando sea necesario'
+      },
+      start: 'Comenzar',
+      starting: 'Iniciando: {title}'
+    },
+
+    achievements: {
+      first_entry: { title: 'Primer Paso', description: 'Escribe tu primera reflexión' },
+      week_streak: { title: 'Constancia', description: '7 días consecutivos de reflexión' },
+      month_streak: { title: 'Dedicación', description: '30 días consecutivos de reflexión' },
+      exercises_master: { title: 'Maestro de Ejercicios', description: 'Completa 50 sesiones de ejercicios' },
+      mood_tracker: { title: 'Observador de Emociones', description: 'Registra tu estado de ánimo por 14 días' },
+      wellness_journey: { title: 'Viajero del Bienestar', description: '100 entradas en tu diario' },
+      unlocked: '¡Logro Desbloqueado!'
+    },
+
+    quotes: [
+      'Cada pequeño paso hacia el bienestar es una victoria que merece ser celebrada.',
+      'La constancia es la clave del éxito en tu viaje hacia el bienestar mental.',
+      'Recuerda: el progreso, no la perfección, es lo que importa.',
+      'Tu bienestar mental es una inversión, no un gasto.',
+      'Cada día es una nueva oportunidad para cuidar de ti mismo.',
+      'La ansiedad es temporal, pero tu fuerza es permanente.',
+      'Celebra cada logro, por pequeño que sea.',
+      'Tu bienestar es tu superpoder más importante.'
+    ],
+
+    a11y: {
+      exercise: 'Ejercicio: {name}',
+      reflection: 'Escribe tu reflexión personal',
+      search: 'Buscar en reflexiones',
+      tags: 'Añadir etiquetas a tu reflexión'
+    },
+
+    encryption: {
+      enabled: 'Cifrado de extremo a extremo activado',
+      locked: 'Diario bloqueado',
+      passphraseChanged: 'Frase de paso actualizada',
+      enable: 'Activar cifrado de extremo a extremo',
+      statusLocked: 'Diario cifrado · bloqueado',
+      statusUnlocked: 'Diario cifrado · pulsa para bloquear'
+    },
+
+    sync: {
+      pending: { one: '{count} pendiente de sincronizar', other: '{count} pendientes de sincronizar' },
+      failed: { one: '{count} con error', other: '{count} con error' },
+      conflict: { one: '{count} en conflicto', other: '{count} en conflicto' },
+      retryHint: 'Pulsa para reintentar o resolver los conflictos',
+      offlineHint: 'Se sincronizará automáticamente al recuperar la conexión',
+      conflictConfirm: 'Esta entrada se modificó en otro dispositivo.\n\n¿Quieres conservar tus cambios locales? (Cancelar mantiene la versión guardada)',
+      done: 'Todo sincronizado'
+    },
+
+    reminders: {
+      enabled: 'Recordatorio activado',
+      disabled: 'Recordatorio desactivado',
+      count: { one: '{count} recordatorio configurado', other: '{count} recordatorios configurados' },
+      saved: 'Configuración de recordatorios guardada',
+      allDisabled: 'Todos los recordatorios han sido desactivados',
+      writeNow: 'Escribir Ahora',
+      snooze: 'Recordar en 1 hora',
+      dismiss: 'Descartar',
+      pushEnabled: 'Recordatorios guardados: te llegarán como notificación aunque cierres la página',
+      presets: {
+        morning: {
+          title: 'Respiración matutina',
+          message: 'Empieza el día con calma: dedica un par de minutos a respirar.'
+        },
+        evening: {
+          title: 'Reflexión nocturna',
+          message: 'Dedica unos minutos a escribir cómo ha ido tu día.'
+        },
+        weekly: {
+          title: 'Revisión semanal',
+          message: 'Repasa tu semana en el diario y mira cómo has avanzado.'
+        }
+      },
+      smart: {
+        activeDay: {
+          title: 'Día de mayor actividad',
+          message: 'El {day} suele ser tu día más productivo. ¿Cómo te sientes hoy?'
+        },
+        preferredTime: {
+          title: 'Momento ideal para reflexionar',
+          message: 'Es tu horario preferido para escribir en el diario. ¿Qué tal si compartes cómo te sientes?'
+        },
+        moodPattern: {
+          title: 'Seguimiento de estado de ánimo',
+          message: 'Has estado sintiéndote {mood} últimamente. ¿Cómo te sientes hoy?'
+        },
+        favoriteExercise: {
+          title: 'Tu ejercicio favorito',
+          message: '¿Te gustaría practicar {exercise}? Te ha ayudado mucho últimamente.'
+        },
+        streak: {
+          title: '¡Mantén tu racha!',
+          message: '¡Increíble! Llevas {count} días seguidos. ¿Quieres continuar?'
+        }
+      }
+    },
+
+    calendar: {
+      weekdays: ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'],
+      activitiesFor: 'Actividades para {date}',
+      progress: { one: '{completed}/{count} actividad completada', other: '{completed}/{count} actividades completadas' },
+      complete: 'Completar',
+      priority: {
+        high: 'Alta',
+        medium: 'Media',
+        low: 'Baja'
+      },
+      activities: {
+        'morning-breathing': {
+          title: 'Respiración matutina',
+          description: '5 minutos de respiración profunda para comenzar el día'
+        },
+        'work-break': {
+          title: 'Pausa de trabajo',
+          description: 'Técnica de grounding durante el trabajo'
+        },
+        'evening-reflection': {
+          title: 'Reflexión nocturna',
+          description: 'Escribe sobre tu día y cómo te sientes'
+        },
+        'weekend-exercise': {
+          title: 'Ejercicio físico',
+          description: '30 minutos de actividad física'
+        }
+      }
+    },
+
+    exercises: {
+      names: {
+        breathing: 'Respiración Profunda',
+        meditation: 'Meditación',
+        'progressive-relaxation': 'Relajación Progresiva',
+        grounding: 'Grounding'
+      },
+      found: { one: '{count} ejercicio encontrado', other: '{count} ejercicios encontrados' },
+      patternSaved: 'Patrón "{name}" guardado',
+      patternDeleted: 'Patrón "{name}" eliminado'
+    },
+
+    analytics: {
+      reportDownloaded: 'Reporte completo generado y descargado',
+      statsExported: 'Estadísticas exportadas exitosamente',
+      reportFile: 'reporte-bienestar-{date}.json',
+      statsFile: 'estadisticas-bienestar-{date}.json',
+      effectiveness: {
+        empty: 'Valora tu malestar de 0 a 10 antes y después de cada ejercicio para descubrir qué técnica te funciona mejor.',
+        band: 'IC 95 %: de {lower} a {upper} puntos',
+        bandPending: 'Con {count} sesiones valoradas verás el margen de confianza',
+        timeOfDay: 'Mejor {best} (+{difference} puntos que {worst})',
+        sessions: { one: '{count} sesión', other: '{count} sesiones' },
+        lower: '−{value} de malestar (mediana)',
+        higher: '+{value} de malestar (mediana)',
+        unchanged: 'Sin cambio (mediana)',
+        periods: {
+          night: 'de madrugada',
+          morning: 'por la mañana',
+          afternoon: 'por la tarde',
+          evening: 'por la noche'
+        }
+      },
+      correlations: {
+        missing: {
+          one: 'Registra tu nivel de ansiedad {count} día más para descubrir qué lo hace subir o bajar.',
+          other: 'Registra tu nivel de ansiedad {count} días más para descubrir qué lo hace subir o bajar.'
+        },
+        noFindings: {
+          one: 'Con {count} registro aún no hay ningún factor que se asocie claramente a tu ansiedad. Sigue registrando y etiquetando tus entradas.',
+          other: 'Con {count} registros aún no hay ningún factor que se asocie claramente a tu ansiedad. Sigue registrando y etiquetando tus entradas.'
+        },
+        detail: 'Media de {with} frente a {without} · {strength}',
+        strong: 'Asociación clara',
+        moderate: 'Asociación moderada',
+        disclaimer: 'Son asociaciones, no causas: úsalas como pistas para hablar con tu profesional.'
+      },
+      insights: {
+        streakTitle: '¡Excelente constancia!',
+        streak: 'Llevas {count} días consecutivos cuidando tu bienestar mental.',
+        lowAnxietyTitle: '¡Buen control de la ansiedad!',
+        lowAnxiety: 'Tu nivel promedio de ansiedad ha sido bajo en la última semana.',
+        highAnxietyTitle: 'Considera más ejercicios',
+        highAnxiety: 'Tu nivel de ansiedad ha estado alto. Te recomendamos más sesiones de relajación.',
+        bestExerciseTitle: '{name} te funciona',
+        bestExercise: {
+          one: 'Tras este ejercicio tu malestar baja {points} puntos de mediana en {count} sesión.',
+          other: 'Tras este ejercicio tu malestar baja {points} puntos de mediana en {count} sesiones.'
+        },
+        helpsTitle: 'Algo que te ayuda',
+        triggerTitle: 'Un posible desencadenante',
+        activityTitle: 'Actividad regular',
+        activity: {
+          one: 'Has completado {count} sesión de ejercicios. ¡Sigue así!',
+          other: 'Has completado {count} sesiones de ejercicios. ¡Sigue así!'
+        },
+        detailedTitle: 'Reflexiones detalladas',
+        detailed: 'Tus reflexiones son muy detalladas, lo que ayuda en tu proceso de autoconocimiento.'
+      },
+      report: {
+        moodImproved: 'Tu estado de ánimo ha mejorado significativamente',
+        consistencyImproved: 'Has sido más consistente escribiendo en el diario',
+        consecutiveDays: { one: '{count} día consecutivo', other: '{count} días consecutivos' },
+        inactive: { one: 'No has escrito en el diario desde hace {count} día', other: 'No has escrito en el diario desde hace {count} días' },
+        inactiveSuggestion: 'Considera escribir una reflexión breve para mantener el hábito',
+        lowMood: 'Tu estado de ánimo ha estado bajo últimamente',
+        lowMoodSuggestion: 'Considera practicar ejercicios de relajación o buscar apoyo',
+        writerTitle: 'Escritor Prolífico',
+        writer: 'Escribes un promedio de {count} palabras por entrada',
+        consistentTitle: 'Muy Consistente',
+        consistent: 'Tu racha más larga es de {count} días',
+        activeTitle: 'Muy Activo',
+        active: 'Practicas ejercicios en el {percentage} % de tus entradas',
+        positiveMoodTitle: 'Estado de Ánimo Positivo',
+        positiveMood: 'Tu estado de ánimo general es muy positivo'
+      },
+      recommendations: {
+        consistency: {
+          title: 'Mejora tu consistencia',
+          description: 'Intenta escribir en el diario al menos 3 días seguidos',
+          action: 'Establece un recordatorio diario'
+        },
+        exercise: {
+          title: 'Incorpora más ejercicios',
+          description: 'Los ejercicios de relajación pueden mejorar tu bienestar',
+          action: 'Prueba diferentes ejercicios disponibles'
+        },
+        mood: {
+          title: 'Cuida tu estado de ánimo',
+          description: 'Considera practicar ejercicios de relajación regularmente',
+          action: 'Explora las técnicas de respiración y meditación'
+        }
+      },
+      trends: {
+        weekly: 'Tendencia Semanal',
+        weeks: { one: 'Última semana', other: 'Últimas {count} semanas' },
+        monthly: 'Tendencia Mensual',
+        months: { one: 'Último mes', other: 'Últimos {count} meses' },
+        since: 'Desde el {date} ({from} → {to})'
+      }
+    },
+
+    export: {
+      dataExported: 'Datos exportados exitosamente',
+      pdfUnavailable: 'La exportación a PDF no está disponible',
+      pdfWithoutLocked: 'Informe generado sin {count} entradas cifradas (desbloquea el diario para incluirlas)',
+      pdfGenerated: 'Informe PDF generado exitosamente',
+      pdfError: 'No se pudo generar el informe PDF',
+      shareUnavailable: 'Compartir con un profesional no está disponible',
+      shareLogin: 'Inicia sesión para compartir tu progreso con un profesional',
+      shareError: 'No se pudo abrir el panel de compartir',
+      csvExported: 'CSV exportado exitosamente'
+    },
+
+    goals: {
+      requiredFields: 'Por favor completa todos los campos requeridos',
+      created: 'Objetivo creado exitosamente',
+      updated: 'Objetivo actualizado exitosamente',
+      invalidNumber: 'Por favor ingresa un número válido',
+      completed: '¡Objetivo completado: {title}!',
+      deleted: 'Objetivo eliminado'
+    },
+
+    reflection: {
+      saved: 'Reflexión guardada exitosamente',
+      locked: 'Desbloquea el diario cifrado para guardar la reflexión'
+    },
+
+    tags: {
+      added: 'Etiqueta "{name}" añadida',
+      removed: 'Etiqueta "{name}" eliminada'
+    }
+  },
+
+  exercises: {
+    modal: {
+      title: 'Ejercicio de Bienestar',
+      subtitle: 'Preparate para comenzar'
+    },
+    preparing: 'Preparando...',
+    cues: {
+      audio: 'Tonos',
+      vibration: 'Vibración'
+    },
+    start: 'Comenzar',
+    pause: 'Pausar',
+    resume: 'Reanudar',
+    continue: 'Continuar',
+    complete: 'Completar',
+    done: '¡Completado!',
+    tipsPlaceholder: 'Consejos aparecerán aquí',
+    instructions: 'Instrucciones:',
+    tip: 'Consejo:',
+    getReady: 'Prepárate',
+    focus: 'Centra tu atención',
+    round: '{prompt} · Ronda {repetition} de {repetitions}',
+    continueReflection: '¿Cómo te sientes ahora? Continúa con la reflexión.',
+    pattern: {
+      label: 'Patrón de respiración',
+      delete: 'Eliminar patrón',
+      create: 'Crear un patrón propio',
+      name: 'Nombre del patrón',
+      save: 'Guardar patrón',
+      fields: {
+        inhale: 'Inhala',
+        hold: 'Mantén',
+        exhale: 'Exhala',
+        holdAfter: 'Pausa'
+      },
+      steps: {
+        inhale: 'Inhala {seconds} s',
+        hold: 'mantén {seconds} s',
+        exhale: 'exhala {seconds} s',
+        holdAfter: 'pausa {seconds} s'
+      }
+    },
+    completed: {
+      title: '¡Ejercicio Completado!',
+      message: 'Has completado el ejercicio de {title}.',
+      time: 'Tiempo: {time}',
+      date: 'Fecha: {date}'
+    },
+    suds: {
+      before: '¿Cuánto malestar sientes ahora?',
+      after: '¿Y cuánto malestar sientes ahora?',
+      min: '0 · Nada',
+      max: '10 · Máximo',
+      improved: { one: 'Tu malestar bajó {count} punto', other: 'Tu malestar bajó {count} puntos' },
+      worse: 'Hoy no ha bajado el malestar; prueba otra técnica',
+      same: 'Tu malestar se mantuvo igual'
+    },
+    errors: {
+      stepRange: 'Cada tramo del patrón debe durar entre 0 y {max} segundos',
+      inhaleExhale: 'El patrón necesita una inhalación y una exhalación',
+      name: 'Ponle un nombre al patrón'
+    }
+  },
+
+  anxiety: {
+    duration: 'Duración:',
+    minutes: { one: '{count} minuto', other: '{count} minutos' },
+    startNow: 'Comenzar Ahora',
+    practised: '¡Bien hecho! Has practicado {time}.',
+    unavailable: 'Los ejercicios guiados no están disponibles',
+    completed: '¡Ejercicio "{name}" completado!',
+    exercises: {
+      breathing: {
+        name: 'Respiración 4-7-8',
+        description: 'Técnica rápida de respiración para calmar la ansiedad',
+        steps: [
+          'Siéntate cómodamente con la espalda recta',
+          'Coloca la punta de la lengua detrás de los dientes superiores',
+          'Exhala completamente por la boca',
+          'Inhala por la nariz contando hasta 4',
+          'Mantén la respiración contando hasta 7',
+          'Exhala por la boca contando hasta 8',
+          'Repite este ciclo durante 2 minutos'
+        ],
+        tip: 'Concéntrate en la cuenta y la sensación del aire.'
+      },
+      grounding: {
+        name: 'Grounding 5-4-3-2-1',
+        description: 'Conecta con el presente usando tus sentidos',
+        steps: [
+          'Mira a tu alrededor y nombra 5 cosas que puedes VER',
+          'Toca 4 cosas diferentes y nota su textura',
+          'Escucha y nombra 3 sonidos que puedes OÍR',
+          'Identifica 2 cosas que puedes OLER',
+          'Nombra 1 cosa que puedes SABOREAR'
+        ],
+        tip: 'Tómate tu tiempo con cada sentido.'
+      },
+      'muscle-relaxation': {
+        name: 'Relajación Muscular',
+        description: 'Tensa y relaja grupos musculares',
+        steps: [
+          'Siéntate o acuéstate cómodamente',
+          'Tensa los músculos de los pies cuando te lo indique el ejercicio',
+          'Relaja completamente al oír el tono de relajación',
+          'Sube gradualmente: pantorrillas, muslos, abdomen',
+          'Continúa con brazos, hombros, cuello',
+          'Termina con los músculos faciales'
+        ],
+        tip: 'Presta atención a la diferencia entre tensión y relajación.'
+      },
+      mindfulness: {
+        name: 'Mindfulness Rápido',
+        description: 'Meditación breve para centrar la mente',
+        steps: [
+          'Cierra los ojos y siéntate cómodamente',
+          'Concéntrate en tu respiración natural',
+          'Cuando notes que tu mente divaga, regresa a la respiración',
+          'Observa tus pensamientos sin juzgarlos',
+          'Permite que las emociones fluyan',
+          'Mantén esta práctica durante 4 minutos'
+        ],
+        tip: 'Es normal que la mente divague. La práctica es regresar gentilmente.'
+      }
+    },
+    suggestion: {
+      title: '¿Cómo te sientes?',
+      message: 'Has completado un ejercicio de relajación. ¿Te gustaría reflexionar sobre cómo te sientes ahora?',
+      dismiss: 'No, gracias',
+      diary: 'Ir al Diario'
+    },
+    info: {
+      symptoms: {
+        title: 'Síntomas de Ansiedad',
+        items: [
+          'Sensación de nerviosismo o inquietud',
+          'Preocupación excesiva',
+          'Dificultad para concentrarse',
+          'Irritabilidad',
+          'Tensión muscular',
+          'Problemas para dormir',
+          'Fatiga',
+          'Sudoración',
+          'Palpitaciones',
+          'Dificultad para respirar'
+        ]
+      },
+      causes: {
+        title: 'Causas Comunes',
+        items: [
+          'Estrés laboral o académico',
+          'Problemas familiares o de relación',
+          'Cambios importantes en la vida',
+          'Problemas de salud',
+          'Traumas pasados',
+          'Genética',
+          'Uso de sustancias',
+          'Condiciones médicas'
+        ]
+      },
+      treatments: {
+        title: 'Tratamientos Efectivos',
+        items: [
+          'Terapia cognitivo-conductual (TCC)',
+          'Terapia de exposición',
+          'Mindfulness y meditación',
+          'Ejercicios de relajación',
+          'Ejercicio físico regular',
+          'Técnicas de respiración',
+          'Mantener rutinas saludables',
+          'Reducir cafeína y alcohol'
+        ]
+      }
+    }
+  },
+
+  tests: {
+    questions: { one: '{count} pregunta', other: '{count} preguntas' },
+    progress: '{percent}% completado',
+    questionNumber: '{current} de {total}',
+    previous: 'Anterior',
+    next: 'Siguiente',
+    finish: 'Finalizar Test',
+    answerAll: 'Por favor responde todas las preguntas antes de enviar el test.',
+    moreInfo: 'Ver Información',
+    start: 'Comenzar Test',
+    details: {
+      duration: 'Duración:',
+      questions: 'Preguntas:',
+      category: 'Categoría:'
+    },
+    categories: {
+      ansiedad: 'Ansiedad',
+      depresion: 'Depresión',
+      estres: 'Estrés',
+      bienestar: 'Bienestar',
+      autoestima: 'Autoestima'
+    },
+    results: {
+      title: 'Resultados de tu Evaluación',
+      indexLabel: 'Índice (0-100%)',
+      scoreLabel: 'Puntuación Total',
+      important: 'Importante',
+      recommendation: 'Recomendación:',
+      changeSince: '{label} respecto al {date}',
+      goToDiary: 'Ir al Diario de Bienestar',
+      backHome: 'Volver al Inicio'
+    }
+  },
+
+  entitlements: {
+    loginRequired: 'Inicia sesión para gestionar tu plan',
+    requestError: 'No se pudo completar la operación',
+    upgrade: {
+      title: 'Función de pago',
+      message: 'Para usar {feature} necesitas el {plan} o superior.',
+      later: 'Ahora no',
+      viewPlans: 'Ver planes'
+    },
+    features: {
+      diary: 'el diario emocional',
+      evaluations: 'las evaluaciones',
+      basic_analytics: 'el análisis básico',
+      advanced_exercises: 'los ejercicios avanzados',
+      export: 'la exportación de informes',
+      ai_insights: 'el análisis inteligente',
+      smart_reminders: 'los recordatorios inteligentes',
+      clinician_dashboard: 'el panel para profesionales'
+    }
+  },
+
+  plans: {
+    basic: {
+      name: 'Plan Básico',
+      description: 'Perfecto para comenzar tu viaje hacia el bienestar mental',
+      features: [
+        'Acceso al diario de bienestar',
+        'Ejercicios básicos de relajación',
+        'Seguimiento de progreso',
+        'Calendario de actividades',
+        'Soporte por email'
+      ],
+      limitations: [
+        'Ejercicios limitados',
+        'Sin análisis avanzado',
+        'Soporte básico'
+      ]
+    },
+    premium: {
+      name: 'Plan Premium',
+      description: 'Para aquellos que buscan un apoyo más completo',
+      features: [
+        'Todo del Plan Básico',
+        'Ejercicios avanzados de ansiedad',
+        'Análisis de patrones emocionales',
+        'Insights personalizados con IA',
+        'Soporte prioritario',
+        'Exportación de datos',
+        'Metas personalizadas',
+        'Recordatorios inteligentes'
+      ],
+      limitations: []
+    },
+    professional: {
+      name: 'Plan Profesional',
+      description: 'Para profesionales de la salud mental',
+      features: [
+        'Todo del Plan Premium',
+        'Panel de administración',
+        'Gestión de múltiples pacientes',
+        'Reportes detallados',
+        'Integración con sistemas médicos',
+        'Soporte telefónico 24/7',
+        'API personalizada',
+        'Capacitación incluida'
+      ],
+      limitations: []
+    },
+    free: 'Gratis',
+    pricePerPeriod: '{price}/{period}',
+    period: {
+      month: 'mes'
+    },
+    popular: 'Más Popular',
+    includedFeatures: 'Características incluidas:',
+    viewDetails: 'Ver Detalles',
+    select: 'Seleccionar Plan',
+    selected: '¡Plan {name} seleccionado!',
+    compare: 'Comparar Planes',
+    exitCompare: 'Salir de Comparación',
+    confirm: {
+      title: 'Confirmar Selección',
+      includes: 'Incluye:',
+      moreFeatures: { one: '... y {count} característica más', other: '... y {count} características más' },
+      startFree: 'Comenzar Gratis',
+      continueToPayment: 'Continuar con Pago'
+    },
+    payment: {
+      title: 'Información de Pago',
+      contactTeam: 'Para activar tu plan {name}, por favor contacta con nuestro equipo:',
+      email: 'Email:',
+      phone: 'Teléfono:',
+      hours: 'Horario:',
+      schedule: 'Lunes a Viernes, 9:00 - 18:00',
+      note: 'Nota:',
+      noteText: 'Te contactaremos en las próximas 24 horas para procesar tu suscripción.',
+      goToContact: 'Ir a Contacto'
+    },
+    details: {
+      title: '{name} - Detalles Completos',
+      features: 'Características Incluidas',
+      limitations: 'Limitaciones',
+      select: 'Seleccionar Este Plan'
+    },
+    checkout: {
+      loginRequired: 'Inicia sesión o crea una cuenta para contratar un plan',
+      activated: '¡{name} activado!',
+      current: 'Tu plan actual',
+      renewsOn: 'Se renueva el {date}',
+      endsOn: 'Activo hasta el {date}',
+      cancel: 'Cancelar renovación',
+      cancelConfirm: '¿Cancelar la renovación? Mantendrás tu plan hasta el final del periodo pagado.',
+      canceled: 'Tu plan no se renovará. Seguirá activo hasta el {date}'
+    },
+    offer: {
+      title: '¡Oferta de Temporada!',
+      description: '20% de descuento en todos los planes de pago',
+      validUntil: 'Válido hasta el 31 de diciembre'
+    }
+  },
+
+  auth: {
+    welcome: '¡Bienvenido de vuelta!',
+    registered: '¡Cuenta creada exitosamente!',
+    loggedOut: 'Sesión cerrada exitosamente',
+    sessionExpired: 'Tu sesión ha terminado. Inicia sesión de nuevo',
+    twoFactor: {
+      recoveryCodeUsed: {
+        zero: 'Has usado tu último código de recuperación. Genera códigos nuevos en tu perfil',
+        one: 'Te queda {count} código de recuperación',
+        other: 'Te quedan {count} códigos de recuperación'
+      }
+    },
+    errors: {
+      missing_fields: 'Por favor completa todos los campos',
+      password_mismatch: 'Las contraseñas no coinciden',
+      weak_password: 'La contraseña debe tener al menos 8 caracteres',
+      invalid_email: 'El correo electrónico no es válido',
+      invalid_credentials: 'Email o contraseña incorrectos',
+      email_in_use: 'Ya existe una cuenta con este correo electrónico',
+      account_disabled: 'Esta cuenta ha sido desactivada',
+      too_many_requests: 'Demasiados intentos fallidos. Intenta más tarde',
+      session_expired: 'Tu sesión ha caducado. Inicia sesión de nuevo',
+      invalid_code: 'El código no es válido o ya se ha usado',
+      challenge_expired: 'Se acabó el tiempo para introducir el código. Inicia sesión de nuevo',
+      popup_closed: 'Inicio de sesión cancelado',
+      network: 'Error de conexión. Intenta nuevamente.',
+      server: 'El servidor no responde. Intenta más tarde',
+      unavailable: 'El servicio de inicio de sesión no está disponible',
+      unsupported: 'Esta opción no está disponible',
+      unknown: 'Error de autenticación. Intenta nuevamente'
+    }
+  },
+  reauth: {
+    title: 'Confirma que eres tú',
+    passwordHint: 'Para continuar, introduce tu contraseña.',
+    codeHint: 'Para continuar, introduce el código de tu app de autenticación o uno de recuperación.',
+    passwordLabel: 'Contraseña',
+    codeLabel: 'Código de verificación',
+    cancel: 'Cancelar',
+    confirm: 'Confirmar'
+  },
+
+  appLock: {
+    title: 'Sensus está bloqueado',
+    pinHint: 'Introduce tu PIN para ver tu diario y tus evaluaciones.',
+    passphraseHint: 'Introduce tu frase de acceso para ver tu diario y tus evaluaciones.',
+    pinLabel: 'PIN',
+    passphraseLabel: 'Frase de acceso',
+    unlock: 'Desbloquear',
+    errors: {
+      wrong: { one: 'No es correcto. Queda {count} intento antes de tener que esperar', other: 'No es correcto. Quedan {count} intentos antes de tener que esperar' },
+      lockedOut: { one: 'Demasiados intentos seguidos. Espera {count} segundo', other: 'Demasiados intentos seguidos. Espera {count} segundos' },
+      invalidPin: 'El PIN debe tener entre {min} y {max} cifras',
+      shortPassphrase: 'La frase de acceso debe tener al menos {min} caracteres',
+      unsupported: 'Este navegador no permite activar el bloqueo',
+      alreadyEnabled: 'El bloqueo ya está activado en este dispositivo',
+      notEnabled: 'El bloqueo no está activado en este dispositivo'
+    }
+  }
+};
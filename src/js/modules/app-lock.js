@@ -0,0 +1,547 @@
+/**
+ * Sensus App Lock Module
+ * Bloqueo local con PIN o frase de acceso para dispositivos compartidos (la tablet de casa).
+ * Las páginas con datos personales (diario y evaluación) llaman a `protect()`: se abren
+ * bloqueadas, se bloquean tras unos minutos sin actividad y al ocultarse la pestaña, y
+ * mientras tanto el contenido queda difuminado e inerte bajo el formulario de desbloqueo.
+ * Tras varios fallos seguidos hay que esperar, cada vez más, y la espera se guarda para que
+ * recargar la página no la salte.
+ * Al bloquearse emite 'sensus:app-lock-change' para que cada página olvide lo que tenga
+ * descifrado en memoria (el diario suelta la clave y el texto de sus entradas cifradas).
+ * Solo se guarda un hash PBKDF2 del PIN en este navegador: aparta miradas en un dispositivo
+ * compartido, pero no sustituye al cifrado de extremo a extremo del diario.
+ */
+
+const SETTINGS_KEY = 'sensus-app-lock';
+const ATTEMPTS_KEY = 'sensus-app-lock-attempts';
+// sessionStorage: la página que se deja desbloqueada al navegar a otra de Sensus
+const NAVIGATION_KEY = 'sensus-app-lock-navigation';
+
+const KDF = { hash: 'SHA-256', iterations: 600000, saltBytes: 16 };
+
+const PIN_MIN_LENGTH = 4;
+const PIN_MAX_LENGTH = 8;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const TIMEOUT_OPTIONS_MINUTES = [1, 5, 15, 30];
+const DEFAULT_TIMEOUT_MINUTES = 5;
+const IDLE_CHECK_MS = 10 * 1000;
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'scroll', 'touchstart', 'wheel'];
+
+// Al llegar desde otra página desbloqueada no se vuelve a pedir el PIN si ha pasado menos de esto
+const NAVIGATION_GRACE_MS = 10 * 1000;
+
+// A partir del quinto fallo seguido: 30 s, 1 min, 2 min... hasta 15 min
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_BASE_MS = 30 * 1000;
+const LOCKOUT_MAX_MS = 15 * 60 * 1000;
+
+const encoder = new TextEncoder();
+
+function t(key, params) {
+  return window.i18n.t(`appLock.${key}`, params);
+}
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+function fromBase64(value) {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function lockoutError(lockedUntil) {
+  const error = new Error(t('errors.lockedOut', { count: Math.ceil((lockedUntil - Date.now()) / 1000) }));
+  error.code = 'locked_out';
+  error.retryAt = lockedUntil;
+  return error;
+}
+
+// 1:05
+function formatWait(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+class AppLock {
+  constructor() {
+    this.settings = this.readSettings();
+    this.locked = false;
+    this.protecting = false;
+    this.lastActivity = Date.now();
+    this.hiddenUnlockedAt = null;
+    this.idleTimer = null;
+    this.countdownTimer = null;
+    this.overlay = null;
+    this.inertElements = [];
+    this.previousFocus = null;
+    this.waiters = [];
+
+    // Otra pestaña ha activado, cambiado o quitado el bloqueo
+    window.addEventListener('storage', (event) => {
+      if (event.key !== SETTINGS_KEY) return;
+
+      this.settings = this.readSettings();
+      if (!this.settings && this.locked) {
+        this.release();
+      } else {
+        this.notifyChange();
+      }
+    });
+  }
+
+  isSupported() {
+    return !!(window.crypto && window.crypto.subtle);
+  }
+
+  isEnabled() {
+    return !!this.settings;
+  }
+
+  isLocked() {
+    return this.locked;
+  }
+
+  getStatus() {
+    return { enabled: this.isEnabled(), locked: this.locked };
+  }
+
+  // { kind: 'pin' | 'passphrase', timeoutMinutes } o null si no está activado
+  getSettings() {
+    if (!this.settings) return null;
+    return { kind: this.settings.kind, timeoutMinutes: this.settings.timeoutMinutes };
+  }
+
+  // === PROTECCIÓN DE LA PÁGINA ===
+
+  /**
+   * Proteger esta página. Empieza bloqueada salvo si se llega desde otra página de Sensus
+   * que estaba desbloqueada hace un momento (navegar no obliga a repetir el PIN)
+   */
+  protect() {
+    if (this.protecting) return;
+    this.protecting = true;
+
+    const markActivity = () => { this.lastActivity = Date.now(); };
+    ACTIVITY_EVENTS.forEach(type => {
+      document.addEventListener(type, markActivity, { capture: true, passive: true });
+    });
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.hiddenUnlockedAt = this.isEnabled() && !this.locked ? Date.now() : null;
+        this.lock('hidden');
+      } else {
+        this.checkIdle();
+      }
+    });
+
+    // pagehide llega al navegar o cerrar, no al cambiar de pestaña; según el navegador,
+    // antes o después de visibilitychange
+    window.addEventListener('pagehide', () => {
+      const justHidden = this.hiddenUnlockedAt && Date.now() - this.hiddenUnlockedAt < NAVIGATION_GRACE_MS;
+      if (this.isEnabled() && (!this.locked || justHidden)) {
+        sessionStorage.setItem(NAVIGATION_KEY, String(Date.now()));
+      }
+    });
+
+    const arrivedAt = Number(sessionStorage.getItem(NAVIGATION_KEY));
+    sessionStorage.removeItem(NAVIGATION_KEY);
+    if (!arrivedAt || Date.now() - arrivedAt >= NAVIGATION_GRACE_MS) {
+      this.lock('start');
+    }
+
+    // Los temporizadores se congelan con la pestaña oculta, pero entonces ya está bloqueada
+    this.idleTimer = setInterval(() => this.checkIdle(), IDLE_CHECK_MS);
+  }
+
+  checkIdle() {
+    if (!this.isEnabled() || this.locked) return;
+
+    if (Date.now() - this.lastActivity >= this.settings.timeoutMinutes * 60 * 1000) {
+      this.lock('idle');
+    }
+  }
+
+  /**
+   * Bloquear: 'manual', 'start', 'idle' o 'hidden'. Solo en las páginas protegidas
+   */
+  lock(reason = 'manual') {
+    if (!this.protecting || !this.isEnabled() || this.locked) return;
+
+    this.locked = true;
+    this.showOverlay();
+    console.log(`🔒 Sensus bloqueado (${reason})`);
+    this.notifyChange();
+  }
+
+  async unlock(secret) {
+    await this.verify(secret);
+    this.release();
+    console.log('🔓 Sensus desbloqueado');
+  }
+
+  // Resuelve en cuanto la página está desbloqueada (al momento si no lo está o no hay bloqueo)
+  whenUnlocked() {
+    if (!this.locked) return Promise.resolve();
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  release() {
+    if (!this.locked) return;
+
+    this.locked = false;
+    this.lastActivity = Date.now();
+    this.hideOverlay();
+    this.notifyChange();
+    this.waiters.splice(0).forEach(resolve => resolve());
+  }
+
+  // === CONFIGURACIÓN ===
+
+  readSettings() {
+    try {
+      const settings = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+      return settings && settings.hash && settings.salt ? settings : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  validateSecret(kind, secret) {
+    if (kind === 'pin') {
+      if (!new RegExp(`^\\d{${PIN_MIN_LENGTH},${PIN_MAX_LENGTH}}$`).test(secret || '')) {
+        throw new Error(t('errors.invalidPin', { min: PIN_MIN_LENGTH, max: PIN_MAX_LENGTH }));
+      }
+    } else if (kind === 'passphrase') {
+      if (!secret || secret.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(t('errors.shortPassphrase', { min: MIN_PASSPHRASE_LENGTH }));
+      }
+    } else {
+      throw new Error(`Tipo de bloqueo desconocido: ${kind}`);
+    }
+  }
+
+  async hashSecret(secret, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', encoder.encode(secret), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: KDF.hash, salt: fromBase64(salt), iterations },
+      material,
+      256
+    );
+    return toBase64(bits);
+  }
+
+  async saveSettings({ kind, secret, timeoutMinutes }) {
+    this.validateSecret(kind, secret);
+
+    const salt = toBase64(crypto.getRandomValues(new Uint8Array(KDF.saltBytes)));
+    this.writeSettings({
+      kind,
+      salt,
+      iterations: KDF.iterations,
+      hash: await this.hashSecret(secret, salt, KDF.iterations),
+      timeoutMinutes: TIMEOUT_OPTIONS_MINUTES.includes(timeoutMinutes) ? timeoutMinutes : DEFAULT_TIMEOUT_MINUTES,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  writeSettings(settings) {
+    this.settings = settings;
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    localStorage.removeItem(ATTEMPTS_KEY);
+    this.notifyChange();
+  }
+
+  /**
+   * Activar el bloqueo en este navegador: { kind: 'pin' | 'passphrase', secret, timeoutMinutes }
+   */
+  async enable(options) {
+    if (!this.isSupported()) {
+      throw new Error(t('errors.unsupported'));
+    }
+    if (this.isEnabled()) {
+      throw new Error(t('errors.alreadyEnabled'));
+    }
+    await this.saveSettings(options);
+    console.log('🔐 Bloqueo de la app activado');
+  }
+
+  /**
+   * Cambiar el PIN o el tiempo de espera. Sin `secret` (y sin cambiar de tipo) se conserva
+   * el PIN actual
+   */
+  async update(currentSecret, { kind, secret, timeoutMinutes }) {
+    await this.verify(currentSecret);
+
+    if (secret || kind !== this.settings.kind) {
+      await this.saveSettings({ kind, secret, timeoutMinutes });
+    } else {
+      this.writeSettings({
+        ...this.settings,
+        timeoutMinutes: TIMEOUT_OPTIONS_MINUTES.includes(timeoutMinutes) ? timeoutMinutes : this.settings.timeoutMinutes,
+        updatedAt: new Date().toISOString()
+      });
+    }
+    console.log('🔐 Bloqueo de la app actualizado');
+  }
+
+  async disable(currentSecret) {
+    await this.verify(currentSecret);
+
+    this.settings = null;
+    localStorage.removeItem(SETTINGS_KEY);
+    localStorage.removeItem(ATTEMPTS_KEY);
+    if (this.locked) {
+      this.release();
+    } else {
+      this.notifyChange();
+    }
+    console.log('🔓 Bloqueo de la app desactivado');
+  }
+
+  // === INTENTOS ===
+
+  readAttempts() {
+    try {
+      const attempts = JSON.parse(localStorage.getItem(ATTEMPTS_KEY) || 'null');
+      return { failures: Number(attempts?.failures) || 0, lockedUntil: Number(attempts?.lockedUntil) || 0 };
+    } catch (error) {
+      return { failures: 0, lockedUntil: 0 };
+    }
+  }
+
+  /**
+   * Comprobar el PIN. Cuentan todos los fallos (también al cambiarlo o quitarlo desde el
+   * perfil); el error lleva `code`: 'wrong_secret' o 'locked_out' con `retryAt`
+   */
+  async verify(secret) {
+    if (!this.isEnabled()) {
+      throw new Error(t('errors.notEnabled'));
+    }
+
+    const attempts = this.readAttempts();
+    if (attempts.lockedUntil > Date.now()) {
+      throw lockoutError(attempts.lockedUntil);
+    }
+
+    const hash = await this.hashSecret(secret || '', this.settings.salt, this.settings.iterations);
+    if (hash === this.settings.hash) {
+      localStorage.removeItem(ATTEMPTS_KEY);
+      return;
+    }
+
+    const failures = attempts.failures + 1;
+    const lockedUntil = failures >= MAX_FAILED_ATTEMPTS
+      ? Date.now() + Math.min(LOCKOUT_BASE_MS * 2 ** (failures - MAX_FAILED_ATTEMPTS), LOCKOUT_MAX_MS)
+      : 0;
+    localStorage.setItem(ATTEMPTS_KEY, JSON.stringify({ failures, lockedUntil }));
+    console.warn(`⚠️ Desbloqueo fallido (${failures} seguidos)`);
+
+    if (lockedUntil) {
+      throw lockoutError(lockedUntil);
+    }
+
+    const error = new Error(t('errors.wrong', { count: MAX_FAILED_ATTEMPTS - failures }));
+    error.code = 'wrong_secret';
+    throw error;
+  }
+
+  // === INTERFAZ ===
+
+  showOverlay() {
+    this.addStyles();
+    this.previousFocus = document.activeElement;
+
+    const isPin = this.settings.kind === 'pin';
+    const overlay = document.createElement('div');
+    overlay.className = 'app-lock-overlay';
+    overlay.innerHTML = `
+      <form class="app-lock-dialog" role="dialog" aria-modal="true" aria-labelledby="app-lock-title">
+        <i class="fas fa-user-lock app-lock-icon" aria-hidden="true"></i>
+        <h2 id="app-lock-title">${t('title')}</h2>
+        <p>${t(isPin ? 'pinHint' : 'passphraseHint')}</p>
+        <label for="app-lock-input">${t(isPin ? 'pinLabel' : 'passphraseLabel')}</label>
+        <input
+          id="app-lock-input"
+          type="password"
+          ${isPin ? `inputmode="numeric" maxlength="${PIN_MAX_LENGTH}"` : ''}
+          autocomplete="off"
+          required
+        >
+        <p class="app-lock-error" role="alert"></p>
+        <p class="app-lock-wait" aria-hidden="true"></p>
+        <button type="submit" class="btn btn-primary">${t('unlock')}</button>
+      </form>
+    `;
+
+    const form = overlay.querySelector('form');
+    const input = overlay.querySelector('#app-lock-input');
+    const errorElement = overlay.querySelector('.app-lock-error');
+    const submitButton = form.querySelector('[type="submit"]');
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      errorElement.textContent = '';
+      submitButton.disabled = true;
+
+      try {
+        await this.unlock(input.value);
+      } catch (error) {
+        input.value = '';
+        errorElement.textContent = error.message;
+        if (error.code === 'locked_out') {
+          this.showLockout(error.retryAt);
+        } else {
+          input.focus();
+        }
+      } finally {
+        submitButton.disabled = !!this.countdownTimer;
+      }
+    });
+
+    // Lo de debajo se difumina y deja de recibir foco, clics y lectores de pantalla
+    this.inertElements = Array.from(document.body.children).filter(element => !element.inert);
+    this.inertElements.forEach(element => { element.inert = true; });
+    document.body.classList.add('app-locked');
+    document.body.appendChild(overlay);
+    this.overlay = overlay;
+
+    const { lockedUntil } = this.readAttempts();
+    if (lockedUntil > Date.now()) {
+      errorElement.textContent = lockoutError(lockedUntil).message;
+      this.showLockout(lockedUntil);
+    } else if (document.visibilityState === 'visible') {
+      input.focus();
+    }
+  }
+
+  // Cuenta atrás con el formulario desactivado hasta que se puede volver a probar
+  showLockout(lockedUntil) {
+    clearInterval(this.countdownTimer);
+    this.countdownTimer = null;
+    if (!this.overlay) return;
+
+    const input = this.overlay.querySelector('#app-lock-input');
+    const submitButton = this.overlay.querySelector('[type="submit"]');
+    const waitElement = this.overlay.querySelector('.app-lock-wait');
+    const errorElement = this.overlay.querySelector('.app-lock-error');
+
+    const tick = () => {
+      const seconds = Math.ceil((lockedUntil - Date.now()) / 1000);
+      if (seconds > 0) {
+        waitElement.textContent = formatWait(seconds);
+        return;
+      }
+
+      clearInterval(this.countdownTimer);
+      this.countdownTimer = null;
+      waitElement.textContent = '';
+      errorElement.textContent = '';
+      input.disabled = false;
+      submitButton.disabled = false;
+      input.focus();
+    };
+
+    input.disabled = true;
+    submitButton.disabled = true;
+    this.countdownTimer = setInterval(tick, 1000);
+    tick();
+  }
+
+  hideOverlay() {
+    clearInterval(this.countdownTimer);
+    this.countdownTimer = null;
+
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+    this.inertElements.forEach(element => { element.inert = false; });
+    this.inertElements = [];
+    document.body.classList.remove('app-locked');
+
+    if (this.previousFocus && this.previousFocus.focus) this.previousFocus.focus();
+    this.previousFocus = null;
+  }
+
+  /**
+   * Avisar a la página del estado del bloqueo
+   */
+  notifyChange() {
+    window.dispatchEvent(new CustomEvent('sensus:app-lock-change', { detail: this.getStatus() }));
+  }
+
+  addStyles() {
+    if (document.getElementById('app-lock-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'app-lock-styles';
+    style.textContent = `
+      body.app-locked > *:not(.app-lock-overlay) {
+        filter: blur(16px);
+        user-select: none;
+      }
+      .app-lock-overlay {
+        position: fixed;
+        inset: 0;
+        background: rgba(15, 23, 42, 0.45);
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        z-index: 9800;
+      }
+      .app-lock-dialog {
+        background: #ffffff;
+        color: #1f2937;
+        border-radius: 1rem;
+        padding: 2rem;
+        max-width: 380px;
+        width: 92%;
+        display: flex;
+        flex-direction: column;
+        gap: 0.5rem;
+        text-align: center;
+      }
+      .app-lock-icon {
+        font-size: 2rem;
+        color: #4f46e5;
+      }
+      .app-lock-dialog h2 {
+        font-size: 1.25rem;
+      }
+      .app-lock-dialog p {
+        line-height: 1.5;
+      }
+      .app-lock-dialog label {
+        font-weight: 600;
+      }
+      .app-lock-dialog input {
+        padding: 0.5rem;
+        border: 1px solid #d1d5db;
+        border-radius: 0.5rem;
+        text-align: center;
+        font-size: 1.25rem;
+        letter-spacing: 0.25em;
+      }
+      .app-lock-error {
+        color: #b91c1c;
+        min-height: 1.25rem;
+      }
+      .app-lock-wait {
+        font-variant-numeric: tabular-nums;
+        color: #4b5563;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+export default AppLock;
@@ -0,0 +1,300 @@
+/**
+ * Sensus Auth Session Module
+ * Sesión con la API (/api/v1/users): el token de acceso dura unos minutos y se guarda en
+ * localStorage ('sensus-token') para el resto de módulos; el de refresco lo guarda el
+ * navegador en una cookie httpOnly que solo ve la API. Este módulo renueva el token antes
+ * de que caduque (una sola petición aunque lo pidan varios módulos a la vez), al volver a
+ * la pestaña y al abrir la página, y se entera cuando otra pestaña lo renueva.
+ * No emite eventos: avisa con `onChange` al proveedor de Sensus (auth/sensus-provider.js)
+ * y es el cliente de autenticación (auth.js) quien los emite.
+ * Las rutas sensibles piden confirmar la identidad (403 "Reautenticación requerida"):
+ * `fetch` abre reauth-dialog.js y repite la petición una vez confirmada.
+ */
+
+import reauthDialog from './reauth-dialog.js';
+
+const TOKEN_KEY = 'sensus-token';
+
+class AuthSession {
+  constructor() {
+    this.baseUrl = '/api/v1/users';
+    this.refreshPromise = null;
+    this.refreshTimer = null;
+    this.listeners = new Set();
+
+    // Se renueva un minuto antes de caducar, con algo de azar para que las pestañas no coincidan
+    this.refreshMargin = 60 * 1000;
+    this.refreshJitter = 15 * 1000;
+    this.retryDelay = 30 * 1000;
+
+    // Otra pestaña renovó el token o cerró la sesión
+    window.addEventListener('storage', (event) => {
+      if (event.key !== TOKEN_KEY) return;
+
+      this.scheduleRefresh();
+      if (event.newValue) {
+        this.notify('refresh', { token: event.newValue });
+      } else if (event.oldValue) {
+        this.notify('end', { reason: 'other-tab' });
+      }
+    });
+
+    // Los temporizadores se congelan con la pestaña en segundo plano o el equipo suspendido
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') this.ensureFreshToken();
+    });
+
+    this.scheduleRefresh();
+  }
+
+  /**
+   * Avisos de la sesión: ('refresh', { token }) al renovar el token y ('end', { reason })
+   * cuando termina. Devuelve la función para dejar de escuchar
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(type, detail) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(type, detail);
+      } catch (error) {
+        console.error(`❌ Error en el aviso de sesión ${type}:`, error);
+      }
+    });
+  }
+
+  getToken() {
+    return localStorage.getItem(TOKEN_KEY);
+  }
+
+  setToken(token) {
+    localStorage.setItem(TOKEN_KEY, token);
+    this.scheduleRefresh();
+  }
+
+  // Caducidad (ms) leída del propio JWT; null si no se puede leer
+  getExpiry(token) {
+    try {
+      const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      const { exp } = JSON.parse(atob(payload));
+      return typeof exp === 'number' ? exp * 1000 : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isExpiring(token) {
+    const expiry = this.getExpiry(token);
+    return expiry !== null && expiry - Date.now() <= this.refreshMargin;
+  }
+
+  scheduleRefresh(delay = null) {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+
+    const token = this.getToken();
+    const expiry = token ? this.getExpiry(token) : null;
+    if (!expiry) return;
+
+    const wait = delay ?? expiry - Date.now() - this.refreshMargin - Math.random() * this.refreshJitter;
+    this.refreshTimer = setTimeout(() => this.refresh(), Math.max(wait, 0));
+  }
+
+  /**
+   * Token de acceso vigente, renovándolo antes si está a punto de caducar. null si no hay
+   * sesión o la API la ha cerrado
+   */
+  async ensureFreshToken() {
+    const token = this.getToken();
+    if (!token) return null;
+    return this.isExpiring(token) ? this.refresh() : token;
+  }
+
+  // Una sola renovación en curso: el resto de llamadas esperan a la misma
+  refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.requestRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async requestRefresh() {
+    try {
+      const response = await fetch(`${this.baseUrl}/refresh`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (response.ok && result.success) {
+        this.setToken(result.data.token);
+        console.log('🔄 Sesión renovada');
+        this.notify('refresh', { token: result.data.token });
+        return result.data.token;
+      }
+
+      // La cookie ha caducado o la sesión se cerró desde otro dispositivo
+      if (response.status === 401) {
+        console.warn('🔒 La sesión ha terminado:', result.message || response.status);
+        this.endSession('expired');
+        return null;
+      }
+
+      throw new Error(result.message || `Error ${response.status}`);
+    } catch (error) {
+      // Sin conexión o error del servidor: se conserva la sesión y se vuelve a intentar
+      console.warn('⚠️ No se pudo renovar la sesión:', error);
+      this.scheduleRefresh(this.retryDelay);
+      return null;
+    }
+  }
+
+  // Olvidar la sesión en este navegador
+  endSession(reason = 'logout') {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+
+    localStorage.removeItem(TOKEN_KEY);
+    this.notify('end', { reason });
+  }
+
+  // Cerrar la sesión en la API (revoca la cookie de refresco) y en el navegador
+  async logout() {
+    try {
+      await fetch(`${this.baseUrl}/logout`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+    } catch (error) {
+      console.warn('⚠️ No se pudo cerrar la sesión en el servidor:', error);
+    }
+    this.endSession('logout');
+  }
+
+  /**
+   * fetch con el token de acceso. Si la API responde 401 se renueva el token una vez y se
+   * repite la petición; si pide confirmar la identidad, se pide y se repite también
+   */
+  async fetch(url, options = {}) {
+    const send = (token) => fetch(url, {
+      ...options,
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+        ...(options.headers || {})
+      }
+    });
+
+    const token = await this.ensureFreshToken();
+    let response = await send(token);
+
+    if (response.status === 401 && token) {
+      const renewed = await this.refresh();
+      if (!renewed) return response;
+      response = await send(renewed);
+    }
+    return this.stepUp(response, send);
+  }
+
+  /**
+   * Ruta sensible sin la identidad confirmada: contraseña o código (según `method`) en
+   * reauth-dialog y la petición otra vez. Si se cancela se devuelve la respuesta 403
+   */
+  async stepUp(response, send) {
+    if (response.status !== 403) return response;
+
+    const result = await response.clone().json().catch(() => ({}));
+    if (result.error !== 'Reautenticación requerida') return response;
+
+    const confirmed = await reauthDialog.open({
+      method: result.method,
+      submit: (credentials) => this.reauthenticate(credentials)
+    });
+    return confirmed ? send(this.getToken()) : response;
+  }
+
+  // { password } o { code }; la API la da por confirmada unos minutos en esta sesión
+  async reauthenticate(credentials) {
+    await this.request('/reauthenticate', { method: 'POST', body: JSON.stringify(credentials) });
+    console.log('🔐 Identidad confirmada');
+  }
+
+  async request(path, options = {}) {
+    const response = await this.fetch(`${this.baseUrl}${path}`, options);
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || !result.success) {
+      const error = new Error(result.message || `Error ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return result;
+  }
+
+  // === DISPOSITIVOS CON SESIÓN ABIERTA ===
+
+  async listSessions() {
+    const { data } = await this.request('/sessions');
+    return data;
+  }
+
+  async revokeSession(session) {
+    const result = await this.request(`/sessions/${encodeURIComponent(session.id)}`, { method: 'DELETE' });
+    if (session.current) this.endSession('revoked');
+    return result.message;
+  }
+
+  // Sin `exceptCurrent` también se cierra la sesión de este navegador
+  async revokeAllSessions({ exceptCurrent = false } = {}) {
+    const result = await this.request(`/sessions${exceptCurrent ? '?exceptCurrent=true' : ''}`, { method: 'DELETE' });
+    if (!exceptCurrent) this.endSession('revoked');
+    return result.message;
+  }
+
+  // === VERIFICACIÓN EN DOS PASOS ===
+
+  async getTwoFactorStatus() {
+    const { data } = await this.request('/2fa');
+    return data;
+  }
+
+  // { secret, otpauthUrl } para la app de autenticación; se activa con enableTwoFactor
+  async setupTwoFactor() {
+    const { data } = await this.request('/2fa/setup', { method: 'POST' });
+    return data;
+  }
+
+  // Devuelve los códigos de recuperación: solo se pueden ver ahora
+  async enableTwoFactor(code) {
+    const { data } = await this.request('/2fa/enable', { method: 'POST', body: JSON.stringify({ code }) });
+    return data.recoveryCodes;
+  }
+
+  async regenerateRecoveryCodes() {
+    const { data } = await this.request('/2fa/recovery-codes', { method: 'POST' });
+    return data.recoveryCodes;
+  }
+
+  async disableTwoFactor() {
+    const result = await this.request('/2fa', { method: 'DELETE' });
+    return result.message;
+  }
+
+  // === EXPORTACIÓN ===
+
+  // Perfil, diario y evaluaciones; es una ruta sensible y puede pedir confirmar la identidad
+  async exportData() {
+    const { data } = await this.request('/export');
+    return data;
+  }
+}
+
+const authSession = new AuthSession();
+
+export default authSession;
@@ -1,433 +1,278 @@
 /**
  * Sensus Authentication Module
- * Manejo de autenticación y autorización
+ * Cliente de autenticación único de la web: inicio de sesión, registro y cierre de sesión
+ * con un proveedor intercambiable, estado observable y errores traducidos (AuthError).
+ *
+ * Proveedor (PUBLIC_AUTH_PROVIDER): 'sensus' (API /api/v1/users, por defecto), 'firebase'
+ * (Firebase Auth) o 'local' (emulador en el navegador, solo para desarrollo).
+ *
+ * Estado: { status: 'loading' | 'authenticated' | 'anonymous', user, provider, error }.
+ * El usuario (auth/user.js) se guarda en 'sensus-user'; el token, si el proveedor lo usa,
+ * lo guarda el propio proveedor ('sensus-token' en el de Sensus).
+ *
+ * Eventos (CustomEvent en window). Avisos, solo los emite este cliente:
+ *   auth:change  { state }                   cualquier cambio del estado
+ *   auth:login   { user, token, provider }   sesión iniciada o cuenta creada
+ *   auth:logout  { user, reason }            'logout', 'expired', 'revoked' u 'other-tab'
+ *   auth:refresh { token }                   token renovado
+ *   auth:error   { error }                   AuthError de un inicio de sesión o registro
+ *   auth:twoFactorRequired                   contraseña correcta, falta el código (verifyTwoFactor)
+ * Peticiones de la interfaz (EventManager, ButtonManager, app.js), las atiende app.js:
+ *   auth:showLogin, auth:showRegister, auth:logoutRequest,
+ *   auth:loginRequest { form }, auth:registerRequest { form }, auth:twoFactorRequest { form }
  */
 
-class AuthModule {
-  constructor() {
-    this.isAuthenticated = false;
-    this.user = null;
-    this.token = null;
-    this.apiBaseUrl = '/api/v1';
-    
-    this.init();
+import { AuthError, toAuthError } from './auth/errors.js';
+import FirebaseAuthProvider from './auth/firebase-provider.js';
+import LocalAuthProvider from './auth/local-provider.js';
+import SensusAuthProvider from './auth/sensus-provider.js';
+
+const USER_KEY = 'sensus-user';
+const MIN_PASSWORD_LENGTH = 8;
+
+const PROVIDERS = {
+  sensus: SensusAuthProvider,
+  firebase: FirebaseAuthProvider,
+  local: LocalAuthProvider
+};
+
+// Proveedor configurado; uno desconocido cae en el de Sensus
+export function createAuthProvider(name = 'sensus') {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    console.warn(`⚠️ Proveedor de autenticación desconocido "${name}": se usa el de Sensus`);
+    return new SensusAuthProvider();
   }
 
-  /**
-   * Inicializar módulo de autenticación
-   */
-  init() {
-    console.log('🔐 Inicializando módulo de autenticación...');
-    
-    // Verificar si hay token guardado
-    this.checkStoredAuth();
-    
-    // Configurar event listeners
-    this.setupEventListeners();
-    
-    console.log('✅ Módulo de autenticación inicializado');
-  }
-
-  /**
-   * Verificar autenticación guardada
-   */
-  checkStoredAuth() {
-    const token = localStorage.getItem('sensus-token');
-    const user = localStorage.getItem('sensus-user');
-    
-    if (token && user) {
-      try {
-        this.token = token;
-        this.user = JSON.parse(user);
-        this.isAuthenticated = true;
-        
-        // Verificar si el token sigue siendo válido
-        this.validateToken();
-        
-        console.log('👤 Usuario autenticado desde almacenamiento');
-      } catch (error) {
-        console.warn('⚠️ Error cargando autenticación guardada:', error);
-        this.clearAuth();
-      }
-    }
+  if (name === 'local' && import.meta.env.PROD) {
+    console.warn('⚠️ PUBLIC_AUTH_PROVIDER=local en producción: las cuentas solo existen en este navegador');
   }
+  return new Provider();
+}
 
-  /**
-   * Configurar event listeners
-   */
-  setupEventListeners() {
-    // Event listeners para botones de autenticación
-    document.addEventListener('click', (event) => {
-      if (event.target.matches('[data-auth="login"]')) {
-        this.showLoginModal();
-      } else if (event.target.matches('[data-auth="register"]')) {
-        this.showRegisterModal();
-      } else if (event.target.matches('[data-auth="logout"]')) {
-        this.logout();
-      }
-    });
-
-    // Event listeners para formularios
-    document.addEventListener('submit', (event) => {
-      if (event.target.matches('#login-form')) {
-        event.preventDefault();
-        this.handleLogin(event.target);
-      } else if (event.target.matches('#register-form')) {
-        event.preventDefault();
-        this.handleRegister(event.target);
-      }
-    });
-  }
+class AuthClient {
+  constructor(provider = createAuthProvider(import.meta.env.PUBLIC_AUTH_PROVIDER)) {
+    this.provider = provider;
+    this.listeners = new Set();
+    // Token del paso intermedio cuando la cuenta tiene la verificación en dos pasos
+    this.twoFactorChallenge = null;
 
-  /**
-   * Mostrar modal de login
-   */
-  showLoginModal() {
-    const modal = document.getElementById('auth-modal');
-    if (modal) {
-      modal.classList.add('active');
-      this.switchAuthTab('login');
-    }
-  }
+    // Con un usuario guardado la interfaz arranca con la sesión abierta mientras se confirma
+    const user = this.readStoredUser();
+    this.state = { status: user ? 'authenticated' : 'loading', user, provider: provider.name, error: null };
 
-  /**
-   * Mostrar modal de registro
-   */
-  showRegisterModal() {
-    const modal = document.getElementById('auth-modal');
-    if (modal) {
-      modal.classList.add('active');
-      this.switchAuthTab('register');
-    }
+    this.provider.onSessionChange((type, detail) => this.handleSessionChange(type, detail));
+    this.ready = this.restore();
   }
 
-  /**
-   * Cambiar tab de autenticación
-   */
-  switchAuthTab(tab) {
-    // Actualizar tabs
-    document.querySelectorAll('.auth-tab').forEach(t => t.classList.remove('active'));
-    document.querySelectorAll('.auth-form').forEach(f => f.classList.remove('active'));
-    
-    // Activar tab seleccionado
-    const activeTab = Array.from(document.querySelectorAll('.auth-tab'))
-      .find(t => t.textContent.toLowerCase().includes(tab === 'login' ? 'iniciar' : 'registrarse'));
-    
-    if (activeTab) {
-      activeTab.classList.add('active');
-    }
-    
-    // Activar formulario correspondiente
-    const activeForm = document.getElementById(`${tab}-form`);
-    if (activeForm) {
-      activeForm.classList.add('active');
+  readStoredUser() {
+    try {
+      return JSON.parse(localStorage.getItem(USER_KEY) || 'null');
+    } catch (error) {
+      console.warn('⚠️ Usuario guardado no válido:', error);
+      localStorage.removeItem(USER_KEY);
+      return null;
     }
   }
 
   /**
-   * Manejar login
+   * Confirmar la sesión guardada con el proveedor al abrir la página
    */
-  async handleLogin(form) {
-    const formData = new FormData(form);
-    const email = formData.get('email');
-    const password = formData.get('password');
-    
-    if (!email || !password) {
-      this.showError('Por favor completa todos los campos');
-      return;
-    }
-
+  async restore() {
     try {
-      this.showLoading(form, true);
-      
-      const response = await fetch(`${this.apiBaseUrl}/users/login`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ email, password })
-      });
-
-      const data = await response.json();
-
-      if (data.success) {
-        this.setAuth(data.data.token, data.data.user);
-        this.hideAuthModal();
-        this.showSuccess('¡Bienvenido de vuelta!');
+      const session = await this.provider.restore(this.state.user);
+      if (session) {
+        this.setSession(session.user);
+        console.log('👤 Usuario autenticado desde almacenamiento');
       } else {
-        this.showError(data.message || 'Error en el login');
+        this.endSession('expired');
       }
     } catch (error) {
-      console.error('Error en login:', error);
-      this.showError('Error de conexión. Intenta nuevamente.');
-    } finally {
-      this.showLoading(form, false);
+      // Proveedor no disponible o sin conexión: se conserva lo guardado
+      console.warn('⚠️ No se pudo comprobar la sesión:', error);
+      if (this.state.status === 'loading') this.setState({ status: 'anonymous' });
     }
+    return this.getState();
   }
 
-  /**
-   * Manejar registro
-   */
-  async handleRegister(form) {
-    const formData = new FormData(form);
-    const firstName = formData.get('firstName');
-    const lastName = formData.get('lastName');
-    const email = formData.get('email');
-    const password = formData.get('password');
-    const confirmPassword = formData.get('confirmPassword');
-    
-    if (!firstName || !lastName || !email || !password || !confirmPassword) {
-      this.showError('Por favor completa todos los campos');
-      return;
-    }
+  // === ESTADO ===
 
-    if (password !== confirmPassword) {
-      this.showError('Las contraseñas no coinciden');
-      return;
-    }
-
-    if (password.length < 8) {
-      this.showError('La contraseña debe tener al menos 8 caracteres');
-      return;
-    }
+  getState() {
+    return { ...this.state };
+  }
 
-    try {
-      this.showLoading(form, true);
-      
-      const response = await fetch(`${this.apiBaseUrl}/users/register`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          firstName,
-          lastName,
-          email,
-          password,
-          birthDate: formData.get('birthDate')
-        })
-      });
+  /**
+   * Escuchar el estado (se llama enseguida con el actual). Devuelve la función para dejar
+   * de escuchar
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getState());
+    return () => this.listeners.delete(listener);
+  }
 
-      const data = await response.json();
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
 
-      if (data.success) {
-        this.setAuth(data.data.token, data.data.user);
-        this.hideAuthModal();
-        this.showSuccess('¡Cuenta creada exitosamente!');
-      } else {
-        this.showError(data.message || 'Error en el registro');
+    const state = this.getState();
+    this.listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('❌ Error en un oyente de autenticación:', error);
       }
-    } catch (error) {
-      console.error('Error en registro:', error);
-      this.showError('Error de conexión. Intenta nuevamente.');
-    } finally {
-      this.showLoading(form, false);
-    }
+    });
+    this.emit('auth:change', { state });
   }
 
-  /**
-   * Establecer autenticación
-   */
-  setAuth(token, user) {
-    this.token = token;
-    this.user = user;
-    this.isAuthenticated = true;
-    
-    // Guardar en localStorage
-    localStorage.setItem('sensus-token', token);
-    localStorage.setItem('sensus-user', JSON.stringify(user));
-    
-    // Actualizar UI
-    this.updateAuthUI();
-    
-    // Emitir evento
-    window.dispatchEvent(new CustomEvent('auth:login', { detail: { user, token } }));
+  isLoggedIn() {
+    return this.state.status === 'authenticated';
   }
 
-  /**
-   * Cerrar sesión
-   */
-  logout() {
-    this.clearAuth();
-    this.updateAuthUI();
-    
-    // Emitir evento
-    window.dispatchEvent(new CustomEvent('auth:logout', { detail: { user: this.user } }));
-    
-    this.showSuccess('Sesión cerrada exitosamente');
+  getCurrentUser() {
+    return this.state.user;
   }
 
-  /**
-   * Limpiar autenticación
-   */
-  clearAuth() {
-    this.token = null;
-    this.user = null;
-    this.isAuthenticated = false;
-    
-    // Limpiar localStorage
-    localStorage.removeItem('sensus-token');
-    localStorage.removeItem('sensus-user');
+  // Token del proveedor para la API, renovado si hace falta; null si no usa tokens
+  async getToken() {
+    return this.isLoggedIn() ? this.provider.getToken() : null;
   }
 
+  // === ACCIONES ===
+
   /**
-   * Validar token
+   * Iniciar sesión. Devuelve null si la cuenta tiene la verificación en dos pasos: la
+   * sesión se abre después con verifyTwoFactor(code)
    */
-  async validateToken() {
-    if (!this.token) return false;
-
+  async login({ email = '', password = '' } = {}) {
     try {
-      const response = await fetch(`${this.apiBaseUrl}/users/profile`, {
-        headers: {
-          'Authorization': `Bearer ${this.token}`
-        }
-      });
+      if (!email.trim() || !password) throw new AuthError('missing_fields');
 
-      if (response.ok) {
-        const data = await response.json();
-        this.user = data.data;
-        return true;
-      } else {
-        this.clearAuth();
-        return false;
+      const result = await this.provider.login({ email: email.trim(), password });
+      if (result.twoFactorRequired) {
+        this.twoFactorChallenge = result.challenge;
+        this.emit('auth:twoFactorRequired', {});
+        return null;
       }
+
+      const { user, token } = result;
+      this.setSession(user);
+      this.emit('auth:login', { user, token, provider: this.provider.name });
+      return user;
     } catch (error) {
-      console.error('Error validando token:', error);
-      this.clearAuth();
-      return false;
+      throw this.fail(error);
     }
   }
 
   /**
-   * Actualizar UI de autenticación
+   * Crear cuenta. `confirmPassword` es opcional: si llega tiene que coincidir
    */
-  updateAuthUI() {
-    const authButtons = document.querySelectorAll('[data-auth]');
-    const userElements = document.querySelectorAll('[data-user]');
-    
-    authButtons.forEach(button => {
-      if (this.isAuthenticated) {
-        if (button.dataset.auth === 'login' || button.dataset.auth === 'register') {
-          button.style.display = 'none';
-        } else if (button.dataset.auth === 'logout') {
-          button.style.display = 'block';
-        }
-      } else {
-        if (button.dataset.auth === 'login' || button.dataset.auth === 'register') {
-          button.style.display = 'block';
-        } else if (button.dataset.auth === 'logout') {
-          button.style.display = 'none';
-        }
-      }
-    });
-
-    userElements.forEach(element => {
-      if (this.isAuthenticated && this.user) {
-        element.textContent = this.user.firstName || this.user.email;
-        element.style.display = 'block';
-      } else {
-        element.style.display = 'none';
+  async register({ firstName = '', lastName = '', email = '', password = '', confirmPassword, birthDate } = {}) {
+    try {
+      if (!firstName.trim() || !lastName.trim() || !email.trim() || !password) {
+        throw new AuthError('missing_fields');
       }
-    });
+      if (confirmPassword !== undefined && confirmPassword !== password) throw new AuthError('password_mismatch');
+      if (password.length < MIN_PASSWORD_LENGTH) throw new AuthError('weak_password');
+
+      const { user, token } = await this.provider.register({
+        firstName: firstName.trim(),
+        lastName: lastName.trim(),
+        email: email.trim(),
+        password,
+        birthDate: birthDate || null
+      });
+      this.setSession(user);
+      this.emit('auth:login', { user, token, provider: this.provider.name });
+      return user;
+    } catch (error) {
+      throw this.fail(error);
+    }
   }
 
   /**
-   * Ocultar modal de autenticación
+   * Segundo paso del inicio de sesión con el código de la app o uno de recuperación.
+   * `recoveryCodesRemaining` solo llega si se usó uno de recuperación
    */
-  hideAuthModal() {
-    const modal = document.getElementById('auth-modal');
-    if (modal) {
-      modal.classList.remove('active');
-      document.body.style.overflow = '';
+  async verifyTwoFactor(code = '') {
+    try {
+      if (!code.trim()) throw new AuthError('missing_fields');
+      if (!this.twoFactorChallenge) throw new AuthError('challenge_expired');
+
+      const { user, token, recoveryCodesRemaining } = await this.provider.verifyTwoFactor(this.twoFactorChallenge, code.trim());
+      this.twoFactorChallenge = null;
+      this.setSession(user);
+      this.emit('auth:login', { user, token, provider: this.provider.name });
+      return { user, recoveryCodesRemaining };
+    } catch (error) {
+      // Caducado o ya usado: hay que volver a escribir la contraseña
+      if (error.code === 'challenge_expired') this.twoFactorChallenge = null;
+      throw this.fail(error);
     }
   }
 
-  /**
-   * Mostrar loading
-   */
-  showLoading(form, show) {
-    const submitBtn = form.querySelector('.auth-submit');
-    if (submitBtn) {
-      if (show) {
-        submitBtn.disabled = true;
-        submitBtn.innerHTML = `
-          <div class="auth-form-loading">
-            <div class="spinner"></div>
-            Procesando...
-          </div>
-        `;
-      } else {
-        submitBtn.disabled = false;
-        if (form.id === 'login-form') {
-          submitBtn.innerHTML = '<i class="fas fa-sign-in-alt"></i> Iniciar Sesión';
-        } else if (form.id === 'register-form') {
-          submitBtn.innerHTML = '<i class="fas fa-user-plus"></i> Crear Cuenta';
-        }
-      }
+  async logout() {
+    try {
+      await this.provider.logout();
+    } catch (error) {
+      // La sesión se cierra en este navegador aunque el proveedor no responda
+      console.warn('⚠️ No se pudo cerrar la sesión en el proveedor:', error);
     }
+    this.endSession('logout');
   }
 
-  /**
-   * Mostrar error
-   */
-  showError(message) {
-    this.showMessage(message, 'error');
+  async resetPassword(email = '') {
+    try {
+      if (!email.trim()) throw new AuthError('missing_fields');
+      await this.provider.resetPassword(email.trim());
+    } catch (error) {
+      throw this.fail(error);
+    }
   }
 
-  /**
-   * Mostrar éxito
-   */
-  showSuccess(message) {
-    this.showMessage(message, 'success');
+  // === SESIÓN ===
+
+  setSession(user) {
+    localStorage.setItem(USER_KEY, JSON.stringify(user));
+    this.setState({ status: 'authenticated', user, error: null });
   }
 
-  /**
-   * Mostrar mensaje
-   */
-  showMessage(message, type) {
-    // Crear notificación
-    const notification = document.createElement('div');
-    notification.className = `notification notification-${type}`;
-    notification.innerHTML = `
-      <div class="notification-content">
-        <i class="fas fa-${type === 'error' ? 'exclamation-circle' : 'check-circle'}"></i>
-        <span>${message}</span>
-      </div>
-    `;
-    
-    // Agregar al DOM
-    document.body.appendChild(notification);
-    
-    // Mostrar con animación
-    setTimeout(() => notification.classList.add('show'), 100);
-    
-    // Remover después de 5 segundos
-    setTimeout(() => {
-      notification.classList.remove('show');
-      setTimeout(() => notification.remove(), 300);
-    }, 5000);
+  // Idempotente: el proveedor y el cliente pueden avisar del mismo cierre
+  endSession(reason) {
+    const { user } = this.state;
+    if (this.state.status === 'anonymous') return;
+
+    localStorage.removeItem(USER_KEY);
+    this.setState({ status: 'anonymous', user: null, error: null });
+    if (user) {
+      this.emit('auth:logout', { user, reason });
+    }
   }
 
-  /**
-   * Obtener usuario actual
-   */
-  getCurrentUser() {
-    return this.user;
+  handleSessionChange(type, detail) {
+    if (type === 'refresh') {
+      this.emit('auth:refresh', { token: detail.token });
+    } else if (type === 'user' && detail.user.id !== this.state.user?.id) {
+      this.setSession(detail.user);
+    } else if (type === 'end') {
+      this.endSession(detail.reason);
+    }
   }
 
-  /**
-   * Verificar si está autenticado
-   */
-  isLoggedIn() {
-    return this.isAuthenticated;
+  fail(error) {
+    const authError = toAuthError(error);
+    console.warn(`⚠️ Error de autenticación (${authError.code}):`, authError.cause || authError.message);
+
+    this.setState({ error: authError });
+    this.emit('auth:error', { error: authError });
+    return authError;
   }
 
-  /**
-   * Obtener token
-   */
-  getToken() {
-    return this.token;
+  emit(event, detail) {
+    window.dispatchEvent(new CustomEvent(event, { detail }));
   }
 }
 
-export default AuthModule;
+const authClient = new AuthClient();
+
+export default authClient;
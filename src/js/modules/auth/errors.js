@@ -0,0 +1,54 @@
+/**
+ * Errores de autenticación
+ * Todos los proveedores traducen sus errores (respuestas de la API, códigos de Firebase...)
+ * a un AuthError con uno de estos códigos; el mensaje sale del catálogo (auth.errors.*).
+ */
+
+export const AUTH_ERROR_CODES = [
+  'missing_fields',
+  'password_mismatch',
+  'weak_password',
+  'invalid_email',
+  'invalid_credentials',
+  'email_in_use',
+  'account_disabled',
+  'too_many_requests',
+  'session_expired',
+  'invalid_code',
+  'challenge_expired',
+  'popup_closed',
+  'network',
+  'server',
+  'unavailable',
+  'unsupported',
+  'unknown'
+];
+
+// Campo del formulario al que se refiere cada error
+const FIELDS = {
+  password_mismatch: 'confirmPassword',
+  weak_password: 'password',
+  invalid_email: 'email',
+  email_in_use: 'email',
+  invalid_code: 'code'
+};
+
+export class AuthError extends Error {
+  constructor(code, { status = null, cause = null } = {}) {
+    const known = AUTH_ERROR_CODES.includes(code) ? code : 'unknown';
+    super(window.i18n ? window.i18n.t(`auth.errors.${known}`) : known);
+
+    this.name = 'AuthError';
+    this.code = known;
+    this.field = FIELDS[known] || null;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+// Cualquier error a AuthError: un TypeError de fetch es que no hay conexión
+export function toAuthError(error) {
+  if (error instanceof AuthError) return error;
+  if (error instanceof TypeError) return new AuthError('network', { cause: error });
+  return new AuthError('unknown', { cause: error });
+}
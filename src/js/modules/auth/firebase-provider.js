@@ -0,0 +1,186 @@
+/**
+ * Proveedor de Firebase
+ * Firebase Auth (SDK compat que cargan firebase-init.js y firebase-config.js en
+ * window.FirebaseServices). Firebase guarda y renueva su propia sesión: aquí solo se
+ * traducen usuarios y errores, y sus cambios se avisan como los de la API.
+ */
+
+import { AuthError } from './errors.js';
+import { normalizeUser } from './user.js';
+
+// Firebase se carga aparte; si no aparece en este tiempo el proveedor no está disponible
+const READY_TIMEOUT = 10 * 1000;
+
+const ERROR_CODES = {
+  'auth/user-not-found': 'invalid_credentials',
+  'auth/wrong-password': 'invalid_credentials',
+  'auth/invalid-credential': 'invalid_credentials',
+  'auth/invalid-login-credentials': 'invalid_credentials',
+  'auth/email-already-in-use': 'email_in_use',
+  'auth/weak-password': 'weak_password',
+  'auth/invalid-email': 'invalid_email',
+  'auth/missing-password': 'missing_fields',
+  'auth/user-disabled': 'account_disabled',
+  'auth/too-many-requests': 'too_many_requests',
+  'auth/network-request-failed': 'network',
+  'auth/popup-closed-by-user': 'popup_closed',
+  'auth/cancelled-popup-request': 'popup_closed',
+  'auth/user-token-expired': 'session_expired',
+  'auth/requires-recent-login': 'session_expired'
+};
+
+function toAuthError(error) {
+  if (error instanceof AuthError) return error;
+  return new AuthError(ERROR_CODES[error.code] || 'unknown', { cause: error });
+}
+
+function toUser(firebaseUser, provider) {
+  const [firstName = '', ...lastName] = (firebaseUser.displayName || '').split(' ');
+
+  return normalizeUser({
+    id: firebaseUser.uid,
+    email: firebaseUser.email,
+    firstName,
+    lastName: lastName.join(' '),
+    displayName: firebaseUser.displayName,
+    photoURL: firebaseUser.photoURL,
+    createdAt: firebaseUser.metadata?.creationTime ? new Date(firebaseUser.metadata.creationTime).toISOString() : null
+  }, provider);
+}
+
+export default class FirebaseAuthProvider {
+  constructor() {
+    this.name = 'firebase';
+    this.authPromise = null;
+    this.signingOut = false;
+  }
+
+  // Instancia de firebase.auth() cuando Firebase termina de cargar
+  getAuth() {
+    if (!this.authPromise) {
+      this.authPromise = new Promise((resolve, reject) => {
+        const auth = window.FirebaseServices?.auth();
+        if (auth) {
+          resolve(auth);
+          return;
+        }
+
+        const timer = setTimeout(() => reject(new AuthError('unavailable')), READY_TIMEOUT);
+        window.addEventListener('firebaseReady', () => {
+          clearTimeout(timer);
+          const readyAuth = window.FirebaseServices?.auth();
+          if (readyAuth) {
+            resolve(readyAuth);
+          } else {
+            reject(new AuthError('unavailable'));
+          }
+        }, { once: true });
+      }).catch(error => {
+        // Se vuelve a intentar en la siguiente llamada
+        this.authPromise = null;
+        throw error;
+      });
+    }
+    return this.authPromise;
+  }
+
+  // Firebase restaura la sesión por su cuenta: el primer aviso de onAuthStateChanged la confirma
+  async restore() {
+    const auth = await this.getAuth();
+
+    const firebaseUser = await new Promise(resolve => {
+      const unsubscribe = auth.onAuthStateChanged(user => {
+        unsubscribe();
+        resolve(user);
+      });
+    });
+    if (!firebaseUser) return null;
+
+    return { user: toUser(firebaseUser, this.name), token: await firebaseUser.getIdToken() };
+  }
+
+  async login({ email, password }) {
+    try {
+      const auth = await this.getAuth();
+      const { user } = await auth.signInWithEmailAndPassword(email, password);
+      return { user: toUser(user, this.name), token: await user.getIdToken() };
+    } catch (error) {
+      throw toAuthError(error);
+    }
+  }
+
+  async register({ firstName, lastName, email, password }) {
+    try {
+      const auth = await this.getAuth();
+      const { user } = await auth.createUserWithEmailAndPassword(email, password);
+      await user.updateProfile({ displayName: `${firstName} ${lastName}`.trim() });
+      return { user: toUser(user, this.name), token: await user.getIdToken() };
+    } catch (error) {
+      throw toAuthError(error);
+    }
+  }
+
+  async logout() {
+    const auth = await this.getAuth();
+    this.signingOut = true;
+    try {
+      await auth.signOut();
+    } finally {
+      this.signingOut = false;
+    }
+  }
+
+  async resetPassword(email) {
+    try {
+      const auth = await this.getAuth();
+      await auth.sendPasswordResetEmail(email);
+    } catch (error) {
+      throw toAuthError(error);
+    }
+  }
+
+  // La verificación en dos pasos de Firebase (multi-factor) no está integrada: login nunca la pide
+  async verifyTwoFactor() {
+    throw new AuthError('unsupported');
+  }
+
+  async getToken() {
+    const auth = await this.getAuth().catch(() => null);
+    return auth?.currentUser ? auth.currentUser.getIdToken() : null;
+  }
+
+  /**
+   * Token renovado por Firebase ('refresh') y sesión iniciada ('user') o cerrada ('end') en
+   * otra pestaña o al caducar
+   */
+  onSessionChange(listener) {
+    let active = true;
+    let unsubscribe = () => {};
+
+    this.getAuth().then(auth => {
+      if (!active) return;
+
+      let known = auth.currentUser?.uid || null;
+      unsubscribe = auth.onIdTokenChanged(async firebaseUser => {
+        if (!firebaseUser) {
+          if (known) listener('end', { reason: this.signingOut ? 'logout' : 'expired' });
+          known = null;
+          return;
+        }
+
+        if (firebaseUser.uid !== known) {
+          known = firebaseUser.uid;
+          listener('user', { user: toUser(firebaseUser, this.name) });
+        }
+        listener('refresh', { token: await firebaseUser.getIdToken() });
+      });
+    }).catch(error => {
+      console.warn('⚠️ Firebase Auth no disponible:', error);
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }
+}
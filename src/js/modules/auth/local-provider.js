@@ -0,0 +1,122 @@
+/**
+ * Proveedor Local (emulador)
+ * Para desarrollo y demos sin API ni Firebase: las cuentas se guardan en este navegador
+ * (localStorage) con la contraseña como hash SHA-256 con sal, y la sesión es el id de la
+ * cuenta. No protege nada: cualquiera con acceso al navegador puede leerlo. Valida los
+ * mismos casos que la API (email inválido, contraseña débil, cuenta existente...) para
+ * recorrer los mismos caminos de error.
+ */
+
+import { AuthError } from './errors.js';
+import { normalizeUser } from './user.js';
+
+const ACCOUNTS_KEY = 'sensus-auth-emulator-accounts';
+const SESSION_KEY = 'sensus-auth-emulator-session';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function hashPassword(password, salt) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${password}`));
+  return toHex(digest);
+}
+
+export default class LocalAuthProvider {
+  constructor() {
+    this.name = 'local';
+  }
+
+  readAccounts() {
+    try {
+      return JSON.parse(localStorage.getItem(ACCOUNTS_KEY) || '{}');
+    } catch (error) {
+      console.warn('⚠️ Cuentas del emulador no válidas:', error);
+      return {};
+    }
+  }
+
+  // Cuenta sin el hash de la contraseña
+  toSession(account) {
+    const { passwordHash, salt, ...profile } = account;
+    return { user: normalizeUser(profile, this.name), token: null };
+  }
+
+  async restore() {
+    const id = localStorage.getItem(SESSION_KEY);
+    const account = id && Object.values(this.readAccounts()).find(item => item.id === id);
+    return account ? this.toSession(account) : null;
+  }
+
+  async login({ email, password }) {
+    const account = this.readAccounts()[email.toLowerCase()];
+    if (!account || account.passwordHash !== await hashPassword(password, account.salt)) {
+      throw new AuthError('invalid_credentials', { status: 401 });
+    }
+
+    localStorage.setItem(SESSION_KEY, account.id);
+    return this.toSession(account);
+  }
+
+  async register({ firstName, lastName, email, password, birthDate }) {
+    if (!EMAIL_PATTERN.test(email)) throw new AuthError('invalid_email', { status: 400 });
+    if (password.length < MIN_PASSWORD_LENGTH) throw new AuthError('weak_password', { status: 400 });
+
+    const accounts = this.readAccounts();
+    const key = email.toLowerCase();
+    if (accounts[key]) throw new AuthError('email_in_use', { status: 409 });
+
+    const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const account = {
+      id: crypto.randomUUID(),
+      email: key,
+      firstName,
+      lastName,
+      birthDate: birthDate || null,
+      createdAt: new Date().toISOString(),
+      preferences: {},
+      salt,
+      passwordHash: await hashPassword(password, salt)
+    };
+
+    localStorage.setItem(ACCOUNTS_KEY, JSON.stringify({ ...accounts, [key]: account }));
+    localStorage.setItem(SESSION_KEY, account.id);
+    return this.toSession(account);
+  }
+
+  async logout() {
+    localStorage.removeItem(SESSION_KEY);
+  }
+
+  // Sin servidor de correo no hay enlace para restablecerla
+  async resetPassword() {
+    throw new AuthError('unsupported');
+  }
+
+  // El emulador no tiene verificación en dos pasos: login nunca la pide
+  async verifyTwoFactor() {
+    throw new AuthError('unsupported');
+  }
+
+  async getToken() {
+    return null;
+  }
+
+  // Sesión iniciada o cerrada en otra pestaña
+  onSessionChange(listener) {
+    const handleStorage = (event) => {
+      if (event.key !== SESSION_KEY) return;
+
+      if (event.newValue) {
+        this.restore().then(session => session && listener('user', { user: session.user }));
+      } else if (event.oldValue) {
+        listener('end', { reason: 'other-tab' });
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }
+}
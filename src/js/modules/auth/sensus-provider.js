@@ -0,0 +1,128 @@
+/**
+ * Proveedor de Sensus
+ * Cuentas de la API (/api/v1/users): token de acceso corto en 'sensus-token' y token de
+ * refresco en una cookie httpOnly, renovado por auth-session.js.
+ */
+
+import authSession from '../auth-session.js';
+import { AuthError } from './errors.js';
+import { normalizeUser } from './user.js';
+
+const BASE_URL = '/api/v1/users';
+
+// Respuesta de error de la API (`error` es la clave estable; `message` es para personas)
+function toAuthError(status, result) {
+  switch (result.error) {
+    case 'Campos requeridos faltantes':
+    case 'Credenciales requeridas':
+      return new AuthError('missing_fields', { status });
+    case 'Email inválido':
+      return new AuthError('invalid_email', { status });
+    case 'Contraseña débil':
+      return new AuthError('weak_password', { status });
+    case 'Usuario ya existe':
+      return new AuthError('email_in_use', { status });
+    case 'Cuenta desactivada':
+      return new AuthError('account_disabled', { status });
+    case 'Código incorrecto':
+      return new AuthError('invalid_code', { status });
+    case 'Verificación caducada':
+      return new AuthError('challenge_expired', { status });
+  }
+
+  if (status === 429) return new AuthError('too_many_requests', { status });
+  if (status === 401) return new AuthError('invalid_credentials', { status });
+  if (status >= 500) return new AuthError('server', { status });
+  return new AuthError('unknown', { status });
+}
+
+export default class SensusAuthProvider {
+  constructor() {
+    this.name = 'sensus';
+  }
+
+  async post(path, body) {
+    const response = await fetch(`${BASE_URL}${path}`, {
+      method: 'POST',
+      // La API deja el token de refresco en una cookie httpOnly
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || !result.success) {
+      throw toAuthError(response.status, result);
+    }
+    return result.data;
+  }
+
+  startSession(data) {
+    // auth-session programa la renovación del token
+    authSession.setToken(data.token);
+    return { user: normalizeUser(data.user, this.name), token: data.token };
+  }
+
+  /**
+   * Sesión guardada en este navegador, confirmada con el perfil (renueva el token si caducó
+   * con la página cerrada). Sin conexión se conserva el usuario guardado
+   */
+  async restore(storedUser) {
+    const token = authSession.getToken();
+    if (!token) return null;
+
+    try {
+      const response = await authSession.fetch(`${BASE_URL}/profile`);
+      if (response.status === 401 || response.status === 404) {
+        authSession.endSession('expired');
+        return null;
+      }
+      if (!response.ok) throw toAuthError(response.status, {});
+
+      const result = await response.json();
+      return { user: normalizeUser(result.data, this.name), token: authSession.getToken() };
+    } catch (error) {
+      console.warn('⚠️ No se pudo comprobar la sesión:', error);
+      return storedUser ? { user: storedUser, token } : null;
+    }
+  }
+
+  /**
+   * Con la verificación en dos pasos activada la API no abre la sesión: devuelve un token
+   * de unos minutos para mandarlo con el código (verifyTwoFactor)
+   */
+  async login({ email, password }) {
+    const data = await this.post('/login', { email, password });
+    if (data.twoFactorRequired) {
+      return { twoFactorRequired: true, challenge: data.challengeToken };
+    }
+    return this.startSession(data);
+  }
+
+  // Código de la app o de recuperación; con uno de recuperación avisa de los que quedan
+  async verifyTwoFactor(challenge, code) {
+    const data = await this.post('/login/2fa', { challengeToken: challenge, code });
+    return { ...this.startSession(data), recoveryCodesRemaining: data.recoveryCodesRemaining ?? null };
+  }
+
+  async register({ firstName, lastName, email, password, birthDate }) {
+    return this.startSession(await this.post('/register', { firstName, lastName, email, password, birthDate }));
+  }
+
+  // Revoca la sesión en la API; auth-session avisa con 'end'
+  async logout() {
+    await authSession.logout();
+  }
+
+  async resetPassword() {
+    throw new AuthError('unsupported');
+  }
+
+  async getToken() {
+    return authSession.ensureFreshToken();
+  }
+
+  onSessionChange(listener) {
+    return authSession.onChange(listener);
+  }
+}
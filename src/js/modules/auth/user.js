@@ -0,0 +1,24 @@
+/**
+ * Usuario normalizado: la misma forma venga de la API, de Firebase o del emulador local.
+ * Es lo que se guarda en 'sensus-user' y lo que llega en auth:login y auth:change.
+ */
+
+export function normalizeUser(data, provider) {
+  const firstName = data.firstName || '';
+  const lastName = data.lastName || '';
+
+  return {
+    id: data.id,
+    email: data.email || null,
+    firstName,
+    lastName,
+    displayName: data.displayName || [firstName, lastName].filter(Boolean).join(' ') || data.email || '',
+    photoURL: data.photoURL || null,
+    birthDate: data.birthDate || null,
+    createdAt: data.createdAt || null,
+    preferences: data.preferences || {},
+    // Funciones del plan; solo las envía la API de Sensus
+    entitlements: data.entitlements || null,
+    provider
+  };
+}
@@ -0,0 +1,466 @@
+/**
+ * Sensus Clinician Share Module
+ * Enlaces de solo lectura para compartir el progreso con un profesional
+ * (API /api/v1/share). El paciente elige periodo, categorías, caducidad y
+ * las entradas del diario que quiere incluir, y puede revocar cada enlace.
+ */
+
+import authSession from './auth-session.js';
+
+// Mismos límites que la API (backend/src/models/share.model.ts y shareGrantSchema)
+const SHARE_DEFAULT_EXPIRY_DAYS = 7;
+const SHARE_MAX_ENTRIES = 20;
+const SHARE_MAX_CONTENT_LENGTH = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CATEGORY_LABELS = {
+  evaluations: 'Resultados de evaluaciones (puntuación y nivel)',
+  mood_trend: 'Evolución del estado de ánimo',
+  entries: 'Entradas del diario seleccionadas'
+};
+
+const EXPIRY_OPTIONS = [1, 7, 14, 30];
+
+class ClinicianShare {
+  constructor() {
+    this.baseUrl = '/api/v1/share';
+    this.dialog = null;
+  }
+
+  // === API ===
+
+  // Con auth-session: renueva el token y, al crear un enlace, pide confirmar la identidad
+  async request(path, options = {}) {
+    if (!authSession.getToken()) {
+      throw new Error('Inicia sesión para compartir tu progreso');
+    }
+
+    const response = await authSession.fetch(`${this.baseUrl}${path}`, options);
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || 'No se pudo completar la operación');
+    }
+    return result.data;
+  }
+
+  createGrant(data) {
+    return this.request('/grants', { method: 'POST', body: JSON.stringify(data) });
+  }
+
+  listGrants() {
+    return this.request('/grants');
+  }
+
+  revokeGrant(grantId) {
+    return this.request(`/grants/${encodeURIComponent(grantId)}`, { method: 'DELETE' });
+  }
+
+  getAccessLogs(grantId) {
+    return this.request(`/grants/${encodeURIComponent(grantId)}/access`);
+  }
+
+  getShareUrl(token) {
+    return `${window.location.origin}/informe-compartido?token=${encodeURIComponent(token)}`;
+  }
+
+  getGrantStatus(grant) {
+    if (grant.revokedAt) return { id: 'revoked', label: 'Revocado' };
+    if (new Date(grant.expiresAt).getTime() <= Date.now()) return { id: 'expired', label: 'Caducado' };
+    return { id: 'active', label: 'Activo' };
+  }
+
+  // === INTERFAZ ===
+
+  /**
+   * Diálogo para crear enlaces y gestionar los existentes (diary: DiaryWellness)
+   */
+  async open(diary) {
+    if (this.dialog) this.dialog.remove();
+    this.addStyles();
+
+    const to = new Date();
+    const from = new Date(to.getTime() - 30 * DAY_MS);
+    const previousFocus = document.activeElement;
+
+    const dialog = document.createElement('div');
+    dialog.className = 'clinician-share-overlay';
+    dialog.innerHTML = `
+      <div class="clinician-share-dialog" role="dialog" aria-modal="true" aria-labelledby="clinician-share-title">
+        <h2 id="clinician-share-title">Compartir con mi profesional</h2>
+        <p>Crea un enlace de solo lectura. Quien lo tenga podrá ver lo que elijas hasta que caduque o lo revoques, y verás cada acceso.</p>
+        <form class="clinician-share-form">
+          <label for="clinician-share-label">Nombre del enlace (opcional)</label>
+          <input type="text" id="clinician-share-label" maxlength="100" placeholder="Ej.: Consulta con mi psicóloga">
+
+          <div class="clinician-share-range">
+            <div>
+              <label for="clinician-share-from">Desde</label>
+              <input type="date" id="clinician-share-from" value="${this.toInputDate(from)}" required>
+            </div>
+            <div>
+              <label for="clinician-share-to">Hasta</label>
+              <input type="date" id="clinician-share-to" value="${this.toInputDate(to)}" required>
+            </div>
+          </div>
+
+          <fieldset>
+            <legend>Qué compartir</legend>
+            ${Object.entries(CATEGORY_LABELS).map(([id, label]) => `
+              <label class="clinician-share-check">
+                <input type="checkbox" name="categories" value="${id}" ${id !== 'entries' ? 'checked' : ''}>
+                ${label}
+              </label>
+            `).join('')}
+          </fieldset>
+
+          <fieldset class="clinician-share-entries" hidden>
+            <legend>Entradas (máximo ${SHARE_MAX_ENTRIES})</legend>
+            <div class="clinician-share-entry-list"></div>
+          </fieldset>
+
+          <label for="clinician-share-expiry">Caduca en</label>
+          <select id="clinician-share-expiry">
+            ${EXPIRY_OPTIONS.map(days => `
+              <option value="${days}" ${days === SHARE_DEFAULT_EXPIRY_DAYS ? 'selected' : ''}>${days === 1 ? '1 día' : `${days} días`}</option>
+            `).join('')}
+          </select>
+
+          <p class="clinician-share-error" role="alert"></p>
+          <div class="clinician-share-result" hidden>
+            <label for="clinician-share-url">Enlace (solo se muestra ahora)</label>
+            <div class="clinician-share-url-row">
+              <input type="text" id="clinician-share-url" readonly>
+              <button type="button" class="btn btn-secondary clinician-share-copy">Copiar</button>
+            </div>
+          </div>
+
+          <div class="clinician-share-actions">
+            <button type="button" class="btn btn-secondary clinician-share-close">Cerrar</button>
+            <button type="submit" class="btn btn-primary">Crear enlace</button>
+          </div>
+        </form>
+
+        <h3>Enlaces creados</h3>
+        <ul class="clinician-share-grants" aria-live="polite"></ul>
+      </div>
+    `;
+
+    const form = dialog.querySelector('form');
+    const errorElement = dialog.querySelector('.clinician-share-error');
+    const entriesFieldset = dialog.querySelector('.clinician-share-entries');
+
+    const close = () => {
+      dialog.remove();
+      this.dialog = null;
+      if (previousFocus && previousFocus.focus) previousFocus.focus();
+    };
+
+    const renderEntries = () => {
+      const rangeFrom = new Date(form.querySelector('#clinician-share-from').value).getTime();
+      const rangeTo = new Date(form.querySelector('#clinician-share-to').value).getTime() + DAY_MS;
+      this.renderEntryOptions(dialog, diary, rangeFrom, rangeTo);
+    };
+
+    form.querySelector('[value="entries"]').addEventListener('change', (event) => {
+      entriesFieldset.hidden = !event.target.checked;
+      if (event.target.checked) renderEntries();
+    });
+    form.querySelector('#clinician-share-from').addEventListener('change', renderEntries);
+    form.querySelector('#clinician-share-to').addEventListener('change', renderEntries);
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const submitButton = form.querySelector('[type="submit"]');
+      errorElement.textContent = '';
+
+      const categories = Array.from(form.querySelectorAll('[name="categories"]:checked')).map(input => input.value);
+      if (categories.length === 0) {
+        errorElement.textContent = 'Elige al menos qué quieres compartir';
+        return;
+      }
+
+      const entries = categories.includes('entries') ? this.getSelectedEntries(dialog, diary) : [];
+      if (entries.length > SHARE_MAX_ENTRIES) {
+        errorElement.textContent = `Puedes compartir como máximo ${SHARE_MAX_ENTRIES} entradas`;
+        return;
+      }
+
+      const fromValue = form.querySelector('#clinician-share-from').value;
+      const toValue = form.querySelector('#clinician-share-to').value;
+      const label = form.querySelector('#clinician-share-label').value.trim();
+
+      submitButton.disabled = true;
+      try {
+        const grant = await this.createGrant({
+          ...(label && { label }),
+          categories,
+          from: new Date(`${fromValue}T00:00:00`).toISOString(),
+          to: new Date(`${toValue}T23:59:59`).toISOString(),
+          expiresInDays: parseInt(form.querySelector('#clinician-share-expiry').value, 10),
+          ...(categories.includes('entries') && { entries })
+        });
+
+        const result = dialog.querySelector('.clinician-share-result');
+        result.hidden = false;
+        result.querySelector('input').value = this.getShareUrl(grant.token);
+        result.querySelector('input').select();
+        await this.renderGrants(dialog);
+      } catch (error) {
+        errorElement.textContent = error.message;
+      } finally {
+        submitButton.disabled = false;
+      }
+    });
+
+    dialog.querySelector('.clinician-share-copy').addEventListener('click', async () => {
+      const input = dialog.querySelector('#clinician-share-url');
+      try {
+        await navigator.clipboard.writeText(input.value);
+        errorElement.textContent = 'Enlace copiado';
+      } catch (error) {
+        input.select();
+      }
+    });
+
+    dialog.querySelector('.clinician-share-close').addEventListener('click', close);
+    dialog.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') close();
+    });
+
+    document.body.appendChild(dialog);
+    this.dialog = dialog;
+    form.querySelector('input').focus();
+
+    await this.renderGrants(dialog);
+  }
+
+  // Entradas legibles del periodo (las cifradas con el diario bloqueado no se pueden compartir)
+  renderEntryOptions(dialog, diary, from, to) {
+    const list = dialog.querySelector('.clinician-share-entry-list');
+    const entries = diary.getReadableEntries()
+      .filter(entry => {
+        const time = new Date(entry.date).getTime();
+        return time >= from && time < to;
+      });
+
+    if (entries.length === 0) {
+      list.innerHTML = '<p class="clinician-share-empty">No hay entradas legibles en este periodo</p>';
+      return;
+    }
+
+    list.innerHTML = entries.map(entry => `
+      <label class="clinician-share-check">
+        <input type="checkbox" name="entries" value="${this.escapeHtml(entry.id)}">
+        <span>${new Date(entry.date).toLocaleDateString('es-ES')} · ${this.escapeHtml(this.excerpt(entry.content || entry.text || ''))}</span>
+      </label>
+    `).join('');
+  }
+
+  // Copia de las entradas elegidas: el servidor no puede leer las cifradas de extremo a extremo
+  getSelectedEntries(dialog, diary) {
+    const ids = Array.from(dialog.querySelectorAll('[name="entries"]:checked')).map(input => input.value);
+    return diary.getReadableEntries()
+      .filter(entry => ids.includes(String(entry.id)))
+      .map(entry => ({
+        date: new Date(entry.date).toISOString(),
+        mood: entry.mood || '',
+        content: (entry.content || entry.text || '').slice(0, SHARE_MAX_CONTENT_LENGTH),
+        ...(entry.tags && entry.tags.length > 0 && { tags: entry.tags })
+      }));
+  }
+
+  async renderGrants(dialog) {
+    const list = dialog.querySelector('.clinician-share-grants');
+
+    let grants;
+    try {
+      grants = await this.listGrants();
+    } catch (error) {
+      list.innerHTML = `<li class="clinician-share-empty">${this.escapeHtml(error.message)}</li>`;
+      return;
+    }
+
+    if (grants.length === 0) {
+      list.innerHTML = '<li class="clinician-share-empty">Todavía no has compartido ningún enlace</li>';
+      return;
+    }
+
+    list.innerHTML = grants.map(grant => {
+      const status = this.getGrantStatus(grant);
+      return `
+        <li class="clinician-share-grant" data-grant-id="${this.escapeHtml(grant.id)}">
+          <div>
+            <strong>${this.escapeHtml(grant.label || 'Enlace sin nombre')}</strong>
+            <span class="clinician-share-status clinician-share-status--${status.id}">${status.label}</span>
+            <small>
+              Caduca el ${new Date(grant.expiresAt).toLocaleDateString('es-ES')} ·
+              ${grant.accessCount} ${grant.accessCount === 1 ? 'acceso' : 'accesos'}${grant.lastAccessedAt ? ` (último: ${new Date(grant.lastAccessedAt).toLocaleString('es-ES')})` : ''}
+            </small>
+          </div>
+          ${status.id === 'active' ? '<button type="button" class="btn btn-secondary clinician-share-revoke">Revocar</button>' : ''}
+        </li>
+      `;
+    }).join('');
+
+    list.querySelectorAll('.clinician-share-revoke').forEach(button => {
+      button.addEventListener('click', async () => {
+        const grantId = button.closest('[data-grant-id]').dataset.grantId;
+        button.disabled = true;
+        try {
+          await this.revokeGrant(grantId);
+          await this.renderGrants(dialog);
+        } catch (error) {
+          button.disabled = false;
+          dialog.querySelector('.clinician-share-error').textContent = error.message;
+        }
+      });
+    });
+  }
+
+  toInputDate(date) {
+    return date.toISOString().split('T')[0];
+  }
+
+  excerpt(text) {
+    return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+  }
+
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = String(value);
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  addStyles() {
+    if (document.getElementById('clinician-share-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'clinician-share-styles';
+    style.textContent = `
+      .clinician-share-overlay {
+        position: fixed;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.6);
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        z-index: 9000;
+      }
+      .clinician-share-dialog {
+        background: #ffffff;
+        color: #1f2937;
+        border-radius: 1rem;
+        padding: 2rem;
+        max-width: 560px;
+        width: 94%;
+        max-height: 90vh;
+        overflow-y: auto;
+      }
+      .clinician-share-dialog h2 {
+        font-size: 1.25rem;
+        margin-bottom: 0.5rem;
+      }
+      .clinician-share-dialog h3 {
+        font-size: 1.05rem;
+        margin: 1.5rem 0 0.5rem;
+      }
+      .clinician-share-dialog p {
+        line-height: 1.5;
+      }
+      .clinician-share-form {
+        display: flex;
+        flex-direction: column;
+        gap: 0.5rem;
+        margin-top: 1rem;
+      }
+      .clinician-share-form label,
+      .clinician-share-form legend {
+        font-weight: 600;
+      }
+      .clinician-share-form input[type="text"],
+      .clinician-share-form input[type="date"],
+      .clinician-share-form select {
+        padding: 0.5rem;
+        border: 1px solid #d1d5db;
+        border-radius: 0.5rem;
+        width: 100%;
+      }
+      .clinician-share-range {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 0.75rem;
+      }
+      .clinician-share-form fieldset {
+        border: 1px solid #e5e7eb;
+        border-radius: 0.5rem;
+        padding: 0.75rem;
+      }
+      .clinician-share-check {
+        display: flex;
+        gap: 0.5rem;
+        align-items: flex-start;
+        font-weight: 400 !important;
+        margin: 0.25rem 0;
+      }
+      .clinician-share-entry-list {
+        max-height: 200px;
+        overflow-y: auto;
+      }
+      .clinician-share-url-row {
+        display: flex;
+        gap: 0.5rem;
+      }
+      .clinician-share-error {
+        color: #b91c1c;
+        min-height: 1.25rem;
+      }
+      .clinician-share-actions {
+        display: flex;
+        justify-content: flex-end;
+        gap: 0.5rem;
+      }
+      .clinician-share-grants {
+        list-style: none;
+        padding: 0;
+        display: flex;
+        flex-direction: column;
+        gap: 0.5rem;
+      }
+      .clinician-share-grant {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 0.75rem;
+        border: 1px solid #e5e7eb;
+        border-radius: 0.5rem;
+        padding: 0.75rem;
+      }
+      .clinician-share-grant small {
+        display: block;
+        color: #6b7280;
+      }
+      .clinician-share-status {
+        font-size: 0.75rem;
+        border-radius: 999px;
+        padding: 0.1rem 0.5rem;
+        margin-left: 0.5rem;
+        background: #e5e7eb;
+      }
+      .clinician-share-status--active {
+        background: #d1fae5;
+        color: #065f46;
+      }
+      .clinician-share-status--revoked {
+        background: #fee2e2;
+        color: #991b1b;
+      }
+      .clinician-share-empty {
+        color: #6b7280;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+export default ClinicianShare;
@@ -0,0 +1,329 @@
+/**
+ * Sensus Crisis Support Module
+ * Panel de recursos de crisis que se muestra ante riesgo de autolesión
+ * (ítem 9 del PHQ-9 o texto del diario) y registro del evento en el backend.
+ */
+
+import { detectCrisisText } from '@shared/crisis.detection';
+import { CRISIS_RESOURCES, DEFAULT_CRISIS_COUNTRY, INTERNATIONAL_CRISIS_RESOURCES } from '@shared/crisis.resources';
+
+class CrisisSupport {
+  constructor() {
+    this.apiBaseUrl = '/api/v1';
+    this.countryKey = 'sensus-crisis-country';
+    this.pendingKey = 'sensus-pending-crisis-events';
+    this.panel = null;
+    this.directory = null;
+
+    this.init();
+  }
+
+  /**
+   * Inicializar módulo
+   */
+  init() {
+    // Reintentar eventos que no se pudieron enviar sin conexión
+    window.addEventListener('online', () => this.flushPendingEvents());
+    if (navigator.onLine) {
+      this.flushPendingEvents();
+    }
+  }
+
+  /**
+   * Evaluar texto libre con la detección compartida con el backend
+   */
+  assessText(text) {
+    return detectCrisisText(text);
+  }
+
+  /**
+   * Mostrar el panel de crisis y registrar el evento.
+   * Devuelve una promesa que se resuelve cuando el usuario cierra el panel.
+   */
+  async show({ source, trigger, riskLevel = 'high', indicators = [], referenceId } = {}) {
+    const country = this.getCountry();
+
+    this.logEvent({ source, trigger, riskLevel, indicators, referenceId, country });
+
+    const directory = await this.loadDirectory();
+    return this.renderPanel(directory, country);
+  }
+
+  /**
+   * País del usuario: elección previa, idioma del navegador o valor por defecto
+   */
+  getCountry() {
+    const saved = localStorage.getItem(this.countryKey);
+    if (saved) return saved;
+
+    const region = (navigator.language || '').split('-')[1];
+    return region && CRISIS_RESOURCES[region.toUpperCase()] ? region.toUpperCase() : DEFAULT_CRISIS_COUNTRY;
+  }
+
+  /**
+   * Cargar el directorio de líneas de ayuda.
+   * El service worker lo sirve desde caché sin conexión; si no hay service worker
+   * se usa la copia incluida en el propio bundle.
+   */
+  async loadDirectory() {
+    if (this.directory) return this.directory;
+
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/crisis/resources`);
+      const result = await response.json();
+      if (response.ok && result.success) {
+        this.directory = result.data;
+        return this.directory;
+      }
+    } catch (error) {
+      console.warn('⚠️ Recursos de crisis no disponibles en red, usando copia local:', error);
+    }
+
+    this.directory = {
+      defaultCountry: DEFAULT_CRISIS_COUNTRY,
+      countries: Object.values(CRISIS_RESOURCES),
+      international: INTERNATIONAL_CRISIS_RESOURCES
+    };
+    return this.directory;
+  }
+
+  getCountryResources(directory, country) {
+    return directory.countries.find(entry => entry.country === country) || directory.international;
+  }
+
+  /**
+   * Registrar el evento de crisis; si falla se guarda para reintentarlo
+   */
+  async logEvent(event) {
+    const payload = {
+      source: event.source,
+      trigger: event.trigger,
+      riskLevel: event.riskLevel,
+      indicators: event.indicators,
+      ...(event.referenceId && { referenceId: String(event.referenceId) }),
+      ...(event.country && { country: event.country }),
+      resourcesShown: true,
+      occurredAt: event.occurredAt || new Date().toISOString()
+    };
+
+    try {
+      await this.sendEvent(payload);
+    } catch (error) {
+      console.warn('⚠️ Evento de crisis pendiente de envío:', error);
+      const pending = JSON.parse(localStorage.getItem(this.pendingKey) || '[]');
+      pending.push(payload);
+      localStorage.setItem(this.pendingKey, JSON.stringify(pending));
+    }
+  }
+
+  async sendEvent(payload) {
+    const token = localStorage.getItem('sensus-token');
+    const response = await fetch(`${this.apiBaseUrl}/crisis/events`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { 'Authorization': `Bearer ${token}` })
+      },
+      body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Error ${response.status} registrando evento de crisis`);
+    }
+  }
+
+  async flushPendingEvents() {
+    const pending = JSON.parse(localStorage.getItem(this.pendingKey) || '[]');
+    if (pending.length === 0) return;
+
+    const remaining = [];
+    for (const payload of pending) {
+      try {
+        await this.sendEvent(payload);
+      } catch (error) {
+        remaining.push(payload);
+      }
+    }
+    localStorage.setItem(this.pendingKey, JSON.stringify(remaining));
+  }
+
+  /**
+   * Panel bloqueante: el resto de la página queda inerte hasta que el usuario lo cierra
+   */
+  renderPanel(directory, country) {
+    if (this.panel) this.panel.remove();
+    this.addStyles();
+
+    const selected = this.getCountryResources(directory, country).country;
+
+    return new Promise((resolve) => {
+      const previousFocus = document.activeElement;
+      const background = Array.from(document.body.children);
+      background.forEach(element => element.setAttribute('inert', ''));
+
+      const panel = document.createElement('div');
+      panel.className = 'crisis-panel-overlay';
+      panel.innerHTML = `
+        <div class="crisis-panel" role="alertdialog" aria-modal="true"
+             aria-labelledby="crisis-panel-title" aria-describedby="crisis-panel-description">
+          <h2 id="crisis-panel-title">No estás solo/a. Hay ayuda disponible ahora mismo.</h2>
+          <p id="crisis-panel-description">
+            Por lo que has compartido, queremos asegurarnos de que estás a salvo.
+            Si estás en peligro inmediato, llama al número de emergencias.
+          </p>
+          <a class="crisis-emergency"></a>
+          <label class="crisis-country-label" for="crisis-country">País</label>
+          <select id="crisis-country" class="crisis-country">
+            ${directory.countries.map(entry => `
+              <option value="${entry.country}" ${entry.country === selected ? 'selected' : ''}>${entry.countryName}</option>
+            `).join('')}
+            <option value="${directory.international.country}" ${directory.international.country === selected ? 'selected' : ''}>
+              ${directory.international.countryName}
+            </option>
+          </select>
+          <ul class="crisis-resources" aria-live="polite"></ul>
+          <button type="button" class="btn btn-primary crisis-close">Entendido, he visto los recursos</button>
+        </div>
+      `;
+
+      const renderResources = (code) => {
+        const entry = this.getCountryResources(directory, code);
+        const emergency = panel.querySelector('.crisis-emergency');
+        emergency.href = `tel:${entry.emergencyNumber}`;
+        emergency.textContent = `Emergencias: ${entry.emergencyNumber}`;
+        panel.querySelector('.crisis-resources').innerHTML = entry.resources.map(resource => `
+          <li class="crisis-resource">
+            <strong>${resource.name}</strong>
+            <span>${resource.description} · ${resource.available}</span>
+            ${resource.phone ? `<a href="tel:${resource.phone.replace(/\s/g, '')}">Llamar al ${resource.phone}</a>` : ''}
+            ${resource.sms ? `<a href="sms:${resource.sms}">Enviar SMS al ${resource.sms}</a>` : ''}
+            ${resource.url ? `<a href="${resource.url}" target="_blank" rel="noopener">${resource.url}</a>` : ''}
+          </li>
+        `).join('');
+      };
+
+      const close = () => {
+        background.forEach(element => element.removeAttribute('inert'));
+        document.removeEventListener('keydown', trapFocus, true);
+        panel.remove();
+        this.panel = null;
+        if (previousFocus && previousFocus.focus) previousFocus.focus();
+        resolve();
+      };
+
+      // Mantener el foco dentro del panel; Escape no lo cierra para que no se descarte por accidente
+      const trapFocus = (event) => {
+        if (event.key === 'Escape') {
+          event.preventDefault();
+          return;
+        }
+        if (event.key !== 'Tab') return;
+
+        const focusable = panel.querySelectorAll('a, select, button');
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && document.activeElement === first) {
+          event.preventDefault();
+          last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+          event.preventDefault();
+          first.focus();
+        }
+      };
+
+      panel.querySelector('.crisis-country').addEventListener('change', (event) => {
+        localStorage.setItem(this.countryKey, event.target.value);
+        renderResources(event.target.value);
+      });
+      panel.querySelector('.crisis-close').addEventListener('click', close);
+      document.addEventListener('keydown', trapFocus, true);
+
+      renderResources(selected);
+      document.body.appendChild(panel);
+      this.panel = panel;
+      panel.querySelector('#crisis-panel-title').setAttribute('tabindex', '-1');
+      panel.querySelector('#crisis-panel-title').focus();
+    });
+  }
+
+  addStyles() {
+    if (document.getElementById('crisis-panel-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'crisis-panel-styles';
+    style.textContent = `
+      .crisis-panel-overlay {
+        position: fixed;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.7);
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        z-index: 10000;
+      }
+      .crisis-panel {
+        background: #ffffff;
+        color: #1f2937;
+        border-top: 6px solid #dc2626;
+        border-radius: 1rem;
+        padding: 2rem;
+        max-width: 520px;
+        width: 92%;
+        max-height: 90vh;
+        overflow-y: auto;
+      }
+      .crisis-panel h2 {
+        font-size: 1.5rem;
+        margin-bottom: 1rem;
+      }
+      .crisis-panel p {
+        line-height: 1.6;
+        margin-bottom: 1rem;
+      }
+      .crisis-emergency {
+        display: block;
+        text-align: center;
+        background: #dc2626;
+        color: #ffffff;
+        font-weight: 700;
+        font-size: 1.25rem;
+        padding: 0.75rem;
+        border-radius: 0.5rem;
+        margin-bottom: 1rem;
+        text-decoration: none;
+      }
+      .crisis-country-label {
+        display: block;
+        font-weight: 600;
+        margin-bottom: 0.25rem;
+      }
+      .crisis-country {
+        width: 100%;
+        padding: 0.5rem;
+        margin-bottom: 1rem;
+      }
+      .crisis-resources {
+        list-style: none;
+        padding: 0;
+        margin: 0 0 1.5rem;
+      }
+      .crisis-resource {
+        display: flex;
+        flex-direction: column;
+        gap: 0.25rem;
+        padding: 0.75rem 0;
+        border-bottom: 1px solid #e5e7eb;
+      }
+      .crisis-resource a {
+        color: #b91c1c;
+        font-weight: 600;
+      }
+      .crisis-close {
+        width: 100%;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+export default CrisisSupport;
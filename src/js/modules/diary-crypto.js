@@ -0,0 +1,497 @@
+/**
+ * Sensus Diary Crypto Module
+ * Cifrado de extremo a extremo de las entradas del diario con WebCrypto.
+ * La frase de paso nunca sale del navegador: deriva (PBKDF2) la clave que envuelve
+ * la clave de datos AES-GCM, y el servidor solo recibe texto cifrado.
+ */
+
+import {
+  DIARY_ENCRYPTION_VERSION,
+  DIARY_ENCRYPTION_AAD,
+  DIARY_KDF_DEFAULTS,
+  ENCRYPTED_DIARY_FIELDS,
+  MIN_PASSPHRASE_LENGTH,
+  isClientEncrypted,
+  isValidKeyring
+} from '@shared/diary.encryption';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+function fromBase64(value) {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+class DiaryCrypto {
+  constructor() {
+    this.keyringKey = 'sensus-diary-keyring';
+    this.keyring = null;
+    // Clave de datos desenvuelta: solo en memoria y no extraíble
+    this.dataKey = null;
+    this.dialog = null;
+
+    this.init();
+  }
+
+  /**
+   * Inicializar módulo
+   */
+  init() {
+    if (!window.crypto || !window.crypto.subtle) {
+      console.warn('⚠️ WebCrypto no disponible: el cifrado del diario está desactivado');
+      return;
+    }
+
+    this.keyring = this.readCachedKeyring();
+
+    // El llavero del perfil es la fuente de verdad (otros dispositivos pueden haber cambiado la frase)
+    const waitForServices = () => {
+      if (window.firebaseServices && window.firebaseServices.auth) {
+        window.firebaseServices.auth.onAuthStateChanged(user => {
+          if (user) this.loadKeyring();
+        });
+      } else {
+        setTimeout(waitForServices, 500);
+      }
+    };
+    waitForServices();
+  }
+
+  isSupported() {
+    return !!(window.crypto && window.crypto.subtle);
+  }
+
+  isEnabled() {
+    return !!this.keyring;
+  }
+
+  isUnlocked() {
+    return !!this.dataKey;
+  }
+
+  getStatus() {
+    return { enabled: this.isEnabled(), unlocked: this.isUnlocked() };
+  }
+
+  // === LLAVERO ===
+
+  readCachedKeyring() {
+    try {
+      const cached = JSON.parse(localStorage.getItem(this.keyringKey) || 'null');
+      return isValidKeyring(cached) ? cached : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async loadKeyring() {
+    const services = window.firebaseServices;
+    if (!services || !services.currentUser) return this.keyring;
+
+    try {
+      const profile = await services.getUserProfile(services.currentUser.uid);
+      const remote = profile && profile.encryption;
+      if (isValidKeyring(remote)) {
+        // Si la frase cambió en otro dispositivo, la clave envuelta local ya no sirve
+        if (this.keyring && this.keyring.wrappedKey !== remote.wrappedKey) {
+          this.lock();
+        }
+        this.keyring = remote;
+        localStorage.setItem(this.keyringKey, JSON.stringify(remote));
+        this.notifyChange();
+      }
+    } catch (error) {
+      console.warn('⚠️ No se pudo cargar el llavero del diario, usando copia local:', error);
+    }
+    return this.keyring;
+  }
+
+  async saveKeyring(keyring) {
+    this.keyring = keyring;
+    localStorage.setItem(this.keyringKey, JSON.stringify(keyring));
+
+    const services = window.firebaseServices;
+    if (services && services.currentUser) {
+      await services.updateUserProfile(services.currentUser.uid, { encryption: keyring });
+    }
+    this.notifyChange();
+  }
+
+  // === CLAVES ===
+
+  async deriveWrappingKey(passphrase, kdf) {
+    const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: kdf.hash, salt: fromBase64(kdf.salt), iterations: kdf.iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['wrapKey', 'unwrapKey']
+    );
+  }
+
+  async wrapDataKey(dataKey, passphrase) {
+    const kdf = {
+      algorithm: DIARY_KDF_DEFAULTS.algorithm,
+      hash: DIARY_KDF_DEFAULTS.hash,
+      iterations: DIARY_KDF_DEFAULTS.iterations,
+      salt: toBase64(crypto.getRandomValues(new Uint8Array(DIARY_KDF_DEFAULTS.saltBytes)))
+    };
+    const wrappingKey = await this.deriveWrappingKey(passphrase, kdf);
+    const wrapIv = crypto.getRandomValues(new Uint8Array(12));
+    const wrappedKey = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, { name: 'AES-GCM', iv: wrapIv });
+
+    return { kdf, wrappedKey: toBase64(wrappedKey), wrapIv: toBase64(wrapIv) };
+  }
+
+  async unwrapDataKey(passphrase, extractable = false) {
+    const wrappingKey = await this.deriveWrappingKey(passphrase, this.keyring.kdf);
+    try {
+      return await crypto.subtle.unwrapKey(
+        'raw',
+        fromBase64(this.keyring.wrappedKey),
+        wrappingKey,
+        { name: 'AES-GCM', iv: fromBase64(this.keyring.wrapIv) },
+        { name: 'AES-GCM', length: 256 },
+        extractable,
+        ['encrypt', 'decrypt']
+      );
+    } catch (error) {
+      // AES-GCM falla la autenticación si la frase de paso no es la correcta
+      throw new Error('Frase de paso incorrecta');
+    }
+  }
+
+  validatePassphrase(passphrase) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`La frase de paso debe tener al menos ${MIN_PASSPHRASE_LENGTH} caracteres`);
+    }
+  }
+
+  /**
+   * Activar el cifrado: genera la clave de datos y la guarda envuelta en el perfil
+   */
+  async enable(passphrase) {
+    if (this.isEnabled()) {
+      throw new Error('El cifrado del diario ya está activado');
+    }
+    this.validatePassphrase(passphrase);
+
+    const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const wrapped = await this.wrapDataKey(dataKey, passphrase);
+    const now = new Date().toISOString();
+
+    await this.saveKeyring({ version: DIARY_ENCRYPTION_VERSION, ...wrapped, createdAt: now, updatedAt: now });
+    await this.unlock(passphrase);
+    console.log('🔐 Cifrado de extremo a extremo activado');
+  }
+
+  async unlock(passphrase) {
+    if (!this.isEnabled()) {
+      throw new Error('El cifrado del diario no está activado');
+    }
+    this.dataKey = await this.unwrapDataKey(passphrase);
+    this.notifyChange();
+    return true;
+  }
+
+  lock() {
+    this.dataKey = null;
+    this.notifyChange();
+  }
+
+  /**
+   * Cambiar la frase de paso: solo se vuelve a envolver la clave de datos
+   */
+  async changePassphrase(currentPassphrase, newPassphrase) {
+    this.validatePassphrase(newPassphrase);
+
+    const dataKey = await this.unwrapDataKey(currentPassphrase, true);
+    const wrapped = await this.wrapDataKey(dataKey, newPassphrase);
+
+    await this.saveKeyring({ ...this.keyring, ...wrapped, updatedAt: new Date().toISOString() });
+    this.dataKey = await this.unwrapDataKey(newPassphrase);
+    this.notifyChange();
+    console.log('🔐 Frase de paso del diario actualizada');
+  }
+
+  // === ENTRADAS ===
+
+  /**
+   * Cifrar los campos sensibles de una entrada; el resto (estado de ánimo, fechas) queda en claro
+   */
+  async encryptEntry(entry) {
+    if (!this.isUnlocked()) {
+      throw new Error('El diario cifrado está bloqueado');
+    }
+
+    const secret = {};
+    const rest = { ...entry };
+    ENCRYPTED_DIARY_FIELDS.forEach(field => {
+      if (rest[field] !== undefined) {
+        secret[field] = rest[field];
+        delete rest[field];
+      }
+    });
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: encoder.encode(DIARY_ENCRYPTION_AAD) },
+      this.dataKey,
+      encoder.encode(JSON.stringify(secret))
+    );
+
+    return {
+      ...rest,
+      isEncrypted: true,
+      ciphertext: toBase64(ciphertext),
+      iv: toBase64(iv),
+      encryptionVersion: DIARY_ENCRYPTION_VERSION
+    };
+  }
+
+  /**
+   * Entrada local con su sobre cifrado: el texto queda en memoria para mostrarla y en
+   * este dispositivo se guarda solo cifrado (toStoredEntry)
+   */
+  async sealEntry(entry) {
+    const { ciphertext, iv, encryptionVersion } = await this.encryptEntry(entry);
+    return { ...entry, isEncrypted: true, ciphertext, iv, encryptionVersion, locked: false };
+  }
+
+  /**
+   * Descifrar una entrada. Si el diario está bloqueado se devuelve marcada con `locked`
+   * para que búsqueda, estadísticas y exportación la excluyan. La entrada descifrada
+   * conserva su sobre (ciphertext, iv) para guardarse otra vez sin el texto.
+   */
+  async decryptEntry(entry) {
+    if (!isClientEncrypted(entry)) return entry;
+    if (!this.isUnlocked()) return { ...entry, locked: true };
+
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(entry.iv), additionalData: encoder.encode(DIARY_ENCRYPTION_AAD) },
+        this.dataKey,
+        fromBase64(entry.ciphertext)
+      );
+      return { ...entry, ...JSON.parse(decoder.decode(plaintext)), locked: false };
+    } catch (error) {
+      console.error('❌ Error descifrando entrada del diario:', entry.id, error);
+      return { ...entry, locked: true, decryptionError: true };
+    }
+  }
+
+  decryptEntries(entries) {
+    return Promise.all(entries.map(entry => this.decryptEntry(entry)));
+  }
+
+  /**
+   * Olvidar el texto descifrado de una entrada: queda solo el sobre, que se vuelve a
+   * descifrar con la frase de paso
+   */
+  forgetEntry(entry) {
+    if (!isClientEncrypted(entry) || entry.locked) return entry;
+
+    const rest = { ...entry };
+    ENCRYPTED_DIARY_FIELDS.forEach(field => { delete rest[field]; });
+    return { ...rest, locked: true };
+  }
+
+  // Copia para localStorage (diary/store.js): las entradas cifradas nunca se guardan en claro
+  toStoredEntries(entries) {
+    return entries.map(entry => {
+      if (!isClientEncrypted(entry)) return entry;
+
+      const { decryptionError, ...rest } = this.forgetEntry(entry);
+      return rest;
+    });
+  }
+
+  /**
+   * Asegurar que la clave está disponible antes de guardar: si el cifrado está activo
+   * y bloqueado se pide la frase de paso. Devuelve false si el usuario cancela.
+   */
+  async requireUnlock() {
+    if (!this.isEnabled() || this.isUnlocked()) return true;
+    return this.promptPassphrase('unlock');
+  }
+
+  // === INTERFAZ ===
+
+  /**
+   * Diálogo de frase de paso: 'setup' (activar), 'unlock' (desbloquear) o 'change' (cambiar)
+   */
+  promptPassphrase(mode) {
+    if (this.dialog) this.dialog.remove();
+    this.addStyles();
+
+    const texts = {
+      setup: {
+        title: 'Activar cifrado de extremo a extremo',
+        description: 'Tus entradas se cifrarán en este dispositivo antes de enviarse. Si olvidas la frase de paso no podremos recuperarlas.',
+        submit: 'Activar cifrado'
+      },
+      unlock: {
+        title: 'Desbloquear diario',
+        description: 'Introduce tu frase de paso para leer y guardar entradas cifradas.',
+        submit: 'Desbloquear'
+      },
+      change: {
+        title: 'Cambiar frase de paso',
+        description: 'Tus entradas no se vuelven a cifrar: solo cambia la clave que las protege.',
+        submit: 'Cambiar frase'
+      }
+    }[mode];
+
+    return new Promise((resolve) => {
+      const previousFocus = document.activeElement;
+      const dialog = document.createElement('div');
+      dialog.className = 'diary-crypto-overlay';
+      dialog.innerHTML = `
+        <form class="diary-crypto-dialog" role="dialog" aria-modal="true" aria-labelledby="diary-crypto-title">
+          <h2 id="diary-crypto-title">${texts.title}</h2>
+          <p>${texts.description}</p>
+          ${mode === 'change' ? `
+            <label for="diary-crypto-current">Frase de paso actual</label>
+            <input type="password" id="diary-crypto-current" autocomplete="current-password" required>
+          ` : ''}
+          <label for="diary-crypto-passphrase">${mode === 'change' ? 'Nueva frase de paso' : 'Frase de paso'}</label>
+          <input type="password" id="diary-crypto-passphrase"
+                 autocomplete="${mode === 'unlock' ? 'current-password' : 'new-password'}" required>
+          ${mode !== 'unlock' ? `
+            <label for="diary-crypto-confirm">Repite la frase de paso</label>
+            <input type="password" id="diary-crypto-confirm" autocomplete="new-password" required>
+          ` : ''}
+          <p class="diary-crypto-error" role="alert"></p>
+          <div class="diary-crypto-actions">
+            <button type="button" class="btn btn-secondary diary-crypto-cancel">Cancelar</button>
+            <button type="submit" class="btn btn-primary">${texts.submit}</button>
+          </div>
+        </form>
+      `;
+
+      const close = (result) => {
+        dialog.remove();
+        this.dialog = null;
+        if (previousFocus && previousFocus.focus) previousFocus.focus();
+        resolve(result);
+      };
+
+      const form = dialog.querySelector('form');
+      const errorElement = dialog.querySelector('.diary-crypto-error');
+
+      form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const passphrase = form.querySelector('#diary-crypto-passphrase').value;
+        const confirm = form.querySelector('#diary-crypto-confirm');
+        const submitButton = form.querySelector('[type="submit"]');
+
+        if (confirm && confirm.value !== passphrase) {
+          errorElement.textContent = 'Las frases de paso no coinciden';
+          return;
+        }
+
+        submitButton.disabled = true;
+        errorElement.textContent = '';
+        try {
+          if (mode === 'setup') {
+            await this.enable(passphrase);
+          } else if (mode === 'unlock') {
+            await this.unlock(passphrase);
+          } else {
+            await this.changePassphrase(form.querySelector('#diary-crypto-current').value, passphrase);
+          }
+          close(true);
+        } catch (error) {
+          errorElement.textContent = error.message;
+          submitButton.disabled = false;
+        }
+      });
+
+      dialog.querySelector('.diary-crypto-cancel').addEventListener('click', () => close(false));
+      dialog.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') close(false);
+      });
+
+      document.body.appendChild(dialog);
+      this.dialog = dialog;
+      form.querySelector('input').focus();
+    });
+  }
+
+  /**
+   * Avisar a la interfaz del estado del cifrado
+   */
+  notifyChange() {
+    window.dispatchEvent(new CustomEvent('sensus:diary-crypto-change', { detail: this.getStatus() }));
+  }
+
+  addStyles() {
+    if (document.getElementById('diary-crypto-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'diary-crypto-styles';
+    style.textContent = `
+      .diary-crypto-overlay {
+        position: fixed;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.6);
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        z-index: 9000;
+      }
+      .diary-crypto-dialog {
+        background: #ffffff;
+        color: #1f2937;
+        border-radius: 1rem;
+        padding: 2rem;
+        max-width: 440px;
+        width: 92%;
+        display: flex;
+        flex-direction: column;
+        gap: 0.5rem;
+      }
+      .diary-crypto-dialog h2 {
+        font-size: 1.25rem;
+        margin-bottom: 0.5rem;
+      }
+      .diary-crypto-dialog p {
+        line-height: 1.5;
+        margin-bottom: 0.5rem;
+      }
+      .diary-crypto-dialog label {
+        font-weight: 600;
+      }
+      .diary-crypto-dialog input {
+        padding: 0.5rem;
+        border: 1px solid #d1d5db;
+        border-radius: 0.5rem;
+      }
+      .diary-crypto-error {
+        color: #b91c1c;
+        min-height: 1.25rem;
+      }
+      .diary-crypto-actions {
+        display: flex;
+        justify-content: flex-end;
+        gap: 0.5rem;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+export default DiaryCrypto;
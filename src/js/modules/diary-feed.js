@@ -0,0 +1,237 @@
+/**
+ * Sensus - Listado paginado del diario
+ * Carga las entradas por páginas con cursor: del servidor (GET /api/v1/diary) si hay sesión
+ * y conexión, o de las entradas guardadas en el navegador si no. La página siguiente se pide
+ * al acercarse al final de la lista (scroll infinito).
+ * La búsqueda por texto siempre es local: el servidor no puede leer las entradas cifradas.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Margen para pedir la página siguiente antes de llegar al final
+const SCROLL_MARGIN = '300px';
+
+class DiaryFeed {
+  /**
+   * @param {Object} options
+   * @param {() => Array} options.getLocalEntries - Entradas guardadas en el navegador
+   * @param {(entries: Array, query: string) => Array} [options.searchEntries] - Búsqueda por texto local
+   * @param {() => void} [options.onReset] - Se ha vaciado la lista (filtros nuevos)
+   * @param {(entries: Array, state: {count: number, hasMore: boolean, source: string}) => void} [options.onPage]
+   * @param {(error: Error) => void} [options.onError]
+   */
+  constructor({ getLocalEntries, searchEntries = null, onReset = () => {}, onPage = () => {}, onError = () => {}, pageSize = DEFAULT_PAGE_SIZE }) {
+    this.baseUrl = '/api/v1/diary';
+    this.getLocalEntries = getLocalEntries;
+    this.searchEntries = searchEntries;
+    this.onReset = onReset;
+    this.onPage = onPage;
+    this.onError = onError;
+    this.pageSize = pageSize;
+
+    this.filters = {};
+    this.source = 'local';
+    this.cursor = null;
+    this.hasMore = false;
+    this.count = 0;
+    // Entradas mostradas por id (para editar o borrar las que llegan del servidor)
+    this.loaded = new Map();
+
+    // Cada cambio de filtros invalida las páginas que aún se estén cargando
+    this.generation = 0;
+    this.loadingGeneration = null;
+    this.observer = null;
+  }
+
+  get isLoading() {
+    return this.loadingGeneration === this.generation;
+  }
+
+  /**
+   * Vacía la lista y carga la primera página con los filtros dados
+   * @param {{mood?: string, exerciseType?: string, tags?: string[], from?: Date, to?: Date, anxietyMin?: number, anxietyMax?: number, search?: string}} filters
+   */
+  reset(filters = {}) {
+    this.filters = filters;
+    this.generation++;
+    this.source = this.canUseServer() ? 'server' : 'local';
+    this.cursor = null;
+    this.hasMore = true;
+    this.count = 0;
+    this.loaded.clear();
+    this.onReset();
+    return this.loadMore();
+  }
+
+  async loadMore() {
+    if (this.isLoading || !this.hasMore) return;
+
+    const generation = this.generation;
+    this.loadingGeneration = generation;
+
+    try {
+      let page;
+      try {
+        page = this.source === 'server' ? await this.fetchServerPage() : this.readLocalPage();
+      } catch (error) {
+        if (this.source !== 'server' || this.count > 0) throw error;
+        // Sin servidor se muestra lo guardado en el navegador
+        console.warn('⚠️ No se pudo cargar el diario del servidor, usando las entradas locales:', error);
+        this.source = 'local';
+        page = this.readLocalPage();
+      }
+
+      // Los filtros cambiaron mientras se cargaba: esta página ya no sirve
+      if (generation !== this.generation) return;
+
+      page.entries.forEach(entry => this.loaded.set(String(entry.id), entry));
+      this.cursor = page.nextCursor;
+      this.hasMore = page.hasMore;
+      this.count += page.entries.length;
+      this.onPage(page.entries, { count: this.count, hasMore: this.hasMore, source: this.source });
+    } catch (error) {
+      if (generation !== this.generation) return;
+      console.error('❌ Error cargando entradas del diario:', error);
+      this.hasMore = false;
+      this.onError(error);
+    } finally {
+      if (this.loadingGeneration === generation) {
+        this.loadingGeneration = null;
+      }
+    }
+  }
+
+  // Pide la página siguiente cuando el elemento centinela entra en pantalla
+  observe(sentinel) {
+    this.disconnect();
+    if (!sentinel || !('IntersectionObserver' in window)) return;
+
+    this.observer = new IntersectionObserver(records => {
+      if (records.some(record => record.isIntersecting)) {
+        this.loadMore();
+      }
+    }, { rootMargin: SCROLL_MARGIN });
+    this.observer.observe(sentinel);
+  }
+
+  disconnect() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+  }
+
+  find(entryId) {
+    return this.loaded.get(String(entryId)) || null;
+  }
+
+  isServerEntry(entryId) {
+    return this.find(entryId)?.source === 'server';
+  }
+
+  // === SERVIDOR ===
+
+  canUseServer() {
+    return !!localStorage.getItem('sensus-token') && navigator.onLine && !this.filters.search;
+  }
+
+  async request(path, options = {}) {
+    const token = localStorage.getItem('sensus-token');
+    if (!token) {
+      throw new Error('Sesión no iniciada');
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+        ...(options.headers || {})
+      }
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || 'No se pudo completar la operación');
+    }
+    return result;
+  }
+
+  async fetchServerPage() {
+    const result = await this.request(`?${this.buildQuery()}`);
+    const entries = result.data.map(entry => ({ ...entry, source: 'server', exercise: entry.exerciseType || 'none' }));
+
+    return {
+      // Las entradas cifradas se descifran en el navegador; bloqueadas llegan marcadas con `locked`
+      entries: window.diaryCrypto ? await window.diaryCrypto.decryptEntries(entries) : entries,
+      nextCursor: result.pagination?.nextCursor || null,
+      hasMore: !!result.pagination?.hasMore
+    };
+  }
+
+  buildQuery() {
+    const { mood, exerciseType, tags = [], from, to, anxietyMin, anxietyMax } = this.filters;
+    const params = new URLSearchParams({ limit: String(this.pageSize) });
+
+    if (mood) params.set('mood', mood);
+    if (exerciseType) params.set('exerciseType', exerciseType);
+    tags.forEach(tag => params.append('tags', tag));
+    if (from) params.set('from', from.toISOString());
+    if (to) params.set('to', to.toISOString());
+    if (anxietyMin !== undefined) params.set('anxietyMin', String(anxietyMin));
+    if (anxietyMax !== undefined) params.set('anxietyMax', String(anxietyMax));
+    if (this.cursor) params.set('cursor', this.cursor);
+
+    return params.toString();
+  }
+
+  async deleteServerEntry(entryId) {
+    await this.request(`/${encodeURIComponent(entryId)}`, { method: 'DELETE' });
+    this.loaded.delete(String(entryId));
+  }
+
+  // === LOCAL ===
+
+  // Mismo criterio que el servidor; el cursor es el id de la última entrada devuelta
+  readLocalPage() {
+    const matching = this.filterLocal(this.getLocalEntries() || []);
+    const start = this.cursor === null
+      ? 0
+      : matching.findIndex(entry => String(entry.id) === this.cursor) + 1;
+    const entries = matching.slice(start, start + this.pageSize);
+    const hasMore = start + entries.length < matching.length;
+
+    return {
+      entries: entries.map(entry => ({ ...entry, source: 'local' })),
+      nextCursor: hasMore ? String(entries[entries.length - 1].id) : null,
+      hasMore
+    };
+  }
+
+  filterLocal(entries) {
+    const { mood, exerciseType, tags = [], from, to, anxietyMin, anxietyMax, search } = this.filters;
+
+    let matching = entries.filter(entry => {
+      const date = new Date(entry.date);
+      if (from && date < from) return false;
+      if (to && date > to) return false;
+      if (mood && entry.mood !== mood) return false;
+      if (exerciseType && (entry.exerciseType || entry.exercise) !== exerciseType) return false;
+      if (tags.length > 0 && !(entry.tags || []).some(tag => tags.includes(tag))) return false;
+      if (anxietyMin !== undefined && !(entry.anxietyLevel >= anxietyMin)) return false;
+      if (anxietyMax !== undefined && !(entry.anxietyLevel <= anxietyMax)) return false;
+      return true;
+    });
+
+    matching.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    // Con búsqueda el orden es el de relevancia
+    if (search && search.trim() && this.searchEntries) {
+      matching = this.searchEntries(matching, search);
+    }
+
+    return matching;
+  }
+}
+
+export default DiaryFeed;
@@ -0,0 +1,376 @@
+/**
+ * Sensus - Búsqueda en el diario
+ * Índice invertido que vive solo en el navegador y se construye sobre las entradas ya
+ * descifradas (el servidor no puede leer las cifradas). Normaliza acentos, quita palabras
+ * vacías y reduce cada palabra a su raíz en español o inglés según el idioma de la entrada.
+ *
+ * Consultas: palabras sueltas (ordenadas por relevancia BM25), "frases exactas" y
+ * etiquetas con #etiqueta o tag:etiqueta. La última palabra también busca por prefijo
+ * mientras se escribe.
+ */
+
+const STOP_WORDS = {
+  es: new Set([
+    'a', 'al', 'algo', 'algun', 'alguna', 'algunas', 'alguno', 'algunos', 'ante', 'antes', 'aqui', 'asi',
+    'aun', 'cada', 'como', 'con', 'contra', 'cual', 'cuando', 'de', 'del', 'desde', 'donde', 'durante',
+    'e', 'el', 'ella', 'ellas', 'ellos', 'en', 'entre', 'era', 'eran', 'es', 'esa', 'esas', 'ese', 'eso',
+    'esos', 'esta', 'estaba', 'estas', 'este', 'esto', 'estos', 'estoy', 'fue', 'fui', 'ha', 'habia',
+    'han', 'hasta', 'hay', 'he', 'la', 'las', 'le', 'les', 'lo', 'los', 'mas', 'me', 'mi', 'mis', 'mucho',
+    'muy', 'nada', 'ni', 'no', 'nos', 'nosotros', 'o', 'otra', 'otro', 'para', 'pero', 'poco', 'por',
+    'porque', 'que', 'quien', 'se', 'sea', 'ser', 'si', 'sido', 'sin', 'sobre', 'solo', 'son', 'soy',
+    'su', 'sus', 'tambien', 'te', 'tengo', 'ti', 'tiene', 'todo', 'todos', 'tu', 'tus', 'un', 'una',
+    'uno', 'unos', 'unas', 'y', 'ya', 'yo'
+  ]),
+  en: new Set([
+    'a', 'about', 'after', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because', 'been',
+    'before', 'being', 'but', 'by', 'can', 'could', 'couldn', 'did', 'didn', 'do', 'does', 'doesn',
+    'don', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his', 'how', 'i', 'if', 'in', 'into',
+    'is', 'isn', 'it', 'its', 'just', 'll', 'm', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 's',
+    'she', 'so', 'some', 't', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'they', 'this',
+    'to', 'too', 'up', 've', 'very', 'was', 'wasn', 'we', 'were', 'what', 'when', 'which',
+    'while', 'who', 'will', 'with', 'won', 'would', 'you', 'your'
+  ])
+};
+
+// Sufijos ordenados del más largo al más corto (texto ya sin acentos)
+const SPANISH_SUFFIXES = [
+  'amientos', 'imientos', 'aciones', 'amiento', 'imiento', 'amente', 'idades', 'adoras', 'adores',
+  'ancias', 'mente', 'acion', 'adora', 'ador', 'ancia', 'ibles', 'ables', 'istas', 'idad', 'iendo',
+  'ieron', 'ando', 'aron', 'aban', 'ados', 'adas', 'idos', 'idas', 'able', 'ible', 'ista', 'osos',
+  'osas', 'iera', 'ado', 'ada', 'ido', 'ida', 'aba', 'oso', 'osa', 'ias', 'ar', 'er', 'ir', 'ia', 'es',
+  'os', 'as', 's', 'a', 'e', 'i', 'o'
+];
+
+const ENGLISH_SUFFIXES = [
+  ['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'], ['iveness', 'ive'], ['ousness', 'ous'],
+  ['ingly', ''], ['edly', ''], ['ness', ''], ['ment', ''], ['ies', 'y'], ['ied', 'y'], ['ing', ''],
+  ['ly', ''], ['ed', ''], ['s', '']
+];
+
+const MIN_STEM_LENGTH = 3;
+
+// Parámetros de BM25
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PHRASE_BONUS = 2;
+const MAX_PREFIX_EXPANSIONS = 50;
+
+export function foldText(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Palabras con su posición en el texto original para poder resaltarlas
+export function tokenize(text) {
+  const tokens = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({
+      word: foldText(match[0]),
+      start: match.index,
+      end: match.index + match[0].length,
+      position: tokens.length
+    });
+  }
+  return tokens;
+}
+
+export function stem(word, language) {
+  if (word.length <= MIN_STEM_LENGTH) return word;
+
+  if (language === 'en') {
+    for (const [suffix, replacement] of ENGLISH_SUFFIXES) {
+      if (word.endsWith(suffix) && !(suffix === 's' && word.endsWith('ss'))
+        && word.length - suffix.length >= MIN_STEM_LENGTH) {
+        word = word.slice(0, -suffix.length) + replacement;
+        break;
+      }
+    }
+    // make/making, exercise/exercising
+    return word.length > MIN_STEM_LENGTH && word.endsWith('e') ? word.slice(0, -1) : word;
+  }
+
+  const suffix = SPANISH_SUFFIXES.find(candidate =>
+    word.endsWith(candidate) && word.length - candidate.length >= MIN_STEM_LENGTH
+  );
+  return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+export function isStopWord(word) {
+  return STOP_WORDS.es.has(word) || STOP_WORDS.en.has(word);
+}
+
+// Idioma con más palabras vacías propias; ante la duda, español
+export function detectLanguage(tokens) {
+  let es = 0;
+  let en = 0;
+  tokens.forEach(({ word }) => {
+    if (STOP_WORDS.es.has(word)) es++;
+    if (STOP_WORDS.en.has(word)) en++;
+  });
+  return en > es ? 'en' : 'es';
+}
+
+/**
+ * Separa la consulta en frases entre comillas, etiquetas y palabras sueltas
+ * @returns {{terms: Array<{word: string, prefix: boolean}>, phrases: string[], tags: string[]}}
+ */
+export function parseQuery(query) {
+  const terms = [];
+  const phrases = [];
+  const tags = [];
+  const pattern = /"([^"]*)"?|(?:#|tag:)([^\s"#]+)|([^\s"]+)/gi;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    if (match[1] !== undefined) {
+      if (match[1].trim()) phrases.push(match[1].trim());
+    } else if (match[2] !== undefined) {
+      tags.push(foldText(match[2]));
+    } else {
+      tokenize(match[3]).forEach(({ word }) => {
+        if (!isStopWord(word)) terms.push({ word, prefix: false });
+      });
+    }
+  }
+
+  // La última palabra aún se está escribiendo si la consulta no acaba en espacio
+  const lastTerm = terms[terms.length - 1];
+  if (lastTerm && !/\s$/.test(query) && /[\p{L}\p{N}]$/u.test(query)) {
+    lastTerm.prefix = true;
+  }
+
+  return { terms, phrases, tags };
+}
+
+class DiarySearchIndex {
+  constructor() {
+    // id -> { entry, language, length, words, tags }
+    this.documents = new Map();
+    // raíz -> Map(id -> posiciones)
+    this.postings = new Map();
+    this.totalLength = 0;
+    this.signature = null;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  // Reconstruye el índice solo si las entradas han cambiado desde la última vez
+  sync(entries) {
+    const signature = entries
+      .map(entry => `${entry.id}:${entry.locked ? 1 : 0}:${hashText(entry.content)}:${(entry.tags || []).join(',')}`)
+      .join('|');
+    if (signature === this.signature) return;
+
+    this.clear();
+    entries.forEach(entry => this.add(entry));
+    this.signature = signature;
+  }
+
+  clear() {
+    this.documents.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+    this.signature = null;
+  }
+
+  add(entry) {
+    // Las entradas cifradas aún bloqueadas no tienen texto en memoria
+    if (!entry || entry.locked || typeof entry.content !== 'string') return;
+
+    const id = String(entry.id);
+    if (this.documents.has(id)) this.remove(id);
+
+    const tokens = tokenize(entry.content);
+    const language = detectLanguage(tokens);
+    let length = 0;
+
+    tokens.forEach(({ word, position }) => {
+      if (isStopWord(word)) return;
+      length++;
+      const root = stem(word, language);
+      if (!this.postings.has(root)) this.postings.set(root, new Map());
+      const positions = this.postings.get(root);
+      if (!positions.has(id)) positions.set(id, []);
+      positions.get(id).push(position);
+    });
+
+    this.documents.set(id, {
+      entry,
+      language,
+      length,
+      // Palabras en orden (con las vacías) para comprobar las frases exactas
+      words: tokens.map(token => token.word),
+      tags: new Set((entry.tags || []).map(tag => foldText(tag)))
+    });
+    this.totalLength += length;
+    this.signature = null;
+  }
+
+  remove(entryId) {
+    const id = String(entryId);
+    const document = this.documents.get(id);
+    if (!document) return;
+
+    this.postings.forEach((positions, root) => {
+      positions.delete(id);
+      if (positions.size === 0) this.postings.delete(root);
+    });
+    this.totalLength -= document.length;
+    this.documents.delete(id);
+    this.signature = null;
+  }
+
+  /**
+   * Entradas que cumplen la consulta, de la más a la menos relevante
+   * @returns {Array<{id: string, score: number}>}
+   */
+  search(query) {
+    const { terms, phrases, tags } = parseQuery(query);
+    if (terms.length === 0 && phrases.length === 0 && tags.length === 0) return [];
+
+    const termRoots = terms.map(term => this.expandTerm(term));
+    const candidates = new Set();
+
+    if (terms.length > 0) {
+      termRoots.forEach(roots => roots.forEach(root => {
+        this.postings.get(root)?.forEach((_, id) => candidates.add(id));
+      }));
+    } else {
+      this.documents.forEach((_, id) => candidates.add(id));
+    }
+
+    const averageLength = this.totalLength / Math.max(this.documents.size, 1);
+    const results = [];
+
+    candidates.forEach(id => {
+      const document = this.documents.get(id);
+
+      // Etiquetas y frases son obligatorias
+      if (!tags.every(tag => document.tags.has(tag))) return;
+      if (!phrases.every(phrase => this.matchesPhrase(id, document, phrase))) return;
+
+      let score = phrases.length * PHRASE_BONUS + tags.length;
+      let matchedTerms = 0;
+
+      termRoots.forEach(roots => {
+        let frequency = 0;
+        let documentFrequency = 0;
+        roots.forEach(root => {
+          const positions = this.postings.get(root);
+          if (!positions) return;
+          documentFrequency += positions.size;
+          frequency += positions.get(id)?.length || 0;
+        });
+        if (frequency === 0) return;
+
+        matchedTerms++;
+        const idf = Math.log(1 + (this.documents.size - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        score += idf * (frequency * (BM25_K1 + 1))
+          / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * document.length / averageLength));
+      });
+
+      // Las entradas que contienen más palabras de la consulta van primero
+      if (terms.length > 0) {
+        score *= matchedTerms / terms.length;
+      }
+
+      results.push({ id, score, date: new Date(document.entry.date).getTime() || 0 });
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score || b.date - a.date)
+      .map(({ id, score }) => ({ id, score }));
+  }
+
+  /**
+   * Texto de la entrada como HTML escapado con las coincidencias dentro de <mark>
+   */
+  highlight(text, query) {
+    const source = String(text || '');
+    const { terms, phrases } = parseQuery(query);
+    const tokens = tokenize(source);
+    const language = detectLanguage(tokens);
+
+    const roots = new Set();
+    const prefixes = [];
+    terms.forEach(term => {
+      roots.add(stem(term.word, 'es'));
+      roots.add(stem(term.word, 'en'));
+      if (term.prefix) prefixes.push(term.word);
+    });
+    phrases.forEach(phrase => tokenize(phrase).forEach(({ word }) => {
+      if (!isStopWord(word)) roots.add(stem(word, language));
+    }));
+
+    let html = '';
+    let cursor = 0;
+    tokens.forEach(({ word, start, end }) => {
+      if (isStopWord(word)) return;
+      const matches = roots.has(stem(word, language)) || prefixes.some(prefix => word.startsWith(prefix));
+      if (!matches) return;
+
+      html += escapeHtml(source.slice(cursor, start));
+      html += `<mark class="search-highlight">${escapeHtml(source.slice(start, end))}</mark>`;
+      cursor = end;
+    });
+
+    return html + escapeHtml(source.slice(cursor));
+  }
+
+  // Raíces que puede tener una palabra de la consulta (no se sabe en qué idioma está)
+  expandTerm({ word, prefix }) {
+    const roots = new Set([stem(word, 'es'), stem(word, 'en')]);
+
+    if (prefix && word.length >= 2) {
+      for (const root of this.postings.keys()) {
+        if (roots.size >= MAX_PREFIX_EXPANSIONS) break;
+        if (root.startsWith(word)) roots.add(root);
+      }
+    }
+
+    return roots;
+  }
+
+  // Frase exacta: las palabras vacías deben coincidir tal cual y el resto por su raíz
+  matchesPhrase(id, document, phrase) {
+    const words = tokenize(phrase).map(token => token.word);
+    const anchorIndex = words.findIndex(word => !isStopWord(word));
+    const matchesAt = start => words.every((word, offset) => {
+      const candidate = document.words[start + offset];
+      if (candidate === undefined) return false;
+      return isStopWord(word) ? candidate === word : stem(candidate, document.language) === stem(word, document.language);
+    });
+
+    // Solo palabras vacías: se recorre el texto entero
+    if (anchorIndex === -1) {
+      return document.words.some((_, start) => matchesAt(start));
+    }
+
+    const anchors = this.postings.get(stem(words[anchorIndex], document.language))?.get(id) || [];
+    return anchors.some(position => position >= anchorIndex && matchesAt(position - anchorIndex));
+  }
+}
+
+// Hash rápido (djb2) para detectar entradas editadas sin guardar una copia del texto
+function hashText(text) {
+  const source = String(text || '');
+  let hash = 5381;
+  for (let i = 0; i < source.length; i++) {
+    hash = ((hash << 5) + hash + source.charCodeAt(i)) | 0;
+  }
+  return hash.toString(36);
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export default DiarySearchIndex;
@@ -0,0 +1,270 @@
+/**
+ * Sensus Diary Calendar
+ * Calendario mensual de entradas y actividades sugeridas para cada día.
+ * Se carga bajo demanda: sus métodos se instalan en DiaryWellness (this es el diario).
+ */
+
+const methods = {
+  // === CALENDARIO ===
+  generateCalendar() {
+    const year = this.currentDate.getFullYear();
+    const month = this.currentDate.getMonth();
+    
+    const firstDay = new Date(year, month, 1);
+    const lastDay = new Date(year, month + 1, 0);
+    const startDate = new Date(firstDay);
+    startDate.setDate(startDate.getDate() - firstDay.getDay());
+
+    const calendarGrid = document.getElementById('calendar-grid');
+    if (!calendarGrid) return;
+    calendarGrid.innerHTML = '';
+
+    // Días de la semana
+    const weekDays = this.t('diary.calendar.weekdays');
+    weekDays.forEach(day => {
+      const dayHeader = document.createElement('div');
+      dayHeader.className = 'calendar-day-header';
+      dayHeader.textContent = day;
+      dayHeader.style.fontWeight = '600';
+      dayHeader.style.color = 'var(--diary-text-light)';
+      calendarGrid.appendChild(dayHeader);
+    });
+
+    // Generar días del mes
+    for (let i = 0; i < 42; i++) {
+      const date = new Date(startDate);
+      date.setDate(startDate.getDate() + i);
+      
+      const dayElement = document.createElement('div');
+      dayElement.className = 'calendar-day';
+      dayElement.textContent = date.getDate();
+      
+      if (date.getMonth() !== month) {
+        dayElement.classList.add('other-month');
+      }
+      
+      if (this.isToday(date)) {
+        dayElement.classList.add('today');
+      }
+      
+      if (this.hasEntry(date)) {
+        dayElement.classList.add('completed');
+      }
+      
+      // Añadir event listener para mostrar actividades diarias
+      dayElement.addEventListener('click', () => {
+        this.showDailyActivities(date);
+      });
+      
+      calendarGrid.appendChild(dayElement);
+    }
+
+    // Actualizar título del mes
+    document.getElementById('current-month').textContent =
+      window.i18n.formatDate(firstDay, { month: 'long', year: 'numeric' });
+  },
+
+  changeMonth(direction) {
+    this.currentDate.setMonth(this.currentDate.getMonth() + direction);
+    this.generateCalendar();
+  },
+
+  isToday(date) {
+    const today = new Date();
+    return date.toDateString() === today.toDateString();
+  },
+
+  hasEntry(date) {
+    const dateString = date.toISOString().split('T')[0];
+    return this.entries.some(entry => 
+      entry.date.split('T')[0] === dateString
+    );
+  },
+
+  // === ACTIVIDADES DIARIAS ===
+  generateDailyActivities(date) {
+    const activities = [];
+    const dayOfWeek = date.getDay();
+    const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
+
+    // Actividades base
+    activities.push({
+      id: 'morning-breathing',
+      minutes: 5,
+      time: '08:00',
+      completed: false,
+      priority: 'high'
+    });
+
+    if (!isWeekend) {
+      activities.push({
+        id: 'work-break',
+        minutes: 3,
+        time: '14:00',
+        completed: false,
+        priority: 'medium'
+      });
+    }
+
+    activities.push({
+      id: 'evening-reflection',
+      minutes: 10,
+      time: '20:00',
+      completed: false,
+      priority: 'high'
+    });
+
+    if (isWeekend) {
+      activities.push({
+        id: 'weekend-exercise',
+        minutes: 30,
+        time: '10:00',
+        completed: false,
+        priority: 'medium'
+      });
+    }
+
+    // Textos del catálogo según el id de cada actividad
+    return activities.map(activity => ({
+      ...activity,
+      title: this.t(`diary.calendar.activities.${activity.id}.title`),
+      description: this.t(`diary.calendar.activities.${activity.id}.description`),
+      duration: this.t('common.minutes', { count: activity.minutes })
+    }));
+  },
+
+  showDailyActivities(date) {
+    const modal = document.getElementById('daily-activity-modal');
+    const activityDate = document.getElementById('activity-date');
+    const dailyActivities = document.getElementById('daily-activities');
+    
+    if (!modal || !activityDate || !dailyActivities) return;
+
+    const dateStr = window.i18n.formatDate(date, {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+    activityDate.textContent = this.t('diary.calendar.activitiesFor', { date: dateStr });
+
+    const activities = this.generateDailyActivities(date);
+    dailyActivities.innerHTML = '';
+
+    activities.forEach(activity => {
+      const activityCard = document.createElement('div');
+      activityCard.className = `activity-card ${activity.completed ? 'completed' : ''}`;
+      activityCard.innerHTML = `
+        <div class="activity-header">
+          <h4>${activity.title}</h4>
+          <span class="activity-time">${activity.time}</span>
+        </div>
+        <p class="activity-description">${activity.description}</p>
+        <div class="activity-details">
+          <div class="activity-duration">
+            <i class="fas fa-clock"></i>
+            <span>${activity.duration}</span>
+          </div>
+          <div class="activity-priority priority-${activity.priority}">
+            <i class="fas fa-flag"></i>
+            <span>${this.t(`diary.calendar.priority.${activity.priority}`)}</span>
+          </div>
+        </div>
+        <button class="btn-cta-primary complete-activity" data-activity="${activity.id}">
+          <i class="fas fa-check"></i>
+          ${this.t(activity.completed ? 'common.completed' : 'diary.calendar.complete')}
+        </button>
+      `;
+      dailyActivities.appendChild(activityCard);
+    });
+
+    // Añadir event listeners
+    dailyActivities.querySelectorAll('.complete-activity').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const activityId = e.target.dataset.activity;
+        this.toggleActivityCompletion(activityId, activities);
+      });
+    });
+
+    modal.classList.add('active');
+  },
+
+  toggleActivityCompletion(activityId, activities) {
+    const activity = activities.find(a => a.id === activityId);
+    if (!activity) return;
+
+    activity.completed = !activity.completed;
+    this.updateDailyProgress(activities);
+    this.showDailyActivities(new Date()); // Refrescar modal
+  },
+
+  updateDailyProgress(activities) {
+    const completed = activities.filter(a => a.completed).length;
+    const total = activities.length;
+    const percentage = (completed / total) * 100;
+
+    const progressFill = document.getElementById('daily-progress-fill');
+    const progressText = document.getElementById('daily-progress-text');
+
+    if (progressFill) {
+      progressFill.style.width = `${percentage}%`;
+    }
+    if (progressText) {
+      progressText.textContent = this.t('diary.calendar.progress', { completed, count: total });
+    }
+  },
+
+  closeDailyActivityModal() {
+    const modal = document.getElementById('daily-activity-modal');
+    if (modal) {
+      modal.classList.remove('active');
+    }
+  }
+};
+
+export default {
+  name: 'calendar',
+  methods,
+
+  init(diary) {
+    diary.generateCalendar();
+
+    // Navegación entre meses
+    const prevMonthBtn = document.getElementById('prev-month');
+    if (prevMonthBtn) {
+      prevMonthBtn.addEventListener('click', () => {
+        diary.changeMonth(-1);
+      });
+    }
+
+    const nextMonthBtn = document.getElementById('next-month');
+    if (nextMonthBtn) {
+      nextMonthBtn.addEventListener('click', () => {
+        diary.changeMonth(1);
+      });
+    }
+
+    // Modal de actividades diarias
+    const closeActivityModal = document.getElementById('close-activity-modal');
+    if (closeActivityModal) {
+      closeActivityModal.addEventListener('click', () => {
+        diary.closeDailyActivityModal();
+      });
+    }
+
+    const dailyActivityModal = document.getElementById('daily-activity-modal');
+    if (dailyActivityModal) {
+      dailyActivityModal.addEventListener('click', (e) => {
+        if (e.target.id === 'daily-activity-modal') {
+          diary.closeDailyActivityModal();
+        }
+      });
+    }
+
+    // Los días con entrada se marcan según el estado compartido
+    diary.store.subscribe('entries', () => diary.generateCalendar());
+
+    // Días de la semana y mes en el idioma elegido
+    window.addEventListener('i18n:changed', () => diary.generateCalendar());
+  }
+};
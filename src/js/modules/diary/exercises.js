@@ -0,0 +1,1373 @@
+/**
+ * Sensus Diary Exercises
+ * Ejercicios guiados (profesionales y de ansiedad) reproducidos con ExercisePlayer,
+ * patrones de respiración propios y registro de sesiones.
+ * Se carga bajo demanda: sus métodos se instalan en DiaryWellness (this es el diario).
+ */
+
+import ExercisePlayer, { BREATHING_PATTERNS, EXERCISES, MAX_BREATHING_STEP } from '../exercise-player.js';
+import { isAdvancedExercise } from '@shared/entitlements';
+
+// Los nombres de los patrones propios los escribe el usuario
+function escapeHtml(value) {
+  const div = document.createElement('div');
+  div.textContent = String(value);
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+const methods = {
+  // === EJERCICIOS PROFESIONALES ===
+  setupProfessionalExercises() {
+    // Filtros de ejercicios
+    document.querySelectorAll('.filter-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.filterExercises(e.target.dataset.filter);
+      });
+    });
+
+    // Botones de ejercicios profesionales - usar delegación de eventos
+    document.addEventListener('click', (e) => {
+      const btn = e.target.closest('.btn-exercise-professional');
+      if (btn) {
+        console.log('Botón de ejercicio clickeado:', btn);
+        const exerciseCard = btn.closest('.exercise-card-professional');
+        if (exerciseCard) {
+          const exercise = exerciseCard.dataset.exercise;
+          console.log('Ejercicio seleccionado:', exercise);
+          this.startProfessionalExercise(exercise);
+        }
+      }
+    });
+
+    // Tooltips de información
+    this.initializeTooltips();
+  },
+
+  filterExercises(filter) {
+    const exerciseCards = document.querySelectorAll('.exercise-card-professional');
+    const filterBtns = document.querySelectorAll('.filter-btn');
+
+    // Actualizar botones de filtro
+    filterBtns.forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.filter === filter);
+    });
+
+    // Filtrar ejercicios
+    exerciseCards.forEach(card => {
+      const duration = card.dataset.duration;
+      const evidence = card.dataset.evidence;
+      let show = true;
+
+      switch (filter) {
+        case 'quick':
+          show = duration === 'quick';
+          break;
+        case 'extended':
+          show = duration === 'extended';
+          break;
+        case 'evidence':
+          show = evidence === 'high';
+          break;
+        case 'all':
+        default:
+          show = true;
+          break;
+      }
+
+      if (show) {
+        card.style.display = 'block';
+        card.style.animation = 'fadeInUp 0.5s ease forwards';
+      } else {
+        card.style.display = 'none';
+      }
+    });
+
+    // Animación de conteo
+    setTimeout(() => {
+      const visibleCards = document.querySelectorAll('.exercise-card-professional[style*="block"]');
+      this.showNotification(this.t('diary.exercises.found', { count: visibleCards.length }), 'info');
+    }, 500);
+  },
+
+  // Meditación y relajación progresiva son de pago; respiración y grounding, de todos los planes
+  canStartExercise(exerciseType) {
+    if (!window.entitlements || !isAdvancedExercise(exerciseType)) return true;
+    return window.entitlements.requireFeature('advanced_exercises');
+  },
+
+  startProfessionalExercise(exerciseType) {
+    if (!this.canStartExercise(exerciseType)) return;
+
+    console.log('Iniciando ejercicio profesional:', exerciseType);
+    this.currentExercise = exerciseType;
+    
+    // Crear modal profesional si no existe
+    this.createProfessionalModal();
+    
+    // Configurar ejercicio específico
+    this.configureProfessionalExercise(exerciseType);
+    
+    // Mostrar modal
+    const modal = document.getElementById('professional-exercise-modal');
+    modal.classList.add('active');
+    
+    // Animar entrada
+    setTimeout(() => {
+      modal.querySelector('.modal-content').style.transform = 'scale(1)';
+      modal.querySelector('.modal-content').style.opacity = '1';
+    }, 100);
+  },
+
+  createProfessionalModal() {
+    // Verificar si ya existe
+    if (document.getElementById('professional-exercise-modal')) {
+      return;
+    }
+
+    const modal = document.createElement('div');
+    modal.id = 'professional-exercise-modal';
+    modal.className = 'professional-exercise-modal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <div class="exercise-header-info">
+            <div class="exercise-icon-modal" id="modal-exercise-icon">
+              <i class="fas fa-heart" aria-hidden="true"></i>
+            </div>
+            <div class="exercise-title-info">
+              <h2 id="modal-exercise-title">${this.t('exercises.modal.title')}</h2>
+              <p id="modal-exercise-subtitle">${this.t('exercises.modal.subtitle')}</p>
+            </div>
+          </div>
+          <button class="close-modal-btn" id="close-professional-modal">
+            <i class="fas fa-times" aria-hidden="true"></i>
+          </button>
+        </div>
+        
+        <div class="modal-body">
+          <div class="exercise-progress">
+            <div class="progress-bar">
+              <div class="progress-fill" id="exercise-progress-fill"></div>
+            </div>
+            <div class="progress-text">
+              <span id="exercise-progress-text">${this.t('exercises.preparing')}</span>
+            </div>
+          </div>
+          
+          <div class="exercise-content" id="exercise-content">
+            <!-- Contenido dinámico del ejercicio -->
+          </div>
+
+          <p class="exercise-phase-prompt" id="exercise-phase-prompt" aria-live="polite"></p>
+
+          <div class="exercise-cues">
+            <label>
+              <input type="checkbox" id="exercise-audio-cues">
+              <i class="fas fa-volume-up" aria-hidden="true"></i>
+              ${this.t('exercises.cues.audio')}
+            </label>
+            <label>
+              <input type="checkbox" id="exercise-vibration-cues">
+              <i class="fas fa-mobile-alt" aria-hidden="true"></i>
+              ${this.t('exercises.cues.vibration')}
+            </label>
+          </div>
+          
+          <div class="exercise-suds" id="exercise-suds"></div>
+
+          <div class="exercise-controls">
+            <button class="control-btn secondary" id="pause-exercise">
+              <i class="fas fa-pause" aria-hidden="true"></i>
+              <span>${this.t('exercises.pause')}</span>
+            </button>
+            <button class="control-btn primary" id="start-exercise-btn">
+              <i class="fas fa-play" aria-hidden="true"></i>
+              <span>${this.t('exercises.start')}</span>
+            </button>
+            <button class="control-btn success" id="complete-exercise-btn" style="display: none;">
+              <i class="fas fa-check" aria-hidden="true"></i>
+              <span>${this.t('exercises.complete')}</span>
+            </button>
+          </div>
+        </div>
+        
+        <div class="modal-footer">
+          <div class="exercise-timer" id="exercise-timer-display">
+            <i class="fas fa-clock" aria-hidden="true"></i>
+            <span id="timer-text">00:00</span>
+          </div>
+          <div class="exercise-tips" id="exercise-tips">
+            <i class="fas fa-lightbulb" aria-hidden="true"></i>
+            <span id="tips-text">${this.t('exercises.tipsPlaceholder')}</span>
+          </div>
+        </div>
+      </div>
+    `;
+
+    // Estilos del modal
+    const style = document.createElement('style');
+    style.textContent = `
+      .professional-exercise-modal {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.8);
+        backdrop-filter: blur(10px);
+        display: none;
+        justify-content: center;
+        align-items: center;
+        z-index: 10000;
+        opacity: 0;
+        transition: opacity 0.3s ease;
+      }
+      
+      .professional-exercise-modal.active {
+        display: flex;
+        opacity: 1;
+      }
+      
+      .modal-content {
+        background: white;
+        border-radius: 2rem;
+        width: 90%;
+        max-width: 600px;
+        max-height: 90vh;
+        overflow-y: auto;
+        transform: scale(0.8);
+        opacity: 0;
+        transition: all 0.3s ease;
+        box-shadow: 0 25px 50px rgba(0, 0, 0, 0.3);
+      }
+      
+      .modal-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 2rem 2rem 1rem;
+        border-bottom: 1px solid #e5e7eb;
+      }
+      
+      .exercise-header-info {
+        display: flex;
+        align-items: center;
+        gap: 1rem;
+      }
+      
+      .exercise-icon-modal {
+        width: 3rem;
+        height: 3rem;
+        border-radius: 1rem;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: 1.25rem;
+        color: white;
+      }
+      
+      .exercise-title-info h2 {
+        margin: 0;
+        font-size: 1.5rem;
+        color: #1f2937;
+      }
+      
+      .exercise-title-info p {
+        margin: 0.25rem 0 0;
+        color: #6b7280;
+        font-size: 0.875rem;
+      }
+      
+      .close-modal-btn {
+        background: none;
+        border: none;
+        font-size: 1.5rem;
+        color: #6b7280;
+        cursor: pointer;
+        padding: 0.5rem;
+        border-radius: 0.5rem;
+        transition: all 0.3s ease;
+      }
+      
+      .close-modal-btn:hover {
+        background: #f3f4f6;
+        color: #1f2937;
+      }
+      
+      .modal-body {
+        padding: 2rem;
+      }
+      
+      .exercise-progress {
+        margin-bottom: 2rem;
+      }
+      
+      .progress-bar {
+        width: 100%;
+        height: 0.5rem;
+        background: #e5e7eb;
+        border-radius: 1rem;
+        overflow: hidden;
+        margin-bottom: 0.5rem;
+      }
+      
+      .progress-fill {
+        height: 100%;
+        background: linear-gradient(90deg, #8b5cf6, #a78bfa);
+        border-radius: 1rem;
+        width: 0%;
+        transition: width 0.3s ease;
+      }
+      
+      .progress-text {
+        text-align: center;
+        font-size: 0.875rem;
+        color: #6b7280;
+        font-weight: 500;
+      }
+      
+      .exercise-content {
+        margin-bottom: 2rem;
+        min-height: 200px;
+      }
+      
+      .exercise-controls {
+        display: flex;
+        gap: 1rem;
+        justify-content: center;
+        margin-bottom: 2rem;
+      }
+      
+      .control-btn {
+        padding: 1rem 2rem;
+        border: none;
+        border-radius: 1rem;
+        font-weight: 600;
+        cursor: pointer;
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        transition: all 0.3s ease;
+        position: relative;
+        overflow: hidden;
+      }
+      
+      .control-btn.primary {
+        background: linear-gradient(135deg, #8b5cf6, #a78bfa);
+        color: white;
+      }
+      
+      .control-btn.secondary {
+        background: #f3f4f6;
+        color: #6b7280;
+      }
+      
+      .control-btn.success {
+        background: linear-gradient(135deg, #10b981, #059669);
+        color: white;
+      }
+      
+      .control-btn:hover {
+        transform: translateY(-2px);
+        box-shadow: 0 8px 25px rgba(0, 0, 0, 0.15);
+      }
+      
+      .exercise-phase-prompt {
+        min-height: 1.5rem;
+        margin: 0 0 1rem;
+        text-align: center;
+        font-weight: 600;
+        color: #4b5563;
+      }
+      
+      .suds-check {
+        margin-bottom: 1.5rem;
+        padding: 1rem;
+        border-radius: 1rem;
+        background: #f5f3ff;
+        color: #1f2937;
+      }
+      
+      .suds-check label {
+        display: block;
+        font-weight: 600;
+        margin-bottom: 0.75rem;
+      }
+      
+      .suds-check input[type="range"] {
+        width: 100%;
+        accent-color: #8b5cf6;
+      }
+      
+      .suds-scale {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        font-size: 0.75rem;
+        color: #6b7280;
+      }
+      
+      .suds-scale output {
+        font-size: 1.25rem;
+        font-weight: 700;
+        color: #8b5cf6;
+      }
+      
+      .exercise-cues {
+        display: flex;
+        justify-content: center;
+        gap: 1.5rem;
+        margin-bottom: 1.5rem;
+        font-size: 0.875rem;
+        color: #6b7280;
+      }
+      
+      .exercise-cues label {
+        display: flex;
+        align-items: center;
+        gap: 0.4rem;
+        cursor: pointer;
+      }
+      
+      .breathing-pattern-picker {
+        margin: 1.5rem 0;
+        padding: 1rem;
+        border: 1px solid #e5e7eb;
+        border-radius: 1rem;
+        background: #f9fafb;
+      }
+      
+      .breathing-pattern-picker > label {
+        display: block;
+        font-weight: 600;
+        margin-bottom: 0.5rem;
+        color: #1f2937;
+      }
+      
+      .breathing-pattern-row {
+        display: flex;
+        gap: 0.5rem;
+      }
+      
+      .breathing-pattern-row select {
+        flex: 1;
+        padding: 0.5rem;
+        border: 1px solid #d1d5db;
+        border-radius: 0.5rem;
+      }
+      
+      .breathing-pattern-delete {
+        border: none;
+        background: none;
+        color: #ef4444;
+        cursor: pointer;
+      }
+      
+      .breathing-pattern-description {
+        margin: 0.5rem 0;
+        font-size: 0.875rem;
+        color: #6b7280;
+      }
+      
+      .breathing-pattern-custom summary {
+        cursor: pointer;
+        font-size: 0.875rem;
+        color: #8b5cf6;
+      }
+      
+      .breathing-pattern-custom form {
+        display: flex;
+        flex-direction: column;
+        gap: 0.75rem;
+        margin-top: 0.75rem;
+      }
+      
+      .breathing-pattern-custom input {
+        padding: 0.4rem;
+        border: 1px solid #d1d5db;
+        border-radius: 0.5rem;
+      }
+      
+      .breathing-pattern-steps {
+        display: grid;
+        grid-template-columns: repeat(2, 1fr);
+        gap: 0.5rem;
+        font-size: 0.875rem;
+      }
+      
+      .breathing-pattern-steps input {
+        width: 4.5rem;
+      }
+      
+      .modal-footer {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 1rem 2rem 2rem;
+        border-top: 1px solid #e5e7eb;
+        background: #f9fafb;
+        border-radius: 0 0 2rem 2rem;
+      }
+      
+      .exercise-timer,
+      .exercise-tips {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        font-size: 0.875rem;
+        color: #6b7280;
+      }
+      
+      .exercise-timer i,
+      .exercise-tips i {
+        color: #8b5cf6;
+      }
+      
+      @media (max-width: 768px) {
+        .modal-content {
+          width: 95%;
+          margin: 1rem;
+        }
+        
+        .modal-header,
+        .modal-body,
+        .modal-footer {
+          padding: 1.5rem;
+        }
+        
+        .exercise-controls {
+          flex-direction: column;
+        }
+        
+        .modal-footer {
+          flex-direction: column;
+          gap: 1rem;
+        }
+      }
+    `;
+
+    document.head.appendChild(style);
+    document.body.appendChild(modal);
+
+    // Event listeners del modal
+    this.setupProfessionalModalEvents();
+  },
+
+  setupProfessionalModalEvents() {
+    const modal = document.getElementById('professional-exercise-modal');
+    
+    // Cerrar modal
+    document.getElementById('close-professional-modal').addEventListener('click', () => {
+      this.closeProfessionalModal();
+    });
+
+    // Cerrar al hacer clic fuera
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        this.closeProfessionalModal();
+      }
+    });
+
+    // Controles de ejercicio
+    document.getElementById('start-exercise-btn').addEventListener('click', () => {
+      this.startProfessionalExerciseTimer();
+    });
+
+    document.getElementById('pause-exercise').addEventListener('click', () => {
+      this.toggleProfessionalExercise();
+    });
+
+    document.getElementById('complete-exercise-btn').addEventListener('click', () => {
+      this.completeProfessionalExercise();
+    });
+
+    // Avisos por tono y vibración
+    document.getElementById('exercise-audio-cues').addEventListener('change', (e) => {
+      this.setExerciseCue('audio', e.target.checked);
+    });
+
+    document.getElementById('exercise-vibration-cues').addEventListener('change', (e) => {
+      this.setExerciseCue('vibration', e.target.checked);
+    });
+
+    // Valoración de malestar antes y después (el valor elegido se muestra al lado)
+    modal.addEventListener('input', (e) => {
+      if (e.target.matches('.suds-check input')) {
+        document.getElementById(`${e.target.id}-value`).textContent = e.target.value;
+      }
+    });
+
+    modal.addEventListener('click', (e) => {
+      if (e.target.closest('#save-suds-after')) {
+        this.saveProfessionalCheckOut();
+      }
+    });
+
+    // Patrones de respiración (el contenido se regenera con cada ejercicio)
+    const content = document.getElementById('exercise-content');
+    content.addEventListener('change', (e) => {
+      if (e.target.id === 'breathing-pattern-select') {
+        this.selectBreathingPattern(e.target.value);
+      }
+    });
+
+    content.addEventListener('submit', (e) => {
+      if (e.target.id === 'breathing-pattern-form') {
+        e.preventDefault();
+        this.saveBreathingPattern(e.target);
+      }
+    });
+
+    content.addEventListener('click', (e) => {
+      const deleteBtn = e.target.closest('#delete-breathing-pattern');
+      if (deleteBtn) {
+        this.deleteBreathingPattern(deleteBtn.dataset.pattern);
+      }
+    });
+
+    // Cerrar con Escape
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && modal.classList.contains('active')) {
+        this.closeProfessionalModal();
+      }
+    });
+  },
+
+  configureProfessionalExercise(exerciseType) {
+    const exerciseData = this.getProfessionalExerciseData(exerciseType);
+    const modal = document.getElementById('professional-exercise-modal');
+
+    // Configurar header
+    modal.querySelector('#modal-exercise-title').textContent = exerciseData.title;
+    modal.querySelector('#modal-exercise-subtitle').textContent = exerciseData.subtitle;
+
+    // Configurar icono
+    const iconElement = modal.querySelector('#modal-exercise-icon');
+    iconElement.className = `exercise-icon-modal ${exerciseType}`;
+    iconElement.innerHTML = `<i class="${exerciseData.icon}" aria-hidden="true"></i>`;
+
+    // Configurar contenido
+    modal.querySelector('#exercise-content').innerHTML = exerciseData.content;
+    modal.querySelector('#exercise-phase-prompt').textContent = '';
+    modal.querySelector('#exercise-suds').innerHTML = this.renderSudsCheck('suds-before', this.t('exercises.suds.before'));
+
+    // Configurar consejos
+    modal.querySelector('#tips-text').textContent = exerciseData.tip;
+
+    // Resetear progreso
+    modal.querySelector('#exercise-progress-fill').style.width = '0%';
+    modal.querySelector('#exercise-progress-text').textContent = this.t('exercises.preparing');
+    modal.querySelector('#timer-text').textContent = this.formatExerciseTime(exerciseData.duration);
+
+    // Avisos guardados por el usuario
+    modal.querySelector('#exercise-audio-cues').checked = this.exercisePreferences.audio;
+    modal.querySelector('#exercise-vibration-cues').checked = this.exercisePreferences.vibration;
+
+    // Resetear controles
+    document.getElementById('start-exercise-btn').style.display = 'flex';
+    document.getElementById('complete-exercise-btn').style.display = 'none';
+    document.getElementById('pause-exercise').style.display = 'flex';
+    this.updatePauseButton(false);
+  },
+
+  /**
+   * Guion del ejercicio (exercise-scripts.json) con su duración y el contenido del modal
+   */
+  getProfessionalExerciseData(exerciseType) {
+    const id = EXERCISES[exerciseType] ? exerciseType : 'breathing';
+    const pattern = EXERCISES[id].kind === 'breathing' ? this.getSelectedBreathingPattern() : undefined;
+    const script = ExercisePlayer.forExercise(id, { pattern });
+
+    return {
+      ...script,
+      duration: ExercisePlayer.totalDuration(script),
+      content: this.renderExerciseContent(script)
+    };
+  },
+
+  renderExerciseContent(script) {
+    const instructions = `
+      <div class="${script.kind}-instructions">
+        <h3>${this.t('exercises.instructions')}</h3>
+        <ol>
+          ${script.instructions.map(step => `<li>${step}</li>`).join('')}
+        </ol>
+      </div>
+    `;
+
+    switch (script.kind) {
+      case 'breathing':
+        return `
+          <div class="breathing-exercise">
+            <div class="breathing-visual">
+              <div class="breathing-circle" id="breathing-circle">
+                <div class="breathing-text" id="breathing-text">${this.t('exercises.getReady')}</div>
+              </div>
+            </div>
+            ${this.renderBreathingPatternPicker()}
+            ${instructions}
+          </div>
+        `;
+      case 'relaxation': {
+        // Una parte del cuerpo por cada grupo muscular del guion
+        const parts = new Map(script.phases.map(phase => [phase.target, phase.label]));
+        return `
+          <div class="relaxation-exercise">
+            <div class="relaxation-visual">
+              <div class="relaxation-body" id="relaxation-body">
+                ${[...parts].map(([part, label]) => `<div class="body-part" data-part="${part}">${label}</div>`).join('')}
+              </div>
+            </div>
+            ${instructions}
+          </div>
+        `;
+      }
+      case 'grounding':
+        return `
+          <div class="grounding-exercise">
+            <div class="grounding-visual">
+              <div class="grounding-senses" id="grounding-senses">
+                ${script.phases.map(phase => `
+                  <div class="sense-item" data-sense="${phase.target}">
+                    <i class="${phase.icon}"></i>
+                    <span>${phase.label}</span>
+                  </div>
+                `).join('')}
+              </div>
+            </div>
+            ${instructions}
+          </div>
+        `;
+      default:
+        return `
+          <div class="meditation-exercise">
+            <div class="meditation-visual">
+              <div class="meditation-circle" id="meditation-circle">
+                <div class="meditation-text" id="meditation-text">${this.t('exercises.focus')}</div>
+              </div>
+            </div>
+            ${instructions}
+          </div>
+        `;
+    }
+  },
+
+  // === PATRONES DE RESPIRACIÓN ===
+  getBreathingPatterns() {
+    const custom = Object.fromEntries(this.breathingPatterns.map(pattern => [pattern.id, pattern]));
+    return { ...BREATHING_PATTERNS, ...custom };
+  },
+
+  getSelectedBreathingPattern() {
+    const patterns = this.getBreathingPatterns();
+    return patterns[this.exercisePreferences.pattern] || BREATHING_PATTERNS[EXERCISES.breathing.pattern];
+  },
+
+  describeBreathingPattern(pattern) {
+    if (pattern.description) return pattern.description;
+
+    return [
+      ['inhale', pattern.inhale],
+      ['hold', pattern.hold],
+      ['exhale', pattern.exhale],
+      ['holdAfter', pattern.holdAfter]
+    ]
+      .filter(([, seconds]) => seconds > 0)
+      .map(([step, seconds]) => this.t(`exercises.pattern.steps.${step}`, { seconds }))
+      .join(', ');
+  },
+
+  renderBreathingPatternPicker() {
+    const patterns = this.getBreathingPatterns();
+    const selected = this.getSelectedBreathingPattern();
+    const steps = [['inhale', 4], ['hold', 0], ['exhale', 6], ['holdAfter', 0]];
+
+    return `
+      <div class="breathing-pattern-picker">
+        <label for="breathing-pattern-select">${this.t('exercises.pattern.label')}</label>
+        <div class="breathing-pattern-row">
+          <select id="breathing-pattern-select">
+            ${Object.entries(patterns).map(([id, pattern]) => `
+              <option value="${escapeHtml(id)}" ${pattern === selected ? 'selected' : ''}>${escapeHtml(pattern.name)}</option>
+            `).join('')}
+          </select>
+          ${selected.id ? `
+            <button type="button" class="breathing-pattern-delete" id="delete-breathing-pattern" data-pattern="${escapeHtml(selected.id)}" title="${this.t('exercises.pattern.delete')}">
+              <i class="fas fa-trash" aria-hidden="true"></i>
+            </button>
+          ` : ''}
+        </div>
+        <p class="breathing-pattern-description">${escapeHtml(this.describeBreathingPattern(selected))}</p>
+        <details class="breathing-pattern-custom">
+          <summary>${this.t('exercises.pattern.create')}</summary>
+          <form id="breathing-pattern-form">
+            <input type="text" name="name" placeholder="${this.t('exercises.pattern.name')}" maxlength="40" required>
+            <div class="breathing-pattern-steps">
+              ${steps.map(([field, value]) => `
+                <label>
+                  ${this.t(`exercises.pattern.fields.${field}`)}
+                  <input type="number" name="${field}" min="0" max="${MAX_BREATHING_STEP}" step="0.5" value="${value}">
+                  s
+                </label>
+              `).join('')}
+            </div>
+            <button type="submit" class="control-btn secondary">${this.t('exercises.pattern.save')}</button>
+          </form>
+        </details>
+      </div>
+    `;
+  },
+
+  selectBreathingPattern(patternId) {
+    // El patrón no cambia a mitad de un ejercicio
+    if (this.exercisePlayer) return;
+
+    this.store.save('exercisePreferences', { ...this.exercisePreferences, pattern: patternId });
+    this.configureProfessionalExercise(this.currentExercise);
+  },
+
+  saveBreathingPattern(form) {
+    // Crear patrones propios es de pago; los ya guardados y los predefinidos siguen disponibles
+    if (window.entitlements && !window.entitlements.requireFeature('advanced_exercises')) return;
+
+    const data = new FormData(form);
+    const pattern = {
+      id: `custom-${Date.now()}`,
+      name: String(data.get('name') || '').trim(),
+      inhale: Number(data.get('inhale')),
+      topUp: 0,
+      hold: Number(data.get('hold')),
+      exhale: Number(data.get('exhale')),
+      holdAfter: Number(data.get('holdAfter')),
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      ExercisePlayer.validatePattern(pattern);
+    } catch (error) {
+      this.showNotification(error.message, 'error');
+      return;
+    }
+
+    this.breathingPatterns.push(pattern);
+    this.store.save('breathingPatterns');
+    this.showNotification(this.t('diary.exercises.patternSaved', { name: pattern.name }), 'success');
+    this.selectBreathingPattern(pattern.id);
+  },
+
+  deleteBreathingPattern(patternId) {
+    const pattern = this.breathingPatterns.find(item => item.id === patternId);
+    if (!pattern || this.exercisePlayer) return;
+
+    this.store.save('breathingPatterns', this.breathingPatterns.filter(item => item.id !== patternId));
+    this.showNotification(this.t('diary.exercises.patternDeleted', { name: pattern.name }), 'info');
+    this.selectBreathingPattern(EXERCISES.breathing.pattern);
+  },
+
+  // === REPRODUCCIÓN ===
+  startProfessionalExerciseTimer() {
+    const exerciseData = this.getProfessionalExerciseData(this.currentExercise);
+    const sudsBefore = document.getElementById('suds-before');
+
+    this.beginExerciseSession(Number(sudsBefore.value));
+    document.getElementById('exercise-suds').innerHTML = '';
+
+    this.stopExercisePlayer();
+    this.exercisePlayer = new ExercisePlayer(exerciseData, {
+      audio: this.exercisePreferences.audio,
+      vibration: this.exercisePreferences.vibration,
+      onPhase: (phase, position) => this.showExercisePhase(phase, position),
+      onTick: (state) => this.updateProfessionalExerciseUI(state),
+      onComplete: () => this.completeProfessionalExercise()
+    });
+
+    // Actualizar UI
+    document.getElementById('start-exercise-btn').style.display = 'none';
+    document.getElementById('complete-exercise-btn').style.display = 'flex';
+    document.getElementById('pause-exercise').style.display = 'flex';
+    document.querySelector('.breathing-pattern-picker')?.setAttribute('hidden', '');
+
+    this.exercisePlayer.start();
+  },
+
+  updateProfessionalExerciseUI({ remaining, progress, phase, phaseRemaining }) {
+    // Actualizar timer
+    document.getElementById('timer-text').textContent = this.formatExerciseTime(remaining);
+
+    // Actualizar progreso
+    document.getElementById('exercise-progress-fill').style.width = `${progress}%`;
+    document.getElementById('exercise-progress-text').textContent =
+      `${Math.round(progress)}% completado`;
+
+    // Cuenta atrás de la fase dentro del círculo de respiración
+    const breathingText = document.getElementById('breathing-text');
+    if (breathingText) {
+      breathingText.textContent = `${phase.prompt}... ${Math.ceil(phaseRemaining)}`;
+    }
+  },
+
+  showExercisePhase(phase, { repetition, repetitions }) {
+    const prompt = document.getElementById('exercise-phase-prompt');
+    if (prompt) {
+      prompt.textContent = repetitions > 1
+        ? this.t('exercises.round', { prompt: phase.prompt, repetition, repetitions })
+        : phase.prompt;
+    }
+
+    // Respiración: el círculo crece al inhalar y encoge al exhalar durante toda la fase
+    const breathingCircle = document.getElementById('breathing-circle');
+    if (breathingCircle) {
+      const colors = { inhale: '#3b82f6', hold: '#8b5cf6', exhale: '#10b981' };
+      breathingCircle.style.transition = `transform ${phase.duration}s ease-in-out, background-color 0.5s ease`;
+      breathingCircle.style.backgroundColor = colors[phase.type];
+      if (phase.type === 'inhale') breathingCircle.style.transform = 'scale(1.2)';
+      if (phase.type === 'exhale') breathingCircle.style.transform = 'scale(1)';
+    }
+
+    // Meditación: un pulso suave con cada indicación
+    const meditationCircle = document.getElementById('meditation-circle');
+    if (meditationCircle) {
+      document.getElementById('meditation-text').textContent = phase.prompt;
+      meditationCircle.style.transform = 'scale(1.1)';
+      setTimeout(() => {
+        meditationCircle.style.transform = 'scale(1)';
+      }, 2000);
+    }
+
+    // Relajación y grounding: resaltar el grupo muscular o el sentido de la fase
+    document.querySelectorAll('.body-part').forEach(part => {
+      const isCurrent = part.dataset.part === phase.target;
+      part.classList.toggle('tensed', isCurrent && phase.type === 'tense');
+      part.classList.toggle('active', isCurrent && phase.type === 'relax');
+    });
+
+    document.querySelectorAll('.sense-item').forEach(item => {
+      item.classList.toggle('active', item.dataset.sense === phase.target);
+    });
+  },
+
+  toggleProfessionalExercise() {
+    if (!this.exercisePlayer) return;
+
+    this.exercisePlayer.toggle();
+    this.updatePauseButton(this.exercisePlayer.isPaused);
+  },
+
+  updatePauseButton(isPaused) {
+    const pauseBtn = document.getElementById('pause-exercise');
+    const icon = pauseBtn.querySelector('i');
+    const text = pauseBtn.querySelector('span');
+
+    if (isPaused) {
+      icon.className = 'fas fa-play';
+      text.textContent = this.t('exercises.continue');
+    } else {
+      icon.className = 'fas fa-pause';
+      text.textContent = this.t('exercises.pause');
+    }
+  },
+
+  setExerciseCue(cue, enabled) {
+    this.store.save('exercisePreferences', { ...this.exercisePreferences, [cue]: enabled });
+
+    // Aplicar también al ejercicio en curso
+    if (this.exercisePlayer) {
+      this.exercisePlayer[cue === 'audio' ? 'audioEnabled' : 'vibrationEnabled'] = enabled;
+    }
+  },
+
+  completeProfessionalExercise() {
+    const player = this.exercisePlayer;
+    if (!player) return;
+
+    // Terminar antes de tiempo también cuenta; se guarda el tiempo realmente practicado
+    this.exercisePlayer = null;
+    player.finish();
+    this.activeExerciseSession.duration = Math.round(player.elapsed);
+
+    // Mostrar completado y preguntar por el malestar después
+    this.showExerciseCompleted(player.elapsed);
+  },
+
+  saveProfessionalCheckOut() {
+    const sudsAfter = document.getElementById('suds-after');
+    const session = this.finishExerciseSession(Number(sudsAfter.value));
+
+    document.getElementById('exercise-suds').innerHTML = '';
+    document.getElementById('exercise-progress-text').textContent = this.describeSudsChange(session);
+
+    // Cerrar modal después de un delay
+    setTimeout(() => {
+      this.closeProfessionalModal();
+    }, 2000);
+  },
+
+  stopExercisePlayer() {
+    if (this.exercisePlayer) {
+      this.exercisePlayer.stop();
+      this.exercisePlayer = null;
+    }
+  },
+
+  formatExerciseTime(seconds) {
+    const total = Math.max(0, Math.ceil(seconds));
+    const minutes = Math.floor(total / 60);
+    const rest = total % 60;
+    return `${minutes.toString().padStart(2, '0')}:${rest.toString().padStart(2, '0')}`;
+  },
+
+  showExerciseCompleted(elapsed) {
+    const content = document.getElementById('exercise-content');
+    content.innerHTML = `
+      <div class="exercise-completed">
+        <div class="completion-icon">
+          <i class="fas fa-check-circle"></i>
+        </div>
+        <h3>${this.t('exercises.completed.title')}</h3>
+        <p>${this.t('exercises.completed.message', { title: EXERCISES[this.currentExercise]?.title || EXERCISES.breathing.title })}</p>
+        <div class="completion-stats">
+          <div class="stat">
+            <i class="fas fa-clock"></i>
+            <span>${this.t('exercises.completed.time', { time: this.formatExerciseTime(elapsed) })}</span>
+          </div>
+          <div class="stat">
+            <i class="fas fa-calendar"></i>
+            <span>${this.t('exercises.completed.date', { date: window.i18n.formatDate(new Date()) })}</span>
+          </div>
+        </div>
+      </div>
+    `;
+    document.getElementById('exercise-phase-prompt').textContent = '';
+    document.getElementById('exercise-suds').innerHTML = `
+      ${this.renderSudsCheck('suds-after', this.t('exercises.suds.after'), this.activeExerciseSession.moodBefore)}
+      <button type="button" class="control-btn primary" id="save-suds-after">
+        <i class="fas fa-check" aria-hidden="true"></i>
+        <span>${this.t('common.save')}</span>
+      </button>
+    `;
+
+    // Ocultar controles
+    document.getElementById('pause-exercise').style.display = 'none';
+    document.getElementById('complete-exercise-btn').style.display = 'none';
+
+    // Actualizar progreso
+    document.getElementById('exercise-progress-fill').style.width = '100%';
+    document.getElementById('exercise-progress-text').textContent = this.t('exercises.done');
+  },
+
+  // === SESIONES DE EJERCICIO ===
+  // El malestar se valora con la escala SUDS (0 = nada, 10 = el máximo imaginable):
+  // moodBefore y moodAfter guardan esa valoración y improvement es cuánto ha bajado.
+  renderSudsCheck(id, question, value = 5) {
+    return `
+      <div class="suds-check">
+        <label for="${id}">${question}</label>
+        <input type="range" id="${id}" min="0" max="10" step="1" value="${value}">
+        <div class="suds-scale">
+          <span>${this.t('exercises.suds.min')}</span>
+          <output id="${id}-value" for="${id}">${value}</output>
+          <span>${this.t('exercises.suds.max')}</span>
+        </div>
+      </div>
+    `;
+  },
+
+  beginExerciseSession(moodBefore) {
+    this.activeExerciseSession = {
+      exerciseType: this.currentExercise,
+      moodBefore,
+      startedAt: new Date().toISOString(),
+      duration: null
+    };
+  },
+
+  /**
+   * Guardar la sesión en curso con la valoración final (null si el usuario no contestó)
+   */
+  finishExerciseSession(moodAfter) {
+    const pending = this.activeExerciseSession;
+    this.activeExerciseSession = null;
+    if (!pending || pending.duration === null) return null;
+
+    return this.saveExerciseSession({ ...pending, moodAfter });
+  },
+
+  describeSudsChange(session) {
+    if (!session || session.improvement === null) return this.t('exercises.done');
+    if (session.improvement > 0) return this.t('exercises.suds.improved', { count: session.improvement });
+    if (session.improvement < 0) return this.t('exercises.suds.worse');
+    return this.t('exercises.suds.same');
+  },
+
+  saveExerciseSession({ exerciseType, duration, moodBefore = null, moodAfter = null, startedAt = null }) {
+    const hasSuds = Number.isFinite(moodBefore) && Number.isFinite(moodAfter);
+    const improvement = hasSuds ? moodBefore - moodAfter : null;
+
+    const session = {
+      id: Date.now(),
+      exerciseType,
+      exerciseName: EXERCISES[exerciseType]?.title || exerciseType,
+      duration,
+      moodBefore: Number.isFinite(moodBefore) ? moodBefore : null,
+      moodAfter: Number.isFinite(moodAfter) ? moodAfter : null,
+      improvement,
+      // Porcentaje del malestar inicial que ha desaparecido
+      effectiveness: hasSuds && moodBefore > 0 ? Math.round((improvement / moodBefore) * 100) : null,
+      notes: '',
+      tags: [],
+      isCompleted: true,
+      startedAt: startedAt || new Date().toISOString(),
+      completedAt: new Date().toISOString(),
+      deviceInfo: {
+        platform: 'web',
+        userAgent: navigator.userAgent
+      }
+    };
+    
+    // Agregar a las actividades diarias
+    const today = new Date().toDateString();
+    if (!this.dailyActivities[today]) {
+      this.dailyActivities[today] = [];
+    }
+    this.dailyActivities[today].push(session);
+    
+    this.store.save('dailyActivities');
+    this.totalSessions++;
+    this.store.save('totalSessions');
+    this.updateProgressSummary();
+    this.checkAchievements();
+
+    const { id, ...payload } = session;
+    this.queueSync('exercise_session', payload)
+      .catch(error => console.error('❌ Error encolando sesión de ejercicio:', error));
+
+    return session;
+  },
+
+  closeProfessionalModal() {
+    const modal = document.getElementById('professional-exercise-modal');
+    
+    // Detener el ejercicio en curso; si ya terminó se guarda aunque falte la valoración final
+    this.stopExercisePlayer();
+    this.finishExerciseSession(null);
+    
+    // Resetear estado
+    this.currentExercise = null;
+    
+    // Animar salida
+    modal.querySelector('.modal-content').style.transform = 'scale(0.8)';
+    modal.querySelector('.modal-content').style.opacity = '0';
+    
+    setTimeout(() => {
+      modal.classList.remove('active');
+    }, 300);
+  },
+
+  initializeTooltips() {
+    // Los tooltips ya están implementados en CSS
+    // Solo necesitamos asegurar que funcionen correctamente
+    document.querySelectorAll('.tooltip-trigger').forEach(trigger => {
+      trigger.addEventListener('mouseenter', () => {
+        const tooltip = trigger.querySelector('.tooltip-content');
+        if (tooltip) {
+          tooltip.style.opacity = '1';
+          tooltip.style.visibility = 'visible';
+        }
+      });
+      
+      trigger.addEventListener('mouseleave', () => {
+        const tooltip = trigger.querySelector('.tooltip-content');
+        if (tooltip) {
+          tooltip.style.opacity = '0';
+          tooltip.style.visibility = 'hidden';
+        }
+      });
+    });
+  },
+
+  // === EJERCICIOS DE ANSIEDAD ===
+  startExercise(exerciseType) {
+    if (!this.canStartExercise(exerciseType)) return;
+
+    this.currentExercise = exerciseType;
+    const modal = document.getElementById('exercise-modal');
+    const title = document.getElementById('modal-title');
+    const instructions = document.getElementById('exercise-instructions');
+
+    // Mismo guion que el ejercicio profesional
+    const exerciseData = this.getProfessionalExerciseData(exerciseType);
+    title.textContent = exerciseData.title;
+    instructions.innerHTML = `
+      <h4>${this.t('exercises.instructions')}</h4>
+      <ol>
+        ${exerciseData.instructions.map(step => `<li>${step}</li>`).join('')}
+      </ol>
+      <p class="exercise-phase-prompt" id="exercise-modal-prompt" aria-live="polite"></p>
+      <p><strong>${this.t('exercises.tip')}</strong> ${exerciseData.tip}</p>
+      <div id="exercise-modal-suds">
+        ${this.renderSudsCheck('suds-before-quick', this.t('exercises.suds.before'))}
+        <button type="button" class="btn btn-primary" id="start-quick-exercise">${this.t('exercises.start')}</button>
+      </div>
+    `;
+
+    // El temporizador arranca después de la valoración inicial
+    document.getElementById('exercise-timer').style.display = 'none';
+    this.updateTimerDisplay(exerciseData.duration);
+
+    const sudsBefore = document.getElementById('suds-before-quick');
+    sudsBefore.addEventListener('input', () => {
+      document.getElementById('suds-before-quick-value').textContent = sudsBefore.value;
+    });
+
+    document.getElementById('start-quick-exercise').addEventListener('click', () => {
+      this.beginExerciseSession(Number(sudsBefore.value));
+      document.getElementById('exercise-modal-suds').remove();
+      document.getElementById('exercise-timer').style.display = 'block';
+      this.startTimer(exerciseData);
+    });
+
+    // Mostrar modal
+    modal.classList.add('active');
+  },
+
+  startTimer(script) {
+    this.stopExercisePlayer();
+    this.exercisePlayer = new ExercisePlayer(script, {
+      audio: this.exercisePreferences.audio,
+      vibration: this.exercisePreferences.vibration,
+      onPhase: (phase) => {
+        document.getElementById('exercise-modal-prompt').textContent = phase.prompt;
+      },
+      onTick: ({ remaining }) => this.updateTimerDisplay(remaining),
+      onComplete: () => this.completeExercise()
+    });
+
+    this.exercisePlayer.start();
+  },
+
+  updateTimerDisplay(remaining) {
+    document.querySelector('.timer-display').textContent = this.formatExerciseTime(remaining);
+  },
+
+  toggleTimer() {
+    if (!this.exercisePlayer) return;
+
+    this.exercisePlayer.toggle();
+    document.getElementById('pause-timer').textContent = this.t(this.exercisePlayer.isPaused ? 'exercises.resume' : 'exercises.pause');
+  },
+
+  completeExercise() {
+    const player = this.exercisePlayer;
+    if (!player) return;
+
+    this.exercisePlayer = null;
+    player.finish();
+    this.activeExerciseSession.duration = Math.round(player.elapsed);
+
+    // Mostrar mensaje de completado y la valoración final
+    const instructions = document.getElementById('exercise-instructions');
+    instructions.innerHTML = `
+      <div style="text-align: center; padding: 2rem;">
+        <h3 style="color: #4ade80; margin-bottom: 1rem;">${this.t('exercises.completed.title')} 🎉</h3>
+        <p>${this.t('exercises.completed.message', { title: EXERCISES[this.currentExercise]?.title || this.currentExercise })}</p>
+      </div>
+      ${this.renderSudsCheck('suds-after-quick', this.t('exercises.suds.before'), this.activeExerciseSession.moodBefore)}
+      <button type="button" class="btn btn-primary" id="save-quick-suds">${this.t('common.save')}</button>
+    `;
+
+    // Ocultar timer
+    document.getElementById('exercise-timer').style.display = 'none';
+
+    const sudsAfter = document.getElementById('suds-after-quick');
+    sudsAfter.addEventListener('input', () => {
+      document.getElementById('suds-after-quick-value').textContent = sudsAfter.value;
+    });
+
+    document.getElementById('save-quick-suds').addEventListener('click', () => {
+      // Guardar la sesión con el tiempo realmente practicado
+      const session = this.finishExerciseSession(Number(sudsAfter.value));
+      instructions.innerHTML = `
+        <div style="text-align: center; padding: 2rem;">
+          <p>${this.describeSudsChange(session)}</p>
+          <p>${this.t('exercises.continueReflection')}</p>
+        </div>
+      `;
+
+      // Cerrar modal después de 3 segundos
+      setTimeout(() => {
+        this.closeExerciseModal();
+      }, 3000);
+    });
+  },
+
+  closeExerciseModal() {
+    const modal = document.getElementById('exercise-modal');
+    modal.classList.remove('active');
+    
+    this.stopExercisePlayer();
+    this.finishExerciseSession(null);
+
+    // Resetear modal
+    document.getElementById('exercise-timer').style.display = 'block';
+    document.getElementById('pause-timer').textContent = this.t('exercises.pause');
+    this.currentExercise = null;
+  }
+};
+
+export default {
+  name: 'exercises',
+  methods,
+
+  init(diary) {
+    // Ejercicios profesionales
+    diary.setupProfessionalExercises();
+
+    // Ejercicios legacy (mantener compatibilidad)
+    document.querySelectorAll('.start-exercise').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const exercise = e.target.closest('.exercise-card-enhanced').dataset.exercise;
+        diary.startExercise(exercise);
+      });
+    });
+
+    // Modal de ejercicio
+    const closeModalBtn = document.getElementById('close-modal');
+    if (closeModalBtn) {
+      closeModalBtn.addEventListener('click', () => {
+        diary.closeExerciseModal();
+      });
+    }
+
+    const pauseTimerBtn = document.getElementById('pause-timer');
+    if (pauseTimerBtn) {
+      pauseTimerBtn.addEventListener('click', () => {
+        diary.toggleTimer();
+      });
+    }
+
+    const completeExerciseBtn = document.getElementById('complete-exercise');
+    if (completeExerciseBtn) {
+      completeExerciseBtn.addEventListener('click', () => {
+        diary.completeExercise();
+      });
+    }
+
+    // Cerrar modal al hacer clic fuera
+    const exerciseModal = document.getElementById('exercise-modal');
+    if (exerciseModal) {
+      exerciseModal.addEventListener('click', (e) => {
+        if (e.target.id === 'exercise-modal') {
+          diary.closeExerciseModal();
+        }
+      });
+    }
+
+    // Acción rápida de respiración
+    const quickBreathing = document.getElementById('quick-breathing');
+    if (quickBreathing) {
+      quickBreathing.addEventListener('click', () => {
+        diary.startExercise('breathing');
+      });
+    }
+  }
+};
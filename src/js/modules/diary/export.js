@@ -0,0 +1,144 @@
+/**
+ * Sensus Diary Export
+ * Exportación del diario a JSON, PDF y CSV, y enlaces de solo lectura para profesionales.
+ * Se carga bajo demanda: sus métodos se instalan en DiaryWellness (this es el diario).
+ */
+
+const methods = {
+  // === EXPORTACIÓN DE DATOS ===
+  // La copia en JSON son los datos del usuario: disponible en todos los planes
+  exportToJSON() {
+    const exportData = {
+      entries: this.getReadableEntries(),
+      anxietyLevels: this.anxietyLevels,
+      personalizedPlan: this.personalizedPlan,
+      stats: {
+        currentStreak: this.currentStreak,
+        totalSessions: this.totalSessions,
+        bestStreak: this.bestStreak
+      },
+      exportDate: new Date().toISOString(),
+      version: '1.0'
+    };
+
+    const dataStr = JSON.stringify(exportData, null, 2);
+    const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    const url = URL.createObjectURL(dataBlob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `diario-bienestar-${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    this.showNotification(this.t('diary.export.dataExported'), 'success');
+  },
+
+  exportToPDF() {
+    // Informes en PDF y CSV: planes de pago
+    if (window.entitlements && !window.entitlements.requireFeature('export')) return;
+
+    if (!window.pdfReport) {
+      this.showNotification(this.t('diary.export.pdfUnavailable'), 'error');
+      return;
+    }
+
+    try {
+      window.pdfReport.download(this);
+      const lockedEntries = this.entries.length - this.getReadableEntries().length;
+      this.showNotification(
+        lockedEntries > 0
+          ? this.t('diary.export.pdfWithoutLocked', { count: lockedEntries })
+          : this.t('diary.export.pdfGenerated'),
+        'success'
+      );
+    } catch (error) {
+      console.error('❌ Error generando el informe PDF:', error);
+      this.showNotification(this.t('diary.export.pdfError'), 'error');
+    }
+  },
+
+  openClinicianShare() {
+    if (!window.clinicianShare) {
+      this.showNotification(this.t('diary.export.shareUnavailable'), 'error');
+      return;
+    }
+
+    if (!localStorage.getItem('sensus-token')) {
+      this.showNotification(this.t('diary.export.shareLogin'), 'info');
+      return;
+    }
+
+    window.clinicianShare.open(this).catch(error => {
+      console.error('❌ Error abriendo el panel de compartir:', error);
+      this.showNotification(this.t('diary.export.shareError'), 'error');
+    });
+  },
+
+  exportToCSV() {
+    if (window.entitlements && !window.entitlements.requireFeature('export')) return;
+
+    const headers = ['Fecha', 'Estado de Ánimo', 'Contenido', 'Ejercicio', 'Palabras'];
+    const csvContent = [
+      headers.join(','),
+      ...this.getReadableEntries().map(entry => [
+        new Date(entry.date).toLocaleDateString('es-ES'),
+        entry.mood,
+        `"${entry.content.replace(/"/g, '""')}"`,
+        entry.exercise,
+        entry.wordCount || 0
+      ].join(','))
+    ].join('\n');
+
+    const dataBlob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(dataBlob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `diario-bienestar-${new Date().toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    this.showNotification(this.t('diary.export.csvExported'), 'success');
+  }
+};
+
+export default {
+  name: 'export',
+  methods,
+
+  init(diary) {
+    // Botones de exportación
+    const exportJSONBtn = document.getElementById('export-json');
+    if (exportJSONBtn) {
+      exportJSONBtn.addEventListener('click', () => {
+        diary.exportToJSON();
+      });
+    }
+
+    const exportPDFBtn = document.getElementById('export-pdf');
+    if (exportPDFBtn) {
+      exportPDFBtn.addEventListener('click', () => {
+        diary.exportToPDF();
+      });
+    }
+
+    const exportCSVBtn = document.getElementById('export-csv');
+    if (exportCSVBtn) {
+      exportCSVBtn.addEventListener('click', () => {
+        diary.exportToCSV();
+      });
+    }
+
+    const shareReportBtn = document.getElementById('share-report-btn');
+    if (shareReportBtn) {
+      shareReportBtn.addEventListener('click', () => {
+        diary.openClinicianShare();
+      });
+    }
+  }
+};
@@ -0,0 +1,314 @@
+/**
+ * Sensus Diary Goals
+ * Objetivos personales con progreso, fecha límite y resumen de cumplimiento.
+ * Se carga bajo demanda: sus métodos se instalan en DiaryWellness (this es el diario).
+ */
+
+const methods = {
+  // === SISTEMA DE OBJETIVOS ===
+  initializeGoals() {
+    this.setupGoalEventListeners();
+    this.updateGoalsDisplay();
+    this.updateGoalsOverview();
+  },
+
+  setupGoalEventListeners() {
+    // Botón para crear objetivo
+    const createGoalBtn = document.getElementById('create-goal');
+    if (createGoalBtn) {
+      createGoalBtn.addEventListener('click', () => {
+        this.showCreateGoalModal();
+      });
+    }
+
+    // Botón para cerrar modal de objetivo
+    const closeGoalModal = document.getElementById('close-goal-modal');
+    if (closeGoalModal) {
+      closeGoalModal.addEventListener('click', () => {
+        this.closeGoalModal();
+      });
+    }
+
+    // Formulario de creación de objetivo
+    const goalForm = document.getElementById('goal-form');
+    if (goalForm) {
+      goalForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const isEditing = goalForm.dataset.editing;
+        if (isEditing) {
+          this.updateGoal(parseInt(isEditing));
+        } else {
+          this.createGoal();
+        }
+      });
+    }
+
+    // Botón cancelar objetivo
+    const cancelGoalBtn = document.getElementById('cancel-goal');
+    if (cancelGoalBtn) {
+      cancelGoalBtn.addEventListener('click', () => {
+        this.closeGoalModal();
+      });
+    }
+  },
+
+  showCreateGoalModal() {
+    const modal = document.getElementById('goal-modal');
+    if (modal) {
+      modal.classList.add('active');
+      // Enfocar el primer campo
+      const titleInput = document.getElementById('goal-title');
+      if (titleInput) {
+        setTimeout(() => titleInput.focus(), 100);
+      }
+    }
+  },
+
+  closeGoalModal() {
+    const modal = document.getElementById('goal-modal');
+    if (modal) {
+      modal.classList.remove('active');
+      const form = document.getElementById('goal-form');
+      form.reset();
+      delete form.dataset.editing;
+    }
+  },
+
+  createGoal() {
+    const title = document.getElementById('goal-title').value.trim();
+    const description = document.getElementById('goal-description').value.trim();
+    const targetValue = parseInt(document.getElementById('goal-target').value);
+    const category = document.getElementById('goal-category').value;
+    const deadline = document.getElementById('goal-deadline').value;
+
+    if (!title || !targetValue) {
+      this.showNotification(this.t('diary.goals.requiredFields'), 'error');
+      return;
+    }
+
+    const goal = {
+      id: Date.now(),
+      title,
+      description,
+      targetValue,
+      currentValue: 0,
+      category,
+      deadline: deadline ? new Date(deadline).toISOString() : null,
+      createdAt: new Date().toISOString(),
+      completed: false,
+      completedAt: null
+    };
+
+    this.goals.push(goal);
+    this.store.save('goals');
+    this.closeGoalModal();
+    this.showNotification(this.t('diary.goals.created'), 'success');
+    this.announceToScreenReader(`Nuevo objetivo creado: ${title}`);
+  },
+
+  updateGoal(goalId) {
+    const goal = this.goals.find(g => g.id === goalId);
+    if (!goal) return;
+
+    const title = document.getElementById('goal-title').value.trim();
+    const description = document.getElementById('goal-description').value.trim();
+    const targetValue = parseInt(document.getElementById('goal-target').value);
+    const category = document.getElementById('goal-category').value;
+    const deadline = document.getElementById('goal-deadline').value;
+
+    if (!title || !targetValue) {
+      this.showNotification(this.t('diary.goals.requiredFields'), 'error');
+      return;
+    }
+
+    // Actualizar objetivo existente
+    goal.title = title;
+    goal.description = description;
+    goal.targetValue = targetValue;
+    goal.category = category;
+    goal.deadline = deadline ? new Date(deadline).toISOString() : null;
+
+    // Si el progreso actual supera el nuevo objetivo, ajustarlo
+    if (goal.currentValue > targetValue) {
+      goal.currentValue = targetValue;
+    }
+
+    // Verificar si está completado
+    if (goal.currentValue >= targetValue && !goal.completed) {
+      goal.completed = true;
+      goal.completedAt = new Date().toISOString();
+    } else if (goal.currentValue < targetValue && goal.completed) {
+      goal.completed = false;
+      goal.completedAt = null;
+    }
+
+    this.store.save('goals');
+    this.closeGoalModal();
+    this.showNotification(this.t('diary.goals.updated'), 'success');
+    this.announceToScreenReader(`Objetivo actualizado: ${title}`);
+  },
+
+  updateGoalsDisplay() {
+    const goalsContainer = document.getElementById('goals-list');
+    if (!goalsContainer) return;
+
+    goalsContainer.innerHTML = '';
+
+    if (this.goals.length === 0) {
+      goalsContainer.innerHTML = `
+        <div class="no-goals-message">
+          <i class="fas fa-bullseye"></i>
+          <h3>No tienes objetivos aún</h3>
+          <p>Crea tu primer objetivo para comenzar a mejorar tu bienestar</p>
+        </div>
+      `;
+      return;
+    }
+
+    this.goals.forEach(goal => {
+      const goalElement = this.createGoalElement(goal);
+      goalsContainer.appendChild(goalElement);
+    });
+  },
+
+  createGoalElement(goal) {
+    const goalDiv = document.createElement('div');
+    goalDiv.className = `goal-card ${goal.completed ? 'completed' : ''}`;
+    goalDiv.setAttribute('role', 'article');
+    goalDiv.setAttribute('aria-labelledby', `goal-title-${goal.id}`);
+
+    const progress = Math.min((goal.currentValue / goal.targetValue) * 100, 100);
+    const daysLeft = goal.deadline ? this.getDaysLeft(goal.deadline) : null;
+
+    goalDiv.innerHTML = `
+      <div class="goal-header">
+        <h3 id="goal-title-${goal.id}" class="goal-title">${goal.title}</h3>
+        <div class="goal-actions">
+          <button class="btn-goal-action" onclick="diaryWellness.editGoal(${goal.id})" aria-label="Editar objetivo">
+            <i class="fas fa-edit"></i>
+          </button>
+          <button class="btn-goal-action" onclick="diaryWellness.deleteGoal(${goal.id})" aria-label="Eliminar objetivo">
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      </div>
+      
+      <div class="goal-content">
+        <p class="goal-description">${goal.description}</p>
+        
+        <div class="goal-progress">
+          <div class="progress-info">
+            <span class="progress-text">${goal.currentValue}/${goal.targetValue}</span>
+            <span class="progress-percentage">${Math.round(progress)}%</span>
+          </div>
+          <div class="progress-bar">
+            <div class="progress-fill" style="width: ${progress}%"></div>
+          </div>
+        </div>
+
+        <div class="goal-meta">
+          <span class="goal-category">${this.getCategoryLabel(goal.category)}</span>
+          ${daysLeft !== null ? `<span class="goal-deadline">${daysLeft} días restantes</span>` : ''}
+        </div>
+      </div>
+
+      <div class="goal-controls">
+        <button class="btn-goal-update" onclick="diaryWellness.updateGoalProgress(${goal.id})">
+          <i class="fas fa-plus"></i>
+          Actualizar Progreso
+        </button>
+      </div>
+    `;
+
+    return goalDiv;
+  },
+
+  getCategoryLabel(category) {
+    const categories = {
+      'exercises': 'Ejercicios',
+      'reflections': 'Reflexiones',
+      'streak': 'Racha',
+      'wellness': 'Bienestar',
+      'custom': 'Personalizado'
+    };
+    return categories[category] || category;
+  },
+
+  updateGoalProgress(goalId) {
+    const goal = this.goals.find(g => g.id === goalId);
+    if (!goal) return;
+
+    const increment = prompt(`¿Cuánto quieres añadir al progreso de "${goal.title}"?`, '1');
+    if (increment === null) return;
+
+    const value = parseInt(increment);
+    if (isNaN(value) || value <= 0) {
+      this.showNotification(this.t('diary.goals.invalidNumber'), 'error');
+      return;
+    }
+
+    goal.currentValue = Math.min(goal.currentValue + value, goal.targetValue);
+    
+    if (goal.currentValue >= goal.targetValue && !goal.completed) {
+      goal.completed = true;
+      goal.completedAt = new Date().toISOString();
+      this.showNotification(this.t('diary.goals.completed', { title: goal.title }), 'success');
+      this.announceToScreenReader(`Objetivo completado: ${goal.title}`);
+    }
+
+    this.store.save('goals');
+  },
+
+  editGoal(goalId) {
+    const goal = this.goals.find(g => g.id === goalId);
+    if (!goal) return;
+
+    // Llenar formulario con datos existentes
+    document.getElementById('goal-title').value = goal.title;
+    document.getElementById('goal-description').value = goal.description;
+    document.getElementById('goal-target').value = goal.targetValue;
+    document.getElementById('goal-category').value = goal.category;
+    document.getElementById('goal-deadline').value = goal.deadline ? goal.deadline.split('T')[0] : '';
+
+    this.showCreateGoalModal();
+    
+    // Cambiar comportamiento del formulario para edición
+    const form = document.getElementById('goal-form');
+    form.dataset.editing = goalId;
+  },
+
+  deleteGoal(goalId) {
+    if (confirm('¿Estás seguro de que quieres eliminar este objetivo?')) {
+      this.goals = this.goals.filter(g => g.id !== goalId);
+      this.store.save('goals');
+      this.showNotification(this.t('diary.goals.deleted'), 'info');
+    }
+  },
+
+  updateGoalsOverview() {
+    // Actualizar progreso general de objetivos
+    const totalGoals = this.goals.length;
+    const completedGoals = this.goals.filter(g => g.completed).length;
+    const progressPercentage = totalGoals > 0 ? Math.round((completedGoals / totalGoals) * 100) : 0;
+
+    const progressElement = document.getElementById('goals-progress');
+    if (progressElement) {
+      progressElement.textContent = `${completedGoals}/${totalGoals} objetivos completados (${progressPercentage}%)`;
+    }
+  }
+};
+
+export default {
+  name: 'goals',
+  methods,
+
+  init(diary) {
+    diary.initializeGoals();
+
+    // La lista y el resumen se redibujan con cada cambio de los objetivos
+    diary.store.subscribe('goals', () => {
+      diary.updateGoalsDisplay();
+      diary.updateGoalsOverview();
+    });
+  }
+};
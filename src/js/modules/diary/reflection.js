@@ -0,0 +1,185 @@
+/**
+ * Sensus Diary Reflection
+ * Reflexión del día: estado de ánimo, texto, guardado de la entrada y edición de entradas.
+ * Se carga bajo demanda: sus métodos se instalan en DiaryWellness (this es el diario).
+ */
+
+const methods = {
+  // === REFLEXIÓN ===
+  selectMood(mood) {
+    // Remover selección anterior (compatible con ambas versiones)
+    document.querySelectorAll('.mood-btn, .mood-btn-enhanced').forEach(btn => {
+      btn.classList.remove('selected');
+    });
+
+    // Seleccionar nuevo estado
+    const selectedBtn = document.querySelector(`[data-mood="${mood}"]`);
+    if (selectedBtn) {
+      selectedBtn.classList.add('selected');
+    }
+    this.currentMood = mood;
+
+    this.toggleSaveButton();
+  },
+
+  updateCharacterCount() {
+    const textarea = document.getElementById('reflection-text');
+    const count = document.getElementById('char-count');
+    count.textContent = textarea.value.length;
+  },
+
+  toggleSaveButton() {
+    const textarea = document.getElementById('reflection-text');
+    const saveBtn = document.getElementById('save-reflection');
+    
+    const hasText = textarea.value.trim().length > 0;
+    const hasMood = this.currentMood !== null;
+    
+    saveBtn.disabled = !(hasText && hasMood);
+  },
+
+  clearReflection() {
+    if (confirm('¿Estás seguro de que quieres limpiar la reflexión?')) {
+      document.getElementById('reflection-text').value = '';
+      document.querySelectorAll('.mood-btn, .mood-btn-enhanced').forEach(btn => {
+        btn.classList.remove('selected');
+      });
+      this.currentMood = null;
+      this.store.save('tags', []);
+      this.updateCharacterCount();
+      this.toggleSaveButton();
+    }
+  },
+
+  async saveReflection() {
+    const textarea = document.getElementById('reflection-text');
+    const content = textarea.value.trim();
+    
+    if (!content || !this.currentMood) {
+      alert('Por favor selecciona un estado de ánimo y escribe tu reflexión.');
+      return;
+    }
+
+    // Con el cifrado activo la entrada local también se guarda cifrada: hace falta la clave
+    const crypto = window.diaryCrypto;
+    if (crypto && !(await crypto.requireUnlock())) {
+      this.showNotification(this.t('diary.reflection.locked'), 'info');
+      return;
+    }
+
+    const entry = {
+      id: Date.now(),
+      date: new Date().toISOString(),
+      mood: this.currentMood,
+      content: content,
+      exercise: this.currentExercise || 'none',
+      wordCount: content.split(' ').length,
+      tags: this.tags.map(tag => tag.name)
+    };
+
+    // Guardar en local y encolar para Firebase (se sincroniza aunque no haya conexión)
+    await this.saveToLocalStorage(entry);
+    try {
+      await this.queueSync('diary_entry', {
+        mood: this.currentMood,
+        content: content,
+        exercise: this.currentExercise || 'none',
+        tags: entry.tags,
+        isPrivate: false
+      });
+    } catch (error) {
+      console.error('❌ Error encolando reflexión:', error);
+    }
+
+    this.updateStreak();
+    this.loadEntriesList();
+    this.updateQuickActionsState();
+    this.clearReflection();
+    
+    // Mostrar mensaje de éxito
+    this.showNotification(this.t('diary.reflection.saved'), 'success');
+
+    // Escalada de seguridad si el texto indica riesgo de autolesión (funciona sin conexión)
+    const crisis = window.crisisSupport ? window.crisisSupport.assessText(content) : null;
+    if (crisis && crisis.isCrisis) {
+      await window.crisisSupport.show({
+        source: 'diary',
+        trigger: 'diary_text',
+        riskLevel: crisis.riskLevel,
+        indicators: crisis.indicators,
+        referenceId: entry.id
+      });
+    }
+  },
+
+  async saveToLocalStorage(entry) {
+    const crypto = window.diaryCrypto;
+    this.entries.unshift(crypto && crypto.isEnabled() ? await crypto.sealEntry(entry) : entry);
+    this.store.save('entries');
+  },
+
+  async editEntry(entryId) {
+    // Las entradas del listado pueden venir del servidor y no estar entre las locales
+    let entry = this.entries.find(e => e.id === entryId) || this.entryFeed?.find(entryId);
+    if (entry && entry.locked) {
+      // Entrada cifrada sin descifrar: hace falta la clave para ver el texto
+      const crypto = window.diaryCrypto;
+      if (crypto && await crypto.requireUnlock()) {
+        entry = await crypto.decryptEntry(entry);
+      }
+      if (entry.locked) {
+        this.showNotification(this.t('diary.entries.locked'), 'info');
+        return;
+      }
+    }
+    if (entry) {
+      document.getElementById('reflection-text').value = entry.content;
+      this.selectMood(entry.mood);
+      this.updateCharacterCount();
+      this.toggleSaveButton();
+      
+      // Scroll a la sección de reflexión
+      document.querySelector('.reflection-section').scrollIntoView({
+        behavior: 'smooth'
+      });
+    }
+  }
+};
+
+export default {
+  name: 'reflection',
+  methods,
+
+  init(diary) {
+    // Estados de ánimo
+    document.querySelectorAll('.mood-btn-enhanced').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        diary.selectMood(e.target.closest('.mood-btn-enhanced').dataset.mood);
+      });
+    });
+
+    // Área de escritura
+    const textarea = document.getElementById('reflection-text');
+    if (textarea) {
+      textarea.addEventListener('input', () => {
+        diary.updateCharacterCount();
+        diary.toggleSaveButton();
+      });
+    }
+
+    // Botones de escritura
+    const clearBtn = document.getElementById('clear-reflection');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => {
+        diary.clearReflection();
+      });
+    }
+
+    const saveBtn = document.getElementById('save-reflection');
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => {
+        diary.saveReflection();
+      });
+    }
+  }
+};
@@ -0,0 +1,682 @@
+/**
+ * Sensus Diary Reminders
+ * Recordatorios configurables y recordatorios inteligentes según los hábitos del usuario.
+ * Con sesión se guardan en el servidor, que los envía por push aunque la página esté
+ * cerrada; sin sesión o sin permiso de notificaciones se avisan en la página abierta.
+ * Se carga bajo demanda: sus métodos se instalan en DiaryWellness (this es el diario).
+ */
+
+import reminderPush from '../reminder-push.js';
+import { nextReminderRun } from '@shared/reminder.schedule';
+
+// Configuración por defecto: interruptores de la sección y formulario del modal.
+// La reflexión nocturna es el recordatorio diario del perfil (hora = reminderTime)
+const DEFAULT_REMINDER_SETTINGS = {
+  morning: true,
+  evening: true,
+  weekly: false,
+  time: '20:00',
+  frequency: 'daily',
+  enabled: true,
+  quietHours: null
+};
+
+const DEFAULT_QUIET_HOURS = { start: '22:00', end: '07:00' };
+
+// Días de la semana de cada frecuencia (0 = domingo; vacío = todos)
+const FREQUENCY_DAYS = {
+  daily: [],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+};
+
+// Interruptores fijos de la sección de recordatorios
+const PRESET_REMINDERS = [
+  { id: 'morning', setting: 'morning', time: '08:00', days: [] },
+  { id: 'weekly', setting: 'weekly', time: '18:00', days: [0] }
+];
+
+const methods = {
+  // === RECORDATORIOS ===
+  initializeReminders() {
+    this.renderReminderToggles();
+    this.updateReminderCount();
+  },
+
+  renderReminderToggles() {
+    const settings = this.getReminderSettings();
+
+    ['morning', 'evening', 'weekly'].forEach(moment => {
+      const toggle = document.getElementById(`${moment}-reminder`);
+      if (toggle) {
+        toggle.checked = settings[moment];
+      }
+    });
+  },
+
+  getReminderSettings() {
+    return { ...DEFAULT_REMINDER_SETTINGS, ...this.reminderSettings };
+  },
+
+  saveReminderSettings(settings) {
+    this.store.save('reminderSettings', settings);
+  },
+
+  updateReminderSettings(reminderId, enabled) {
+    const settings = this.getReminderSettings();
+    
+    switch (reminderId) {
+      case 'morning-reminder':
+        settings.morning = enabled;
+        break;
+      case 'evening-reminder':
+        settings.evening = enabled;
+        break;
+      case 'weekly-reminder':
+        settings.weekly = enabled;
+        break;
+    }
+    
+    this.saveReminderSettings(settings);
+    this.updateReminderCount();
+    this.scheduleSmartReminders({ askPermission: enabled });
+    this.showNotification(
+      this.t(enabled ? 'diary.reminders.enabled' : 'diary.reminders.disabled'),
+      'success'
+    );
+  },
+
+  updateReminderCount() {
+    const settings = this.getReminderSettings();
+    const count = [settings.morning, settings.evening, settings.weekly].filter(Boolean).length;
+    
+    const countElement = document.getElementById('active-reminders-count');
+    if (countElement) {
+      countElement.textContent = this.t('diary.reminders.count', { count });
+    }
+  },
+
+  // === RECORDATORIOS INTELIGENTES ===
+  initializeSmartReminders() {
+    this.setupReminderEventListeners();
+    this.analyzeUserPatterns();
+    this.scheduleSmartReminders();
+  },
+
+  setupReminderEventListeners() {
+    // Botón para configurar recordatorios
+    const setupRemindersBtn = document.getElementById('setup-reminders');
+    if (setupRemindersBtn) {
+      setupRemindersBtn.addEventListener('click', () => {
+        this.showReminderSetupModal();
+      });
+    }
+
+    // Botón para cerrar modal de recordatorios
+    const closeReminderModal = document.getElementById('close-reminder-modal');
+    if (closeReminderModal) {
+      closeReminderModal.addEventListener('click', () => {
+        this.closeReminderModal();
+      });
+    }
+
+    // Formulario de configuración de recordatorios
+    const reminderForm = document.getElementById('reminder-form');
+    if (reminderForm) {
+      reminderForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.submitReminderSettings();
+      });
+    }
+
+    // Botón para desactivar recordatorios
+    const disableRemindersBtn = document.getElementById('disable-reminders');
+    if (disableRemindersBtn) {
+      disableRemindersBtn.addEventListener('click', () => {
+        this.disableAllReminders();
+      });
+    }
+  },
+
+  hasSmartReminders() {
+    return !window.entitlements || window.entitlements.has('smart_reminders');
+  },
+
+  analyzeUserPatterns() {
+    if (this.entries.length < 7) return; // Necesitamos al menos una semana de datos
+    if (!this.hasSmartReminders()) return;
+
+    const patterns = {
+      mostActiveDays: this.getMostActiveDays(),
+      preferredTimes: this.getPreferredTimes(),
+      moodPatterns: this.getMoodPatterns(),
+      exercisePatterns: this.getExercisePatterns(),
+      streakPatterns: this.getStreakPatterns()
+    };
+
+    this.userPatterns = patterns;
+    this.generateSmartReminders(patterns);
+  },
+
+  getMostActiveDays() {
+    const dayCounts = {};
+    this.entries.forEach(entry => {
+      const day = new Date(entry.date).getDay();
+      dayCounts[day] = (dayCounts[day] || 0) + 1;
+    });
+
+    return Object.entries(dayCounts)
+      .sort(([,a], [,b]) => b - a)
+      .slice(0, 3)
+      .map(([day, count]) => ({ day: parseInt(day), count }));
+  },
+
+  getPreferredTimes() {
+    const timeCounts = {};
+    this.entries.forEach(entry => {
+      const hour = new Date(entry.date).getHours();
+      const timeSlot = this.getTimeSlot(hour);
+      timeCounts[timeSlot] = (timeCounts[timeSlot] || 0) + 1;
+    });
+
+    return Object.entries(timeCounts)
+      .sort(([,a], [,b]) => b - a)
+      .slice(0, 2)
+      .map(([slot, count]) => ({ slot, count }));
+  },
+
+  getTimeSlot(hour) {
+    if (hour >= 6 && hour < 12) return 'morning';
+    if (hour >= 12 && hour < 18) return 'afternoon';
+    if (hour >= 18 && hour < 22) return 'evening';
+    return 'night';
+  },
+
+  getMoodPatterns() {
+    const moodCounts = {};
+    this.entries.forEach(entry => {
+      moodCounts[entry.mood] = (moodCounts[entry.mood] || 0) + 1;
+    });
+
+    const total = this.entries.length;
+    return Object.entries(moodCounts)
+      .map(([mood, count]) => ({ mood, count, percentage: (count / total) * 100 }))
+      .sort((a, b) => b.count - a.count);
+  },
+
+  getExercisePatterns() {
+    const exerciseCounts = {};
+    this.entries.forEach(entry => {
+      if (entry.exercise && entry.exercise !== 'none') {
+        exerciseCounts[entry.exercise] = (exerciseCounts[entry.exercise] || 0) + 1;
+      }
+    });
+
+    return Object.entries(exerciseCounts)
+      .sort(([,a], [,b]) => b - a)
+      .map(([exercise, count]) => ({ exercise, count }));
+  },
+
+  getStreakPatterns() {
+    const streaks = [];
+    let currentStreak = 0;
+    let lastDate = null;
+
+    this.entries
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .forEach(entry => {
+        const entryDate = new Date(entry.date).toDateString();
+        if (lastDate && this.isConsecutiveDay(lastDate, entryDate)) {
+          currentStreak++;
+        } else {
+          if (currentStreak > 0) {
+            streaks.push(currentStreak);
+          }
+          currentStreak = 1;
+        }
+        lastDate = entryDate;
+      });
+
+    if (currentStreak > 0) {
+      streaks.push(currentStreak);
+    }
+
+    return {
+      average: streaks.length > 0 ? streaks.reduce((a, b) => a + b, 0) / streaks.length : 0,
+      longest: Math.max(...streaks, 0),
+      current: currentStreak
+    };
+  },
+
+  generateSmartReminders(patterns) {
+    const smartReminders = [];
+
+    // Recordatorio basado en días más activos
+    if (patterns.mostActiveDays.length > 0) {
+      const mostActiveDay = patterns.mostActiveDays[0];
+      
+      smartReminders.push({
+        id: 'active-day-reminder',
+        type: 'pattern_based',
+        textKey: 'activeDay',
+        trigger: 'day_of_week',
+        dayOfWeek: mostActiveDay.day,
+        time: '09:00',
+        enabled: true,
+        priority: 'medium'
+      });
+    }
+
+    // Recordatorio basado en horarios preferidos
+    if (patterns.preferredTimes.length > 0) {
+      const preferredTime = patterns.preferredTimes[0];
+      const timeMap = {
+        'morning': '08:00',
+        'afternoon': '14:00',
+        'evening': '19:00',
+        'night': '21:00'
+      };
+
+      smartReminders.push({
+        id: 'preferred-time-reminder',
+        type: 'pattern_based',
+        textKey: 'preferredTime',
+        trigger: 'daily',
+        time: timeMap[preferredTime.slot],
+        enabled: true,
+        priority: 'high'
+      });
+    }
+
+    // Recordatorio basado en patrones de estado de ánimo
+    if (patterns.moodPatterns.length > 0) {
+      const dominantMood = patterns.moodPatterns[0];
+      if (dominantMood.percentage > 40) {
+        smartReminders.push({
+          id: 'mood-pattern-reminder',
+          type: 'pattern_based',
+          textKey: 'moodPattern',
+          mood: dominantMood.mood,
+          trigger: 'daily',
+          time: '18:00',
+          enabled: true,
+          priority: 'medium'
+        });
+      }
+    }
+
+    // Recordatorio basado en ejercicios preferidos
+    if (patterns.exercisePatterns.length > 0) {
+      const favoriteExercise = patterns.exercisePatterns[0];
+      smartReminders.push({
+        id: 'exercise-pattern-reminder',
+        type: 'pattern_based',
+        textKey: 'favoriteExercise',
+        exercise: favoriteExercise.exercise,
+        trigger: 'daily',
+        time: '20:00',
+        enabled: true,
+        priority: 'low'
+      });
+    }
+
+    // Recordatorio basado en rachas
+    if (patterns.streakPatterns.current > 0) {
+      smartReminders.push({
+        id: 'streak-reminder',
+        type: 'pattern_based',
+        textKey: 'streak',
+        streak: patterns.streakPatterns.current,
+        trigger: 'daily',
+        time: '21:30',
+        enabled: true,
+        priority: 'high'
+      });
+    }
+
+    this.smartReminders = smartReminders;
+    this.store.save('smartReminders');
+  },
+
+  getExerciseLabel(exercise) {
+    const key = `diary.exercises.names.${exercise}`;
+    return window.i18n.has(key) ? this.t(key) : exercise;
+  },
+
+  // Los recordatorios inteligentes se traducen al mostrarlos; los creados por el usuario guardan su texto
+  getReminderText(reminder) {
+    if (!reminder.textKey) {
+      return { title: reminder.title, message: reminder.message };
+    }
+
+    const params = {
+      // 7 de enero de 2024 fue domingo (getDay() === 0)
+      ...(reminder.dayOfWeek !== undefined && {
+        day: window.i18n.formatDate(new Date(2024, 0, 7 + reminder.dayOfWeek), { weekday: 'long' })
+      }),
+      ...(reminder.mood && { mood: this.getMoodLabel(reminder.mood) }),
+      ...(reminder.exercise && { exercise: this.getExerciseLabel(reminder.exercise) }),
+      ...(reminder.streak && { count: reminder.streak })
+    };
+
+    return {
+      title: this.t(`diary.reminders.smart.${reminder.textKey}.title`, params),
+      message: this.t(`diary.reminders.smart.${reminder.textKey}.message`, params)
+    };
+  },
+
+  // Todos los recordatorios del usuario en el mismo formato (hora local, días y texto)
+  getActiveReminders() {
+    const settings = this.getReminderSettings();
+
+    const daily = {
+      id: 'daily',
+      kind: 'daily',
+      time: settings.time,
+      days: FREQUENCY_DAYS[settings.frequency] || [],
+      enabled: settings.evening,
+      title: this.t('diary.reminders.presets.evening.title'),
+      message: this.t('diary.reminders.presets.evening.message'),
+      priority: 'high'
+    };
+
+    const presets = PRESET_REMINDERS.map(preset => ({
+      id: preset.id,
+      kind: 'custom',
+      time: preset.time,
+      days: preset.days,
+      enabled: settings[preset.setting],
+      title: this.t(`diary.reminders.presets.${preset.id}.title`),
+      message: this.t(`diary.reminders.presets.${preset.id}.message`),
+      priority: 'medium'
+    }));
+
+    // Recordatorios inteligentes (planes de pago)
+    const smart = this.hasSmartReminders() && settings.enabled
+      ? this.smartReminders.map(reminder => ({
+        ...reminder,
+        kind: 'smart',
+        days: reminder.trigger === 'day_of_week' ? [reminder.dayOfWeek] : []
+      }))
+      : [];
+
+    const custom = this.reminders.map(reminder => ({ days: [], ...reminder, kind: 'custom' }));
+
+    return [daily, ...presets, ...smart, ...custom];
+  },
+
+  scheduleSmartReminders({ askPermission = false } = {}) {
+    // Limpiar recordatorios existentes
+    this.clearExistingReminders();
+
+    const run = ++this.reminderScheduleRun;
+    const reminders = this.getActiveReminders();
+
+    return this.syncRemindersWithServer(reminders, { askPermission }).then(pushEnabled => {
+      // Otra programación más reciente ya se encarga
+      if (run !== this.reminderScheduleRun) return pushEnabled;
+
+      // Con push el servidor avisa aunque la página esté cerrada: no se duplican en la página
+      if (!pushEnabled) {
+        reminders
+          .filter(reminder => reminder.enabled)
+          .forEach(reminder => this.scheduleReminder(reminder));
+      }
+      return pushEnabled;
+    });
+  },
+
+  /**
+   * Guardar los recordatorios en el servidor y suscribir el navegador a las notificaciones.
+   * true si este navegador recibirá los avisos por push
+   */
+  async syncRemindersWithServer(reminders, { askPermission = false } = {}) {
+    if (!reminderPush.isSignedIn()) return false;
+
+    const settings = this.getReminderSettings();
+    const daily = reminders.find(reminder => reminder.kind === 'daily');
+
+    try {
+      await reminderPush.syncPreferences({ reminderTime: settings.time, quietHours: settings.quietHours });
+      await reminderPush.syncReminders(
+        reminders
+          .filter(reminder => reminder.kind !== 'daily')
+          .map(reminder => {
+            const { title, message } = this.getReminderText(reminder);
+            return {
+              id: reminder.id,
+              kind: reminder.kind,
+              time: reminder.time,
+              days: reminder.days,
+              enabled: reminder.enabled,
+              title,
+              body: message || ''
+            };
+          }),
+        { enabled: daily.enabled, days: daily.days }
+      );
+
+      return await reminderPush.ensureSubscription({ askPermission });
+    } catch (error) {
+      console.warn('⚠️ No se pudieron sincronizar los recordatorios; se avisará en la página:', error);
+      return false;
+    }
+  },
+
+  // Aviso en la página abierta (sin push): misma recurrencia que el servidor, en la zona horaria del navegador
+  scheduleReminder(reminder) {
+    const now = new Date();
+    const nextTrigger = nextReminderRun(
+      {
+        time: reminder.time,
+        days: reminder.days,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      },
+      this.getReminderSettings().quietHours,
+      now
+    );
+
+    const timeUntilTrigger = nextTrigger.getTime() - now.getTime();
+    
+    this.reminderTimeouts.push(setTimeout(() => {
+      this.showReminder(reminder);
+      // Programar el siguiente recordatorio
+      this.scheduleReminder(reminder);
+    }, timeUntilTrigger));
+  },
+
+  showReminder(reminder) {
+    // Verificar si el usuario lo descartó o ya escribió hoy
+    const today = new Date().toDateString();
+    if (this.dismissedReminders[reminder.id] === today) return;
+
+    const hasEntryToday = this.entries.some(entry => 
+      new Date(entry.date).toDateString() === today
+    );
+
+    if (hasEntryToday && reminder.priority !== 'high') {
+      return; // No mostrar recordatorios de baja prioridad si ya escribió
+    }
+
+    // Crear notificación de recordatorio
+    const { title, message } = this.getReminderText(reminder);
+    const reminderElement = document.createElement('div');
+    reminderElement.className = 'smart-reminder';
+    reminderElement.innerHTML = `
+      <div class="reminder-content">
+        <div class="reminder-header">
+          <i class="fas fa-bell"></i>
+          <h4>${title}</h4>
+          <button class="reminder-close" onclick="this.parentElement.parentElement.remove()">&times;</button>
+        </div>
+        <p class="reminder-message">${message}</p>
+        <div class="reminder-actions">
+          <button class="btn-reminder-action" onclick="diaryWellness.handleReminderAction('${reminder.id}', 'accept')">
+            <i class="fas fa-check"></i>
+            ${this.t('diary.reminders.writeNow')}
+          </button>
+          <button class="btn-reminder-action secondary" onclick="diaryWellness.handleReminderAction('${reminder.id}', 'snooze')">
+            <i class="fas fa-clock"></i>
+            ${this.t('diary.reminders.snooze')}
+          </button>
+          <button class="btn-reminder-action secondary" onclick="diaryWellness.handleReminderAction('${reminder.id}', 'dismiss')">
+            <i class="fas fa-times"></i>
+            ${this.t('diary.reminders.dismiss')}
+          </button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(reminderElement);
+
+    // Auto-remover después de 30 segundos si no hay interacción
+    setTimeout(() => {
+      if (reminderElement.parentNode) {
+        reminderElement.remove();
+      }
+    }, 30000);
+  },
+
+  handleReminderAction(reminderId, action) {
+    const reminder = this.getActiveReminders().find(r => r.id === reminderId);
+
+    if (!reminder) return;
+
+    switch (action) {
+      case 'accept':
+        // Scroll a la sección de reflexión
+        document.getElementById('reflection-section')?.scrollIntoView({ behavior: 'smooth' });
+        // Enfocar el textarea
+        setTimeout(() => {
+          document.getElementById('reflection-text')?.focus();
+        }, 500);
+        break;
+      case 'snooze':
+        // Programar recordatorio para 1 hora después
+        setTimeout(() => {
+          this.showReminder(reminder);
+        }, 60 * 60 * 1000);
+        break;
+      case 'dismiss':
+        // Desactivar recordatorio por hoy
+        this.dismissReminderForToday(reminderId);
+        break;
+    }
+
+    // Remover el elemento de recordatorio
+    document.querySelectorAll('.smart-reminder').forEach(el => el.remove());
+  },
+
+  dismissReminderForToday(reminderId) {
+    this.dismissedReminders[reminderId] = new Date().toDateString();
+    this.store.save('dismissedReminders');
+  },
+
+  clearExistingReminders() {
+    // Limpiar timeouts existentes
+    if (this.reminderTimeouts) {
+      this.reminderTimeouts.forEach(timeout => clearTimeout(timeout));
+    }
+    this.reminderTimeouts = [];
+  },
+
+  showReminderSetupModal() {
+    const modal = document.getElementById('reminder-modal');
+    if (modal) {
+      modal.classList.add('active');
+      this.fillReminderForm();
+    }
+  },
+
+  closeReminderModal() {
+    const modal = document.getElementById('reminder-modal');
+    if (modal) {
+      modal.classList.remove('active');
+    }
+  },
+
+  fillReminderForm() {
+    // Cargar configuración actual de recordatorios
+    const settings = this.getReminderSettings();
+    const quietHours = settings.quietHours || DEFAULT_QUIET_HOURS;
+    document.getElementById('reminder-time').value = settings.time;
+    document.getElementById('reminder-frequency').value = settings.frequency;
+    document.getElementById('reminder-enabled').checked = settings.enabled;
+    document.getElementById('reminder-quiet-enabled').checked = Boolean(settings.quietHours);
+    document.getElementById('reminder-quiet-start').value = quietHours.start;
+    document.getElementById('reminder-quiet-end').value = quietHours.end;
+  },
+
+  async submitReminderSettings() {
+    const quietEnabled = document.getElementById('reminder-quiet-enabled').checked;
+    const settings = {
+      ...this.getReminderSettings(),
+      time: document.getElementById('reminder-time').value,
+      frequency: document.getElementById('reminder-frequency').value,
+      enabled: document.getElementById('reminder-enabled').checked,
+      quietHours: quietEnabled
+        ? {
+          start: document.getElementById('reminder-quiet-start').value,
+          end: document.getElementById('reminder-quiet-end').value
+        }
+        : null,
+      lastUpdated: new Date().toISOString()
+    };
+
+    this.saveReminderSettings(settings);
+    this.closeReminderModal();
+
+    // Guardar es una acción del usuario: es el momento de pedir permiso para las notificaciones
+    const pushEnabled = await this.scheduleSmartReminders({ askPermission: true });
+    this.showNotification(this.t(pushEnabled ? 'diary.reminders.pushEnabled' : 'diary.reminders.saved'), 'success');
+  },
+
+  disableAllReminders() {
+    this.smartReminders.forEach(reminder => {
+      reminder.enabled = false;
+    });
+    this.reminders.forEach(reminder => {
+      reminder.enabled = false;
+    });
+    
+    this.store.save('smartReminders');
+    this.store.save('reminders');
+    this.saveReminderSettings({ ...this.getReminderSettings(), morning: false, evening: false, weekly: false });
+    this.renderReminderToggles();
+    this.updateReminderCount();
+    this.scheduleSmartReminders();
+    this.showNotification(this.t('diary.reminders.allDisabled'), 'info');
+  },
+
+  dismissReminder(button) {
+    const reminder = button.closest('.smart-reminder');
+    if (reminder) {
+      document.body.removeChild(reminder);
+    }
+  }
+};
+
+export default {
+  name: 'reminders',
+  methods,
+
+  init(diary) {
+    diary.reminderTimeouts = [];
+    diary.reminderScheduleRun = 0;
+    diary.initializeReminders();
+    diary.initializeSmartReminders();
+
+    // Al cambiar de plan se activan o se retiran los recordatorios inteligentes
+    window.addEventListener('entitlements:changed', () => {
+      diary.analyzeUserPatterns();
+      diary.scheduleSmartReminders();
+    });
+
+    // Interruptores de recordatorios
+    document.querySelectorAll('.reminder-checkbox input').forEach(checkbox => {
+      checkbox.addEventListener('change', (e) => {
+        diary.updateReminderSettings(e.target.id, e.target.checked);
+      });
+    });
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * Sensus Diary Search
+ * Búsqueda de texto completo en las entradas con resaltado de coincidencias.
+ * El índice (src/js/modules/diary-search.js) se construye en el navegador sobre las
+ * entradas descifradas y se rehace solo cuando cambian.
+ * Se carga bajo demanda: sus métodos se instalan en DiaryWellness (this es el diario).
+ */
+
+import DiarySearchIndex from '../diary-search.js';
+
+const methods = {
+  // Entradas que cumplen la consulta, de la más a la menos relevante
+  searchEntries(entries, query) {
+    this.searchIndex.sync(this.entries);
+
+    const ranking = new Map(this.searchIndex.search(query).map((result, index) => [result.id, index]));
+    return entries
+      .filter(entry => ranking.has(String(entry.id)))
+      .sort((a, b) => ranking.get(String(a.id)) - ranking.get(String(b.id)));
+  },
+
+  getEntrySearchQuery() {
+    return document.getElementById('search-entries')?.value.trim() || '';
+  },
+
+  // Contenido de la entrada como HTML escapado, con las coincidencias de la búsqueda resaltadas
+  renderEntryContent(entry) {
+    return this.searchIndex.highlight(entry.content, this.getEntrySearchQuery());
+  }
+};
+
+export default {
+  name: 'search',
+  methods,
+
+  init(diary) {
+    diary.searchIndex = new DiarySearchIndex();
+    diary.searchIndex.sync(diary.entries);
+
+    // Si ya había una búsqueda escrita, se repite con el índice completo
+    if (diary.getEntrySearchQuery()) {
+      diary.loadEntriesList();
+    }
+  }
+};
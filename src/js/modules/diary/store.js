@@ -0,0 +1,213 @@
+/**
+ * Sensus Diary Store
+ * Estado compartido del diario con una única capa de persistencia (localStorage).
+ * Las funcionalidades del diario (src/js/modules/diary) leen y escriben aquí y se
+ * suscriben a los cambios en lugar de llamarse entre sí.
+ */
+
+// Estado persistido: clave del almacén → clave de localStorage y valor por defecto.
+// Las claves con `field` comparten un mismo registro de localStorage.
+export const DIARY_STATE = {
+  entries: { storageKey: 'diaryWellness', field: 'entries', fallback: [] },
+  currentStreak: { storageKey: 'diaryWellness', field: 'currentStreak', fallback: 0 },
+  totalSessions: { storageKey: 'diaryWellness', field: 'totalSessions', fallback: 0 },
+  bestStreak: { storageKey: 'diaryWellness', field: 'bestStreak', fallback: 0 },
+  anxietyLevels: { storageKey: 'anxietyLevels', fallback: [] },
+  personalizedPlan: { storageKey: 'personalizedPlan', fallback: null },
+  evaluationData: { storageKey: 'evaluationData', fallback: null },
+  dailyActivities: { storageKey: 'dailyActivities', fallback: {} },
+  // Ejercicios rápidos hechos desde la página de ansiedad
+  exerciseHistory: { storageKey: 'exerciseHistory', fallback: [] },
+  unlockedAchievements: { storageKey: 'unlockedAchievements', fallback: [] },
+  tags: { storageKey: 'diaryTags', fallback: [] },
+  availableTags: { storageKey: 'availableTags', fallback: [] },
+  goals: { storageKey: 'diaryGoals', fallback: [] },
+  reminders: { storageKey: 'diaryReminders', fallback: [] },
+  reminderSettings: { storageKey: 'reminderSettings', fallback: null },
+  reminderPatterns: { storageKey: 'reminderPatterns', fallback: {} },
+  smartReminders: { storageKey: 'smartReminders', fallback: [] },
+  dismissedReminders: { storageKey: 'dismissedReminders', fallback: {} },
+  analytics: { storageKey: 'diaryAnalytics', fallback: null },
+  breathingPatterns: { storageKey: 'breathingPatterns', fallback: [] },
+  exercisePreferences: { storageKey: 'exercisePreferences', fallback: { audio: true, vibration: true } },
+  // Se guarda como texto plano (fecha ISO), no como JSON
+  lastAutoSave: { storageKey: 'lastAutoSave', fallback: null, raw: true }
+};
+
+class DiaryStore {
+  constructor(storage = window.localStorage, schema = DIARY_STATE) {
+    this.storage = storage;
+    this.schema = schema;
+    this.state = {};
+    this.listeners = new Map();
+    this.serializers = new Map();
+    this.pending = new Set();
+
+    Object.keys(schema).forEach(key => {
+      this.state[key] = this.read(key);
+    });
+  }
+
+  /**
+   * Valor actual de una clave
+   */
+  get(key) {
+    this.assertKey(key);
+    return this.state[key];
+  }
+
+  /**
+   * Cambiar una clave en memoria y avisar a los suscriptores (sin persistir)
+   */
+  set(key, value) {
+    this.assertKey(key);
+    this.state[key] = value;
+    this.notify(key);
+  }
+
+  /**
+   * Persistir una clave (opcionalmente con un valor nuevo) y avisar a los suscriptores.
+   * Sin valor guarda el actual, para después de mutarlo en sitio (push, splice...).
+   */
+  save(key, value) {
+    this.assertKey(key);
+    if (arguments.length > 1) {
+      this.state[key] = value;
+    }
+    this.write(key);
+    this.notify(key);
+  }
+
+  /**
+   * Persistir todo el estado (respaldo automático)
+   */
+  saveAll() {
+    const written = new Set();
+    Object.keys(this.schema).forEach(key => {
+      const { storageKey } = this.schema[key];
+      if (written.has(storageKey)) return;
+      written.add(storageKey);
+      this.write(key);
+    });
+  }
+
+  /**
+   * Transformar una clave al escribirla en localStorage sin tocar el estado en memoria
+   * (p. ej. quitar el texto descifrado de las entradas cifradas)
+   */
+  serializeWith(key, serializer) {
+    this.assertKey(key);
+    this.serializers.set(key, serializer);
+  }
+
+  /**
+   * Suscribirse a los cambios de una clave; devuelve la función para cancelar
+   */
+  subscribe(key, listener) {
+    this.assertKey(key);
+    if (!this.listeners.has(key)) {
+      this.listeners.set(key, new Set());
+    }
+    this.listeners.get(key).add(listener);
+    return () => this.listeners.get(key).delete(listener);
+  }
+
+  /**
+   * Exponer las claves como propiedades de `target` (this.entries, this.goals...)
+   * para que el código del diario lea y escriba el estado compartido
+   */
+  expose(target) {
+    Object.keys(this.schema).forEach(key => {
+      Object.defineProperty(target, key, {
+        configurable: true,
+        enumerable: true,
+        get: () => this.get(key),
+        set: (value) => this.set(key, value)
+      });
+    });
+    return target;
+  }
+
+  // Los avisos se agrupan por tarea: varias escrituras seguidas renderizan una vez
+  notify(key) {
+    if (!this.listeners.has(key)) return;
+
+    const shouldSchedule = this.pending.size === 0;
+    this.pending.add(key);
+    if (!shouldSchedule) return;
+
+    queueMicrotask(() => {
+      const keys = [...this.pending];
+      this.pending.clear();
+      keys.forEach(changedKey => {
+        this.listeners.get(changedKey).forEach(listener => {
+          try {
+            listener(this.state[changedKey], changedKey);
+          } catch (error) {
+            console.error(`❌ Error en un suscriptor de "${changedKey}":`, error);
+          }
+        });
+      });
+    });
+  }
+
+  read(key) {
+    const { storageKey, field, fallback, raw } = this.schema[key];
+    const defaultValue = () => (fallback === null || typeof fallback !== 'object' ? fallback : structuredClone(fallback));
+
+    try {
+      const saved = this.storage.getItem(storageKey);
+      if (saved === null) return defaultValue();
+      if (raw) return saved;
+
+      const parsed = JSON.parse(saved);
+      const value = field ? parsed?.[field] : parsed;
+      return value ?? defaultValue();
+    } catch (error) {
+      console.warn(`⚠️ Datos del diario ilegibles en "${storageKey}", se usan los valores por defecto:`, error);
+      return defaultValue();
+    }
+  }
+
+  write(key) {
+    const { storageKey, field, raw } = this.schema[key];
+
+    try {
+      if (raw) {
+        if (this.state[key] === null) {
+          this.storage.removeItem(storageKey);
+        } else {
+          this.storage.setItem(storageKey, String(this.serialize(key)));
+        }
+        return;
+      }
+
+      if (!field) {
+        this.storage.setItem(storageKey, JSON.stringify(this.serialize(key)));
+        return;
+      }
+
+      // Registro compartido: se escriben juntas todas las claves que lo forman
+      const record = {};
+      Object.entries(this.schema)
+        .filter(([, definition]) => definition.storageKey === storageKey)
+        .forEach(([name, definition]) => { record[definition.field] = this.serialize(name); });
+      this.storage.setItem(storageKey, JSON.stringify(record));
+    } catch (error) {
+      console.error(`❌ Error guardando "${storageKey}" del diario:`, error);
+    }
+  }
+
+  serialize(key) {
+    const serializer = this.serializers.get(key);
+    return serializer ? serializer(this.state[key]) : this.state[key];
+  }
+
+  assertKey(key) {
+    if (!(key in this.schema)) {
+      throw new Error(`Clave desconocida en el estado del diario: ${key}`);
+    }
+  }
+}
+
+export default DiaryStore;
@@ -0,0 +1,227 @@
+/**
+ * Sensus Diary Tags
+ * Etiquetas de la reflexión en curso, sugerencias y filtro de entradas por etiqueta.
+ * Se carga bajo demanda: sus métodos se instalan en DiaryWellness (this es el diario).
+ */
+
+const methods = {
+  // === SISTEMA DE ETIQUETAS ===
+  initializeTags() {
+    this.setupTagEventListeners();
+    this.updateTagSuggestions();
+  },
+
+  setupTagEventListeners() {
+    // Event listener para el input de etiquetas
+    const tagInput = document.getElementById('entry-tags');
+    if (tagInput) {
+      tagInput.addEventListener('input', (e) => {
+        this.handleTagInput(e);
+      });
+
+      tagInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+          e.preventDefault();
+          this.addTagFromInput();
+        }
+      });
+    }
+
+    // Event listener para sugerencias de etiquetas
+    const tagSuggestions = document.getElementById('tag-suggestions');
+    if (tagSuggestions) {
+      tagSuggestions.addEventListener('click', (e) => {
+        if (e.target.classList.contains('tag-suggestion')) {
+          this.addTag(e.target.dataset.tag);
+        }
+      });
+    }
+
+    // Event listener para etiquetas existentes
+    document.addEventListener('click', (e) => {
+      if (e.target.classList.contains('tag-remove')) {
+        this.removeTag(e.target.dataset.tag);
+      }
+    });
+  },
+
+  handleTagInput(e) {
+    const input = e.target;
+    const value = input.value.trim();
+    
+    if (value.length > 0) {
+      this.showTagSuggestions(value);
+    } else {
+      this.hideTagSuggestions();
+    }
+  },
+
+  showTagSuggestions(query) {
+    const suggestions = this.getTagSuggestions(query);
+    const container = document.getElementById('tag-suggestions');
+    
+    if (!container) return;
+
+    container.innerHTML = '';
+    
+    if (suggestions.length === 0) {
+      container.innerHTML = `
+        <div class="tag-suggestion" data-tag="${query}">
+          <i class="fas fa-plus"></i>
+          Crear "${query}"
+        </div>
+      `;
+    } else {
+      suggestions.forEach(tag => {
+        const suggestion = document.createElement('div');
+        suggestion.className = 'tag-suggestion';
+        suggestion.dataset.tag = tag.name;
+        suggestion.innerHTML = `
+          <i class="fas fa-tag"></i>
+          ${tag.name}
+          <span class="tag-count">${tag.count}</span>
+        `;
+        container.appendChild(suggestion);
+      });
+    }
+    
+    container.style.display = 'block';
+  },
+
+  hideTagSuggestions() {
+    const container = document.getElementById('tag-suggestions');
+    if (container) {
+      container.style.display = 'none';
+    }
+  },
+
+  getTagSuggestions(query) {
+    const queryLower = query.toLowerCase();
+    return this.availableTags
+      .filter(tag => tag.name.toLowerCase().includes(queryLower))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 5);
+  },
+
+  addTagFromInput() {
+    const input = document.getElementById('entry-tags');
+    if (!input) return;
+
+    const tagName = input.value.trim();
+    if (tagName && !this.hasTag(tagName)) {
+      this.addTag(tagName);
+      input.value = '';
+      this.hideTagSuggestions();
+    }
+  },
+
+  addTag(tagName) {
+    if (!tagName || this.hasTag(tagName)) return;
+
+    const tag = {
+      id: Date.now(),
+      name: tagName.toLowerCase(),
+      color: this.getTagColor(),
+      createdAt: new Date().toISOString()
+    };
+
+    this.tags.push(tag);
+    this.updateAvailableTags();
+    this.store.save('tags');
+    this.showNotification(this.t('diary.tags.added', { name: tagName }), 'success');
+  },
+
+  removeTag(tagName) {
+    this.updateAvailableTags();
+    this.store.save('tags', this.tags.filter(tag => tag.name !== tagName));
+    this.showNotification(this.t('diary.tags.removed', { name: tagName }), 'info');
+  },
+
+  hasTag(tagName) {
+    return this.tags.some(tag => tag.name === tagName.toLowerCase());
+  },
+
+  getTagColor() {
+    const colors = [
+      '#7c8ce0', '#4ade80', '#fbbf24', '#f87171', 
+      '#a78bfa', '#06b6d4', '#f97316', '#84cc16'
+    ];
+    return colors[this.tags.length % colors.length];
+  },
+
+  updateTagDisplay() {
+    const container = document.getElementById('selected-tags');
+    if (!container) return;
+
+    container.innerHTML = '';
+    
+    this.tags.forEach(tag => {
+      const tagElement = document.createElement('span');
+      tagElement.className = 'tag-item';
+      tagElement.style.backgroundColor = tag.color;
+      tagElement.innerHTML = `
+        ${tag.name}
+        <button class="tag-remove" data-tag="${tag.name}">
+          <i class="fas fa-times"></i>
+        </button>
+      `;
+      container.appendChild(tagElement);
+    });
+  },
+
+  updateAvailableTags() {
+    const tagCounts = {};
+    
+    // Contar etiquetas de entradas existentes
+    this.entries.forEach(entry => {
+      if (entry.tags) {
+        entry.tags.forEach(tag => {
+          tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+        });
+      }
+    });
+
+    // Actualizar lista de etiquetas disponibles
+    this.availableTags = Object.entries(tagCounts)
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count);
+  },
+
+  updateTagSuggestions() {
+    this.updateAvailableTags();
+  },
+
+  updateTagFilter() {
+    const tagFilter = document.getElementById('tag-filter');
+    if (!tagFilter) return;
+
+    // Limpiar opciones existentes excepto "Todas las etiquetas"
+    tagFilter.innerHTML = '<option value="all">Todas las etiquetas</option>';
+
+    // Añadir etiquetas disponibles
+    this.availableTags.forEach(tag => {
+      const option = document.createElement('option');
+      option.value = tag.name;
+      option.textContent = `${tag.name} (${tag.count})`;
+      tagFilter.appendChild(option);
+    });
+  }
+};
+
+export default {
+  name: 'tags',
+  methods,
+
+  init(diary) {
+    diary.initializeTags();
+    diary.updateTagDisplay();
+    diary.updateTagFilter();
+
+    // La vista sigue al estado compartido: etiquetas de la reflexión y etiquetas de las entradas
+    diary.store.subscribe('tags', () => diary.updateTagDisplay());
+    diary.store.subscribe('entries', () => {
+      diary.updateAvailableTags();
+      diary.updateTagFilter();
+    });
+  }
+};
@@ -0,0 +1,243 @@
+/**
+ * Sensus Entitlements Module
+ * Funciones incluidas en el plan del usuario (API /api/v1/subscriptions) con las mismas
+ * reglas que el backend (backend/src/shared/entitlements.ts), pago y cancelación del plan,
+ * y aviso de mejora de plan cuando se intenta usar una función que no incluye.
+ * El bloqueo en el navegador es solo de interfaz: la API protege las rutas premium.
+ */
+
+import { getEntitlements, hasFeature, requiredPlanFor } from '@shared/entitlements';
+
+class Entitlements {
+  constructor() {
+    this.baseUrl = '/api/v1/subscriptions';
+    this.storageKey = 'sensus-entitlements';
+    this.state = this.readCachedState();
+    this.dialog = null;
+
+    this.ready = this.init();
+  }
+
+  /**
+   * Inicializar módulo: plan guardado en este dispositivo y actualizado desde la API
+   */
+  async init() {
+    window.addEventListener('auth:login', (event) => {
+      const entitlements = event.detail?.user?.entitlements;
+      if (entitlements) this.setState(entitlements);
+      this.refresh();
+    });
+
+    window.addEventListener('auth:logout', () => this.setState(null));
+
+    await this.refresh();
+  }
+
+  // El plan puede venir en la respuesta del login (sensus-user) o de una consulta anterior
+  readCachedState() {
+    try {
+      const cached = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      if (cached) return cached;
+
+      const user = JSON.parse(localStorage.getItem('sensus-user') || 'null');
+      return user?.entitlements || null;
+    } catch (error) {
+      console.warn('⚠️ Plan guardado no válido:', error);
+      return null;
+    }
+  }
+
+  setState(state) {
+    this.state = state;
+
+    if (state) {
+      localStorage.setItem(this.storageKey, JSON.stringify(state));
+    } else {
+      localStorage.removeItem(this.storageKey);
+    }
+
+    window.dispatchEvent(new CustomEvent('entitlements:changed', { detail: this.current() }));
+  }
+
+  /**
+   * Plan y funciones de ahora mismo. Se recalcula con la fecha de fin guardada para que un
+   * plan caducado deje de dar acceso aunque no haya conexión.
+   */
+  current() {
+    const subscription = this.toSubscription();
+    return {
+      ...getEntitlements(subscription),
+      cancelAtPeriodEnd: Boolean(this.state?.cancelAtPeriodEnd)
+    };
+  }
+
+  get plan() {
+    return this.current().plan;
+  }
+
+  has(feature) {
+    return hasFeature(this.toSubscription(), feature);
+  }
+
+  /**
+   * true si el plan incluye la función; si no, muestra el aviso de mejora de plan
+   */
+  requireFeature(feature) {
+    if (this.has(feature)) return true;
+
+    this.showUpgradePrompt(feature);
+    return false;
+  }
+
+  toSubscription() {
+    if (!this.state) return null;
+
+    return {
+      plan: this.state.subscribedPlan || this.state.plan,
+      endDate: this.state.endDate,
+      status: this.state.status || undefined
+    };
+  }
+
+  // === API ===
+
+  async request(path, options = {}) {
+    const token = localStorage.getItem('sensus-token');
+    if (!token) {
+      throw new Error(window.i18n.t('entitlements.loginRequired'));
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+        ...(options.headers || {})
+      }
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+      const error = new Error(result.message || window.i18n.t('entitlements.requestError'));
+      error.status = response.status;
+      throw error;
+    }
+    return result.data;
+  }
+
+  async refresh() {
+    if (!localStorage.getItem('sensus-token')) return this.current();
+
+    try {
+      this.setState(await this.request(''));
+    } catch (error) {
+      // Sin conexión se sigue usando el último plan conocido
+      console.warn('⚠️ No se pudo actualizar el plan:', error);
+    }
+    return this.current();
+  }
+
+  /**
+   * Pagar un plan. Con el proveedor local el plan queda activo al momento; con uno
+   * externo hay que completar el pago en `checkout.url`.
+   */
+  async checkout(plan) {
+    const data = await this.request('/checkout', { method: 'POST', body: JSON.stringify({ plan }) });
+    if (data.entitlements) this.setState(data.entitlements);
+    return data;
+  }
+
+  // Cancelar la renovación: el plan sigue activo hasta el fin del periodo pagado
+  async cancel() {
+    this.setState(await this.request('/cancel', { method: 'POST' }));
+    return this.current();
+  }
+
+  // === INTERFAZ ===
+
+  showUpgradePrompt(feature) {
+    if (this.dialog) this.dialog.remove();
+    this.addStyles();
+
+    const t = (key, params) => window.i18n.t(key, params);
+    const plan = requiredPlanFor(feature);
+    const previousFocus = document.activeElement;
+
+    const dialog = document.createElement('div');
+    dialog.className = 'upgrade-prompt-overlay';
+    dialog.innerHTML = `
+      <div class="upgrade-prompt-dialog" role="dialog" aria-modal="true" aria-labelledby="upgrade-prompt-title">
+        <h2 id="upgrade-prompt-title">${t('entitlements.upgrade.title')}</h2>
+        <p>${t('entitlements.upgrade.message', {
+          feature: t(`entitlements.features.${feature}`),
+          plan: t(`plans.${plan}.name`)
+        })}</p>
+        <div class="upgrade-prompt-actions">
+          <button type="button" class="btn btn-secondary upgrade-prompt-close">${t('entitlements.upgrade.later')}</button>
+          <a class="btn btn-primary" href="/planes?plan=${plan}">${t('entitlements.upgrade.viewPlans')}</a>
+        </div>
+      </div>
+    `;
+
+    const close = () => {
+      dialog.remove();
+      this.dialog = null;
+      if (previousFocus && previousFocus.focus) previousFocus.focus();
+    };
+
+    dialog.querySelector('.upgrade-prompt-close').addEventListener('click', close);
+    dialog.addEventListener('click', (event) => {
+      if (event.target === dialog) close();
+    });
+    dialog.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') close();
+    });
+
+    document.body.appendChild(dialog);
+    this.dialog = dialog;
+    dialog.querySelector('.btn-primary').focus();
+  }
+
+  addStyles() {
+    if (document.getElementById('upgrade-prompt-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'upgrade-prompt-styles';
+    style.textContent = `
+      .upgrade-prompt-overlay {
+        position: fixed;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.6);
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        z-index: 9000;
+      }
+      .upgrade-prompt-dialog {
+        background: #ffffff;
+        color: #1f2937;
+        border-radius: 1rem;
+        padding: 2rem;
+        max-width: 440px;
+        width: 92%;
+      }
+      .upgrade-prompt-dialog h2 {
+        font-size: 1.25rem;
+        margin-bottom: 0.5rem;
+      }
+      .upgrade-prompt-dialog p {
+        line-height: 1.5;
+      }
+      .upgrade-prompt-actions {
+        display: flex;
+        justify-content: flex-end;
+        gap: 0.75rem;
+        margin-top: 1.5rem;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
+
+export default Entitlements;
@@ -0,0 +1,486 @@
+/**
+ * Sensus Exercise Player
+ * Reproduce ejercicios guiados descritos en JSON (fases, duraciones, repeticiones y textos)
+ * con avisos por tono (Web Audio) y vibración.
+ * El tiempo se calcula con el reloj real y los tonos se programan en el reloj de audio,
+ * así la pausa, la reanudación y los avisos siguen siendo correctos con la pestaña en segundo plano.
+ */
+
+import EXERCISE_SCRIPTS from './exercise-scripts.json';
+
+// Textos de los guiones en otros idiomas: mismas claves que exercise-scripts.json, solo los textos
+const SCRIPT_TRANSLATIONS = {
+  en: () => import('./exercise-scripts.en.json')
+};
+
+// Se rellenan en el idioma activo con ExercisePlayer.setLocale (en español hasta entonces)
+export const BREATHING_PATTERNS = { ...EXERCISE_SCRIPTS.breathingPatterns };
+export const EXERCISES = { ...EXERCISE_SCRIPTS.exercises };
+const BREATHING_PROMPTS = { ...EXERCISE_SCRIPTS.breathingPrompts };
+
+export const PHASE_TYPES = ['inhale', 'hold', 'exhale', 'tense', 'relax', 'focus'];
+
+// Límite de cada tramo de un patrón de respiración (segundos)
+export const MAX_BREATHING_STEP = 20;
+
+// Tono de cada tipo de fase: frecuencia inicial y final (Hz) y duración (s)
+const CUES = {
+  inhale: { from: 396, to: 528, length: 0.6 },
+  exhale: { from: 528, to: 396, length: 0.6 },
+  hold: { from: 440, to: 440, length: 0.25 },
+  tense: { from: 330, to: 330, length: 0.3 },
+  relax: { from: 528, to: 440, length: 0.8 },
+  focus: { from: 660, to: 660, length: 0.8 }
+};
+
+// Patrones de vibración (ms) por tipo de fase
+const VIBRATIONS = {
+  inhale: [80],
+  exhale: [80, 60, 80],
+  hold: [40],
+  tense: [150],
+  relax: [60, 60, 60],
+  focus: [100]
+};
+
+// Intervalo de refresco de la interfaz; el tiempo real no depende de él
+const TICK_MS = 250;
+
+class ExercisePlayer {
+  /**
+   * @param {object} script Ejercicio { title, phases: [{ type, duration, prompt }], repetitions }
+   * @param {object} options Callbacks onPhase, onTick y onComplete; audio y vibration (por defecto true)
+   */
+  constructor(script, { onPhase, onTick, onComplete, audio = true, vibration = true } = {}) {
+    ExercisePlayer.validate(script);
+
+    this.script = script;
+    this.onPhase = onPhase || (() => {});
+    this.onTick = onTick || (() => {});
+    this.onComplete = onComplete || (() => {});
+    this.audioEnabled = audio;
+    this.vibrationEnabled = vibration;
+
+    this.timeline = this.buildTimeline(script);
+    this.duration = this.timeline[this.timeline.length - 1].end;
+
+    // idle | running | paused | completed | stopped
+    this.state = 'idle';
+    this.startedAt = null;
+    this.accumulated = 0;
+    this.currentStep = -1;
+    this.interval = null;
+    this.audioContext = null;
+    this.scheduledCues = [];
+
+    this.handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible' && this.state === 'running') {
+        // Al volver a la pestaña se salta directamente a la fase actual
+        this.audioContext?.resume();
+        this.tick();
+      }
+    };
+  }
+
+  /**
+   * Comprobar que un guion de ejercicio es válido
+   */
+  static validate(script) {
+    if (!script || !Array.isArray(script.phases) || script.phases.length === 0) {
+      throw new Error('El ejercicio debe tener al menos una fase');
+    }
+
+    script.phases.forEach((phase, index) => {
+      if (!PHASE_TYPES.includes(phase.type)) {
+        throw new Error(`Tipo de fase desconocido en la fase ${index + 1}: ${phase.type}`);
+      }
+      if (!(typeof phase.duration === 'number' && phase.duration > 0)) {
+        throw new Error(`La fase ${index + 1} debe durar más de 0 segundos`);
+      }
+    });
+
+    if (script.repetitions !== undefined && !(Number.isInteger(script.repetitions) && script.repetitions > 0)) {
+      throw new Error('Las repeticiones deben ser un número entero mayor que 0');
+    }
+  }
+
+  /**
+   * Comprobar un patrón de respiración definido por el usuario
+   */
+  static validatePattern(pattern) {
+    const steps = ['inhale', 'topUp', 'hold', 'exhale', 'holdAfter'];
+    steps.forEach(step => {
+      const value = pattern[step] ?? 0;
+      if (typeof value !== 'number' || Number.isNaN(value) || value < 0 || value > MAX_BREATHING_STEP) {
+        throw new Error(window.i18n.t('exercises.errors.stepRange', { max: MAX_BREATHING_STEP }));
+      }
+    });
+
+    if (!(pattern.inhale > 0 && pattern.exhale > 0)) {
+      throw new Error(window.i18n.t('exercises.errors.inhaleExhale'));
+    }
+    if (!pattern.name || !String(pattern.name).trim()) {
+      throw new Error(window.i18n.t('exercises.errors.name'));
+    }
+  }
+
+  /**
+   * Cargar los textos de los guiones en otro idioma. Sin traducción se usan los de exercise-scripts.json.
+   */
+  static async setLocale(locale) {
+    const loader = SCRIPT_TRANSLATIONS[locale];
+    const texts = loader ? (await loader()).default : {};
+
+    Object.assign(BREATHING_PROMPTS, EXERCISE_SCRIPTS.breathingPrompts, texts.breathingPrompts);
+    Object.entries(EXERCISE_SCRIPTS.breathingPatterns).forEach(([id, pattern]) => {
+      BREATHING_PATTERNS[id] = { ...pattern, ...texts.breathingPatterns?.[id] };
+    });
+    Object.entries(EXERCISE_SCRIPTS.exercises).forEach(([id, exercise]) => {
+      const translation = texts.exercises?.[id] || {};
+      EXERCISES[id] = {
+        ...exercise,
+        ...translation,
+        ...(exercise.phases && {
+          phases: exercise.phases.map((phase, index) => ({ ...phase, ...translation.phases?.[index] }))
+        })
+      };
+    });
+  }
+
+  /**
+   * Guion de respiración a partir de un ejercicio base y un patrón.
+   * Las repeticiones se ajustan a la duración del ejercicio sin alterar el ritmo del patrón.
+   */
+  static breathingScript(exercise, pattern, duration = exercise.duration) {
+    ExercisePlayer.validatePattern(pattern);
+
+    const phases = [
+      { type: 'inhale', duration: pattern.inhale, prompt: BREATHING_PROMPTS.inhale },
+      { type: 'inhale', duration: pattern.topUp || 0, prompt: BREATHING_PROMPTS.topUp },
+      { type: 'hold', duration: pattern.hold || 0, prompt: BREATHING_PROMPTS.hold },
+      { type: 'exhale', duration: pattern.exhale, prompt: BREATHING_PROMPTS.exhale },
+      { type: 'hold', duration: pattern.holdAfter || 0, prompt: BREATHING_PROMPTS.holdAfter }
+    ].filter(phase => phase.duration > 0);
+
+    const cycle = phases.reduce((sum, phase) => sum + phase.duration, 0);
+
+    return {
+      ...exercise,
+      subtitle: pattern.name,
+      phases,
+      repetitions: Math.max(1, Math.round(duration / cycle))
+    };
+  }
+
+  /**
+   * Guion listo para reproducir a partir de un ejercicio de exercise-scripts.json.
+   * `pattern` (id de un patrón predefinido o el propio patrón) solo se usa en la respiración;
+   * `duration` adapta el ejercicio a otra duración en segundos.
+   */
+  static forExercise(id, { pattern, duration } = {}) {
+    const exercise = EXERCISES[id];
+    if (!exercise) {
+      throw new Error(`Ejercicio desconocido: ${id}`);
+    }
+
+    if (exercise.kind === 'breathing') {
+      const selected = pattern && typeof pattern === 'object' ? pattern : BREATHING_PATTERNS[pattern || exercise.pattern];
+      if (!selected) {
+        throw new Error(`Patrón de respiración desconocido: ${pattern}`);
+      }
+      return ExercisePlayer.breathingScript(exercise, selected, duration);
+    }
+
+    return duration ? ExercisePlayer.fitToDuration(exercise, duration) : exercise;
+  }
+
+  /**
+   * Duración total de un guion en segundos
+   */
+  static totalDuration(script) {
+    const cycle = script.phases.reduce((sum, phase) => sum + phase.duration, 0);
+    return cycle * (script.repetitions || 1);
+  }
+
+  /**
+   * Ajustar un guion a otra duración: repite el ciclo y, si no cuadra, escala las fases
+   */
+  static fitToDuration(script, duration) {
+    const cycle = script.phases.reduce((sum, phase) => sum + phase.duration, 0);
+    const repetitions = Math.max(1, Math.round(duration / cycle));
+    const scale = duration / (cycle * repetitions);
+
+    return {
+      ...script,
+      repetitions,
+      phases: script.phases.map(phase => ({ ...phase, duration: phase.duration * scale }))
+    };
+  }
+
+  /**
+   * Tiempo transcurrido en segundos, sin contar las pausas
+   */
+  get elapsed() {
+    if (this.state !== 'running') return this.accumulated;
+    return Math.min(this.accumulated + (Date.now() - this.startedAt) / 1000, this.duration);
+  }
+
+  get isRunning() {
+    return this.state === 'running';
+  }
+
+  get isPaused() {
+    return this.state === 'paused';
+  }
+
+  start() {
+    if (this.state !== 'idle') return;
+    this.run();
+  }
+
+  pause() {
+    if (this.state !== 'running') return;
+
+    this.accumulated = this.elapsed;
+    this.state = 'paused';
+    this.clearTimers();
+    this.cancelCues();
+  }
+
+  resume() {
+    if (this.state !== 'paused') return;
+    this.run();
+  }
+
+  toggle() {
+    if (this.state === 'running') {
+      this.pause();
+    } else if (this.state === 'paused') {
+      this.resume();
+    }
+  }
+
+  /**
+   * Detener sin completar (cerrar el ejercicio)
+   */
+  stop() {
+    if (this.state === 'stopped' || this.state === 'completed') return;
+
+    this.accumulated = this.elapsed;
+    this.state = 'stopped';
+    this.teardown();
+  }
+
+  /**
+   * Terminar ahora y contar el ejercicio como completado
+   */
+  finish() {
+    if (this.state === 'stopped' || this.state === 'completed') return;
+    this.complete();
+  }
+
+  run() {
+    this.state = 'running';
+    this.startedAt = Date.now();
+
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    this.scheduleCues(this.accumulated);
+    this.interval = setInterval(() => this.tick(), TICK_MS);
+    this.tick();
+  }
+
+  tick() {
+    if (this.state !== 'running') return;
+
+    const elapsed = this.elapsed;
+    if (elapsed >= this.duration) {
+      this.complete();
+      return;
+    }
+
+    const stepIndex = this.timeline.findIndex(step => elapsed < step.end);
+    const step = this.timeline[stepIndex];
+
+    if (stepIndex !== this.currentStep) {
+      this.currentStep = stepIndex;
+      this.vibrate(step.phase.type);
+      this.onPhase(step.phase, { step: stepIndex, repetition: step.repetition, repetitions: this.script.repetitions || 1 });
+    }
+
+    this.onTick({
+      elapsed,
+      remaining: this.duration - elapsed,
+      progress: (elapsed / this.duration) * 100,
+      phase: step.phase,
+      phaseRemaining: step.end - elapsed
+    });
+  }
+
+  complete() {
+    this.accumulated = this.elapsed;
+    this.state = 'completed';
+    this.clearTimers();
+
+    // Los tonos pendientes ya no tienen sentido; el de cierre suena ahora
+    this.cancelCues();
+    this.playChime(this.audioContext?.currentTime ?? 0);
+    this.vibrate('focus');
+    this.releaseAudio();
+
+    this.onComplete({ elapsed: this.accumulated, duration: this.duration });
+  }
+
+  teardown() {
+    this.clearTimers();
+    this.cancelCues();
+    this.closeAudio();
+  }
+
+  clearTimers() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+  }
+
+  buildTimeline(script) {
+    const timeline = [];
+    const repetitions = script.repetitions || 1;
+    let offset = 0;
+
+    for (let repetition = 1; repetition <= repetitions; repetition++) {
+      script.phases.forEach(phase => {
+        timeline.push({ phase, repetition, start: offset, end: offset + phase.duration });
+        offset += phase.duration;
+      });
+    }
+
+    return timeline;
+  }
+
+  // === AVISOS ===
+
+  getAudioContext() {
+    if (!this.audioEnabled) return null;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    if (!this.audioContext) {
+      this.audioContext = new AudioContextClass();
+    }
+    return this.audioContext;
+  }
+
+  /**
+   * Programar en el reloj de audio los tonos de las fases que faltan.
+   * El reloj de audio no se ralentiza en segundo plano como setInterval.
+   */
+  scheduleCues(fromElapsed) {
+    const context = this.getAudioContext();
+    if (!context) return;
+
+    context.resume();
+    this.cancelCues();
+
+    const now = context.currentTime;
+    this.timeline.forEach(step => {
+      // La fase en curso al reanudar no vuelve a sonar
+      if (step.start < fromElapsed) return;
+      this.playTone(step.phase.type, now + step.start - fromElapsed);
+    });
+  }
+
+  playTone(type, when) {
+    const context = this.audioContext;
+    const cue = CUES[type];
+    if (!context || !cue) return;
+
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+
+    oscillator.type = 'sine';
+    oscillator.frequency.setValueAtTime(cue.from, when);
+    oscillator.frequency.linearRampToValueAtTime(cue.to, when + cue.length);
+
+    // Entrada y salida suaves para que el tono no sea brusco
+    gain.gain.setValueAtTime(0, when);
+    gain.gain.linearRampToValueAtTime(0.15, when + 0.05);
+    gain.gain.linearRampToValueAtTime(0, when + cue.length);
+
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(when);
+    oscillator.stop(when + cue.length);
+
+    this.scheduledCues.push(oscillator);
+  }
+
+  playChime(when) {
+    if (!this.audioContext) return;
+
+    // Arpegio ascendente de cierre
+    [528, 660, 792].forEach((frequency, index) => {
+      const oscillator = this.audioContext.createOscillator();
+      const gain = this.audioContext.createGain();
+      const start = when + index * 0.15;
+
+      oscillator.type = 'triangle';
+      oscillator.frequency.setValueAtTime(frequency, start);
+      gain.gain.setValueAtTime(0, start);
+      gain.gain.linearRampToValueAtTime(0.12, start + 0.03);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 1.2);
+
+      oscillator.connect(gain).connect(this.audioContext.destination);
+      oscillator.start(start);
+      oscillator.stop(start + 1.2);
+    });
+  }
+
+  cancelCues() {
+    this.scheduledCues.forEach(oscillator => {
+      try {
+        oscillator.stop();
+      } catch (error) {
+        // Ya había terminado
+      }
+    });
+    this.scheduledCues = [];
+  }
+
+  // Cerrar el contexto cuando termine el tono de cierre
+  releaseAudio() {
+    const context = this.audioContext;
+    if (!context) return;
+
+    this.audioContext = null;
+    setTimeout(() => context.close().catch(() => {}), 2000);
+  }
+
+  closeAudio() {
+    if (!this.audioContext) return;
+
+    this.audioContext.close().catch(() => {});
+    this.audioContext = null;
+  }
+
+  vibrate(type) {
+    if (!this.vibrationEnabled || typeof navigator.vibrate !== 'function') return;
+    // El navegador ignora la vibración con la pestaña oculta
+    if (document.visibilityState !== 'visible') return;
+
+    navigator.vibrate(VIBRATIONS[type] || VIBRATIONS.focus);
+  }
+}
+
+// Los guiones siguen el idioma de la página (src/js/modules/i18n.js)
+window.addEventListener('i18n:changed', (event) => {
+  ExercisePlayer.setLocale(event.detail.locale)
+    .catch(error => console.error('❌ Error cargando los textos de los ejercicios:', error));
+});
+if (window.i18n && window.i18n.locale !== 'es') {
+  ExercisePlayer.setLocale(window.i18n.locale)
+    .catch(error => console.error('❌ Error cargando los textos de los ejercicios:', error));
+}
+
+export default ExercisePlayer;
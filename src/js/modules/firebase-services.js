@@ -43,6 +43,12 @@ class FirebaseServices {
         }
     }
 
+    // Referencia de documento: con clientId (id de la cola offline) reintentar no duplica el documento
+    getDocRef(collection, clientId) {
+        const ref = this.db.collection(collection);
+        return clientId ? ref.doc(clientId) : ref.doc();
+    }
+
     // === USUARIOS ===
     async createUserProfile(user) {
         try {
@@ -128,16 +134,34 @@ class FirebaseServices {
                 userId: this.currentUser.uid,
                 date: firebase.firestore.FieldValue.serverTimestamp(),
                 mood: entryData.mood,
-                content: entryData.content,
                 exercise: entryData.exercise || 'none',
-                wordCount: entryData.content.split(' ').length,
+                // Campo por el que filtra el listado de la API (GET /api/v1/diary?exerciseType=)
+                exerciseType: entryData.exercise || 'none',
                 createdAt: firebase.firestore.FieldValue.serverTimestamp(),
                 updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
-                tags: entryData.tags || [],
-                isPrivate: entryData.isPrivate || false
+                isPrivate: entryData.isPrivate || false,
+                version: 1
             };
 
-            const docRef = await this.db.collection('diary_entries').add(entry);
+            // Entrada cifrada en el cliente (diary-crypto.js): solo se guarda el texto cifrado
+            if (entryData.isEncrypted) {
+                Object.assign(entry, {
+                    isEncrypted: true,
+                    ciphertext: entryData.ciphertext,
+                    iv: entryData.iv,
+                    encryptionVersion: entryData.encryptionVersion
+                });
+            } else {
+                Object.assign(entry, {
+                    content: entryData.content,
+                    wordCount: entryData.content.split(' ').length,
+                    tags: entryData.tags || [],
+                    isEncrypted: false
+                });
+            }
+
+            const docRef = this.getDocRef('diary_entries', entryData.clientId);
+            await docRef.set(entry);
             
             // Actualizar estadísticas del usuario
             await this.updateUserStats('diary_entries', 1);
@@ -172,6 +196,10 @@ class FirebaseServices {
                 entries.push({ id: doc.id, ...doc.data() });
             });
 
+            // Descifrar en el navegador; si el diario está bloqueado llegan marcadas con `locked`
+            if (window.diaryCrypto) {
+                return window.diaryCrypto.decryptEntries(entries);
+            }
             return entries;
         } catch (error) {
             console.error('❌ Error obteniendo entradas del diario:', error);
@@ -179,11 +207,37 @@ class FirebaseServices {
         }
     }
 
-    async updateDiaryEntry(entryId, updates) {
+    // expectedVersion: versión sobre la que se editó; si la guardada es otra se lanza un conflicto
+    async updateDiaryEntry(entryId, updates, expectedVersion = null) {
         try {
-            await this.db.collection('diary_entries').doc(entryId).update({
-                ...updates,
-                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            const docRef = this.db.collection('diary_entries').doc(entryId);
+
+            await this.db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(docRef);
+                if (!doc.exists) {
+                    throw new Error('La entrada del diario no existe');
+                }
+
+                const currentVersion = doc.data().version || 1;
+                if (expectedVersion !== null && expectedVersion !== currentVersion) {
+                    const conflict = new Error('La entrada se modificó en otro dispositivo');
+                    conflict.code = 'version-conflict';
+                    conflict.remote = { id: doc.id, ...doc.data() };
+                    throw conflict;
+                }
+
+                // Al cifrar una entrada que estaba en claro se borra el texto anterior (las reglas lo exigen)
+                const plaintextRemovals = updates.isEncrypted
+                    ? Object.fromEntries(['content', 'tags', 'reflection', 'anxietyTriggers']
+                        .map(field => [field, firebase.firestore.FieldValue.delete()]))
+                    : {};
+
+                transaction.update(docRef, {
+                    ...plaintextRemovals,
+                    ...updates,
+                    version: currentVersion + 1,
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
             });
             console.log('✅ Entrada del diario actualizada');
         } catch (error) {
@@ -222,7 +276,8 @@ class FirebaseServices {
                 isAnonymous: evaluationData.isAnonymous || false
             };
 
-            const docRef = await this.db.collection('evaluations').add(evaluation);
+            const docRef = this.getDocRef('evaluations', evaluationData.clientId);
+            await docRef.set(evaluation);
             
             // Actualizar estadísticas del usuario
             await this.updateUserStats('totalTests', 1);
@@ -297,18 +352,28 @@ class FirebaseServices {
                 throw new Error('Usuario no autenticado');
             }
 
+            // moodBefore/moodAfter son valoraciones SUDS (0-10): el 0 es un valor válido
             const session = {
                 userId: this.currentUser.uid,
                 exerciseType: sessionData.exerciseType,
+                exerciseName: sessionData.exerciseName || sessionData.exerciseType,
                 duration: sessionData.duration,
-                completedAt: firebase.firestore.FieldValue.serverTimestamp(),
-                moodBefore: sessionData.moodBefore || null,
-                moodAfter: sessionData.moodAfter || null,
+                moodBefore: sessionData.moodBefore ?? null,
+                moodAfter: sessionData.moodAfter ?? null,
+                improvement: sessionData.improvement ?? null,
+                effectiveness: sessionData.effectiveness ?? null,
                 notes: sessionData.notes || '',
-                effectiveness: sessionData.effectiveness || null
+                tags: sessionData.tags || [],
+                isCompleted: sessionData.isCompleted ?? true,
+                // Inicio según el reloj del dispositivo: el análisis por franja horaria usa la hora local
+                startedAt: sessionData.startedAt || null,
+                completedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+                deviceInfo: sessionData.deviceInfo || { platform: 'web', userAgent: navigator.userAgent }
             };
 
-            const docRef = await this.db.collection('exercise_sessions').add(session);
+            const docRef = this.getDocRef('exercise_sessions', sessionData.clientId);
+            await docRef.set(session);
             
             // Actualizar estadísticas del usuario
             await this.updateUserStats('totalTimeSpent', sessionData.duration);
@@ -456,7 +521,8 @@ class FirebaseServices {
                 createdAt: firebase.firestore.FieldValue.serverTimestamp()
             };
 
-            const docRef = await this.db.collection('anxiety_levels').add(anxietyEntry);
+            const docRef = this.getDocRef('anxiety_levels', anxietyData.clientId);
+            await docRef.set(anxietyEntry);
             
             // Actualizar estadísticas del usuario
             await this.updateUserStats('averageMood', anxietyData.level);
@@ -723,16 +789,36 @@ class FirebaseServices {
 
             // Migrar entradas del diario
             const diaryData = localStorage.getItem('diaryWellness');
-            if (diaryData) {
+            const crypto = window.diaryCrypto;
+            const diaryDeferred = Boolean(diaryData && crypto && crypto.isEnabled() && !crypto.isUnlocked());
+            if (diaryDeferred) {
+                // Con el cifrado activo no se sube nada en claro: se migrará tras desbloquear
+                console.warn('⚠️ Diario cifrado bloqueado: migración de entradas aplazada');
+            } else if (diaryData) {
                 const parsed = JSON.parse(diaryData);
                 if (parsed.entries && parsed.entries.length > 0) {
                     for (const entry of parsed.entries) {
-                        await this.saveDiaryEntry({
+                        // Guardada ya cifrada en este dispositivo: se sube el sobre tal cual
+                        if (entry.isEncrypted === true && typeof entry.ciphertext === 'string') {
+                            await this.saveDiaryEntry({
+                                mood: entry.mood,
+                                exercise: entry.exercise || 'none',
+                                isPrivate: false,
+                                isEncrypted: true,
+                                ciphertext: entry.ciphertext,
+                                iv: entry.iv,
+                                encryptionVersion: entry.encryptionVersion
+                            });
+                            continue;
+                        }
+
+                        const payload = {
                             mood: entry.mood,
                             content: entry.content,
                             exercise: entry.exercise || 'none',
                             isPrivate: false
-                        });
+                        };
+                        await this.saveDiaryEntry(crypto && crypto.isUnlocked() ? await crypto.encryptEntry(payload) : payload);
                     }
                     console.log('✅ Entradas del diario migradas');
                 }
@@ -746,9 +832,9 @@ class FirebaseServices {
                     for (const test of parsed) {
                         await this.saveEvaluation({
                             testType: test.testType || 'gad7',
-                            testName: test.testType === 'gad7' ? 'Test GAD-7' : 'Test',
+                            testName: test.testName || (test.testType === 'gad7' ? 'Test GAD-7' : 'Test'),
                             score: test.score,
-                            maxScore: test.testType === 'gad7' ? 21 : 10,
+                            maxScore: test.maxScore || (test.testType === 'gad7' ? 21 : 10),
                             answers: test.answers,
                             result: test.result,
                             duration: 0
@@ -758,8 +844,8 @@ class FirebaseServices {
                 }
             }
 
-            // Limpiar localStorage después de la migración
-            localStorage.removeItem('diaryWellness');
+            // Limpiar localStorage después de la migración (el diario aplazado se queda)
+            if (!diaryDeferred) localStorage.removeItem('diaryWellness');
             localStorage.removeItem('testResults');
             
             console.log('✅ Migración completada');
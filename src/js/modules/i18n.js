@@ -0,0 +1,244 @@
+/**
+ * Sensus i18n Module
+ * Catálogos de mensajes en español e inglés, pluralización, formato de fechas y números
+ * según el idioma, y selector de idioma guardado en el perfil del usuario.
+ * El español va incluido (es el idioma por defecto y el respaldo de cualquier clave);
+ * el resto de catálogos se cargan bajo demanda.
+ */
+
+import authSession from './auth-session.js';
+import es from '../locales/es.js';
+
+const LOCALES = ['es', 'en'];
+const DEFAULT_LOCALE = 'es';
+
+// Etiqueta BCP 47 con la que se formatean fechas y números
+const INTL_TAGS = { es: 'es-ES', en: 'en-US' };
+
+// Atributos traducibles: data-i18n-placeholder, data-i18n-title y data-i18n-aria-label
+const DOM_ATTRIBUTES = { i18nPlaceholder: 'placeholder', i18nTitle: 'title', i18nAriaLabel: 'aria-label' };
+
+const LOADERS = {
+  en: () => import('../locales/en.js')
+};
+
+class I18n {
+  constructor() {
+    this.apiBaseUrl = '/api/v1';
+    this.storageKey = 'sensus-language';
+    this.catalogs = { es };
+    this.locale = DEFAULT_LOCALE;
+    this.pluralRules = new Map();
+
+    this.ready = this.init();
+  }
+
+  /**
+   * Inicializar módulo: idioma elegido en este dispositivo, del perfil o del navegador
+   */
+  async init() {
+    this.bindSwitchers(document);
+
+    // Al iniciar sesión manda el idioma guardado en el perfil
+    window.addEventListener('auth:login', (event) => {
+      const language = event.detail?.user?.preferences?.language;
+      if (this.isSupported(language) && language !== this.locale) {
+        this.setLocale(language, { persist: false });
+      }
+    });
+
+    await this.setLocale(this.detectLocale(), { persist: false });
+  }
+
+  get locales() {
+    return [...LOCALES];
+  }
+
+  get intlTag() {
+    return INTL_TAGS[this.locale];
+  }
+
+  isSupported(locale) {
+    return LOCALES.includes(locale);
+  }
+
+  detectLocale() {
+    const saved = localStorage.getItem(this.storageKey);
+    if (this.isSupported(saved)) return saved;
+
+    // Perfil del usuario con sesión y configuración de core/app.js
+    try {
+      const user = JSON.parse(localStorage.getItem('sensus-user') || '{}');
+      if (this.isSupported(user?.preferences?.language)) return user.preferences.language;
+
+      const config = JSON.parse(localStorage.getItem('sensus-config') || '{}');
+      if (this.isSupported(config.language)) return config.language;
+    } catch (error) {
+      console.warn('⚠️ Configuración guardada ilegible:', error);
+    }
+
+    const browser = (navigator.language || '').split('-')[0];
+    return this.isSupported(browser) ? browser : DEFAULT_LOCALE;
+  }
+
+  /**
+   * Cambiar de idioma: carga el catálogo, traduce el DOM y avisa al resto de scripts
+   * con el evento `i18n:changed`. Con `persist` se guarda también en el perfil.
+   */
+  async setLocale(locale, { persist = true } = {}) {
+    if (!this.isSupported(locale)) {
+      console.warn(`⚠️ Idioma no soportado: ${locale}`);
+      return this.locale;
+    }
+
+    try {
+      await this.loadCatalog(locale);
+    } catch (error) {
+      console.error(`❌ Error cargando el idioma ${locale}:`, error);
+      return this.locale;
+    }
+
+    this.locale = locale;
+    localStorage.setItem(this.storageKey, locale);
+    document.documentElement.setAttribute('lang', locale);
+
+    if (window.SensusQuestionnaires) {
+      window.SensusQuestionnaires.setLocale(locale);
+    }
+
+    this.translateDom(document);
+    this.syncSwitchers();
+
+    if (persist) {
+      this.saveToProfile(locale);
+    }
+
+    window.dispatchEvent(new CustomEvent('i18n:changed', { detail: { locale } }));
+    console.log(`🌐 Idioma activo: ${locale}`);
+    return locale;
+  }
+
+  async loadCatalog(locale) {
+    if (this.catalogs[locale]) return this.catalogs[locale];
+
+    const module = await LOADERS[locale]();
+    this.catalogs[locale] = module.default;
+    return this.catalogs[locale];
+  }
+
+  /**
+   * Mensaje traducido. Los parámetros se interpolan como `{nombre}`; si el mensaje tiene
+   * formas de plural (`one`, `other`...) se elige con `params.count`.
+   */
+  t(key, params = {}) {
+    let message = this.lookup(this.catalogs[this.locale], key);
+    if (message === undefined) message = this.lookup(this.catalogs[DEFAULT_LOCALE], key);
+    if (message === undefined) {
+      console.warn(`⚠️ Clave de traducción no encontrada: ${key}`);
+      return key;
+    }
+
+    if (message && typeof message === 'object' && !Array.isArray(message)) {
+      const count = Number(params.count) || 0;
+      message = (count === 0 && message.zero) || message[this.getPluralRules().select(count)] || message.other;
+    }
+
+    if (Array.isArray(message)) return message;
+
+    return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+      if (params[name] === undefined) return match;
+      return typeof params[name] === 'number' ? this.formatNumber(params[name]) : params[name];
+    });
+  }
+
+  has(key) {
+    return this.lookup(this.catalogs[this.locale], key) !== undefined;
+  }
+
+  lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+  }
+
+  getPluralRules() {
+    if (!this.pluralRules.has(this.locale)) {
+      this.pluralRules.set(this.locale, new Intl.PluralRules(this.intlTag));
+    }
+    return this.pluralRules.get(this.locale);
+  }
+
+  formatDate(value, options = { year: 'numeric', month: 'long', day: 'numeric' }) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    return new Intl.DateTimeFormat(this.intlTag, options).format(date);
+  }
+
+  formatDateTime(value) {
+    return this.formatDate(value, { year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+
+  formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(this.intlTag, options).format(value);
+  }
+
+  // "hace 3 días" / "3 days ago"
+  formatRelative(value, unit = 'day') {
+    return new Intl.RelativeTimeFormat(this.intlTag, { numeric: 'auto' }).format(value, unit);
+  }
+
+  /**
+   * Traducir el HTML estático: `data-i18n` (texto), `data-i18n-placeholder`,
+   * `data-i18n-title` y `data-i18n-aria-label`
+   */
+  translateDom(root) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+
+    root.querySelectorAll('[data-i18n-placeholder], [data-i18n-title], [data-i18n-aria-label]').forEach(element => {
+      Object.entries(DOM_ATTRIBUTES).forEach(([data, attribute]) => {
+        if (element.dataset[data]) element.setAttribute(attribute, this.t(element.dataset[data]));
+      });
+    });
+  }
+
+  /**
+   * Selectores de idioma (`<select data-language-switcher>`)
+   */
+  bindSwitchers(root) {
+    root.querySelectorAll('[data-language-switcher]').forEach(select => {
+      if (select.dataset.languageBound) return;
+      select.dataset.languageBound = 'true';
+
+      select.addEventListener('change', () => this.setLocale(select.value));
+    });
+  }
+
+  syncSwitchers() {
+    document.querySelectorAll('[data-language-switcher]').forEach(select => {
+      select.value = this.locale;
+    });
+  }
+
+  /**
+   * Guardar el idioma en el perfil (UserPreferences.language) si hay sesión
+   */
+  async saveToProfile(locale) {
+    if (!authSession.getToken()) return;
+
+    try {
+      const response = await authSession.fetch(`${this.apiBaseUrl}/users/profile`, {
+        method: 'PUT',
+        body: JSON.stringify({ preferences: { language: locale } })
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      // El idioma ya está guardado en este dispositivo; el perfil se actualizará en el próximo cambio
+      console.warn('⚠️ No se pudo guardar el idioma en el perfil:', error);
+    }
+  }
+}
+
+export default I18n;
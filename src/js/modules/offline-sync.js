@@ -0,0 +1,204 @@
+/**
+ * Sensus Offline Sync Module
+ * Sincroniza la cola offline (public/offline-outbox.js) con Firebase.
+ * Toda escritura del diario y de las evaluaciones pasa por la cola: si no hay
+ * conexión o sesión, queda pendiente y se reenvía por Background Sync o al
+ * recuperar la conexión.
+ */
+
+const SYNC_TAG = 'sensus-outbox';
+
+class OfflineSync {
+  constructor() {
+    this.outbox = window.SensusOutbox;
+    this.isFlushing = false;
+
+    // Tipos cuyo contenido se cifra antes de guardarse en la cola (nunca queda texto en claro en IndexedDB)
+    this.encryptedKinds = ['diary_entry', 'diary_update'];
+
+    // Escrituras que sabe reenviar cada tipo de elemento de la cola
+    this.handlers = {
+      diary_entry: (item) => window.firebaseServices.saveDiaryEntry({ ...item.payload, clientId: item.id }),
+      diary_update: (item) => window.firebaseServices.updateDiaryEntry(item.entityId, item.payload, item.baseVersion),
+      anxiety_level: (item) => window.firebaseServices.saveAnxietyLevel({ ...item.payload, clientId: item.id }),
+      exercise_session: (item) => window.firebaseServices.saveExerciseSession({ ...item.payload, clientId: item.id }),
+      evaluation: (item) => window.firebaseServices.saveEvaluation({ ...item.payload, clientId: item.id })
+    };
+
+    this.init();
+  }
+
+  /**
+   * Inicializar módulo
+   */
+  init() {
+    if (!this.outbox) {
+      console.warn('⚠️ Cola offline no disponible');
+      return;
+    }
+
+    // Respaldo para navegadores sin Background Sync
+    window.addEventListener('online', () => this.flush());
+
+    // El service worker pide reenviar la cola desde la página, que tiene la sesión de Firebase
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'OUTBOX_REPLAY') {
+          this.flush().then(counts => {
+            if (event.ports[0]) event.ports[0].postMessage(counts);
+          });
+        }
+      });
+    }
+
+    // Reintentar lo pendiente en cuanto Firebase tenga usuario
+    const waitForServices = () => {
+      if (window.firebaseServices && window.firebaseServices.auth) {
+        window.firebaseServices.auth.onAuthStateChanged(user => {
+          if (user) this.flush();
+        });
+      } else {
+        setTimeout(waitForServices, 500);
+      }
+    };
+    waitForServices();
+
+    this.notifyChange();
+  }
+
+  /**
+   * Guardar a través de la cola: se encola siempre y se intenta enviar al momento
+   */
+  async save(kind, payload, options = {}) {
+    const item = await this.outbox.enqueue(kind, await this.protect(kind, payload), options);
+    await this.notifyChange();
+
+    if (navigator.onLine) {
+      await this.flush();
+    } else {
+      this.requestBackgroundSync();
+    }
+
+    return item;
+  }
+
+  /**
+   * Cifrar la entrada del diario si el usuario activó el cifrado de extremo a extremo.
+   * Con el diario bloqueado se pide la frase de paso; si se cancela no se guarda nada.
+   */
+  async protect(kind, payload) {
+    const crypto = window.diaryCrypto;
+    if (!this.encryptedKinds.includes(kind) || !crypto || !crypto.isEnabled()) {
+      return payload;
+    }
+
+    const unlocked = await crypto.requireUnlock();
+    if (!unlocked) {
+      throw new Error('El diario cifrado está bloqueado');
+    }
+    return crypto.encryptEntry(payload);
+  }
+
+  /**
+   * Reenviar los elementos pendientes cuyo tiempo de espera ha vencido
+   */
+  async flush() {
+    if (this.isFlushing || !this.canSync()) {
+      return this.outbox.counts();
+    }
+
+    this.isFlushing = true;
+    try {
+      const items = await this.outbox.getReady();
+      for (const item of items) {
+        await this.replayItem(item);
+      }
+    } finally {
+      this.isFlushing = false;
+    }
+
+    const counts = await this.notifyChange();
+    if (counts.pending > 0) {
+      this.requestBackgroundSync();
+    }
+    return counts;
+  }
+
+  canSync() {
+    return navigator.onLine && !!(window.firebaseServices && window.firebaseServices.currentUser);
+  }
+
+  async replayItem(item) {
+    const handler = this.handlers[item.kind];
+    if (!handler) {
+      console.warn('⚠️ Tipo de elemento desconocido en la cola:', item.kind);
+      await this.outbox.put({ ...item, status: 'failed', lastError: 'Tipo desconocido' });
+      return;
+    }
+
+    try {
+      await handler(item);
+      await this.outbox.remove(item.id);
+      console.log('✅ Elemento sincronizado:', item.kind, item.id);
+    } catch (error) {
+      if (error.code === 'version-conflict') {
+        console.warn('⚠️ Conflicto de versión al sincronizar:', item.entityId);
+        await this.outbox.markConflict(item, error.remote);
+      } else {
+        console.error('❌ Error sincronizando elemento:', item.kind, error);
+        await this.outbox.markFailed(item, error);
+      }
+    }
+  }
+
+  /**
+   * Registrar Background Sync; si no está disponible queda el evento 'online'
+   */
+  async requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      if (registration.sync) {
+        await registration.sync.register(SYNC_TAG);
+      }
+    } catch (error) {
+      console.warn('⚠️ Background Sync no disponible:', error);
+    }
+  }
+
+  /**
+   * Reintentar manualmente un elemento fallido
+   */
+  async retry(id) {
+    await this.outbox.retry(id);
+    return this.flush();
+  }
+
+  /**
+   * Resolver un conflicto: conservar el cambio local (sobre la versión remota) o descartarlo
+   */
+  async resolveConflict(id, keepLocal) {
+    const item = await this.outbox.get(id);
+    if (!item) return this.outbox.counts();
+
+    if (keepLocal) {
+      const remoteVersion = item.remote && item.remote.version ? item.remote.version : item.baseVersion;
+      await this.outbox.retry(id, { baseVersion: remoteVersion });
+    } else {
+      await this.outbox.remove(id);
+    }
+    return this.flush();
+  }
+
+  /**
+   * Avisar a la interfaz del estado de la cola (insignia "pendiente de sincronizar")
+   */
+  async notifyChange() {
+    const counts = await this.outbox.counts();
+    window.dispatchEvent(new CustomEvent('sensus:outbox-change', { detail: counts }));
+    return counts;
+  }
+}
+
+export default OfflineSync;
@@ -0,0 +1,80 @@
+/**
+ * Sensus PDF Report Module
+ * Reúne los datos del diario y de las evaluaciones guardadas y descarga el informe
+ * de bienestar en PDF (generado con backend/src/shared/wellness.report.ts).
+ */
+
+import { buildWellnessReport } from '@shared/wellness.report';
+
+const DEFAULT_PERIOD_DAYS = 90;
+
+class PdfReport {
+  constructor() {
+    this.testResultsKey = 'testResults';
+  }
+
+  /**
+   * Preparar los datos del informe a partir del diario (DiaryWellness)
+   */
+  collect(diary, options = {}) {
+    const to = options.to || new Date();
+    const from = options.from || new Date(to.getTime() - (options.days || DEFAULT_PERIOD_DAYS) * 24 * 60 * 60 * 1000);
+
+    // Solo entradas legibles: las cifradas con el diario bloqueado no se exportan
+    const entries = diary.getReadableEntries().map(entry => ({
+      id: entry.id,
+      date: entry.date,
+      mood: entry.mood,
+      content: entry.content || entry.text || '',
+      tags: entry.tags || [],
+      exercise: entry.exercise
+    }));
+
+    const evaluations = JSON.parse(localStorage.getItem(this.testResultsKey) || '[]').map(test => ({
+      testType: test.testType,
+      testName: test.testName,
+      score: test.score,
+      maxScore: test.maxScore,
+      timestamp: test.timestamp,
+      alerts: test.result && test.result.alerts ? test.result.alerts : []
+    }));
+
+    const user = window.firebaseServices && window.firebaseServices.currentUser;
+
+    return {
+      from,
+      to,
+      generatedAt: new Date(),
+      patientName: user && user.displayName ? user.displayName : undefined,
+      entries,
+      // Mismos registros que dibuja updateAnxietyChart
+      anxietyLevels: diary.anxietyLevels || [],
+      evaluations,
+      selectedEntryIds: options.selectedEntryIds,
+      maxEntries: options.maxEntries
+    };
+  }
+
+  /**
+   * Generar y descargar el PDF
+   */
+  download(diary, options = {}) {
+    const data = this.collect(diary, options);
+    const bytes = buildWellnessReport(data);
+    const blob = new Blob([bytes], { type: 'application/pdf' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `informe-bienestar-${data.to.toISOString().split('T')[0]}.pdf`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    console.log('📄 Informe PDF generado:', bytes.length, 'bytes');
+    return data;
+  }
+}
+
+export default PdfReport;
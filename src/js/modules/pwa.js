@@ -245,8 +245,14 @@ class PWAModule {
    * Sincronizar datos pendientes
    */
   async syncPendingData() {
-    // Implementar lógica de sincronización
+    // La cola offline (IndexedDB) la gestiona OfflineSync; aquí solo se reenvía al volver la conexión
+    if (!window.offlineSync) return;
+
     console.log('🔄 Sincronizando datos pendientes...');
+    const counts = await window.offlineSync.flush();
+    if (counts.failed > 0 || counts.conflict > 0) {
+      this.showNotification('Algunos datos no se pudieron sincronizar', 'warning');
+    }
   }
 
   /**
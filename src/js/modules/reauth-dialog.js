@@ -0,0 +1,160 @@
+/**
+ * Sensus Reauth Dialog Module
+ * Pide confirmar la identidad cuando la API responde 403 "Reautenticación requerida"
+ * (rutas con sensitiveEndpoint: cambiar la contraseña, borrar la cuenta, crear un enlace
+ * para un profesional, gestionar la verificación en dos pasos). Con la verificación en
+ * dos pasos activada pide un código; sin ella, la contraseña. Quien lo abre (auth-session)
+ * manda las credenciales y repite la petición.
+ */
+
+class ReauthDialog {
+  constructor() {
+    this.dialog = null;
+    this.pending = null;
+  }
+
+  /**
+   * Abrir el diálogo. `submit(credentials)` recibe { password } o { code } y lanza un
+   * error con el mensaje para mostrar si no son correctas. Resuelve true cuando se ha
+   * confirmado y false si se cancela. Si ya está abierto, devuelve la misma promesa
+   */
+  open({ method = 'password', submit }) {
+    if (this.pending) return this.pending;
+
+    this.addStyles();
+    this.pending = new Promise(resolve => this.render(method, submit, resolve)).finally(() => {
+      this.pending = null;
+    });
+    return this.pending;
+  }
+
+  render(method, submit, resolve) {
+    const t = (key) => window.i18n.t(`reauth.${key}`);
+    const isCode = method === 'totp';
+    const previousFocus = document.activeElement;
+
+    const dialog = document.createElement('div');
+    dialog.className = 'reauth-overlay';
+    dialog.innerHTML = `
+      <div class="reauth-dialog" role="dialog" aria-modal="true" aria-labelledby="reauth-title">
+        <h2 id="reauth-title">${t('title')}</h2>
+        <p>${t(isCode ? 'codeHint' : 'passwordHint')}</p>
+        <form class="reauth-form">
+          <label for="reauth-input">${t(isCode ? 'codeLabel' : 'passwordLabel')}</label>
+          <input
+            id="reauth-input"
+            name="${isCode ? 'code' : 'password'}"
+            type="${isCode ? 'text' : 'password'}"
+            autocomplete="${isCode ? 'one-time-code' : 'current-password'}"
+            maxlength="${isCode ? 20 : 128}"
+            required
+          >
+          <p class="reauth-error" role="alert"></p>
+          <div class="reauth-actions">
+            <button type="button" class="btn btn-secondary reauth-cancel">${t('cancel')}</button>
+            <button type="submit" class="btn btn-primary">${t('confirm')}</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    const form = dialog.querySelector('form');
+    const input = dialog.querySelector('#reauth-input');
+    const errorElement = dialog.querySelector('.reauth-error');
+    const submitButton = form.querySelector('[type="submit"]');
+
+    const close = (confirmed) => {
+      dialog.remove();
+      this.dialog = null;
+      if (previousFocus) previousFocus.focus();
+      resolve(confirmed);
+    };
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      errorElement.textContent = '';
+      submitButton.disabled = true;
+
+      try {
+        await submit({ [input.name]: input.value.trim() });
+        close(true);
+      } catch (error) {
+        errorElement.textContent = error.message;
+        input.select();
+      } finally {
+        submitButton.disabled = false;
+      }
+    });
+
+    dialog.querySelector('.reauth-cancel').addEventListener('click', () => close(false));
+    dialog.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') close(false);
+    });
+
+    document.body.appendChild(dialog);
+    this.dialog = dialog;
+    input.focus();
+  }
+
+  addStyles() {
+    if (document.getElementById('reauth-dialog-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'reauth-dialog-styles';
+    style.textContent = `
+      .reauth-overlay {
+        position: fixed;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.6);
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        z-index: 9500;
+      }
+      .reauth-dialog {
+        background: #ffffff;
+        color: #1f2937;
+        border-radius: 1rem;
+        padding: 2rem;
+        max-width: 420px;
+        width: 94%;
+      }
+      .reauth-dialog h2 {
+        font-size: 1.25rem;
+        margin-bottom: 0.5rem;
+      }
+      .reauth-dialog p {
+        line-height: 1.5;
+      }
+      .reauth-form {
+        display: flex;
+        flex-direction: column;
+        gap: 0.5rem;
+        margin-top: 1rem;
+      }
+      .reauth-form label {
+        font-weight: 600;
+      }
+      .reauth-form input {
+        padding: 0.5rem;
+        border: 1px solid #d1d5db;
+        border-radius: 0.5rem;
+        width: 100%;
+      }
+      .reauth-error {
+        color: #b91c1c;
+        min-height: 1.25rem;
+      }
+      .reauth-actions {
+        display: flex;
+        justify-content: flex-end;
+        gap: 0.5rem;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+const reauthDialog = new ReauthDialog();
+
+export default reauthDialog;
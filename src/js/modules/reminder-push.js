@@ -0,0 +1,139 @@
+/**
+ * Sensus Reminder Push Module
+ * Conecta los recordatorios del diario con la API /api/v1/reminders: suscribe este
+ * navegador a las notificaciones push (claves VAPID del servidor), envía la zona horaria,
+ * la hora del recordatorio diario y las horas de silencio al perfil, y sincroniza los
+ * recordatorios para que el servidor los envíe aunque la página esté cerrada.
+ * Las notificaciones las muestra public/reminder-push.js en el service worker.
+ */
+
+import authSession from './auth-session.js';
+
+class ReminderPush {
+  constructor() {
+    this.baseUrl = '/api/v1/reminders';
+    this.config = null;
+
+    // La suscripción del navegador pertenece al usuario que la creó
+    window.addEventListener('auth:logout', () => this.unsubscribeLocally());
+  }
+
+  isSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+  }
+
+  isSignedIn() {
+    return Boolean(localStorage.getItem('sensus-token'));
+  }
+
+  async request(path, options = {}) {
+    const response = await authSession.fetch(path.startsWith('/api/') ? path : `${this.baseUrl}${path}`, options);
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+      const error = new Error(result.message || `Error ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return result.data;
+  }
+
+  async getConfig() {
+    if (!this.config) {
+      this.config = await this.request('/push/config');
+    }
+    return this.config;
+  }
+
+  /**
+   * Suscribir este navegador. Solo pide permiso si `askPermission` (tras una acción del
+   * usuario); devuelve false si el servidor no envía push reales o no hay permiso
+   */
+  async ensureSubscription({ askPermission = false } = {}) {
+    if (!this.isSupported() || !this.isSignedIn()) return false;
+
+    const { publicKey } = await this.getConfig();
+    if (!publicKey) return false;
+
+    let permission = Notification.permission;
+    if (permission === 'default' && askPermission) {
+      permission = await Notification.requestPermission();
+    }
+    if (permission !== 'granted') return false;
+
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription()
+      || await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: this.decodeKey(publicKey)
+      });
+
+    await this.request('/push/subscriptions', {
+      method: 'POST',
+      body: JSON.stringify(subscription.toJSON())
+    });
+    return true;
+  }
+
+  // Preferencias de las que depende la programación en el servidor (solo las que cambian)
+  async syncPreferences({ reminderTime, quietHours }) {
+    const user = JSON.parse(localStorage.getItem('sensus-user') || 'null') || {};
+    const current = user.preferences || {};
+    const preferences = {};
+
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (current.timezone !== timezone) preferences.timezone = timezone;
+    if (reminderTime && current.reminderTime !== reminderTime) preferences.reminderTime = reminderTime;
+    if (JSON.stringify(current.quietHours || null) !== JSON.stringify(quietHours || null)) {
+      preferences.quietHours = quietHours || null;
+    }
+
+    if (Object.keys(preferences).length === 0) return;
+
+    await this.request('/api/v1/users/profile', {
+      method: 'PUT',
+      body: JSON.stringify({ preferences })
+    });
+    localStorage.setItem('sensus-user', JSON.stringify({ ...user, preferences: { ...current, ...preferences } }));
+  }
+
+  async syncReminders(reminders, daily) {
+    return this.request('', {
+      method: 'PUT',
+      body: JSON.stringify({ reminders, daily })
+    });
+  }
+
+  async snooze(reminderId, minutes) {
+    await this.request(`/${encodeURIComponent(reminderId)}/snooze`, {
+      method: 'POST',
+      body: JSON.stringify(minutes ? { minutes } : {})
+    });
+  }
+
+  // Al cerrar sesión ya no hay token: se anula la suscripción en el navegador y el servicio push la caduca
+  async unsubscribeLocally() {
+    if (!this.isSupported()) return;
+
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      const subscription = await registration.pushManager.getSubscription();
+      if (subscription) {
+        await subscription.unsubscribe();
+        console.log('🔕 Notificaciones de recordatorios desactivadas en este navegador');
+      }
+    } catch (error) {
+      console.warn('⚠️ No se pudo anular la suscripción push:', error);
+    }
+  }
+
+  // Clave VAPID en base64url → bytes para pushManager.subscribe
+  decodeKey(key) {
+    const base64 = (key + '='.repeat((4 - (key.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  }
+}
+
+const reminderPush = new ReminderPush();
+
+export default reminderPush;
@@ -5,6 +5,8 @@
 
 class AnsiedadInteractions {
     constructor() {
+        this.exercisePlayer = null;
+        this.exerciseCheckIn = null;
         this.init();
     }
 
@@ -13,6 +15,10 @@ class AnsiedadInteractions {
         this.initializeContent();
     }
 
+    t(key, params) {
+        return window.i18n.t(key, params);
+    }
+
     setupEventListeners() {
         // Botones de ejercicios rápidos
         document.addEventListener('click', (e) => {
@@ -43,6 +49,9 @@ class AnsiedadInteractions {
                 window.location.href = '/diario';
             });
         }
+
+        // Al cambiar de idioma se vuelven a pintar los ejercicios y la información
+        window.addEventListener('i18n:changed', () => this.initializeContent());
     }
 
     initializeContent() {
@@ -56,39 +65,16 @@ class AnsiedadInteractions {
 
     getQuickExercises() {
         return [
-            {
-                id: 'breathing',
-                name: 'Respiración 4-7-8',
-                description: 'Técnica rápida de respiración para calmar la ansiedad',
-                duration: '2 minutos',
-                icon: '🫁',
-                color: '#4ade80'
-            },
-            {
-                id: 'grounding',
-                name: 'Grounding 5-4-3-2-1',
-                description: 'Conecta con el presente usando tus sentidos',
-                duration: '3 minutos',
-                icon: '🌱',
-                color: '#3b82f6'
-            },
-            {
-                id: 'muscle-relaxation',
-                name: 'Relajación Muscular',
-                description: 'Tensa y relaja grupos musculares',
-                duration: '5 minutos',
-                icon: '💆',
-                color: '#fbbf24'
-            },
-            {
-                id: 'mindfulness',
-                name: 'Mindfulness Rápido',
-                description: 'Meditación breve para centrar la mente',
-                duration: '4 minutos',
-                icon: '🧘',
-                color: '#d7cdf2'
-            }
-        ];
+            { id: 'breathing', script: 'breathing', seconds: 120, icon: '🫁', color: '#4ade80' },
+            { id: 'grounding', script: 'grounding', seconds: 180, icon: '🌱', color: '#3b82f6' },
+            { id: 'muscle-relaxation', script: 'progressive-relaxation', seconds: 300, icon: '💆', color: '#fbbf24' },
+            { id: 'mindfulness', script: 'meditation', seconds: 240, icon: '🧘', color: '#d7cdf2' }
+        ].map(exercise => ({
+            ...exercise,
+            name: this.t(`anxiety.exercises.${exercise.id}.name`),
+            description: this.t(`anxiety.exercises.${exercise.id}.description`),
+            duration: this.t('anxiety.minutes', { count: exercise.seconds / 60 })
+        }));
     }
 
     renderQuickExercises() {
@@ -121,14 +107,14 @@ class AnsiedadInteractions {
             
             <div class="exercise-details">
                 <div class="exercise-duration">
-                    <span class="duration-label">Duración:</span>
+                    <span class="duration-label">${this.t('anxiety.duration')}</span>
                     <span class="duration-value">${exercise.duration}</span>
                 </div>
             </div>
 
             <div class="exercise-actions">
                 <button class="btn btn-primary quick-exercise-btn" data-exercise="${exercise.id}">
-                    Comenzar Ahora
+                    ${this.t('anxiety.startNow')}
                 </button>
             </div>
         `;
@@ -158,17 +144,19 @@ class AnsiedadInteractions {
                 </div>
                 <div class="modal-body">
                     <div class="exercise-instructions">
-                        <h3>Instrucciones:</h3>
+                        <h3>${this.t('exercises.instructions')}</h3>
                         <div class="instructions-content">
                             ${exerciseContent.instructions}
                         </div>
                     </div>
                     
                     <div class="exercise-timer" id="exercise-timer">
-                        <div class="timer-display">${exerciseContent.duration}</div>
+                        ${this.renderSudsCheck('suds-before', this.t('exercises.suds.before'))}
+                        <div class="timer-phase" id="timer-phase" aria-live="polite"></div>
+                        <div class="timer-display">${this.formatTime(exercise.seconds)}</div>
                         <div class="timer-controls">
-                            <button class="btn btn-outline" id="start-timer">Iniciar</button>
-                            <button class="btn btn-primary" id="complete-exercise">Completar</button>
+                            <button class="btn btn-outline" id="start-timer">${this.t('exercises.start')}</button>
+                            <button class="btn btn-primary" id="complete-exercise">${this.t('exercises.complete')}</button>
                         </div>
                     </div>
                 </div>
@@ -231,6 +219,37 @@ class AnsiedadInteractions {
                 margin-bottom: 1rem;
                 font-family: 'Courier New', monospace;
             }
+            .suds-check {
+                margin-bottom: 1rem;
+                text-align: left;
+            }
+            .suds-check label {
+                display: block;
+                font-weight: 600;
+                color: #1f2937;
+                margin-bottom: 0.5rem;
+            }
+            .suds-check input {
+                width: 100%;
+                accent-color: #d7cdf2;
+            }
+            .suds-scale {
+                display: flex;
+                justify-content: space-between;
+                font-size: 0.75rem;
+                color: #6b7280;
+            }
+            .suds-scale output {
+                font-size: 1.25rem;
+                font-weight: 700;
+                color: #1f2937;
+            }
+            .timer-phase {
+                min-height: 1.5rem;
+                color: #4b5563;
+                font-weight: 600;
+                margin-bottom: 0.5rem;
+            }
             .timer-controls {
                 display: flex;
                 gap: 1rem;
@@ -247,126 +266,161 @@ class AnsiedadInteractions {
         document.head.appendChild(style);
         document.body.appendChild(modal);
 
-        // Event listeners del modal
-        modal.querySelector('.close-modal').addEventListener('click', () => {
+        const closeModal = () => {
+            this.stopExercisePlayer();
+            this.exerciseCheckIn = null;
             modal.remove();
             style.remove();
+        };
+
+        // Tras practicar se pregunta de nuevo por el malestar antes de guardar
+        const checkOut = () => {
+            this.showExerciseCheckOut(modal, exercise, closeModal);
+        };
+
+        // Event listeners del modal
+        modal.querySelector('.close-modal').addEventListener('click', closeModal);
+
+        modal.addEventListener('input', (e) => {
+            if (e.target.matches('.suds-check input')) {
+                modal.querySelector(`#${e.target.id}-value`).textContent = e.target.value;
+            }
         });
 
         modal.querySelector('#start-timer').addEventListener('click', () => {
-            this.startExerciseTimer(exerciseContent.duration);
+            this.startExerciseTimer(exercise, checkOut);
         });
 
         modal.querySelector('#complete-exercise').addEventListener('click', () => {
-            this.completeExercise(exercise);
-            modal.remove();
-            style.remove();
+            if (this.exercisePlayer) {
+                // Terminar antes de tiempo: el reproductor avisa y se pasa a la valoración final
+                this.exercisePlayer.finish();
+            } else if (this.exerciseCheckIn) {
+                checkOut();
+            } else {
+                this.completeExercise(exercise);
+                closeModal();
+            }
         });
 
         modal.addEventListener('click', (e) => {
             if (e.target === modal) {
-                modal.remove();
-                style.remove();
+                closeModal();
             }
         });
     }
 
     getExerciseContent(exerciseId) {
-        const exercises = {
-            breathing: {
-                duration: '02:00',
-                instructions: `
-                    <ol>
-                        <li>Siéntate cómodamente con la espalda recta</li>
-                        <li>Coloca la punta de la lengua detrás de los dientes superiores</li>
-                        <li>Exhala completamente por la boca</li>
-                        <li>Inhala por la nariz contando hasta 4</li>
-                        <li>Mantén la respiración contando hasta 7</li>
-                        <li>Exhala por la boca contando hasta 8</li>
-                        <li>Repite este ciclo durante 2 minutos</li>
-                    </ol>
-                    <p><strong>Consejo:</strong> Concéntrate en la cuenta y la sensación del aire.</p>
-                `
-            },
-            grounding: {
-                duration: '03:00',
-                instructions: `
-                    <ol>
-                        <li>Mira a tu alrededor y nombra 5 cosas que puedes VER</li>
-                        <li>Toca 4 cosas diferentes y nota su textura</li>
-                        <li>Escucha y nombra 3 sonidos que puedes OÍR</li>
-                        <li>Identifica 2 cosas que puedes OLER</li>
-                        <li>Nombra 1 cosa que puedes SABOREAR</li>
-                    </ol>
-                    <p><strong>Consejo:</strong> Tómate tu tiempo con cada sentido.</p>
-                `
-            },
-            'muscle-relaxation': {
-                duration: '05:00',
-                instructions: `
-                    <ol>
-                        <li>Siéntate o acuéstate cómodamente</li>
-                        <li>Tensa los músculos de los pies por 5 segundos</li>
-                        <li>Relaja completamente por 10 segundos</li>
-                        <li>Sube gradualmente: pantorrillas, muslos, abdomen</li>
-                        <li>Continúa con brazos, hombros, cuello</li>
-                        <li>Termina con los músculos faciales</li>
-                    </ol>
-                    <p><strong>Consejo:</strong> Presta atención a la diferencia entre tensión y relajación.</p>
-                `
-            },
-            mindfulness: {
-                duration: '04:00',
-                instructions: `
-                    <ol>
-                        <li>Cierra los ojos y siéntate cómodamente</li>
-                        <li>Concéntrate en tu respiración natural</li>
-                        <li>Cuando notes que tu mente divaga, regresa a la respiración</li>
-                        <li>Observa tus pensamientos sin juzgarlos</li>
-                        <li>Permite que las emociones fluyan</li>
-                        <li>Mantén esta práctica durante 4 minutos</li>
-                    </ol>
-                    <p><strong>Consejo:</strong> Es normal que la mente divague. La práctica es regresar gentilmente.</p>
-                `
-            }
+        const key = `anxiety.exercises.${window.i18n.has(`anxiety.exercises.${exerciseId}`) ? exerciseId : 'breathing'}`;
+
+        return {
+            instructions: `
+                <ol>
+                    ${this.t(`${key}.steps`).map(step => `<li>${step}</li>`).join('')}
+                </ol>
+                <p><strong>${this.t('exercises.tip')}</strong> ${this.t(`${key}.tip`)}</p>
+            `
         };
+    }
 
-        return exercises[exerciseId] || exercises.breathing;
+    renderSudsCheck(id, question, value = 5) {
+        return `
+            <div class="suds-check">
+                <label for="${id}">${question}</label>
+                <input type="range" id="${id}" min="0" max="10" step="1" value="${value}">
+                <div class="suds-scale">
+                    <span>${this.t('exercises.suds.min')}</span>
+                    <output id="${id}-value" for="${id}">${value}</output>
+                    <span>${this.t('exercises.suds.max')}</span>
+                </div>
+            </div>
+        `;
     }
 
-    startExerciseTimer(duration) {
-        // Convertir duración a segundos
-        const [minutes, seconds] = duration.split(':').map(Number);
-        let totalSeconds = minutes * 60 + seconds;
-        
+    showExerciseCheckOut(modal, exercise, closeModal) {
+        const body = modal.querySelector('.modal-body');
+        body.innerHTML = `
+            <p>${this.t('anxiety.practised', { time: this.formatTime(this.exerciseCheckIn.duration) })}</p>
+            ${this.renderSudsCheck('suds-after', this.t('exercises.suds.after'), this.exerciseCheckIn.moodBefore)}
+            <div class="timer-controls">
+                <button class="btn btn-primary" id="save-suds">${this.t('common.save')}</button>
+            </div>
+        `;
+
+        body.querySelector('#save-suds').addEventListener('click', () => {
+            this.completeExercise(exercise, Number(body.querySelector('#suds-after').value));
+            closeModal();
+        });
+    }
+
+    startExerciseTimer(exercise, onComplete) {
         const timerDisplay = document.querySelector('.timer-display');
+        const timerPhase = document.getElementById('timer-phase');
         const startBtn = document.getElementById('start-timer');
-        
-        startBtn.textContent = 'Ejecutando...';
-        startBtn.disabled = true;
-        
-        const timer = setInterval(() => {
-            const mins = Math.floor(totalSeconds / 60);
-            const secs = totalSeconds % 60;
-            timerDisplay.textContent = `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-            
-            totalSeconds--;
-            
-            if (totalSeconds < 0) {
-                clearInterval(timer);
-                timerDisplay.textContent = '¡Completado!';
-                startBtn.textContent = 'Reiniciar';
-                startBtn.disabled = false;
+
+        // Con el ejercicio en marcha el botón pausa y reanuda
+        if (this.exercisePlayer) {
+            this.exercisePlayer.toggle();
+            startBtn.textContent = this.t(this.exercisePlayer.isPaused ? 'exercises.resume' : 'exercises.pause');
+            return;
+        }
+
+        if (!window.ExercisePlayer) {
+            this.showNotification(this.t('anxiety.unavailable'), 'error');
+            return;
+        }
+
+        // Valoración inicial del malestar (escala SUDS 0-10)
+        const sudsBefore = document.getElementById('suds-before');
+        this.exerciseCheckIn = {
+            moodBefore: Number(sudsBefore.value),
+            startedAt: new Date().toISOString(),
+            duration: 0
+        };
+        sudsBefore.closest('.suds-check').remove();
+
+        // Mismo guion que en el diario, ajustado a la duración del ejercicio rápido
+        const script = window.ExercisePlayer.forExercise(exercise.script, { duration: exercise.seconds });
+
+        this.exercisePlayer = new window.ExercisePlayer(script, {
+            onPhase: (phase) => {
+                timerPhase.textContent = phase.prompt;
+            },
+            onTick: ({ remaining }) => {
+                timerDisplay.textContent = this.formatTime(remaining);
+            },
+            onComplete: ({ elapsed }) => {
+                this.exercisePlayer = null;
+                this.exerciseCheckIn.duration = Math.round(elapsed);
+                onComplete();
             }
-        }, 1000);
+        });
+
+        startBtn.textContent = this.t('exercises.pause');
+        this.exercisePlayer.start();
     }
 
-    completeExercise(exercise) {
+    stopExercisePlayer() {
+        if (this.exercisePlayer) {
+            this.exercisePlayer.stop();
+            this.exercisePlayer = null;
+        }
+    }
+
+    formatTime(seconds) {
+        const total = Math.max(0, Math.ceil(seconds));
+        const mins = Math.floor(total / 60);
+        const secs = total % 60;
+        return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    completeExercise(exercise, moodAfter = null) {
         // Mostrar mensaje de éxito
-        this.showNotification(`¡Ejercicio "${exercise.name}" completado!`, 'success');
+        this.showNotification(this.t('anxiety.completed', { name: exercise.name }), 'success');
         
         // Guardar en historial
-        this.saveExerciseHistory(exercise);
+        this.saveExerciseHistory(exercise, moodAfter);
+        this.exerciseCheckIn = null;
         
         // Sugerir ir al diario
         setTimeout(() => {
@@ -374,12 +428,32 @@ class AnsiedadInteractions {
         }, 2000);
     }
 
-    saveExerciseHistory(exercise) {
+    saveExerciseHistory(exercise, moodAfter) {
+        const checkIn = this.exerciseCheckIn;
+        const moodBefore = checkIn ? checkIn.moodBefore : null;
+        const hasSuds = moodBefore !== null && moodAfter !== null;
+        const improvement = hasSuds ? moodBefore - moodAfter : null;
+
+        // Mismo formato de sesión que el diario (ExerciseSession) para analizar juntas todas las técnicas
         const exerciseData = {
             id: exercise.id,
             name: exercise.name,
+            exerciseType: exercise.script,
+            exerciseName: exercise.name,
+            duration: checkIn ? checkIn.duration : exercise.seconds,
+            moodBefore,
+            moodAfter: hasSuds ? moodAfter : null,
+            improvement,
+            effectiveness: hasSuds && moodBefore > 0 ? Math.round((improvement / moodBefore) * 100) : null,
+            notes: '',
+            tags: [],
+            isCompleted: true,
+            startedAt: checkIn ? checkIn.startedAt : null,
             completedAt: new Date().toISOString(),
-            duration: exercise.duration
+            deviceInfo: {
+                platform: 'web',
+                userAgent: navigator.userAgent
+            }
         };
 
         const history = JSON.parse(localStorage.getItem('exerciseHistory') || '[]');
@@ -391,6 +465,13 @@ class AnsiedadInteractions {
         }
         
         localStorage.setItem('exerciseHistory', JSON.stringify(history));
+
+        // Sincronizar con la cuenta cuando la cola offline está disponible
+        if (window.offlineSync) {
+            const { id, name, ...session } = exerciseData;
+            window.offlineSync.save('exercise_session', session)
+                .catch(error => console.error('❌ Error encolando sesión de ejercicio:', error));
+        }
     }
 
     suggestDiaryEntry() {
@@ -400,16 +481,16 @@ class AnsiedadInteractions {
         modal.innerHTML = `
             <div class="modal-content">
                 <div class="modal-header">
-                    <h2>¿Cómo te sientes?</h2>
+                    <h2>${this.t('anxiety.suggestion.title')}</h2>
                     <button class="close-modal">&times;</button>
                 </div>
                 <div class="modal-body">
-                    <p>Has completado un ejercicio de relajación. ¿Te gustaría reflexionar sobre cómo te sientes ahora?</p>
+                    <p>${this.t('anxiety.suggestion.message')}</p>
                     
                     <div class="suggestion-actions">
-                        <button class="btn btn-outline close-modal">No, gracias</button>
+                        <button class="btn btn-outline close-modal">${this.t('anxiety.suggestion.dismiss')}</button>
                         <button class="btn btn-primary" onclick="window.location.href='/diario'">
-                            Ir al Diario
+                            ${this.t('anxiety.suggestion.diary')}
                         </button>
                     </div>
                 </div>
@@ -475,38 +556,9 @@ class AnsiedadInteractions {
 
     getAnxietyInfo() {
         return {
-            symptoms: [
-                'Sensación de nerviosismo o inquietud',
-                'Preocupación excesiva',
-                'Dificultad para concentrarse',
-                'Irritabilidad',
-                'Tensión muscular',
-                'Problemas para dormir',
-                'Fatiga',
-                'Sudoración',
-                'Palpitaciones',
-                'Dificultad para respirar'
-            ],
-            causes: [
-                'Estrés laboral o académico',
-                'Problemas familiares o de relación',
-                'Cambios importantes en la vida',
-                'Problemas de salud',
-                'Traumas pasados',
-                'Genética',
-                'Uso de sustancias',
-                'Condiciones médicas'
-            ],
-            treatments: [
-                'Terapia cognitivo-conductual (TCC)',
-                'Terapia de exposición',
-                'Mindfulness y meditación',
-                'Ejercicios de relajación',
-                'Ejercicio físico regular',
-                'Técnicas de respiración',
-                'Mantener rutinas saludables',
-                'Reducir cafeína y alcohol'
-            ]
+            symptoms: this.t('anxiety.info.symptoms.items'),
+            causes: this.t('anxiety.info.causes.items'),
+            treatments: this.t('anxiety.info.treatments.items')
         };
     }
 
@@ -517,16 +569,10 @@ class AnsiedadInteractions {
         const modal = document.createElement('div');
         modal.className = 'info-modal';
         
-        const titles = {
-            symptoms: 'Síntomas de Ansiedad',
-            causes: 'Causas Comunes',
-            treatments: 'Tratamientos Efectivos'
-        };
-        
         modal.innerHTML = `
             <div class="modal-content">
                 <div class="modal-header">
-                    <h2>${titles[infoType]}</h2>
+                    <h2>${this.t(`anxiety.info.${infoType}.title`)}</h2>
                     <button class="close-modal">&times;</button>
                 </div>
                 <div class="modal-body">
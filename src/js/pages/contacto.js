@@ -5,6 +5,7 @@
 
 class ContactoInteractions {
     constructor() {
+        this.apiUrl = '/api/v1/contact';
         this.init();
     }
 
@@ -41,6 +42,15 @@ class ContactoInteractions {
             });
         });
 
+        // Consulta del estado de un mensaje enviado
+        const ticketStatusForm = document.getElementById('ticket-status-form');
+        if (ticketStatusForm) {
+            ticketStatusForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.lookupTicket(ticketStatusForm);
+            });
+        }
+
         // Botón de envío rápido
         const quickSendBtn = document.getElementById('quick-send');
         if (quickSendBtn) {
@@ -71,8 +81,7 @@ class ContactoInteractions {
             },
             subject: {
                 required: true,
-                minLength: 5,
-                message: 'El asunto debe tener al menos 5 caracteres'
+                message: 'Selecciona el tipo de consulta'
             },
             message: {
                 required: true,
@@ -82,13 +91,14 @@ class ContactoInteractions {
         };
 
         // Configurar tipos de consulta
+        // Mismas categorías que la API (CONTACT_CATEGORIES en backend/src/models/contact.model.ts)
         this.inquiryTypes = [
-            { value: 'general', label: 'Consulta General' },
-            { value: 'technical', label: 'Soporte Técnico' },
-            { value: 'billing', label: 'Facturación' },
-            { value: 'partnership', label: 'Partnership' },
+            { value: 'soporte', label: 'Soporte Técnico' },
             { value: 'feedback', label: 'Feedback' },
-            { value: 'other', label: 'Otro' }
+            { value: 'colaboracion', label: 'Colaboración profesional' },
+            { value: 'facturacion', label: 'Facturación y planes' },
+            { value: 'emergencia', label: 'Consulta urgente' },
+            { value: 'otro', label: 'Otro' }
         ];
 
         this.populateInquiryTypes();
@@ -229,7 +239,7 @@ class ContactoInteractions {
         }
     }
 
-    handleFormSubmit(event) {
+    async handleFormSubmit(event) {
         event.preventDefault();
         
         const form = event.target;
@@ -253,40 +263,68 @@ class ContactoInteractions {
 
         // Mostrar loading
         const submitBtn = form.querySelector('button[type="submit"]');
-        const originalText = submitBtn.textContent;
+        const originalText = submitBtn.innerHTML;
         submitBtn.textContent = 'Enviando...';
         submitBtn.disabled = true;
 
-        // Simular envío (en producción esto sería una llamada real a la API)
-        setTimeout(() => {
-            this.processFormSubmission(formData);
-            
+        try {
+            await this.processFormSubmission(form, formData);
+        } catch (error) {
+            console.error('❌ Error enviando el formulario de contacto:', error);
+            this.showNotification(error.message, 'error');
+        } finally {
             // Restaurar botón
-            submitBtn.textContent = originalText;
+            submitBtn.innerHTML = originalText;
             submitBtn.disabled = false;
-        }, 2000);
+        }
+    }
+
+    async request(path, options = {}) {
+        const token = localStorage.getItem('sensus-token');
+        const response = await fetch(`${this.apiUrl}${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                // Con sesión el mensaje queda asociado a la cuenta
+                ...(token && { 'Authorization': `Bearer ${token}` })
+            }
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok || !result.success) {
+            const error = new Error(result.message || 'No se pudo enviar el mensaje. Inténtalo de nuevo más tarde.');
+            error.status = response.status;
+            throw error;
+        }
+        return result;
     }
 
-    processFormSubmission(formData) {
+    async processFormSubmission(form, formData) {
+        const subjectSelect = form.querySelector('[name="subject"]');
         const contactData = {
-            name: formData.get('name'),
-            email: formData.get('email'),
-            phone: formData.get('phone'),
+            name: formData.get('name').trim(),
+            email: formData.get('email').trim(),
+            phone: (formData.get('phone') || '').trim(),
             subject: formData.get('subject'),
-            message: formData.get('message'),
-            timestamp: new Date().toISOString()
+            message: formData.get('message').trim(),
+            locale: window.i18n ? window.i18n.locale : 'es',
+            website: formData.get('website') || ''
         };
 
-        // Guardar en localStorage para demo
-        const savedContacts = JSON.parse(localStorage.getItem('contactSubmissions') || '[]');
-        savedContacts.push(contactData);
-        localStorage.setItem('contactSubmissions', JSON.stringify(savedContacts));
+        const { data } = await this.request('', {
+            method: 'POST',
+            body: JSON.stringify(contactData)
+        });
 
-        // Mostrar confirmación
-        this.showSubmissionConfirmation(contactData);
+        // Mostrar confirmación con el número de referencia
+        this.showSubmissionConfirmation({
+            ...contactData,
+            subjectLabel: subjectSelect ? subjectSelect.selectedOptions[0].textContent : contactData.subject,
+            reference: data ? data.reference : null
+        });
 
         // Limpiar formulario
-        document.getElementById('contact-form').reset();
+        form.reset();
 
         // Enviar a analytics
         if (typeof gtag !== 'undefined') {
@@ -297,6 +335,35 @@ class ContactoInteractions {
         }
     }
 
+    async lookupTicket(form) {
+        const result = document.getElementById('ticket-status-result');
+        const reference = form.querySelector('[name="reference"]').value.trim().toUpperCase();
+        const email = form.querySelector('[name="email"]').value.trim();
+        const statusLabels = {
+            open: 'Recibido, pendiente de respuesta',
+            in_progress: 'En curso',
+            resolved: 'Resuelto',
+            closed: 'Cerrado'
+        };
+
+        result.textContent = 'Consultando...';
+        try {
+            const { data } = await this.request(
+                `/tickets/${encodeURIComponent(reference)}?email=${encodeURIComponent(email)}`
+            );
+            const updatedAt = new Date(data.updatedAt).toLocaleDateString('es-ES');
+            result.textContent = `${data.reference}: ${statusLabels[data.status] || data.status} (actualizado el ${updatedAt})`;
+        } catch (error) {
+            result.textContent = error.message;
+        }
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = String(value);
+        return div.innerHTML;
+    }
+
     showSubmissionConfirmation(contactData) {
         const modal = document.createElement('div');
         modal.className = 'submission-confirmation-modal';
@@ -310,13 +377,19 @@ class ContactoInteractions {
                 <div class="modal-body">
                     <div class="confirmation-icon">✅</div>
                     <div class="confirmation-message">
-                        <h3>Gracias por contactarnos, ${contactData.name}</h3>
-                        <p>Hemos recibido tu mensaje sobre "${contactData.subject}" y te responderemos pronto.</p>
+                        <h3>Gracias por contactarnos, ${this.escapeHtml(contactData.name)}</h3>
+                        <p>Hemos recibido tu mensaje sobre "${this.escapeHtml(contactData.subjectLabel)}" y te responderemos pronto.</p>
+                        ${contactData.reference ? `
+                            <p class="ticket-reference">
+                                Tu número de referencia: <strong>${contactData.reference}</strong>
+                            </p>
+                        ` : ''}
                         
                         <div class="next-steps">
                             <h4>Próximos pasos:</h4>
                             <ul>
-                                <li>Recibirás una confirmación por email</li>
+                                <li>Recibirás una confirmación por email${contactData.reference ? ' con tu número de referencia' : ''}</li>
+                                <li>Con la referencia y tu email puedes consultar el estado en esta página</li>
                                 <li>Te responderemos en 24-48 horas</li>
                                 <li>Si es urgente, puedes llamarnos al +1 (555) 123-4567</li>
                             </ul>
@@ -372,6 +445,10 @@ class ContactoInteractions {
                 color: #4ade80;
                 margin-bottom: 1rem;
             }
+            .ticket-reference {
+                margin-top: 1rem;
+                font-size: 1.1rem;
+            }
             .next-steps {
                 background: #f9fafb;
                 padding: 1rem;
@@ -427,7 +504,7 @@ class ContactoInteractions {
                     <p>¿Qué tipo de consulta tienes?</p>
                     
                     <div class="quick-options">
-                        <button class="quick-option" data-type="support">
+                        <button class="quick-option" data-type="soporte">
                             <div class="option-icon">🛠️</div>
                             <div class="option-text">
                                 <h4>Soporte Técnico</h4>
@@ -435,7 +512,7 @@ class ContactoInteractions {
                             </div>
                         </button>
                         
-                        <button class="quick-option" data-type="billing">
+                        <button class="quick-option" data-type="facturacion">
                             <div class="option-icon">💳</div>
                             <div class="option-text">
                                 <h4>Facturación</h4>
@@ -443,7 +520,7 @@ class ContactoInteractions {
                             </div>
                         </button>
                         
-                        <button class="quick-option" data-type="general">
+                        <button class="quick-option" data-type="otro">
                             <div class="option-icon">💬</div>
                             <div class="option-text">
                                 <h4>Consulta General</h4>
@@ -65,7 +65,7 @@ class TestSystem {
     startTest(testType) {
         console.log(`🚀 Iniciando test: ${testType}`);
         
-        this.currentTest = testType;
+        this.currentTest = this.getDefinition(testType).id;
         this.currentQuestion = 0;
         this.answers = {};
         this.testStartTime = Date.now();
@@ -77,7 +77,7 @@ class TestSystem {
         this.createTestContainer();
 
         // Cargar preguntas del test
-        this.questions = this.getTestQuestions(testType);
+        this.questions = this.getTestQuestions(this.currentTest);
         this.totalQuestions = this.questions.length;
 
         // Mostrar primera pregunta
@@ -157,202 +157,26 @@ class TestSystem {
         `;
     }
 
+    getDefinition(testType) {
+        const engine = window.SensusQuestionnaires;
+        return engine.get(testType) || engine.get('gad7');
+    }
+
     getTestInfo(testType) {
-        const testInfo = {
-            'gad7': {
-                name: 'Test de Ansiedad (GAD-7)',
-                description: 'Escala de Ansiedad Generalizada - 7 preguntas'
-            },
-            'phq9': {
-                name: 'Test de Depresión (PHQ-9)',
-                description: 'Cuestionario de Salud del Paciente - 9 preguntas'
-            },
-            'pss': {
-                name: 'Test de Estrés (PSS)',
-                description: 'Escala de Estrés Percibido - 10 preguntas'
-            },
-            'wellness': {
-                name: 'Test de Bienestar General',
-                description: 'Evaluación Integral del Bienestar - 15 preguntas'
-            },
-            'selfesteem': {
-                name: 'Test de Autoestima (RSES)',
-                description: 'Escala de Autoestima de Rosenberg - 10 preguntas'
-            }
+        const definition = this.getDefinition(testType);
+        return {
+            name: definition.name,
+            description: `${definition.description} - ${definition.items.length} preguntas`
         };
-        
-        return testInfo[testType] || testInfo['gad7'];
     }
 
     getTestQuestions(testType) {
-        const questions = {
-            'gad7': [
-                {
-                    id: 1,
-                    question: "¿Con qué frecuencia te has sentido nervioso, ansioso o al borde durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 2,
-                    question: "¿Con qué frecuencia no has podido parar o controlar las preocupaciones durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 3,
-                    question: "¿Con qué frecuencia te has preocupado demasiado por diferentes cosas durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 4,
-                    question: "¿Con qué frecuencia has tenido dificultades para relajarte durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 5,
-                    question: "¿Con qué frecuencia has estado tan inquieto que te ha sido difícil quedarte quieto durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 6,
-                    question: "¿Con qué frecuencia te has sentido molesto o irritable durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 7,
-                    question: "¿Con qué frecuencia has sentido miedo de que algo terrible pudiera pasar durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                }
-            ],
-            'phq9': [
-                {
-                    id: 1,
-                    question: "¿Con qué frecuencia has tenido poco interés o placer en hacer las cosas durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 2,
-                    question: "¿Con qué frecuencia te has sentido decaído, deprimido o sin esperanza durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 3,
-                    question: "¿Con qué frecuencia has tenido problemas para dormir o has dormido demasiado durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 4,
-                    question: "¿Con qué frecuencia te has sentido cansado o con poca energía durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 5,
-                    question: "¿Con qué frecuencia has tenido poco apetito o has comido en exceso durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 6,
-                    question: "¿Con qué frecuencia te has sentido mal contigo mismo o has sentido que has fallado durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 7,
-                    question: "¿Con qué frecuencia has tenido problemas para concentrarte en cosas como leer el periódico o ver televisión durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 8,
-                    question: "¿Con qué frecuencia te has movido o hablado tan lento que otras personas podrían haberlo notado, o al contrario, has estado tan inquieto que has estado moviéndote mucho más de lo habitual durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 9,
-                    question: "¿Con qué frecuencia has pensado que estarías mejor muerto o has tenido pensamientos de lastimarte de alguna manera durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                }
-            ]
-        };
-
-        return questions[testType] || questions['gad7'];
+        const definition = this.getDefinition(testType);
+        return definition.items.map(item => ({
+            id: item.id,
+            question: item.text,
+            options: window.SensusQuestionnaires.getItemOptions(definition, item)
+        }));
     }
 
     showQuestion(questionIndex) {
@@ -480,109 +304,42 @@ class TestSystem {
             return;
         }
 
-        // Calcular puntuación
-        const score = Object.values(this.answers).reduce((sum, value) => sum + value, 0);
-        const result = this.getTestResult(score, this.currentTest);
+        // Calcular puntuación con el motor de cuestionarios
+        const engine = window.SensusQuestionnaires;
+        const scored = engine.score(this.currentTest, engine.toAnswerArray(this.currentTest, this.answers));
+        const result = this.getTestResult(scored);
 
         // Mostrar resultados
-        this.showResults(score, result);
-
-        // Guardar resultados
-        this.saveTestResults(score, result);
-    }
+        this.showResults(scored, result);
 
-    getTestResult(score, testType) {
-        switch (testType) {
-            case 'gad7':
-                return this.getGAD7Result(score);
-            case 'phq9':
-                return this.getPHQ9Result(score);
-            default:
-                return this.getGAD7Result(score);
+        // Ítem 9 del PHQ-9: panel de crisis con independencia de la puntuación
+        if (scored.interpretation.flags.includes('self_harm') && window.crisisSupport) {
+            window.crisisSupport.show({ source: 'questionnaire', trigger: 'phq9_item9', riskLevel: 'high' });
         }
-    }
 
-    getGAD7Result(score) {
-        if (score <= 4) {
-            return {
-                level: 'Mínima',
-                description: 'Tu nivel de ansiedad es mínimo. Continúa con tus hábitos saludables.',
-                recommendation: 'Mantén tus rutinas de bienestar y considera el diario para seguir tu progreso.',
-                color: '#10B981',
-                icon: '😌'
-            };
-        } else if (score <= 9) {
-            return {
-                level: 'Leve',
-                description: 'Tienes síntomas leves de ansiedad. Es normal y manejable.',
-                recommendation: 'Te recomendamos usar nuestro diario de bienestar con ejercicios de relajación.',
-                color: '#F59E0B',
-                icon: '🧘'
-            };
-        } else if (score <= 14) {
-            return {
-                level: 'Moderada',
-                description: 'Tienes síntomas moderados de ansiedad que pueden beneficiarse de atención.',
-                recommendation: 'Usa regularmente nuestro diario con ejercicios específicos para reducir la ansiedad.',
-                color: '#EF4444',
-                icon: '🤔'
-            };
-        } else {
-            return {
-                level: 'Severa',
-                description: 'Tienes síntomas severos de ansiedad que requieren atención profesional.',
-                recommendation: 'Consulta con un profesional de salud mental. Nuestro diario puede ser un complemento útil.',
-                color: '#DC2626',
-                icon: '💙'
-            };
-        }
+        // Guardar resultados
+        this.saveTestResults(scored, result);
     }
 
-    getPHQ9Result(score) {
-        if (score <= 4) {
-            return {
-                level: 'Mínima',
-                description: 'Tu nivel de depresión es mínimo. Continúa con tus hábitos saludables.',
-                recommendation: 'Mantén tus rutinas de bienestar y considera el diario para seguir tu progreso.',
-                color: '#10B981',
-                icon: '😊'
-            };
-        } else if (score <= 9) {
-            return {
-                level: 'Leve',
-                description: 'Tienes síntomas leves de depresión. Es normal y manejable.',
-                recommendation: 'Te recomendamos usar nuestro diario de bienestar con ejercicios de relajación.',
-                color: '#F59E0B',
-                icon: '🌱'
-            };
-        } else if (score <= 14) {
-            return {
-                level: 'Moderada',
-                description: 'Tienes síntomas moderados de depresión que pueden beneficiarse de atención.',
-                recommendation: 'Usa regularmente nuestro diario con ejercicios específicos para mejorar el estado de ánimo.',
-                color: '#EF4444',
-                icon: '🤗'
-            };
-        } else if (score <= 19) {
-            return {
-                level: 'Moderadamente Severa',
-                description: 'Tienes síntomas moderadamente severos de depresión.',
-                recommendation: 'Considera buscar ayuda profesional. Nuestro diario puede ser un complemento útil.',
-                color: '#DC2626',
-                icon: '💙'
-            };
-        } else {
-            return {
-                level: 'Severa',
-                description: 'Tienes síntomas severos de depresión que requieren atención profesional inmediata.',
-                recommendation: 'Consulta con un profesional de salud mental inmediatamente. Nuestro diario puede ser un complemento útil.',
-                color: '#991B1B',
-                icon: '🆘'
-            };
-        }
+    getTestResult(scored) {
+        const band = scored.band;
+        return {
+            level: band.label,
+            description: band.description,
+            recommendation: band.recommendation,
+            color: band.color,
+            icon: band.icon,
+            // Texto de la puntuación: porcentaje (WHO-5, autoestima) o suma sobre el máximo
+            scoreText: window.SensusQuestionnaires.formatScore(scored),
+            scoreLabel: window.SensusQuestionnaires.get(scored.testType).scoring.bandsBy === 'percentage'
+                ? 'Índice (0-100%)'
+                : 'Puntuación Total',
+            // Alertas por ítems concretos, p. ej. ítem 9 del PHQ-9
+            alerts: scored.flags.map(flag => flag.message)
+        };
     }
 
-    showResults(score, result) {
+    showResults(scored, result) {
         const testContainer = document.getElementById('test-area');
         if (!testContainer) return;
 
@@ -591,11 +348,17 @@ class TestSystem {
                 <div class="results-header">
                     <h2>Resultados de tu Evaluación</h2>
                     <div class="score-display">
-                        <div class="score-number" style="color: ${result.color}">${score}</div>
-                        <div class="score-label">Puntuación Total</div>
+                        <div class="score-number" style="color: ${result.color}">${result.scoreText}</div>
+                        <div class="score-label">${result.scoreLabel}</div>
                     </div>
                 </div>
                 
+                ${result.alerts.length > 0 ? `
+                <div class="result-alert" role="alert">
+                    <h4>⚠️ Importante</h4>
+                    ${result.alerts.map(message => `<p>${message}</p>`).join('')}
+                </div>` : ''}
+
                 <div class="result-info">
                     <h3 style="color: ${result.color}">
                         ${result.icon} ${result.level}
@@ -621,12 +384,15 @@ class TestSystem {
         `;
     }
 
-    saveTestResults(score, result) {
+    saveTestResults(scored, result) {
         const testData = {
             testType: this.currentTest,
-            score: score,
+            testVersion: scored.testVersion,
+            score: scored.score,
+            maxScore: scored.maxScore,
+            level: scored.band.level,
             result: result,
-            answers: this.answers,
+            answers: scored.answers,
             timestamp: new Date().toISOString(),
             duration: Math.floor((Date.now() - this.testStartTime) / 1000)
         };
@@ -636,6 +402,19 @@ class TestSystem {
         savedTests.unshift(testData); // Agregar al inicio
         localStorage.setItem('testResults', JSON.stringify(savedTests));
 
+        // Encolar para Firebase (se sincroniza aunque no haya conexión)
+        if (window.offlineSync) {
+            window.offlineSync.save('evaluation', {
+                testType: testData.testType,
+                testName: scored.testName,
+                score: scored.score,
+                maxScore: scored.maxScore,
+                answers: scored.answers,
+                result: result,
+                duration: testData.duration || 0
+            }).catch(error => console.error('❌ Error encolando evaluación:', error));
+        }
+
         console.log('✅ Resultados guardados:', testData);
     }
 
@@ -840,6 +619,15 @@ class TestSystem {
                 margin-top: 1rem;
             }
             
+            .result-alert {
+                background: #fef2f2;
+                border: 2px solid #dc2626;
+                color: #7f1d1d;
+                padding: 1rem;
+                border-radius: 0.5rem;
+                margin-bottom: 1.5rem;
+            }
+            
             .result-actions {
                 display: flex;
                 gap: 1rem;
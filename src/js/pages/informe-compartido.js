@@ -0,0 +1,143 @@
+/*
+ * Sensus - Informe compartido
+ * Vista de solo lectura para el profesional que recibe un enlace del paciente
+ * (GET /api/v1/share/reports/:token)
+ */
+
+class SharedReportPage {
+    constructor() {
+        this.apiUrl = '/api/v1/share/reports';
+        this.moodLabels = {
+            calm: 'Tranquilo', relaxed: 'Relajado', neutral: 'Neutral', anxious: 'Ansioso', overwhelmed: 'Abrumado',
+            excellent: 'Excelente', good: 'Bien', okay: 'Regular', bad: 'Mal', terrible: 'Terrible'
+        };
+        this.init();
+    }
+
+    async init() {
+        const token = new URLSearchParams(window.location.search).get('token');
+
+        // Quitar el token de la barra de direcciones y del historial
+        if (token && window.history.replaceState) {
+            window.history.replaceState(null, '', window.location.pathname);
+        }
+
+        if (!token) {
+            this.showMessage('El enlace no es válido: falta el código de acceso.');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.apiUrl}/${encodeURIComponent(token)}`, { cache: 'no-store' });
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok || !result.success) {
+                this.showMessage(result.message || 'No se pudo cargar el informe.');
+                return;
+            }
+
+            this.render(result.data);
+        } catch (error) {
+            console.error('❌ Error cargando el informe compartido:', error);
+            this.showMessage('No se pudo conectar con el servidor. Inténtalo de nuevo más tarde.');
+        }
+    }
+
+    render(report) {
+        const subtitle = document.getElementById('shared-report-subtitle');
+        subtitle.textContent = `${report.label ? `${report.label} · ` : ''}Periodo del ${this.formatDate(report.from)} al ${this.formatDate(report.to)} · Enlace válido hasta el ${this.formatDate(report.expiresAt)}`;
+
+        if (report.evaluations) this.renderEvaluations(report.evaluations);
+        if (report.moodTrend) this.renderMoodTrend(report.moodTrend);
+        if (report.entries) this.renderEntries(report.entries);
+    }
+
+    renderEvaluations(evaluations) {
+        const section = document.getElementById('shared-report-evaluations');
+        const tbody = section.querySelector('tbody');
+        section.hidden = false;
+
+        if (evaluations.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4">Sin evaluaciones en este periodo</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = evaluations.map(evaluation => `
+            <tr>
+                <td>${this.formatDate(evaluation.date)}</td>
+                <td>${this.escapeHtml(evaluation.testName)}</td>
+                <td>${evaluation.score}${evaluation.maxScore ? ` / ${evaluation.maxScore}` : ''}</td>
+                <td>${this.escapeHtml(evaluation.band || '—')}</td>
+            </tr>
+        `).join('');
+    }
+
+    renderMoodTrend(days) {
+        const section = document.getElementById('shared-report-mood');
+        const container = section.querySelector('.shared-report-bars');
+        section.hidden = false;
+
+        if (days.length === 0) {
+            container.innerHTML = '<p>Sin registros de estado de ánimo en este periodo</p>';
+            return;
+        }
+
+        container.innerHTML = days.map(day => `
+            <div class="shared-report-bar" title="${day.entries} ${day.entries === 1 ? 'registro' : 'registros'}">
+                <span>${this.formatDate(day.date)}</span>
+                <span class="shared-report-bar-track">
+                    <span class="shared-report-bar-fill" style="display:block;width:${(day.mood / 5) * 100}%"></span>
+                </span>
+                <span>${day.mood}</span>
+            </div>
+        `).join('');
+    }
+
+    renderEntries(entries) {
+        const section = document.getElementById('shared-report-entries');
+        const container = section.querySelector('.shared-report-entries');
+        section.hidden = false;
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p>El paciente no ha incluido entradas del diario</p>';
+            return;
+        }
+
+        container.innerHTML = entries.map(entry => `
+            <article class="shared-report-entry">
+                <div class="shared-report-entry-meta">
+                    ${this.formatDate(entry.date)}${entry.mood ? ` · ${this.escapeHtml(this.moodLabels[entry.mood] || entry.mood)}` : ''}
+                    ${entry.tags && entry.tags.length > 0 ? ` · ${entry.tags.map(tag => `#${this.escapeHtml(tag)}`).join(' ')}` : ''}
+                </div>
+                <p>${this.escapeHtml(entry.content)}</p>
+            </article>
+        `).join('');
+    }
+
+    showMessage(message) {
+        const element = document.getElementById('shared-report-message');
+        element.textContent = message;
+        element.hidden = false;
+        document.getElementById('shared-report-subtitle').textContent = 'Informe no disponible';
+    }
+
+    formatDate(value) {
+        // Los días de la evolución llegan como 'AAAA-MM-DD': mediodía para no cambiar de día por la zona horaria
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T12:00:00`) : new Date(value);
+        return date.toLocaleDateString('es-ES', { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = String(value);
+        return div.innerHTML;
+    }
+}
+
+// Inicializar cuando el DOM esté listo
+document.addEventListener('DOMContentLoaded', () => {
+    window.sharedReportPage = new SharedReportPage();
+});
+
+// Exportar por defecto para módulos ES6
+export default SharedReportPage;
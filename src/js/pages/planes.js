@@ -11,6 +11,11 @@ class PlanesInteractions {
     init() {
         this.setupEventListeners();
         this.initializePlans();
+        this.handleCheckoutReturn();
+    }
+
+    t(key, params) {
+        return window.i18n.t(key, params);
     }
 
     setupEventListeners() {
@@ -43,6 +48,67 @@ class PlanesInteractions {
                 this.filterPlans(e.target.dataset.filter);
             });
         });
+
+        // Cancelar la renovación del plan actual
+        document.addEventListener('click', (e) => {
+            if (e.target.classList.contains('cancel-subscription-btn')) {
+                this.cancelSubscription(e.target);
+            }
+        });
+
+        // Al cambiar de idioma se traducen los planes sin perder descuentos ni filtros
+        window.addEventListener('i18n:changed', () => this.refreshTranslations());
+
+        // Tras un pago o una cancelación se marca el plan actual
+        window.addEventListener('entitlements:changed', () => this.refreshTranslations());
+    }
+
+    refreshTranslations() {
+        this.plans.forEach(plan => Object.assign(plan, this.getPlanTexts(plan.id)));
+        this.renderPlans();
+
+        const activeFilter = document.querySelector('.plan-filter.active');
+        if (activeFilter) {
+            this.filterPlans(activeFilter.dataset.filter);
+        }
+
+        const compareBtn = document.getElementById('compare-plans');
+        if (compareBtn) {
+            compareBtn.textContent = this.t(compareBtn.classList.contains('active') ? 'plans.exitCompare' : 'plans.compare');
+        }
+    }
+
+    // Nombre, descripción, características y limitaciones en el idioma activo
+    getPlanTexts(planId) {
+        return {
+            name: this.t(`plans.${planId}.name`),
+            description: this.t(`plans.${planId}.description`),
+            features: this.t(`plans.${planId}.features`),
+            limitations: this.t(`plans.${planId}.limitations`)
+        };
+    }
+
+    // En la API el plan básico se llama 'free'
+    getApiPlanId(planId) {
+        return planId === 'basic' ? 'free' : planId;
+    }
+
+    getCurrentPlan() {
+        if (!window.entitlements || !localStorage.getItem('sensus-token')) return null;
+        return window.entitlements.current();
+    }
+
+    isCurrentPlan(plan) {
+        const current = this.getCurrentPlan();
+        return !!current && current.plan === this.getApiPlanId(plan.id);
+    }
+
+    formatPrice(plan) {
+        if (plan.price === 0) return this.t('plans.free');
+        return this.t('plans.pricePerPeriod', {
+            price: window.i18n.formatNumber(plan.price, { style: 'currency', currency: 'USD' }),
+            period: this.t(`plans.period.${plan.period}`)
+        });
     }
 
     initializePlans() {
@@ -56,62 +122,25 @@ class PlanesInteractions {
         return [
             {
                 id: 'basic',
-                name: 'Plan Básico',
+                ...this.getPlanTexts('basic'),
                 price: 0,
-                period: 'mes',
-                description: 'Perfecto para comenzar tu viaje hacia el bienestar mental',
-                features: [
-                    'Acceso al diario de bienestar',
-                    'Ejercicios básicos de relajación',
-                    'Seguimiento de progreso',
-                    'Calendario de actividades',
-                    'Soporte por email'
-                ],
-                limitations: [
-                    'Ejercicios limitados',
-                    'Sin análisis avanzado',
-                    'Soporte básico'
-                ],
+                period: 'month',
                 popular: false,
                 color: '#6b7280'
             },
             {
                 id: 'premium',
-                name: 'Plan Premium',
+                ...this.getPlanTexts('premium'),
                 price: 19.99,
-                period: 'mes',
-                description: 'Para aquellos que buscan un apoyo más completo',
-                features: [
-                    'Todo del Plan Básico',
-                    'Ejercicios avanzados de ansiedad',
-                    'Análisis de patrones emocionales',
-                    'Insights personalizados con IA',
-                    'Soporte prioritario',
-                    'Exportación de datos',
-                    'Metas personalizadas',
-                    'Recordatorios inteligentes'
-                ],
-                limitations: [],
+                period: 'month',
                 popular: true,
                 color: '#d7cdf2'
             },
             {
                 id: 'professional',
-                name: 'Plan Profesional',
+                ...this.getPlanTexts('professional'),
                 price: 49.99,
-                period: 'mes',
-                description: 'Para profesionales de la salud mental',
-                features: [
-                    'Todo del Plan Premium',
-                    'Panel de administración',
-                    'Gestión de múltiples pacientes',
-                    'Reportes detallados',
-                    'Integración con sistemas médicos',
-                    'Soporte telefónico 24/7',
-                    'API personalizada',
-                    'Capacitación incluida'
-                ],
-                limitations: [],
+                period: 'month',
                 popular: false,
                 color: '#7c8ce0'
             }
@@ -135,8 +164,8 @@ class PlanesInteractions {
         planDiv.className = `plan-card ${plan.popular ? 'popular' : ''}`;
         planDiv.dataset.planId = plan.id;
 
-        const popularBadge = plan.popular ? '<div class="popular-badge">Más Popular</div>' : '';
-        const priceDisplay = plan.price === 0 ? 'Gratis' : `$${plan.price}/${plan.period}`;
+        const popularBadge = plan.popular ? `<div class="popular-badge">${this.t('plans.popular')}</div>` : '';
+        const priceDisplay = this.formatPrice(plan);
 
         planDiv.innerHTML = `
             <div class="plan-header">
@@ -149,7 +178,7 @@ class PlanesInteractions {
             </div>
             
             <div class="plan-features">
-                <h4>Características incluidas:</h4>
+                <h4>${this.t('plans.includedFeatures')}</h4>
                 <ul class="features-list">
                     ${plan.features.map(feature => `<li>✓ ${feature}</li>`).join('')}
                 </ul>
@@ -157,17 +186,43 @@ class PlanesInteractions {
 
             <div class="plan-actions">
                 <button class="btn btn-outline plan-info-btn" data-plan-id="${plan.id}">
-                    Ver Detalles
-                </button>
-                <button class="btn btn-primary select-plan-btn" data-plan-id="${plan.id}">
-                    Seleccionar Plan
+                    ${this.t('plans.viewDetails')}
                 </button>
+                ${this.renderPlanAction(plan)}
             </div>
         `;
 
         return planDiv;
     }
 
+    // Botón del plan: elegirlo o, si es el actual, su estado y la cancelación
+    renderPlanAction(plan) {
+        if (!this.isCurrentPlan(plan)) {
+            return `
+                <button class="btn btn-primary select-plan-btn" data-plan-id="${plan.id}">
+                    ${this.t('plans.select')}
+                </button>
+            `;
+        }
+
+        const current = this.getCurrentPlan();
+        if (plan.price === 0) {
+            return `<span class="current-plan-badge">${this.t('plans.checkout.current')}</span>`;
+        }
+
+        const endDate = current.endDate ? window.i18n.formatDate(current.endDate) : '';
+        if (current.cancelAtPeriodEnd) {
+            return `<span class="current-plan-badge">${this.t('plans.checkout.endsOn', { date: endDate })}</span>`;
+        }
+
+        return `
+            <span class="current-plan-badge">${this.t('plans.checkout.renewsOn', { date: endDate })}</span>
+            <button class="btn btn-outline cancel-subscription-btn" data-plan-id="${plan.id}">
+                ${this.t('plans.checkout.cancel')}
+            </button>
+        `;
+    }
+
     selectPlan(button) {
         const planId = button.dataset.planId;
         const plan = this.plans.find(p => p.id === planId);
@@ -191,30 +246,30 @@ class PlanesInteractions {
         modal.innerHTML = `
             <div class="modal-content">
                 <div class="modal-header">
-                    <h2>Confirmar Selección</h2>
+                    <h2>${this.t('plans.confirm.title')}</h2>
                     <button class="close-modal">&times;</button>
                 </div>
                 <div class="modal-body">
                     <div class="plan-summary">
                         <h3>${plan.name}</h3>
                         <div class="plan-price">
-                            ${plan.price === 0 ? 'Gratis' : `$${plan.price}/${plan.period}`}
+                            ${this.formatPrice(plan)}
                         </div>
                         <p>${plan.description}</p>
                     </div>
                     
                     <div class="plan-features-summary">
-                        <h4>Incluye:</h4>
+                        <h4>${this.t('plans.confirm.includes')}</h4>
                         <ul>
                             ${plan.features.slice(0, 5).map(feature => `<li>✓ ${feature}</li>`).join('')}
-                            ${plan.features.length > 5 ? `<li>... y ${plan.features.length - 5} características más</li>` : ''}
+                            ${plan.features.length > 5 ? `<li>${this.t('plans.confirm.moreFeatures', { count: plan.features.length - 5 })}</li>` : ''}
                         </ul>
                     </div>
 
                     <div class="confirmation-actions">
-                        <button class="btn btn-outline cancel-plan">Cancelar</button>
+                        <button class="btn btn-outline cancel-plan">${this.t('common.cancel')}</button>
                         <button class="btn btn-primary confirm-plan" data-plan-id="${plan.id}">
-                            ${plan.price === 0 ? 'Comenzar Gratis' : 'Continuar con Pago'}
+                            ${this.t(plan.price === 0 ? 'plans.confirm.startFree' : 'plans.confirm.continueToPayment')}
                         </button>
                     </div>
                 </div>
@@ -315,30 +370,81 @@ class PlanesInteractions {
         });
     }
 
-    processPlanSelection(planId) {
+    async processPlanSelection(planId) {
         const plan = this.plans.find(p => p.id === planId);
         
         if (!plan) return;
 
-        // Guardar selección
-        localStorage.setItem('selectedPlan', JSON.stringify({
-            planId: plan.id,
-            planName: plan.name,
-            selectedAt: new Date().toISOString()
-        }));
-
-        // Mostrar mensaje de éxito
-        this.showNotification(`¡Plan ${plan.name} seleccionado!`, 'success');
-
-        // Redirigir según el plan
+        // Plan gratuito - ir al diario (un plan de pago se deja de renovar desde su tarjeta)
         if (plan.price === 0) {
-            // Plan gratuito - ir al diario
+            this.showNotification(this.t('plans.selected', { name: plan.name }), 'success');
             setTimeout(() => {
                 window.location.href = '/diario';
             }, 1500);
-        } else {
-            // Plan de pago - mostrar información de contacto
-            this.showPaymentInfo(plan);
+            return;
+        }
+
+        // Plan de pago - requiere sesión para asociar la suscripción a la cuenta
+        if (!localStorage.getItem('sensus-token') || !window.entitlements) {
+            this.showNotification(this.t('plans.checkout.loginRequired'), 'info');
+            if (typeof window.openAuthModal === 'function') {
+                window.openAuthModal('login');
+            }
+            return;
+        }
+
+        try {
+            const { checkout } = await window.entitlements.checkout(this.getApiPlanId(plan.id));
+
+            if (checkout.status === 'pending' && checkout.url) {
+                // Proveedor externo: el pago se completa en su página y se vuelve con ?checkout=
+                window.location.href = checkout.url;
+                return;
+            }
+
+            console.log('💳 Plan activado:', plan.id);
+            this.showNotification(this.t('plans.checkout.activated', { name: plan.name }), 'success');
+        } catch (error) {
+            console.error('❌ Error en el pago del plan:', error);
+
+            if (error.status === 503) {
+                // Sin pagos en línea se mantiene el contacto con el equipo
+                this.showPaymentInfo(plan);
+                return;
+            }
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    // Vuelta desde la página de pago del proveedor (?checkout=...)
+    async handleCheckoutReturn() {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('checkout') || !window.entitlements) return;
+
+        params.delete('checkout');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+
+        const current = await window.entitlements.refresh();
+        if (current.plan !== 'free') {
+            this.showNotification(this.t('plans.checkout.activated', { name: this.t(`plans.${current.plan}.name`) }), 'success');
+        }
+    }
+
+    async cancelSubscription(button) {
+        if (!window.entitlements || !window.confirm(this.t('plans.checkout.cancelConfirm'))) return;
+
+        button.disabled = true;
+        try {
+            const current = await window.entitlements.cancel();
+            this.showNotification(
+                this.t('plans.checkout.canceled', { date: window.i18n.formatDate(current.endDate) }),
+                'success'
+            );
+        } catch (error) {
+            console.error('❌ Error cancelando la suscripción:', error);
+            this.showNotification(error.message, 'error');
+            button.disabled = false;
         }
     }
 
@@ -349,35 +455,35 @@ class PlanesInteractions {
         modal.innerHTML = `
             <div class="modal-content">
                 <div class="modal-header">
-                    <h2>Información de Pago</h2>
+                    <h2>${this.t('plans.payment.title')}</h2>
                     <button class="close-modal">&times;</button>
                 </div>
                 <div class="modal-body">
                     <div class="payment-info">
                         <h3>${plan.name}</h3>
-                        <p>Para activar tu plan ${plan.name}, por favor contacta con nuestro equipo:</p>
+                        <p>${this.t('plans.payment.contactTeam', { name: plan.name })}</p>
                         
                         <div class="contact-methods">
                             <div class="contact-item">
-                                <strong>Email:</strong> contacto@sensus.com
+                                <strong>${this.t('plans.payment.email')}</strong> contacto@sensus.com
                             </div>
                             <div class="contact-item">
-                                <strong>Teléfono:</strong> +1 (555) 123-4567
+                                <strong>${this.t('plans.payment.phone')}</strong> +1 (555) 123-4567
                             </div>
                             <div class="contact-item">
-                                <strong>Horario:</strong> Lunes a Viernes, 9:00 - 18:00
+                                <strong>${this.t('plans.payment.hours')}</strong> ${this.t('plans.payment.schedule')}
                             </div>
                         </div>
 
                         <div class="payment-note">
-                            <p><strong>Nota:</strong> Te contactaremos en las próximas 24 horas para procesar tu suscripción.</p>
+                            <p><strong>${this.t('plans.payment.note')}</strong> ${this.t('plans.payment.noteText')}</p>
                         </div>
                     </div>
 
                     <div class="modal-actions">
-                        <button class="btn btn-outline close-modal">Cerrar</button>
+                        <button class="btn btn-outline close-modal">${this.t('common.close')}</button>
                         <button class="btn btn-primary" onclick="window.location.href='/contacto'">
-                            Ir a Contacto
+                            ${this.t('plans.payment.goToContact')}
                         </button>
                     </div>
                 </div>
@@ -414,19 +520,19 @@ class PlanesInteractions {
         modal.innerHTML = `
             <div class="modal-content">
                 <div class="modal-header">
-                    <h2>${plan.name} - Detalles Completos</h2>
+                    <h2>${this.t('plans.details.title', { name: plan.name })}</h2>
                     <button class="close-modal">&times;</button>
                 </div>
                 <div class="modal-body">
                     <div class="plan-overview">
                         <div class="plan-price-large">
-                            ${plan.price === 0 ? 'Gratis' : `$${plan.price}/${plan.period}`}
+                            ${this.formatPrice(plan)}
                         </div>
                         <p class="plan-description">${plan.description}</p>
                     </div>
 
                     <div class="features-section">
-                        <h3>Características Incluidas</h3>
+                        <h3>${this.t('plans.details.features')}</h3>
                         <ul class="detailed-features">
                             ${plan.features.map(feature => `<li>✓ ${feature}</li>`).join('')}
                         </ul>
@@ -434,7 +540,7 @@ class PlanesInteractions {
 
                     ${plan.limitations.length > 0 ? `
                         <div class="limitations-section">
-                            <h3>Limitaciones</h3>
+                            <h3>${this.t('plans.details.limitations')}</h3>
                             <ul class="limitations-list">
                                 ${plan.limitations.map(limitation => `<li>⚠ ${limitation}</li>`).join('')}
                             </ul>
@@ -442,9 +548,9 @@ class PlanesInteractions {
                     ` : ''}
 
                     <div class="modal-actions">
-                        <button class="btn btn-outline close-modal">Cerrar</button>
+                        <button class="btn btn-outline close-modal">${this.t('common.close')}</button>
                         <button class="btn btn-primary select-plan-btn" data-plan-id="${plan.id}">
-                            Seleccionar Este Plan
+                            ${this.t('plans.details.select')}
                         </button>
                     </div>
                 </div>
@@ -514,12 +620,12 @@ class PlanesInteractions {
             if (isComparing) {
                 // Salir del modo comparación
                 compareBtn.classList.remove('active');
-                compareBtn.textContent = 'Comparar Planes';
+                compareBtn.textContent = this.t('plans.compare');
                 plansContainer.classList.remove('compare-mode');
             } else {
                 // Entrar al modo comparación
                 compareBtn.classList.add('active');
-                compareBtn.textContent = 'Salir de Comparación';
+                compareBtn.textContent = this.t('plans.exitCompare');
                 plansContainer.classList.add('compare-mode');
             }
         }
@@ -550,9 +656,9 @@ class PlanesInteractions {
         offerBanner.className = 'seasonal-offer-banner';
         offerBanner.innerHTML = `
             <div class="offer-content">
-                <h3>🎉 ¡Oferta de Temporada!</h3>
-                <p>20% de descuento en todos los planes de pago</p>
-                <small>Válido hasta el 31 de diciembre</small>
+                <h3>🎉 <span data-i18n="plans.offer.title">${this.t('plans.offer.title')}</span></h3>
+                <p data-i18n="plans.offer.description">${this.t('plans.offer.description')}</p>
+                <small data-i18n="plans.offer.validUntil">${this.t('plans.offer.validUntil')}</small>
             </div>
         `;
 
@@ -0,0 +1,275 @@
+/*
+ * Sensus - Panel Profesional
+ * Lista de pacientes, detalle e invitaciones del profesional (API /api/v1/clinician)
+ */
+
+class ClinicianDashboard {
+    constructor() {
+        this.apiUrl = '/api/v1/clinician';
+        this.selectedPatientId = null;
+        this.init();
+    }
+
+    async init() {
+        if (!localStorage.getItem('sensus-token')) {
+            this.showAccessMessage('Inicia sesión con tu cuenta profesional para ver a tus pacientes.');
+            return;
+        }
+
+        this.setupEventListeners();
+
+        try {
+            await Promise.all([this.loadPatients(), this.loadInvites()]);
+            document.getElementById('clinician-dashboard').hidden = false;
+        } catch (error) {
+            this.showAccessMessage(error.status === 403
+                ? 'El panel está disponible para profesionales con el Plan Profesional activo.'
+                : error.message);
+        }
+    }
+
+    setupEventListeners() {
+        document.getElementById('invite-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createInvite();
+        });
+
+        document.getElementById('patient-unlink-btn').addEventListener('click', () => {
+            this.unlinkPatient();
+        });
+    }
+
+    async request(path, options = {}) {
+        const response = await fetch(`${this.apiUrl}${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${localStorage.getItem('sensus-token')}`
+            }
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok || !result.success) {
+            const error = new Error(result.message || 'No se pudo completar la operación');
+            error.status = response.status;
+            throw error;
+        }
+        return result;
+    }
+
+    // === PACIENTES ===
+
+    async loadPatients() {
+        const { data } = await this.request('/patients');
+        const list = document.getElementById('patients-list');
+        document.getElementById('patients-count').textContent = `${data.length} ${data.length === 1 ? 'paciente' : 'pacientes'}`;
+
+        if (data.length === 0) {
+            list.innerHTML = '<tr><td colspan="6" class="py-4 text-gray-500">Todavía no tienes pacientes vinculados. Crea un código de invitación abajo.</td></tr>';
+            return;
+        }
+
+        list.innerHTML = data.map(patient => `
+            <tr class="border-b border-gray-100 align-top">
+                <td class="py-3 pr-4 font-medium text-gray-900">
+                    ${this.escapeHtml(patient.displayName)}
+                    <div class="text-xs text-gray-500">Desde el ${this.formatDate(patient.linkedAt)}</div>
+                </td>
+                <td class="py-3 pr-4">${this.renderAssessment(patient.assessments.gad7)}</td>
+                <td class="py-3 pr-4">${this.renderAssessment(patient.assessments.phq9)}</td>
+                <td class="py-3 pr-4">
+                    ${patient.adherence.rate}%
+                    <div class="text-xs text-gray-500">${patient.adherence.activeDays}/${patient.adherence.targetDays} días · ${patient.adherence.sessions} sesiones</div>
+                </td>
+                <td class="py-3 pr-4">${this.renderFlagBadges(patient.flags)}</td>
+                <td class="py-3">
+                    <button type="button" class="text-indigo-600 hover:text-indigo-800 font-medium" data-patient-id="${this.escapeHtml(patient.patientId)}">
+                        Ver detalle
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+
+        list.querySelectorAll('[data-patient-id]').forEach(button => {
+            button.addEventListener('click', () => this.showPatient(button.dataset.patientId));
+        });
+    }
+
+    renderAssessment(assessment) {
+        if (!assessment) {
+            return '<span class="text-gray-400">Sin datos</span>';
+        }
+
+        // En GAD-7 y PHQ-9 una puntuación mayor es peor
+        const change = assessment.changeSinceBaseline;
+        const changeClass = change > 0 ? 'text-red-600' : change < 0 ? 'text-green-600' : 'text-gray-500';
+        const changeText = assessment.clinicalChange
+            ? `${change > 0 ? '+' : ''}${change} desde la línea base · ${assessment.clinicalChange.label}`
+            : 'Línea base';
+
+        return `
+            <span class="font-semibold">${assessment.latest.score}</span>
+            <span class="text-sm text-gray-600">${this.escapeHtml(assessment.latest.band || '')}</span>
+            <div class="text-xs ${changeClass}">${changeText}</div>
+            <div class="text-xs text-gray-500">${this.formatDate(assessment.latest.date)}</div>
+        `;
+    }
+
+    renderFlagBadges(flags) {
+        if (flags.length === 0) {
+            return '<span class="text-gray-400">—</span>';
+        }
+
+        const colors = { high: 'bg-red-100 text-red-800', medium: 'bg-yellow-100 text-yellow-800', low: 'bg-gray-100 text-gray-700' };
+        return flags.map(flag => `
+            <span class="inline-block text-xs rounded-full px-2 py-1 mb-1 ${colors[flag.riskLevel]}" title="${this.escapeHtml(flag.message)}">
+                ${this.getFlagLabel(flag.type)}
+            </span>
+        `).join(' ');
+    }
+
+    getFlagLabel(type) {
+        return {
+            deterioration: 'Empeoramiento',
+            severe: 'Rango severo',
+            self_harm: 'Ítem 9 PHQ-9',
+            no_recent_assessment: 'Sin evaluación reciente'
+        }[type] || type;
+    }
+
+    async showPatient(patientId) {
+        try {
+            const { data } = await this.request(`/patients/${encodeURIComponent(patientId)}`);
+            this.selectedPatientId = patientId;
+
+            const section = document.getElementById('patient-detail');
+            document.getElementById('patient-detail-title').textContent = data.displayName;
+
+            document.getElementById('patient-detail-flags').innerHTML = data.flags.map(flag => `
+                <li class="text-sm ${flag.riskLevel === 'high' ? 'text-red-700' : 'text-gray-700'}">⚠️ ${this.escapeHtml(flag.message)}</li>
+            `).join('');
+
+            const history = document.getElementById('patient-detail-history');
+            history.innerHTML = data.history.length === 0
+                ? '<tr><td colspan="4" class="py-3 text-gray-500">Sin evaluaciones de GAD-7 ni PHQ-9</td></tr>'
+                : data.history.slice().reverse().map(item => `
+                    <tr class="border-b border-gray-100">
+                        <td class="py-2 pr-4">${this.formatDate(item.date)}</td>
+                        <td class="py-2 pr-4">${item.testType === 'gad7' ? 'GAD-7' : 'PHQ-9'}</td>
+                        <td class="py-2 pr-4">${item.score} / ${item.maxScore}</td>
+                        <td class="py-2">${this.escapeHtml(item.band || '—')}</td>
+                    </tr>
+                `).join('');
+
+            section.hidden = false;
+            section.scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async unlinkPatient() {
+        if (!this.selectedPatientId) return;
+        if (!confirm('¿Desvincular a este paciente? Dejarás de ver sus resultados.')) return;
+
+        try {
+            const result = await this.request(`/patients/${encodeURIComponent(this.selectedPatientId)}`, { method: 'DELETE' });
+            this.selectedPatientId = null;
+            document.getElementById('patient-detail').hidden = true;
+            this.showNotification(result.message, 'success');
+            await this.loadPatients();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    // === INVITACIONES ===
+
+    async loadInvites() {
+        const { data } = await this.request('/invites');
+        const list = document.getElementById('invites-list');
+        const pending = data.filter(invite => invite.status === 'active');
+
+        list.innerHTML = pending.length === 0
+            ? '<li class="text-sm text-gray-500">No tienes invitaciones pendientes</li>'
+            : pending.map(invite => `
+                <li class="flex items-center justify-between border border-gray-200 rounded-lg p-3 text-sm">
+                    <span>${this.escapeHtml(invite.label || 'Invitación sin referencia')} · caduca el ${this.formatDate(invite.expiresAt)}</span>
+                    <button type="button" class="text-red-600 hover:text-red-800" data-invite-id="${this.escapeHtml(invite.id)}">Anular</button>
+                </li>
+            `).join('');
+
+        list.querySelectorAll('[data-invite-id]').forEach(button => {
+            button.addEventListener('click', () => this.revokeInvite(button.dataset.inviteId));
+        });
+    }
+
+    async createInvite() {
+        const labelInput = document.getElementById('invite-label');
+        const label = labelInput.value.trim();
+
+        try {
+            const { data } = await this.request('/invites', {
+                method: 'POST',
+                body: JSON.stringify(label ? { label } : {})
+            });
+
+            // El código solo se muestra ahora: el servidor guarda su hash
+            const codeElement = document.getElementById('invite-code');
+            codeElement.textContent = `Código: ${data.code} (válido hasta el ${this.formatDate(data.expiresAt)})`;
+            codeElement.hidden = false;
+            labelInput.value = '';
+            await this.loadInvites();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async revokeInvite(inviteId) {
+        try {
+            await this.request(`/invites/${encodeURIComponent(inviteId)}`, { method: 'DELETE' });
+            await this.loadInvites();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    // === UTILIDADES ===
+
+    showAccessMessage(message) {
+        document.getElementById('clinician-access-text').textContent = message;
+        document.getElementById('clinician-access-message').hidden = false;
+    }
+
+    formatDate(value) {
+        return new Date(value).toLocaleDateString('es-ES', { day: 'numeric', month: 'short', year: 'numeric' });
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = String(value);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `fixed top-4 right-4 p-4 rounded-lg shadow-lg z-50 ${
+            type === 'success' ? 'bg-green-500' :
+            type === 'error' ? 'bg-red-500' : 'bg-blue-500'
+        } text-white`;
+        notification.textContent = message;
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.remove();
+        }, 3000);
+    }
+}
+
+// Inicializar cuando el DOM esté listo
+document.addEventListener('DOMContentLoaded', () => {
+    window.clinicianDashboard = new ClinicianDashboard();
+});
+
+// Exportar por defecto para módulos ES6
+export default ClinicianDashboard;
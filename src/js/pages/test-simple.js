@@ -10,6 +10,7 @@ class SimpleTestSystem {
         this.answers = {};
         this.questions = [];
         this.totalQuestions = 0;
+        this.submitted = null;
         this.init();
     }
 
@@ -18,6 +19,10 @@ class SimpleTestSystem {
         this.setupEventListeners();
     }
 
+    t(key, params) {
+        return window.i18n.t(key, params);
+    }
+
     setupEventListeners() {
         // Event listeners para botones de test
         document.addEventListener('click', (e) => {
@@ -48,14 +53,33 @@ class SimpleTestSystem {
                 this.submitTest();
             }
         });
+
+        // Al cambiar de idioma se vuelve a pintar el test en curso o sus resultados
+        window.addEventListener('i18n:changed', () => this.refreshTranslations());
+    }
+
+    refreshTranslations() {
+        const testContainer = document.getElementById('test-area');
+        if (!testContainer || !this.currentTest) return;
+
+        if (this.submitted) {
+            this.renderResults();
+            return;
+        }
+
+        this.questions = this.getTestQuestions(this.currentTest);
+        testContainer.innerHTML = this.getTestHTML();
+        this.showQuestion(this.currentQuestion);
+        this.updateProgress();
     }
 
     startTest(testType) {
         console.log('🚀 Iniciando test:', testType);
         
-        this.currentTest = testType;
+        this.currentTest = this.getDefinition(testType).id;
         this.currentQuestion = 0;
         this.answers = {};
+        this.submitted = null;
 
         // Ocultar secciones de la página
         this.hidePageSections();
@@ -64,7 +88,7 @@ class SimpleTestSystem {
         this.createTestContainer();
 
         // Cargar preguntas del test
-        this.questions = this.getTestQuestions(testType);
+        this.questions = this.getTestQuestions(this.currentTest);
         this.totalQuestions = this.questions.length;
 
         // Mostrar primera pregunta
@@ -111,17 +135,18 @@ class SimpleTestSystem {
             <div class="test-header">
                 <h2>${testInfo.name}</h2>
                 <p class="test-description">${testInfo.description}</p>
+                ${testInfo.instructions ? `<p class="test-instructions">${testInfo.instructions}</p>` : ''}
                 <div class="test-progress">
                     <div class="progress-bar-container">
                         <div id="progress-bar" class="progress-bar"></div>
                     </div>
-                    <span id="progress-text">0% completado</span>
+                    <span id="progress-text">${this.t('tests.progress', { percent: 0 })}</span>
                 </div>
             </div>
             
             <div class="test-content">
                 <div class="question-container">
-                    <div class="question-number" id="question-number">1 de ${this.totalQuestions || '?'}</div>
+                    <div class="question-number" id="question-number">${this.t('tests.questionNumber', { current: 1, total: this.totalQuestions || '?' })}</div>
                     <div class="question-text" id="question-text"></div>
                     <div class="options-container" id="options-container"></div>
                 </div>
@@ -129,125 +154,42 @@ class SimpleTestSystem {
                 <div class="test-navigation">
                     <button id="prev-question" class="btn btn-outline" style="display: none;">
                         <i class="fas fa-arrow-left"></i>
-                        Anterior
+                        ${this.t('tests.previous')}
                     </button>
                     <button id="next-question" class="btn btn-primary" disabled>
-                        Siguiente
+                        ${this.t('tests.next')}
                         <i class="fas fa-arrow-right"></i>
                     </button>
                     <button id="submit-test" class="btn btn-success" style="display: none;">
                         <i class="fas fa-check"></i>
-                        Finalizar Test
+                        ${this.t('tests.finish')}
                     </button>
                 </div>
             </div>
         `;
     }
 
+    getDefinition(testType) {
+        const engine = window.SensusQuestionnaires;
+        return engine.get(testType) || engine.get('gad7');
+    }
+
     getTestInfo(testType) {
-        const testInfo = {
-            'gad7': {
-                name: 'Test de Ansiedad (GAD-7)',
-                description: 'Escala de Ansiedad Generalizada - 7 preguntas'
-            },
-            'phq9': {
-                name: 'Test de Depresión (PHQ-9)',
-                description: 'Cuestionario de Salud del Paciente - 9 preguntas'
-            },
-            'pss': {
-                name: 'Test de Estrés (PSS)',
-                description: 'Escala de Estrés Percibido - 10 preguntas'
-            },
-            'wellness': {
-                name: 'Test de Bienestar General',
-                description: 'Evaluación Integral del Bienestar - 15 preguntas'
-            },
-            'selfesteem': {
-                name: 'Test de Autoestima (RSES)',
-                description: 'Escala de Autoestima de Rosenberg - 10 preguntas'
-            }
+        const definition = this.getDefinition(testType);
+        return {
+            name: definition.name,
+            description: `${definition.description} - ${this.t('tests.questions', { count: definition.items.length })}`,
+            instructions: definition.instructions
         };
-        
-        return testInfo[testType] || testInfo['gad7'];
     }
 
     getTestQuestions(testType) {
-        const questions = {
-            'gad7': [
-                {
-                    id: 1,
-                    question: "¿Con qué frecuencia te has sentido nervioso, ansioso o al borde durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 2,
-                    question: "¿Con qué frecuencia no has podido parar o controlar las preocupaciones durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 3,
-                    question: "¿Con qué frecuencia te has preocupado demasiado por diferentes cosas durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 4,
-                    question: "¿Con qué frecuencia has tenido dificultades para relajarte durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 5,
-                    question: "¿Con qué frecuencia has estado tan inquieto que te ha sido difícil quedarte quieto durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 6,
-                    question: "¿Con qué frecuencia te has sentido molesto o irritable durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 7,
-                    question: "¿Con qué frecuencia has sentido miedo de que algo terrible pudiera pasar durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                }
-            ]
-        };
-
-        return questions[testType] || questions['gad7'];
+        const definition = this.getDefinition(testType);
+        return definition.items.map(item => ({
+            id: item.id,
+            question: item.text,
+            options: window.SensusQuestionnaires.getItemOptions(definition, item)
+        }));
     }
 
     showQuestion(questionIndex) {
@@ -284,7 +226,7 @@ class SimpleTestSystem {
         // Actualizar número de pregunta
         const questionNumber = document.getElementById('question-number');
         if (questionNumber) {
-            questionNumber.textContent = `${questionIndex + 1} de ${this.totalQuestions}`;
+            questionNumber.textContent = this.t('tests.questionNumber', { current: questionIndex + 1, total: this.totalQuestions });
         }
 
         // Actualizar botones de navegación
@@ -361,7 +303,7 @@ class SimpleTestSystem {
         if (progressBar && progressText) {
             const progress = ((this.currentQuestion + 1) / this.totalQuestions) * 100;
             progressBar.style.width = `${progress}%`;
-            progressText.textContent = `${Math.round(progress)}% completado`;
+            progressText.textContent = this.t('tests.progress', { percent: Math.round(progress) });
         }
     }
 
@@ -371,84 +313,107 @@ class SimpleTestSystem {
 
     submitTest() {
         if (!this.isTestComplete()) {
-            alert('Por favor responde todas las preguntas antes de enviar el test.');
+            alert(this.t('tests.answerAll'));
             return;
         }
 
-        // Calcular puntuación
-        const score = Object.values(this.answers).reduce((sum, value) => sum + value, 0);
-        const result = this.getTestResult(score, this.currentTest);
+        // Respuestas y resultado anterior (antes de guardar el actual) para poder repintar al cambiar de idioma
+        const engine = window.SensusQuestionnaires;
+        this.submitted = {
+            answers: engine.toAnswerArray(this.currentTest, this.answers),
+            previous: this.getPreviousResult(this.currentTest)
+        };
 
         // Mostrar resultados
-        this.showResults(score, result);
-    }
+        const { scored, result } = this.renderResults();
 
-    getTestResult(score, testType) {
-        if (testType === 'gad7') {
-            if (score <= 4) {
-                return {
-                    level: 'Mínima',
-                    description: 'Tu nivel de ansiedad es mínimo. Continúa con tus hábitos saludables.',
-                    recommendation: 'Mantén tus rutinas de bienestar y considera el diario para seguir tu progreso.',
-                    color: '#10B981',
-                    icon: '😌'
-                };
-            } else if (score <= 9) {
-                return {
-                    level: 'Leve',
-                    description: 'Tienes síntomas leves de ansiedad. Es normal y manejable.',
-                    recommendation: 'Te recomendamos usar nuestro diario de bienestar con ejercicios de relajación.',
-                    color: '#F59E0B',
-                    icon: '🧘'
-                };
-            } else if (score <= 14) {
-                return {
-                    level: 'Moderada',
-                    description: 'Tienes síntomas moderados de ansiedad que pueden beneficiarse de atención.',
-                    recommendation: 'Usa regularmente nuestro diario con ejercicios específicos para reducir la ansiedad.',
-                    color: '#EF4444',
-                    icon: '🤔'
-                };
-            } else {
-                return {
-                    level: 'Severa',
-                    description: 'Tienes síntomas severos de ansiedad que requieren atención profesional.',
-                    recommendation: 'Consulta con un profesional de salud mental. Nuestro diario puede ser un complemento útil.',
-                    color: '#DC2626',
-                    icon: '💙'
-                };
-            }
+        // Guardar resultados
+        this.saveTestResults(scored, result);
+
+        // Ítem 9 del PHQ-9: panel de crisis con independencia de la puntuación
+        if (scored.interpretation.flags.includes('self_harm') && window.crisisSupport) {
+            window.crisisSupport.show({ source: 'questionnaire', trigger: 'phq9_item9', riskLevel: 'high' });
         }
+    }
+
+    // Calcular puntuación con el motor de cuestionarios (textos en el idioma activo)
+    renderResults() {
+        const scored = window.SensusQuestionnaires.score(this.currentTest, this.submitted.answers);
+        const result = this.getTestResult(scored);
+        this.showResults(scored, result);
+        return { scored, result };
+    }
+
+    getTestResult(scored) {
+        const band = scored.band;
         return {
-            level: 'Completado',
-            description: 'Has completado el test exitosamente.',
-            recommendation: 'Gracias por completar la evaluación.',
-            color: '#10B981',
-            icon: '✅'
+            level: band.label,
+            description: band.description,
+            recommendation: band.recommendation,
+            color: band.color,
+            icon: band.icon,
+            // Texto de la puntuación: porcentaje (WHO-5, autoestima) o suma sobre el máximo
+            scoreText: window.SensusQuestionnaires.formatScore(scored),
+            scoreLabel: window.SensusQuestionnaires.get(scored.testType).scoring.bandsBy === 'percentage'
+                ? this.t('tests.results.indexLabel')
+                : this.t('tests.results.scoreLabel'),
+            // Alertas por ítems concretos, p. ej. ítem 9 del PHQ-9
+            alerts: scored.flags.map(flag => flag.message),
+            // ¿El cambio desde la última vez es real o está dentro del margen de error?
+            change: this.getClinicalChange(scored)
         };
     }
 
-    showResults(score, result) {
+    // Cambio fiable respecto al resultado anterior del mismo test (antes de guardar el actual)
+    getClinicalChange(scored) {
+        const engine = window.SensusQuestionnaires;
+        const previous = this.submitted?.previous;
+
+        if (!previous) return null;
+
+        const change = engine.compareScores(
+            scored.testType,
+            engine.getBandValue(scored.testType, previous.score),
+            engine.getBandValue(scored.testType, scored.score)
+        );
+        return change && { ...change, previousDate: previous.timestamp };
+    }
+
+    getPreviousResult(testType) {
+        return JSON.parse(localStorage.getItem('testResults') || '[]')
+            .filter(test => test.testType === testType && typeof test.score === 'number')
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0] || null;
+    }
+
+    showResults(scored, result) {
         const testContainer = document.getElementById('test-area');
         if (!testContainer) return;
 
         testContainer.innerHTML = `
             <div class="results-container">
                 <div class="results-header">
-                    <h2>Resultados de tu Evaluación</h2>
+                    <h2>${this.t('tests.results.title')}</h2>
                     <div class="score-display">
-                        <div class="score-number" style="color: ${result.color}">${score}</div>
-                        <div class="score-label">Puntuación Total</div>
+                        <div class="score-number" style="color: ${result.color}">${result.scoreText}</div>
+                        <div class="score-label">${result.scoreLabel}</div>
                     </div>
                 </div>
                 
+                ${result.alerts.length > 0 ? `
+                <div class="result-alert" role="alert">
+                    <h4>⚠️ ${this.t('tests.results.important')}</h4>
+                    ${result.alerts.map(message => `<p>${message}</p>`).join('')}
+                </div>` : ''}
+
+                ${this.renderClinicalChange(result.change)}
+
                 <div class="result-info">
                     <h3 style="color: ${result.color}">
                         ${result.icon} ${result.level}
                     </h3>
                     <p class="result-description">${result.description}</p>
                     <div class="recommendation">
-                        <h4>Recomendación:</h4>
+                        <h4>${this.t('tests.results.recommendation')}</h4>
                         <p>${result.recommendation}</p>
                     </div>
                 </div>
@@ -456,17 +421,62 @@ class SimpleTestSystem {
                 <div class="result-actions">
                     <button class="btn btn-primary" onclick="window.location.href='/diario'">
                         <i class="fas fa-book-open"></i>
-                        Ir al Diario de Bienestar
+                        ${this.t('tests.results.goToDiary')}
                     </button>
                     <button class="btn btn-outline" onclick="location.reload()">
                         <i class="fas fa-home"></i>
-                        Volver al Inicio
+                        ${this.t('tests.results.backHome')}
                     </button>
                 </div>
             </div>
         `;
     }
 
+    renderClinicalChange(change) {
+        if (!change) return '';
+
+        const colors = { recovered: '#10B981', improved: '#10B981', unchanged: '#6B7280', deteriorated: '#EF4444' };
+        return `
+            <div class="result-change" style="border-left: 4px solid ${colors[change.category]}; padding: 0.75rem 1rem; margin: 1rem 0;">
+                <h4 style="color: ${colors[change.category]}">
+                    ${this.t('tests.results.changeSince', { label: change.label, date: window.i18n.formatDate(change.previousDate) })}
+                </h4>
+                <p>${change.description}</p>
+            </div>
+        `;
+    }
+
+    saveTestResults(scored, result) {
+        const testData = {
+            testType: this.currentTest,
+            testVersion: scored.testVersion,
+            score: scored.score,
+            maxScore: scored.maxScore,
+            level: scored.band.level,
+            result: result,
+            answers: scored.answers,
+            timestamp: new Date().toISOString()
+        };
+
+        // Guardar en localStorage
+        const savedTests = JSON.parse(localStorage.getItem('testResults') || '[]');
+        savedTests.unshift(testData);
+        localStorage.setItem('testResults', JSON.stringify(savedTests));
+
+        // Encolar para Firebase (se sincroniza aunque no haya conexión)
+        if (window.offlineSync) {
+            window.offlineSync.save('evaluation', {
+                testType: testData.testType,
+                testName: scored.testName,
+                score: scored.score,
+                maxScore: scored.maxScore,
+                answers: scored.answers,
+                result: result,
+                duration: testData.duration || 0
+            }).catch(error => console.error('❌ Error encolando evaluación:', error));
+        }
+    }
+
     addTestStyles() {
         const style = document.createElement('style');
         style.textContent = `
@@ -488,7 +498,12 @@ class SimpleTestSystem {
                 color: #1f2937;
                 margin-bottom: 1rem;
             }
-            
+
+            .test-instructions {
+                color: #4b5563;
+                font-style: italic;
+            }
+
             .test-progress {
                 display: flex;
                 align-items: center;
@@ -657,6 +672,15 @@ class SimpleTestSystem {
                 margin-top: 1rem;
             }
             
+            .result-alert {
+                background: #fef2f2;
+                border: 2px solid #dc2626;
+                color: #7f1d1d;
+                padding: 1rem;
+                border-radius: 0.5rem;
+                margin-bottom: 1.5rem;
+            }
+            
             .result-actions {
                 display: flex;
                 gap: 1rem;
@@ -13,6 +13,10 @@ class TestPageInteractions {
         this.initializeTest();
     }
 
+    t(key, params) {
+        return window.i18n.t(key, params);
+    }
+
     setupEventListeners() {
         // Botones de inicio de test
         document.addEventListener('click', (e) => {
@@ -51,6 +55,24 @@ class TestPageInteractions {
                 this.submitTest();
             });
         }
+
+        // Al cambiar de idioma se vuelven a pintar los tests y la pregunta en curso
+        window.addEventListener('i18n:changed', () => this.refreshTranslations());
+    }
+
+    refreshTranslations() {
+        this.initializeTest();
+        if (!this.currentTest) return;
+
+        this.currentTest = this.availableTests.find(t => t.id === this.currentTest.id);
+        this.questions = this.getTestQuestions(this.currentTest.id);
+        this.showQuestion(this.currentQuestion);
+        this.updateProgress();
+
+        const testTitle = document.getElementById('test-title');
+        if (testTitle) {
+            testTitle.textContent = this.currentTest.name;
+        }
     }
 
     initializeTest() {
@@ -60,48 +82,17 @@ class TestPageInteractions {
     }
 
     getAvailableTests() {
-        return [
-            {
-                id: 'gad7',
-                name: 'Test GAD-7',
-                description: 'Escala de Ansiedad Generalizada',
-                duration: '5-10 minutos',
-                questions: 7,
-                icon: '😰',
-                color: '#fbbf24',
-                category: 'ansiedad'
-            },
-            {
-                id: 'phq9',
-                name: 'Test PHQ-9',
-                description: 'Cuestionario de Salud del Paciente',
-                duration: '5-10 minutos',
-                questions: 9,
-                icon: '😔',
-                color: '#3b82f6',
-                category: 'depresion'
-            },
-            {
-                id: 'stress',
-                name: 'Escala de Estrés',
-                description: 'Evaluación del Nivel de Estrés',
-                duration: '3-5 minutos',
-                questions: 5,
-                icon: '😵',
-                color: '#ef4444',
-                category: 'estres'
-            },
-            {
-                id: 'wellbeing',
-                name: 'Bienestar General',
-                description: 'Evaluación del Bienestar Mental',
-                duration: '10-15 minutos',
-                questions: 12,
-                icon: '😊',
-                color: '#4ade80',
-                category: 'bienestar'
-            }
-        ];
+        return window.SensusQuestionnaires.list().map(definition => ({
+            id: definition.id,
+            name: definition.name,
+            description: definition.description,
+            instructions: definition.instructions,
+            duration: definition.duration,
+            questions: definition.items.length,
+            icon: definition.icon,
+            color: definition.color,
+            category: definition.category
+        }));
     }
 
     renderTestSelection() {
@@ -134,25 +125,25 @@ class TestPageInteractions {
             
             <div class="test-details">
                 <div class="test-detail">
-                    <span class="detail-label">Duración:</span>
+                    <span class="detail-label">${this.t('tests.details.duration')}</span>
                     <span class="detail-value">${test.duration}</span>
                 </div>
                 <div class="test-detail">
-                    <span class="detail-label">Preguntas:</span>
+                    <span class="detail-label">${this.t('tests.details.questions')}</span>
                     <span class="detail-value">${test.questions}</span>
                 </div>
                 <div class="test-detail">
-                    <span class="detail-label">Categoría:</span>
-                    <span class="detail-value">${test.category}</span>
+                    <span class="detail-label">${this.t('tests.details.category')}</span>
+                    <span class="detail-value">${this.t(`tests.categories.${test.category}`)}</span>
                 </div>
             </div>
 
             <div class="test-actions">
                 <button class="btn btn-outline test-info-btn" data-test-id="${test.id}">
-                    Ver Información
+                    ${this.t('tests.moreInfo')}
                 </button>
                 <button class="btn btn-primary start-test-btn" data-test-type="${test.id}">
-                    Comenzar Test
+                    ${this.t('tests.start')}
                 </button>
             </div>
         `;
@@ -191,548 +182,22 @@ class TestPageInteractions {
         if (testTitle) {
             testTitle.textContent = this.currentTest.name;
         }
+
+        // Consigna del cuestionario ("Durante las últimas 2 semanas...")
+        const testInstructions = document.getElementById('test-instructions');
+        if (testInstructions) {
+            testInstructions.textContent = this.currentTest.instructions || '';
+        }
     }
 
     getTestQuestions(testType) {
-        const questions = {
-            gad7: [
-                {
-                    id: 1,
-                    question: "¿Con qué frecuencia te has sentido nervioso, ansioso o al borde durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 2,
-                    question: "¿Con qué frecuencia no has podido parar o controlar las preocupaciones durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 3,
-                    question: "¿Con qué frecuencia te has preocupado demasiado por diferentes cosas durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 4,
-                    question: "¿Con qué frecuencia has tenido dificultades para relajarte durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 5,
-                    question: "¿Con qué frecuencia has estado tan inquieto que te ha sido difícil quedarte quieto durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 6,
-                    question: "¿Con qué frecuencia te has sentido molesto o irritable durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 7,
-                    question: "¿Con qué frecuencia has sentido miedo de que algo terrible pudiera pasar durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                }
-            ],
-            phq9: [
-                {
-                    id: 1,
-                    question: "¿Con qué frecuencia has tenido poco interés o placer en hacer las cosas durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 2,
-                    question: "¿Con qué frecuencia te has sentido decaído, deprimido o sin esperanza durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 3,
-                    question: "¿Con qué frecuencia has tenido problemas para dormir o has dormido demasiado durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 4,
-                    question: "¿Con qué frecuencia te has sentido cansado o con poca energía durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 5,
-                    question: "¿Con qué frecuencia has tenido poco apetito o has comido en exceso durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 6,
-                    question: "¿Con qué frecuencia te has sentido mal contigo mismo o has sentido que has fallado durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 7,
-                    question: "¿Con qué frecuencia has tenido problemas para concentrarte en cosas como leer el periódico o ver televisión durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 8,
-                    question: "¿Con qué frecuencia te has movido o hablado tan lento que otras personas podrían haberlo notado, o al contrario, has estado tan inquieto que has estado moviéndote mucho más de lo habitual durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                },
-                {
-                    id: 9,
-                    question: "¿Con qué frecuencia has pensado que estarías mejor muerto o has tenido pensamientos de lastimarte de alguna manera durante las últimas 2 semanas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Varios días" },
-                        { value: 2, text: "Más de la mitad de los días" },
-                        { value: 3, text: "Casi todos los días" }
-                    ]
-                }
-            ],
-            stress: [
-                {
-                    id: 1,
-                    question: "¿Con qué frecuencia te sientes abrumado por las responsabilidades?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "A veces" },
-                        { value: 2, text: "Frecuentemente" },
-                        { value: 3, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 2,
-                    question: "¿Con qué frecuencia te sientes incapaz de controlar las cosas importantes de tu vida?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "A veces" },
-                        { value: 2, text: "Frecuentemente" },
-                        { value: 3, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 3,
-                    question: "¿Con qué frecuencia te sientes nervioso o estresado?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "A veces" },
-                        { value: 2, text: "Frecuentemente" },
-                        { value: 3, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 4,
-                    question: "¿Con qué frecuencia te sientes confiado en tu capacidad para manejar tus problemas personales?",
-                    options: [
-                        { value: 0, text: "Siempre" },
-                        { value: 1, text: "Frecuentemente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Nunca" }
-                    ]
-                },
-                {
-                    id: 5,
-                    question: "¿Con qué frecuencia sientes que las cosas van bien para ti?",
-                    options: [
-                        { value: 0, text: "Siempre" },
-                        { value: 1, text: "Frecuentemente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Nunca" }
-                    ]
-                },
-                {
-                    id: 6,
-                    question: "¿Con qué frecuencia te sientes molesto por cosas que están fuera de tu control?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "A veces" },
-                        { value: 2, text: "Frecuentemente" },
-                        { value: 3, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 7,
-                    question: "¿Con qué frecuencia sientes que estás al día con las cosas que tienes que hacer?",
-                    options: [
-                        { value: 0, text: "Siempre" },
-                        { value: 1, text: "Frecuentemente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Nunca" }
-                    ]
-                },
-                {
-                    id: 8,
-                    question: "¿Con qué frecuencia te sientes irritado porque las cosas no salen como quieres?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "A veces" },
-                        { value: 2, text: "Frecuentemente" },
-                        { value: 3, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 9,
-                    question: "¿Con qué frecuencia sientes que estás en la cima de las cosas?",
-                    options: [
-                        { value: 0, text: "Siempre" },
-                        { value: 1, text: "Frecuentemente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Nunca" }
-                    ]
-                },
-                {
-                    id: 10,
-                    question: "¿Con qué frecuencia te sientes enfadado por cosas que están fuera de tu control?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "A veces" },
-                        { value: 2, text: "Frecuentemente" },
-                        { value: 3, text: "Siempre" }
-                    ]
-                }
-            ],
-            wellbeing: [
-                {
-                    id: 1,
-                    question: "¿Cómo calificarías tu nivel general de satisfacción con la vida?",
-                    options: [
-                        { value: 0, text: "Muy insatisfecho" },
-                        { value: 1, text: "Insatisfecho" },
-                        { value: 2, text: "Neutral" },
-                        { value: 3, text: "Satisfecho" },
-                        { value: 4, text: "Muy satisfecho" }
-                    ]
-                },
-                {
-                    id: 2,
-                    question: "¿Con qué frecuencia te sientes optimista sobre el futuro?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Raramente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Frecuentemente" },
-                        { value: 4, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 3,
-                    question: "¿Con qué frecuencia te sientes agradecido por las cosas buenas en tu vida?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Raramente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Frecuentemente" },
-                        { value: 4, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 4,
-                    question: "¿Con qué frecuencia te sientes conectado con otras personas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Raramente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Frecuentemente" },
-                        { value: 4, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 5,
-                    question: "¿Con qué frecuencia te sientes capaz de manejar los desafíos de la vida?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Raramente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Frecuentemente" },
-                        { value: 4, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 6,
-                    question: "¿Con qué frecuencia te sientes en paz contigo mismo?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Raramente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Frecuentemente" },
-                        { value: 4, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 7,
-                    question: "¿Con qué frecuencia te sientes motivado para perseguir tus objetivos?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Raramente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Frecuentemente" },
-                        { value: 4, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 8,
-                    question: "¿Con qué frecuencia te sientes satisfecho con tus relaciones personales?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Raramente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Frecuentemente" },
-                        { value: 4, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 9,
-                    question: "¿Con qué frecuencia te sientes orgulloso de tus logros?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Raramente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Frecuentemente" },
-                        { value: 4, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 10,
-                    question: "¿Con qué frecuencia te sientes emocionalmente equilibrado?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Raramente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Frecuentemente" },
-                        { value: 4, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 11,
-                    question: "¿Con qué frecuencia te sientes capaz de disfrutar de las actividades cotidianas?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Raramente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Frecuentemente" },
-                        { value: 4, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 12,
-                    question: "¿Con qué frecuencia te sientes que tienes un propósito en la vida?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Raramente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Frecuentemente" },
-                        { value: 4, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 13,
-                    question: "¿Con qué frecuencia te sientes capaz de superar las dificultades?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Raramente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Frecuentemente" },
-                        { value: 4, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 14,
-                    question: "¿Con qué frecuencia te sientes satisfecho con tu salud física?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Raramente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Frecuentemente" },
-                        { value: 4, text: "Siempre" }
-                    ]
-                },
-                {
-                    id: 15,
-                    question: "¿Con qué frecuencia te sientes que estás viviendo la vida que quieres?",
-                    options: [
-                        { value: 0, text: "Nunca" },
-                        { value: 1, text: "Raramente" },
-                        { value: 2, text: "A veces" },
-                        { value: 3, text: "Frecuentemente" },
-                        { value: 4, text: "Siempre" }
-                    ]
-                }
-            ],
-            selfesteem: [
-                {
-                    id: 1,
-                    question: "Siento que soy una persona de valor, al menos igual que los demás.",
-                    options: [
-                        { value: 0, text: "Totalmente de acuerdo" },
-                        { value: 1, text: "De acuerdo" },
-                        { value: 2, text: "En desacuerdo" },
-                        { value: 3, text: "Totalmente en desacuerdo" }
-                    ]
-                },
-                {
-                    id: 2,
-                    question: "Siento que tengo varias buenas cualidades.",
-                    options: [
-                        { value: 0, text: "Totalmente de acuerdo" },
-                        { value: 1, text: "De acuerdo" },
-                        { value: 2, text: "En desacuerdo" },
-                        { value: 3, text: "Totalmente en desacuerdo" }
-                    ]
-                },
-                {
-                    id: 3,
-                    question: "En general, me inclino a pensar que soy un fracaso.",
-                    options: [
-                        { value: 0, text: "Totalmente de acuerdo" },
-                        { value: 1, text: "De acuerdo" },
-                        { value: 2, text: "En desacuerdo" },
-                        { value: 3, text: "Totalmente en desacuerdo" }
-                    ]
-                },
-                {
-                    id: 4,
-                    question: "Soy capaz de hacer las cosas tan bien como la mayoría de las personas.",
-                    options: [
-                        { value: 0, text: "Totalmente de acuerdo" },
-                        { value: 1, text: "De acuerdo" },
-                        { value: 2, text: "En desacuerdo" },
-                        { value: 3, text: "Totalmente en desacuerdo" }
-                    ]
-                },
-                {
-                    id: 5,
-                    question: "Siento que no tengo mucho de lo que estar orgulloso.",
-                    options: [
-                        { value: 0, text: "Totalmente de acuerdo" },
-                        { value: 1, text: "De acuerdo" },
-                        { value: 2, text: "En desacuerdo" },
-                        { value: 3, text: "Totalmente en desacuerdo" }
-                    ]
-                },
-                {
-                    id: 6,
-                    question: "Tengo una actitud positiva hacia mí mismo.",
-                    options: [
-                        { value: 0, text: "Totalmente de acuerdo" },
-                        { value: 1, text: "De acuerdo" },
-                        { value: 2, text: "En desacuerdo" },
-                        { value: 3, text: "Totalmente en desacuerdo" }
-                    ]
-                },
-                {
-                    id: 7,
-                    question: "En general, estoy satisfecho conmigo mismo.",
-                    options: [
-                        { value: 0, text: "Totalmente de acuerdo" },
-                        { value: 1, text: "De acuerdo" },
-                        { value: 2, text: "En desacuerdo" },
-                        { value: 3, text: "Totalmente en desacuerdo" }
-                    ]
-                },
-                {
-                    id: 8,
-                    question: "Desearía poder tener más respeto por mí mismo.",
-                    options: [
-                        { value: 0, text: "Totalmente de acuerdo" },
-                        { value: 1, text: "De acuerdo" },
-                        { value: 2, text: "En desacuerdo" },
-                        { value: 3, text: "Totalmente en desacuerdo" }
-                    ]
-                },
-                {
-                    id: 9,
-                    question: "A veces me siento realmente inútil.",
-                    options: [
-                        { value: 0, text: "Totalmente de acuerdo" },
-                        { value: 1, text: "De acuerdo" },
-                        { value: 2, text: "En desacuerdo" },
-                        { value: 3, text: "Totalmente en desacuerdo" }
-                    ]
-                },
-                {
-                    id: 10,
-                    question: "A veces creo que no soy bueno en nada.",
-                    options: [
-                        { value: 0, text: "Totalmente de acuerdo" },
-                        { value: 1, text: "De acuerdo" },
-                        { value: 2, text: "En desacuerdo" },
-                        { value: 3, text: "Totalmente en desacuerdo" }
-                    ]
-                }
-            ]
-        };
-
-        return questions[testType] || questions.gad7;
+        const engine = window.SensusQuestionnaires;
+        const definition = engine.get(testType) || engine.get('gad7');
+        return definition.items.map(item => ({
+            id: item.id,
+            question: item.text,
+            options: engine.getItemOptions(definition, item)
+        }));
     }
 
     showQuestion(questionIndex) {
@@ -769,7 +234,7 @@ class TestPageInteractions {
         // Actualizar número de pregunta
         const questionNumber = document.getElementById('question-number');
         if (questionNumber) {
-            questionNumber.textContent = `${questionIndex + 1} de ${this.totalQuestions}`;
+            questionNumber.textContent = this.t('tests.questionNumber', { current: questionIndex + 1, total: this.totalQuestions });
         }
 
         // Actualizar botones de navegación
@@ -846,7 +311,7 @@ class TestPageInteractions {
         if (progressBar && progressText) {
             const progress = ((this.currentQuestion + 1) / this.totalQuestions) * 100;
             progressBar.style.width = `${progress}%`;
-            progressText.textContent = `${Math.round(progress)}% completado`;
+            progressText.textContent = this.t('tests.progress', { percent: Math.round(progress) });
         }
     }
 
@@ -856,73 +321,71 @@ class TestPageInteractions {
 
     submitTest() {
         if (!this.isTestComplete()) {
-            alert('Por favor responde todas las preguntas antes de enviar el test.');
+            alert(this.t('tests.answerAll'));
             return;
         }
 
-        // Calcular puntuación
-        const score = Object.values(this.answers).reduce((sum, value) => sum + value, 0);
-        const result = this.getTestResult(score);
+        // Calcular puntuación con el motor de cuestionarios
+        const engine = window.SensusQuestionnaires;
+        const scored = engine.score(this.currentTest.id, engine.toAnswerArray(this.currentTest.id, this.answers));
+        const result = this.getTestResult(scored);
 
         // Mostrar resultados
-        this.showResults(score, result);
+        this.showResults(scored, result);
+
+        // Ítem 9 del PHQ-9: panel de crisis con independencia de la puntuación
+        if (scored.interpretation.flags.includes('self_harm') && window.crisisSupport) {
+            window.crisisSupport.show({ source: 'questionnaire', trigger: 'phq9_item9', riskLevel: 'high' });
+        }
 
         // Guardar resultados
-        this.saveTestResults(score, result);
+        this.saveTestResults(scored, result);
     }
 
-    getTestResult(score) {
-        const testType = this.currentTest.id;
-        
-        if (testType === 'gad7') {
-            if (score <= 4) {
-                return {
-                    level: 'Mínima',
-                    description: 'Tu nivel de ansiedad es mínimo.',
-                    recommendation: 'Continúa con tus hábitos saludables.',
-                    color: '#4ade80'
-                };
-            } else if (score <= 9) {
-                return {
-                    level: 'Leve',
-                    description: 'Tienes síntomas leves de ansiedad.',
-                    recommendation: 'Te recomendamos usar nuestro diario de bienestar.',
-                    color: '#fbbf24'
-                };
-            } else if (score <= 14) {
-                return {
-                    level: 'Moderada',
-                    description: 'Tienes síntomas moderados de ansiedad.',
-                    recommendation: 'Usa regularmente nuestro diario con ejercicios específicos.',
-                    color: '#f97316'
-                };
-            } else {
-                return {
-                    level: 'Severa',
-                    description: 'Tienes síntomas severos de ansiedad.',
-                    recommendation: 'Consulta con un profesional de salud mental.',
-                    color: '#ef4444'
-                };
-            }
-        }
-        
-        // Resultados por defecto para otros tests
+    getTestResult(scored) {
+        const band = scored.band;
         return {
-            level: 'Completado',
-            description: 'Has completado el test exitosamente.',
-            recommendation: 'Revisa tus resultados y considera usar nuestro diario.',
-            color: '#3b82f6'
+            level: band.label,
+            description: band.description,
+            recommendation: band.recommendation,
+            color: band.color,
+            // Texto de la puntuación: porcentaje (WHO-5, autoestima) o suma sobre el máximo
+            scoreText: window.SensusQuestionnaires.formatScore(scored),
+            scoreLabel: window.SensusQuestionnaires.get(scored.testType).scoring.bandsBy === 'percentage'
+                ? this.t('tests.results.indexLabel')
+                : this.t('tests.results.scoreLabel'),
+            // Alertas por ítems concretos, p. ej. ítem 9 del PHQ-9
+            alerts: scored.flags.map(flag => flag.message),
+            // ¿El cambio desde la última vez es real o está dentro del margen de error?
+            change: this.getClinicalChange(scored)
         };
     }
 
-    showResults(score, result) {
+    // Cambio fiable respecto al resultado anterior del mismo test (antes de guardar el actual)
+    getClinicalChange(scored) {
+        const engine = window.SensusQuestionnaires;
+        const previous = JSON.parse(localStorage.getItem('testResults') || '[]')
+            .filter(test => test.testType === scored.testType && typeof test.score === 'number')
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+
+        if (!previous) return null;
+
+        const change = engine.compareScores(
+            scored.testType,
+            engine.getBandValue(scored.testType, previous.score),
+            engine.getBandValue(scored.testType, scored.score)
+        );
+        return change && { ...change, previousDate: previous.timestamp };
+    }
+
+    showResults(scored, result) {
         // Crear modal de resultados
         const modal = document.createElement('div');
         modal.className = 'test-results-modal';
         modal.innerHTML = `
             <div class="modal-content">
                 <div class="modal-header">
-                    <h2>Resultados del Test</h2>
+                    <h2>${this.t('tests.results.title')}</h2>
                     <button class="close-modal">&times;</button>
                 </div>
                 <div class="modal-body">
@@ -932,26 +395,38 @@ class TestPageInteractions {
                     </div>
                     
                     <div class="score-display">
-                        <div class="score-number" style="color: ${result.color}">${score}</div>
-                        <div class="score-label">Puntuación Total</div>
+                        <div class="score-number" style="color: ${result.color}">${result.scoreText}</div>
+                        <div class="score-label">${result.scoreLabel}</div>
                     </div>
                     
+                    ${result.alerts.length > 0 ? `
+                    <div class="result-alert" role="alert">
+                        <h4>⚠️ ${this.t('tests.results.important')}</h4>
+                        ${result.alerts.map(message => `<p>${message}</p>`).join('')}
+                    </div>` : ''}
+
+                    ${result.change ? `
+                    <div class="result-change result-change--${result.change.category}">
+                        <h4>${this.t('tests.results.changeSince', { label: result.change.label, date: window.i18n.formatDate(result.change.previousDate) })}</h4>
+                        <p>${result.change.description}</p>
+                    </div>` : ''}
+
                     <div class="result-info">
                         <h3 style="color: ${result.color}">${result.level}</h3>
                         <p>${result.description}</p>
                         <div class="recommendation">
-                            <h4>Recomendación:</h4>
+                            <h4>${this.t('tests.results.recommendation')}</h4>
                             <p>${result.recommendation}</p>
                         </div>
                     </div>
                     
                     <div class="modal-actions">
-                        <button class="btn btn-outline close-modal">Cerrar</button>
+                        <button class="btn btn-outline close-modal">${this.t('common.close')}</button>
                         <button class="btn btn-primary" onclick="window.location.href='/diario'">
-                            Ir al Diario
+                            ${this.t('tests.results.goToDiary')}
                         </button>
                         <button class="btn btn-secondary" onclick="window.location.href='/'">
-                            Volver al Inicio
+                            ${this.t('tests.results.backHome')}
                         </button>
                     </div>
                 </div>
@@ -1023,6 +498,28 @@ class TestPageInteractions {
                 border-radius: 0.5rem;
                 margin-top: 1rem;
             }
+            .result-alert {
+                background: #fef2f2;
+                border: 2px solid #dc2626;
+                color: #7f1d1d;
+                padding: 1rem;
+                border-radius: 0.5rem;
+                margin-bottom: 1.5rem;
+            }
+            .result-change {
+                border-left: 4px solid #6b7280;
+                background: #f9fafb;
+                padding: 0.75rem 1rem;
+                border-radius: 0.5rem;
+                margin-bottom: 1.5rem;
+            }
+            .result-change--recovered,
+            .result-change--improved {
+                border-left-color: #10b981;
+            }
+            .result-change--deteriorated {
+                border-left-color: #ef4444;
+            }
             .modal-actions {
                 display: flex;
                 gap: 1rem;
@@ -1054,13 +551,16 @@ class TestPageInteractions {
         });
     }
 
-    saveTestResults(score, result) {
+    saveTestResults(scored, result) {
         const testData = {
             testType: this.currentTest.id,
             testName: this.currentTest.name,
-            score: score,
+            testVersion: scored.testVersion,
+            score: scored.score,
+            maxScore: scored.maxScore,
+            level: scored.band.level,
             result: result,
-            answers: this.answers,
+            answers: scored.answers,
             timestamp: new Date().toISOString()
         };
 
@@ -1069,11 +569,24 @@ class TestPageInteractions {
         savedTests.push(testData);
         localStorage.setItem('testResults', JSON.stringify(savedTests));
 
+        // Encolar para Firebase (se sincroniza aunque no haya conexión)
+        if (window.offlineSync) {
+            window.offlineSync.save('evaluation', {
+                testType: testData.testType,
+                testName: scored.testName,
+                score: scored.score,
+                maxScore: scored.maxScore,
+                answers: scored.answers,
+                result: result,
+                duration: testData.duration || 0
+            }).catch(error => console.error('❌ Error encolando evaluación:', error));
+        }
+
         // Enviar a analytics si está disponible
         if (typeof gtag !== 'undefined') {
             gtag('event', 'test_completed', {
                 'test_type': this.currentTest.id,
-                'score': score,
+                'score': scored.score,
                 'result_level': result.level
             });
         }
@@ -0,0 +1,15 @@
+/**
+ * Entorno de las pruebas de vitest (jsdom): cada prueba empieza con el almacenamiento
+ * local vacío y sin espías ni temporizadores falsos de la anterior
+ */
+
+import { afterEach, beforeEach, vi } from 'vitest';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+});
@@ -0,0 +1,201 @@
+import { describe, expect, it, vi } from 'vitest';
+import DiaryStore, { DIARY_STATE } from '../../../src/js/modules/diary/store.js';
+
+// Los avisos a los suscriptores se entregan en una microtarea
+const flush = () => Promise.resolve();
+
+describe('DiaryStore', () => {
+  describe('persistencia', () => {
+    it('sin datos guardados usa copias de los valores por defecto', () => {
+      const first = new DiaryStore();
+      const second = new DiaryStore();
+
+      expect(first.get('entries')).toEqual([]);
+      expect(first.get('exercisePreferences')).toEqual({ audio: true, vibration: true });
+      expect(first.get('personalizedPlan')).toBeNull();
+
+      first.get('entries').push({ id: 1 });
+      expect(second.get('entries')).toEqual([]);
+      expect(DIARY_STATE.entries.fallback).toEqual([]);
+    });
+
+    it('lee lo guardado en localStorage al crearse', () => {
+      localStorage.setItem('diaryWellness', JSON.stringify({ entries: [{ id: 1 }], currentStreak: 3 }));
+      localStorage.setItem('diaryGoals', JSON.stringify([{ id: 'g1' }]));
+      localStorage.setItem('lastAutoSave', '2026-01-15T19:00:00.000Z');
+
+      const store = new DiaryStore();
+
+      expect(store.get('entries')).toEqual([{ id: 1 }]);
+      expect(store.get('currentStreak')).toBe(3);
+      expect(store.get('bestStreak')).toBe(0);
+      expect(store.get('goals')).toEqual([{ id: 'g1' }]);
+      expect(store.get('lastAutoSave')).toBe('2026-01-15T19:00:00.000Z');
+    });
+
+    it('con datos ilegibles vuelve a los valores por defecto', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      localStorage.setItem('diaryGoals', '{no es json');
+
+      expect(new DiaryStore().get('goals')).toEqual([]);
+    });
+
+    it('set cambia el estado en memoria sin persistirlo', () => {
+      const store = new DiaryStore();
+      store.set('goals', [{ id: 'g1' }]);
+
+      expect(store.get('goals')).toEqual([{ id: 'g1' }]);
+      expect(localStorage.getItem('diaryGoals')).toBeNull();
+    });
+
+    it('save persiste el valor nuevo o el actual tras mutarlo en sitio', () => {
+      const store = new DiaryStore();
+      store.save('goals', [{ id: 'g1' }]);
+      store.get('goals').push({ id: 'g2' });
+      store.save('goals');
+
+      expect(JSON.parse(localStorage.getItem('diaryGoals'))).toEqual([{ id: 'g1' }, { id: 'g2' }]);
+      expect(new DiaryStore().get('goals')).toHaveLength(2);
+    });
+
+    it('las claves que comparten registro se guardan juntas', () => {
+      const store = new DiaryStore();
+      store.set('currentStreak', 4);
+      store.save('entries', [{ id: 1 }]);
+
+      expect(JSON.parse(localStorage.getItem('diaryWellness'))).toEqual({
+        entries: [{ id: 1 }],
+        currentStreak: 4,
+        totalSessions: 0,
+        bestStreak: 0
+      });
+    });
+
+    it('las claves en texto plano se guardan sin JSON y se borran con null', () => {
+      const store = new DiaryStore();
+      store.save('lastAutoSave', '2026-01-15T19:00:00.000Z');
+      expect(localStorage.getItem('lastAutoSave')).toBe('2026-01-15T19:00:00.000Z');
+
+      store.save('lastAutoSave', null);
+      expect(localStorage.getItem('lastAutoSave')).toBeNull();
+    });
+
+    it('saveAll persiste todo el estado', () => {
+      const store = new DiaryStore();
+      store.set('entries', [{ id: 1 }]);
+      store.set('tags', [{ name: 'trabajo' }]);
+      store.saveAll();
+
+      const reloaded = new DiaryStore();
+      expect(reloaded.get('entries')).toEqual([{ id: 1 }]);
+      expect(reloaded.get('tags')).toEqual([{ name: 'trabajo' }]);
+    });
+
+    it('serializeWith transforma lo que se guarda sin tocar la memoria', () => {
+      const store = new DiaryStore();
+      store.serializeWith('entries', entries => entries.map(({ content, ...rest }) => rest));
+      store.save('entries', [{ id: 1, content: 'texto' }]);
+
+      expect(store.get('entries')).toEqual([{ id: 1, content: 'texto' }]);
+      expect(JSON.parse(localStorage.getItem('diaryWellness')).entries).toEqual([{ id: 1 }]);
+    });
+
+    it('un fallo al escribir no interrumpe al diario', () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const storage = { getItem: () => null, setItem: () => { throw new Error('QuotaExceededError'); }, removeItem: () => {} };
+      const store = new DiaryStore(storage);
+
+      expect(() => store.save('goals', [{ id: 'g1' }])).not.toThrow();
+      expect(store.get('goals')).toEqual([{ id: 'g1' }]);
+    });
+
+    it('rechaza las claves que no están en el esquema', () => {
+      expect(() => new DiaryStore().get('otra')).toThrow('Clave desconocida en el estado del diario: otra');
+    });
+  });
+
+  describe('suscripciones', () => {
+    it('avisa con el valor nuevo al cambiar o guardar la clave', async () => {
+      const store = new DiaryStore();
+      const listener = vi.fn();
+      store.subscribe('goals', listener);
+
+      store.save('goals', [{ id: 'g1' }]);
+      expect(listener).not.toHaveBeenCalled();
+
+      await flush();
+      expect(listener).toHaveBeenCalledWith([{ id: 'g1' }], 'goals');
+    });
+
+    it('agrupa varios cambios seguidos en un solo aviso con el último valor', async () => {
+      const store = new DiaryStore();
+      const goals = vi.fn();
+      const tags = vi.fn();
+      store.subscribe('goals', goals);
+      store.subscribe('tags', tags);
+
+      store.set('goals', [1]);
+      store.set('goals', [1, 2]);
+      store.set('tags', ['a']);
+      await flush();
+
+      expect(goals).toHaveBeenCalledTimes(1);
+      expect(goals).toHaveBeenCalledWith([1, 2], 'goals');
+      expect(tags).toHaveBeenCalledTimes(1);
+    });
+
+    it('solo avisa a los suscriptores de la clave cambiada', async () => {
+      const store = new DiaryStore();
+      const listener = vi.fn();
+      store.subscribe('tags', listener);
+
+      store.save('goals', []);
+      await flush();
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('la función devuelta cancela la suscripción', async () => {
+      const store = new DiaryStore();
+      const listener = vi.fn();
+      const unsubscribe = store.subscribe('goals', listener);
+
+      unsubscribe();
+      store.set('goals', [1]);
+      await flush();
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('un suscriptor que falla no impide avisar al resto', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const store = new DiaryStore();
+      const listener = vi.fn();
+      store.subscribe('goals', () => { throw new Error('fallo'); });
+      store.subscribe('goals', listener);
+
+      store.set('goals', [1]);
+      await flush();
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('expose', () => {
+    it('las propiedades del diario leen y escriben el estado compartido', async () => {
+      const store = new DiaryStore();
+      const listener = vi.fn();
+      const diary = store.expose({});
+      store.subscribe('goals', listener);
+
+      diary.goals = [{ id: 'g1' }];
+      await flush();
+
+      expect(store.get('goals')).toEqual([{ id: 'g1' }]);
+      expect(listener).toHaveBeenCalledTimes(1);
+
+      store.set('entries', [{ id: 1 }]);
+      expect(diary.entries).toEqual([{ id: 1 }]);
+    });
+  });
+});
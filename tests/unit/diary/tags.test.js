@@ -0,0 +1,71 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import DiaryStore from '../../../src/js/modules/diary/store.js';
+import tagsFeature from '../../../src/js/modules/diary/tags.js';
+
+// Diario mínimo: el estado compartido más los métodos de la funcionalidad, como los instala DiaryWellness
+function createDiary(store) {
+  const diary = store.expose({
+    store,
+    showNotification: vi.fn(),
+    t: (key, params) => `${key} ${JSON.stringify(params)}`
+  });
+  return Object.assign(diary, tagsFeature.methods);
+}
+
+const flush = () => Promise.resolve();
+
+describe('funcionalidad de etiquetas', () => {
+  let store;
+  let diary;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="entry-tags">
+      <div id="tag-suggestions"></div>
+      <div id="selected-tags"></div>
+      <select id="tag-filter"></select>
+    `;
+    store = new DiaryStore();
+    diary = createDiary(store);
+  });
+
+  it('añade etiquetas en minúsculas, sin repetirlas, y las persiste', () => {
+    diary.addTag('Trabajo');
+    diary.addTag('trabajo');
+
+    expect(diary.tags.map(tag => tag.name)).toEqual(['trabajo']);
+    expect(JSON.parse(localStorage.getItem('diaryTags'))).toHaveLength(1);
+    expect(diary.showNotification).toHaveBeenCalledTimes(1);
+  });
+
+  it('quita etiquetas a través del almacén', () => {
+    diary.addTag('trabajo');
+    diary.addTag('familia');
+    diary.removeTag('trabajo');
+
+    expect(new DiaryStore().get('tags').map(tag => tag.name)).toEqual(['familia']);
+  });
+
+  it('sugiere las etiquetas de las entradas, las más usadas primero', () => {
+    diary.entries = [{ tags: ['trabajo', 'sueño'] }, { tags: ['trabajo'] }, { tags: ['familia'] }];
+    diary.updateAvailableTags();
+
+    expect(diary.getTagSuggestions('')).toEqual([
+      { name: 'trabajo', count: 2 },
+      { name: 'sueño', count: 1 },
+      { name: 'familia', count: 1 }
+    ]);
+    expect(diary.getTagSuggestions('TRA')).toEqual([{ name: 'trabajo', count: 2 }]);
+  });
+
+  it('al iniciarse se suscribe al almacén y la vista sigue a los cambios', async () => {
+    tagsFeature.init(diary);
+
+    store.save('entries', [{ tags: ['trabajo'] }]);
+    diary.addTag('familia');
+    await flush();
+
+    expect(document.querySelector('#selected-tags').textContent).toContain('familia');
+    expect([...document.querySelectorAll('#tag-filter option')].map(option => option.value)).toEqual(['all', 'trabajo']);
+  });
+});
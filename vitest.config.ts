@@ -47,7 +47,8 @@ export default defineConfig({
       '@config': resolve(__dirname, './src/config'),
       '@layouts': resolve(__dirname, './src/layouts'),
       '@pages': resolve(__dirname, './src/pages'),
-      '@styles': resolve(__dirname, './src/styles')
+      '@styles': resolve(__dirname, './src/styles'),
+      '@shared': resolve(__dirname, './backend/src/shared')
     }
   }
 })
\ No newline at end of file